@@ -10,6 +10,7 @@ const swaggerJSDoc = require('swagger-jsdoc')
 const usuariosRoutes = require('./src/routes/usuarios.routes')
 // If you later add files like ./src/routes/usuarios.routes.js in CJS, import here and spread in /api
 const apiRoutes = require('./src/routes')
+const { requestId } = require('./src/middlewares/requestId')
 
 var app = express()
 
@@ -43,6 +44,7 @@ const corsConfig = {
 app.use(cors(corsConfig))
 
 // Other middleware
+app.use(requestId)
 app.use(cookieParser())
 app.use(express.static(path.join(__dirname, 'files')))
 // Límite alto: importaciones mapeadas (JSON) y formularios grandes; alineado con multer en products.routes (10MB)
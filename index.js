@@ -10,10 +10,10 @@ if (process.env.NODE_ENV !== 'production') {
   app.listen(port, () => {
     console.log(`Server running on port ${port}`)
     try {
-      const { startCommercialDocumentScheduler } = require('./src/jobs/commercialDocumentScheduler')
-      startCommercialDocumentScheduler()
+      const { startJobScheduler } = require('./src/jobs')
+      startJobScheduler()
     } catch (e) {
-      console.warn('[commercial-doc-expiry] scheduler no iniciado:', e.message)
+      console.warn('[jobs] scheduler no iniciado:', e.message)
     }
   })
 }
\ No newline at end of file
@@ -0,0 +1,27 @@
+-- Pago mixto: una venta puede cobrarse con varios medios (efectivo + tarjeta +
+-- transferencia). `sales.payment_method_id` se queda como medio principal.
+CREATE TABLE "public"."sale_payments" (
+    "id" UUID NOT NULL,
+    "sale_id" UUID NOT NULL,
+    "payment_method_id" INTEGER NOT NULL,
+    "amount" DECIMAL(12,2) NOT NULL,
+    "amount_received" DECIMAL(12,2),
+    "change" DECIMAL(12,2),
+    "reference" VARCHAR(100),
+    "sort_order" INTEGER NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "sale_payments_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX "sale_payments_sale_id_idx" ON "public"."sale_payments"("sale_id");
+CREATE INDEX "sale_payments_payment_method_id_idx" ON "public"."sale_payments"("payment_method_id");
+
+ALTER TABLE "public"."sale_payments" ADD CONSTRAINT "sale_payments_sale_id_fkey" FOREIGN KEY ("sale_id") REFERENCES "public"."sales"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "public"."sale_payments" ADD CONSTRAINT "sale_payments_payment_method_id_fkey" FOREIGN KEY ("payment_method_id") REFERENCES "public"."payment_methods"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Las ventas históricas se cobraron con un solo medio por el total: una fila
+-- cada una, así el cierre y el posteo leen siempre de la misma tabla.
+INSERT INTO "public"."sale_payments" (id, sale_id, payment_method_id, amount, amount_received, change, sort_order, created_at)
+SELECT gen_random_uuid(), s.id, s.payment_method_id, s.total, s.amount_received, s.change, 0, s.date
+FROM "public"."sales" s;
@@ -0,0 +1,44 @@
+-- Ventas al crédito y cuentas por cobrar: límite de crédito del cliente,
+-- saldo «a cuenta» y vencimiento en la venta, y abonos del cliente.
+CREATE TYPE "public"."ReceivableStatus" AS ENUM ('PENDING', 'PARTIAL', 'PAID');
+
+ALTER TYPE "public"."JournalSourceType" ADD VALUE IF NOT EXISTS 'CUSTOMER_PAYMENT';
+
+ALTER TABLE "public"."suppliers" ADD COLUMN "credit_limit" DECIMAL(12,2);
+
+ALTER TABLE "public"."sales"
+    ADD COLUMN "credit_amount" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    ADD COLUMN "due_date" TIMESTAMP(3),
+    ADD COLUMN "payment_term_id" INTEGER,
+    ADD COLUMN "credit_status" "public"."ReceivableStatus",
+    ADD COLUMN "credit_paid_at" TIMESTAMP(3);
+
+CREATE INDEX "sales_customer_contact_id_credit_status_idx" ON "public"."sales"("customer_contact_id", "credit_status");
+
+ALTER TABLE "public"."sales" ADD CONSTRAINT "sales_payment_term_id_fkey" FOREIGN KEY ("payment_term_id") REFERENCES "public"."payment_terms"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+CREATE TABLE "public"."customer_payment_entries" (
+    "id" UUID NOT NULL,
+    "sale_id" UUID NOT NULL,
+    "amount" DECIMAL(12,2) NOT NULL,
+    "paid_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "payment_method_id" INTEGER NOT NULL,
+    "reference" VARCHAR(255),
+    "cash_register_session_id" UUID,
+    "registered_by" UUID NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "customer_payment_entries_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX "customer_payment_entries_sale_id_idx" ON "public"."customer_payment_entries"("sale_id");
+CREATE INDEX "customer_payment_entries_cash_register_session_id_idx" ON "public"."customer_payment_entries"("cash_register_session_id");
+
+ALTER TABLE "public"."customer_payment_entries" ADD CONSTRAINT "customer_payment_entries_sale_id_fkey" FOREIGN KEY ("sale_id") REFERENCES "public"."sales"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "public"."customer_payment_entries" ADD CONSTRAINT "customer_payment_entries_payment_method_id_fkey" FOREIGN KEY ("payment_method_id") REFERENCES "public"."payment_methods"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+ALTER TABLE "public"."customer_payment_entries" ADD CONSTRAINT "customer_payment_entries_cash_register_session_id_fkey" FOREIGN KEY ("cash_register_session_id") REFERENCES "public"."cash_register_sessions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "public"."customer_payment_entries" ADD CONSTRAINT "customer_payment_entries_registered_by_fkey" FOREIGN KEY ("registered_by") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- El medio «Crédito» es el que deja una venta (o parte de ella) a cuenta del
+-- cliente; el posteo ya lo manda a Clientes.
+INSERT INTO "public"."payment_methods" (name) VALUES ('Crédito') ON CONFLICT (name) DO NOTHING;
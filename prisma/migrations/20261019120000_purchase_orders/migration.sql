@@ -0,0 +1,59 @@
+-- Órdenes de compra al proveedor por sucursal. La mercancía sigue entrando por
+-- el ingreso de mercancía, que ahora puede apuntar a la orden y a su línea.
+CREATE TYPE "public"."PurchaseOrderStatus" AS ENUM ('DRAFT', 'SENT', 'PARTIALLY_RECEIVED', 'RECEIVED', 'CANCELLED');
+
+CREATE TABLE "public"."purchase_orders" (
+    "id" UUID NOT NULL,
+    "reference" VARCHAR(30) NOT NULL,
+    "branch_id" UUID NOT NULL,
+    "supplier_id" UUID NOT NULL,
+    "status" "public"."PurchaseOrderStatus" NOT NULL DEFAULT 'DRAFT',
+    "expected_date" DATE,
+    "payment_term_id" INTEGER,
+    "total" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "notes" TEXT,
+    "created_by" UUID NOT NULL,
+    "sent_at" TIMESTAMP(3),
+    "received_at" TIMESTAMP(3),
+    "cancelled_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "purchase_orders_pkey" PRIMARY KEY ("id")
+);
+
+CREATE TABLE "public"."purchase_order_lines" (
+    "id" UUID NOT NULL,
+    "purchase_order_id" UUID NOT NULL,
+    "product_id" UUID NOT NULL,
+    "qty_ordered" INTEGER NOT NULL,
+    "qty_received" INTEGER NOT NULL DEFAULT 0,
+    "unit_cost" DECIMAL(12,2) NOT NULL,
+    "line_total" DECIMAL(12,2) NOT NULL,
+    "sort_order" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "purchase_order_lines_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX "purchase_orders_branch_id_reference_key" ON "public"."purchase_orders"("branch_id", "reference");
+CREATE INDEX "purchase_orders_branch_id_status_idx" ON "public"."purchase_orders"("branch_id", "status");
+CREATE INDEX "purchase_orders_supplier_id_idx" ON "public"."purchase_orders"("supplier_id");
+CREATE INDEX "purchase_order_lines_purchase_order_id_idx" ON "public"."purchase_order_lines"("purchase_order_id");
+CREATE INDEX "purchase_order_lines_product_id_idx" ON "public"."purchase_order_lines"("product_id");
+
+ALTER TABLE "public"."purchase_orders" ADD CONSTRAINT "purchase_orders_branch_id_fkey" FOREIGN KEY ("branch_id") REFERENCES "public"."branches"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+ALTER TABLE "public"."purchase_orders" ADD CONSTRAINT "purchase_orders_supplier_id_fkey" FOREIGN KEY ("supplier_id") REFERENCES "public"."suppliers"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+ALTER TABLE "public"."purchase_orders" ADD CONSTRAINT "purchase_orders_payment_term_id_fkey" FOREIGN KEY ("payment_term_id") REFERENCES "public"."payment_terms"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "public"."purchase_orders" ADD CONSTRAINT "purchase_orders_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+ALTER TABLE "public"."purchase_order_lines" ADD CONSTRAINT "purchase_order_lines_purchase_order_id_fkey" FOREIGN KEY ("purchase_order_id") REFERENCES "public"."purchase_orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "public"."purchase_order_lines" ADD CONSTRAINT "purchase_order_lines_product_id_fkey" FOREIGN KEY ("product_id") REFERENCES "public"."products"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+ALTER TABLE "public"."incoming_merchandise" ADD COLUMN "purchase_order_id" UUID;
+CREATE INDEX "incoming_merchandise_purchase_order_id_idx" ON "public"."incoming_merchandise"("purchase_order_id");
+ALTER TABLE "public"."incoming_merchandise" ADD CONSTRAINT "incoming_merchandise_purchase_order_id_fkey" FOREIGN KEY ("purchase_order_id") REFERENCES "public"."purchase_orders"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+ALTER TABLE "public"."incoming_merchandise_items"
+    ADD COLUMN "purchase_order_line_id" UUID,
+    ADD COLUMN "ordered_unit_cost" DECIMAL(12,2);
+CREATE INDEX "incoming_merchandise_items_purchase_order_line_id_idx" ON "public"."incoming_merchandise_items"("purchase_order_line_id");
+ALTER TABLE "public"."incoming_merchandise_items" ADD CONSTRAINT "incoming_merchandise_items_purchase_order_line_id_fkey" FOREIGN KEY ("purchase_order_line_id") REFERENCES "public"."purchase_order_lines"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,14 @@
+-- Certificación FEL: el DTE guarda su monto, el XML certificado, el motivo de
+-- rechazo y, en las notas de crédito, la factura y la devolución que acredita.
+ALTER TABLE "public"."sale_dtes"
+    ADD COLUMN "amount" DECIMAL(12,2),
+    ADD COLUMN "xml" TEXT,
+    ADD COLUMN "error_message" TEXT,
+    ADD COLUMN "reference_dte_id" UUID,
+    ADD COLUMN "return_id" UUID,
+    ADD COLUMN "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+CREATE INDEX "sale_dtes_reference_dte_id_idx" ON "public"."sale_dtes"("reference_dte_id");
+
+ALTER TABLE "public"."sale_dtes" ADD CONSTRAINT "sale_dtes_reference_dte_id_fkey" FOREIGN KEY ("reference_dte_id") REFERENCES "public"."sale_dtes"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+ALTER TABLE "public"."sale_dtes" ADD CONSTRAINT "sale_dtes_return_id_fkey" FOREIGN KEY ("return_id") REFERENCES "public"."returns"("id") ON DELETE SET NULL ON UPDATE CASCADE;
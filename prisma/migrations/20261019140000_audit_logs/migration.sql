@@ -0,0 +1,26 @@
+-- Bitácora central de cambios (quién, qué entidad, antes/después, IP, request id).
+CREATE TABLE "public"."audit_logs" (
+    "id" UUID NOT NULL,
+    "company_id" UUID NOT NULL,
+    "branch_id" UUID,
+    "user_id" UUID,
+    "user_name" VARCHAR(150),
+    "entity" VARCHAR(50) NOT NULL,
+    "entity_id" VARCHAR(100) NOT NULL,
+    "action" VARCHAR(30) NOT NULL,
+    "before" JSONB,
+    "after" JSONB,
+    "ip" VARCHAR(64),
+    "request_id" VARCHAR(64),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "audit_logs_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX "audit_logs_company_id_created_at_idx" ON "public"."audit_logs"("company_id", "created_at");
+CREATE INDEX "audit_logs_company_id_entity_entity_id_created_at_idx" ON "public"."audit_logs"("company_id", "entity", "entity_id", "created_at");
+CREATE INDEX "audit_logs_user_id_idx" ON "public"."audit_logs"("user_id");
+
+ALTER TABLE "public"."audit_logs" ADD CONSTRAINT "audit_logs_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "public"."companies"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "public"."audit_logs" ADD CONSTRAINT "audit_logs_branch_id_fkey" FOREIGN KEY ("branch_id") REFERENCES "public"."branches"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "public"."audit_logs" ADD CONSTRAINT "audit_logs_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
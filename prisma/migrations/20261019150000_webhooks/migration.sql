@@ -0,0 +1,49 @@
+-- Webhooks salientes: suscripciones por empresa y cola persistente de envíos
+-- firmados (HMAC) con reintentos.
+CREATE TYPE "public"."WebhookDeliveryStatus" AS ENUM ('PENDING', 'DELIVERED', 'FAILED');
+
+CREATE TABLE "public"."webhook_subscriptions" (
+    "id" UUID NOT NULL,
+    "company_id" UUID NOT NULL,
+    "url" VARCHAR(500) NOT NULL,
+    "secret" VARCHAR(100) NOT NULL,
+    "events" TEXT[],
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "description" VARCHAR(200),
+    "created_by" UUID,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "webhook_subscriptions_pkey" PRIMARY KEY ("id")
+);
+
+CREATE TABLE "public"."webhook_deliveries" (
+    "id" UUID NOT NULL,
+    "subscription_id" UUID NOT NULL,
+    "company_id" UUID NOT NULL,
+    "event" VARCHAR(60) NOT NULL,
+    "event_id" UUID NOT NULL,
+    "payload" JSONB NOT NULL,
+    "status" "public"."WebhookDeliveryStatus" NOT NULL DEFAULT 'PENDING',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "next_attempt_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "last_attempt_at" TIMESTAMP(3),
+    "delivered_at" TIMESTAMP(3),
+    "response_status" INTEGER,
+    "response_body" TEXT,
+    "error" TEXT,
+    "duration_ms" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "webhook_deliveries_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX "webhook_subscriptions_company_id_active_idx" ON "public"."webhook_subscriptions"("company_id", "active");
+CREATE INDEX "webhook_deliveries_status_next_attempt_at_idx" ON "public"."webhook_deliveries"("status", "next_attempt_at");
+CREATE INDEX "webhook_deliveries_subscription_id_created_at_idx" ON "public"."webhook_deliveries"("subscription_id", "created_at");
+CREATE INDEX "webhook_deliveries_company_id_created_at_idx" ON "public"."webhook_deliveries"("company_id", "created_at");
+
+ALTER TABLE "public"."webhook_subscriptions" ADD CONSTRAINT "webhook_subscriptions_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "public"."companies"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "public"."webhook_deliveries" ADD CONSTRAINT "webhook_deliveries_subscription_id_fkey" FOREIGN KEY ("subscription_id") REFERENCES "public"."webhook_subscriptions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "public"."webhook_deliveries" ADD CONSTRAINT "webhook_deliveries_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "public"."companies"("id") ON DELETE CASCADE ON UPDATE CASCADE;
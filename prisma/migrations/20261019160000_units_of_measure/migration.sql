@@ -0,0 +1,79 @@
+-- Unidades de medida: catálogo por empresa, unidades alternas por producto con
+-- su factor a la unidad base, y la unidad capturada en cada línea. Existencias
+-- y kardex siguen en unidad base (entera).
+CREATE TABLE "public"."units_of_measure" (
+    "id" SERIAL NOT NULL,
+    "company_id" UUID NOT NULL,
+    "code" VARCHAR(20) NOT NULL,
+    "name" VARCHAR(60) NOT NULL,
+    "allows_decimal" BOOLEAN NOT NULL DEFAULT false,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "units_of_measure_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX "units_of_measure_company_id_code_key" ON "public"."units_of_measure"("company_id", "code");
+
+ALTER TABLE "public"."units_of_measure" ADD CONSTRAINT "units_of_measure_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "public"."companies"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+CREATE TABLE "public"."product_units" (
+    "id" SERIAL NOT NULL,
+    "product_id" UUID NOT NULL,
+    "unit_id" INTEGER NOT NULL,
+    "factor" DECIMAL(14,4) NOT NULL,
+    "price" DECIMAL(12,2),
+    "is_purchase_default" BOOLEAN NOT NULL DEFAULT false,
+    "is_sale_default" BOOLEAN NOT NULL DEFAULT false,
+
+    CONSTRAINT "product_units_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX "product_units_product_id_unit_id_key" ON "public"."product_units"("product_id", "unit_id");
+CREATE INDEX "product_units_unit_id_idx" ON "public"."product_units"("unit_id");
+
+ALTER TABLE "public"."product_units" ADD CONSTRAINT "product_units_product_id_fkey" FOREIGN KEY ("product_id") REFERENCES "public"."products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "public"."product_units" ADD CONSTRAINT "product_units_unit_id_fkey" FOREIGN KEY ("unit_id") REFERENCES "public"."units_of_measure"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+ALTER TABLE "public"."products" ADD COLUMN "base_unit_id" INTEGER;
+ALTER TABLE "public"."products" ADD CONSTRAINT "products_base_unit_id_fkey" FOREIGN KEY ("base_unit_id") REFERENCES "public"."units_of_measure"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Precio/costo por unidad base con 6 decimales: una caja de 24 a Q100 cuadra.
+ALTER TABLE "public"."sale_items" ALTER COLUMN "price" SET DATA TYPE DECIMAL(14,6);
+ALTER TABLE "public"."commercial_document_lines" ALTER COLUMN "unit_price" SET DATA TYPE DECIMAL(14,6);
+ALTER TABLE "public"."incoming_merchandise_items" ALTER COLUMN "unit_cost" SET DATA TYPE DECIMAL(14,6);
+
+ALTER TABLE "public"."sale_items" ADD COLUMN "unit_id" INTEGER,
+ADD COLUMN "unit_qty" DECIMAL(14,4),
+ADD COLUMN "unit_factor" DECIMAL(14,4);
+ALTER TABLE "public"."commercial_document_lines" ADD COLUMN "unit_id" INTEGER,
+ADD COLUMN "unit_qty" DECIMAL(14,4),
+ADD COLUMN "unit_factor" DECIMAL(14,4);
+ALTER TABLE "public"."incoming_merchandise_items" ADD COLUMN "unit_id" INTEGER,
+ADD COLUMN "unit_qty" DECIMAL(14,4),
+ADD COLUMN "unit_factor" DECIMAL(14,4);
+
+ALTER TABLE "public"."sale_items" ADD CONSTRAINT "sale_items_unit_id_fkey" FOREIGN KEY ("unit_id") REFERENCES "public"."units_of_measure"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+ALTER TABLE "public"."commercial_document_lines" ADD CONSTRAINT "commercial_document_lines_unit_id_fkey" FOREIGN KEY ("unit_id") REFERENCES "public"."units_of_measure"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+ALTER TABLE "public"."incoming_merchandise_items" ADD CONSTRAINT "incoming_merchandise_items_unit_id_fkey" FOREIGN KEY ("unit_id") REFERENCES "public"."units_of_measure"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Unidades de arranque para las empresas que ya existen (las nuevas las
+-- siembra POST /api/companies).
+INSERT INTO "public"."units_of_measure" ("company_id", "code", "name", "allows_decimal", "updated_at")
+SELECT c."id", u."code", u."name", u."allows_decimal", CURRENT_TIMESTAMP
+FROM "public"."companies" c
+CROSS JOIN (VALUES
+    ('UND', 'Unidad', false),
+    ('CAJA', 'Caja', false),
+    ('PAQ', 'Paquete', false),
+    ('DOC', 'Docena', false),
+    ('KG', 'Kilogramo', true),
+    ('G', 'Gramo', false),
+    ('LB', 'Libra', true),
+    ('L', 'Litro', true),
+    ('ML', 'Mililitro', false),
+    ('M', 'Metro', true),
+    ('CM', 'Centímetro', false)
+) AS u("code", "name", "allows_decimal")
+ON CONFLICT ("company_id", "code") DO NOTHING;
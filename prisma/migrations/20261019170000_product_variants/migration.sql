@@ -0,0 +1,53 @@
+-- Variantes: un producto padre (ficha común, sin existencias) agrupa productos
+-- variante que se distinguen por el valor de cada atributo (Talla, Color).
+CREATE TABLE "public"."product_attributes" (
+    "id" SERIAL NOT NULL,
+    "company_id" UUID NOT NULL,
+    "name" VARCHAR(60) NOT NULL,
+    "sort_order" INTEGER NOT NULL DEFAULT 0,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "product_attributes_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX "product_attributes_company_id_name_key" ON "public"."product_attributes"("company_id", "name");
+
+ALTER TABLE "public"."product_attributes" ADD CONSTRAINT "product_attributes_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "public"."companies"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+CREATE TABLE "public"."product_attribute_values" (
+    "id" SERIAL NOT NULL,
+    "attribute_id" INTEGER NOT NULL,
+    "value" VARCHAR(60) NOT NULL,
+    "sort_order" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "product_attribute_values_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX "product_attribute_values_attribute_id_value_key" ON "public"."product_attribute_values"("attribute_id", "value");
+
+ALTER TABLE "public"."product_attribute_values" ADD CONSTRAINT "product_attribute_values_attribute_id_fkey" FOREIGN KEY ("attribute_id") REFERENCES "public"."product_attributes"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+ALTER TABLE "public"."products" ADD COLUMN "parent_id" UUID;
+ALTER TABLE "public"."products" ADD COLUMN "has_variants" BOOLEAN NOT NULL DEFAULT false;
+
+CREATE INDEX "products_parent_id_idx" ON "public"."products"("parent_id");
+
+ALTER TABLE "public"."products" ADD CONSTRAINT "products_parent_id_fkey" FOREIGN KEY ("parent_id") REFERENCES "public"."products"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+CREATE TABLE "public"."product_variant_values" (
+    "id" SERIAL NOT NULL,
+    "product_id" UUID NOT NULL,
+    "attribute_id" INTEGER NOT NULL,
+    "value_id" INTEGER NOT NULL,
+
+    CONSTRAINT "product_variant_values_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX "product_variant_values_product_id_attribute_id_key" ON "public"."product_variant_values"("product_id", "attribute_id");
+CREATE INDEX "product_variant_values_value_id_idx" ON "public"."product_variant_values"("value_id");
+
+ALTER TABLE "public"."product_variant_values" ADD CONSTRAINT "product_variant_values_product_id_fkey" FOREIGN KEY ("product_id") REFERENCES "public"."products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "public"."product_variant_values" ADD CONSTRAINT "product_variant_values_attribute_id_fkey" FOREIGN KEY ("attribute_id") REFERENCES "public"."product_attributes"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+ALTER TABLE "public"."product_variant_values" ADD CONSTRAINT "product_variant_values_value_id_fkey" FOREIGN KEY ("value_id") REFERENCES "public"."product_attribute_values"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,58 @@
+-- Números de serie por unidad (opt-in por producto): se capturan al ingresar
+-- mercancía, se eligen al vender y siguen a la unidad en traslados y devoluciones.
+CREATE TYPE "public"."SerialStatus" AS ENUM ('IN_STOCK', 'SOLD', 'RETURNED', 'IN_TRANSIT');
+
+CREATE TYPE "public"."SerialEventType" AS ENUM ('RECEIVED', 'SOLD', 'SALE_CANCELLED', 'RETURNED', 'EXCHANGED', 'TRANSFER_SENT', 'TRANSFER_RECEIVED', 'TRANSFER_CANCELLED');
+
+ALTER TABLE "public"."products" ADD COLUMN "tracks_serials" BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE "public"."sale_items" ADD COLUMN "serials" TEXT[] DEFAULT ARRAY[]::TEXT[];
+ALTER TABLE "public"."return_items" ADD COLUMN "serials" TEXT[] DEFAULT ARRAY[]::TEXT[];
+ALTER TABLE "public"."return_replacement_items" ADD COLUMN "serials" TEXT[] DEFAULT ARRAY[]::TEXT[];
+ALTER TABLE "public"."stock_transfer_lines" ADD COLUMN "serials" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+CREATE TABLE "public"."product_serials" (
+    "id" UUID NOT NULL,
+    "company_id" UUID NOT NULL,
+    "product_id" UUID NOT NULL,
+    "serial" VARCHAR(100) NOT NULL,
+    "status" "public"."SerialStatus" NOT NULL DEFAULT 'IN_STOCK',
+    "branch_id" UUID,
+    "sale_id" UUID,
+    "transfer_id" UUID,
+    "unit_cost" DECIMAL(12,2),
+    "incoming_merchandise_id" UUID,
+    "received_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "product_serials_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX "product_serials_company_id_product_id_serial_key" ON "public"."product_serials"("company_id", "product_id", "serial");
+CREATE INDEX "product_serials_company_id_serial_idx" ON "public"."product_serials"("company_id", "serial");
+CREATE INDEX "product_serials_product_id_branch_id_status_idx" ON "public"."product_serials"("product_id", "branch_id", "status");
+CREATE INDEX "product_serials_sale_id_idx" ON "public"."product_serials"("sale_id");
+
+ALTER TABLE "public"."product_serials" ADD CONSTRAINT "product_serials_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "public"."companies"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "public"."product_serials" ADD CONSTRAINT "product_serials_product_id_fkey" FOREIGN KEY ("product_id") REFERENCES "public"."products"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+ALTER TABLE "public"."product_serials" ADD CONSTRAINT "product_serials_branch_id_fkey" FOREIGN KEY ("branch_id") REFERENCES "public"."branches"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "public"."product_serials" ADD CONSTRAINT "product_serials_sale_id_fkey" FOREIGN KEY ("sale_id") REFERENCES "public"."sales"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "public"."product_serials" ADD CONSTRAINT "product_serials_transfer_id_fkey" FOREIGN KEY ("transfer_id") REFERENCES "public"."stock_transfers"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+CREATE TABLE "public"."product_serial_events" (
+    "id" SERIAL NOT NULL,
+    "serial_id" UUID NOT NULL,
+    "event" "public"."SerialEventType" NOT NULL,
+    "branch_id" UUID,
+    "ref_type" VARCHAR(30),
+    "ref_id" UUID,
+    "created_by" UUID,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "product_serial_events_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX "product_serial_events_serial_id_created_at_idx" ON "public"."product_serial_events"("serial_id", "created_at");
+
+ALTER TABLE "public"."product_serial_events" ADD CONSTRAINT "product_serial_events_serial_id_fkey" FOREIGN KEY ("serial_id") REFERENCES "public"."product_serials"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "public"."product_serial_events" ADD CONSTRAINT "product_serial_events_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
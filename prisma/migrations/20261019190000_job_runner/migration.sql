@@ -0,0 +1,35 @@
+-- Tareas programadas: candado por tarea (una sola instancia la corre) e
+-- historial de corridas con duración, resultado y error.
+CREATE TYPE "public"."JobRunStatus" AS ENUM ('RUNNING', 'SUCCEEDED', 'FAILED');
+
+CREATE TYPE "public"."JobTrigger" AS ENUM ('SCHEDULE', 'MANUAL');
+
+CREATE TABLE "public"."job_locks" (
+    "name" VARCHAR(60) NOT NULL,
+    "locked_by" VARCHAR(100),
+    "locked_until" TIMESTAMP(3),
+    "last_slot" TIMESTAMP(3),
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "job_locks_pkey" PRIMARY KEY ("name")
+);
+
+CREATE TABLE "public"."job_runs" (
+    "id" UUID NOT NULL,
+    "job" VARCHAR(60) NOT NULL,
+    "status" "public"."JobRunStatus" NOT NULL DEFAULT 'RUNNING',
+    "trigger" "public"."JobTrigger" NOT NULL,
+    "started_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finished_at" TIMESTAMP(3),
+    "duration_ms" INTEGER,
+    "result" JSONB,
+    "error" TEXT,
+    "triggered_by" UUID,
+    "instance" VARCHAR(100) NOT NULL,
+
+    CONSTRAINT "job_runs_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX "job_runs_job_started_at_idx" ON "public"."job_runs"("job", "started_at" DESC);
+
+ALTER TABLE "public"."job_runs" ADD CONSTRAINT "job_runs_triggered_by_fkey" FOREIGN KEY ("triggered_by") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
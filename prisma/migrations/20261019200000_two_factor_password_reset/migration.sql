@@ -0,0 +1,27 @@
+-- Verificación en dos pasos (TOTP + códigos de recuperación), exigible por rol,
+-- y restablecimiento de contraseña por enlace de un solo uso.
+ALTER TABLE "public"."roles" ADD COLUMN "require_2fa" BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE "public"."users" ADD COLUMN "password_changed_at" TIMESTAMP(3),
+ADD COLUMN "totp_secret" VARCHAR(255),
+ADD COLUMN "totp_enabled" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN "totp_enabled_at" TIMESTAMP(3),
+ADD COLUMN "totp_last_step" INTEGER,
+ADD COLUMN "recovery_codes" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+CREATE TABLE "public"."password_reset_tokens" (
+    "id" UUID NOT NULL,
+    "user_id" UUID NOT NULL,
+    "token_hash" VARCHAR(64) NOT NULL,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "used_at" TIMESTAMP(3),
+    "requested_ip" VARCHAR(64),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "password_reset_tokens_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX "password_reset_tokens_token_hash_key" ON "public"."password_reset_tokens"("token_hash");
+CREATE INDEX "password_reset_tokens_user_id_idx" ON "public"."password_reset_tokens"("user_id");
+
+ALTER TABLE "public"."password_reset_tokens" ADD CONSTRAINT "password_reset_tokens_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,17 @@
+-- Sesiones por dispositivo: los refresh tokens de una misma cadena de rotación
+-- comparten session_id, con agente, IP y último uso. Usuarios desactivables.
+ALTER TABLE "public"."refresh_tokens" ADD COLUMN "session_id" UUID,
+ADD COLUMN "session_started_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN "user_agent" VARCHAR(255),
+ADD COLUMN "ip" VARCHAR(64),
+ADD COLUMN "last_used_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- Tokens previos: cada uno cuenta como su propia sesión
+UPDATE "public"."refresh_tokens"
+SET "session_id" = "id", "session_started_at" = "created_at", "last_used_at" = "created_at";
+
+ALTER TABLE "public"."refresh_tokens" ALTER COLUMN "session_id" SET NOT NULL;
+
+CREATE INDEX "refresh_tokens_session_id_idx" ON "public"."refresh_tokens"("session_id");
+
+ALTER TABLE "public"."users" ADD COLUMN "active" BOOLEAN NOT NULL DEFAULT true;
@@ -0,0 +1,30 @@
+-- Bloqueo progresivo por intentos fallidos, historial de logins y horario de
+-- atención por sucursal (alertas de login fuera de hora).
+ALTER TABLE "public"."users" ADD COLUMN "failed_login_count" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "locked_until" TIMESTAMP(3);
+
+ALTER TABLE "public"."branches" ADD COLUMN "operating_hours" JSONB;
+
+-- CreateTable
+CREATE TABLE "public"."login_events" (
+    "id" UUID NOT NULL,
+    "user_id" UUID,
+    "email" VARCHAR(150) NOT NULL,
+    "success" BOOLEAN NOT NULL,
+    "reason" VARCHAR(30),
+    "ip" VARCHAR(64),
+    "user_agent" VARCHAR(255),
+    "anomalies" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "login_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "login_events_user_id_created_at_idx" ON "public"."login_events"("user_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "login_events_ip_created_at_idx" ON "public"."login_events"("ip", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "public"."login_events" ADD CONSTRAINT "login_events_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- Restricciones por rol sobre sus permisos: ocultar costos, ventas propias o
+-- de la caja asignada, descuento máximo.
+
+-- AlterTable
+ALTER TABLE "public"."roles" ADD COLUMN "restrictions" JSONB;
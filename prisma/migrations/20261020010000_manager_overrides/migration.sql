@@ -0,0 +1,62 @@
+-- Autorizaciones de supervisor en caja: token de un solo uso, atado a la
+-- acción y al registro, enlazado a la venta, devolución o turno donde se usó.
+
+-- CreateEnum
+CREATE TYPE "public"."OverrideAction" AS ENUM ('PRICE_BELOW_COST', 'DISCOUNT_OVER_LIMIT', 'SALE_CANCEL', 'RETURN_WITHOUT_RECEIPT', 'CASH_SESSION_REOPEN');
+
+-- AlterTable
+ALTER TABLE "public"."returns" ADD COLUMN "without_receipt" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "public"."manager_overrides" (
+    "id" UUID NOT NULL,
+    "company_id" UUID NOT NULL,
+    "branch_id" UUID,
+    "action" "public"."OverrideAction" NOT NULL,
+    "target_id" UUID,
+    "reason" VARCHAR(500) NOT NULL,
+    "token_hash" VARCHAR(64) NOT NULL,
+    "authorized_by" UUID NOT NULL,
+    "requested_by" UUID NOT NULL,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "used_at" TIMESTAMP(3),
+    "sale_id" UUID,
+    "return_id" UUID,
+    "cash_session_id" UUID,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "manager_overrides_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "manager_overrides_token_hash_key" ON "public"."manager_overrides"("token_hash");
+
+-- CreateIndex
+CREATE INDEX "manager_overrides_company_id_created_at_idx" ON "public"."manager_overrides"("company_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "manager_overrides_sale_id_idx" ON "public"."manager_overrides"("sale_id");
+
+-- CreateIndex
+CREATE INDEX "manager_overrides_return_id_idx" ON "public"."manager_overrides"("return_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."manager_overrides" ADD CONSTRAINT "manager_overrides_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "public"."companies"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."manager_overrides" ADD CONSTRAINT "manager_overrides_branch_id_fkey" FOREIGN KEY ("branch_id") REFERENCES "public"."branches"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."manager_overrides" ADD CONSTRAINT "manager_overrides_authorized_by_fkey" FOREIGN KEY ("authorized_by") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."manager_overrides" ADD CONSTRAINT "manager_overrides_requested_by_fkey" FOREIGN KEY ("requested_by") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."manager_overrides" ADD CONSTRAINT "manager_overrides_sale_id_fkey" FOREIGN KEY ("sale_id") REFERENCES "public"."sales"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."manager_overrides" ADD CONSTRAINT "manager_overrides_return_id_fkey" FOREIGN KEY ("return_id") REFERENCES "public"."returns"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."manager_overrides" ADD CONSTRAINT "manager_overrides_cash_session_id_fkey" FOREIGN KEY ("cash_session_id") REFERENCES "public"."cash_register_sessions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,21 @@
+-- Tablero configurable: distribución de widgets guardada por usuario y empresa.
+
+-- CreateTable
+CREATE TABLE "public"."dashboard_layouts" (
+    "id" UUID NOT NULL,
+    "user_id" UUID NOT NULL,
+    "company_id" UUID NOT NULL,
+    "widgets" JSONB NOT NULL,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "dashboard_layouts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "dashboard_layouts_user_id_company_id_key" ON "public"."dashboard_layouts"("user_id", "company_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."dashboard_layouts" ADD CONSTRAINT "dashboard_layouts_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."dashboard_layouts" ADD CONSTRAINT "dashboard_layouts_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "public"."companies"("id") ON DELETE CASCADE ON UPDATE CASCADE;
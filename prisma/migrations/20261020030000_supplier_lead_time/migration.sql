@@ -0,0 +1,4 @@
+-- Pronóstico de demanda: tiempo de entrega del proveedor para el punto de reorden.
+
+-- AlterTable
+ALTER TABLE "public"."suppliers" ADD COLUMN "lead_time_days" INTEGER;
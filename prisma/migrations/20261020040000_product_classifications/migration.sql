@@ -0,0 +1,39 @@
+-- Clasificación ABC (por ingreso y por margen) y XYZ (variabilidad de la
+-- demanda) por producto y sucursal, recalculada por tarea programada.
+
+-- CreateEnum
+CREATE TYPE "public"."AbcClass" AS ENUM ('A', 'B', 'C');
+
+-- CreateEnum
+CREATE TYPE "public"."XyzClass" AS ENUM ('X', 'Y', 'Z');
+
+-- CreateTable
+CREATE TABLE "public"."product_classifications" (
+    "id" UUID NOT NULL,
+    "product_id" UUID NOT NULL,
+    "branch_id" UUID NOT NULL,
+    "abc_revenue" "public"."AbcClass" NOT NULL,
+    "abc_margin" "public"."AbcClass" NOT NULL,
+    "xyz" "public"."XyzClass" NOT NULL,
+    "revenue" DECIMAL(14,2) NOT NULL,
+    "margin" DECIMAL(14,2) NOT NULL,
+    "units" INTEGER NOT NULL,
+    "demand_cv" DECIMAL(8,4),
+    "period_start" DATE NOT NULL,
+    "period_end" DATE NOT NULL,
+    "computed_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "product_classifications_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "product_classifications_product_id_branch_id_key" ON "public"."product_classifications"("product_id", "branch_id");
+
+-- CreateIndex
+CREATE INDEX "product_classifications_branch_id_abc_revenue_idx" ON "public"."product_classifications"("branch_id", "abc_revenue");
+
+-- AddForeignKey
+ALTER TABLE "public"."product_classifications" ADD CONSTRAINT "product_classifications_product_id_fkey" FOREIGN KEY ("product_id") REFERENCES "public"."products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."product_classifications" ADD CONSTRAINT "product_classifications_branch_id_fkey" FOREIGN KEY ("branch_id") REFERENCES "public"."branches"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,15 @@
+-- Destino por línea de lo devuelto: vuelve a venta (a una ubicación elegida),
+-- a cuarentena o se da de baja. La baja sale del kardex con su propio motivo.
+
+-- CreateEnum
+CREATE TYPE "public"."ReturnDisposition" AS ENUM ('RESTOCK', 'QUARANTINE', 'SCRAP');
+
+-- AlterEnum
+ALTER TYPE "public"."StockMovementReason" ADD VALUE IF NOT EXISTS 'RETURN_SCRAP';
+
+-- AlterTable
+ALTER TABLE "public"."return_items" ADD COLUMN "disposition" "public"."ReturnDisposition" NOT NULL DEFAULT 'RESTOCK',
+ADD COLUMN "location_id" UUID;
+
+-- AddForeignKey
+ALTER TABLE "public"."return_items" ADD CONSTRAINT "return_items_location_id_fkey" FOREIGN KEY ("location_id") REFERENCES "public"."stock_locations"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,104 @@
+-- Saldos a favor de clientes y tarjetas de regalo: se emiten desde una
+-- devolución o al vender un producto tarjeta, se cobran como medio de pago y
+-- vencen. El pasivo se contabiliza en la cuenta por defecto `storedValue`.
+
+-- CreateEnum
+CREATE TYPE "public"."ReturnRefundTarget" AS ENUM ('ORIGINAL', 'STORE_CREDIT', 'GIFT_CARD');
+
+-- CreateEnum
+CREATE TYPE "public"."StoredValueKind" AS ENUM ('STORE_CREDIT', 'GIFT_CARD');
+
+-- CreateEnum
+CREATE TYPE "public"."StoredValueMovementType" AS ENUM ('ISSUE', 'REDEEM', 'REFUND', 'VOID', 'EXPIRE');
+
+-- AlterEnum
+ALTER TYPE "public"."JournalSourceType" ADD VALUE IF NOT EXISTS 'STORED_VALUE';
+
+-- AlterTable
+ALTER TABLE "public"."products" ADD COLUMN "is_gift_card" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "public"."returns" ADD COLUMN "refund_to" "public"."ReturnRefundTarget" NOT NULL DEFAULT 'ORIGINAL',
+ADD COLUMN "credit_amount" DECIMAL(12,2) NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "public"."sale_payments" ADD COLUMN "stored_value_account_id" UUID;
+
+-- CreateTable
+CREATE TABLE "public"."stored_value_accounts" (
+    "id" UUID NOT NULL,
+    "company_id" UUID NOT NULL,
+    "kind" "public"."StoredValueKind" NOT NULL,
+    "code" VARCHAR(32) NOT NULL,
+    "customer_contact_id" UUID,
+    "balance" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "initial_amount" DECIMAL(12,2) NOT NULL,
+    "expires_at" TIMESTAMP(3),
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "branch_id" UUID,
+    "created_by" UUID,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "stored_value_accounts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."stored_value_movements" (
+    "id" UUID NOT NULL,
+    "account_id" UUID NOT NULL,
+    "type" "public"."StoredValueMovementType" NOT NULL,
+    "amount" DECIMAL(12,2) NOT NULL,
+    "balance_after" DECIMAL(12,2) NOT NULL,
+    "sale_id" UUID,
+    "return_id" UUID,
+    "branch_id" UUID,
+    "created_by" UUID,
+    "notes" VARCHAR(255),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "stored_value_movements_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "stored_value_accounts_company_id_code_key" ON "public"."stored_value_accounts"("company_id", "code");
+
+-- CreateIndex
+CREATE INDEX "stored_value_accounts_company_id_kind_active_idx" ON "public"."stored_value_accounts"("company_id", "kind", "active");
+
+-- CreateIndex
+CREATE INDEX "stored_value_accounts_customer_contact_id_idx" ON "public"."stored_value_accounts"("customer_contact_id");
+
+-- CreateIndex
+CREATE INDEX "stored_value_movements_account_id_created_at_idx" ON "public"."stored_value_movements"("account_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "stored_value_movements_sale_id_idx" ON "public"."stored_value_movements"("sale_id");
+
+-- CreateIndex
+CREATE INDEX "stored_value_movements_return_id_idx" ON "public"."stored_value_movements"("return_id");
+
+-- CreateIndex
+CREATE INDEX "stored_value_movements_type_created_at_idx" ON "public"."stored_value_movements"("type", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "public"."sale_payments" ADD CONSTRAINT "sale_payments_stored_value_account_id_fkey" FOREIGN KEY ("stored_value_account_id") REFERENCES "public"."stored_value_accounts"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."stored_value_accounts" ADD CONSTRAINT "stored_value_accounts_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "public"."companies"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."stored_value_accounts" ADD CONSTRAINT "stored_value_accounts_customer_contact_id_fkey" FOREIGN KEY ("customer_contact_id") REFERENCES "public"."suppliers"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."stored_value_movements" ADD CONSTRAINT "stored_value_movements_account_id_fkey" FOREIGN KEY ("account_id") REFERENCES "public"."stored_value_accounts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."stored_value_movements" ADD CONSTRAINT "stored_value_movements_sale_id_fkey" FOREIGN KEY ("sale_id") REFERENCES "public"."sales"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."stored_value_movements" ADD CONSTRAINT "stored_value_movements_return_id_fkey" FOREIGN KEY ("return_id") REFERENCES "public"."returns"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- El medio con que se cobra un saldo a favor o una tarjeta de regalo; el
+-- código de la tarjeta (o el cliente de la venta) dice de qué cuenta sale.
+INSERT INTO "public"."payment_methods" (name) VALUES ('Saldo a favor') ON CONFLICT (name) DO NOTHING;
@@ -0,0 +1,21 @@
+-- Solicitudes de traslado: la sucursal que necesita mercancía la pide, la que
+-- la tiene aprueba (ajustando cantidades) y después despacha. Un envío
+-- directo sigue naciendo EN_TRANSITO.
+
+-- AlterEnum
+ALTER TYPE "public"."StockTransferStatus" ADD VALUE IF NOT EXISTS 'SOLICITADA' BEFORE 'EN_TRANSITO';
+ALTER TYPE "public"."StockTransferStatus" ADD VALUE IF NOT EXISTS 'APROBADA' BEFORE 'EN_TRANSITO';
+ALTER TYPE "public"."StockTransferStatus" ADD VALUE IF NOT EXISTS 'RECHAZADA';
+
+-- AlterTable
+ALTER TABLE "public"."stock_transfers" ADD COLUMN "requested_at" TIMESTAMP(3),
+ADD COLUMN "approved_by" UUID,
+ADD COLUMN "approved_at" TIMESTAMP(3),
+ADD COLUMN "rejected_at" TIMESTAMP(3),
+ADD COLUMN "rejection_reason" VARCHAR(255);
+
+-- AlterTable
+ALTER TABLE "public"."stock_transfer_lines" ADD COLUMN "qty_requested" INTEGER;
+
+-- AddForeignKey
+ALTER TABLE "public"."stock_transfers" ADD CONSTRAINT "stock_transfers_approved_by_fkey" FOREIGN KEY ("approved_by") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
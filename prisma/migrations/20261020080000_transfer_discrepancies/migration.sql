@@ -0,0 +1,67 @@
+-- Diferencias al recibir un traslado: lo dañado o faltante queda en disputa
+-- (ni en el origen ni en el destino) hasta que se devuelve al origen, se da de
+-- baja o se le cobra al transportista; lo que llegó de más se registra aparte.
+
+-- CreateEnum
+CREATE TYPE "public"."TransferDiscrepancyReason" AS ENUM ('DAMAGED', 'MISSING', 'OVER_SHIPPED');
+
+-- CreateEnum
+CREATE TYPE "public"."TransferDiscrepancyResolution" AS ENUM ('RETURN_TO_ORIGIN', 'WRITE_OFF', 'CHARGE_CARRIER');
+
+-- AlterEnum
+ALTER TYPE "public"."StockMovementReason" ADD VALUE IF NOT EXISTS 'TRANSFER_RETURN';
+
+-- AlterEnum
+ALTER TYPE "public"."SerialStatus" ADD VALUE IF NOT EXISTS 'WRITTEN_OFF';
+
+-- AlterEnum
+ALTER TYPE "public"."SerialEventType" ADD VALUE IF NOT EXISTS 'TRANSFER_RETURNED';
+ALTER TYPE "public"."SerialEventType" ADD VALUE IF NOT EXISTS 'WRITTEN_OFF';
+
+-- AlterEnum
+ALTER TYPE "public"."JournalSourceType" ADD VALUE IF NOT EXISTS 'TRANSFER_DISCREPANCY';
+
+-- CreateTable
+CREATE TABLE "public"."transfer_discrepancies" (
+    "id" UUID NOT NULL,
+    "transfer_id" UUID NOT NULL,
+    "line_id" UUID NOT NULL,
+    "product_id" UUID NOT NULL,
+    "reason" "public"."TransferDiscrepancyReason" NOT NULL,
+    "qty" INTEGER NOT NULL,
+    "unit_cost" DECIMAL(12,2) NOT NULL,
+    "lots_snapshot" JSONB,
+    "serials" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "notes" VARCHAR(255),
+    "created_by" UUID,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "resolution" "public"."TransferDiscrepancyResolution",
+    "carrier_name" VARCHAR(150),
+    "charge_amount" DECIMAL(12,2),
+    "resolution_notes" VARCHAR(255),
+    "resolved_by" UUID,
+    "resolved_at" TIMESTAMP(3),
+
+    CONSTRAINT "transfer_discrepancies_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "transfer_discrepancies_transfer_id_idx" ON "public"."transfer_discrepancies"("transfer_id");
+
+-- CreateIndex
+CREATE INDEX "transfer_discrepancies_product_id_resolution_idx" ON "public"."transfer_discrepancies"("product_id", "resolution");
+
+-- AddForeignKey
+ALTER TABLE "public"."transfer_discrepancies" ADD CONSTRAINT "transfer_discrepancies_transfer_id_fkey" FOREIGN KEY ("transfer_id") REFERENCES "public"."stock_transfers"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."transfer_discrepancies" ADD CONSTRAINT "transfer_discrepancies_line_id_fkey" FOREIGN KEY ("line_id") REFERENCES "public"."stock_transfer_lines"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."transfer_discrepancies" ADD CONSTRAINT "transfer_discrepancies_product_id_fkey" FOREIGN KEY ("product_id") REFERENCES "public"."products"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."transfer_discrepancies" ADD CONSTRAINT "transfer_discrepancies_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."transfer_discrepancies" ADD CONSTRAINT "transfer_discrepancies_resolved_by_fkey" FOREIGN KEY ("resolved_by") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,128 @@
+-- Programa de puntos para clientes del maestro: reglas de acumulación por
+-- monto, categoría y canal; cuenta de puntos por cliente con su historia;
+-- canje como descuento en la venta y niveles que fijan una regla de precio.
+
+-- CreateEnum
+CREATE TYPE "public"."LoyaltyMovementType" AS ENUM ('EARN', 'REDEEM', 'REVERSE', 'RESTORE', 'ADJUST');
+
+-- AlterTable
+ALTER TABLE "public"."customer_price_rules" ADD COLUMN     "loyalty_tier_id" UUID;
+
+-- AlterTable
+ALTER TABLE "public"."sales" ADD COLUMN     "loyalty_points_redeemed" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "loyalty_discount" DECIMAL(12,2) NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "public"."loyalty_earn_rules" (
+    "id" UUID NOT NULL,
+    "company_id" UUID NOT NULL,
+    "name" VARCHAR(100) NOT NULL,
+    "points" INTEGER NOT NULL,
+    "per_amount" DECIMAL(12,2) NOT NULL,
+    "category_id" INTEGER,
+    "channel" "public"."SalesChannel",
+    "min_sale_total" DECIMAL(12,2),
+    "priority" INTEGER NOT NULL DEFAULT 0,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "loyalty_earn_rules_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."loyalty_tiers" (
+    "id" UUID NOT NULL,
+    "company_id" UUID NOT NULL,
+    "name" VARCHAR(60) NOT NULL,
+    "min_points" INTEGER NOT NULL,
+    "price_tier" "public"."PriceTier",
+    "channel" "public"."SalesChannel",
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "loyalty_tiers_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."loyalty_accounts" (
+    "id" UUID NOT NULL,
+    "company_id" UUID NOT NULL,
+    "customer_contact_id" UUID NOT NULL,
+    "balance" INTEGER NOT NULL DEFAULT 0,
+    "lifetime_points" INTEGER NOT NULL DEFAULT 0,
+    "tier_id" UUID,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "loyalty_accounts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."loyalty_movements" (
+    "id" UUID NOT NULL,
+    "account_id" UUID NOT NULL,
+    "type" "public"."LoyaltyMovementType" NOT NULL,
+    "points" INTEGER NOT NULL,
+    "balance_after" INTEGER NOT NULL,
+    "sale_id" UUID,
+    "return_id" UUID,
+    "branch_id" UUID,
+    "created_by" UUID,
+    "notes" VARCHAR(255),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "loyalty_movements_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "loyalty_earn_rules_company_id_active_idx" ON "public"."loyalty_earn_rules"("company_id", "active");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "loyalty_tiers_company_id_name_key" ON "public"."loyalty_tiers"("company_id", "name");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "loyalty_tiers_company_id_min_points_key" ON "public"."loyalty_tiers"("company_id", "min_points");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "loyalty_accounts_customer_contact_id_key" ON "public"."loyalty_accounts"("customer_contact_id");
+
+-- CreateIndex
+CREATE INDEX "loyalty_accounts_company_id_tier_id_idx" ON "public"."loyalty_accounts"("company_id", "tier_id");
+
+-- CreateIndex
+CREATE INDEX "loyalty_movements_account_id_created_at_idx" ON "public"."loyalty_movements"("account_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "loyalty_movements_sale_id_idx" ON "public"."loyalty_movements"("sale_id");
+
+-- CreateIndex
+CREATE INDEX "loyalty_movements_return_id_idx" ON "public"."loyalty_movements"("return_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."customer_price_rules" ADD CONSTRAINT "customer_price_rules_loyalty_tier_id_fkey" FOREIGN KEY ("loyalty_tier_id") REFERENCES "public"."loyalty_tiers"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."loyalty_earn_rules" ADD CONSTRAINT "loyalty_earn_rules_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "public"."companies"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."loyalty_earn_rules" ADD CONSTRAINT "loyalty_earn_rules_category_id_fkey" FOREIGN KEY ("category_id") REFERENCES "public"."product_categories"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."loyalty_tiers" ADD CONSTRAINT "loyalty_tiers_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "public"."companies"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."loyalty_accounts" ADD CONSTRAINT "loyalty_accounts_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "public"."companies"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."loyalty_accounts" ADD CONSTRAINT "loyalty_accounts_customer_contact_id_fkey" FOREIGN KEY ("customer_contact_id") REFERENCES "public"."suppliers"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."loyalty_accounts" ADD CONSTRAINT "loyalty_accounts_tier_id_fkey" FOREIGN KEY ("tier_id") REFERENCES "public"."loyalty_tiers"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."loyalty_movements" ADD CONSTRAINT "loyalty_movements_account_id_fkey" FOREIGN KEY ("account_id") REFERENCES "public"."loyalty_accounts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."loyalty_movements" ADD CONSTRAINT "loyalty_movements_sale_id_fkey" FOREIGN KEY ("sale_id") REFERENCES "public"."sales"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."loyalty_movements" ADD CONSTRAINT "loyalty_movements_return_id_fkey" FOREIGN KEY ("return_id") REFERENCES "public"."returns"("id") ON DELETE SET NULL ON UPDATE CASCADE;
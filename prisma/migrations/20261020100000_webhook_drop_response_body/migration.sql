@@ -0,0 +1,5 @@
+-- El log de entregas deja de guardar el cuerpo de la respuesta del receptor:
+-- solo el código HTTP. Se borra también lo que ya estaba guardado.
+
+-- AlterTable
+ALTER TABLE "public"."webhook_deliveries" DROP COLUMN "response_body";
@@ -0,0 +1,5 @@
+-- Autorizaciones de la venta en curso (precio bajo el costo, descuento sobre
+-- el máximo) atadas a lo que aprobó el supervisor: la línea o el carrito.
+
+-- AlterTable
+ALTER TABLE "public"."manager_overrides" ADD COLUMN "binding" VARCHAR(120);
@@ -10,6 +10,7 @@
 
 const { PrismaClient } = require('@prisma/client')
 const { seedChartOfAccounts } = require('../src/services/accounting/seedChartOfAccounts')
+const { seedUnitsOfMeasure } = require('../src/services/units')
 const prisma = new PrismaClient()
 
 // Mismos ids que la migración 20260811120000_multi_company_branches, para que
@@ -73,7 +74,7 @@ async function main() {
   const statuses = ['Activa', 'Resuelta', 'Pendiente']
   const stockStatuses = ['Disponible', 'Bajo', 'Agotado']
   const saleStatuses = ['Completada', 'Cancelada']
-  const paymentMethods = ['Efectivo', 'Tarjeta', 'Transferencia']
+  const paymentMethods = ['Efectivo', 'Tarjeta', 'Transferencia', 'Crédito', 'Saldo a favor']
   const alertTypes = ['Stock Bajo', 'Sin Stock', 'Vencimiento', 'Precio']
   const alertPriorities = ['Baja', 'Media', 'Alta', 'Crítica']
   const returnStatuses = ['Pendiente', 'Aprobada', 'Rechazada', 'Completada']
@@ -110,6 +111,9 @@ async function main() {
     { code: 'transfers.create', name: 'Crear traslados', description: 'Puede enviar mercancía a otra sucursal' },
     { code: 'transfers.receive', name: 'Recibir traslados', description: 'Puede confirmar la recepción de traslados' },
     { code: 'transfers.cancel', name: 'Cancelar traslados', description: 'Puede cancelar traslados en tránsito' },
+    { code: 'transfers.request', name: 'Solicitar traslados', description: 'Puede pedir mercancía a otra sucursal' },
+    { code: 'transfers.approve', name: 'Aprobar solicitudes de traslado', description: 'Puede aprobar, ajustar o rechazar lo que otra sucursal pide' },
+    { code: 'transfers.resolve', name: 'Resolver diferencias de traslado', description: 'Puede devolver al origen, dar de baja o cobrar al transportista lo que no llegó' },
     { code: 'warehouses.view', name: 'Ver almacenes', description: 'Puede ver almacenes y ubicaciones' },
     { code: 'warehouses.manage', name: 'Gestionar almacenes', description: 'Puede crear y editar almacenes y ubicaciones' },
     { code: 'stock_moves.view', name: 'Ver movimientos', description: 'Puede ver movimientos internos y kardex' },
@@ -152,6 +156,8 @@ async function main() {
     { code: 'sales.view_invoice', name: 'Ver factura', description: 'Puede consultar la factura de una venta' },
     { code: 'sales.create', name: 'Crear ventas', description: 'Puede registrar nuevas ventas' },
     { code: 'sales.cancel', name: 'Anular / actualizar ventas', description: 'Puede anular o actualizar ventas' },
+    { code: 'pos.override', name: 'Autorizar excepciones en caja', description: 'Puede autorizar (y hacer sin autorización) ventas bajo el costo, descuentos sobre el máximo del rol, anulaciones, devoluciones sin comprobante y reapertura de turnos' },
+    { code: 'sales.certify', name: 'Certificar facturas electrónicas', description: 'Puede certificar la factura FEL de una venta y reintentar documentos con error' },
 
     // Cotizaciones
     { code: 'quotes.view', name: 'Ver cotizaciones', description: 'Puede ver cotizaciones comerciales' },
@@ -165,6 +171,9 @@ async function main() {
 
     { code: 'returns.view', name: 'Ver devoluciones', description: 'Puede ver devoluciones' },
     { code: 'returns.manage', name: 'Gestionar devoluciones', description: 'Puede crear y cambiar estado de devoluciones' },
+    { code: 'stored_value.view', name: 'Ver saldos a favor y tarjetas', description: 'Puede ver saldos a favor, tarjetas de regalo y su historia' },
+    { code: 'loyalty.view', name: 'Ver puntos de clientes', description: 'Puede ver reglas, niveles y el estado de cuenta de puntos de los clientes' },
+    { code: 'loyalty.manage', name: 'Gestionar programa de puntos', description: 'Puede configurar reglas y niveles y ajustar puntos de un cliente' },
 
     // Cierre de caja
     { code: 'cashclosure.view', name: 'Ver cierres de caja', description: 'Puede ver cierres de caja' },
@@ -181,6 +190,10 @@ async function main() {
     // Configuración del sistema
     { code: 'settings.view', name: 'Ver configuración', description: 'Puede ver la configuración del sistema' },
     { code: 'settings.manage', name: 'Gestionar configuración', description: 'Puede modificar configuración (denominaciones, moneda, empresa)' },
+    { code: 'audit.view', name: 'Ver bitácora de auditoría', description: 'Puede consultar quién cambió qué (productos, precios, roles, configuración, usuarios)' },
+    { code: 'webhooks.manage', name: 'Gestionar webhooks', description: 'Puede suscribir sistemas externos a eventos, ver entregas y reenviarlas' },
+    { code: 'api_keys.manage', name: 'Gestionar llaves de API', description: 'Puede crear, editar y revocar llaves de API para integraciones (con permisos que él mismo tenga)' },
+    { code: 'jobs.manage', name: 'Gestionar tareas programadas', description: 'Puede ver el historial de las tareas automáticas del servidor (vencimientos, contabilización, alertas, cuadre de existencias) y correrlas a mano (además, su correo debe estar en PLATFORM_ADMIN_EMAILS)' },
 
     // Alertas y analítica
     { code: 'alerts.view', name: 'Ver alertas', description: 'Puede ver alertas de stock y sistema' },
@@ -203,6 +216,14 @@ async function main() {
       description: 'Puede actualizar término de pago, estado y fechas de pago en registros de ingreso',
     },
 
+    // Órdenes de compra (antes del ingreso de mercancía)
+    { code: 'purchase_orders.view', name: 'Ver órdenes de compra', description: 'Puede ver órdenes de compra a proveedores y lo pendiente de recibir' },
+    { code: 'purchase_orders.manage', name: 'Gestionar órdenes de compra', description: 'Puede crear, editar, enviar y cancelar órdenes de compra' },
+
+    // Cuentas por cobrar (ventas al crédito)
+    { code: 'receivables.view', name: 'Ver cuentas por cobrar', description: 'Puede ver la cartera de clientes y el reporte de antigüedad de saldos' },
+    { code: 'receivables.collect', name: 'Registrar abonos de clientes', description: 'Puede registrar y eliminar abonos a ventas al crédito' },
+
     // Contabilidad
     { code: 'accounting.view', name: 'Ver contabilidad', description: 'Puede consultar libros y reportes contables' },
     { code: 'accounting.create', name: 'Registrar asientos', description: 'Puede crear asientos manuales, anular y contabilizar operaciones' },
@@ -393,6 +414,12 @@ async function main() {
   await seedChartOfAccounts(prisma, DEFAULT_COMPANY_ID)
   console.log('  Catálogo de cuentas y mapeo por defecto listos')
 
+  // ========================================
+  // 7d. UNIDADES DE MEDIDA
+  // ========================================
+  await seedUnitsOfMeasure(prisma, DEFAULT_COMPANY_ID)
+  console.log('  Unidades de medida listas')
+
   // ========================================
   // 8. USUARIO ADMIN POR DEFECTO (OPCIONAL)
   // ========================================
@@ -38,6 +38,10 @@ const IMPLIES = {
   // Al recibir se elige la ubicación de destino.
   'transfers.receive': ['transfers.view', 'warehouses.view'],
   'transfers.cancel': ['transfers.view'],
+  'transfers.request': ['transfers.view', 'products.view'],
+  // Quien aprueba ve la disponibilidad del origen por línea.
+  'transfers.approve': ['transfers.view', 'products.view'],
+  'transfers.resolve': ['transfers.view', 'products.view'],
 
   // --- Inventario -----------------------------------------------------------
   // /inventario abre con la barra de alcance (sucursal · almacén · ubicación) y
@@ -81,6 +85,7 @@ const IMPLIES = {
   'sales.view_detail': ['sales.view'],
   'sales.view_invoice': ['sales.view'],
   'sales.cancel': ['sales.view', 'sales.view_detail'],
+  'sales.certify': ['sales.view', 'sales.view_invoice'],
   'quotes.create': ['quotes.view', 'products.view', 'contacts.clients.view'],
   'quotes.manage': ['quotes.view'],
   'orders.create': ['orders.view', 'products.view', 'contacts.clients.view'],
@@ -101,6 +106,21 @@ const IMPLIES = {
   'merchandise.reports': ['merchandise.view'],
   'merchandise.mark_paid': ['merchandise.view', 'merchandise.details'],
 
+  // --- Órdenes de compra ----------------------------------------------------
+  // La orden elige proveedor y sus productos; lo recibido son ingresos.
+  'purchase_orders.view': ['contacts.suppliers.view', 'products.view', 'merchandise.view'],
+  'purchase_orders.manage': ['purchase_orders.view'],
+
+  // --- Cuentas por cobrar ---------------------------------------------------
+  // La cartera filtra por cliente y abre la venta de cada saldo.
+  'receivables.view': ['contacts.clients.view', 'sales.view'],
+  'receivables.collect': ['receivables.view'],
+  // El saldo a favor es de un cliente del maestro.
+  'stored_value.view': ['contacts.clients.view'],
+  // Los puntos son de un cliente del maestro; las reglas eligen categorías.
+  'loyalty.view': ['contacts.clients.view'],
+  'loyalty.manage': ['loyalty.view', 'catalogs.view'],
+
   // --- Resto ----------------------------------------------------------------
   'catalogs.manage': ['catalogs.view'],
   'settings.manage': ['settings.view'],
@@ -115,6 +135,43 @@ const IMPLIES = {
   'accounting.manage': ['accounting.view', 'accounting.create'],
 }
 
+/**
+ * Restricciones por rol: recortan lo que un permiso deja ver o hacer, sin
+ * quitarlo. Se guardan en `roles.restrictions` ({ clave: valor }) y viajan en
+ * el token junto a los permisos; el admin no tiene ninguna.
+ *
+ * `permission` es el permiso que acotan (la pantalla de roles las muestra
+ * junto a él) y `applies` dice dónde se aplican, para revisar cuando se sume
+ * una pantalla o un reporte nuevo que toque lo mismo.
+ */
+const RESTRICTIONS = {
+  'products.hide_cost': {
+    type: 'boolean',
+    permission: 'products.view',
+    description: 'Ocultar costo y margen',
+    applies: [
+      'Productos: listado, detalle y PDF/CSV',
+      'Ventas: costo de cada línea',
+      'Reportes: columnas de costo y valor; financiero, catálogo y mercancía no se generan',
+    ],
+  },
+  'sales.scope': {
+    type: 'enum',
+    values: ['own', 'register'],
+    permission: 'sales.view',
+    description: 'Solo ventas propias (own) o de la caja asignada al usuario (register)',
+    applies: ['Ventas: listado y detalle', 'Reportes de ventas y financiero'],
+  },
+  'sales.max_discount_pct': {
+    type: 'number',
+    min: 0,
+    max: 100,
+    permission: 'sales.create',
+    description: 'Descuento máximo por venta, en % del subtotal',
+    applies: ['POS: códigos de promoción al cobrar'],
+  },
+}
+
 /**
  * Cierra la lista con todo lo que arrastra, en cascada (manage → view → …).
  * @param {Iterable<string>} codes
@@ -132,4 +189,4 @@ function expandPermissions(codes) {
   return [...out]
 }
 
-module.exports = { IMPLIES, expandPermissions }
+module.exports = { IMPLIES, RESTRICTIONS, expandPermissions }
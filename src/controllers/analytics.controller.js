@@ -10,6 +10,7 @@
 
 const { prisma } = require('../models/prisma')
 const { DateTime } = require('luxon')
+const { saleTenderShares } = require('../services/salePayments')
 
 const number = (v) => {
   if (v === null || v === undefined) return 0
@@ -86,7 +87,9 @@ exports.summary = async (req, res, next) => {
         total_returned: true,
         adjusted_total: true,
         sales_channel: true,
+        payment_method_id: true,
         payment_method: { select: { name: true } },
+        payments: { select: { payment_method_id: true, amount: true, payment_method: { select: { name: true } } } },
       }
     })
 
@@ -152,10 +155,13 @@ exports.summary = async (req, res, next) => {
       totalReturns += returned
 
       const net = saleTotal - returned
-      const pmName = sale.payment_method?.name || 'Otro'
-      const pm = byPaymentMethod.get(pmName) || { total: 0, count: 0 }
-      pm.total += net; pm.count += 1
-      byPaymentMethod.set(pmName, pm)
+      // Pago mixto: cada medio cuenta lo que cobró, no la venta entera.
+      for (const tender of saleTenderShares(sale)) {
+        const pmName = tender.name || 'Otro'
+        const pm = byPaymentMethod.get(pmName) || { total: 0, count: 0 }
+        pm.total += tender.net; pm.count += 1
+        byPaymentMethod.set(pmName, pm)
+      }
 
       const ch = sale.sales_channel || 'POS'
       const chRow = byChannel.get(ch) || { total: 0, count: 0 }
@@ -0,0 +1,187 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Llaves de API de la empresa. La llave completa solo se devuelve al crearla;
+ * revocar la deja en el listado (con su último uso) pero ya no autentica.
+ */
+
+const { prisma } = require('../models/prisma')
+const { generateApiKey, normalizeApiKeyPermissions } = require('../services/apiKeys')
+const { recordAudit } = require('../services/auditLog')
+
+const MAX_RATE_LIMIT = 10000
+
+const API_KEY_SELECT = {
+  id: true,
+  name: true,
+  prefix: true,
+  permissions: true,
+  branch_id: true,
+  branch: { select: { id: true, name: true, code: true } },
+  rate_limit_per_minute: true,
+  expires_at: true,
+  revoked_at: true,
+  last_used_at: true,
+  last_used_ip: true,
+  created_by: true,
+  creator: { select: { id: true, name: true } },
+  created_at: true,
+  updated_at: true,
+}
+
+function httpError(status, message) {
+  const err = new Error(message)
+  err.status = status
+  return err
+}
+
+function withStatus(apiKey, now = new Date()) {
+  let status = 'ACTIVE'
+  if (apiKey.revoked_at) status = 'REVOKED'
+  else if (apiKey.expires_at && apiKey.expires_at <= now) status = 'EXPIRED'
+  return { ...apiKey, status }
+}
+
+async function findApiKey(req) {
+  return prisma.apiKey.findFirst({
+    where: { id: String(req.params.id), company_id: req.companyId },
+    select: API_KEY_SELECT,
+  })
+}
+
+async function parsePermissions(req, raw) {
+  const known = await prisma.permission.findMany({ select: { code: true } })
+  return normalizeApiKeyPermissions(raw, { knownCodes: known.map((p) => p.code), grantor: req.user })
+}
+
+function isAdmin(user) {
+  return String(user?.role?.name || user?.role_name || '').toLowerCase() === 'admin'
+}
+
+/**
+ * Sucursal de la llave. Sin ella la llave llega a toda la empresa: solo un
+ * admin puede crearla así; los demás la restringen a una de sus sucursales.
+ */
+async function parseBranch(req, raw) {
+  const admin = isAdmin(req.user)
+  if (raw == null || raw === '') {
+    if (!admin) throw httpError(400, 'branch_id es obligatorio: indica una de tus sucursales')
+    return null
+  }
+  const branch = await prisma.branch.findFirst({
+    where: { id: String(raw), company_id: req.companyId },
+    select: { id: true },
+  })
+  if (!branch) throw httpError(400, 'La sucursal indicada no es de esta empresa')
+  const own = req.userBranchIds || (req.branchId ? [req.branchId] : [])
+  if (!admin && !own.includes(branch.id)) throw httpError(403, 'No tienes acceso a esa sucursal')
+  return branch.id
+}
+
+function parseExpiry(raw) {
+  if (raw == null || raw === '') return null
+  const date = new Date(raw)
+  if (Number.isNaN(date.getTime())) throw httpError(400, 'expires_at no es una fecha válida')
+  if (date <= new Date()) throw httpError(400, 'expires_at debe ser una fecha futura')
+  return date
+}
+
+function parseRateLimit(raw) {
+  if (raw == null || raw === '') return null
+  const value = Number(raw)
+  if (!Number.isInteger(value) || value < 1 || value > MAX_RATE_LIMIT) {
+    throw httpError(400, `rate_limit_per_minute debe ser un entero entre 1 y ${MAX_RATE_LIMIT}`)
+  }
+  return value
+}
+
+// GET /api/api-keys
+exports.list = async (req, res, next) => {
+  try {
+    const items = await prisma.apiKey.findMany({
+      where: { company_id: req.companyId },
+      select: API_KEY_SELECT,
+      orderBy: { created_at: 'desc' },
+    })
+    res.json({ items: items.map((k) => withStatus(k)) })
+  } catch (e) {
+    next(e)
+  }
+}
+
+// POST /api/api-keys — { name, permissions, branch_id?, expires_at?, rate_limit_per_minute? }
+exports.create = async (req, res, next) => {
+  try {
+    const body = req.body || {}
+    const name = String(body.name || '').trim().slice(0, 100)
+    if (!name) return res.status(400).json({ message: 'name es obligatorio' })
+    const data = {
+      company_id: req.companyId,
+      name,
+      permissions: await parsePermissions(req, body.permissions),
+      branch_id: await parseBranch(req, body.branch_id),
+      expires_at: parseExpiry(body.expires_at),
+      rate_limit_per_minute: parseRateLimit(body.rate_limit_per_minute),
+      created_by: req.user.sub,
+    }
+    const { key, prefix, keyHash } = generateApiKey()
+    const created = await prisma.apiKey.create({
+      data: { ...data, prefix, key_hash: keyHash },
+      select: API_KEY_SELECT,
+    })
+    await recordAudit(prisma, req, { entity: 'api_key', entityId: created.id, action: 'create', after: created, branchId: null })
+    res.status(201).json({ ...withStatus(created), key })
+  } catch (e) {
+    next(e)
+  }
+}
+
+// PUT /api/api-keys/:id — { name?, permissions?, branch_id?, expires_at?, rate_limit_per_minute? }
+exports.update = async (req, res, next) => {
+  try {
+    const existing = await findApiKey(req)
+    if (!existing) return res.status(404).json({ message: 'Llave no encontrada' })
+    if (existing.revoked_at) return res.status(409).json({ message: 'La llave está revocada' })
+    const body = req.body || {}
+    const data = {}
+    if (body.name !== undefined) {
+      data.name = String(body.name || '').trim().slice(0, 100)
+      if (!data.name) return res.status(400).json({ message: 'name no puede quedar vacío' })
+    }
+    if (body.permissions !== undefined) data.permissions = await parsePermissions(req, body.permissions)
+    if (body.branch_id !== undefined) data.branch_id = await parseBranch(req, body.branch_id)
+    if (body.expires_at !== undefined) data.expires_at = parseExpiry(body.expires_at)
+    if (body.rate_limit_per_minute !== undefined) data.rate_limit_per_minute = parseRateLimit(body.rate_limit_per_minute)
+    const updated = await prisma.apiKey.update({ where: { id: existing.id }, data, select: API_KEY_SELECT })
+    await recordAudit(prisma, req, { entity: 'api_key', entityId: existing.id, action: 'update', before: existing, after: updated, branchId: null })
+    res.json(withStatus(updated))
+  } catch (e) {
+    next(e)
+  }
+}
+
+// DELETE /api/api-keys/:id — revoca en el acto (la fila queda para consulta)
+exports.revoke = async (req, res, next) => {
+  try {
+    const existing = await findApiKey(req)
+    if (!existing) return res.status(404).json({ message: 'Llave no encontrada' })
+    if (existing.revoked_at) return res.json(withStatus(existing))
+    const updated = await prisma.apiKey.update({
+      where: { id: existing.id },
+      data: { revoked_at: new Date() },
+      select: API_KEY_SELECT,
+    })
+    await recordAudit(prisma, req, { entity: 'api_key', entityId: existing.id, action: 'revoke', before: existing, after: updated, branchId: null })
+    res.json(withStatus(updated))
+  } catch (e) {
+    next(e)
+  }
+}
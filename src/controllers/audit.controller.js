@@ -0,0 +1,110 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Consulta de la bitácora de auditoría de la empresa (la escriben los
+ * controladores con services/auditLog). Solo lectura.
+ */
+
+const { DateTime } = require('luxon')
+const { prisma } = require('../models/prisma')
+const { getTimezone } = require('../utils/getTimezone')
+
+const AUDIT_INCLUDE = {
+  user: { select: { id: true, name: true, email: true } },
+  branch: { select: { id: true, name: true, code: true } },
+}
+
+/** YYYY-MM-DD = día completo en la zona de la empresa; otra cosa, instante ISO. */
+function parseBound(raw, tz, edge) {
+  const s = String(raw || '').trim()
+  if (!s) return null
+  const dt = /^\d{4}-\d{2}-\d{2}$/.test(s)
+    ? DateTime.fromISO(s, { zone: tz })[edge === 'from' ? 'startOf' : 'endOf']('day')
+    : DateTime.fromISO(s, { zone: tz })
+  if (!dt.isValid) {
+    const err = new Error(`${edge} no es una fecha válida`)
+    err.status = 400
+    throw err
+  }
+  return dt.toJSDate()
+}
+
+// GET /api/audit — filtros: entity, entity_id, action, user_id, branch_id, request_id, from, to
+exports.list = async (req, res, next) => {
+  try {
+    const q = req.query || {}
+    const page = Math.max(1, Number(q.page ?? 1))
+    const pageSize = Math.min(200, Math.max(1, Number(q.pageSize ?? 50)))
+
+    const where = { company_id: req.companyId }
+    if (q.entity) where.entity = String(q.entity)
+    if (q.entity_id) where.entity_id = String(q.entity_id)
+    if (q.action) where.action = String(q.action)
+    if (q.user_id) where.user_id = String(q.user_id)
+    if (q.branch_id) where.branch_id = String(q.branch_id)
+    if (q.request_id) where.request_id = String(q.request_id)
+    if (q.from || q.to) {
+      const tz = await getTimezone(prisma, req.companyId)
+      const from = parseBound(q.from, tz, 'from')
+      const to = parseBound(q.to, tz, 'to')
+      where.created_at = {}
+      if (from) where.created_at.gte = from
+      if (to) where.created_at.lte = to
+    }
+
+    const totalItems = await prisma.auditLog.count({ where })
+    const totalPages = Math.max(1, Math.ceil(totalItems / pageSize))
+    const safePage = Math.min(page, totalPages)
+    const items = await prisma.auditLog.findMany({
+      where,
+      include: AUDIT_INCLUDE,
+      orderBy: [{ created_at: 'desc' }, { id: 'desc' }],
+      skip: (safePage - 1) * pageSize,
+      take: pageSize,
+    })
+
+    res.json({
+      items,
+      page: safePage,
+      pageSize,
+      totalPages,
+      totalItems,
+      nextPage: safePage < totalPages ? safePage + 1 : null,
+      prevPage: safePage > 1 ? safePage - 1 : null,
+    })
+  } catch (e) {
+    next(e)
+  }
+}
+
+// GET /api/audit/:entity/:entityId — historia de un registro, del cambio más viejo al más nuevo
+exports.history = async (req, res, next) => {
+  try {
+    const field = String(req.query.field || '').trim()
+    const rows = await prisma.auditLog.findMany({
+      where: {
+        company_id: req.companyId,
+        entity: String(req.params.entity),
+        entity_id: String(req.params.entityId),
+      },
+      include: AUDIT_INCLUDE,
+      orderBy: [{ created_at: 'asc' }, { id: 'asc' }],
+      take: 1000,
+    })
+    // ?field=price: solo los cambios que tocaron ese campo («quién cambió el precio»).
+    const items = field
+      ? rows.filter((r) => (r.after && field in r.after) || (r.before && field in r.before))
+      : rows
+    res.json({ entity: req.params.entity, entity_id: req.params.entityId, items })
+  } catch (e) {
+    next(e)
+  }
+}
@@ -8,13 +8,15 @@
  * For licensing inquiries: GitHub @dpatzan2
  */
 
+const { Prisma } = require('@prisma/client')
 const { prisma } = require('../models/prisma')
 const { hasPerm } = require('../middlewares/tenant')
 const { uniqueCode } = require('../utils/autoCode')
+const { normalizeOperatingHours } = require('../services/loginSecurity')
 
 const BRANCH_SELECT = {
   id: true, company_id: true, name: true, code: true, address: true,
-  phone: true, active: true, is_default: true,
+  phone: true, active: true, is_default: true, operating_hours: true,
 }
 
 // GET /api/branches — sucursales de la empresa actual.
@@ -45,10 +47,11 @@ exports.list = async (req, res, next) => {
 // POST /api/branches — crea sucursal en la empresa actual
 exports.create = async (req, res, next) => {
   try {
-    const { name, code, address, phone } = req.body || {}
+    const { name, code, address, phone, operating_hours } = req.body || {}
     if (!name) {
       return res.status(400).json({ message: 'name es obligatorio' })
     }
+    const operatingHours = normalizeOperatingHours(operating_hours)
     // El código sale del nombre si no lo mandan: es una etiqueta interna, no
     // algo que el usuario deba inventar (y menos recordar cuáles ya usó).
     const branch = await prisma.$transaction(async (tx) => {
@@ -62,6 +65,7 @@ exports.create = async (req, res, next) => {
           code: code ? String(code).toUpperCase() : uniqueCode(name, usados, 10),
           address,
           phone,
+          ...(operatingHours && { operating_hours: operatingHours }),
         },
         select: BRANCH_SELECT,
       })
@@ -87,13 +91,17 @@ exports.update = async (req, res, next) => {
     })
     if (!existing) return res.status(404).json({ message: 'Sucursal no encontrada' })
 
-    const { name, address, phone, active, is_default } = req.body || {}
+    const { name, address, phone, active, is_default, operating_hours } = req.body || {}
     const data = {}
     if (name !== undefined) data.name = name
     if (address !== undefined) data.address = address
     if (phone !== undefined) data.phone = phone
     if (active !== undefined) data.active = Boolean(active)
     if (is_default !== undefined) data.is_default = Boolean(is_default)
+    if (operating_hours !== undefined) {
+      // Quitar el horario: JSON null de Postgres, no el literal "null"
+      data.operating_hours = normalizeOperatingHours(operating_hours) ?? Prisma.DbNull
+    }
 
     const branch = await prisma.$transaction(async (tx) => {
       if (data.is_default === true) {
@@ -11,6 +11,7 @@
 const { prisma } = require('../models/prisma')
 const { DateTime } = require('luxon')
 const { getTimezone } = require('../utils/getTimezone')
+const { isCashMethodName, isCreditMethodName, saleTenderShares } = require('../services/salePayments')
 
 const number = (v) => {
   if (v === null || v === undefined) return 0
@@ -18,11 +19,6 @@ const number = (v) => {
   return Number.isFinite(n) ? n : 0
 }
 
-function isCashPaymentMethodName(name) {
-  const n = String(name || '').toLowerCase()
-  return n.includes('efectivo') || n.includes('cash')
-}
-
 /** Suma el fondo inicial al teórico de efectivo (arqueo por turno). */
 async function applyOpeningFloatToCashBreakdown(paymentMethodsMap, openingFloat) {
   const float = number(openingFloat)
@@ -32,7 +28,7 @@ async function applyOpeningFloatToCashBreakdown(paymentMethodsMap, openingFloat)
 
   let cashEntry = null
   for (const method of paymentMethodsMap.values()) {
-    if (isCashPaymentMethodName(method.name)) {
+    if (isCashMethodName(method.name)) {
       cashEntry = method
       break
     }
@@ -273,6 +269,7 @@ exports.calculateTheoretical = async (req, res, next) => {
       where: salesWhere,
       include: {
         payment_method: true,
+        payments: { include: { payment_method: true } },
         returns: {
           where: {
             status: { name: 'Completada' }
@@ -284,41 +281,87 @@ exports.calculateTheoretical = async (req, res, next) => {
     // Calcular totales teóricos
     let theoreticalSales = 0
     let theoreticalReturns = 0
+    // Lo vendido al crédito no entró a la caja; los abonos de clientes sí.
+    let theoreticalCredit = 0
+    let theoreticalCollections = 0
     const paymentMethodsMap = new Map()
 
     for (const sale of sales) {
-      const saleAdjusted = number(sale.adjusted_total)
       const saleReturned = number(sale.total_returned)
       
       theoreticalSales += number(sale.total)
       theoreticalReturns += saleReturned
 
-      // Agrupar por método de pago
-      const methodKey = sale.payment_method_id
-      const methodName = sale.payment_method.name
-      
-      if (!paymentMethodsMap.has(methodKey)) {
-        paymentMethodsMap.set(methodKey, {
-          id: methodKey,
-          name: methodName,
+      // Agrupar por método de pago: una venta con pago mixto suma a cada medio
+      // lo que se cobró por él, menos su parte de lo devuelto.
+      for (const tender of saleTenderShares(sale)) {
+        if (isCreditMethodName(tender.name)) {
+          theoreticalCredit += tender.net
+          continue
+        }
+        const methodKey = tender.payment_method_id
+
+        if (!paymentMethodsMap.has(methodKey)) {
+          paymentMethodsMap.set(methodKey, {
+            id: methodKey,
+            name: tender.name,
+            theoretical_amount: 0,
+            theoretical_count: 0,
+            sales: []
+          })
+        }
+
+        const method = paymentMethodsMap.get(methodKey)
+        method.theoretical_amount += tender.net
+        method.theoretical_count += 1
+        method.sales.push({
+          id: sale.id,
+          total: sale.total,
+          adjusted_total: sale.adjusted_total,
+          returned: sale.total_returned,
+          tender_amount: tender.amount,
+          tender_returned: tender.returned
+        })
+      }
+    }
+
+    // Abonos a ventas al crédito cobrados en el turno (o en el período)
+    const collectionsWhere = isOwn && cashRegisterSessionId
+      ? { cash_register_session_id: cashRegisterSessionId }
+      : {
+          paid_at: { gte: start, lte: end },
+          sale: branchWhere(req),
+          ...(cashierId ? { registered_by: String(cashierId) } : {})
+        }
+    const collections = await prisma.customerPaymentEntry.findMany({
+      where: collectionsWhere,
+      include: { payment_method: true, sale: { select: { reference: true } } }
+    })
+    for (const entry of collections) {
+      const amount = number(entry.amount)
+      theoreticalCollections += amount
+      if (!paymentMethodsMap.has(entry.payment_method_id)) {
+        paymentMethodsMap.set(entry.payment_method_id, {
+          id: entry.payment_method_id,
+          name: entry.payment_method?.name || '',
           theoretical_amount: 0,
           theoretical_count: 0,
           sales: []
         })
       }
-
-      const method = paymentMethodsMap.get(methodKey)
-      method.theoretical_amount += saleAdjusted  // Usar adjusted_total (con devoluciones)
+      const method = paymentMethodsMap.get(entry.payment_method_id)
+      method.theoretical_amount += amount
       method.theoretical_count += 1
-      method.sales.push({
-        id: sale.id,
-        total: sale.total,
-        adjusted_total: sale.adjusted_total,
-        returned: sale.total_returned
+      method.collections = method.collections || []
+      method.collections.push({
+        id: entry.id,
+        sale_id: entry.sale_id,
+        sale_reference: entry.sale?.reference || null,
+        amount
       })
     }
 
-    let theoreticalTotal = theoreticalSales - theoreticalReturns
+    let theoreticalTotal = theoreticalSales - theoreticalReturns - theoreticalCredit + theoreticalCollections
 
     const cashDetail = await applyOpeningFloatToCashBreakdown(paymentMethodsMap, sessionOpeningFloat)
     if (cashDetail.openingFloat > 0) {
@@ -336,7 +379,8 @@ exports.calculateTheoretical = async (req, res, next) => {
       payment_method_name: method.name,
       theoretical_amount: Number(method.theoretical_amount.toFixed(2)),
       theoretical_count: method.theoretical_count,
-      sales_detail: method.sales
+      sales_detail: method.sales,
+      collections_detail: method.collections || []
     }))
 
     res.json({
@@ -347,6 +391,8 @@ exports.calculateTheoretical = async (req, res, next) => {
       theoretical: {
         total_sales: Number(theoreticalSales.toFixed(2)),
         total_returns: Number(theoreticalReturns.toFixed(2)),
+        credit_sales: Number(theoreticalCredit.toFixed(2)),
+        customer_collections: Number(theoreticalCollections.toFixed(2)),
         net_total: Number(theoreticalTotal.toFixed(2))
       },
       cash_session: cashDetail.openingFloat > 0
@@ -9,6 +9,7 @@
  */
 
 const { prisma } = require('../models/prisma')
+const { requireOverride, overrideErrorBody } = require('../services/managerOverrides')
 
 const number = (v) => {
   if (v === null || v === undefined) return 0
@@ -511,3 +512,94 @@ exports.closeSession = async (req, res, next) => {
     next(e)
   }
 }
+
+/**
+ * POST /api/cash-sessions/:id/reopen
+ * Reabre un turno CLOSED que todavía no tiene cierre de caja (se cerró por
+ * error). Sin `pos.override` exige el token de un supervisor para ese turno.
+ * Body: { override_token?, notes? }
+ */
+exports.reopenSession = async (req, res, next) => {
+  try {
+    const perm = checkCanMutateCashSession(req)
+    if (!perm.allowed) {
+      return res.status(perm.status || 403).json({ message: perm.message || 'No autorizado' })
+    }
+
+    const uid = req.user?.sub
+    if (!uid) return res.status(401).json({ message: 'Usuario no autenticado' })
+
+    let extraNotes = req.body?.notes != null ? String(req.body.notes).trim() : ''
+    if (extraNotes.length > 2000) extraNotes = extraNotes.slice(0, 2000)
+    const branchId = require('../middlewares/tenant').requireBranch(req)
+
+    const reopened = await prisma.$transaction(async (tx) => {
+      const session = await tx.cashRegisterSession.findFirst({
+        where: { id: String(req.params.id), cashRegister: { branch_id: branchId } },
+        include: sessionInclude
+      })
+      if (!session) throw new Error('NOT_FOUND')
+      if (session.status !== 'CLOSED') throw new Error('NOT_CLOSED')
+      // Con el arqueo ya guardado, reabrir cambiaría lo que el cierre cuadró
+      if (session.cash_closure_id) throw new Error('HAS_CLOSURE')
+
+      const other = await tx.cashRegisterSession.findFirst({
+        where: { cash_register_id: session.cash_register_id, status: 'OPEN' },
+        select: { id: true }
+      })
+      if (other) throw new Error('ALREADY_OPEN')
+
+      await requireOverride(tx, req.user, req.body?.override_token, {
+        action: 'CASH_SESSION_REOPEN',
+        targetId: session.id,
+        companyId: req.companyId,
+        link: { cash_session_id: session.id }
+      })
+
+      let mergedNotes = session.notes != null ? String(session.notes) : ''
+      const stamp = `[Turno reabierto ${new Date().toISOString()}]`
+      const line = extraNotes ? `${stamp} ${extraNotes}` : stamp
+      mergedNotes = mergedNotes ? `${mergedNotes}\n${line}` : line
+      if (mergedNotes.length > 4000) mergedNotes = mergedNotes.slice(0, 4000)
+
+      const upd = await tx.cashRegisterSession.updateMany({
+        where: { id: session.id, status: 'CLOSED', cash_closure_id: null },
+        data: {
+          status: 'OPEN',
+          closed_at: null,
+          closed_by_id: null,
+          notes: mergedNotes
+        }
+      })
+      if (upd.count !== 1) {
+        throw new Error('SESSION_RACE')
+      }
+
+      return tx.cashRegisterSession.findUnique({
+        where: { id: session.id },
+        include: sessionInclude
+      })
+    })
+
+    res.json(reopened)
+  } catch (e) {
+    if (e.message === 'NOT_FOUND') {
+      return res.status(404).json({ message: 'Turno no encontrado en esta sucursal.' })
+    }
+    if (e.message === 'NOT_CLOSED') {
+      return res.status(409).json({ message: 'El turno no está cerrado.' })
+    }
+    if (e.message === 'HAS_CLOSURE') {
+      return res.status(409).json({ message: 'El turno ya tiene un cierre de caja guardado y no se puede reabrir.' })
+    }
+    if (e.message === 'ALREADY_OPEN') {
+      return res.status(409).json({ message: 'Ya hay otro turno abierto en esta caja; ciérrelo antes de reabrir este.' })
+    }
+    if (e.message === 'SESSION_RACE') {
+      return res.status(409).json({ message: 'El turno cambió mientras se reabría. Actualice la página.' })
+    }
+    const overrideBody = overrideErrorBody(e)
+    if (overrideBody) return res.status(e.status).json(overrideBody)
+    next(e)
+  }
+}
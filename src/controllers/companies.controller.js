@@ -11,6 +11,7 @@
 const { prisma } = require('../models/prisma')
 const { seedCompanySettings } = require('../services/companySettings')
 const { seedChartOfAccounts } = require('../services/accounting/seedChartOfAccounts')
+const { seedUnitsOfMeasure } = require('../services/units')
 const { invalidateSystemConfigCache } = require('../utils/getTimezone')
 
 const COMPANY_SELECT = {
@@ -57,6 +58,7 @@ exports.create = async (req, res, next) => {
       await seedCompanySettings(tx, company.id, company)
       // Nace con catálogo de cuentas y mapeo por defecto: sin esto no puede contabilizar nada
       await seedChartOfAccounts(tx, company.id)
+      await seedUnitsOfMeasure(tx, company.id)
       return { ...company, branches: [branch] }
     })
     res.status(201).json(result)
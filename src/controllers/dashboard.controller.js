@@ -11,6 +11,65 @@
 const { DateTime } = require('luxon');
 const { prisma } = require('../models/prisma');
 const { syncLotExpiryAlerts } = require('../services/lots');
+const { branchWhere } = require('../middlewares/tenant');
+const { getTimezone } = require('../utils/getTimezone');
+const { hidesCost, saleScopeWhere } = require('../services/roleRestrictions');
+const {
+  DASHBOARD_WIDGETS,
+  DEFAULT_LAYOUT,
+  resolveDashboardRange,
+  topLimit,
+  summarizeSales,
+  compareKpis,
+  omitCostKpis,
+  normalizeWidgetLayout,
+} = require('../services/dashboardKpis');
+
+/**
+ * Existencias de la sucursal activa (o de la empresa en vista consolidada,
+ * con el espejo products.stock): productos con stock, agotados y valor a costo.
+ */
+async function inventorySnapshot(req) {
+  let rows
+  if (req.branchId) {
+    const stocks = await prisma.productStock.findMany({
+      where: { branch_id: req.branchId, product: { deleted_at: null } },
+      select: { stock: true, product: { select: { cost: true, has_variants: true } } },
+    })
+    rows = stocks.map((r) => ({ stock: r.stock, cost: r.product.cost, has_variants: r.product.has_variants }))
+  } else {
+    rows = await prisma.product.findMany({
+      where: { deleted_at: null, company_id: req.companyId },
+      select: { cost: true, stock: true, has_variants: true }
+    })
+  }
+  return {
+    inStock: rows.filter((r) => r.stock > 0).length,
+    // El padre con variantes no tiene stock propio: agotadas son sus variantes
+    stockOuts: rows.filter((r) => r.stock <= 0 && !r.has_variants).length,
+    // Valor de inventario = unidades × costo unitario (no precio de venta).
+    value: rows.reduce((sum, r) => sum + Number(r.cost || 0) * Number(r.stock || 0), 0),
+  }
+}
+
+/** Alertas activas no resueltas con prioridad "Crítica". */
+async function criticalAlertsCount(req) {
+  await syncLotExpiryAlerts(prisma); // advisory, autothrottled; no hay cron en serverless
+  const priorityCritica = await prisma.alertPriority.findFirst({
+    where: { name: { in: ['Crítica', 'Critica'] } }
+  });
+  const statusActiva = await prisma.status.findFirst({
+    where: { name: 'Activa' }
+  });
+  return prisma.alert.count({
+    where: {
+      ...branchWhere(req),
+      resolved: 0,
+      ...(statusActiva ? { status_id: statusActiva.id } : {}),
+      ...(priorityCritica ? { priority_id: priorityCritica.id } : {})
+    }
+  });
+}
 
 /**
  * GET /api/dashboard/stats
@@ -29,7 +88,6 @@ exports.getStats = async (req, res) => {
     // 1. Ventas del día (solo ventas con estado Completado - id: 1)
     const STATUS_COMPLETADO = 1;
 
-    const { branchWhere } = require('../middlewares/tenant')
     const tenantSales = branchWhere(req)
     const salesAggregate = await prisma.sale.aggregate({
       where: {
@@ -46,49 +104,13 @@ exports.getStats = async (req, res) => {
     const ventasHoy = salesAggregate._sum.adjusted_total || 0;  // ✅ Ventas netas
     const cantidadVentasHoy = salesAggregate._count || 0;
 
-    // 2 y 3. Stock y valor de inventario: de la sucursal activa (o total de la
-    // empresa en vista consolidada, usando el espejo products.stock)
-    let productosEnStock
-    let valorInventario
-    if (req.branchId) {
-      const rows = await prisma.productStock.findMany({
-        where: { branch_id: req.branchId, product: { deleted_at: null } },
-        select: { stock: true, product: { select: { cost: true } } },
-      })
-      productosEnStock = rows.filter((r) => r.stock > 0).length
-      // Valor de inventario = unidades × costo unitario (no precio de venta).
-      valorInventario = rows.reduce((sum, r) => sum + Number(r.product.cost || 0) * Number(r.stock || 0), 0)
-    } else {
-      productosEnStock = await prisma.product.count({
-        where: { stock: { gt: 0 }, deleted_at: null, company_id: req.companyId }
-      })
-      const productos = await prisma.product.findMany({
-        where: { deleted_at: null, company_id: req.companyId },
-        select: { cost: true, stock: true }
-      })
-      valorInventario = productos.reduce((sum, p) => sum + Number(p.cost || 0) * Number(p.stock || 0), 0)
-    }
+    // 2 y 3. Stock y valor de inventario
+    const inventario = await inventorySnapshot(req);
+    const productosEnStock = inventario.inStock;
+    const valorInventario = inventario.value;
 
-    // 4. Alertas críticas (alertas activas no resueltas con prioridad "Crítica")
-    await syncLotExpiryAlerts(prisma); // advisory, autothrottled; no hay cron en serverless
-    const priorityCritica = await prisma.alertPriority.findFirst({
-      where: { name: { in: ['Crítica', 'Critica'] } }
-    });
-
-    const statusActiva = await prisma.status.findFirst({
-      where: { name: 'Activa' }
-    });
-
-    const alertasCriticasQuery = {
-      ...branchWhere(req),
-      resolved: 0,
-      ...(statusActiva ? { status_id: statusActiva.id } : {}),
-      ...(priorityCritica ? { priority_id: priorityCritica.id } : {})
-    };
-
-    const alertasCriticas = await prisma.alert.count({
-      where: alertasCriticasQuery
-    });
+    // 4. Alertas críticas
+    const alertasCriticas = await criticalAlertsCount(req);
 
     // Calcular comparaciones con ayer (opcional para mostrar tendencias)
     const yesterdayStart = startOfDayGt.minus({ days: 1 }).toUTC().toJSDate();
@@ -142,3 +164,145 @@ exports.getStats = async (req, res) => {
     });
   }
 };
+
+/** Ventas completadas del rango, con líneas y cajero, en la forma de summarizeSales. */
+async function loadPeriodSales(req, statusId, range) {
+  const sales = await prisma.sale.findMany({
+    where: {
+      ...branchWhere(req),
+      ...(await saleScopeWhere(prisma, req.user)),
+      ...(statusId ? { status_id: statusId } : {}),
+      date: { gte: range.gte, lte: range.lte },
+    },
+    select: {
+      total: true,
+      total_returned: true,
+      created_by: true,
+      createdBy: { select: { name: true } },
+      sale_items: {
+        select: {
+          product_id: true,
+          qty: true,
+          price: true,
+          // Costo congelado al vender; ventas viejas caen al costo del producto
+          unit_cost: true,
+          product: { select: { name: true, cost: true, category: { select: { name: true } } } },
+        },
+      },
+    },
+  });
+  return sales.map((s) => ({
+    total: s.total,
+    total_returned: s.total_returned,
+    created_by: s.created_by,
+    cashier: s.createdBy?.name,
+    items: s.sale_items.map((it) => ({
+      product_id: it.product_id,
+      product: it.product?.name,
+      category: it.product?.category?.name,
+      qty: it.qty,
+      price: it.price,
+      unit_cost: it.unit_cost ?? it.product?.cost,
+    })),
+  }));
+}
+
+/**
+ * GET /api/dashboard/kpis
+ * Query: from, to (YYYY-MM-DD) o period (today|week|month|year);
+ * compare (previous_period|last_year|none); limit (top, 1-20).
+ * Margen, costo y valor de inventario no salen si el rol oculta costos; con
+ * `sales.scope` los indicadores de venta son los de su alcance.
+ */
+exports.getKpis = async (req, res, next) => {
+  try {
+    const tz = await getTimezone(prisma, req.companyId);
+    const range = resolveDashboardRange(req.query, { tz });
+    const limit = topLimit(req.query.limit);
+    const completada = await prisma.saleStatus.findFirst({ where: { name: 'Completada' } });
+
+    const current = summarizeSales(await loadPeriodSales(req, completada?.id, range.current), { limit });
+    const previous = range.previous
+      ? summarizeSales(await loadPeriodSales(req, completada?.id, range.previous), { limit })
+      : null;
+
+    const showCost = !hidesCost(req.user);
+    const pick = (kpis) => (kpis && !showCost ? omitCostKpis(kpis) : kpis);
+    const inventario = await inventorySnapshot(req);
+
+    res.json({
+      range: { from: range.current.from, to: range.current.to, timezone: tz },
+      compare: range.compare,
+      previous_range: range.previous ? { from: range.previous.from, to: range.previous.to } : null,
+      kpis: compareKpis(pick(current.kpis), pick(previous?.kpis)),
+      top: current.top,
+      stock_outs: inventario.stockOuts,
+      ...(showCost && { inventory_value: Number(inventario.value.toFixed(2)) }),
+      critical_alerts: await criticalAlertsCount(req),
+    });
+  } catch (e) {
+    next(e);
+  }
+};
+
+function layoutWhere(req) {
+  return { user_id_company_id: { user_id: String(req.user.sub), company_id: req.companyId } };
+}
+
+/** Catálogo de widgets para el editor (los de costo, solo si el rol los ve). */
+function widgetCatalog(req) {
+  const showCost = !hidesCost(req.user);
+  return Object.entries(DASHBOARD_WIDGETS)
+    .filter(([, w]) => showCost || !w.cost)
+    .map(([id, w]) => ({ id, label: w.label }));
+}
+
+/**
+ * GET /api/dashboard/layout
+ * Tablero guardado del usuario en esta empresa, o el predeterminado.
+ */
+exports.getLayout = async (req, res, next) => {
+  try {
+    const saved = await prisma.dashboardLayout.findUnique({ where: layoutWhere(req) });
+    res.json({
+      widgets: saved ? saved.widgets : DEFAULT_LAYOUT,
+      is_default: !saved,
+      updated_at: saved?.updated_at || null,
+      catalog: widgetCatalog(req),
+    });
+  } catch (e) {
+    next(e);
+  }
+};
+
+/**
+ * PUT /api/dashboard/layout
+ * Body: { widgets: [{ id, x, y, w, h, visible? }] }
+ */
+exports.saveLayout = async (req, res, next) => {
+  try {
+    const widgets = normalizeWidgetLayout(req.body?.widgets);
+    const key = layoutWhere(req).user_id_company_id;
+    const saved = await prisma.dashboardLayout.upsert({
+      where: layoutWhere(req),
+      create: { ...key, widgets },
+      update: { widgets },
+    });
+    res.json({ widgets: saved.widgets, is_default: false, updated_at: saved.updated_at, catalog: widgetCatalog(req) });
+  } catch (e) {
+    next(e);
+  }
+};
+
+/**
+ * DELETE /api/dashboard/layout
+ * Vuelve al tablero predeterminado.
+ */
+exports.resetLayout = async (req, res, next) => {
+  try {
+    await prisma.dashboardLayout.deleteMany({ where: { user_id: String(req.user.sub), company_id: req.companyId } });
+    res.json({ widgets: DEFAULT_LAYOUT, is_default: true, updated_at: null, catalog: widgetCatalog(req) });
+  } catch (e) {
+    next(e);
+  }
+};
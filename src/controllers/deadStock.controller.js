@@ -0,0 +1,173 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Inventario muerto y lento: arma por producto y sucursal la última venta y
+ * lo vendido desde el kardex, y los lotes con saldo, y se lo pasa a
+ * deadStock.js. El reporte en PDF/XLSX (stockReports.controller.js) usa el
+ * mismo `loadDeadStock`; la rebaja se vuelve promoción con promotions.create.
+ */
+
+const { DateTime } = require('luxon')
+const { prisma } = require('../models/prisma')
+const { requireBranch } = require('../middlewares/tenant')
+const { getTimezone } = require('../utils/getTimezone')
+const { redactCost } = require('../services/roleRestrictions')
+const { deadStockOptions, analyzeStock, summarizeDeadStock, markdownPromotion } = require('../services/deadStock')
+const Promotions = require('./promotions.controller')
+
+/** Movimientos que son venta (neta: la devolución entra con signo contrario). */
+const SALE_REASONS = ['SALE', 'SALE_RETURN', 'ORDER_FULFILL']
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+/**
+ * Filas del análisis (solo muertas o lentas) de las sucursales pedidas.
+ * @param {string[]} branchIds
+ * @param {object} options resultado de deadStockOptions
+ * @param {{ productIds?: string[] }} [filter]
+ */
+async function loadDeadStock(req, branchIds, options, { productIds } = {}) {
+  if (!branchIds.length) return []
+  const tz = await getTimezone(prisma, req.companyId)
+  const now = DateTime.now().setZone(tz)
+
+  const stocks = await prisma.productStock.findMany({
+    where: {
+      branch_id: { in: branchIds },
+      stock: { gt: 0 },
+      ...(productIds?.length ? { product_id: { in: productIds } } : {}),
+      product: { deleted: false, has_variants: false, OR: [{ kind: 'STANDARD' }, { stock_assembled: true }] },
+    },
+    select: {
+      product_id: true, branch_id: true, stock: true,
+      branch: { select: { name: true } },
+      product: {
+        select: {
+          name: true, barcode: true, price: true, cost: true,
+          category: { select: { name: true } },
+        },
+      },
+    },
+  })
+  if (!stocks.length) return []
+  const ids = [...new Set(stocks.map((s) => s.product_id))]
+
+  // stock_movements.created_at es un instante real (default now()), no hora local.
+  const since = now.minus({ days: options.days }).toJSDate()
+  const moves = await prisma.$queryRaw`
+    SELECT branch_id, product_id,
+           MAX(created_at) FILTER (WHERE reason::text = ANY(${SALE_REASONS}::text[]) AND qty < 0) AS last_sale_at,
+           MIN(created_at) FILTER (WHERE qty > 0) AS first_in_at,
+           COALESCE(-SUM(qty) FILTER (WHERE reason::text = ANY(${SALE_REASONS}::text[]) AND created_at >= ${since}), 0)::int AS units_sold
+    FROM stock_movements
+    WHERE branch_id = ANY(${branchIds}::uuid[]) AND product_id = ANY(${ids}::uuid[])
+    GROUP BY branch_id, product_id
+  `
+  const moveByKey = new Map(moves.map((m) => [`${m.branch_id}|${m.product_id}`, m]))
+
+  const lots = await prisma.productLot.findMany({
+    where: { branch_id: { in: branchIds }, product_id: { in: ids }, qty_remaining: { gt: 0 } },
+    select: {
+      id: true, product_id: true, branch_id: true, lot_code: true,
+      received_at: true, expiry_date: true, qty_remaining: true, unit_cost: true,
+    },
+  })
+  const lotsByKey = new Map()
+  for (const l of lots) {
+    const key = `${l.branch_id}|${l.product_id}`
+    if (!lotsByKey.has(key)) lotsByKey.set(key, [])
+    const { product_id: _p, branch_id: _b, ...lot } = l
+    lotsByKey.get(key).push({ ...lot, unit_cost: lot.unit_cost != null ? Number(lot.unit_cost) : null })
+  }
+
+  return analyzeStock(stocks.map((s) => {
+    const key = `${s.branch_id}|${s.product_id}`
+    const m = moveByKey.get(key)
+    return {
+      product_id: s.product_id,
+      branch_id: s.branch_id,
+      branch_name: s.branch.name,
+      product_name: s.product.name,
+      barcode: s.product.barcode,
+      category_name: s.product.category?.name || null,
+      stock: s.stock,
+      price: Number(s.product.price),
+      cost: Number(s.product.cost),
+      units_sold: m?.units_sold || 0,
+      last_sale_at: m?.last_sale_at || null,
+      first_in_at: m?.first_in_at || null,
+      lots: lotsByKey.get(key) || [],
+    }
+  }), { now, options })
+}
+
+function optionsView(o) {
+  return { days: o.days, cover_days: o.coverDays }
+}
+
+function productIdsFrom(raw) {
+  if (raw === undefined || raw === null || raw === '') return undefined
+  const ids = (Array.isArray(raw) ? raw : String(raw).split(',')).map((id) => String(id).trim()).filter(Boolean)
+  const bad = ids.find((id) => !UUID_RE.test(id))
+  if (bad) {
+    const err = new Error(`product_id inválido: ${bad}`)
+    err.status = 400
+    throw err
+  }
+  return ids.length ? [...new Set(ids)] : undefined
+}
+
+// GET /api/stock/dead-stock — lo que no se vende (o casi) con su capital
+// inmovilizado, antigüedad de lotes y la rebaja sugerida.
+exports.list = async (req, res, next) => {
+  try {
+    const options = deadStockOptions(req.query)
+    const branchIds = req.branchId ? [req.branchId] : (req.branchIds || [])
+    let rows = await loadDeadStock(req, branchIds, options)
+    if (req.query.status) {
+      const status = String(req.query.status)
+      if (!['dead', 'slow'].includes(status)) return res.status(400).json({ message: 'status debe ser dead o slow' })
+      rows = rows.filter((r) => r.status === status)
+    }
+    res.json(redactCost(req.user, { options: optionsView(options), summary: summarizeDeadStock(rows), rows }))
+  } catch (e) { next(e) }
+}
+
+// POST /api/stock/dead-stock/markdown — convierte la rebaja sugerida en una
+// promoción PERCENTAGE de la sucursal. Recalcula aquí: de los `product_ids`
+// pedidos solo entran los que siguen muertos o lentos. El resto del alta
+// (códigos, alcance, bitácora) es el de promotions.create.
+exports.createMarkdown = async (req, res, next) => {
+  try {
+    const branchId = requireBranch(req)
+    const body = req.body || {}
+    const options = deadStockOptions(body)
+    const productIds = productIdsFrom(body.product_ids)
+    if (!productIds) return res.status(400).json({ message: 'product_ids es requerido' })
+
+    const type = await prisma.promotionType.findUnique({ where: { name: 'PERCENTAGE' } })
+    if (!type) return res.status(400).json({ message: 'No existe el tipo de promoción PERCENTAGE' })
+
+    const rows = await loadDeadStock(req, [branchId], options, { productIds })
+    const tz = await getTimezone(prisma, req.companyId)
+    req.body = markdownPromotion(rows, {
+      typeId: type.id,
+      branchId,
+      discountPct: body.discount_percentage,
+      name: body.name,
+      endDate: body.end_date,
+      today: DateTime.now().setZone(tz).startOf('day'),
+    })
+    return Promotions.create(req, res, next)
+  } catch (e) { next(e) }
+}
+
+exports.loadDeadStock = loadDeadStock
@@ -0,0 +1,228 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Mínimos por demanda: arma la serie de ventas de cada producto en cada
+ * sucursal y le pide a demandForecast.js el punto de reorden. El reporte en
+ * PDF/CSV (stockReports.controller.js) usa el mismo `loadForecastRows`.
+ *
+ * Solo se pronostica lo que se vendió en el historial: un producto sin ventas
+ * no tiene de dónde sacar un mínimo y se queda con el que le pusieron a mano.
+ * Los componentes de un kit sin armar no suman la demanda del kit.
+ */
+
+const { Prisma } = require('@prisma/client')
+const { DateTime } = require('luxon')
+const { prisma, prismaTransaction } = require('../models/prisma')
+const { requireBranch } = require('../middlewares/tenant')
+const { getTimezone } = require('../utils/getTimezone')
+const { recordAudit } = require('../services/auditLog')
+const { ensureStockAlertsBatch } = require('../services/stockAlerts')
+const { forecastOptions, resolveLeadTime, dailySeries, reorderPlan } = require('../services/demandForecast')
+
+const TX_OPTIONS = { maxWait: 10000, timeout: 20000 }
+/** Órdenes recibidas que cuentan para el tiempo de entrega observado. */
+const LEAD_TIME_LOOKBACK_DAYS = 365
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+const wallClockUtc = (dt) => new Date(Date.UTC(dt.year, dt.month - 1, dt.day))
+
+/**
+ * Filas del pronóstico: una por producto vendido y sucursal del alcance.
+ * @param {string[]} branchIds
+ * @param {object} options resultado de forecastOptions
+ * @param {{ productIds?: string[] }} [filter]
+ */
+async function loadForecastRows(req, branchIds, options, { productIds } = {}) {
+  if (!branchIds.length) return []
+  const tz = await getTimezone(prisma, req.companyId)
+  // La serie termina ayer: el día en curso va a medias.
+  const today = DateTime.now().setZone(tz).startOf('day')
+  const start = today.minus({ days: options.historyDays })
+  const productFilter = productIds?.length
+    ? Prisma.sql`AND si.product_id = ANY(${productIds}::uuid[])`
+    : Prisma.empty
+
+  // sales.date guarda la hora local como si fuera UTC: su ::date ya es el día local.
+  const points = await prisma.$queryRaw`
+    SELECT s.branch_id, si.product_id, s.date::date AS day,
+           SUM(si.qty - COALESCE(ri.qty, 0))::int AS qty
+    FROM sale_items si
+    JOIN sales s ON s.id = si.sale_id
+    JOIN sale_statuses ss ON ss.id = s.status_id AND ss.name = 'Completada'
+    LEFT JOIN (
+      SELECT sale_item_id, SUM(qty_returned) AS qty FROM return_items GROUP BY sale_item_id
+    ) ri ON ri.sale_item_id = si.id
+    WHERE s.branch_id = ANY(${branchIds}::uuid[])
+      AND s.date >= ${wallClockUtc(start)} AND s.date < ${wallClockUtc(today)}
+      ${productFilter}
+    GROUP BY s.branch_id, si.product_id, s.date::date
+  `
+  const byKey = new Map()
+  for (const p of points) {
+    const key = `${p.branch_id}|${p.product_id}`
+    if (!byKey.has(key)) byKey.set(key, [])
+    byKey.get(key).push(p)
+  }
+  if (!byKey.size) return []
+
+  const soldIds = [...new Set(points.map((p) => p.product_id))]
+  const stocks = await prisma.productStock.findMany({
+    where: {
+      branch_id: { in: branchIds },
+      product_id: { in: soldIds },
+      product: { deleted: false, has_variants: false, OR: [{ kind: 'STANDARD' }, { stock_assembled: true }] },
+    },
+    select: {
+      id: true, product_id: true, branch_id: true, stock: true, min_stock: true,
+      branch: { select: { name: true } },
+      product: {
+        select: {
+          name: true, barcode: true,
+          supplier: { select: { id: true, name: true, lead_time_days: true } },
+        },
+      },
+    },
+  })
+
+  const onOrder = await prisma.$queryRaw`
+    SELECT po.branch_id, pol.product_id, SUM(GREATEST(pol.qty_ordered - pol.qty_received, 0))::int AS qty
+    FROM purchase_order_lines pol
+    JOIN purchase_orders po ON po.id = pol.purchase_order_id
+    WHERE po.branch_id = ANY(${branchIds}::uuid[]) AND po.status IN ('SENT', 'PARTIALLY_RECEIVED')
+      AND pol.product_id = ANY(${soldIds}::uuid[])
+    GROUP BY po.branch_id, pol.product_id
+  `
+  const onOrderByKey = new Map(onOrder.map((r) => [`${r.branch_id}|${r.product_id}`, r.qty]))
+
+  const supplierIds = [...new Set(stocks.map((s) => s.product.supplier.id))]
+  const observed = supplierIds.length ? await prisma.$queryRaw`
+    SELECT supplier_id, AVG(EXTRACT(EPOCH FROM (received_at - sent_at)) / 86400)::float AS days
+    FROM purchase_orders
+    WHERE supplier_id = ANY(${supplierIds}::uuid[]) AND status = 'RECEIVED'
+      AND sent_at IS NOT NULL AND received_at > sent_at
+      AND received_at >= ${today.minus({ days: LEAD_TIME_LOOKBACK_DAYS }).toJSDate()}
+    GROUP BY supplier_id
+  ` : []
+  const observedBySupplier = new Map(observed.map((r) => [r.supplier_id, r.days]))
+
+  const rows = stocks.map((s) => {
+    const key = `${s.branch_id}|${s.product_id}`
+    const supplier = s.product.supplier
+    const lead = resolveLeadTime({
+      configured: supplier.lead_time_days,
+      observed: observedBySupplier.get(supplier.id),
+      fallback: options.leadTimeDays,
+    })
+    const series = dailySeries(byKey.get(key), { start: start.toISODate(), days: options.historyDays })
+    const plan = reorderPlan(series, {
+      stock: s.stock, onOrder: onOrderByKey.get(key) || 0, leadTimeDays: lead.days, options,
+    })
+    return {
+      product_stock_id: s.id,
+      branch_id: s.branch_id,
+      branch_name: s.branch.name,
+      product_id: s.product_id,
+      product_name: s.product.name,
+      barcode: s.product.barcode,
+      supplier_id: supplier.id,
+      supplier_name: supplier.name,
+      lead_time_source: lead.source,
+      units_sold: series.reduce((sum, d) => sum + d.qty, 0),
+      current_min_stock: s.min_stock,
+      suggested_min_stock: plan.reorder_point,
+      ...plan,
+    }
+  })
+  rows.sort((a, b) => b.suggested_order_qty - a.suggested_order_qty || a.product_name.localeCompare(b.product_name))
+  return rows
+}
+
+/** Lo que devuelve el JSON sobre las opciones usadas. */
+function optionsView(o) {
+  return {
+    history_days: o.historyDays,
+    window_days: o.windowDays,
+    service_level: o.serviceLevel,
+    review_days: o.reviewDays,
+    default_lead_time_days: o.leadTimeDays,
+  }
+}
+
+function productIdsFrom(raw) {
+  if (raw === undefined || raw === null || raw === '') return undefined
+  const ids = (Array.isArray(raw) ? raw : String(raw).split(',')).map((id) => String(id).trim()).filter(Boolean)
+  const bad = ids.find((id) => !UUID_RE.test(id))
+  if (bad) {
+    const err = new Error(`product_id inválido: ${bad}`)
+    err.status = 400
+    throw err
+  }
+  return ids.length ? [...new Set(ids)] : undefined
+}
+
+// GET /api/stock/forecast — demanda, punto de reorden y cantidad a pedir por
+// producto. En vista consolidada, una fila por producto y sucursal.
+exports.forecast = async (req, res, next) => {
+  try {
+    const options = forecastOptions(req.query)
+    const branchIds = req.branchId ? [req.branchId] : (req.branchIds || [])
+    const rows = await loadForecastRows(req, branchIds, options, { productIds: productIdsFrom(req.query.product_id) })
+    res.json({ options: optionsView(options), rows })
+  } catch (e) { next(e) }
+}
+
+// POST /api/stock/forecast/apply-minimums — fija min_stock de la sucursal con
+// el punto de reorden sugerido. Recalcula aquí: no acepta números del cliente,
+// solo qué productos (`product_ids`, todos si no viene) y con qué parámetros.
+exports.applyMinimums = async (req, res, next) => {
+  try {
+    const branchId = requireBranch(req)
+    const body = req.body || {}
+    const options = forecastOptions(body)
+    const productIds = productIdsFrom(body.product_ids)
+    const rows = await loadForecastRows(req, [branchId], options, { productIds })
+    const changes = rows.filter((r) => r.suggested_min_stock !== r.current_min_stock)
+
+    if (changes.length) {
+      await prismaTransaction.$transaction(async (tx) => {
+        for (const r of changes) {
+          await tx.productStock.update({ where: { id: r.product_stock_id }, data: { min_stock: r.suggested_min_stock } })
+          await recordAudit(tx, req, {
+            entity: 'product_stock',
+            entityId: r.product_stock_id,
+            action: 'update',
+            before: { product_id: r.product_id, min_stock: r.current_min_stock },
+            after: { product_id: r.product_id, min_stock: r.suggested_min_stock },
+            branchId,
+          })
+        }
+        await ensureStockAlertsBatch(tx, changes.map((r) => ({
+          id: r.product_id, stock: r.stock, min_stock: r.suggested_min_stock,
+        })), branchId)
+      }, TX_OPTIONS)
+    }
+
+    res.json({
+      options: optionsView(options),
+      updated: changes.length,
+      unchanged: rows.length - changes.length,
+      rows: changes.map((r) => ({
+        product_id: r.product_id,
+        product_name: r.product_name,
+        from: r.current_min_stock,
+        to: r.suggested_min_stock,
+      })),
+    })
+  } catch (e) { next(e) }
+}
+
+exports.loadForecastRows = loadForecastRows
@@ -58,6 +58,13 @@ const incomingDetailInclude = {
       email: true
     }
   },
+  purchaseOrder: {
+    select: {
+      id: true,
+      reference: true,
+      status: true
+    }
+  },
   items: {
     include: {
       product: {
@@ -140,6 +147,7 @@ function shapeIncomingDetail (record) {
           email: record.paymentUpdatedBy.email
         }
       : null,
+    purchase_order: record.purchaseOrder || null,
     payment_entries: shapePaymentEntries(entries),
     amount_paid_total: amountPaidTotal,
     amount_pending: amountPending,
@@ -149,7 +157,9 @@ function shapeIncomingDetail (record) {
       product: item.product,
       quantity: item.quantity,
       unit_cost: item.unit_cost,
-      subtotal: Number(item.quantity) * Number(item.unit_cost)
+      subtotal: Number(item.quantity) * Number(item.unit_cost),
+      purchase_order_line_id: item.purchase_order_line_id,
+      ordered_unit_cost: item.ordered_unit_cost
     }))
   }
 }
@@ -0,0 +1,89 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Clasificación ABC/XYZ de la sucursal: consulta y recálculo a mano. El
+ * cálculo y la tarea semanal viven en services/inventoryClassification.js.
+ */
+
+const { prisma } = require('../models/prisma')
+const { requireBranch } = require('../middlewares/tenant')
+const { getTimezone } = require('../utils/getTimezone')
+const { hidesCost, redactCost, assertCanSeeCost } = require('../services/roleRestrictions')
+const {
+  ABC_CLASSES, XYZ_CLASSES, abcBasisField, parseClassList, classificationMatrix,
+  ensureClassified, recomputeBranchClassification,
+} = require('../services/inventoryClassification')
+
+const CLASSIFICATION_SELECT = {
+  product_id: true, abc_revenue: true, abc_margin: true, xyz: true,
+  revenue: true, margin: true, units: true, demand_cv: true,
+  period_start: true, period_end: true, computed_at: true,
+  product: { select: { name: true, barcode: true, category: { select: { name: true } } } },
+}
+
+/** Filas guardadas de las sucursales, clasificándolas si nunca se hizo. */
+async function loadClassifications(req, branchIds, where = {}) {
+  if (!branchIds.length) return []
+  await ensureClassified(prisma, branchIds, { tz: await getTimezone(prisma, req.companyId) })
+  return prisma.productClassification.findMany({
+    where: { branch_id: { in: branchIds }, product: { deleted: false }, ...where },
+    select: { ...CLASSIFICATION_SELECT, branch_id: true, branch: { select: { name: true } } },
+    orderBy: [{ revenue: 'desc' }, { product_id: 'asc' }],
+  })
+}
+
+// GET /api/products/classification — la matriz y las filas de la sucursal.
+// ?abc=A,B&abc_basis=revenue|margin&xyz=X,Y filtran las filas (no la matriz).
+exports.list = async (req, res, next) => {
+  try {
+    const branchId = requireBranch(req)
+    const basis = abcBasisField(req.query.abc_basis)
+    if (basis === 'abc_margin') assertCanSeeCost(req.user)
+    const abc = parseClassList(req.query.abc, ABC_CLASSES, 'abc')
+    const xyz = parseClassList(req.query.xyz, XYZ_CLASSES, 'xyz')
+
+    const rows = await loadClassifications(req, [branchId])
+    const shown = rows.filter((r) => (!abc || abc.includes(r[basis])) && (!xyz || xyz.includes(r.xyz)))
+    const first = rows[0]
+    res.json({
+      period: first ? { from: first.period_start, to: first.period_end } : null,
+      computed_at: first?.computed_at || null,
+      matrix: {
+        revenue: classificationMatrix(rows, 'revenue'),
+        ...(!hidesCost(req.user) && { margin: classificationMatrix(rows, 'margin') }),
+      },
+      items: redactCost(req.user, shown.map((r) => ({
+        product_id: r.product_id,
+        name: r.product.name,
+        barcode: r.product.barcode,
+        category: r.product.category?.name || null,
+        abc_revenue: r.abc_revenue,
+        abc_margin: r.abc_margin,
+        xyz: r.xyz,
+        revenue: Number(r.revenue),
+        margin: Number(r.margin),
+        units: r.units,
+        demand_cv: r.demand_cv != null ? Number(r.demand_cv) : null,
+      }))),
+    })
+  } catch (e) { next(e) }
+}
+
+// POST /api/products/classification/recompute — sin esperar a la tarea semanal.
+exports.recompute = async (req, res, next) => {
+  try {
+    const branchId = requireBranch(req)
+    const result = await recomputeBranchClassification(prisma, branchId, { tz: await getTimezone(prisma, req.companyId) })
+    res.json(result)
+  } catch (e) { next(e) }
+}
+
+exports.loadClassifications = loadClassifications
@@ -7,6 +7,8 @@
 const { prisma } = require('../models/prisma')
 const { prismaTransaction } = require('../models/prisma')
 const { ensureStockAlertsBatch } = require('../services/stockAlerts')
+const { ABC_BASIS, ensureClassified } = require('../services/inventoryClassification')
+const { getTimezone } = require('../utils/getTimezone')
 
 function userId(req) {
   return req.user?.sub || req.user?.id
@@ -53,6 +55,7 @@ function sanitizeScope(raw) {
       ),
     ]
     if (out.abcClasses.length === 0) delete out.abcClasses
+    else if (raw.abcBasis === 'margin') out.abcBasis = 'margin'
   }
   const sp = Number(raw.samplePercent)
   if (Number.isFinite(sp) && sp > 0 && sp < 100) {
@@ -80,42 +83,9 @@ function scopeAbcClasses(scope) {
   return out.length ? out : null
 }
 
-function assignAbcByInventoryValue(rows) {
-  const enriched = rows.map((r) => ({
-    id: r.id,
-    stock: r.stock,
-    cost: r.cost,
-    category_id: r.category_id,
-    value: Math.max(0, Number(r.stock) || 0) * Number(r.cost || 0),
-  }))
-  const sorted = [...enriched].sort((a, b) => b.value - a.value)
-  const totalVal = sorted.reduce((s, r) => s + r.value, 0)
-  if (totalVal <= 0) {
-    const n = sorted.length
-    if (!n) return []
-    const iA = Math.max(1, Math.ceil(n / 3))
-    const iB = Math.max(iA + 1, Math.ceil((2 * n) / 3))
-    return sorted.map((r, i) => ({
-      id: r.id,
-      stock: r.stock,
-      cost: r.cost,
-      category_id: r.category_id,
-      abc: i < iA ? 'A' : i < iB ? 'B' : 'C',
-    }))
-  }
-  let cum = 0
-  return sorted.map((r) => {
-    cum += r.value
-    const pct = (100 * cum) / totalVal
-    const abc = pct <= 80 ? 'A' : pct <= 95 ? 'B' : 'C'
-    return {
-      id: r.id,
-      stock: r.stock,
-      cost: r.cost,
-      category_id: r.category_id,
-      abc,
-    }
-  })
+/** Columna de la clasificación guardada que usa el alcance (ingreso por defecto). */
+function scopeAbcField(scope) {
+  return ABC_BASIS[scope?.abcBasis] || ABC_BASIS.revenue
 }
 
 function mulberry32(a) {
@@ -164,14 +134,17 @@ async function resolveProductsForCountStart(session, companyId) {
   let list = rows.map((p) => ({ ...p, stock: stockByProduct.get(p.id) ?? 0 }))
   const abc = scopeAbcClasses(scope)
   if (abc) {
-    const tagged = assignAbcByInventoryValue(list)
+    // La clasificación ABC/XYZ guardada de la sucursal; lo que no la tiene
+    // (no se maneja en la sucursal) cuenta como C.
+    const field = scopeAbcField(scope)
+    await ensureClassified(prisma, [session.branch_id], { tz: await getTimezone(prisma, companyId) })
+    const classes = await prisma.productClassification.findMany({
+      where: { branch_id: session.branch_id, product_id: { in: list.map((p) => p.id) } },
+      select: { product_id: true, [field]: true },
+    })
+    const classById = new Map(classes.map((c) => [c.product_id, c[field]]))
     const allow = new Set(abc)
-    list = tagged.filter((t) => allow.has(t.abc)).map((t) => ({
-      id: t.id,
-      stock: t.stock,
-      cost: t.cost,
-      category_id: t.category_id,
-    }))
+    list = list.filter((p) => allow.has(classById.get(p.id) || 'C'))
   }
   const pct = scopeSamplePercent(scope)
   if (pct != null && list.length > 0) {
@@ -517,7 +490,7 @@ exports.listLines = async (req, res, next) => {
 
 /**
  * POST /inventory-counts
- * body: { name?, scope?: { categoryIds?, supplierIds?, abcClasses?, samplePercent?, doubleCount? }, notes?, dual_approval? }
+ * body: { name?, scope?: { categoryIds?, supplierIds?, abcClasses?, abcBasis?: 'revenue'|'margin', samplePercent?, doubleCount? }, notes?, dual_approval? }
  */
 exports.create = async (req, res, next) => {
   try {
@@ -0,0 +1,119 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Tareas programadas (src/jobs): estado, historial de corridas y corrida
+ * manual. Las tareas son del servidor, no de una empresa: corren para todas,
+ * así que las rutas piden un administrador de la plataforma (isPlatformAdmin).
+ */
+
+const { prisma } = require('../models/prisma')
+const { JOBS, getJob, runJobNow } = require('../jobs')
+const { nextRun } = require('../services/cronSchedule')
+const { jobsZone } = require('../services/jobRunner')
+
+const RUN_STATUSES = ['RUNNING', 'SUCCEEDED', 'FAILED']
+
+const RUN_INCLUDE = { triggeredBy: { select: { id: true, name: true } } }
+
+function notFound(res) {
+  return res.status(404).json({ message: 'Tarea no encontrada' })
+}
+
+// GET /api/jobs — cada tarea con su horario, próxima corrida, si está
+// corriendo ahora y cómo terminó la última vez.
+exports.list = async (req, res, next) => {
+  try {
+    const names = JOBS.map((job) => job.name)
+    const [locks, lastRuns] = await Promise.all([
+      prisma.jobLock.findMany({ where: { name: { in: names } } }),
+      Promise.all(names.map((name) => prisma.jobRun.findFirst({
+        where: { job: name },
+        orderBy: { started_at: 'desc' },
+        include: RUN_INCLUDE,
+      }))),
+    ])
+    const lockByName = new Map(locks.map((l) => [l.name, l]))
+    const now = new Date()
+    const zone = jobsZone()
+
+    res.json({
+      timezone: zone,
+      items: JOBS.map((job, idx) => {
+        const lock = lockByName.get(job.name)
+        const running = Boolean(lock?.locked_until && lock.locked_until > now)
+        return {
+          name: job.name,
+          description: job.description,
+          schedule: job.schedule,
+          enabled: Boolean(job.schedule),
+          next_run_at: job.schedule ? nextRun(job.schedule, now, zone) : null,
+          running,
+          locked_by: running ? lock.locked_by : null,
+          locked_until: running ? lock.locked_until : null,
+          last_run: lastRuns[idx],
+        }
+      }),
+    })
+  } catch (e) { next(e) }
+}
+
+// GET /api/jobs/:name/runs?status=&page=&pageSize=
+exports.runs = async (req, res, next) => {
+  try {
+    const job = getJob(String(req.params.name))
+    if (!job) return notFound(res)
+    const q = req.query || {}
+    const page = Math.max(1, Number(q.page ?? 1))
+    const pageSize = Math.min(200, Math.max(1, Number(q.pageSize ?? 50)))
+
+    const where = { job: job.name }
+    if (q.status) {
+      const status = String(q.status).toUpperCase()
+      if (!RUN_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `status inválido (${RUN_STATUSES.join(', ')})` })
+      }
+      where.status = status
+    }
+
+    const totalItems = await prisma.jobRun.count({ where })
+    const totalPages = Math.max(1, Math.ceil(totalItems / pageSize))
+    const safePage = Math.min(page, totalPages)
+    const items = await prisma.jobRun.findMany({
+      where,
+      include: RUN_INCLUDE,
+      orderBy: { started_at: 'desc' },
+      skip: (safePage - 1) * pageSize,
+      take: pageSize,
+    })
+
+    res.json({
+      items,
+      page: safePage,
+      pageSize,
+      totalPages,
+      totalItems,
+      nextPage: safePage < totalPages ? safePage + 1 : null,
+      prevPage: safePage > 1 ? safePage - 1 : null,
+    })
+  } catch (e) { next(e) }
+}
+
+// POST /api/jobs/:name/run — corre ya y responde con la corrida terminada
+// (también si falló: el error queda en la corrida).
+exports.run = async (req, res, next) => {
+  try {
+    if (!getJob(String(req.params.name))) return notFound(res)
+    const run = await runJobNow(String(req.params.name), { userId: req.user?.sub || null })
+    if (!run) return res.status(409).json({ message: 'La tarea ya se está ejecutando', code: 'JOB_RUNNING' })
+    const full = await prisma.jobRun.findUnique({ where: { id: run.id }, include: RUN_INCLUDE })
+    res.json(full)
+  } catch (e) { next(e) }
+}
@@ -0,0 +1,284 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Programa de puntos: reglas de acumulación y niveles de la empresa, la cuenta
+ * de puntos de cada cliente, su estado de cuenta y los ajustes manuales. Los
+ * puntos de las ventas y devoluciones se mueven desde esos controladores
+ * (services/loyaltyLedger).
+ */
+
+const { DateTime } = require('luxon')
+const { prisma } = require('../models/prisma')
+const { getTimezone } = require('../utils/getTimezone')
+const { recordAudit } = require('../services/auditLog')
+const { round2 } = require('../services/accounting/logic')
+const { MOVEMENT_LABELS, parseEarnRules, parseTiers, summarizeStatement } = require('../services/loyalty')
+const { getLoyaltySettings, accountFor, applyMovement, syncTier } = require('../services/loyaltyLedger')
+
+const RULE_INCLUDE = { category: { select: { id: true, name: true } } }
+const TIER_ORDER = { min_points: 'asc' }
+
+/** YYYY-MM-DD = día completo en la zona de la empresa; otra cosa, instante ISO. */
+function parseBound(raw, tz, edge) {
+  const s = String(raw || '').trim()
+  if (!s) return null
+  const dt = /^\d{4}-\d{2}-\d{2}$/.test(s)
+    ? DateTime.fromISO(s, { zone: tz })[edge === 'from' ? 'startOf' : 'endOf']('day')
+    : DateTime.fromISO(s, { zone: tz })
+  if (!dt.isValid) {
+    const err = new Error(`${edge} no es una fecha válida`)
+    err.status = 400
+    throw err
+  }
+  return dt.toJSDate()
+}
+
+/** Cliente del maestro de la empresa; 404 si no existe o es proveedor. */
+async function findCustomer(req) {
+  const customer = await prisma.supplier.findFirst({
+    where: { id: String(req.params.id), company_id: req.companyId, party_type: 'CUSTOMER', deleted: false },
+    select: { id: true, name: true, tax_id: true },
+  })
+  if (!customer) {
+    const err = new Error('Cliente no encontrado')
+    err.status = 404
+    throw err
+  }
+  return customer
+}
+
+// GET /api/loyalty/rules
+exports.listRules = async (req, res, next) => {
+  try {
+    const rules = await prisma.loyaltyEarnRule.findMany({
+      where: { company_id: req.companyId },
+      include: RULE_INCLUDE,
+      orderBy: [{ priority: 'desc' }, { created_at: 'asc' }],
+    })
+    res.json({ rules })
+  } catch (e) { next(e) }
+}
+
+// PUT /api/loyalty/rules  { rules: [{ name, points, per_amount, category_id?, channel?, min_sale_total?, priority?, active? }] }
+exports.replaceRules = async (req, res, next) => {
+  try {
+    const rows = parseEarnRules(req.body?.rules)
+    const categoryIds = [...new Set(rows.map((r) => r.category_id).filter((id) => id != null))]
+    if (categoryIds.length > 0) {
+      const found = await prisma.productCategory.count({
+        where: { id: { in: categoryIds }, company_id: req.companyId, deleted: false },
+      })
+      if (found !== categoryIds.length) return res.status(400).json({ message: 'Alguna categoría no existe en la empresa' })
+    }
+
+    const ruleView = (r) => ({
+      name: r.name, points: r.points, per_amount: Number(r.per_amount), category_id: r.category_id,
+      channel: r.channel, min_sale_total: r.min_sale_total == null ? null : Number(r.min_sale_total),
+      priority: r.priority, active: r.active,
+    })
+    await prisma.$transaction(async (trx) => {
+      const previous = await trx.loyaltyEarnRule.findMany({
+        where: { company_id: req.companyId },
+        orderBy: [{ priority: 'desc' }, { created_at: 'asc' }],
+      })
+      await trx.loyaltyEarnRule.deleteMany({ where: { company_id: req.companyId } })
+      if (rows.length > 0) {
+        await trx.loyaltyEarnRule.createMany({ data: rows.map((r) => ({ ...r, company_id: req.companyId })) })
+      }
+      await recordAudit(trx, req, {
+        entity: 'loyalty_rule',
+        entityId: req.companyId,
+        action: 'replace',
+        before: { rules: previous.map(ruleView) },
+        after: { rules: rows.map(ruleView) },
+        branchId: null,
+        keepNested: true,
+      })
+    })
+
+    const rules = await prisma.loyaltyEarnRule.findMany({
+      where: { company_id: req.companyId },
+      include: RULE_INCLUDE,
+      orderBy: [{ priority: 'desc' }, { created_at: 'asc' }],
+    })
+    res.json({ rules })
+  } catch (e) { next(e) }
+}
+
+// GET /api/loyalty/tiers — con cuántos clientes hay en cada nivel
+exports.listTiers = async (req, res, next) => {
+  try {
+    const tiers = await prisma.loyaltyTier.findMany({
+      where: { company_id: req.companyId },
+      include: { _count: { select: { accounts: true } } },
+      orderBy: TIER_ORDER,
+    })
+    res.json({ tiers })
+  } catch (e) { next(e) }
+}
+
+/**
+ * PUT /api/loyalty/tiers  { tiers: [{ name, min_points, price_tier?, channel? }] }
+ * Reemplaza los niveles y reubica a todos los clientes con cuenta: las reglas
+ * de precio que dejaban los niveles viejos se van con ellos.
+ */
+exports.replaceTiers = async (req, res, next) => {
+  try {
+    const rows = parseTiers(req.body?.tiers)
+    const tierView = (t) => ({ name: t.name, min_points: t.min_points, price_tier: t.price_tier, channel: t.channel })
+
+    const relocated = await prisma.$transaction(async (trx) => {
+      const previous = await trx.loyaltyTier.findMany({ where: { company_id: req.companyId }, orderBy: TIER_ORDER })
+      await trx.loyaltyTier.deleteMany({ where: { company_id: req.companyId } })
+      if (rows.length > 0) {
+        await trx.loyaltyTier.createMany({ data: rows.map((t) => ({ ...t, company_id: req.companyId })) })
+      }
+      const tiers = await trx.loyaltyTier.findMany({ where: { company_id: req.companyId } })
+      const accounts = await trx.loyaltyAccount.findMany({ where: { company_id: req.companyId } })
+      let moved = 0
+      for (const account of accounts) {
+        const updated = await syncTier(trx, account, tiers)
+        if (updated.tier_id) moved += 1
+      }
+      await recordAudit(trx, req, {
+        entity: 'loyalty_tier',
+        entityId: req.companyId,
+        action: 'replace',
+        before: { tiers: previous.map(tierView) },
+        after: { tiers: rows.map(tierView) },
+        branchId: null,
+        keepNested: true,
+      })
+      return moved
+    }, { timeout: 60000, maxWait: 10000 })
+
+    const tiers = await prisma.loyaltyTier.findMany({
+      where: { company_id: req.companyId },
+      include: { _count: { select: { accounts: true } } },
+      orderBy: TIER_ORDER,
+    })
+    res.json({ tiers, customers_with_tier: relocated })
+  } catch (e) { next(e) }
+}
+
+// GET /api/loyalty/customers/:id — saldo, nivel y cuánto vale al canjear
+exports.getAccount = async (req, res, next) => {
+  try {
+    const customer = await findCustomer(req)
+    const [account, settings] = await Promise.all([
+      prisma.loyaltyAccount.findUnique({
+        where: { customer_contact_id: customer.id },
+        include: { tier: true },
+      }),
+      getLoyaltySettings(prisma, req.companyId),
+    ])
+    const nextTier = await prisma.loyaltyTier.findFirst({
+      where: { company_id: req.companyId, min_points: { gt: account?.lifetime_points ?? 0 } },
+      orderBy: TIER_ORDER,
+    })
+    const balance = account?.balance ?? 0
+    res.json({
+      customer,
+      balance,
+      lifetime_points: account?.lifetime_points ?? 0,
+      tier: account?.tier ?? null,
+      next_tier: nextTier
+        ? { ...nextTier, points_needed: nextTier.min_points - (account?.lifetime_points ?? 0) }
+        : null,
+      point_value: settings.pointValue,
+      min_redeem: settings.minRedeem,
+      redeemable_value: settings.pointValue > 0 && balance >= settings.minRedeem
+        ? round2(balance * settings.pointValue)
+        : 0,
+    })
+  } catch (e) { next(e) }
+}
+
+/**
+ * GET /api/loyalty/customers/:id/statement?from=&to=
+ * Estado de cuenta de puntos: saldo al inicio, cada movimiento con su venta o
+ * devolución, totales por tipo y saldo al cierre. Sin `from`, desde el inicio.
+ */
+exports.statement = async (req, res, next) => {
+  try {
+    const customer = await findCustomer(req)
+    const tz = await getTimezone(prisma, req.companyId)
+    const from = parseBound(req.query.from, tz, 'from')
+    const to = parseBound(req.query.to, tz, 'to')
+    const account = await prisma.loyaltyAccount.findUnique({
+      where: { customer_contact_id: customer.id },
+      include: { tier: true },
+    })
+    if (!account) {
+      return res.json({ customer, from, to, tier: null, ...summarizeStatement([], 0) })
+    }
+
+    const createdAt = {}
+    if (from) createdAt.gte = from
+    if (to) createdAt.lte = to
+    const [opening, movements] = await Promise.all([
+      from
+        ? prisma.loyaltyMovement.findFirst({
+            where: { account_id: account.id, created_at: { lt: from } },
+            orderBy: [{ created_at: 'desc' }, { id: 'desc' }],
+            select: { balance_after: true },
+          })
+        : null,
+      prisma.loyaltyMovement.findMany({
+        where: { account_id: account.id, ...(from || to ? { created_at: createdAt } : {}) },
+        include: {
+          sale: { select: { id: true, reference: true, date: true, total: true } },
+          return: { select: { id: true, return_date: true } },
+        },
+        orderBy: [{ created_at: 'asc' }, { id: 'asc' }],
+      }),
+    ])
+    const rows = movements.map((m) => ({ ...m, label: MOVEMENT_LABELS[m.type] }))
+    res.json({
+      customer,
+      from,
+      to,
+      tier: account.tier,
+      lifetime_points: account.lifetime_points,
+      ...summarizeStatement(rows, opening?.balance_after ?? 0),
+    })
+  } catch (e) { next(e) }
+}
+
+// POST /api/loyalty/customers/:id/adjust  { points, notes } — corrige el saldo (no el nivel)
+exports.adjust = async (req, res, next) => {
+  try {
+    const customer = await findCustomer(req)
+    const points = Number(req.body?.points)
+    const notes = String(req.body?.notes || '').trim().slice(0, 255)
+    if (!Number.isInteger(points) || points === 0) {
+      return res.status(400).json({ message: 'points debe ser un entero distinto de 0' })
+    }
+    if (!notes) return res.status(400).json({ message: 'notes es requerido: explique el ajuste' })
+
+    const result = await prisma.$transaction(async (trx) => {
+      const account = await accountFor(trx, req.companyId, customer.id)
+      const { account: updated, movement } = await applyMovement(trx, account, {
+        type: 'ADJUST', points, branchId: req.branchId || null, userId: req.user?.sub || null, notes,
+      })
+      await recordAudit(trx, req, {
+        entity: 'loyalty_account',
+        entityId: account.id,
+        action: 'adjust',
+        before: { balance: account.balance },
+        after: { balance: updated.balance, points, notes },
+        branchId: req.branchId || null,
+      })
+      return { account: updated, movement }
+    })
+    res.status(201).json(result)
+  } catch (e) { next(e) }
+}
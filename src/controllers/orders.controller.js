@@ -12,6 +12,13 @@ const { ensureStockAlertsBatch } = require('../services/stockAlerts')
 const { expandLinesToStockMap, deductStockMap } = require('../services/bomStock')
 const { resolvePriceTierForContext, resolveUnitPriceFromProduct, VALID_CHANNELS } = require('../services/priceResolution')
 const { nextDocumentReference } = require('../services/referenceGenerator')
+const { resolveTenders } = require('../services/salePayments')
+const { resolveCreditTerms } = require('../services/receivables')
+const { autoCertifySale, publicDte } = require('../services/dte/certification')
+const { emitWebhook, requestWebhookDispatch, saleWebhookData } = require('../services/webhooks')
+const { convertLinesToBase, basePriceFromUnitPrice, lineBasePrice, lineUnitData, partialUnitData } = require('../services/units')
+const { parentProductError } = require('../services/variants')
+const { SELLABLE, serialsByLine, moveSerialsByProduct } = require('../services/serials')
 const { targetBranch, branchWhere } = require('../middlewares/tenant')
 
 async function loadBranch(tx, branchId) {
@@ -80,6 +87,7 @@ const ORDER_DETAIL_INCLUDE = {
     orderBy: { sort_order: 'asc' },
     include: {
       product: { select: { id: true, name: true, barcode: true, stock: true } },
+      unit: { select: { id: true, code: true, name: true } },
       reservations: {
         where: { status: 'ACTIVE' },
         select: { id: true, qty: true, status: true, expires_at: true, reservation_kind: true },
@@ -136,6 +144,8 @@ async function resolveOrderLines(tx, items, ctx, { freezePrices = false } = {})
     }
     productIds.push(pid)
   }
+  // qty y unit_price vienen en la unidad de cada línea; se guardan en base.
+  const baseItems = await convertLinesToBase(tx, items)
 
   const uniqueIds = [...new Set(productIds)]
   const products = await tx.product.findMany({
@@ -148,6 +158,7 @@ async function resolveOrderLines(tx, items, ctx, { freezePrices = false } = {})
       price_promotion: true,
       promotion_valid_until: true,
       available_for_sale: true,
+      has_variants: true,
     },
   })
   const prodMap = new Map(products.map((p) => [String(p.id), p]))
@@ -159,6 +170,7 @@ async function resolveOrderLines(tx, items, ctx, { freezePrices = false } = {})
       err.status = 400
       throw err
     }
+    if (p.has_variants) throw parentProductError(p.name)
     if (!p.available_for_sale) {
       const err = new Error(`Producto no disponible para pedido: ${p.name}`)
       err.status = 400
@@ -169,15 +181,16 @@ async function resolveOrderLines(tx, items, ctx, { freezePrices = false } = {})
   const priceTier = await resolvePriceTierForContext(tx, ctx)
   const priceNow = new Date()
   let sortOrder = 0
-  const lines = items.map((it) => {
+  const lines = baseItems.map((it) => {
     const p = prodMap.get(String(it.product_id))
     const qty = Number(it.qty || 0)
+    const factor = it.unit_factor ?? 1
     const unitPrice =
       freezePrices && it.unit_price != null
-        ? Number(it.unit_price)
+        ? basePriceFromUnitPrice(it.unit_price, factor)
         : it.unit_price != null && Number(it.unit_price) >= 0
-          ? Number(it.unit_price)
-          : resolveUnitPriceFromProduct(p, priceTier, priceNow)
+          ? basePriceFromUnitPrice(it.unit_price, factor)
+          : lineBasePrice(resolveUnitPriceFromProduct(p, priceTier, priceNow), it, priceTier)
     const lineTotal = Math.round(unitPrice * qty * 100) / 100
     return {
       product_id: p.id,
@@ -185,6 +198,7 @@ async function resolveOrderLines(tx, items, ctx, { freezePrices = false } = {})
       unit_price: new Prisma.Decimal(unitPrice),
       line_total: new Prisma.Decimal(lineTotal),
       sort_order: sortOrder++,
+      ...lineUnitData(it),
     }
   })
 
@@ -521,7 +535,7 @@ exports.confirm = async (req, res, next) => {
 
     const lineRows = order.lines
 
-    await prismaTransaction.$transaction(async (tx) => {
+    const { updated, queued } = await prismaTransaction.$transaction(async (tx) => {
       await assertLinesAvailable(
         tx,
         lineRows.map((l) => ({ product_id: l.product_id, qty: l.qty })),
@@ -544,12 +558,24 @@ exports.confirm = async (req, res, next) => {
         createdBy: user.sub,
         branchId: order.branch_id,
       })
-    }, ORDER_TX_OPTIONS)
 
-    const updated = await prisma.commercialDocument.findFirst({
-      where: { id: order.id },
-      include: ORDER_DETAIL_INCLUDE,
-    })
+      const confirmed = await tx.commercialDocument.findFirst({
+        where: { id: order.id },
+        include: ORDER_DETAIL_INCLUDE,
+      })
+      const count = await emitWebhook(tx, req.companyId, 'order.confirmed', {
+        id: confirmed.id,
+        reference: confirmed.reference,
+        branch_id: confirmed.branch_id,
+        customer: confirmed.customer,
+        customer_contact_id: confirmed.customer_contact_id ?? null,
+        valid_until: confirmed.valid_until,
+        total: Number(confirmed.total),
+        lines: confirmed.lines.map((l) => ({ product_id: l.product_id, qty: l.qty, unit_price: Number(l.unit_price) })),
+      })
+      return { updated: confirmed, queued: count }
+    }, ORDER_TX_OPTIONS)
+    if (queued > 0) requestWebhookDispatch()
 
     res.json(updated)
   } catch (e) {
@@ -593,17 +619,19 @@ exports.convertToSale = async (req, res, next) => {
     const user = req.user
     if (!user?.sub) return res.status(401).json({ message: 'Usuario no autenticado' })
 
-    const { payment_method_id: paymentMethodIdRaw, amount_received, change: changeRaw, lines: linesRaw, cash_register_id: cashRegisterId } =
-      req.body || {}
+    const {
+      payment_method_id: paymentMethodIdRaw, amount_received, change: changeRaw, payments, lines: linesRaw,
+      cash_register_id: cashRegisterId, payment_term_id: paymentTermId, due_date: dueDate,
+    } = req.body || {}
     const paymentMethodId = Number(paymentMethodIdRaw)
-    if (!Number.isFinite(paymentMethodId) || paymentMethodId <= 0) {
+    if (payments == null && (!Number.isFinite(paymentMethodId) || paymentMethodId <= 0)) {
       return res.status(400).json({ message: 'payment_method_id requerido' })
     }
 
     const where = { ...orderWhereIdOrReference(req.params.id), branch: { company_id: req.companyId } }
     const order = await prisma.commercialDocument.findFirst({
       where,
-      include: { lines: { orderBy: { sort_order: 'asc' } } },
+      include: { lines: { orderBy: { sort_order: 'asc' }, include: { unit: { select: { allows_decimal: true } } } } },
     })
     if (!order) return res.status(404).json({ message: 'Pedido no encontrado' })
     if (!['CONFIRMED', 'PARTIALLY_FULFILLED'].includes(order.status)) {
@@ -624,16 +652,9 @@ exports.convertToSale = async (req, res, next) => {
       return res.status(400).json({ message: 'No hay líneas pendientes por entregar' })
     }
 
-    const result = await prismaTransaction.$transaction(async (tx) => {
+    const outcome = await prismaTransaction.$transaction(async (tx) => {
       const cashSessionIdForSale = await requireCashSession(tx, user, cashRegisterId, order.branch_id)
 
-      const paymentMethod = await tx.paymentMethod.findUnique({ where: { id: paymentMethodId } })
-      if (!paymentMethod) {
-        const err = new Error('Método de pago no encontrado')
-        err.status = 400
-        throw err
-      }
-
       await assertLinesAvailable(
         tx,
         fulfillments.map(({ line, qty }) => ({ product_id: line.product_id, qty })),
@@ -660,6 +681,21 @@ exports.convertToSale = async (req, res, next) => {
         fulfillments.reduce((acc, f) => acc + Number(f.line.unit_price) * f.qty, 0) * 100
       ) / 100
       const total = subtotal
+
+      const cobro = await resolveTenders(tx, {
+        payments,
+        payment_method_id: paymentMethodId,
+        amount_received,
+        change: changeRaw,
+      }, total)
+      const credito = await resolveCreditTerms(tx, {
+        customerContactId: order.customer_contact_id,
+        creditAmount: cobro.creditAmount,
+        saleDate,
+        paymentTermId,
+        dueDate,
+      })
+
       const branch = await loadBranch(tx, order.branch_id)
       const saleRef = await nextDocumentReference(tx, 'V', branch)
 
@@ -669,9 +705,9 @@ exports.convertToSale = async (req, res, next) => {
           customer: order.customer,
           customer_nit: order.customer_nit,
           is_final_consumer: order.is_final_consumer,
-          payment_method_id: paymentMethodId,
-          amount_received: amount_received != null ? Number(amount_received) : null,
-          change: changeRaw != null ? Number(changeRaw) : null,
+          payment_method_id: cobro.primaryMethodId,
+          amount_received: cobro.amountReceived,
+          change: cobro.change,
           customer_contact_id: order.customer_contact_id || undefined,
           sales_channel: order.sales_channel,
           reference: saleRef,
@@ -686,23 +722,36 @@ exports.convertToSale = async (req, res, next) => {
           status_id: completadaStatus.id,
           created_by: user.sub,
           cash_register_session_id: cashSessionIdForSale || undefined,
+          ...credito,
         },
       })
 
+      await tx.salePayment.createMany({
+        data: cobro.tenders.map((t) => ({ sale_id: sale.id, ...t })),
+      })
+
       // Mismo criterio que en el punto de venta: el costo se congela al vender.
-      const costos = new Map(
+      const productos = new Map(
         (await tx.product.findMany({
           where: { id: { in: [...new Set(fulfillments.map((f) => f.line.product_id))] } },
-          select: { id: true, cost: true },
-        })).map((p) => [String(p.id), p.cost])
+          select: { id: true, name: true, cost: true, tracks_serials: true },
+        })).map((p) => [String(p.id), p])
+      )
+      // Lo que lleva serie se entrega unidad por unidad: cada línea dice cuáles.
+      const { byLine: serialsPerLine, byProduct: serialsToSell } = serialsByLine(
+        fulfillments.map((f) => ({ product_id: f.line.product_id, qty: f.qty, serials: f.serials })),
+        productos
       )
       await tx.saleItem.createMany({
-        data: fulfillments.map(({ line, qty }) => ({
+        data: fulfillments.map(({ line, qty }, idx) => ({
           sale_id: sale.id,
           product_id: line.product_id,
           price: line.unit_price,
-          unit_cost: costos.get(String(line.product_id)) ?? null,
+          unit_cost: productos.get(String(line.product_id))?.cost ?? null,
           qty,
+          // La entrega parcial va en unidad base; si llena cajas enteras, se imprime en cajas.
+          ...partialUnitData(line, qty),
+          serials: serialsPerLine[idx],
         })),
       })
 
@@ -714,6 +763,12 @@ exports.convertToSale = async (req, res, next) => {
         reason: 'ORDER_FULFILL', refType: 'commercial_document', refId: String(order.id), userId: user.sub,
       })
       await ensureStockAlertsBatch(tx, updatedProducts, order.branch_id)
+      await moveSerialsByProduct(tx, serialsToSell, productos, {
+        companyId: req.companyId,
+        from: { statuses: SELLABLE, branchId: order.branch_id },
+        to: { status: 'SOLD', branch_id: null, sale_id: sale.id },
+        event: 'SOLD', branchId: order.branch_id, refType: 'sale', refId: String(sale.id), userId: user.sub,
+      })
 
       await consumePartialByDocument(
         tx,
@@ -741,18 +796,31 @@ exports.convertToSale = async (req, res, next) => {
         where: { id: sale.id },
         include: {
           payment_method: true,
+          payments: { include: { payment_method: true }, orderBy: { sort_order: 'asc' } },
           status: true,
           sale_items: {
             include: {
               product: { select: { id: true, name: true, barcode: true } },
+              unit: { select: { id: true, code: true, name: true } },
             },
           },
           createdBy: { select: { id: true, name: true, email: true } },
         },
       })
 
-      return { order: fulfilled, sale: saleDetail }
+      const queued = await emitWebhook(tx, req.companyId, 'sale.created', {
+        ...saleWebhookData(saleDetail),
+        order_id: fulfilled.id,
+        order_reference: fulfilled.reference,
+      })
+
+      return { order: fulfilled, sale: saleDetail, queued }
     }, ORDER_TX_OPTIONS)
+    const { queued, ...result } = outcome
+    if (queued > 0) requestWebhookDispatch()
+
+    const dte = await autoCertifySale(prisma, result.sale.id, req.companyId)
+    if (dte) result.sale.sale_dtes = [publicDte(dte)]
 
     res.status(201).json(result)
   } catch (e) {
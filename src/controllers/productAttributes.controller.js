@@ -0,0 +1,165 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Atributos de variantes (Talla, Color...) y sus valores. Un valor que ya
+ * distingue a una variante no se borra ni se renombra por aquí: cambiaría lo
+ * que dice la etiqueta de productos que ya existen.
+ */
+
+const { prisma, prismaTransaction } = require('../models/prisma')
+const { recordAudit } = require('../services/auditLog')
+
+const ATTRIBUTE_INCLUDE = { values: { orderBy: [{ sort_order: 'asc' }, { id: 'asc' }] } }
+
+function badRequest(message) {
+  const err = new Error(message)
+  err.status = 400
+  return err
+}
+
+/** ['S', 'M', ' m ', ''] → ['S', 'M'] (sin repetidos, sin distinguir mayúsculas). */
+function parseValues(raw) {
+  if (raw === undefined) return []
+  if (!Array.isArray(raw)) throw badRequest('values debe ser un arreglo')
+  const seen = new Set()
+  const out = []
+  for (const v of raw) {
+    const value = String(v ?? '').trim().slice(0, 60)
+    if (!value || seen.has(value.toLowerCase())) continue
+    seen.add(value.toLowerCase())
+    out.push(value)
+  }
+  return out
+}
+
+function parseName(raw) {
+  const name = String(raw || '').trim()
+  if (!name) throw badRequest('name es requerido')
+  return name.slice(0, 60)
+}
+
+async function findAttribute(req) {
+  const id = Number(req.params.id)
+  if (!Number.isInteger(id)) return null
+  return prisma.productAttribute.findFirst({ where: { id, company_id: req.companyId }, include: ATTRIBUTE_INCLUDE })
+}
+
+// GET /catalogs/attributes?includeInactive=true
+exports.list = async (req, res, next) => {
+  try {
+    const where = { company_id: req.companyId }
+    if (req.query.includeInactive !== 'true') where.active = true
+    const items = await prisma.productAttribute.findMany({
+      where,
+      include: ATTRIBUTE_INCLUDE,
+      orderBy: [{ sort_order: 'asc' }, { name: 'asc' }],
+    })
+    res.json({ items })
+  } catch (e) { next(e) }
+}
+
+// POST /catalogs/attributes — { name, sort_order?, values: ['S', 'M', 'L'] }
+exports.create = async (req, res, next) => {
+  try {
+    const body = req.body || {}
+    const name = parseName(body.name)
+    const values = parseValues(body.values)
+    const created = await prisma.productAttribute.create({
+      data: {
+        company_id: req.companyId,
+        name,
+        sort_order: Number.isInteger(Number(body.sort_order)) ? Number(body.sort_order) : 0,
+        values: { create: values.map((value, idx) => ({ value, sort_order: idx })) },
+      },
+      include: ATTRIBUTE_INCLUDE,
+    })
+    await recordAudit(prisma, req, { entity: 'product_attribute', entityId: created.id, action: 'create', after: created, branchId: null, keepNested: true })
+    res.status(201).json(created)
+  } catch (e) {
+    if (e.code === 'P2002') return res.status(409).json({ message: 'Ya existe un atributo con ese nombre' })
+    next(e)
+  }
+}
+
+// PUT /catalogs/attributes/:id — { name?, sort_order?, active?, values?: [...] }
+// `values` agrega los que falten y reordena; los que no vengan se quedan (para
+// quitar uno: DELETE /catalogs/attributes/:id/values/:valueId).
+exports.update = async (req, res, next) => {
+  try {
+    const existing = await findAttribute(req)
+    if (!existing) return res.status(404).json({ message: 'Atributo no encontrado' })
+    const body = req.body || {}
+    const data = {}
+    if (body.name !== undefined) data.name = parseName(body.name)
+    if (body.sort_order !== undefined && Number.isInteger(Number(body.sort_order))) data.sort_order = Number(body.sort_order)
+    if (body.active !== undefined) data.active = body.active === true || body.active === 'true'
+    const values = body.values !== undefined ? parseValues(body.values) : null
+
+    const updated = await prismaTransaction.$transaction(async (tx) => {
+      if (Object.keys(data).length) await tx.productAttribute.update({ where: { id: existing.id }, data })
+      if (values) {
+        const byValue = new Map(existing.values.map((v) => [v.value.toLowerCase(), v]))
+        for (const [idx, value] of values.entries()) {
+          const current = byValue.get(value.toLowerCase())
+          if (current) {
+            await tx.productAttributeValue.update({ where: { id: current.id }, data: { sort_order: idx } })
+          } else {
+            await tx.productAttributeValue.create({ data: { attribute_id: existing.id, value, sort_order: idx } })
+          }
+        }
+      }
+      return tx.productAttribute.findUnique({ where: { id: existing.id }, include: ATTRIBUTE_INCLUDE })
+    })
+    await recordAudit(prisma, req, {
+      entity: 'product_attribute', entityId: existing.id, action: 'update', before: existing, after: updated, branchId: null, keepNested: true,
+    })
+    res.json(updated)
+  } catch (e) {
+    if (e.code === 'P2002') return res.status(409).json({ message: 'Ya existe un atributo con ese nombre' })
+    next(e)
+  }
+}
+
+// DELETE /catalogs/attributes/:id/values/:valueId — solo si ninguna variante lo usa
+exports.removeValue = async (req, res, next) => {
+  try {
+    const existing = await findAttribute(req)
+    if (!existing) return res.status(404).json({ message: 'Atributo no encontrado' })
+    const value = existing.values.find((v) => v.id === Number(req.params.valueId))
+    if (!value) return res.status(404).json({ message: 'Valor no encontrado' })
+    const used = await prisma.productVariantValue.count({ where: { value_id: value.id } })
+    if (used > 0) {
+      return res.status(409).json({ message: `"${value.value}" distingue a ${used} variante(s); no se puede quitar` })
+    }
+    await prisma.productAttributeValue.delete({ where: { id: value.id } })
+    await recordAudit(prisma, req, {
+      entity: 'product_attribute', entityId: existing.id, action: 'value_delete', before: value, branchId: null,
+    })
+    res.json({ ok: true })
+  } catch (e) { next(e) }
+}
+
+// DELETE /catalogs/attributes/:id — solo si ninguna variante lo usa; si no, desactivarlo
+exports.remove = async (req, res, next) => {
+  try {
+    const existing = await findAttribute(req)
+    if (!existing) return res.status(404).json({ message: 'Atributo no encontrado' })
+    const used = await prisma.productVariantValue.count({ where: { attribute_id: existing.id } })
+    if (used > 0) {
+      return res.status(409).json({ message: 'El atributo distingue variantes existentes; desactívalo en lugar de borrarlo' })
+    }
+    await prisma.productAttribute.delete({ where: { id: existing.id } })
+    await recordAudit(prisma, req, {
+      entity: 'product_attribute', entityId: existing.id, action: 'delete', before: existing, branchId: null, keepNested: true,
+    })
+    res.json({ ok: true })
+  } catch (e) { next(e) }
+}
@@ -21,6 +21,19 @@ const { ensureBranchStockRows } = require('../services/stockAvailability')
 const {
   applyBranchDelta, branchLocationStock, clearBranchLocations, defaultLocationId,
 } = require('../services/stockLocations')
+const {
+  OPEN_PURCHASE_ORDER_STATUSES, matchReceiptToOrderLines, statusAfterReceipt,
+} = require('../services/purchaseOrders')
+const { recordAudit } = require('../services/auditLog')
+const { hidesCost, redactCost, assertCanSeeCost } = require('../services/roleRestrictions')
+const { ABC_CLASSES, XYZ_CLASSES, abcBasisField, parseClassList } = require('../services/inventoryClassification')
+const {
+  convertLinesToBase, basePriceFromUnitPrice, lineUnitData, normalizeProductUnits,
+} = require('../services/units')
+const {
+  VARIANT_VALUES_INCLUDE, variantCombinations, variantKey, variantName, summarizeVariants, compareVariants,
+} = require('../services/variants')
+const { serialsByLine, registerSerials } = require('../services/serials')
 
 /**
  * Fija stock/min_stock del producto EN LA SUCURSAL dada y ajusta el espejo
@@ -107,16 +120,26 @@ function buildProductListWhere(req, scope) {
   const where = includeDeleted === 'true' ? {} : { deleted: false }
   where.company_id = req.companyId
 
+  // Variantes: por defecto se lista lo que se vende (sueltos y variantes, nunca
+  // el padre); ?view=parents lista sueltos y padres, y el padre cumple un filtro
+  // de existencias si lo cumple alguna de sus variantes.
+  const byParent = isParentView(req)
+  if (byParent) where.parent_id = null
+  else where.has_variants = false
+  if (req.query.parent_id) where.parent_id = String(req.query.parent_id)
+  const ownOrVariants = (cond) => (byParent ? { OR: [cond, { variants: { some: { deleted: false, ...cond } } }] } : cond)
+  where.AND = []
+
   // ?in_branch=1 → solo los productos que esa sucursal maneja (tienen fila de
   // stock propia), en vez de todo el catálogo de la empresa en cero.
   const inBranchOnly = req.query.in_branch === '1' || req.query.in_branch === 'true'
   if (inBranchOnly && scope.branchId) {
-    where.branch_stocks = { some: { branch_id: scope.branchId } }
+    where.AND.push(ownOrVariants({ branch_stocks: { some: { branch_id: scope.branchId } } }))
   }
   // Acotado a un almacén o anaquel, lo que se lista es lo que está ahí: un
   // catálogo entero en cero no dice nada de una ubicación.
   if (scope.warehouseId || scope.locationId) {
-    where.location_stocks = { some: { stock: { not: 0 }, ...scopeLocationWhere(scope) } }
+    where.AND.push(ownOrVariants({ location_stocks: { some: { stock: { not: 0 }, ...scopeLocationWhere(scope) } } }))
   }
   if (forSaleOnly) where.available_for_sale = true
   if (search) {
@@ -125,11 +148,30 @@ function buildProductListWhere(req, scope) {
       { brand: { contains: String(search), mode: 'insensitive' } },
       { barcode: { contains: String(search), mode: 'insensitive' } },
     ]
+    // Escanear la etiqueta de una talla encuentra a su padre.
+    if (byParent) where.OR.push({ variants: { some: { deleted: false, barcode: { contains: String(search), mode: 'insensitive' } } } })
   }
   if (category && category !== 'all') {
     where.category = { name: { equals: String(category), mode: 'insensitive' } }
   }
   if (supplier) where.supplier_id = String(supplier)
+  // ?abc=A,B (&abc_basis=margin) y ?xyz=X: la clasificación guardada de la
+  // sucursal; en consolidado, la de cualquier sucursal del alcance.
+  const abc = parseClassList(req.query.abc, ABC_CLASSES, 'abc')
+  const xyz = parseClassList(req.query.xyz, XYZ_CLASSES, 'xyz')
+  if (abc || xyz) {
+    const abcField = abcBasisField(req.query.abc_basis)
+    if (abc && abcField === 'abc_margin') assertCanSeeCost(req.user)
+    where.AND.push(ownOrVariants({
+      classifications: {
+        some: {
+          branch_id: scope.branchId || { in: scope.allowed },
+          ...(abc ? { [abcField]: { in: abc } } : {}),
+          ...(xyz ? { xyz: { in: xyz } } : {}),
+        },
+      },
+    }))
+  }
   return where
 }
 
@@ -190,6 +232,68 @@ async function overlayScopedStock(items, scope) {
     return { ...p, stock: a ? a.stock : 0, min_stock: a ? a.min_stock : 0, in_branch: Boolean(a) }
   })
 }
+
+/**
+ * Clasificación ABC/XYZ de la sucursal en cada fila (`classification`, null si
+ * no la tiene). Sin sucursal no se agrega: cada una tiene la suya.
+ */
+async function overlayClassification(items, branchId) {
+  if (!branchId || !items?.length) return items
+  const rows = await prisma.productClassification.findMany({
+    where: { branch_id: branchId, product_id: { in: items.map((p) => p.id) } },
+    select: { product_id: true, abc_revenue: true, abc_margin: true, xyz: true },
+  })
+  const byId = new Map(rows.map(({ product_id: id, ...c }) => [id, c]))
+  return items.map((p) => ({ ...p, classification: byId.get(p.id) || null }))
+}
+
+function isParentView(req) {
+  return req.query?.view === 'parents'
+}
+
+/**
+ * Las filas de un listado con el stock de su alcance. En la vista por padre,
+ * cada padre trae sumado lo de sus variantes en ese mismo alcance.
+ */
+async function scopedListItems(req, rows, scope) {
+  const items = await overlayScopedStock(rows, scope)
+  const parentIds = isParentView(req) ? items.filter((p) => p.has_variants).map((p) => p.id) : []
+  if (parentIds.length === 0) return items
+
+  const variantRows = await prisma.product.findMany({
+    where: { parent_id: { in: parentIds }, deleted: false },
+    select: { id: true, parent_id: true, price: true, cost: true, stock: true, min_stock: true },
+  })
+  const byParent = new Map()
+  for (const v of await overlayScopedStock(variantRows, scope)) {
+    if (!byParent.has(v.parent_id)) byParent.set(v.parent_id, [])
+    byParent.get(v.parent_id).push(v)
+  }
+  return items.map((p) => (p.has_variants ? summarizeVariants(p, byParent.get(p.id) || []) : p))
+}
+
+/** Lo que el padre comparte con sus variantes; precio, código y stock son de cada una. */
+const VARIANT_SHARED_FIELDS = ['category_id', 'supplier_id', 'brand', 'tracks_expiry', 'tracks_serials']
+
+async function syncVariantsFromParent(tx, before, changes) {
+  const shared = {}
+  for (const f of VARIANT_SHARED_FIELDS) if (changes[f] !== undefined) shared[f] = changes[f]
+  if (Object.keys(shared).length) await tx.product.updateMany({ where: { parent_id: before.id }, data: shared })
+  // Renombrar el padre renombra las variantes que conservan el nombre generado.
+  if (changes.name !== undefined && changes.name !== before.name) {
+    const prefix = `${before.name} - `
+    const variants = await tx.product.findMany({
+      where: { parent_id: before.id, name: { startsWith: prefix } },
+      select: { id: true, name: true },
+    })
+    for (const v of variants) {
+      await tx.product.update({
+        where: { id: v.id },
+        data: { name: `${changes.name} - ${v.name.slice(prefix.length)}`.slice(0, 150) },
+      })
+    }
+  }
+}
 const { getTimezone } = require('../utils/getTimezone')
 const { getBrandingForPdf } = require('../utils/pdfBranding')
 
@@ -226,7 +330,7 @@ exports.list = async (req, res, next) => {
     
     const products = await prisma.product.findMany({
       where,
-      include: { category: true, supplier: true, status: true },
+      include: { category: true, supplier: true, status: true, parent: { select: { id: true, name: true } } },
       orderBy: { name: 'asc' },
       skip: (safePage - 1) * pageSize,
       take: pageSize,
@@ -236,7 +340,7 @@ exports.list = async (req, res, next) => {
     const prevPage = safePage > 1 ? safePage - 1 : null
 
     res.json({
-      items: await overlayScopedStock(products, scope),
+      items: redactCost(req.user, await overlayClassification(await scopedListItems(req, products, scope), scope.branchId)),
       page: safePage,
       pageSize,
       totalPages,
@@ -266,6 +370,23 @@ exports.create = async (req, res, next) => {
     if (safePayload.tracks_expiry !== undefined) {
       safePayload.tracks_expiry = safePayload.tracks_expiry === true || safePayload.tracks_expiry === 'true'
     }
+    if (safePayload.tracks_serials !== undefined) {
+      safePayload.tracks_serials = safePayload.tracks_serials === true || safePayload.tracks_serials === 'true'
+    }
+    // Con número de serie el stock entra por ingreso de mercancía, cada unidad con el suyo.
+    if (safePayload.tracks_serials && stock > 0) {
+      return res.status(400).json({ message: 'Un producto con número de serie no lleva stock inicial: regístralo con ingreso de mercancía' })
+    }
+    if (safePayload.tracks_serials && parseKind(payload.kind) === 'KIT') {
+      return res.status(400).json({ message: 'Un kit no lleva número de serie (lo llevan sus componentes)' })
+    }
+    // Tarjeta de regalo: cada unidad vendida emite una tarjeta; no hay existencia que contar.
+    if (safePayload.is_gift_card !== undefined) {
+      safePayload.is_gift_card = safePayload.is_gift_card === true || safePayload.is_gift_card === 'true'
+    }
+    if (safePayload.is_gift_card && (stock > 0 || safePayload.tracks_serials || parseKind(payload.kind) === 'KIT')) {
+      return res.status(400).json({ message: 'Una tarjeta de regalo no lleva stock inicial, número de serie ni componentes' })
+    }
 
     // Validar y normalizar supplier_id: debe ser un UUID válido
     if (safePayload.supplier_id !== undefined) {
@@ -292,6 +413,9 @@ exports.create = async (req, res, next) => {
     }
 
     safePayload.company_id = req.companyId
+    // Las variantes nacen de POST /products/:id/variants/generate, no de aquí.
+    delete safePayload.parent_id
+    delete safePayload.has_variants
     const kind = parseKind(payload.kind)
     const bomComponents = payload.bom_components
     delete safePayload.bom_components
@@ -401,6 +525,8 @@ exports.create = async (req, res, next) => {
       console.error('post-create ensureStockAlert error', e.message)
     }
 
+    await recordAudit(prisma, req, { entity: 'product', entityId: result.product.id, action: 'create', after: result.product })
+
     // devolver ambos objetos; purchaseLog será null si no se creó
     res.status(201).json(result)
   } catch (e) { next(e) }
@@ -410,14 +536,14 @@ exports.getOne = async (req, res, next) => {
   try {
     const item = await prisma.product.findFirst({
       where: { id: req.params.id, company_id: req.companyId },
-      include: BOM_INCLUDE,
+      include: { ...BOM_INCLUDE, ...VARIANT_VALUES_INCLUDE, parent: { select: { id: true, name: true } } },
     })
     if (!item || item.deleted) return res.status(404).json({ message: 'No encontrado' })
     if (req.branchId) {
       const [withBranch] = await overlayBranchStock([item], req.branchId)
-      return res.json(withBranch)
+      return res.json(redactCost(req.user, withBranch))
     }
-    res.json(item)
+    res.json(redactCost(req.user, item))
   } catch (e) { next(e) }
 }
 
@@ -449,21 +575,45 @@ exports.getBom = async (req, res, next) => {
 exports.updateBom = async (req, res, next) => {
   try {
     const id = req.params.id
-    const { components } = req.body || {}
+    const { components: componentsInput } = req.body || {}
     const updated = await prismaTransaction.$transaction(async (tx) => {
       const product = await tx.product.findFirst({
         where: { id, deleted: false, company_id: req.companyId },
-        select: { id: true, kind: true },
+        select: { id: true, kind: true, has_variants: true, parent_id: true },
       })
       if (!product) {
         const err = new Error('Producto no encontrado')
         err.status = 404
         throw err
       }
+      if (product.has_variants || product.parent_id) {
+        const err = new Error('Un producto con variantes (o una variante) no se convierte en kit')
+        err.status = 400
+        throw err
+      }
       if (product.kind !== 'KIT') {
         await tx.product.update({ where: { id }, data: { kind: 'KIT', stock: 0 } })
       }
-      return replaceProductBom(tx, id, components)
+      const before = await tx.productBomLine.findMany({
+        where: { kit_product_id: id },
+        select: { component_product_id: true, qty_per_unit: true },
+        orderBy: { component_product_id: 'asc' },
+      })
+      const components = await replaceProductBom(tx, id, componentsInput)
+      await recordAudit(tx, req, {
+        entity: 'product',
+        entityId: id,
+        action: 'bom_update',
+        before: { kind: product.kind, components: before },
+        after: {
+          kind: 'KIT',
+          components: components
+            .map((c) => ({ component_product_id: c.component_product_id, qty_per_unit: c.qty_per_unit }))
+            .sort((a, b) => String(a.component_product_id).localeCompare(String(b.component_product_id))),
+        },
+        keepNested: true,
+      })
+      return components
     })
     res.json({ components: updated })
   } catch (e) {
@@ -471,6 +621,378 @@ exports.updateBom = async (req, res, next) => {
   }
 }
 
+const PRODUCT_UNITS_INCLUDE = {
+  baseUnit: { select: { id: true, code: true, name: true, allows_decimal: true } },
+  units: {
+    orderBy: { factor: 'asc' },
+    include: { unit: { select: { id: true, code: true, name: true, allows_decimal: true, active: true } } },
+  },
+}
+
+// GET /api/products/:id/units — unidad base y las alternas con su factor
+exports.getUnits = async (req, res, next) => {
+  try {
+    const product = await prisma.product.findFirst({
+      where: { id: req.params.id, deleted: false, company_id: req.companyId },
+      select: { id: true, name: true, ...PRODUCT_UNITS_INCLUDE },
+    })
+    if (!product) return res.status(404).json({ message: 'Producto no encontrado' })
+    res.json(product)
+  } catch (e) {
+    next(e)
+  }
+}
+
+/**
+ * PUT /api/products/:id/units — { base_unit_id?, units: [{ unit_id, factor, price?, is_purchase_default?, is_sale_default? }] }
+ * Reemplaza las unidades alternas. La unidad base solo se nombra (la primera
+ * vez) o se cambia mientras el producto no tenga movimientos: las existencias
+ * ya contadas no se reinterpretan.
+ */
+exports.updateUnits = async (req, res, next) => {
+  try {
+    const id = req.params.id
+    const body = req.body || {}
+    const updated = await prismaTransaction.$transaction(async (tx) => {
+      const product = await tx.product.findFirst({
+        where: { id, deleted: false, company_id: req.companyId },
+        select: { id: true, base_unit_id: true, units: { select: { unit_id: true, factor: true, price: true } } },
+      })
+      if (!product) {
+        const err = new Error('Producto no encontrado')
+        err.status = 404
+        throw err
+      }
+
+      let baseUnitId = product.base_unit_id
+      if (body.base_unit_id !== undefined) {
+        baseUnitId = body.base_unit_id === null || body.base_unit_id === '' ? null : Number(body.base_unit_id)
+        if (baseUnitId !== product.base_unit_id && product.base_unit_id != null) {
+          const moved = await tx.stockMovement.findFirst({ where: { product_id: id }, select: { id: true } })
+          if (moved) {
+            const err = new Error('El producto ya tiene movimientos: su unidad base no se puede cambiar')
+            err.status = 409
+            throw err
+          }
+        }
+      }
+      const rows = normalizeProductUnits(body.units ?? [], baseUnitId)
+
+      const unitIds = [...new Set([baseUnitId, ...rows.map((r) => r.unit_id)].filter((u) => u != null))]
+      const found = await tx.unitOfMeasure.findMany({
+        where: { id: { in: unitIds }, company_id: req.companyId, active: true },
+        select: { id: true },
+      })
+      if (found.length !== unitIds.length) {
+        const err = new Error('Alguna unidad no existe o está inactiva')
+        err.status = 400
+        throw err
+      }
+
+      await tx.product.update({ where: { id }, data: { base_unit_id: baseUnitId } })
+      await tx.productUnit.deleteMany({ where: { product_id: id } })
+      if (rows.length > 0) {
+        await tx.productUnit.createMany({ data: rows.map((r) => ({ product_id: id, ...r })) })
+      }
+      await recordAudit(tx, req, {
+        entity: 'product',
+        entityId: id,
+        action: 'units_update',
+        before: { base_unit_id: product.base_unit_id, units: product.units.map((u) => ({ unit_id: u.unit_id, factor: Number(u.factor), price: u.price == null ? null : Number(u.price) })) },
+        after: { base_unit_id: baseUnitId, units: rows.map((r) => ({ unit_id: r.unit_id, factor: r.factor, price: r.price })) },
+        keepNested: true,
+      })
+      return tx.product.findUnique({ where: { id }, select: { id: true, name: true, ...PRODUCT_UNITS_INCLUDE } })
+    })
+    res.json(updated)
+  } catch (e) {
+    next(e)
+  }
+}
+
+const VARIANT_SELECT = {
+  id: true,
+  name: true,
+  barcode: true,
+  price: true,
+  price_wholesale: true,
+  price_promotion: true,
+  cost: true,
+  stock: true,
+  min_stock: true,
+  available_for_sale: true,
+  parent_id: true,
+  ...VARIANT_VALUES_INCLUDE,
+}
+
+/** Atributos y valores que aparecen en las variantes (los ejes de la matriz). */
+function variantAxes(variants) {
+  const axes = new Map()
+  for (const v of variants) {
+    for (const vv of v.variant_values) {
+      if (!axes.has(vv.attribute.id)) axes.set(vv.attribute.id, { ...vv.attribute, values: new Map() })
+      axes.get(vv.attribute.id).values.set(vv.value.id, vv.value)
+    }
+  }
+  return [...axes.values()].map((a) => ({
+    ...a,
+    values: [...a.values.values()].sort((x, y) => x.sort_order - y.sort_order),
+  }))
+}
+
+// GET /api/products/:id/variants — el padre (con lo de sus variantes sumado), los ejes y cada variante
+exports.getVariants = async (req, res, next) => {
+  try {
+    const parent = await prisma.product.findFirst({
+      where: { id: req.params.id, deleted: false, company_id: req.companyId },
+      select: { id: true, name: true, price: true, cost: true, has_variants: true, parent_id: true },
+    })
+    if (!parent) return res.status(404).json({ message: 'Producto no encontrado' })
+    if (parent.parent_id) {
+      return res.status(400).json({ message: 'Es una variante; consulta las de su producto padre', parent_id: parent.parent_id })
+    }
+    const rows = await prisma.product.findMany({
+      where: { parent_id: parent.id, deleted: false },
+      select: VARIANT_SELECT,
+    })
+    const variants = (await overlayScopedStock(rows, listScope(req))).sort(compareVariants)
+    res.json({ parent: summarizeVariants(parent, variants), attributes: variantAxes(variants), variants })
+  } catch (e) {
+    next(e)
+  }
+}
+
+/**
+ * POST /api/products/:id/variants/generate
+ * body { attributes: [{ attribute_id, value_ids: [] }], price?, cost? }
+ *
+ * Crea una variante por combinación que todavía no exista (correrlo otra vez
+ * con una talla nueva solo agrega las de esa talla). Cada variante copia del
+ * padre categoría, proveedor, marca, precios, costo y unidades, y queda
+ * manejada en las sucursales que manejan al padre. El padre deja de venderse.
+ */
+exports.generateVariants = async (req, res, next) => {
+  try {
+    const id = req.params.id
+    const body = req.body || {}
+    const result = await prismaTransaction.$transaction(async (tx) => {
+      const parent = await tx.product.findFirst({
+        where: { id, deleted: false, company_id: req.companyId },
+        include: { units: true },
+      })
+      if (!parent) {
+        const err = new Error('Producto no encontrado')
+        err.status = 404
+        throw err
+      }
+      if (parent.parent_id) {
+        const err = new Error('Una variante no puede tener variantes')
+        err.status = 400
+        throw err
+      }
+      if (parent.kind === 'KIT') {
+        const err = new Error('Un kit no tiene variantes')
+        err.status = 400
+        throw err
+      }
+      // Al volverse padre deja de tener existencias propias: no puede llevarse
+      // stock, reservas ni ser componente de un kit.
+      if (!parent.has_variants) {
+        const [conStock, reservas, enKits] = await Promise.all([
+          tx.productStock.count({ where: { product_id: id, stock: { not: 0 } } }),
+          tx.stockReservation.count({ where: { product_id: id, status: 'ACTIVE' } }),
+          tx.productBomLine.count({ where: { component_product_id: id } }),
+        ])
+        if (conStock + reservas + enKits > 0) {
+          const err = new Error('El producto tiene existencias, reservas o es componente de un kit: no puede pasar a tener variantes')
+          err.status = 409
+          throw err
+        }
+      }
+
+      const requested = Array.isArray(body.attributes) ? body.attributes : []
+      const attributeIds = requested.map((a) => Number(a?.attribute_id))
+      if (new Set(attributeIds).size !== attributeIds.length) {
+        const err = new Error('Un atributo aparece dos veces')
+        err.status = 400
+        throw err
+      }
+      const attributes = await tx.productAttribute.findMany({
+        where: { id: { in: attributeIds.filter(Number.isInteger) }, company_id: req.companyId, active: true },
+        include: { values: true },
+        orderBy: [{ sort_order: 'asc' }, { id: 'asc' }],
+      })
+      if (attributes.length !== attributeIds.length) {
+        const err = new Error('Algún atributo no existe o está inactivo')
+        err.status = 400
+        throw err
+      }
+      const axes = attributes.map((attribute) => {
+        const wanted = requested.find((a) => Number(a.attribute_id) === attribute.id)
+        const ids = new Set((wanted.value_ids || []).map(Number))
+        const values = attribute.values.filter((v) => ids.has(v.id)).sort((a, b) => a.sort_order - b.sort_order)
+        if (values.length !== ids.size) {
+          const err = new Error(`Algún valor no pertenece a ${attribute.name}`)
+          err.status = 400
+          throw err
+        }
+        return { attribute, values }
+      })
+
+      const existing = await tx.product.findMany({
+        where: { parent_id: id },
+        select: { variant_values: { select: { attribute_id: true, value_id: true } } },
+      })
+      if (existing.length > 0) {
+        const current = [...new Set(existing.flatMap((v) => v.variant_values.map((vv) => vv.attribute_id)))].sort()
+        if (current.join(',') !== [...attributeIds].sort().join(',')) {
+          const err = new Error('Las variantes existentes usan otros atributos; genera con los mismos')
+          err.status = 400
+          throw err
+        }
+      }
+      const taken = new Set(existing.map((v) => variantKey(v.variant_values)))
+      const allCombos = variantCombinations(axes)
+      const combos = allCombos.filter((combo) => !taken.has(variantKey(combo)))
+
+      const price = body.price != null && body.price !== '' ? Number(body.price) : Number(parent.price)
+      const cost = body.cost != null && body.cost !== '' ? Number(body.cost) : Number(parent.cost)
+      if (!Number.isFinite(price) || price < 0 || !Number.isFinite(cost) || cost < 0) {
+        const err = new Error('price y cost deben ser números ≥ 0')
+        err.status = 400
+        throw err
+      }
+
+      const created = []
+      for (const combo of combos) {
+        const variant = await tx.product.create({
+          data: {
+            company_id: parent.company_id,
+            parent_id: parent.id,
+            name: variantName(parent.name, combo),
+            category_id: parent.category_id,
+            supplier_id: parent.supplier_id,
+            status_id: parent.status_id,
+            brand: parent.brand,
+            size: parent.size,
+            description: parent.description,
+            image_url: parent.image_url,
+            price,
+            price_wholesale: parent.price_wholesale,
+            price_promotion: parent.price_promotion,
+            promotion_valid_until: parent.promotion_valid_until,
+            cost,
+            min_stock: parent.min_stock,
+            tracks_expiry: parent.tracks_expiry,
+            tracks_serials: parent.tracks_serials,
+            base_unit_id: parent.base_unit_id,
+            stock: 0,
+            variant_values: {
+              create: combo.map((v) => ({ attribute_id: v.attribute_id, value_id: v.value_id })),
+            },
+          },
+          select: { id: true, name: true },
+        })
+        created.push(variant)
+      }
+
+      if (created.length > 0) {
+        const createdIds = created.map((v) => v.id)
+        const branchRows = await tx.productStock.findMany({ where: { product_id: id }, select: { branch_id: true } })
+        const branchIds = new Set(branchRows.map((r) => r.branch_id))
+        if (req.branchId) branchIds.add(req.branchId)
+        for (const branchId of branchIds) await ensureBranchStockRows(tx, createdIds, branchId)
+        if (parent.units.length > 0) {
+          await tx.productUnit.createMany({
+            data: createdIds.flatMap((productId) => parent.units.map((u) => ({
+              product_id: productId,
+              unit_id: u.unit_id,
+              factor: u.factor,
+              price: u.price,
+              is_purchase_default: u.is_purchase_default,
+              is_sale_default: u.is_sale_default,
+            }))),
+          })
+        }
+      }
+      await tx.product.update({ where: { id }, data: { has_variants: true, available_for_sale: false } })
+      await recordAudit(tx, req, {
+        entity: 'product',
+        entityId: id,
+        action: 'variants_generate',
+        before: { has_variants: parent.has_variants, variants: existing.length },
+        after: { has_variants: true, created },
+        keepNested: true,
+      })
+      return { created, skipped: allCombos.length - combos.length }
+    })
+    res.status(201).json(result)
+  } catch (e) {
+    next(e)
+  }
+}
+
+/**
+ * PUT /api/products/:id/variants — { variants: [{ id, barcode?, price?, price_wholesale?, cost?, available_for_sale? }] }
+ * Edición de la matriz de un solo golpe (códigos y precios por talla/color).
+ * El stock no se toca aquí: entra por ingresos, ajustes y traslados.
+ */
+exports.updateVariants = async (req, res, next) => {
+  try {
+    const id = req.params.id
+    const input = Array.isArray(req.body?.variants) ? req.body.variants : null
+    if (!input) return res.status(400).json({ message: 'variants debe ser un arreglo' })
+
+    const updated = await prismaTransaction.$transaction(async (tx) => {
+      const variants = await tx.product.findMany({
+        where: { parent_id: id, deleted: false, company_id: req.companyId },
+        select: { id: true, barcode: true, price: true, price_wholesale: true, cost: true, available_for_sale: true },
+      })
+      const byId = new Map(variants.map((v) => [v.id, v]))
+      const out = []
+      for (const row of input) {
+        const before = byId.get(String(row?.id))
+        if (!before) {
+          const err = new Error(`Variante no encontrada: ${row?.id}`)
+          err.status = 400
+          throw err
+        }
+        const data = {}
+        if (row.barcode !== undefined) data.barcode = row.barcode ? String(row.barcode).trim().slice(0, 100) : null
+        for (const field of ['price', 'cost']) {
+          if (row[field] === undefined) continue
+          const n = Number(row[field])
+          if (row[field] === null || row[field] === '' || !Number.isFinite(n) || n < 0) {
+            const err = new Error(`${field} inválido en la variante ${row.id}`)
+            err.status = 400
+            throw err
+          }
+          data[field] = n
+        }
+        if (row.price_wholesale !== undefined) {
+          const n = row.price_wholesale === null || row.price_wholesale === '' ? null : Number(row.price_wholesale)
+          if (n !== null && (!Number.isFinite(n) || n < 0)) {
+            const err = new Error(`price_wholesale inválido en la variante ${row.id}`)
+            err.status = 400
+            throw err
+          }
+          data.price_wholesale = n
+        }
+        if (row.available_for_sale !== undefined) data.available_for_sale = Boolean(row.available_for_sale)
+        if (Object.keys(data).length === 0) continue
+        const after = await tx.product.update({ where: { id: before.id }, data, select: VARIANT_SELECT })
+        await recordAudit(tx, req, { entity: 'product', entityId: before.id, action: 'update', before, after: data })
+        out.push(after)
+      }
+      return out
+    })
+    res.json({ variants: updated })
+  } catch (e) {
+    if (e.code === 'P2002') return res.status(409).json({ message: 'Código de barras repetido' })
+    next(e)
+  }
+}
+
 /**
  * POST /api/products/:id/kit/assemble
  * Arma unidades de un kit ahora mismo (body.qty opcional, si no se pasa arma
@@ -550,6 +1072,8 @@ exports.update = async (req, res, next) => {
       'status_id',
       'available_for_sale',
       'tracks_expiry',
+      'tracks_serials',
+      'is_gift_card',
       'kind',
     ]
     for (const field of allowedFields) {
@@ -561,6 +1085,17 @@ exports.update = async (req, res, next) => {
     if (safePayload.tracks_expiry !== undefined) {
       safePayload.tracks_expiry = safePayload.tracks_expiry === true || safePayload.tracks_expiry === 'true'
     }
+    if (safePayload.tracks_serials !== undefined) {
+      safePayload.tracks_serials = safePayload.tracks_serials === true || safePayload.tracks_serials === 'true'
+    }
+    if (safePayload.is_gift_card !== undefined) {
+      safePayload.is_gift_card = safePayload.is_gift_card === true || safePayload.is_gift_card === 'true'
+    }
+    const isGiftCard = safePayload.is_gift_card ?? current.is_gift_card
+    if (isGiftCard && ((safePayload.tracks_serials ?? current.tracks_serials) || (safePayload.kind !== undefined ? parseKind(safePayload.kind) : current.kind) === 'KIT')) {
+      return res.status(400).json({ message: 'Una tarjeta de regalo no lleva número de serie ni componentes' })
+    }
+    if (isGiftCard) delete safePayload.stock
 
     if (safePayload.kind !== undefined) {
       safePayload.kind = parseKind(safePayload.kind)
@@ -579,6 +1114,41 @@ exports.update = async (req, res, next) => {
       safePayload.stock = 0
     }
 
+    // El padre de variantes no tiene stock ni se vende; lo común que cambie
+    // (categoría, proveedor, marca) baja a sus variantes más abajo.
+    if (current.has_variants) {
+      delete safePayload.stock
+      delete safePayload.min_stock
+      delete safePayload.kind
+      delete safePayload.available_for_sale
+    }
+
+    // Número de serie: se activa sin existencias (las que hay no tendrían
+    // serial; en un padre, las de sus variantes). Desde ahí el stock ya no se
+    // edita a mano: entra por ingreso de mercancía con el serial de cada unidad.
+    const tracksSerials = safePayload.tracks_serials ?? current.tracks_serials
+    if (tracksSerials && (safePayload.kind ?? current.kind) === 'KIT') {
+      return res.status(400).json({ message: 'Un kit no lleva número de serie (lo llevan sus componentes)' })
+    }
+    if (safePayload.tracks_serials && !current.tracks_serials) {
+      const [conStock, enKits] = await Promise.all([
+        prisma.productStock.count({
+          where: { product: { OR: [{ id }, { parent_id: id }] }, stock: { not: 0 } },
+        }),
+        prisma.productBomLine.count({ where: { component_product_id: id } }),
+      ])
+      if (conStock > 0) {
+        return res.status(409).json({
+          message: 'El producto tiene existencias sin serial: déjalo en 0 antes de activar el número de serie',
+          code: 'PRODUCT_HAS_STOCK',
+        })
+      }
+      if (enKits > 0) {
+        return res.status(409).json({ message: 'El producto es componente de un kit: no puede llevar número de serie', code: 'PRODUCT_IN_KIT' })
+      }
+    }
+    if (tracksSerials) delete safePayload.stock
+
     // Opcionales: mayoreo / promoción (null borra en BD)
     for (const decField of ['price_wholesale', 'price_promotion']) {
       if (safePayload[decField] === undefined) continue
@@ -666,6 +1236,7 @@ exports.update = async (req, res, next) => {
     try {
       const out = await prismaTransaction.$transaction(async (tx) => {
         const prod = await tx.product.update({ where: { id }, data: safePayload })
+        if (current.has_variants) await syncVariantsFromParent(tx, current, safePayload)
         const row = (branchStockValue !== undefined || branchMinValue !== undefined)
           ? await setBranchStock(tx, id, branchId, { stock: branchStockValue, minStock: branchMinValue }, { userId: req.user?.sub || null })
           : null
@@ -698,6 +1269,8 @@ exports.update = async (req, res, next) => {
       }
     }
 
+    await recordAudit(prisma, req, { entity: 'product', entityId: id, action: 'update', before: current, after: updated })
+
     const [withBranch] = await overlayBranchStock([updated], req.branchId)
     res.json(withBranch || updated)
   } catch (e) { next(e) }
@@ -719,7 +1292,7 @@ exports.remove = async (req, res, next) => {
 
     const owned = await prisma.product.findFirst({
       where: { id: req.params.id, company_id: req.companyId },
-      select: { id: true, name: true },
+      select: { id: true, name: true, deleted: true, deleted_at: true },
     })
     if (!owned) return res.status(404).json({ message: 'Producto no encontrado' })
 
@@ -727,7 +1300,7 @@ exports.remove = async (req, res, next) => {
     // vacío: el producto desaparece de las pantallas pero sus unidades y sus
     // reservas siguen ahí. Quitarlo de UNA sucursal ya exigía stock 0; a nivel
     // de empresa era más permisivo, que es al revés de como debería ser.
-    const [conStock, reservas, enKits] = await Promise.all([
+    const [conStock, reservas, enKits, variantes] = await Promise.all([
       prisma.productStock.findMany({
         where: { product_id: owned.id, stock: { not: 0 } },
         select: { stock: true, branch: { select: { name: true } } },
@@ -737,6 +1310,7 @@ exports.remove = async (req, res, next) => {
         where: { component_product_id: owned.id, kit_product: { deleted: false } },
         select: { kit_product: { select: { name: true } } },
       }),
+      prisma.product.count({ where: { parent_id: owned.id, deleted: false } }),
     ])
 
     if (conStock.length > 0) {
@@ -759,8 +1333,19 @@ exports.remove = async (req, res, next) => {
         code: 'PRODUCT_IN_KIT',
       })
     }
+    if (variantes > 0) {
+      return res.status(400).json({
+        message: `"${owned.name}" tiene ${variantes} variante(s) activa(s). Archívalas antes de archivar el producto.`,
+        code: 'PRODUCT_HAS_VARIANTS',
+      })
+    }
 
-    await prisma.product.update({ where: { id: req.params.id }, data: { deleted: true, deleted_at: dateAsUtcWithGtClock } })
+    const archived = await prisma.product.update({
+      where: { id: req.params.id },
+      data: { deleted: true, deleted_at: dateAsUtcWithGtClock },
+      select: { id: true, name: true, deleted: true, deleted_at: true },
+    })
+    await recordAudit(prisma, req, { entity: 'product', entityId: owned.id, action: 'delete', before: owned, after: archived })
     res.json({ ok: true })
   } catch (e) { next(e) }
 }
@@ -844,11 +1429,14 @@ exports.reportPdf = async (req, res, next) => {
       include: { category: true, supplier: true, status: true },
       orderBy: { name: 'asc' },
     })
-    const products = await overlayScopedStock(productRows, scope)
+    const products = await scopedListItems(req, productRows, scope)
 
     // Optional columns from query (e.g. ?fields=name,category,price,stock for cotización)
     const fieldsParam = req.query.fields
+    // Sin la columna de costo ni el valor del inventario si el rol oculta costos
+    const hideCost = hidesCost(req.user)
     const allowedFields = ['name', 'category', 'brand', 'size', 'barcode', 'price', 'price_wholesale', 'price_promotion', 'cost', 'stock', 'min_stock', 'supplier', 'status', 'description']
+      .filter((f) => !(hideCost && f === 'cost'))
     const fields = fieldsParam
       ? String(fieldsParam).split(',').map((f) => f.trim().toLowerCase()).filter((f) => allowedFields.includes(f))
       : null
@@ -910,7 +1498,9 @@ exports.reportPdf = async (req, res, next) => {
 
     // CSV: las mismas columnas y las mismas filas que el PDF, en texto plano.
     if (['csv', 'excel'].includes(String(req.query.format || '').toLowerCase())) {
-      const cols = fields?.length ? fields : ['name', 'category', 'brand', 'size', 'barcode', 'cost', 'price', 'stock', 'min_stock', 'supplier', 'status']
+      const cols = fields?.length
+        ? fields
+        : ['name', 'category', 'brand', 'size', 'barcode', 'cost', 'price', 'stock', 'min_stock', 'supplier', 'status'].filter((f) => allowedFields.includes(f))
       const { sendCsv } = require('./reports.controller')
       const alcance = await scopeLabel(req, scope)
       sendCsv(res, 'inventario', [
@@ -976,7 +1566,9 @@ exports.reportPdf = async (req, res, next) => {
 
       drawSummary(startX, startY, 'Productos registrados', String(totalProductos), '#0b1220')
       drawSummary(startX + cardW + 12, startY, 'Unidades en inventario', String(totalUnidades), '#0b1220')
-      drawSummary(startX + (cardW + 12) * 2, startY, `Valor del inventario (${currencyCode})`, money(valorInventario), '#0b1220')
+      if (!hideCost) {
+        drawSummary(startX + (cardW + 12) * 2, startY, `Valor del inventario (${currencyCode})`, money(valorInventario), '#0b1220')
+      }
 
       gridTop = startY + cardH + 24
     } else {
@@ -1116,7 +1708,9 @@ exports.reportPdf = async (req, res, next) => {
       doc.text(priceText, priceTextX, priceTextY)
 
       // Cost small under price box
-      doc.fillColor('#94a3b8').font('Helvetica').fontSize(9).text(`Costo: ${money(p.cost)}`, priceX + 8, priceY + 34, { width: priceBoxW - 16 })
+      if (!hideCost) {
+        doc.fillColor('#94a3b8').font('Helvetica').fontSize(9).text(`Costo: ${money(p.cost)}`, priceX + 8, priceY + 34, { width: priceBoxW - 16 })
+      }
 
       let lineY = priceY + 50
       const wholesale = p.price_wholesale != null ? Number(p.price_wholesale) : NaN
@@ -1195,6 +1789,8 @@ exports.critical = async (req, res, next) => {
     // filter server-side for products where stock < min_stock
     const critical = products.filter((p) => {
       if (p.kind === 'KIT' && !p.stock_assembled) return false
+      // El padre no tiene existencias: las críticas son sus variantes.
+      if (p.has_variants) return false
       const stock = Number(p.stock || 0)
       const min = Number(p.min_stock || 0)
       return stock < min
@@ -1475,7 +2071,7 @@ async function updateAverageCost(tx, product, qty, unitCost, corriente) {
 exports.registerIncomingMerchandise = async (req, res, next) => {
   try {
     const body = req.body || {}
-    const { supplier_id, items, notes, location_id, is_initial_load } = body
+    const { supplier_id, items: rawItems, notes, location_id, is_initial_load } = body
     // Carga de saldo de apertura (nuevo cliente/base) vs. compra operativa:
     // mismo endpoint, distinta clasificación contable/analítica.
     const merchandiseSource = is_initial_load ? 'INITIAL' : 'PURCHASE'
@@ -1488,12 +2084,19 @@ exports.registerIncomingMerchandise = async (req, res, next) => {
     if (!supplier_id || typeof supplier_id !== 'string') {
       return res.status(400).json({ message: 'supplier_id es requerido' })
     }
-    if (!Array.isArray(items) || items.length === 0) {
+    if (!Array.isArray(rawItems) || rawItems.length === 0) {
       return res.status(400).json({ message: 'items debe ser un array con al menos un producto' })
     }
 
+    // Recepción contra una orden de compra (id o referencia OC-...). Una carga
+    // de apertura no se le pidió a ningún proveedor.
+    const purchaseOrderKey = body.purchase_order_id != null ? String(body.purchase_order_id).trim() : ''
+    if (purchaseOrderKey && is_initial_load) {
+      return res.status(400).json({ message: 'Una carga inicial no se recibe contra una orden de compra' })
+    }
+
     // Validate items structure
-    for (const item of items) {
+    for (const item of rawItems) {
       if (!item.product_id || !item.quantity || item.quantity <= 0) {
         return res.status(400).json({ message: 'Cada item debe tener product_id y quantity > 0' })
       }
@@ -1509,6 +2112,14 @@ exports.registerIncomingMerchandise = async (req, res, next) => {
       }
     }
 
+    // Lo que llega por caja (unit_id/unit) entra al stock en unidad base; el
+    // costo capturado es el de la caja y se reparte entre lo que trae.
+    const items = (await convertLinesToBase(prisma, rawItems, { qtyField: 'quantity' })).map((item) => (
+      item.unit_id != null && item.unit_factor !== 1
+        ? { ...item, unit_cost: basePriceFromUnitPrice(item.unit_cost, item.unit_factor) }
+        : item
+    ))
+
     const tz = await getTimezone(prisma, req.companyId)
     const nowGt = DateTime.now().setZone(tz)
     const dateAsUtcWithGtClock = new Date(Date.UTC(
@@ -1645,11 +2256,50 @@ exports.registerIncomingMerchandise = async (req, res, next) => {
           throw err
         }
       }
+      // Productos con número de serie: uno por unidad que entra (en unidad base).
+      const { byLine: serialsPerLine } = serialsByLine(items, new Map(products.map(p => [p.id, p])), { qtyField: 'quantity' })
+
+      // La orden tiene que ser de esta sucursal y de este proveedor, y estar
+      // enviada: un borrador todavía no se le pidió a nadie. Se bloquea para que
+      // dos recepciones simultáneas no cuenten el mismo pendiente.
+      let purchaseOrder = null
+      let orderLineIds = []
+      if (purchaseOrderKey) {
+        const isUuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(purchaseOrderKey)
+        const found = await tx.purchaseOrder.findFirst({
+          where: { branch_id: branchId, ...(isUuid ? { id: purchaseOrderKey } : { reference: purchaseOrderKey }) },
+          select: { id: true },
+        })
+        if (!found) {
+          const err = new Error('Orden de compra no encontrada en esta sucursal')
+          err.status = 404
+          throw err
+        }
+        await tx.$executeRaw`SELECT 1 FROM purchase_orders WHERE id = ${found.id}::uuid FOR UPDATE`
+        purchaseOrder = await tx.purchaseOrder.findUnique({ where: { id: found.id }, include: { lines: true } })
+        if (purchaseOrder.supplier_id !== supplier_id) {
+          const err = new Error('La orden de compra es de otro proveedor')
+          err.status = 400
+          throw err
+        }
+        if (!OPEN_PURCHASE_ORDER_STATUSES.includes(purchaseOrder.status)) {
+          const err = new Error(`No se puede recibir contra una orden en estado ${purchaseOrder.status}`)
+          err.status = 409
+          throw err
+        }
+        orderLineIds = matchReceiptToOrderLines(
+          purchaseOrder.lines,
+          items,
+          (id) => products.find(p => p.id === id)?.name || id
+        )
+      }
+      const orderLineById = new Map((purchaseOrder?.lines || []).map(l => [l.id, l]))
 
       // Create incoming merchandise audit record
       const incomingMerchandise = await tx.incomingMerchandise.create({
         data: {
           branch_id: branchId,
+          purchase_order_id: purchaseOrder?.id ?? null,
           supplier_id,
           registered_by,
           date: dateAsUtcWithGtClock,
@@ -1673,6 +2323,7 @@ exports.registerIncomingMerchandise = async (req, res, next) => {
       // (llegaron en la misma entrega/factura). ponytail: un solo código por llamada, no por item.
       const autoLotCode = generateLotCode(dateAsUtcWithGtClock)
       let lotsCreated = 0
+      let serialsRegistered = 0
       // Stock y costo que va quedando por producto dentro de esta misma entrada:
       // si el mismo producto viene en dos líneas, la segunda promedia contra lo
       // que dejó la primera y no contra el dato viejo de la base.
@@ -1694,7 +2345,7 @@ exports.registerIncomingMerchandise = async (req, res, next) => {
         ? String(location_id)
         : await defaultLocationId(tx, branchId, { receiving: true })
 
-      for (const item of items) {
+      for (const [idx, item] of items.entries()) {
         const product = products.find(p => p.id === item.product_id)
         if (!product) continue
 
@@ -1736,6 +2387,13 @@ exports.registerIncomingMerchandise = async (req, res, next) => {
             product_id: product.id,
             quantity,
             unit_cost: unitCost,
+            ...lineUnitData(item),
+            // Costo pactado congelado al recibir: la variación de precio no
+            // cambia si después alguien edita la orden.
+            ...(purchaseOrder ? {
+              purchase_order_line_id: orderLineIds[idx],
+              ordered_unit_cost: orderLineById.get(orderLineIds[idx]).unit_cost,
+            } : {}),
           }
         })
 
@@ -1763,12 +2421,44 @@ exports.registerIncomingMerchandise = async (req, res, next) => {
           lotsCreated++
         }
 
+        if (serialsPerLine[idx].length > 0) {
+          await registerSerials(tx, {
+            companyId: req.companyId,
+            productId: product.id,
+            productName: product.name,
+            branchId,
+            serials: serialsPerLine[idx],
+            unitCost,
+            incomingMerchandiseId: incomingMerchandise.id,
+            refType: 'incoming_merchandise',
+            refId: String(incomingMerchandise.id),
+            userId: registered_by,
+          })
+          serialsRegistered += serialsPerLine[idx].length
+        }
+
         // Update stock alerts (valores de la sucursal)
         await ensureStockAlert(tx, product.id, updated.stock, updated.min_stock, branchId)
 
         totalPurchaseValue += quantity * unitCost
       }
 
+      if (purchaseOrder) {
+        const receivedByLine = new Map()
+        items.forEach((item, idx) => {
+          receivedByLine.set(orderLineIds[idx], (receivedByLine.get(orderLineIds[idx]) || 0) + Number(item.quantity))
+        })
+        for (const [lineId, qty] of receivedByLine) {
+          await tx.purchaseOrderLine.update({ where: { id: lineId }, data: { qty_received: { increment: qty } } })
+        }
+        const lines = await tx.purchaseOrderLine.findMany({ where: { purchase_order_id: purchaseOrder.id } })
+        const status = statusAfterReceipt(lines)
+        await tx.purchaseOrder.update({
+          where: { id: purchaseOrder.id },
+          data: { status, received_at: status === 'RECEIVED' ? new Date() : null },
+        })
+      }
+
       // Update supplier: total_purchases (solo compras reales, no apertura) and last_order
       await tx.supplier.update({
         where: { id: supplier_id },
@@ -1784,6 +2474,7 @@ exports.registerIncomingMerchandise = async (req, res, next) => {
         purchaseLogs,
         totalPurchaseValue,
         lotsCreated,
+        serialsRegistered,
       }
     }, {
       maxWait: 10000, // 10 seconds
@@ -1825,13 +2516,23 @@ exports.registerIncomingMerchandise = async (req, res, next) => {
 exports.restore = async (req, res, next) => {
   try {
     const { id } = req.params
-    const owned = await prisma.product.findFirst({ where: { id, company_id: req.companyId }, select: { id: true } })
+    const owned = await prisma.product.findFirst({
+      where: { id, company_id: req.companyId },
+      select: { id: true, deleted: true, deleted_at: true },
+    })
     if (!owned) return res.status(404).json({ message: 'Producto no encontrado' })
     const restored = await prisma.product.update({
       where: { id },
       data: { deleted: false, deleted_at: null },
       include: { category: true, supplier: true, status: true }
     })
+    await recordAudit(prisma, req, {
+      entity: 'product',
+      entityId: id,
+      action: 'restore',
+      before: owned,
+      after: { id, deleted: restored.deleted, deleted_at: restored.deleted_at },
+    })
     res.json({ ok: true, product: restored })
   } catch (e) {
     if (e.code === 'P2025') {
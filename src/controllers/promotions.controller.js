@@ -17,6 +17,7 @@
 const { prisma } = require('../models/prisma')
 const { DateTime } = require('luxon')
 const { applyPromotion, applyMultiplePromotions, PROMOTION_TYPES } = require('../services/promotionCalculator')
+const { recordAudit } = require('../services/auditLog')
 
 /**
  * Una promo se ve donde aplica: en toda la empresa o solo en sus sucursales.
@@ -34,6 +35,19 @@ function branchScope(req) {
 
 const BRANCH_INCLUDE = { include: { branch: { select: { id: true, name: true, code: true } } } }
 
+/** La promo para la bitácora: sus campos más el alcance como listas de ids. */
+function promotionAuditView(p) {
+    const { type: _type, codes, applicable_products, applicable_categories, branches, ...rest } = p
+    const ids = (rows, key) => (rows || []).map((r) => String(r[key])).sort()
+    return {
+        ...rest,
+        ...(codes ? { codes: codes.map((c) => c.code).sort() } : {}),
+        product_ids: ids(applicable_products, 'product_id'),
+        category_ids: ids(applicable_categories, 'category_id'),
+        branch_ids: ids(branches, 'branch_id'),
+    }
+}
+
 /**
  * Sucursales elegidas en el body. Devuelve null si el body no toca el tema
  * (para que update no borre lo que ya había).
@@ -442,6 +456,14 @@ exports.create = async (req, res, next) => {
             })
         })
 
+        await recordAudit(prisma, req, {
+            entity: 'promotion',
+            entityId: promotion.id,
+            action: 'create',
+            after: promotionAuditView(promotion),
+            keepNested: true,
+        })
+
         res.status(201).json(promotion)
     } catch (e) { next(e) }
 }
@@ -494,6 +516,13 @@ exports.addCodes = async (req, res, next) => {
                 company_id: req.companyId
             }))
         })
+        await recordAudit(prisma, req, {
+            entity: 'promotion',
+            entityId: id,
+            action: 'add_codes',
+            after: { codes: allNewCodes },
+            keepNested: true,
+        })
 
         const updatedPromotion = await prisma.promotion.findUnique({
             where: { id },
@@ -527,6 +556,13 @@ exports.deleteCode = async (req, res, next) => {
             where: { id: Number(codeId) },
             data: { active: false }
         })
+        await recordAudit(prisma, req, {
+            entity: 'promotion',
+            entityId: id,
+            action: 'deactivate_code',
+            before: { code: code.code, active: code.active },
+            after: { code: code.code, active: false },
+        })
 
         res.json({ message: 'Código desactivado' })
     } catch (e) { next(e) }
@@ -564,7 +600,7 @@ exports.update = async (req, res, next) => {
 
         const existing = await prisma.promotion.findFirst({
             where: { id, company_id: req.companyId, ...branchScope(req) },
-            include: { type: true },
+            include: { type: true, applicable_products: true, applicable_categories: true, branches: true },
         })
         if (!existing || existing.deleted) {
             return res.status(404).json({ message: 'Promoción no encontrada' })
@@ -692,6 +728,16 @@ exports.update = async (req, res, next) => {
             },
         })
 
+        const { codes: _codes, ...updatedScope } = updated
+        await recordAudit(prisma, req, {
+            entity: 'promotion',
+            entityId: id,
+            action: 'update',
+            before: promotionAuditView(existing),
+            after: promotionAuditView(updatedScope),
+            keepNested: true,
+        })
+
         res.json(updated)
     } catch (e) { next(e) }
 }
@@ -711,10 +757,11 @@ exports.delete = async (req, res, next) => {
             return res.status(404).json({ message: 'Promoción no encontrada' })
         }
 
-        await prisma.promotion.update({
+        const deleted = await prisma.promotion.update({
             where: { id },
             data: { deleted: true, active: false }
         })
+        await recordAudit(prisma, req, { entity: 'promotion', entityId: id, action: 'delete', before: existing, after: deleted })
 
         res.json({ message: 'Promoción eliminada correctamente' })
     } catch (e) { next(e) }
@@ -0,0 +1,357 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Órdenes de compra a proveedores (DRAFT → SENT → PARTIALLY_RECEIVED →
+ * RECEIVED / CANCELLED). Se reciben con POST /api/products/register-incoming
+ * mandando purchase_order_id; aquí solo se arman, se envían y se cancelan.
+ */
+
+const { prisma, prismaTransaction } = require('../models/prisma')
+const { Prisma } = require('@prisma/client')
+const { nextDocumentReference } = require('../services/referenceGenerator')
+const { purchaseOrderVariance } = require('../services/purchaseOrders')
+const { round2 } = require('../services/accounting/logic')
+const { targetBranch, branchWhere } = require('../middlewares/tenant')
+
+const PO_TX_OPTIONS = { maxWait: 10_000, timeout: 20_000 }
+
+const PO_LIST_INCLUDE = {
+  branch: { select: { id: true, name: true, code: true } },
+  supplier: { select: { id: true, name: true } },
+  createdBy: { select: { id: true, name: true } },
+  _count: { select: { lines: true, receipts: true } },
+}
+
+const PO_DETAIL_INCLUDE = {
+  branch: { select: { id: true, name: true, code: true } },
+  supplier: { select: { id: true, name: true, contact: true, email: true, phone: true } },
+  paymentTerm: { select: { id: true, name: true, net_days: true } },
+  createdBy: { select: { id: true, name: true, email: true } },
+  lines: {
+    orderBy: { sort_order: 'asc' },
+    include: {
+      product: { select: { id: true, name: true, barcode: true, cost: true } },
+      receivedItems: {
+        select: {
+          id: true,
+          incoming_merchandise_id: true,
+          quantity: true,
+          unit_cost: true,
+          ordered_unit_cost: true,
+        },
+      },
+    },
+  },
+  receipts: {
+    orderBy: { date: 'asc' },
+    select: {
+      id: true,
+      date: true,
+      payment_status: true,
+      registeredBy: { select: { id: true, name: true } },
+    },
+  },
+}
+
+const poWhereIdOrReference = (idOrRef) => {
+  const s = String(idOrRef || '').trim()
+  const isUuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(s)
+  return isUuid ? { id: s } : { reference: s }
+}
+
+function badRequest(message) {
+  const err = new Error(message)
+  err.status = 400
+  return err
+}
+
+async function loadBranch(tx, branchId) {
+  return tx.branch.findUnique({ where: { id: branchId }, select: { id: true, code: true, seq: true } })
+}
+
+/** Detalle con la variación de cantidad/precio calculada por línea. */
+function shapeDetail(order) {
+  const variance = purchaseOrderVariance(order)
+  const byLine = new Map(variance.lines.map((v) => [v.line_id, v]))
+  return {
+    ...order,
+    lines: order.lines.map((l) => {
+      const { line_id: _lineId, ...v } = byLine.get(l.id)
+      return { ...l, ...v }
+    }),
+    variance: variance.totals,
+  }
+}
+
+function parseExpectedDate(raw) {
+  if (raw == null || raw === '') return null
+  const d = new Date(raw)
+  if (Number.isNaN(d.getTime())) throw badRequest('expected_date inválida')
+  return d
+}
+
+/**
+ * Proveedor de la empresa y término de pago (si viene, debe ser de los suyos;
+ * si no, el predeterminado del proveedor).
+ */
+async function resolveSupplier(tx, companyId, supplierId, paymentTermRaw) {
+  if (!supplierId) throw badRequest('supplier_id es requerido')
+  const supplier = await tx.supplier.findFirst({
+    where: { id: String(supplierId), company_id: companyId, party_type: 'SUPPLIER', deleted: false },
+    include: { supplier_payment_terms: { orderBy: { sort_order: 'asc' } } },
+  })
+  if (!supplier) throw badRequest('Proveedor no encontrado')
+
+  const links = supplier.supplier_payment_terms || []
+  let paymentTermId = (links.find((l) => l.is_default) || links[0])?.payment_term_id ?? null
+  if (paymentTermRaw != null && paymentTermRaw !== '') {
+    const pid = Number(paymentTermRaw)
+    if (!links.some((l) => l.payment_term_id === pid)) {
+      throw badRequest('El término de pago no corresponde a este proveedor')
+    }
+    paymentTermId = pid
+  }
+  return { supplier, paymentTermId }
+}
+
+/**
+ * Líneas de la orden: productos del proveedor (los kits no se compran, se
+ * compran sus componentes). Sin unit_cost se toma el costo actual del producto.
+ */
+async function resolveLines(tx, companyId, supplierId, items) {
+  if (!Array.isArray(items) || items.length === 0) throw badRequest('Debe incluir al menos un producto')
+  for (const it of items) {
+    const q = Number(it?.qty)
+    if (!it?.product_id || !Number.isInteger(q) || q <= 0) {
+      throw badRequest('Cada línea debe incluir product_id y qty entera > 0')
+    }
+    if (it.unit_cost != null && it.unit_cost !== '' && !(Number(it.unit_cost) >= 0)) {
+      throw badRequest('unit_cost debe ser >= 0')
+    }
+  }
+
+  const ids = [...new Set(items.map((it) => String(it.product_id)))]
+  const products = await tx.product.findMany({
+    where: { id: { in: ids }, company_id: companyId, deleted: false },
+    select: { id: true, name: true, cost: true, supplier_id: true, kind: true, has_variants: true },
+  })
+  const byId = new Map(products.map((p) => [p.id, p]))
+  for (const id of ids) {
+    const p = byId.get(id)
+    if (!p) throw badRequest(`Producto no encontrado o eliminado: ${id}`)
+    if (p.supplier_id !== supplierId) throw badRequest(`El producto ${p.name} no pertenece al proveedor seleccionado`)
+    if (p.kind === 'KIT') throw badRequest(`El kit "${p.name}" no se compra: pide sus componentes`)
+    if (p.has_variants) throw badRequest(`"${p.name}" tiene variantes: pide cada talla/color`)
+  }
+
+  const lines = items.map((it, idx) => {
+    const p = byId.get(String(it.product_id))
+    const qty = Number(it.qty)
+    const unitCost = it.unit_cost != null && it.unit_cost !== '' ? round2(it.unit_cost) : Number(p.cost)
+    return {
+      product_id: p.id,
+      qty_ordered: qty,
+      unit_cost: new Prisma.Decimal(unitCost),
+      line_total: new Prisma.Decimal(round2(qty * unitCost)),
+      sort_order: idx,
+    }
+  })
+  const total = round2(lines.reduce((acc, l) => acc + Number(l.line_total), 0))
+  return { lines, total }
+}
+
+exports.list = async (req, res, next) => {
+  try {
+    const { status, supplier_id: supplierId, search } = req.query || {}
+    const page = Math.max(1, Number(req.query.page ?? 1))
+    const pageSize = Math.min(100, Math.max(1, Number(req.query.pageSize ?? 25)))
+
+    const where = { ...branchWhere(req) }
+    if (status && String(status).toUpperCase() !== 'ALL') where.status = String(status).toUpperCase()
+    if (supplierId) where.supplier_id = String(supplierId)
+    const term = String(search || '').trim()
+    if (term) {
+      where.OR = [
+        { reference: { contains: term, mode: 'insensitive' } },
+        { supplier: { name: { contains: term, mode: 'insensitive' } } },
+        { notes: { contains: term, mode: 'insensitive' } },
+      ]
+    }
+
+    const totalItems = await prisma.purchaseOrder.count({ where })
+    const totalPages = Math.max(1, Math.ceil(totalItems / pageSize))
+    const safePage = Math.min(page, totalPages)
+    const items = await prisma.purchaseOrder.findMany({
+      where,
+      include: PO_LIST_INCLUDE,
+      orderBy: { created_at: 'desc' },
+      skip: (safePage - 1) * pageSize,
+      take: pageSize,
+    })
+
+    res.json({
+      items,
+      page: safePage,
+      pageSize,
+      totalPages,
+      totalItems,
+      nextPage: safePage < totalPages ? safePage + 1 : null,
+      prevPage: safePage > 1 ? safePage - 1 : null,
+    })
+  } catch (e) {
+    next(e)
+  }
+}
+
+exports.getById = async (req, res, next) => {
+  try {
+    const order = await prisma.purchaseOrder.findFirst({
+      where: { ...poWhereIdOrReference(req.params.id), ...branchWhere(req) },
+      include: PO_DETAIL_INCLUDE,
+    })
+    if (!order) return res.status(404).json({ message: 'Orden de compra no encontrada' })
+    res.json(shapeDetail(order))
+  } catch (e) {
+    next(e)
+  }
+}
+
+exports.create = async (req, res, next) => {
+  try {
+    const user = req.user
+    if (!user?.sub) return res.status(401).json({ message: 'Usuario no autenticado' })
+    const { supplier_id: supplierId, items, notes, expected_date: expectedRaw, payment_term_id: termRaw } = req.body || {}
+    const branchId = targetBranch(req, req.body?.branch_id)
+    const expectedDate = parseExpectedDate(expectedRaw)
+
+    const created = await prismaTransaction.$transaction(async (tx) => {
+      const { supplier, paymentTermId } = await resolveSupplier(tx, req.companyId, supplierId, termRaw)
+      const { lines, total } = await resolveLines(tx, req.companyId, supplier.id, items)
+      const branch = await loadBranch(tx, branchId)
+      const reference = await nextDocumentReference(tx, 'OC', branch)
+      return tx.purchaseOrder.create({
+        data: {
+          branch_id: branchId,
+          reference,
+          supplier_id: supplier.id,
+          status: 'DRAFT',
+          expected_date: expectedDate,
+          payment_term_id: paymentTermId,
+          total: new Prisma.Decimal(total),
+          notes: notes != null ? String(notes).trim() || null : null,
+          created_by: user.sub,
+          lines: { create: lines },
+        },
+        include: PO_DETAIL_INCLUDE,
+      })
+    }, PO_TX_OPTIONS)
+
+    res.status(201).json(shapeDetail(created))
+  } catch (e) {
+    next(e)
+  }
+}
+
+// PUT /api/purchase-orders/:id — solo en borrador; reemplaza las líneas
+exports.update = async (req, res, next) => {
+  try {
+    const existing = await prisma.purchaseOrder.findFirst({
+      where: { ...poWhereIdOrReference(req.params.id), ...branchWhere(req) },
+    })
+    if (!existing) return res.status(404).json({ message: 'Orden de compra no encontrada' })
+    if (existing.status !== 'DRAFT') {
+      return res.status(400).json({ message: 'Solo se pueden editar órdenes en borrador' })
+    }
+    const body = req.body || {}
+    const expectedDate = body.expected_date !== undefined ? parseExpectedDate(body.expected_date) : undefined
+
+    const updated = await prismaTransaction.$transaction(async (tx) => {
+      const { supplier, paymentTermId } = await resolveSupplier(
+        tx,
+        req.companyId,
+        body.supplier_id ?? existing.supplier_id,
+        body.payment_term_id !== undefined ? body.payment_term_id : existing.payment_term_id
+      )
+      const { lines, total } = await resolveLines(tx, req.companyId, supplier.id, body.items)
+      await tx.purchaseOrderLine.deleteMany({ where: { purchase_order_id: existing.id } })
+      return tx.purchaseOrder.update({
+        where: { id: existing.id },
+        data: {
+          supplier_id: supplier.id,
+          payment_term_id: paymentTermId,
+          expected_date: expectedDate,
+          total: new Prisma.Decimal(total),
+          notes: body.notes !== undefined ? (body.notes != null ? String(body.notes).trim() || null : null) : undefined,
+          lines: { create: lines },
+        },
+        include: PO_DETAIL_INCLUDE,
+      })
+    }, PO_TX_OPTIONS)
+
+    res.json(shapeDetail(updated))
+  } catch (e) {
+    next(e)
+  }
+}
+
+// POST /api/purchase-orders/:id/send — borrador → enviada (desde aquí cuenta como «en pedido»)
+exports.send = async (req, res, next) => {
+  try {
+    const order = await prisma.purchaseOrder.findFirst({
+      where: { ...poWhereIdOrReference(req.params.id), ...branchWhere(req) },
+      include: { _count: { select: { lines: true } } },
+    })
+    if (!order) return res.status(404).json({ message: 'Orden de compra no encontrada' })
+    if (order.status !== 'DRAFT') {
+      return res.status(400).json({ message: 'Solo se pueden enviar órdenes en borrador' })
+    }
+    if (order._count.lines === 0) {
+      return res.status(400).json({ message: 'La orden debe tener al menos una línea' })
+    }
+    // El cambio de estado es condicional: dos envíos simultáneos no pisan a una cancelación.
+    const { count } = await prisma.purchaseOrder.updateMany({
+      where: { id: order.id, status: 'DRAFT' },
+      data: { status: 'SENT', sent_at: new Date() },
+    })
+    if (count === 0) return res.status(409).json({ message: 'La orden cambió de estado; recarga' })
+    const updated = await prisma.purchaseOrder.findUnique({ where: { id: order.id }, include: PO_DETAIL_INCLUDE })
+    res.json(shapeDetail(updated))
+  } catch (e) {
+    next(e)
+  }
+}
+
+/**
+ * POST /api/purchase-orders/:id/cancel — una orden parcialmente recibida se
+ * puede cancelar para cerrar lo que ya no va a llegar: lo recibido se queda.
+ */
+exports.cancel = async (req, res, next) => {
+  try {
+    const order = await prisma.purchaseOrder.findFirst({
+      where: { ...poWhereIdOrReference(req.params.id), ...branchWhere(req) },
+    })
+    if (!order) return res.status(404).json({ message: 'Orden de compra no encontrada' })
+    const cancellable = ['DRAFT', 'SENT', 'PARTIALLY_RECEIVED']
+    if (!cancellable.includes(order.status)) {
+      return res.status(400).json({ message: `No se puede cancelar una orden en estado ${order.status}` })
+    }
+    // Condicional por lo mismo que el envío: una recepción en curso bloquea la fila.
+    const { count } = await prisma.purchaseOrder.updateMany({
+      where: { id: order.id, status: { in: cancellable } },
+      data: { status: 'CANCELLED', cancelled_at: new Date() },
+    })
+    if (count === 0) return res.status(409).json({ message: 'La orden cambió de estado; recarga' })
+    const updated = await prisma.purchaseOrder.findUnique({ where: { id: order.id }, include: PO_DETAIL_INCLUDE })
+    res.json(shapeDetail(updated))
+  } catch (e) {
+    next(e)
+  }
+}
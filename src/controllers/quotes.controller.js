@@ -16,6 +16,8 @@ const {
 } = require('../services/priceResolution')
 const { nextDocumentReference } = require('../services/referenceGenerator')
 const { targetBranch, branchWhere } = require('../middlewares/tenant')
+const { convertLinesToBase, basePriceFromUnitPrice, lineBasePrice, lineUnitData } = require('../services/units')
+const { parentProductError } = require('../services/variants')
 
 async function loadBranch(tx, branchId) {
   return tx.branch.findUnique({ where: { id: branchId }, select: { id: true, code: true, seq: true } })
@@ -52,6 +54,7 @@ const QUOTE_DETAIL_INCLUDE = {
     orderBy: { sort_order: 'asc' },
     include: {
       product: { select: { id: true, name: true, barcode: true } },
+      unit: { select: { id: true, code: true, name: true } },
     },
   },
   convertedChildren: {
@@ -158,7 +161,10 @@ exports.getPublicByToken = async (req, res, next) => {
       include: {
         lines: {
           orderBy: { sort_order: 'asc' },
-          include: { product: { select: { id: true, name: true, barcode: true } } },
+          include: {
+            product: { select: { id: true, name: true, barcode: true } },
+            unit: { select: { code: true, name: true } },
+          },
         },
       },
     })
@@ -184,11 +190,15 @@ exports.getPublicByToken = async (req, res, next) => {
       notes: quote.notes,
       company_name: companyMap.company_name || 'Depósito',
       company_logo_url: (companyMap.company_logo_url && String(companyMap.company_logo_url).trim()) || '',
+      // El cliente ve la línea como se cotizó: 2 CAJA a Q120, no 48 a Q5.
       lines: quote.lines.map((l) => ({
         product_name: l.product?.name,
         barcode: l.product?.barcode,
-        qty: l.qty,
-        unit_price: l.unit_price,
+        qty: l.unit_id ? Number(l.unit_qty) : l.qty,
+        unit: l.unit?.code ?? null,
+        unit_price: l.unit_id
+          ? Math.round(Number(l.unit_price) * Number(l.unit_factor) * 100) / 100
+          : l.unit_price,
         line_total: l.line_total,
       })),
     })
@@ -247,6 +257,8 @@ async function resolveQuoteLines(tx, items, ctx) {
     }
     qtyByProduct.set(pid, (qtyByProduct.get(pid) || 0) + q)
   }
+  // qty y unit_price vienen en la unidad de cada línea; se guardan en base.
+  const baseItems = await convertLinesToBase(tx, items)
 
   const productIds = Array.from(qtyByProduct.keys())
   const products = await tx.product.findMany({
@@ -259,6 +271,7 @@ async function resolveQuoteLines(tx, items, ctx) {
       price_promotion: true,
       promotion_valid_until: true,
       available_for_sale: true,
+      has_variants: true,
     },
   })
   const prodMap = new Map(products.map((p) => [String(p.id), p]))
@@ -270,6 +283,7 @@ async function resolveQuoteLines(tx, items, ctx) {
       err.status = 400
       throw err
     }
+    if (p.has_variants) throw parentProductError(p.name)
     if (!p.available_for_sale) {
       const err = new Error(`Producto no disponible para cotización: ${p.name}`)
       err.status = 400
@@ -298,13 +312,13 @@ async function resolveQuoteLines(tx, items, ctx) {
 
   const normalized = []
   let sortOrder = 0
-  for (const it of items) {
+  for (const it of baseItems) {
     const p = prodMap.get(String(it.product_id))
     const qty = Number(it.qty || 0)
     const unitPrice =
       it.unit_price != null && Number(it.unit_price) >= 0
-        ? Number(it.unit_price)
-        : resolveUnitPriceFromProduct(p, priceTier, priceNow)
+        ? basePriceFromUnitPrice(it.unit_price, it.unit_factor ?? 1)
+        : lineBasePrice(resolveUnitPriceFromProduct(p, priceTier, priceNow), it, priceTier)
     const lineTotal = Math.round(unitPrice * qty * 100) / 100
     normalized.push({
       product_id: p.id,
@@ -312,6 +326,7 @@ async function resolveQuoteLines(tx, items, ctx) {
       unit_price: new Prisma.Decimal(unitPrice),
       line_total: new Prisma.Decimal(lineTotal),
       sort_order: sortOrder++,
+      ...lineUnitData(it),
     })
   }
 
@@ -670,6 +685,9 @@ exports.convertToOrder = async (req, res, next) => {
         unit_price: l.unit_price,
         line_total: l.line_total,
         sort_order: idx,
+        unit_id: l.unit_id,
+        unit_qty: l.unit_qty,
+        unit_factor: l.unit_factor,
       }))
 
       return tx.commercialDocument.create({
@@ -697,7 +715,10 @@ exports.convertToOrder = async (req, res, next) => {
           createdBy: { select: { id: true, name: true } },
           lines: {
             orderBy: { sort_order: 'asc' },
-            include: { product: { select: { id: true, name: true, barcode: true } } },
+            include: {
+              product: { select: { id: true, name: true, barcode: true } },
+              unit: { select: { id: true, code: true, name: true } },
+            },
           },
         },
       })
@@ -0,0 +1,378 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+const { prisma, prismaTransaction } = require('../models/prisma')
+const { DateTime } = require('luxon')
+const { getTimezone } = require('../utils/getTimezone')
+const { branchWhere } = require('../middlewares/tenant')
+const { round2, toCents } = require('../services/accounting/logic')
+const { isCreditMethodName } = require('../services/salePayments')
+const {
+  AGING_BUCKETS,
+  RECEIVABLE_SALE_SELECT,
+  saleCreditBalance,
+  daysPastDue,
+  agingBucket,
+  syncSaleCreditStatus,
+} = require('../services/receivables')
+
+/** Igual que los abonos a proveedores: varias lecturas + sync dentro de la tx. */
+const PAYMENT_TX_OPTIONS = { maxWait: 10_000, timeout: 30_000 }
+
+const OPEN_STATUSES = ['PENDING', 'PARTIAL']
+
+const receivableSelect = {
+  ...RECEIVABLE_SALE_SELECT,
+  reference: true,
+  date: true,
+  due_date: true,
+  credit_paid_at: true,
+  customer: true,
+  branch_id: true,
+  customerContact: { select: { id: true, name: true, tax_id: true, phone: true } },
+  paymentTerm: { select: { id: true, name: true, net_days: true } },
+}
+
+const receivableDetailSelect = {
+  ...receivableSelect,
+  customerPayments: {
+    include: {
+      payment_method: { select: { id: true, name: true } },
+      registeredBy: { select: { id: true, name: true, email: true } },
+    },
+    orderBy: { paid_at: 'desc' },
+  },
+}
+
+/** «Hoy» con la misma convención que `sales.date`: hora local guardada como UTC. */
+async function localNow(companyId) {
+  const tz = await getTimezone(prisma, companyId)
+  const now = DateTime.now().setZone(tz)
+  return new Date(Date.UTC(now.year, now.month - 1, now.day, now.hour, now.minute, now.second, now.millisecond))
+}
+
+function shapeReceivable(sale, asOf) {
+  const { credit, paid, balance } = saleCreditBalance(sale)
+  const days = balance > 0 ? daysPastDue(sale.due_date, asOf) : 0
+  return {
+    sale_id: sale.id,
+    reference: sale.reference,
+    date: sale.date,
+    due_date: sale.due_date,
+    customer: sale.customerContact
+      ? { id: sale.customerContact.id, name: sale.customerContact.name, tax_id: sale.customerContact.tax_id }
+      : { id: null, name: sale.customer || '', tax_id: null },
+    payment_term: sale.paymentTerm
+      ? { id: sale.paymentTerm.id, name: sale.paymentTerm.name, net_days: sale.paymentTerm.net_days }
+      : null,
+    credit_status: sale.credit_status,
+    credit_paid_at: sale.credit_paid_at,
+    credit_amount: credit,
+    amount_paid_total: paid,
+    balance,
+    days_past_due: Math.max(0, days),
+    overdue: balance > 0 && days > 0,
+  }
+}
+
+function shapeReceivableDetail(sale, asOf) {
+  return {
+    ...shapeReceivable(sale, asOf),
+    payment_entries: (sale.customerPayments || []).map((e) => ({
+      id: e.id,
+      amount: round2(e.amount),
+      paid_at: e.paid_at,
+      reference: e.reference,
+      payment_method: e.payment_method,
+      cash_register_session_id: e.cash_register_session_id,
+      registered_by: e.registeredBy,
+    })),
+  }
+}
+
+/**
+ * Cartera: ventas al crédito con su saldo
+ * GET /api/receivables?customer_id=&status=PENDING|PARTIAL|PAID|all&overdue=1&page=&pageSize=
+ * Sin status se listan las que tienen saldo (PENDING y PARTIAL).
+ */
+exports.list = async (req, res, next) => {
+  try {
+    const page = Math.max(1, Number(req.query.page ?? 1))
+    const pageSize = Math.min(100, Math.max(1, Number(req.query.pageSize ?? 20)))
+    const { customer_id, status, overdue } = req.query || {}
+
+    const where = { ...branchWhere(req), status: { name: 'Completada' } }
+    const st = String(status || '').toUpperCase()
+    if (st === 'ALL') where.credit_status = { not: null }
+    else if (['PENDING', 'PARTIAL', 'PAID'].includes(st)) where.credit_status = st
+    else where.credit_status = { in: OPEN_STATUSES }
+    if (customer_id) where.customer_contact_id = String(customer_id)
+
+    const asOf = await localNow(req.companyId)
+    if (overdue === '1' || overdue === 'true') {
+      const startOfToday = new Date(Date.UTC(asOf.getUTCFullYear(), asOf.getUTCMonth(), asOf.getUTCDate()))
+      where.due_date = { lt: startOfToday }
+      where.credit_status = { in: OPEN_STATUSES }
+    }
+
+    const totalItems = await prisma.sale.count({ where })
+    const totalPages = Math.max(1, Math.ceil(totalItems / pageSize))
+    const safePage = Math.min(page, totalPages)
+
+    const sales = await prisma.sale.findMany({
+      where,
+      select: receivableSelect,
+      orderBy: [{ due_date: 'asc' }, { date: 'asc' }],
+      skip: (safePage - 1) * pageSize,
+      take: pageSize,
+    })
+
+    res.json({
+      items: sales.map((s) => shapeReceivable(s, asOf)),
+      page: safePage,
+      pageSize,
+      totalPages,
+      totalItems,
+      nextPage: safePage < totalPages ? safePage + 1 : null,
+      prevPage: safePage > 1 ? safePage - 1 : null,
+    })
+  } catch (e) {
+    next(e)
+  }
+}
+
+/**
+ * Antigüedad de saldos por cliente (por vencer, 0-30, 31-60, 61-90, 90+ días vencidos)
+ * GET /api/receivables/aging?as_of=YYYY-MM-DD&customer_id=
+ */
+exports.aging = async (req, res, next) => {
+  try {
+    let asOf = await localNow(req.companyId)
+    if (req.query.as_of) {
+      const d = DateTime.fromISO(String(req.query.as_of), { zone: 'utc' })
+      if (!d.isValid) return res.status(400).json({ message: 'as_of inválida (YYYY-MM-DD)' })
+      asOf = d.endOf('day').toJSDate()
+    }
+
+    // A una fecha pasada, una venta hoy pagada todavía debía: se toman todas las
+    // ventas al crédito hasta el corte y solo los abonos hasta el corte.
+    const where = {
+      ...branchWhere(req),
+      status: { name: 'Completada' },
+      credit_status: req.query.as_of ? { not: null } : { in: OPEN_STATUSES },
+      date: { lte: asOf },
+    }
+    if (req.query.customer_id) where.customer_contact_id = String(req.query.customer_id)
+
+    const sales = await prisma.sale.findMany({ where, select: receivableSelect })
+
+    const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map((b) => [b.key, 0]))
+    const byCustomer = new Map()
+    const totals = { ...emptyBuckets(), total: 0 }
+    for (const sale of sales) {
+      const row = shapeReceivable({
+        ...sale,
+        customerPayments: sale.customerPayments.filter((p) => p.paid_at <= asOf),
+      }, asOf)
+      if (toCents(row.balance) === 0) continue
+      const bucket = agingBucket(daysPastDue(sale.due_date, asOf))
+      const key = row.customer.id || `sin-contacto:${row.customer.name}`
+      if (!byCustomer.has(key)) {
+        byCustomer.set(key, { customer: row.customer, ...emptyBuckets(), total: 0, documents: 0, oldest_due_date: null })
+      }
+      const c = byCustomer.get(key)
+      c[bucket] = round2(c[bucket] + row.balance)
+      c.total = round2(c.total + row.balance)
+      c.documents += 1
+      if (sale.due_date && (!c.oldest_due_date || sale.due_date < c.oldest_due_date)) c.oldest_due_date = sale.due_date
+      totals[bucket] = round2(totals[bucket] + row.balance)
+      totals.total = round2(totals.total + row.balance)
+    }
+
+    res.json({
+      as_of: asOf,
+      buckets: AGING_BUCKETS,
+      customers: [...byCustomer.values()].sort((a, b) => b.total - a.total),
+      totals,
+    })
+  } catch (e) {
+    next(e)
+  }
+}
+
+/**
+ * Detalle de una venta al crédito con sus abonos
+ * GET /api/receivables/:saleId
+ */
+exports.getOne = async (req, res, next) => {
+  try {
+    const sale = await prisma.sale.findFirst({
+      where: { id: req.params.saleId, ...branchWhere(req), credit_status: { not: null } },
+      select: receivableDetailSelect,
+    })
+    if (!sale) return res.status(404).json({ message: 'Venta al crédito no encontrada' })
+    res.json(shapeReceivableDetail(sale, await localNow(req.companyId)))
+  } catch (e) {
+    next(e)
+  }
+}
+
+/**
+ * Registrar abono del cliente
+ * POST /api/receivables/:saleId/payments  { amount, payment_method_id, paid_at?, reference?, cash_register_id? }
+ */
+exports.addPaymentEntry = async (req, res, next) => {
+  try {
+    const { saleId } = req.params
+    const body = req.body || {}
+    const amount = Number(body.amount)
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return res.status(400).json({ message: 'amount debe ser un número mayor a 0' })
+    }
+    const paymentMethodId = Number(body.payment_method_id)
+    if (!Number.isInteger(paymentMethodId) || paymentMethodId <= 0) {
+      return res.status(400).json({ message: 'payment_method_id es requerido' })
+    }
+    let paidAt = await localNow(req.companyId)
+    if (body.paid_at != null && body.paid_at !== '') {
+      const p = new Date(body.paid_at)
+      if (Number.isNaN(p.getTime())) {
+        return res.status(400).json({ message: 'paid_at inválido' })
+      }
+      paidAt = p
+    }
+    let reference = body.reference != null ? String(body.reference).trim() : ''
+    if (reference.length > 255) reference = reference.slice(0, 255)
+    reference = reference || null
+
+    const uid = req.user?.sub
+    if (!uid) {
+      return res.status(401).json({ message: 'Usuario no autenticado' })
+    }
+
+    const updated = await prismaTransaction.$transaction(async (tx) => {
+      const found = await tx.sale.findFirst({
+        where: { id: saleId, ...branchWhere(req), credit_status: { not: null } },
+        select: { id: true },
+      })
+      if (!found) return null
+      // Dos abonos simultáneos verían el mismo saldo y pasarían los dos la
+      // validación: la venta se bloquea hasta el commit y el saldo se lee después.
+      await tx.$executeRaw`SELECT 1 FROM sales WHERE id = ${found.id}::uuid FOR UPDATE`
+      const existing = await tx.sale.findUnique({
+        where: { id: found.id },
+        select: { ...RECEIVABLE_SALE_SELECT, branch_id: true, status: { select: { name: true } } },
+      })
+      if (existing.status?.name !== 'Completada') throw new Error('NOT_COMPLETED')
+
+      const method = await tx.paymentMethod.findUnique({ where: { id: paymentMethodId } })
+      if (!method) throw new Error('METHOD_NOT_FOUND')
+      if (isCreditMethodName(method.name)) throw new Error('CREDIT_METHOD')
+
+      const { balance } = saleCreditBalance(existing)
+      if (toCents(amount) > toCents(balance)) {
+        throw new Error('EXCEEDS')
+      }
+
+      // El dinero entra al turno abierto de quien cobra (o al de la caja
+      // indicada) para que el arqueo lo cuente.
+      const session = await tx.cashRegisterSession.findFirst({
+        where: {
+          status: 'OPEN',
+          cashRegister: { branch_id: existing.branch_id },
+          ...(body.cash_register_id ? { cash_register_id: String(body.cash_register_id) } : { opened_by_id: uid }),
+        },
+        select: { id: true },
+      })
+
+      await tx.customerPaymentEntry.create({
+        data: {
+          sale_id: saleId,
+          amount: round2(amount),
+          paid_at: paidAt,
+          payment_method_id: paymentMethodId,
+          reference,
+          cash_register_session_id: session?.id ?? null,
+          registered_by: uid,
+        },
+      })
+      await syncSaleCreditStatus(tx, saleId)
+      return tx.sale.findUnique({ where: { id: saleId }, select: receivableDetailSelect })
+    }, PAYMENT_TX_OPTIONS)
+
+    if (!updated) {
+      return res.status(404).json({ message: 'Venta al crédito no encontrada' })
+    }
+    res.json(shapeReceivableDetail(updated, await localNow(req.companyId)))
+  } catch (e) {
+    if (e.message === 'EXCEEDS') {
+      return res.status(400).json({ message: 'El abono excede el saldo pendiente de la venta' })
+    }
+    if (e.message === 'NOT_COMPLETED') {
+      return res.status(400).json({ message: 'Solo se abona a ventas completadas' })
+    }
+    if (e.message === 'METHOD_NOT_FOUND') {
+      return res.status(400).json({ message: 'Método de pago no encontrado' })
+    }
+    if (e.message === 'CREDIT_METHOD') {
+      return res.status(400).json({ message: 'Un abono no se puede registrar con el medio Crédito' })
+    }
+    next(e)
+  }
+}
+
+/**
+ * Eliminar un abono (corrección)
+ * DELETE /api/receivables/:saleId/payments/:entryId
+ */
+exports.deletePaymentEntry = async (req, res, next) => {
+  try {
+    const { saleId, entryId } = req.params
+    const uid = req.user?.sub
+    if (!uid) {
+      return res.status(401).json({ message: 'Usuario no autenticado' })
+    }
+
+    const updated = await prismaTransaction.$transaction(async (tx) => {
+      const entry = await tx.customerPaymentEntry.findFirst({
+        where: { id: entryId, sale_id: saleId, sale: branchWhere(req) },
+        include: { cashRegisterSession: { select: { status: true } } },
+      })
+      if (!entry) return null
+      // Mismo criterio que las ventas: el arqueo de un turno cerrado ya contó este dinero.
+      if (entry.cashRegisterSession?.status === 'CLOSED') throw new Error('SESSION_CLOSED')
+      const posted = await tx.journalEntry.findFirst({
+        where: {
+          company_id: req.companyId, source_type: 'CUSTOMER_PAYMENT', source_id: entry.id,
+          reversals: { none: {} },
+        },
+        select: { id: true },
+      })
+      if (posted) throw new Error('POSTED')
+
+      await tx.customerPaymentEntry.delete({ where: { id: entryId } })
+      await syncSaleCreditStatus(tx, saleId)
+      return tx.sale.findUnique({ where: { id: saleId }, select: receivableDetailSelect })
+    }, PAYMENT_TX_OPTIONS)
+
+    if (!updated) {
+      return res.status(404).json({ message: 'Abono no encontrado' })
+    }
+    res.json(shapeReceivableDetail(updated, await localNow(req.companyId)))
+  } catch (e) {
+    if (e.message === 'SESSION_CLOSED') {
+      return res.status(409).json({ message: 'El abono pertenece a un turno de caja ya cerrado' })
+    }
+    if (e.message === 'POSTED') {
+      return res.status(409).json({ message: 'El abono ya está contabilizado; anule primero su asiento' })
+    }
+    next(e)
+  }
+}
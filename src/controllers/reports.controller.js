@@ -11,6 +11,7 @@
 const { prisma } = require('../models/prisma')
 const { DateTime } = require('luxon')
 const PDFDocument = require('pdfkit')
+const XLSX = require('xlsx')
 const { getBrandingForPdf } = require('../utils/pdfBranding')
 
 // Brand & styles inspired by Products PDF
@@ -25,6 +26,9 @@ const BRAND = {
 // Utility: parse period range (supports: week, month, quarter, semester, year, all)
 const { branchWhere } = require('../middlewares/tenant')
 const { inTransitTotals } = require('../services/inTransit')
+const { saleTenderShares } = require('../services/salePayments')
+const { rollUpVariants } = require('../services/variants')
+const { hidesCost, assertCanSeeCost, saleScopeWhere } = require('../services/roleRestrictions')
 
 /** Sucursales que alcanza el reporte: la activa, o todas en vista consolidada. */
 function scopeBranchIds(req) {
@@ -341,7 +345,26 @@ function sectionTitle(doc, text) {
   doc.font('Helvetica')
 }
 
+/**
+ * Quita columnas por índice (p. ej. costo y valor cuando el rol oculta costos):
+ * encabezados, celdas y, si vienen, anchos y alineaciones.
+ */
+function omitColumns(omit, { columns, rows, widths, align, headerAlign }) {
+  const keep = (_, idx) => !omit.includes(idx)
+  return {
+    columns: columns.filter(keep),
+    rows: rows.map((r) => (Array.isArray(r) ? r.filter(keep) : r)),
+    widths: Array.isArray(widths) ? widths.filter(keep) : widths,
+    align: Array.isArray(align) ? align.filter(keep) : align,
+    headerAlign: Array.isArray(headerAlign) ? headerAlign.filter(keep) : headerAlign,
+  }
+}
+
 function drawTable(doc, columns, rows, widths, options = {}) {
+  if (options.omit?.length) {
+    const t = omitColumns(options.omit, { columns, rows, widths, align: options.align, headerAlign: options.headerAlign })
+    return drawTable(doc, t.columns, t.rows, t.widths, { ...options, omit: null, align: t.align, headerAlign: t.headerAlign })
+  }
   const left = doc.page.margins.left
   const right = doc.page.width - doc.page.margins.right
   const usableWidth = right - left
@@ -579,7 +602,8 @@ function drawSuppliersGrid(doc, suppliers) {
 
 async function getSalesData(startUtc, endUtc, req) {
   const status = await prisma.saleStatus.findFirst({ where: { name: 'Completada' } })
-  const tenantSales = branchWhere(req)
+  // Con `sales.scope` en el rol: solo las ventas propias o de su caja
+  const tenantSales = { ...branchWhere(req), ...(await saleScopeWhere(prisma, req.user)) }
 
   // Obtener sale_items (productos / categorías / costos)
   const items = await prisma.saleItem.findMany({
@@ -613,7 +637,9 @@ async function getSalesData(startUtc, endUtc, req) {
       total: true,
       total_returned: true,
       adjusted_total: true,
+      payment_method_id: true,
       payment_method: { select: { name: true } },
+      payments: { select: { payment_method_id: true, amount: true, payment_method: { select: { name: true } } } },
       createdBy: { select: { name: true } }
     }
   })
@@ -674,15 +700,23 @@ async function getSalesData(startUtc, endUtc, req) {
     totalReturned += number(sale.total_returned)
     const adjusted = number(sale.adjusted_total ?? (number(sale.total) - number(sale.total_returned || 0)))
 
-    const pmKey = getPaymentKey(sale.payment_method)
     const cashKey = getCashierKey(sale.createdBy)
     const tKey = makeTimeKey(sale.date)
     const units = unitsBySaleId.get(String(sale.id)) || 0
 
-    paymentAgg[pmKey] = paymentAgg[pmKey] || { method: pmKey, ventas: 0, unidades: 0, revenue: 0 }
-    paymentAgg[pmKey].ventas += 1
-    paymentAgg[pmKey].unidades += units
-    paymentAgg[pmKey].revenue += adjusted
+    // Pago mixto: el ingreso se reparte entre los medios; las unidades quedan
+    // en el medio principal para no contarlas dos veces.
+    let unitsAssigned = false
+    saleTenderShares(sale).forEach((tender) => {
+      const pmKey = getPaymentKey({ name: tender.name })
+      paymentAgg[pmKey] = paymentAgg[pmKey] || { method: pmKey, ventas: 0, unidades: 0, revenue: 0 }
+      paymentAgg[pmKey].ventas += 1
+      if (!unitsAssigned && tender.payment_method_id === sale.payment_method_id) {
+        paymentAgg[pmKey].unidades += units
+        unitsAssigned = true
+      }
+      paymentAgg[pmKey].revenue += tender.net
+    })
 
     cashierAgg[cashKey] = cashierAgg[cashKey] || { cajero: cashKey, ventas: 0, unidades: 0, revenue: 0 }
     cashierAgg[cashKey].ventas += 1
@@ -797,10 +831,11 @@ async function getFinancialData(startUtc, endUtc, req) {
   // Lo enviado y no recibido no está en ningún anaquel, así que no aparece
   // arriba, pero sigue siendo de la empresa: sin esta línea la valuación queda
   // corta y no cuadra contra la cuenta contable de Inventario. Acotado a un
-  // almacén o ubicación no aplica: el tránsito no vive en ninguno.
+  // almacén o ubicación no aplica: el tránsito no vive en ninguno. Lo mismo
+  // la mercancía en disputa (llegó dañada o no llegó y no se ha resuelto).
   const { active: filtradoPorAlmacen } = warehouseFilter(req)
   const enTransito = filtradoPorAlmacen
-    ? { units: 0, value: 0 }
+    ? { units: 0, value: 0, dispute: { units: 0, value: 0 } }
     : await inTransitTotals(req.companyId, products, { branchIds: scopeBranchIds(req) })
 
   const purchaseLogs = await prisma.purchaseLog.findMany({
@@ -849,6 +884,7 @@ async function getFinancialData(startUtc, endUtc, req) {
     where: {
       sale: {
         ...branchWhere(req),
+        ...(await saleScopeWhere(prisma, req.user)),
         date: { gte: startUtc, lte: endUtc },
         ...(status ? { status_id: status.id } : {})
       }
@@ -899,9 +935,11 @@ async function getFinancialData(startUtc, endUtc, req) {
     inventorySkuCount: products.length,
     inTransitUnits: enTransito.units,
     inTransitValue: Number(enTransito.value.toFixed(2)),
-    // Lo que la empresa posee: anaqueles + camioneta. Es la cifra que se compara
-    // contra la cuenta contable de Inventario.
-    inventoryValueOwned: Number((inventoryValue + enTransito.value).toFixed(2)),
+    inDisputeUnits: enTransito.dispute.units,
+    inDisputeValue: Number(enTransito.dispute.value.toFixed(2)),
+    // Lo que la empresa posee: anaqueles + camioneta + disputa. Es la cifra que
+    // se compara contra la cuenta contable de Inventario.
+    inventoryValueOwned: Number((inventoryValue + enTransito.value + enTransito.dispute.value).toFixed(2)),
     purchasesPeriod: Number(purchasesTotal.toFixed(2)),
     purchaseLogLines: purchaseLogs.length - initialInventoryLines,
     purchasesBySupplier: purchasesBySupplierList,
@@ -1001,7 +1039,7 @@ function csvHeaderMetadataLine(line) {
 /**
  * CSV con secciones legibles: BOM UTF-8 (Excel), bloque cabecera, separadores ▸ por tabla.
  * @param {string[]} headerLines - Título(s) sin coma, o pares Concepto,Valor con primera coma como separador
- * @param {{ title?: string, columns: string[], rows: (string|number)[][] }[]} sections
+ * @param {{ title?: string, columns: string[], rows: (string|number)[][], omit?: number[] }[]} sections
  */
 function sendCsv(res, filename, headerLines = [], sections = []) {
   res.setHeader('Content-Type', 'text/csv; charset=utf-8')
@@ -1019,6 +1057,7 @@ function sendCsv(res, filename, headerLines = [], sections = []) {
 
   sections.forEach((sec, secIdx) => {
     if (!sec || !sec.rows || !sec.columns) return
+    if (sec.omit?.length) sec = { ...sec, ...omitColumns(sec.omit, sec) }
     lines.push('')
     lines.push(csvRow([`── ${sec.title || `Sección ${secIdx + 1}`} ──`]))
     lines.push(csvRow(sec.columns))
@@ -1036,6 +1075,47 @@ function sendCsv(res, filename, headerLines = [], sections = []) {
   res.send(`\ufeff${body}`)
 }
 
+/** Nombre de hoja válido para Excel (31 caracteres, sin []:*?/\) y sin repetir. */
+function xlsxSheetName(title, used) {
+  const base = String(title || 'Hoja').replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31) || 'Hoja'
+  let name = base
+  for (let i = 2; used.has(name.toLowerCase()); i++) name = `${base.slice(0, 27)} (${i})`
+  used.add(name.toLowerCase())
+  return name
+}
+
+/**
+ * El mismo reporte que sendCsv pero en XLSX: la cabecera en una hoja
+ * "Resumen" (Concepto | Valor) y cada sección en su propia hoja.
+ */
+function sendXlsx(res, filename, headerLines = [], sections = []) {
+  const wb = XLSX.utils.book_new()
+  const used = new Set()
+  const summary = headerLines.map((line) => {
+    const s = String(line)
+    const i = s.indexOf(',')
+    return i === -1 ? [s] : [s.slice(0, i).trim(), s.slice(i + 1)]
+  })
+  const head = XLSX.utils.aoa_to_sheet(summary.length ? summary : [[filename]])
+  head['!cols'] = [{ wch: 32 }, { wch: 40 }]
+  XLSX.utils.book_append_sheet(wb, head, xlsxSheetName('Resumen', used))
+
+  sections.forEach((sec, secIdx) => {
+    if (!sec || !sec.rows || !sec.columns) return
+    if (sec.omit?.length) sec = { ...sec, ...omitColumns(sec.omit, sec) }
+    const rows = sec.rows.map((r) => (Array.isArray(r) ? r : [r]).slice(0, sec.columns.length))
+    const ws = XLSX.utils.aoa_to_sheet([sec.columns, ...rows])
+    ws['!cols'] = sec.columns.map((c, i) => ({
+      wch: Math.min(60, Math.max(String(c).length, ...rows.map((r) => String(r[i] ?? '').length)) + 2),
+    }))
+    XLSX.utils.book_append_sheet(wb, ws, xlsxSheetName(sec.title || `Sección ${secIdx + 1}`, used))
+  })
+
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet')
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`)
+  res.send(XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' }))
+}
+
 async function salesReport(req, res, next) {
   try {
   const branding = await getBrandingForPdf(prisma, req.companyId)
@@ -1046,6 +1126,7 @@ async function salesReport(req, res, next) {
   const { startUtc, endUtc, label } = periodRange(period, year, { month, quarter, semester })
     const data = await getSalesData(startUtc, endUtc, req)
     const scope = await reportScope(req)
+    const hideCost = hidesCost(req.user)
     if (String(format).toLowerCase() === 'csv' || String(format).toLowerCase() === 'excel') {
       const total = data.totalRevenueGross || 1
       sendCsv(res, 'reporte-ventas', [
@@ -1056,8 +1137,10 @@ async function salesReport(req, res, next) {
         `Ventas Brutas,${money(data.totalRevenueGross)}`,
         `Devoluciones,${money(data.totalReturned)}`,
         `Ventas Netas,${money(data.totalRevenue)}`,
-        `Costos Totales,${money(data.totalCost)}`,
-        `Ganancia Neta,${money(data.totalProfit)}`,
+        ...(hideCost ? [] : [
+          `Costos Totales,${money(data.totalCost)}`,
+          `Ganancia Neta,${money(data.totalProfit)}`,
+        ]),
         `Tickets,${data.tickets}`,
         `Unidades Vendidas,${data.unidadesTotales}`,
         `Ticket Promedio,${money(data.ticketPromedio)}`
@@ -1094,8 +1177,10 @@ async function salesReport(req, res, next) {
       { label: 'Ventas Brutas', value: money(data.totalRevenueGross) },
       { label: 'Devoluciones', value: money(data.totalReturned) },
       { label: 'Ventas Netas', value: money(data.totalRevenue) },
-      { label: 'Costos Totales', value: money(data.totalCost) },
-      { label: 'Ganancia Neta', value: money(data.totalProfit) },
+      ...(hideCost ? [] : [
+        { label: 'Costos Totales', value: money(data.totalCost) },
+        { label: 'Ganancia Neta', value: money(data.totalProfit) },
+      ]),
       { label: 'Tickets', value: String(data.tickets) },
       { label: 'Unidades Vendidas', value: String(data.unidadesTotales) },
       { label: 'Ticket Promedio', value: money(data.ticketPromedio) },
@@ -1172,18 +1257,24 @@ async function inventoryReport(req,res,next){
     const { format='pdf' } = req.query
     // Solo lo que se maneja en el alcance: el catálogo es de la empresa, pero el
     // reporte de inventario es de sucursal(es) y no debe listar productos ajenos.
-    const products = await prisma.product.findMany({
+    // Las variantes salen juntas bajo su padre (una fila por camisa, no por
+    // talla × color); ?variants=detail las lista una por una.
+    const productRows = await prisma.product.findMany({
       where: {
         deleted_at: null,
         company_id: req.companyId,
+        has_variants: false,
         branch_stocks: { some: { branch_id: { in: scopeBranchIds(req) } } },
       },
-      include:{ category:true },
+      include:{ category:true, parent: { include: { category: true } } },
     })
-    await overlayReportBranchStock(products, req)
+    await overlayReportBranchStock(productRows, req)
+    const products = req.query.variants === 'detail' ? productRows : rollUpVariants(productRows)
     const scope = await reportScope(req)
     const byBranch = await stockByBranch(req, scope)
     const byWarehouse = await stockByWarehouse(req)
+    // Valor = stock × costo: fuera si el rol oculta costos
+    const hideCost = hidesCost(req.user)
     if (String(format).toLowerCase() === 'csv' || String(format).toLowerCase() === 'excel') {
       const totalValue = products.reduce((acc,p)=>acc+ number(p.stock)* number(p.cost),0)
       sendCsv(res, 'reporte-inventario', [
@@ -1191,22 +1282,25 @@ async function inventoryReport(req,res,next){
         `Sucursal,${scope.label}`,
         `Generado,${DateTime.now().setZone('America/Guatemala').toFormat('yyyy-LL-dd HH:mm')}`,
         `Total Productos,${products.length}`,
-        `Valor Total,${money(totalValue)}`
+        ...(hideCost ? [] : [`Valor Total,${money(totalValue)}`])
       ], [
         ...(byBranch.length ? [{
           title:'Inventario por Sucursal',
           columns:['Sucursal','SKUs','Unidades','Valor'],
-          rows: byBranch.map(b=>[b.branch, b.skus, b.units, money(b.value)])
+          rows: byBranch.map(b=>[b.branch, b.skus, b.units, money(b.value)]),
+          omit: hideCost ? [3] : []
         }] : []),
         ...(byWarehouse.length ? [{
           title:'Inventario por Almacén',
           columns:['Almacén','SKUs','Unidades','Valor'],
-          rows: byWarehouse.map(w=>[w.warehouse, w.skus, w.units, money(w.value)])
+          rows: byWarehouse.map(w=>[w.warehouse, w.skus, w.units, money(w.value)]),
+          omit: hideCost ? [3] : []
         }] : []),
         {
           title:'Detalle',
           columns:['Producto','Categoría','Stock','Costo','Valor'],
-          rows: products.map(p=>[p.name, p.category?.name||'—', p.stock, money(number(p.cost)), money(number(p.stock)*number(p.cost))])
+          rows: products.map(p=>[p.name, p.category?.name||'—', p.stock, money(number(p.cost)), money(number(p.stock)*number(p.cost))]),
+          omit: hideCost ? [3, 4] : []
         }
       ])
       return
@@ -1219,7 +1313,7 @@ async function inventoryReport(req,res,next){
     const lowStock = products.filter(p=> number(p.stock) <= number(p.min_stock)).length
     drawSummaryCards(doc, [
       { label: 'Productos Totales', value: String(totalProducts) },
-      { label: 'Valor Inventario', value: money(totalValue) },
+      ...(hideCost ? [] : [{ label: 'Valor Inventario', value: money(totalValue) }]),
       { label: 'Stock Bajo', value: String(lowStock) },
     ])
   if (byBranch.length) {
@@ -1229,7 +1323,7 @@ async function inventoryReport(req,res,next){
       ['Sucursal','SKUs','Unidades','Valor'],
       byBranch.map(b=>[b.branch, b.skus, b.units, money(b.value)]),
       [170,70,70,90],
-      { align: ['left','right','right','right'], headerAlign: ['left','right','right','right'] }
+      { align: ['left','right','right','right'], headerAlign: ['left','right','right','right'], omit: hideCost ? [3] : [] }
     )
   }
   if (byWarehouse.length) {
@@ -1239,11 +1333,11 @@ async function inventoryReport(req,res,next){
       ['Almacén','SKUs','Unidades','Valor'],
       byWarehouse.map(w=>[w.warehouse, w.skus, w.units, money(w.value)]),
       [170,70,70,90],
-      { align: ['left','right','right','right'], headerAlign: ['left','right','right','right'] }
+      { align: ['left','right','right','right'], headerAlign: ['left','right','right','right'], omit: hideCost ? [3] : [] }
     )
   }
   sectionTitle(doc,'Detalle de Inventario')
-  drawTable(doc, ['Producto','Categoría','Stock','Costo','Valor'], products.slice(0,100).map(p=>[p.name, p.category?.name||'—', p.stock, money(number(p.cost)), money(number(p.stock)*number(p.cost))]), [170,110,50,70,80], { align: ['left','left','right','right','right'], headerAlign: ['left','left','right','right','right'] })
+  drawTable(doc, ['Producto','Categoría','Stock','Costo','Valor'], products.slice(0,100).map(p=>[p.name, p.category?.name||'—', p.stock, money(number(p.cost)), money(number(p.stock)*number(p.cost))]), [170,110,50,70,80], { align: ['left','left','right','right','right'], headerAlign: ['left','left','right','right','right'], omit: hideCost ? [3, 4] : [] })
     footer(doc, companyName)
     doc.end()
   } catch(e){ next(e) }
@@ -1261,6 +1355,8 @@ async function suppliersReport(req, res, next) {
     const scope = await reportScope(req)
     const fmtLast = (d) =>
       d ? DateTime.fromJSDate(d).setZone('America/Guatemala').toFormat('yyyy-LL-dd') : '—'
+    // Valor de inventario y compras van a costo: fuera si el rol oculta costos
+    const hideCost = hidesCost(req.user)
 
     const topByInv = [...suppliers]
       .filter((s) => s.inventoryValue > 0)
@@ -1273,11 +1369,11 @@ async function suppliersReport(req, res, next) {
 
     if (String(format).toLowerCase() === 'csv' || String(format).toLowerCase() === 'excel') {
       const sections = [
-        {
+        ...(hideCost ? [] : [{
           title: 'Top por valor de inventario',
           columns: ['Proveedor', '# Productos', 'Unidades stock', 'Valor inventario'],
           rows: topByInv.map((s) => [s.name, s.productCount, s.stockUnits, money(s.inventoryValue)])
-        },
+        }]),
         {
           title: 'Resumen por proveedor',
           columns: [
@@ -1305,7 +1401,8 @@ async function suppliersReport(req, res, next) {
             money(number(s.total_purchases)),
             fmtLast(s.last_order),
             s.estado === 1 ? 'Activo' : 'Inactivo'
-          ])
+          ]),
+          omit: hideCost ? [7, 8] : []
         }
       ]
       if (sinProdRows.length) {
@@ -1324,7 +1421,7 @@ async function suppliersReport(req, res, next) {
         `Con teléfono,${summary.withPhone}`,
         `Con correo,${summary.withEmail}`,
         `SKUs en catálogo (vinculados),${summary.totalProductSkus}`,
-        `Valor total inventario,${money(summary.totalInventoryValue)}`,
+        ...(hideCost ? [] : [`Valor total inventario,${money(summary.totalInventoryValue)}`]),
         `Proveedores sin productos,${summary.withoutProducts}`
       ], sections)
       return
@@ -1337,22 +1434,24 @@ async function suppliersReport(req, res, next) {
       { label: 'Total proveedores', value: String(summary.totalSuppliers) },
       { label: 'Activos', value: String(summary.activeSuppliers) },
       { label: 'SKUs vinculados', value: String(summary.totalProductSkus) },
-      { label: 'Valor inventario', value: money(summary.totalInventoryValue) },
+      ...(hideCost ? [] : [{ label: 'Valor inventario', value: money(summary.totalInventoryValue) }]),
       { label: 'Sin productos', value: String(summary.withoutProducts) },
       { label: 'Con teléfono', value: String(summary.withPhone) }
     ])
-    sectionTitle(doc, 'Top por valor de inventario')
-    drawTable(
-      doc,
-      ['Proveedor', '# Prod.', 'Unid. stock', 'Valor inv.'],
-      topByInv.map((s) => [s.name, s.productCount, s.stockUnits, money(s.inventoryValue)]),
-      [175, 52, 58, 95],
-      { align: ['left', 'right', 'right', 'right'], headerAlign: ['left', 'right', 'right', 'right'] }
-    )
-    if (!topByInv.length) {
-      ensureSpace(doc, 24)
-      doc.fontSize(9).fillColor(BRAND.muted).text('Sin datos de inventario valorizado (stock * costo).', doc.page.margins.left)
-      doc.moveDown(0.5)
+    if (!hideCost) {
+      sectionTitle(doc, 'Top por valor de inventario')
+      drawTable(
+        doc,
+        ['Proveedor', '# Prod.', 'Unid. stock', 'Valor inv.'],
+        topByInv.map((s) => [s.name, s.productCount, s.stockUnits, money(s.inventoryValue)]),
+        [175, 52, 58, 95],
+        { align: ['left', 'right', 'right', 'right'], headerAlign: ['left', 'right', 'right', 'right'] }
+      )
+      if (!topByInv.length) {
+        ensureSpace(doc, 24)
+        doc.fontSize(9).fillColor(BRAND.muted).text('Sin datos de inventario valorizado (stock * costo).', doc.page.margins.left)
+        doc.moveDown(0.5)
+      }
     }
 
     sectionTitle(doc, 'Resumen por proveedor')
@@ -1372,7 +1471,8 @@ async function suppliersReport(req, res, next) {
       [118, 62, 34, 36, 68, 68, 62, 78],
       {
         align: ['left', 'left', 'right', 'right', 'right', 'right', 'left', 'left'],
-        headerAlign: ['left', 'left', 'right', 'right', 'right', 'right', 'left', 'left']
+        headerAlign: ['left', 'left', 'right', 'right', 'right', 'right', 'left', 'left'],
+        omit: hideCost ? [4, 5] : []
       }
     )
 
@@ -1390,7 +1490,7 @@ async function suppliersReport(req, res, next) {
       contact: s.contact,
       phone: s.phone,
       email: s.email,
-      metricsLine: `Productos: ${s.productCount} | Unid.: ${s.stockUnits} | Inv.: ${money(s.inventoryValue)}`
+      metricsLine: `Productos: ${s.productCount} | Unid.: ${s.stockUnits}${hideCost ? '' : ` | Inv.: ${money(s.inventoryValue)}`}`
     }))
     drawSuppliersGrid(doc, forGrid)
 
@@ -1403,6 +1503,8 @@ async function suppliersReport(req, res, next) {
 
 async function financialReport(req, res, next) {
   try {
+    // P&L, CMV, valuación y compras: todo sale del costo
+    assertCanSeeCost(req.user)
     const branding = await getBrandingForPdf(prisma, req.companyId)
     const companyName = branding.company_name
     const logoBuffer = branding.logoBuffer
@@ -1427,9 +1529,13 @@ async function financialReport(req, res, next) {
         `Valor inventario (fecha generación),${money(data.inventoryValue)}`,
         `Unidades en stock,${data.inventoryUnits}`,
         `SKUs activos,${data.inventorySkuCount}`,
-        ...(data.inTransitUnits > 0 ? [
+        ...(data.inTransitUnits > 0 || data.inDisputeUnits > 0 ? [
           `En tránsito (enviado sin recibir),${money(data.inTransitValue)}`,
           `Unidades en tránsito,${data.inTransitUnits}`,
+          ...(data.inDisputeUnits > 0 ? [
+            `En disputa (diferencias de traslado),${money(data.inDisputeValue)}`,
+            `Unidades en disputa,${data.inDisputeUnits}`,
+          ] : []),
           `Valor total propiedad de la empresa,${money(data.inventoryValueOwned)}`,
         ] : []),
         `Compras registradas período,${money(data.purchasesPeriod)}`,
@@ -1508,8 +1614,9 @@ async function financialReport(req, res, next) {
       .fillColor(BRAND.muted)
       .text(
         `Stock: ${data.inventoryUnits} u. | SKUs: ${data.inventorySkuCount} | ` +
-          (data.inTransitUnits > 0
+          (data.inTransitUnits > 0 || data.inDisputeUnits > 0
             ? `En tránsito: ${data.inTransitUnits} u. (${money(data.inTransitValue)}) | ` +
+              (data.inDisputeUnits > 0 ? `En disputa: ${data.inDisputeUnits} u. (${money(data.inDisputeValue)}) | ` : '') +
               `Total propiedad de la empresa: ${money(data.inventoryValueOwned)} | `
             : '') +
           `Movimientos de compra: ${data.purchaseLogLines} | ` +
@@ -1707,6 +1814,8 @@ async function alertsReport(req, res, next) {
     const byBranch = await stockByBranch(req, scope)
 
     const gapUnits = (p) => Math.max(0, number(p.min_stock) - number(p.stock))
+    // El valor (faltante o existencias × costo) sale del costo
+    const hideCost = hidesCost(req.user)
     const fmtTs = (d) =>
       d ? DateTime.fromJSDate(d).setZone(zone).toFormat('yyyy-LL-dd HH:mm') : '—'
 
@@ -1727,7 +1836,8 @@ async function alertsReport(req, res, next) {
         ...(byBranch.length ? [{
           title: 'Riesgo por Sucursal',
           columns: ['Sucursal', 'SKUs', 'Sin stock', 'Bajo mín. c/stock', 'Unidades', 'Valor'],
-          rows: byBranch.map((b) => [b.branch, b.skus, b.sinStock, b.bajoMin, b.units, money(b.value)])
+          rows: byBranch.map((b) => [b.branch, b.skus, b.sinStock, b.bajoMin, b.units, money(b.value)]),
+          omit: hideCost ? [5] : []
         }] : []),
         {
           title: 'Concentración por categoría (SKUs en riesgo)',
@@ -1751,7 +1861,8 @@ async function alertsReport(req, res, next) {
             'Valor faltante',
             'Proveedor'
           ],
-          rows: actionList.map(rowPrioridad)
+          rows: actionList.map(rowPrioridad),
+          omit: hideCost ? [6] : []
         },
         {
           title: 'Crítico: sin stock',
@@ -1789,7 +1900,7 @@ async function alertsReport(req, res, next) {
         `Bajo mínimo con existencias,${summary.lowWithStockCount}`,
         `SKUs en riesgo (total),${summary.atRiskCount}`,
         `Unidades a reponer hasta mínimo,${summary.reorderGapUnits}`,
-        `Valor estimado reposición (faltante * costo),${money(summary.reorderGapValue)}`,
+        ...(hideCost ? [] : [`Valor estimado reposición (faltante * costo),${money(summary.reorderGapValue)}`]),
         `Tickets de alerta abiertos (total),${summary.openSystemAlerts}`
       ]
       if (summary.openSystemAlerts > 250) {
@@ -1810,7 +1921,7 @@ async function alertsReport(req, res, next) {
       { label: 'Bajo mín. (c/stock)', value: String(summary.lowWithStockCount) },
       { label: 'SKUs en riesgo', value: String(summary.atRiskCount) },
       { label: 'Unid. a reponer', value: String(summary.reorderGapUnits) },
-      { label: 'Valor reposición est.', value: money(summary.reorderGapValue) },
+      ...(hideCost ? [] : [{ label: 'Valor reposición est.', value: money(summary.reorderGapValue) }]),
       { label: 'Alertas abiertas', value: String(summary.openSystemAlerts) }
     ])
     ensureSpace(doc, 32)
@@ -1818,7 +1929,9 @@ async function alertsReport(req, res, next) {
       .fontSize(8)
       .fillColor(BRAND.muted)
       .text(
-        `Catálogo activo: ${summary.totalSkus} SKUs. Valor de reposición = unidades faltantes hasta el mínimo * costo actual.`,
+        hideCost
+          ? `Catálogo activo: ${summary.totalSkus} SKUs.`
+          : `Catálogo activo: ${summary.totalSkus} SKUs. Valor de reposición = unidades faltantes hasta el mínimo * costo actual.`,
         doc.page.margins.left,
         doc.y,
         { width: doc.page.width - doc.page.margins.left - doc.page.margins.right }
@@ -1834,7 +1947,8 @@ async function alertsReport(req, res, next) {
         [140, 55, 65, 65, 65, 82],
         {
           align: ['left', 'right', 'right', 'right', 'right', 'right'],
-          headerAlign: ['left', 'right', 'right', 'right', 'right', 'right']
+          headerAlign: ['left', 'right', 'right', 'right', 'right', 'right'],
+          omit: hideCost ? [5] : []
         }
       )
     }
@@ -1862,7 +1976,8 @@ async function alertsReport(req, res, next) {
         [104, 50, 32, 84, 32, 40, 62, 70],
         {
           align: ['left', 'left', 'right', 'left', 'right', 'right', 'right', 'left'],
-          headerAlign: ['left', 'left', 'right', 'left', 'right', 'right', 'right', 'left']
+          headerAlign: ['left', 'left', 'right', 'left', 'right', 'right', 'right', 'left'],
+          omit: hideCost ? [6] : []
         }
       )
       if (actionList.length > 120) {
@@ -2067,6 +2182,8 @@ async function getProductsAnalysisData(req) {
 
 async function productsReport(req, res, next) {
   try {
+    // Márgenes y valor a costo del catálogo
+    assertCanSeeCost(req.user)
     const branding = await getBrandingForPdf(prisma, req.companyId)
     const companyName = branding.company_name
     const logoBuffer = branding.logoBuffer
@@ -2422,6 +2539,8 @@ async function inventoryCountSessionReport(req, res, next) {
     const companyName = branding.company_name
     const logoBuffer = branding.logoBuffer
     const money = makeMoney(branding.currency_code)
+    // La diferencia valorizada es a costo
+    const hideCost = hidesCost(req.user)
 
     if (format === 'csv' || format === 'excel') {
       const rows = lines.map((L) => {
@@ -2468,6 +2587,7 @@ async function inventoryCountSessionReport(req, res, next) {
             title: 'Líneas',
             columns: ['Producto', 'Código', 'Ubicación', 'Categoría', 'Teórico', 'Contado', '2.ª lectura', 'Diferencia', 'Valor diff.', 'Nota'],
             rows,
+            omit: hideCost ? [8] : [],
           },
         ]
       )
@@ -2537,6 +2657,7 @@ async function inventoryCountSessionReport(req, res, next) {
       {
         align: ['left', 'left', 'left', 'right', 'right', 'right', 'right', 'right'],
         headerAlign: ['left', 'left', 'left', 'right', 'right', 'right', 'right', 'right'],
+        omit: hideCost ? [7] : [],
       }
     )
     if (lines.length > 100) {
@@ -2576,6 +2697,8 @@ async function inventoryCountsHistoryReport(req, res, next) {
     const zone = branding.timezone || 'America/Guatemala'
     const { period = 'month', year, format = 'pdf', month, quarter, semester } = req.query
     const { startUtc, endUtc, label } = periodRange(period, year, { month, quarter, semester }, zone)
+    // Diferencias y mermas valorizadas son a costo
+    const hideCost = hidesCost(req.user)
 
     const sessions = await prisma.inventoryCountSession.findMany({
       where: {
@@ -2666,8 +2789,10 @@ async function inventoryCountsHistoryReport(req, res, next) {
           `Periodo,${label}`,
           `Generado,${genAt}`,
           `Sesiones,${sessions.length}`,
-          `Suma valor diferencias (contado),${money(sumValueDiff)}`,
-          `Suma mermas (valor),${money(sumMerma)}`,
+          ...(hideCost ? [] : [
+            `Suma valor diferencias (contado),${money(sumValueDiff)}`,
+            `Suma mermas (valor),${money(sumMerma)}`,
+          ]),
         ],
         [
           {
@@ -2685,6 +2810,7 @@ async function inventoryCountsHistoryReport(req, res, next) {
               'Creado por',
             ],
             rows,
+            omit: hideCost ? [5, 6] : [],
           },
         ]
       )
@@ -2702,8 +2828,10 @@ async function inventoryCountsHistoryReport(req, res, next) {
       { label: 'Sesiones', value: String(sessions.length) },
       { label: 'Aprobadas', value: String(byStatus.APPROVED || 0) },
       { label: 'En curso / revisión', value: String((byStatus.IN_PROGRESS || 0) + (byStatus.IN_REVIEW || 0) + (byStatus.PENDING_SECOND_APPROVAL || 0)) },
-      { label: 'Valor dif. (contado)', value: money(sumValueDiff) },
-      { label: 'Mermas (valor)', value: money(sumMerma) },
+      ...(hideCost ? [] : [
+        { label: 'Valor dif. (contado)', value: money(sumValueDiff) },
+        { label: 'Mermas (valor)', value: money(sumMerma) },
+      ]),
     ])
     doc.moveDown(0.5)
 
@@ -2725,6 +2853,7 @@ async function inventoryCountsHistoryReport(req, res, next) {
       {
         align: ['left', 'left', 'left', 'right', 'right', 'right', 'right'],
         headerAlign: ['left', 'left', 'left', 'right', 'right', 'right', 'right'],
+        omit: hideCost ? [5, 6] : [],
       }
     )
     if (tableData.length > 80) {
@@ -2741,6 +2870,8 @@ async function inventoryCountsHistoryReport(req, res, next) {
 
 async function merchandiseReport(req, res, next) {
   try {
+    // Ingresos de mercancía: montos a costo de compra
+    assertCanSeeCost(req.user)
     const branding = await getBrandingForPdf(prisma, req.companyId)
     const companyName = branding.company_name
     const logoBuffer = branding.logoBuffer
@@ -2867,6 +2998,7 @@ module.exports = {
   drawTable,
   drawSummaryCards,
   sendCsv,
+  sendXlsx,
   salesReport,
   // Expuesto para probarlo sin armar un PDF.
   getFinancialData,
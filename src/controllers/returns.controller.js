@@ -8,6 +8,7 @@
  * For licensing inquiries: GitHub @dpatzan2
  */
 
+const crypto = require('crypto')
 const { prisma, prismaTransaction } = require('../models/prisma')
 const { DateTime } = require('luxon')
 const { ensureStockAlertsBatch } = require('../services/stockAlerts')
@@ -18,19 +19,57 @@ const {
   getAvailabilityBatchWithKits,
 } = require('../services/bomStock')
 const { branchWhere } = require('../middlewares/tenant')
+const { syncSaleCreditStatus } = require('../services/receivables')
+const { issueCreditNote, afterCommit, publicDte } = require('../services/dte/certification')
+const { emitWebhook, requestWebhookDispatch } = require('../services/webhooks')
+const { SELLABLE, serialsByLine, loadSerialsAt, moveSerials } = require('../services/serials')
+const { requireOverride, overrideErrorBody } = require('../services/managerOverrides')
+const { restoreLotsFEFO } = require('../services/lots')
+const { defaultLocationId, assertBranchLocations, quarantineLocationId } = require('../services/stockLocations')
+const { parseDisposition, dispositionGroups } = require('../services/returnDisposition')
+const { parseRefundTarget, returnCreditAmount } = require('../services/storedValue')
+const { settleReturn } = require('../services/storedValueLedger')
+const { settleReturn: settleReturnPoints } = require('../services/loyaltyLedger')
 
 // El stock de una devolución/cambio se mueve en la sucursal DONDE SE VENDIÓ
-// (sale.branch_id), no en la del request.
+// (sale.branch_id), no en la del request. Cada línea va a su destino
+// (services/returnDisposition.js): venta, cuarentena o baja.
 async function restoreReturnItemsStock(tx, returnItems, branchId, ctx) {
-  const stockMap = await expandLinesToStockMap(
-    tx,
-    returnItems.map((item) => ({ product_id: item.product_id, qty: item.qty_returned }))
-  )
-  const updatedProducts = await restoreStockMap(tx, stockMap, branchId, { reason: 'SALE_RETURN', ...ctx })
+  const touched = new Map()
+  for (const group of dispositionGroups(returnItems)) {
+    const stockMap = await expandLinesToStockMap(tx, group.lines)
+    // La baja entra y sale de la misma ubicación para que el kardex la muestre.
+    const locationId = group.location_id
+      || (group.disposition === 'SCRAP' ? await defaultLocationId(tx, branchId) : null)
+    let rows = await restoreStockMap(tx, stockMap, branchId, {
+      reason: 'SALE_RETURN', ...ctx, ...(locationId ? { locationId } : {}),
+    })
+    if (group.disposition === 'RESTOCK') await restoreLotsFEFO(tx, stockMap, branchId, { locationId })
+    if (group.disposition === 'SCRAP') {
+      rows = await deductStockMap(tx, stockMap, branchId, {
+        ...ctx, reason: 'RETURN_SCRAP', locationId, groupId: crypto.randomUUID(), notes: 'Baja por devolución',
+      })
+    }
+    rows.forEach((p) => touched.set(p.id, p))
+  }
+  const updatedProducts = [...touched.values()]
   await ensureStockAlertsBatch(tx, updatedProducts, branchId)
   return updatedProducts
 }
 
+/**
+ * Ubicación de cada línea según su destino: RESTOCK la que se pidió (de la
+ * sucursal de la venta) o ninguna; QUARANTINE la pedida o la primera que no
+ * despacha; SCRAP ninguna.
+ */
+async function resolveDispositionLocations(tx, branchId, items) {
+  const restockIds = items.filter((i) => i.disposition === 'RESTOCK' && i.location_id).map((i) => i.location_id)
+  await assertBranchLocations(tx, branchId, restockIds)
+  for (const item of items) {
+    if (item.disposition === 'QUARANTINE') item.location_id = await quarantineLocationId(tx, branchId, item.location_id)
+  }
+}
+
 /** Descuenta stock de los productos que el cliente se lleva en un cambio (EXCHANGE). */
 async function deductReplacementStock(tx, replacementItems, branchId, ctx) {
   const stockMap = await expandLinesToStockMap(
@@ -42,6 +81,35 @@ async function deductReplacementStock(tx, replacementItems, branchId, ctx) {
   return updatedProducts
 }
 
+/**
+ * Las unidades con serie que devuelve el cliente quedan RETURNED: en la
+ * sucursal de la venta si vuelven a venta, sin sucursal si no (cuarentena,
+ * baja): una serie con sucursal se puede vender.
+ */
+async function returnItemsSerials(tx, currentReturn, { companyId, branchId, restock, ctx }) {
+  for (const item of currentReturn.return_items) {
+    const sellable = restock && (item.disposition || 'RESTOCK') === 'RESTOCK'
+    await moveSerials(tx, {
+      companyId, productId: item.product_id, productName: item.product?.name, serials: item.serials || [],
+      from: { statuses: ['SOLD'], saleId: currentReturn.sale_id },
+      to: { status: 'RETURNED', branch_id: sellable ? branchId : null },
+      event: 'RETURNED', branchId, ...ctx,
+    })
+  }
+}
+
+/** Las unidades de reemplazo de un cambio salen a nombre de la venta original. */
+async function replacementSerials(tx, currentReturn, { companyId, branchId, ctx }) {
+  for (const item of currentReturn.replacement_items) {
+    await moveSerials(tx, {
+      companyId, productId: item.product_id, productName: item.product?.name, serials: item.serials || [],
+      from: { statuses: SELLABLE, branchId },
+      to: { status: 'SOLD', branch_id: null, sale_id: currentReturn.sale_id },
+      event: 'EXCHANGED', branchId, ...ctx,
+    })
+  }
+}
+
 /**
  * Aplica el efecto de una devolución (REFUND) a la venta original: reduce las
  * cantidades vendidas y recalcula total_returned / adjusted_total. En un cambio
@@ -65,14 +133,18 @@ async function applyRefundToSale(tx, currentReturn) {
       where: { id: currentReturn.sale_id },
       data: { total_returned: newTotalReturned, adjusted_total: newAdjustedTotal },
     })
+    // En una venta al crédito lo devuelto baja también el saldo del cliente.
+    await syncSaleCreditStatus(tx, currentReturn.sale_id)
   }
 }
 
 /** Resuelve sale_id (UUID o referencia ej. V-000001) al id interno de la venta */
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
 async function resolveSaleId(saleIdOrRef, scope) {
   if (!saleIdOrRef) return null
   const s = String(saleIdOrRef).trim()
-  const isUuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(s)
+  const isUuid = UUID_RE.test(s)
   const sale = await prisma.sale.findFirst({
     where: isUuid ? { id: s, ...scope } : { reference: s, ...scope },
     select: { id: true },
@@ -191,13 +263,23 @@ exports.getById = async (req, res, next) => {
         return_items: {
           include: {
             product: true,
-            sale_item: true
+            sale_item: true,
+            location: { select: { id: true, code: true, name: true } }
           }
         },
         replacement_items: {
           include: {
             product: true
           }
+        },
+        overrides: {
+          select: { id: true, action: true, reason: true, used_at: true, authorizedBy: { select: { id: true, name: true } } },
+        },
+        stored_value_movements: {
+          include: { account: { select: { id: true, code: true, kind: true, balance: true, expires_at: true } } },
+        },
+        loyalty_movements: {
+          select: { id: true, type: true, points: true, balance_after: true, notes: true, created_at: true },
         }
       }
     })
@@ -215,12 +297,23 @@ exports.getById = async (req, res, next) => {
 /**
  * POST /api/returns
  * Create a new return
- * Body: { sale_id, reason, items: [{ sale_item_id, product_id, qty_returned }] }
+ * Body: { sale_id, reason, items: [{ sale_item_id, product_id, qty_returned, disposition?, location_id? }], without_receipt?, override_token? }
+ * disposition: RESTOCK (default; location_id opcional), QUARANTINE (location_id
+ * opcional, si no la primera ubicación que no despacha) o SCRAP.
+ * Con comprobante, la venta se ubica por la referencia impresa en él. Por id
+ * interno (la encontró una búsqueda) o con without_receipt, es una devolución
+ * sin comprobante: lo decide el servidor y pide autorización de supervisor
+ * para esa venta.
+ * refund_to: ORIGINAL (default, por los medios de la venta), STORE_CREDIT
+ * (saldo a favor del cliente de la venta) o GIFT_CARD (tarjeta nueva). Se
+ * emite al completarse.
  */
 exports.create = async (req, res, next) => {
   try {
-    const { sale_id: saleIdOrRef, reason, items, notes, type, replacements } = req.body
+    const { sale_id: saleIdOrRef, reason, items, notes, type, replacements, override_token: overrideToken } = req.body
+    const withoutReceipt = req.body.without_receipt === true || UUID_RE.test(String(saleIdOrRef || '').trim())
     const returnType = type === 'EXCHANGE' ? 'EXCHANGE' : 'REFUND'
+    const refundTo = parseRefundTarget(req.body.refund_to)
 
     if (!saleIdOrRef || !Array.isArray(items) || items.length === 0) {
       return res.status(400).json({
@@ -272,6 +365,7 @@ exports.create = async (req, res, next) => {
 
       let totalRefund = 0
       const validatedItems = []
+      const serialsInReturn = new Set()
 
       for (const item of items) {
         const { sale_item_id, product_id, qty_returned } = item
@@ -282,6 +376,13 @@ exports.create = async (req, res, next) => {
           throw err
         }
 
+        const disposition = parseDisposition(item.disposition)
+        if (disposition === 'SCRAP' && item.location_id) {
+          const err = new Error('Una línea que se da de baja no lleva ubicación')
+          err.status = 400
+          throw err
+        }
+
         const saleItem = saleItemsMap.get(Number(sale_item_id))
         if (!saleItem) {
           const err = new Error(`Sale item ${sale_item_id} no encontrado en la venta`)
@@ -295,6 +396,12 @@ exports.create = async (req, res, next) => {
           throw err
         }
 
+        if (saleItem.product.is_gift_card) {
+          const err = new Error(`${saleItem.product.name}: una tarjeta de regalo no se devuelve; su saldo se cobra o vence`)
+          err.status = 400
+          throw err
+        }
+
         // Verificar que no se devuelva más de lo vendido
         const alreadyReturned = await tx.returnItem.aggregate({
           where: {
@@ -317,6 +424,39 @@ exports.create = async (req, res, next) => {
           throw err
         }
 
+        // Con número de serie el cliente solo devuelve la unidad que se llevó:
+        // el serial tiene que estar vendido en ESTA venta y no en otro trámite.
+        const [serials] = serialsByLine(
+          [{ product_id, qty: Number(qty_returned), serials: item.serials }],
+          new Map([[String(product_id), saleItem.product]])
+        ).byLine
+        if (serials.length > 0) {
+          const repeated = serials.find((s) => serialsInReturn.has(`${product_id}:${s}`))
+          if (repeated) {
+            const err = new Error(`El serial ${repeated} está en dos líneas de la devolución`)
+            err.status = 400
+            throw err
+          }
+          serials.forEach((s) => serialsInReturn.add(`${product_id}:${s}`))
+          await loadSerialsAt(tx, {
+            companyId: req.companyId, productId: product_id, productName: saleItem.product.name, serials,
+            from: { statuses: ['SOLD'], saleId: sale.id },
+          })
+          const enTramite = await tx.returnItem.findFirst({
+            where: {
+              product_id,
+              serials: { hasSome: serials },
+              return: { sale_id: sale.id, status: { name: 'Pendiente' } },
+            },
+            select: { return_id: true },
+          })
+          if (enTramite) {
+            const err = new Error(`${saleItem.product.name}: uno de los seriales ya está en otra devolución pendiente`)
+            err.status = 409
+            throw err
+          }
+        }
+
         const refundAmount = Number(saleItem.price) * Number(qty_returned)
         totalRefund += refundAmount
 
@@ -325,9 +465,13 @@ exports.create = async (req, res, next) => {
           product_id,
           qty_returned: Number(qty_returned),
           refund_amount: refundAmount,
-          reason: item.reason || null
+          reason: item.reason || null,
+          serials,
+          disposition,
+          location_id: item.location_id ? String(item.location_id) : null,
         })
       }
+      await resolveDispositionLocations(tx, sale.branch_id, validatedItems)
 
       // 2b. Validar productos de reemplazo (solo cambios) y calcular la diferencia
       const validatedReplacements = []
@@ -336,7 +480,7 @@ exports.create = async (req, res, next) => {
         const ids = replacements.map((r) => String(r.product_id))
         const products = await tx.product.findMany({
           where: { id: { in: ids } },
-          select: { id: true, name: true }
+          select: { id: true, name: true, tracks_serials: true }
         })
         const productById = new Map(products.map((p) => [p.id, p]))
         const availability = await getAvailabilityBatchWithKits(ids, tx, sale.branch_id)
@@ -371,14 +515,43 @@ exports.create = async (req, res, next) => {
             throw err
           }
 
+          // La unidad que se lleva tiene que estar en existencias donde se vendió.
+          const [serials] = serialsByLine([{ product_id, qty, serials: rep.serials }], productById).byLine
+          await loadSerialsAt(tx, {
+            companyId: req.companyId, productId: product_id, productName: product.name, serials,
+            from: { statuses: SELLABLE, branchId: sale.branch_id },
+          })
+
           const line_total = unit_price * qty
           replacementTotal += line_total
-          validatedReplacements.push({ product_id, qty, unit_price, line_total })
+          validatedReplacements.push({ product_id, qty, unit_price, line_total, serials })
         }
       }
       // + = el cliente paga la diferencia; − = el depósito se la devuelve.
       const priceDifference = returnType === 'EXCHANGE' ? replacementTotal - totalRefund : 0
 
+      // Reembolso como saldo: lo que se le devolvería en dinero queda a favor.
+      let creditAmount = 0
+      if (refundTo !== 'ORIGINAL') {
+        // Lo vendido al crédito se devuelve bajando la deuda, no como saldo.
+        if (Number(sale.credit_amount) > 0) {
+          const err = new Error('Una venta al crédito se devuelve contra la cuenta del cliente (refund_to ORIGINAL)')
+          err.status = 400
+          throw err
+        }
+        if (refundTo === 'STORE_CREDIT' && !sale.customer_contact_id) {
+          const err = new Error('El saldo a favor necesita una venta con cliente del maestro; use GIFT_CARD')
+          err.status = 400
+          throw err
+        }
+        creditAmount = returnCreditAmount({ type: returnType, totalRefund, priceDifference })
+        if (creditAmount <= 0) {
+          const err = new Error('El cambio no deja diferencia a favor del cliente: no hay saldo que emitir')
+          err.status = 400
+          throw err
+        }
+      }
+
       // 3. Obtener estado "Pendiente" para devoluciones
       const pendingStatus = await tx.returnStatus.findFirst({
         where: { name: 'Pendiente' }
@@ -413,12 +586,24 @@ exports.create = async (req, res, next) => {
           notes: notes || null,
           total_refund: totalRefund,
           price_difference: priceDifference,
+          refund_to: refundTo,
+          credit_amount: creditAmount,
           items_count: validatedItems.length,
           status_id: pendingStatus.id,
-          return_date: returnDate
+          return_date: returnDate,
+          without_receipt: withoutReceipt
         }
       })
 
+      if (withoutReceipt) {
+        await requireOverride(tx, req.user, overrideToken, {
+          action: 'RETURN_WITHOUT_RECEIPT',
+          targetId: sale_id,
+          companyId: req.companyId,
+          link: { return_id: returnRecord.id, sale_id },
+        })
+      }
+
       // 5. Crear los items de devolución
       for (const item of validatedItems) {
         await tx.returnItem.create({
@@ -469,12 +654,17 @@ exports.create = async (req, res, next) => {
           include: {
             product: true
           }
+        },
+        overrides: {
+          select: { id: true, action: true, reason: true, used_at: true, authorizedBy: { select: { id: true, name: true } } },
         }
       }
     })
 
     res.status(201).json(fullReturn)
   } catch (e) {
+    const overrideBody = overrideErrorBody(e)
+    if (overrideBody) return res.status(e.status).json(overrideBody)
     next(e)
   }
 }
@@ -499,12 +689,13 @@ exports.updateStatus = async (req, res, next) => {
       ? (restore_stock !== undefined ? restore_stock : true)
       : false
 
+    let webhooksQueued = 0
     const result = await prismaTransaction.$transaction(async (tx) => {
       // 1. Cargar devolución actual
       const currentReturn = await tx.return.findFirst({
         where: { id, sale: { ...branchWhere(req) } },
         include: {
-          sale: { select: { branch_id: true } },
+          sale: { select: { branch_id: true, customer_contact_id: true } },
           status: true,
           return_items: {
             include: {
@@ -579,12 +770,24 @@ exports.updateStatus = async (req, res, next) => {
         console.log(`[RETURN STOCK RESTORE] Return ${id}: restaurando stock de devueltos al completar...`)
         const restored = await restoreReturnItemsStock(tx, currentReturn.return_items, saleBranchId, ledgerCtx)
         restored.forEach((p) => console.log(`[RETURN STOCK RESTORE] ${p.name}: stock = ${p.stock}`))
+        await returnItemsSerials(tx, currentReturn, { companyId: req.companyId, branchId: saleBranchId, restock: true, ctx: ledgerCtx })
       }
 
       // Cambios: al completar, descontar el stock de los productos de reemplazo.
       if (isExchange && (isCompletingFromApproved || isCompletingFromPending)) {
         const deducted = await deductReplacementStock(tx, currentReturn.replacement_items, saleBranchId, ledgerCtx)
         deducted.forEach((p) => console.log(`[EXCHANGE STOCK] ${p.name}: stock = ${p.stock}`))
+        await replacementSerials(tx, currentReturn, { companyId: req.companyId, branchId: saleBranchId, ctx: ledgerCtx })
+      }
+
+      // Completada: el reembolso como saldo se emite, o lo pagado con saldo vuelve a su cuenta.
+      let storedValueAccount = null
+      if (isCompletingFromApproved || isCompletingFromPending) {
+        storedValueAccount = await settleReturn(tx, currentReturn, {
+          companyId: req.companyId, branchId: saleBranchId, userId: req.user?.sub || null,
+        })
+        // Lo devuelto ya no gana puntos: se quitan los que correspondían.
+        await settleReturnPoints(tx, currentReturn, { branchId: saleBranchId, userId: req.user?.sub || null })
       }
 
       // CASO 3: Si se aprueba desde "Pendiente", restaurar stock solo si restore_stock es true
@@ -598,6 +801,12 @@ exports.updateStatus = async (req, res, next) => {
       } else if (isApproving && !shouldRestoreStock) {
         console.log(`[RETURN STATUS UPDATE] Return ${id}: ${prevStatusName} -> ${newStatusName}. Stock NO será restaurado (restore_stock=false)`)
       }
+      // Aprobada, la unidad ya es del depósito otra vez (con o sin reingreso).
+      if (isApproving) {
+        await returnItemsSerials(tx, currentReturn, {
+          companyId: req.companyId, branchId: saleBranchId, restock: shouldRestoreStock, ctx: ledgerCtx,
+        })
+      }
 
       // Get Guatemala time for processed_at
       const nowGtProcessed = DateTime.now().setZone('America/Guatemala');
@@ -637,17 +846,53 @@ exports.updateStatus = async (req, res, next) => {
         }
       })
 
+      if (isCompletingFromPending || isCompletingFromApproved) {
+        webhooksQueued = await emitWebhook(tx, req.companyId, 'return.processed', {
+          id: updated.id,
+          sale_id: updated.sale_id,
+          sale_reference: updated.sale?.reference ?? null,
+          type: updated.type,
+          status: updated.status?.name ?? null,
+          reason: updated.reason,
+          total_refund: Number(updated.total_refund),
+          price_difference: Number(updated.price_difference),
+          refund_to: updated.refund_to,
+          credit_amount: Number(updated.credit_amount),
+          processed_at: updated.processed_at,
+          items: updated.return_items.map((ri) => ({
+            product_id: ri.product_id,
+            qty_returned: ri.qty_returned,
+            refund_amount: Number(ri.refund_amount),
+            serials: ri.serials || [],
+            disposition: ri.disposition,
+          })),
+          replacement_items: updated.replacement_items.map((ri) => ({ product_id: ri.product_id, qty: ri.qty, serials: ri.serials || [] })),
+        })
+      }
+
       return {
         ...updated,
         _saleAdjustment: (!isExchange && (isCompletingFromPending || isCompletingFromApproved)) ? 'sale_updated' : 'none',
         _stockAdjustment: (isCompletingFromPending || (isApproving && shouldRestoreStock)) ? 'stock_restored' : 'none',
         _replacementStock: (isExchange && (isCompletingFromPending || isCompletingFromApproved)) ? 'stock_deducted' : 'none',
+        _storedValue: storedValueAccount
+          ? { id: storedValueAccount.id, kind: storedValueAccount.kind, code: storedValueAccount.code, balance: storedValueAccount.balance, expires_at: storedValueAccount.expires_at }
+          : null,
         _transition: `${prevStatusName} -> ${newStatusName}`
       }
     }, {
       maxWait: 10000,
       timeout: 15000
     })
+    if (webhooksQueued > 0) requestWebhookDispatch()
+
+    // Si la venta ya estaba facturada, lo devuelto sale en nota de crédito.
+    if (result._saleAdjustment === 'sale_updated') {
+      const note = await afterCommit(`nota de crédito por devolución ${id}`, () =>
+        issueCreditNote(prisma, { saleId: result.sale_id, companyId: req.companyId, returnId: id })
+      )
+      if (note) result._dte = publicDte(note)
+    }
 
     res.json(result)
   } catch (e) {
@@ -0,0 +1,89 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Documentos FEL de una venta (factura y notas de crédito). Las notas se
+ * emiten solas al completar una devolución o anular la venta; aquí se consulta,
+ * se certifica la factura y se reintenta lo que quedó con error.
+ */
+
+const { prisma } = require('../models/prisma')
+const { certifySale, retryDte, publicDte } = require('../services/dte/certification')
+
+// El XML va aparte (GET .../xml): en el listado solo pesa.
+const DTE_OMIT = { xml: true }
+
+async function findSale(req) {
+  const s = String(req.params.id || '').trim()
+  const isUuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(s)
+  return prisma.sale.findFirst({
+    where: { ...(isUuid ? { id: s } : { reference: s }), branch: { company_id: req.companyId } },
+    select: { id: true },
+  })
+}
+
+// GET /api/sales/:id/dte
+exports.list = async (req, res, next) => {
+  try {
+    const sale = await findSale(req)
+    if (!sale) return res.status(404).json({ message: 'Venta no encontrada' })
+    const items = await prisma.saleDte.findMany({
+      where: { sale_id: sale.id },
+      omit: DTE_OMIT,
+      orderBy: { created_at: 'asc' },
+    })
+    res.json({ items: items.map(publicDte) })
+  } catch (e) {
+    next(e)
+  }
+}
+
+// POST /api/sales/:id/dte — certifica la factura (idempotente si ya está autorizada)
+exports.certify = async (req, res, next) => {
+  try {
+    const sale = await findSale(req)
+    if (!sale) return res.status(404).json({ message: 'Venta no encontrada' })
+    res.json(publicDte(await certifySale(prisma, sale.id, req.companyId)))
+  } catch (e) {
+    next(e)
+  }
+}
+
+// POST /api/sales/:id/dte/:dteId/retry
+exports.retry = async (req, res, next) => {
+  try {
+    const sale = await findSale(req)
+    if (!sale) return res.status(404).json({ message: 'Venta no encontrada' })
+    const owned = await prisma.saleDte.findFirst({ where: { id: req.params.dteId, sale_id: sale.id }, select: { id: true } })
+    if (!owned) return res.status(404).json({ message: 'Documento no encontrado' })
+    res.json(publicDte(await retryDte(prisma, owned.id, req.companyId)))
+  } catch (e) {
+    next(e)
+  }
+}
+
+// GET /api/sales/:id/dte/:dteId/xml — el certificado si está autorizado, si no el que se envió
+exports.downloadXml = async (req, res, next) => {
+  try {
+    const sale = await findSale(req)
+    if (!sale) return res.status(404).json({ message: 'Venta no encontrada' })
+    const dte = await prisma.saleDte.findFirst({
+      where: { id: req.params.dteId, sale_id: sale.id },
+      select: { id: true, xml: true, document_type: true, series: true, number: true },
+    })
+    if (!dte?.xml) return res.status(404).json({ message: 'Documento sin XML' })
+    const name = dte.series && dte.number ? `${dte.document_type}-${dte.series}-${dte.number}` : `${dte.document_type}-${dte.id}`
+    res.setHeader('Content-Type', 'application/xml; charset=utf-8')
+    res.setHeader('Content-Disposition', `attachment; filename="${name}.xml"`)
+    res.send(dte.xml)
+  } catch (e) {
+    next(e)
+  }
+}
@@ -28,7 +28,18 @@ const {
 } = require('../services/saleSearch')
 const { expandLinesToStockMap, deductStockMap, restoreStockMap, getAvailabilityBatchWithKits } = require('../services/bomStock')
 const { nextDocumentReference } = require('../services/referenceGenerator')
+const { resolveTenders } = require('../services/salePayments')
+const { redeemTenders, issueSaleGiftCards, reverseSale } = require('../services/storedValueLedger')
+const { quoteRedemption, redeemForSale, accrueSale, reverseSale: reverseSalePoints } = require('../services/loyaltyLedger')
+const { resolveCreditTerms } = require('../services/receivables')
+const { autoCertifySale, issueCreditNote, afterCommit, publicDte } = require('../services/dte/certification')
+const { emitWebhook, requestWebhookDispatch, saleWebhookData } = require('../services/webhooks')
+const { convertLinesToBase, lineBasePrice, lineUnitData } = require('../services/units')
+const { parentProductError } = require('../services/variants')
+const { SELLABLE, serialsByLine, moveSerials, moveSerialsByProduct, releaseSaleSerials } = require('../services/serials')
 const { requireBranch, branchWhere } = require('../middlewares/tenant')
+const { redactCost, saleScopeWhere, discountLimitExceeded } = require('../services/roleRestrictions')
+const { cartHash, requireOverride, overrideErrorBody } = require('../services/managerOverrides')
 
 /** Caja de la venta: la explícita (POS) > la asignada al usuario > la predeterminada. */
 async function resolveSaleRegister (client, explicitId, userId, branchId) {
@@ -52,12 +63,20 @@ async function resolveSaleRegister (client, explicitId, userId, branchId) {
 /** Include ligero para listados (tabla / búsqueda). Detalle completo en GET /sales/:id */
 const SALE_LIST_INCLUDE = {
   payment_method: { select: { id: true, name: true } },
+  payments: {
+    select: { payment_method_id: true, amount: true, payment_method: { select: { id: true, name: true } } },
+    orderBy: { sort_order: 'asc' },
+  },
   status: { select: { id: true, name: true } },
 }
 
 /** Misma forma que GET /sales/:id — reutilizado al responder POST /sales (evita un GET extra en el cliente). */
 const SALE_DETAIL_INCLUDE = {
   payment_method: true,
+  payments: {
+    include: { payment_method: true },
+    orderBy: { sort_order: 'asc' },
+  },
   status: true,
   sale_items: {
     include: {
@@ -67,10 +86,11 @@ const SALE_DETAIL_INCLUDE = {
           name: true,
           barcode: true
         }
-      }
+      },
+      unit: { select: { id: true, code: true, name: true } }
     }
   },
-  sale_dtes: true,
+  sale_dtes: { omit: { xml: true }, orderBy: { created_at: 'asc' } },
   returns: {
     include: {
       status: true,
@@ -96,6 +116,27 @@ const SALE_DETAIL_INCLUDE = {
       name: true,
       email: true
     }
+  },
+  // Tarjetas que emitió y saldos que cobró o reintegró
+  stored_value_movements: {
+    include: { account: { select: { id: true, code: true, kind: true, balance: true, expires_at: true } } },
+    orderBy: { created_at: 'asc' },
+  },
+  // Puntos que ganó, canjeó o se le revirtieron
+  loyalty_movements: {
+    select: { id: true, type: true, points: true, balance_after: true, notes: true, created_at: true },
+    orderBy: { created_at: 'asc' },
+  },
+  // Excepciones que un supervisor autorizó sobre la venta
+  overrides: {
+    select: {
+      id: true,
+      action: true,
+      reason: true,
+      used_at: true,
+      authorizedBy: { select: { id: true, name: true } },
+    },
+    orderBy: { used_at: 'asc' },
   }
 }
 
@@ -158,7 +199,8 @@ exports.list = async (req, res, next) => {
       }
     }
 
-    const where = { ...branchWhere(req) }
+    // Con `sales.scope` en el rol: solo las propias o las de su caja
+    const where = { ...branchWhere(req), ...(await saleScopeWhere(prisma, req.user)) }
     if (startDate && endDate) {
       where.date = { gte: startDate, lte: endDate }
     }
@@ -319,9 +361,11 @@ exports.getById = async (req, res, next) => {
     const { id: idOrRef } = req.params
     // Lectura a nivel empresa: una venta de otra sucursal de la misma empresa
     // se puede consultar (p. ej. escanear un recibo), de otra empresa no.
+    // Fuera del alcance de ventas del rol responde igual que si no existiera.
     const where = {
       ...saleWhereIdOrReference(idOrRef),
       branch: { company_id: req.companyId },
+      ...(await saleScopeWhere(prisma, req.user)),
     }
 
     const sale = await prisma.sale.findFirst({
@@ -333,7 +377,7 @@ exports.getById = async (req, res, next) => {
       return res.status(404).json({ message: 'Venta no encontrada' })
     }
 
-    res.json(sale)
+    res.json(redactCost(req.user, sale))
   } catch (e) {
     next(e)
   }
@@ -346,15 +390,20 @@ exports.create = async (req, res, next) => {
       return res.status(401).json({ message: 'Usuario no autenticado' })
     }
     const {
-      items,
+      items: rawItems,
       admin_authorized_products = [],
       promotion_codes = [],
       customer_contact_id: customerContactIdRaw,
       sales_channel: salesChannelRaw,
       idempotency_key: idempotencyKeyRaw,
+      payments,
+      // Tokens de supervisor (POST /auth/overrides) para precio bajo costo o descuento sobre el límite
+      override_tokens: overrideTokens = [],
+      // Puntos del cliente que se canjean como descuento
+      loyalty_points_redeem: loyaltyPointsRedeem,
       ...saleData
     } = req.body
-    if (!Array.isArray(items) || items.length === 0) {
+    if (!Array.isArray(rawItems) || rawItems.length === 0) {
       return res.status(400).json({ message: 'items es requerido' })
     }
 
@@ -363,8 +412,6 @@ exports.create = async (req, res, next) => {
     const idempotencyKey = String(req.get?.('Idempotency-Key') || idempotencyKeyRaw || '')
       .trim().slice(0, 64) || null
 
-    const totalItems = items.reduce((acc, it) => acc + Number(it.qty || 0), 0)
-
     const schRaw = salesChannelRaw != null ? String(salesChannelRaw).toUpperCase() : 'POS'
     const salesChannel = VALID_CHANNELS.has(schRaw) ? schRaw : 'POS'
     let customerContactId = null
@@ -385,9 +432,15 @@ exports.create = async (req, res, next) => {
         where: { branch_id: branchId, idempotency_key: idempotencyKey },
         include: SALE_DETAIL_INCLUDE,
       })
-      if (yaExiste) return res.status(200).json(yaExiste)
+      if (yaExiste) return res.status(200).json(redactCost(req.user, yaExiste))
     }
 
+    // Líneas por caja o por peso (unit_id/unit): de aquí en adelante todo va
+    // en unidad base, que es en lo que está el stock.
+    const items = await convertLinesToBase(prisma, rawItems)
+    const totalItems = items.reduce((acc, it) => acc + Number(it.qty || 0), 0)
+
+    let webhooksQueued = 0
     const created = await prismaTransaction.$transaction(async (tx) => {
       let cashSessionIdForSale = null
       const isAdmin = String(user.role?.name || user.role_name || '').toLowerCase() === 'admin'
@@ -440,6 +493,9 @@ exports.create = async (req, res, next) => {
           price_promotion: true,
           promotion_valid_until: true,
           available_for_sale: true,
+          has_variants: true,
+          tracks_serials: true,
+          is_gift_card: true,
           // Para congelar el costo en la línea de venta.
           cost: true,
         },
@@ -455,11 +511,14 @@ exports.create = async (req, res, next) => {
           throw err
         }
 
+        if (p.has_variants) throw parentProductError(p.name)
         if (!p.available_for_sale) {
           const err = new Error(`Producto no disponible para la venta: ${p.name}`)
           err.status = 400
           throw err
         }
+        // La tarjeta de regalo no tiene existencia: se emite al venderla.
+        if (p.is_gift_card) continue
 
         // Omitir validación de stock si fue autorizado por administrador
         if (adminAuthorizedSet.has(pid)) {
@@ -480,6 +539,9 @@ exports.create = async (req, res, next) => {
           throw err
         }
       }
+      // Con número de serie el cajero escanea cuál unidad se lleva el cliente:
+      // la garantía y la devolución se validan contra ese serial.
+      const { byLine: serialsPerLine, byProduct: serialsToSell } = serialsByLine(items, prodMap)
 
       if (customerContactId) {
         const cust = await tx.supplier.findFirst({
@@ -500,16 +562,29 @@ exports.create = async (req, res, next) => {
       const priceNow = new Date()
       const resolvedItems = items.map((it) => {
         const p = prodMap.get(String(it.product_id))
-        const unit = resolveUnitPriceFromProduct(p, priceTier, priceNow)
+        const unit = lineBasePrice(resolveUnitPriceFromProduct(p, priceTier, priceNow), it, priceTier)
         return { ...it, price: unit }
       })
       const subtotal = resolvedItems.reduce(
         (acc, it) => acc + Number(it.price || 0) * Number(it.qty || 0),
         0
       )
+      // Líneas que quedan bajo el costo (precio de nivel, de promoción o de
+      // presentación): solo con visto bueno de un supervisor, una por producto
+      // y precio.
+      const belowCost = []
+      for (const it of resolvedItems) {
+        const p = prodMap.get(String(it.product_id))
+        if (p?.cost == null || Number(it.price) >= Number(p.cost)) continue
+        const bound = { product_id: String(it.product_id), price: Math.round(Number(it.price) * 100) / 100 }
+        if (!belowCost.some((b) => b.bound.product_id === bound.product_id && b.bound.price === bound.price)) {
+          belowCost.push({ name: p.name, bound })
+        }
+      }
 
       // 2) Procesar códigos de promoción
       let discountTotal = 0
+      let discountExcess = null
       /** Fila por promo aplicada con descuento > 0 (para sale_promotions + incremento de usos) */
       let promotionRowsToRecord = []
 
@@ -643,10 +718,33 @@ exports.create = async (req, res, next) => {
           err.status = 400
           throw err
         }
+        discountExcess = discountLimitExceeded(user, discountTotal, subtotal)
       }
 
+      // Canje de puntos: descuento sobre lo que queda después de las promociones.
+      let loyaltyQuote = null
+      if (loyaltyPointsRedeem != null && loyaltyPointsRedeem !== '' && Number(loyaltyPointsRedeem) !== 0) {
+        loyaltyQuote = await quoteRedemption(tx, {
+          companyId: req.companyId,
+          customerContactId,
+          points: Number(loyaltyPointsRedeem),
+          maxValue: Math.max(0, subtotal - discountTotal),
+        })
+      }
+      const loyaltyDiscount = loyaltyQuote?.value || 0
+
       // Calcular total final
-      const total = Math.max(0, subtotal - discountTotal)
+      const total = Math.max(0, subtotal - discountTotal - loyaltyDiscount)
+
+      // Medios de pago: se validan contra el total que calculó el servidor, no
+      // contra el que haya mostrado el POS.
+      const cobro = await resolveTenders(tx, {
+        payments,
+        payment_method_id: saleData.payment_method_id,
+        amount_received: saleData.amount_received,
+        change: saleData.change,
+        stored_value_code: saleData.stored_value_code,
+      }, total)
 
       // Nueva venta se registra directamente como Completada (sin estados Pagado/Pendiente)
       const completadaStatus = await tx.saleStatus.findFirst({ where: { name: 'Completada' } })
@@ -670,6 +768,16 @@ exports.create = async (req, res, next) => {
       console.log('[SALE DATE] Guatemala local time:', nowGt.toFormat('yyyy-MM-dd HH:mm:ss'));
       console.log('[SALE DATE] Will be stored in DB as:', DateTime.fromJSDate(saleDate).toUTC().toFormat('yyyy-MM-dd HH:mm:ss'));
 
+      // Lo cobrado con el medio Crédito queda a cuenta del cliente: límite,
+      // término y vencimiento se resuelven acá.
+      const credito = await resolveCreditTerms(tx, {
+        customerContactId,
+        creditAmount: cobro.creditAmount,
+        saleDate,
+        paymentTermId: saleData.payment_term_id,
+        dueDate: saleData.due_date,
+      })
+
       const nextRef = await nextDocumentReference(tx, 'V', branch)
 
       const sale = await tx.sale.create({
@@ -678,9 +786,9 @@ exports.create = async (req, res, next) => {
           customer: saleData.customer,
           customer_nit: saleData.customer_nit,
           is_final_consumer: saleData.is_final_consumer,
-          payment_method_id: saleData.payment_method_id,
-          amount_received: saleData.amount_received,
-          change: saleData.change,
+          payment_method_id: cobro.primaryMethodId,
+          amount_received: cobro.amountReceived,
+          change: cobro.change,
           customer_contact_id: customerContactId || undefined,
           sales_channel: salesChannel,
           reference: nextRef,
@@ -688,7 +796,9 @@ exports.create = async (req, res, next) => {
           sold_at: saleDate,  // Establecer sold_at explícitamente en hora de Guatemala
           items: totalItems,
           subtotal,
-          discount_total: discountTotal > 0 ? discountTotal : null,
+          discount_total: discountTotal + loyaltyDiscount > 0 ? discountTotal + loyaltyDiscount : null,
+          loyalty_points_redeemed: loyaltyQuote?.points || 0,
+          loyalty_discount: loyaltyDiscount,
           total,
           total_returned: 0,  // Nueva venta sin devoluciones
           adjusted_total: total,  // Total ajustado = total (sin devoluciones aún)
@@ -696,25 +806,79 @@ exports.create = async (req, res, next) => {
           created_by: user.sub,
           cash_register_session_id: cashSessionIdForSale || undefined,
           idempotency_key: idempotencyKey,
+          ...credito,
         },
       })
 
+      // Las autorizaciones se gastan aquí, ya con la venta a la que quedan
+      // enlazadas; cada una sirve solo para la línea o el carrito que aprobó el
+      // supervisor.
+      const overrideCtx = { companyId: req.companyId, link: { sale_id: sale.id } }
+      for (const line of belowCost) {
+        await requireOverride(tx, user, overrideTokens, {
+          ...overrideCtx,
+          action: 'PRICE_BELOW_COST',
+          bound: line.bound,
+          message: `Precio bajo el costo en ${line.name}: requiere autorización de un supervisor`,
+        })
+      }
+      if (discountExcess) {
+        await requireOverride(tx, user, overrideTokens, {
+          ...overrideCtx,
+          action: 'DISCOUNT_OVER_LIMIT',
+          // `items` ya está en unidad base, como lo aprueba /auth/overrides
+          bound: { discount: Math.round(discountTotal * 100) / 100, cart_hash: cartHash(items) },
+          message: `${discountExcess}: requiere autorización de un supervisor`,
+        })
+      }
+
+      // Lo pagado con saldo a favor o tarjeta baja de su cuenta antes de
+      // guardar el cobro, que queda enlazado a la cuenta que pagó.
+      const storedValueByTender = await redeemTenders(tx, cobro.storedValue, {
+        companyId: req.companyId, customerContactId, saleId: sale.id, branchId, userId: user.sub,
+      })
+      await tx.salePayment.createMany({
+        data: cobro.tenders.map((t, idx) => ({
+          sale_id: sale.id,
+          ...t,
+          stored_value_account_id: storedValueByTender.get(idx) ?? null,
+        })),
+      })
+
       await tx.saleItem.createMany({
         // El costo se congela acá: es el de hoy, no el que tenga el producto
         // cuando alguien contabilice o mire el reporte dentro de seis meses.
-        data: resolvedItems.map(it => ({
+        data: resolvedItems.map((it, idx) => ({
           sale_id: sale.id,
           product_id: it.product_id,
           price: it.price,
-          unit_cost: prodMap.get(String(it.product_id))?.cost ?? null,
+          unit_cost: prodMap.get(String(it.product_id))?.is_gift_card ? 0 : prodMap.get(String(it.product_id))?.cost ?? null,
           qty: it.qty,
+          ...lineUnitData(it),
+          serials: serialsPerLine[idx],
         })),
       })
 
-      // Descontar stock (kits → componentes)
+      // Una tarjeta por unidad vendida de producto tarjeta, con su código.
+      const giftCardIds = new Set(products.filter((p) => p.is_gift_card).map((p) => String(p.id)))
+      await issueSaleGiftCards(tx, resolvedItems, giftCardIds, {
+        companyId: req.companyId, saleId: sale.id, branchId, userId: user.sub,
+      })
+
+      // Puntos: bajan los canjeados y se acreditan los que gana la venta.
+      const loyaltyCtx = { companyId: req.companyId, saleId: sale.id, branchId, userId: user.sub }
+      if (loyaltyQuote) await redeemForSale(tx, loyaltyQuote, loyaltyCtx)
+      await accrueSale(tx, sale, resolvedItems.map((it) => {
+        const p = prodMap.get(String(it.product_id))
+        return { category_id: p?.category_id, qty: it.qty, price: it.price, is_gift_card: p?.is_gift_card }
+      }), loyaltyCtx)
+
+      // Descontar stock (kits → componentes); la tarjeta no pasa por el kardex.
       const stockMap = await expandLinesToStockMap(
         tx,
-        resolvedItems.map((it) => ({ product_id: it.product_id, qty: it.qty }))
+        resolvedItems
+          .filter((it) => !giftCardIds.has(String(it.product_id)))
+          .map((it) => ({ product_id: it.product_id, qty: it.qty }))
       )
       // groupId propio: una venta puede descontar stock más de una vez a lo largo
       // de su vida (completar → cancelar → completar), y los lotes solo deben
@@ -727,6 +891,12 @@ exports.create = async (req, res, next) => {
       // Advisory: descuenta lotes por caducidad, dentro de la ubicación que despachó.
       await consumeLotsFEFO(tx, stockMap, branchId, await dispatchedByRef(tx, { groupId: saleStockCtx.groupId }))
       await ensureStockAlertsBatch(tx, updatedProducts, branchId)
+      await moveSerialsByProduct(tx, serialsToSell, prodMap, {
+        companyId: req.companyId,
+        from: { statuses: SELLABLE, branchId },
+        to: { status: 'SOLD', branch_id: null, sale_id: sale.id },
+        event: 'SOLD', branchId, refType: 'sale', refId: String(sale.id), userId: user.sub,
+      })
 
       // 3) Guardar promociones con descuento efectivo e incrementar solo esos códigos
       if (promotionRowsToRecord.length > 0) {
@@ -762,18 +932,26 @@ exports.create = async (req, res, next) => {
         }
       }
 
+      const saleDetail = await tx.sale.findUnique({ where: { id: sale.id }, include: SALE_DETAIL_INCLUDE })
+      webhooksQueued = await emitWebhook(tx, req.companyId, 'sale.created', saleWebhookData(saleDetail))
+
       return sale
     }, {
       timeout: 20000,
       maxWait: 10000
     })
+    if (webhooksQueued > 0) requestWebhookDispatch()
+
+    // FEL: con la venta ya guardada. Si el certificador falla la venta sigue
+    // en pie y el DTE queda con error para reintentarlo.
+    await autoCertifySale(prisma, created.id, req.companyId)
 
     const fullSale = await prisma.sale.findFirst({
       where: { id: created.id },
       include: SALE_DETAIL_INCLUDE
     })
 
-    res.status(201).json(fullSale || created)
+    res.status(201).json(redactCost(req.user, fullSale || created))
   } catch (e) {
     // Dos envíos a la vez con la misma clave: uno gana el índice único y el
     // otro devuelve la venta que quedó, no un error al cajero.
@@ -786,7 +964,7 @@ exports.create = async (req, res, next) => {
             include: SALE_DETAIL_INCLUDE,
           })
         : null
-      if (yaExiste) return res.status(200).json(yaExiste)
+      if (yaExiste) return res.status(200).json(redactCost(req.user, yaExiste))
     }
     if (e && e.message === 'CASH_SESSION_REQUIRED') {
       return res.status(403).json({
@@ -800,16 +978,18 @@ exports.create = async (req, res, next) => {
         message: 'No hay caja configurada. Ejecute migraciones y seed.'
       })
     }
+    const overrideBody = overrideErrorBody(e)
+    if (overrideBody) return res.status(e.status).json(overrideBody)
     next(e)
   }
 }
 
-// PATCH /sales/:id/status  { status_name?: string, status_id?: number }
+// PATCH /sales/:id/status  { status_name?: string, status_id?: number, override_token?: string }
 
 exports.updateStatus = async (req, res, next) => {
   try {
     const { id } = req.params
-    const { status_name, status_id } = req.body || {}
+    const { status_name, status_id, override_token: overrideToken } = req.body || {}
 
     if (!id) return res.status(400).json({ message: 'id requerido' })
     if (!status_name && !status_id) {
@@ -827,6 +1007,7 @@ exports.updateStatus = async (req, res, next) => {
 
     const where = saleWhereIdOrReference(id)
 
+    let webhooksQueued = 0
     // Usar limitador de concurrencia para evitar sobrecarga
     const result = await salesOperationLimiter.run(async () => {
       return await prismaTransaction.$transaction(async (tx) => {
@@ -837,7 +1018,12 @@ exports.updateStatus = async (req, res, next) => {
           // vista, cancelar devolvía la venta completa y duplicaba lo devuelto.
           include: {
             status: true,
-            sale_items: { include: { return_items: { select: { qty_returned: true } } } },
+            sale_items: {
+              include: {
+                return_items: { select: { qty_returned: true } },
+                product: { select: { is_gift_card: true } },
+              },
+            },
             cashRegisterSession: { select: { status: true } },
           },
         })
@@ -869,13 +1055,42 @@ exports.updateStatus = async (req, res, next) => {
         const willBeCompleted = newStatusName === 'Completada'
         const willBeCancelled = newStatusName === 'Cancelada'
 
+        // Anular: quien tiene sales.cancel (o pos.override) lo hace directo; el
+        // cajero que entra solo con sales.create, con su token para esta venta
+        if (willBeCancelled && prevStatusName !== 'Cancelada' && !userHasPerm(req.user, 'sales.cancel')) {
+          await requireOverride(tx, req.user, overrideToken, {
+            action: 'SALE_CANCEL',
+            targetId: current.id,
+            companyId: req.companyId,
+            link: { sale_id: current.id },
+          })
+        }
+
         // Transición: otro -> Completada => descontar stock
         if (!wasCompleted && willBeCompleted) {
           console.log(`[STOCK ADJUSTMENT] Venta ${id}: ${prevStatusName} -> Completada. Descontando stock...`)
 
+          // Al anularse devolvió los saldos que cobró y anuló sus tarjetas;
+          // volver a cobrarlos por detrás del cajero no es completar.
+          const saldos = await tx.storedValueMovement.count({ where: { sale_id: current.id } })
+          if (saldos > 0) {
+            const err = new Error('La venta movió saldos a favor o tarjetas de regalo; regístrela de nuevo en lugar de completarla')
+            err.status = 409
+            throw err
+          }
+          // Igual con los puntos: ya se revirtieron los ganados y volvieron los canjeados.
+          const puntos = await tx.loyaltyMovement.count({ where: { sale_id: current.id } })
+          if (puntos > 0) {
+            const err = new Error('La venta movió puntos del cliente; regístrela de nuevo en lugar de completarla')
+            err.status = 409
+            throw err
+          }
+
           const stockMap = await expandLinesToStockMap(
             tx,
-            current.sale_items.map((si) => ({ product_id: si.product_id, qty: si.qty }))
+            current.sale_items
+              .filter((si) => !si.product?.is_gift_card)
+              .map((si) => ({ product_id: si.product_id, qty: si.qty }))
           )
           const stockCtx = {
             reason: 'SALE', refType: 'sale', refId: String(id), userId: req.user?.sub || null,
@@ -884,6 +1099,16 @@ exports.updateStatus = async (req, res, next) => {
           const updatedProducts = await deductStockMap(tx, stockMap, saleBranchId, stockCtx)
           // Advisory: descuenta lotes por caducidad, dentro de la ubicación que despachó.
           await consumeLotsFEFO(tx, stockMap, saleBranchId, await dispatchedByRef(tx, { groupId: stockCtx.groupId }))
+          // Las mismas unidades vuelven a salir; si alguna ya se vendió en otra
+          // venta, no se puede completar.
+          for (const si of current.sale_items) {
+            await moveSerials(tx, {
+              companyId: req.companyId, productId: si.product_id, serials: si.serials || [],
+              from: { statuses: SELLABLE, branchId: saleBranchId },
+              to: { status: 'SOLD', branch_id: null, sale_id: current.id },
+              event: 'SOLD', branchId: saleBranchId, refType: 'sale', refId: String(current.id), userId: req.user?.sub || null,
+            })
+          }
 
           updatedProducts.forEach(p => {
             console.log(`[STOCK ADJUSTMENT] ${p.name}: nuevo stock = ${p.stock}`)
@@ -894,6 +1119,17 @@ exports.updateStatus = async (req, res, next) => {
           console.log(`[STOCK ADJUSTMENT] Alertas de stock actualizadas`)
         }
 
+        // Los abonos de una venta al crédito son dinero que ya entró: anularla
+        // por encima los dejaría colgando de una venta que no cuenta.
+        if (wasCompleted && willBeCancelled) {
+          const abonos = await tx.customerPaymentEntry.count({ where: { sale_id: current.id } })
+          if (abonos > 0) {
+            const err = new Error('La venta tiene abonos del cliente registrados; elimínelos antes de anularla')
+            err.status = 409
+            throw err
+          }
+        }
+
         // Transición: Completada -> Cancelada => REVERTIR todos los ajustes de stock
         if (wasCompleted && willBeCancelled) {
           console.log(`[STOCK REVERT] Venta ${id}: Completada -> Cancelada. Revirtiendo ajustes de stock...`)
@@ -901,6 +1137,7 @@ exports.updateStatus = async (req, res, next) => {
           // Solo se devuelve lo que el cliente todavía tiene: lo ya devuelto
           // volvió al inventario cuando se aprobó la devolución.
           const porDevolver = current.sale_items
+            .filter((si) => !si.product?.is_gift_card)
             .map((si) => {
               const devuelto = (si.return_items || []).reduce((n, r) => n + Number(r.qty_returned || 0), 0)
               return { product_id: si.product_id, qty: Math.max(0, Number(si.qty) - devuelto) }
@@ -911,6 +1148,11 @@ exports.updateStatus = async (req, res, next) => {
             reason: 'SALE_RETURN', refType: 'sale', refId: String(id), userId: req.user?.sub || null,
           })
           await restoreLotsFEFO(tx, stockMap, saleBranchId) // advisory: devuelve cantidad a los lotes
+          await releaseSaleSerials(tx, { sale: current, userId: req.user?.sub || null })
+          // Lo cobrado con saldo vuelve a su cuenta y las tarjetas vendidas se anulan.
+          await reverseSale(tx, current.id, { branchId: saleBranchId, userId: req.user?.sub || null })
+          // Se quitan los puntos que ganó y vuelven los que canjeó.
+          await reverseSalePoints(tx, current.id, { branchId: saleBranchId, userId: req.user?.sub || null })
 
           updatedProducts.forEach(p => {
             console.log(`[STOCK REVERT] ${p.name}: stock restaurado = ${p.stock}`)
@@ -928,6 +1170,14 @@ exports.updateStatus = async (req, res, next) => {
           include: { payment_method: true, status: true }
         })
 
+        if (willBeCancelled && prevStatusName !== 'Cancelada') {
+          const cancelled = await tx.sale.findUnique({ where: { id: current.id }, include: SALE_DETAIL_INCLUDE })
+          webhooksQueued = await emitWebhook(tx, req.companyId, 'sale.cancelled', {
+            ...saleWebhookData(cancelled),
+            previous_status: prevStatusName,
+          })
+        }
+
         // Determinar tipo de ajuste realizado
         let stockAdjustment = 'none'
         if (!wasCompleted && willBeCompleted) {
@@ -946,7 +1196,22 @@ exports.updateStatus = async (req, res, next) => {
         timeout: 15000, // Aumentar el timeout a 15 segundos
       })
     }) // Cierre del salesOperationLimiter.run
+    if (webhooksQueued > 0) requestWebhookDispatch()
+
+    // Anular una venta ya facturada exige su nota de crédito por lo que la
+    // factura todavía no tenga acreditado.
+    if (result._stockAdjustment === 'stock_reverted') {
+      const note = await afterCommit(`nota de crédito por anulación ${result.id}`, () =>
+        issueCreditNote(prisma, { saleId: result.id, companyId: req.companyId })
+      )
+      if (note) result._dte = publicDte(note)
+    }
+
 
     res.json(result)
-  } catch (e) { next(e) }
+  } catch (e) {
+    const overrideBody = overrideErrorBody(e)
+    if (overrideBody) return res.status(e.status).json(overrideBody)
+    next(e)
+  }
 }
@@ -0,0 +1,136 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Consulta de números de serie: listado para elegir unidades en el punto de
+ * venta / traslados, y la ficha de un serial con toda su historia (garantía).
+ * Solo lectura; los movimientos los hacen los documentos con services/serials.
+ */
+
+const { prisma } = require('../models/prisma')
+const { SELLABLE } = require('../services/serials')
+
+const STATUSES = ['IN_STOCK', 'SOLD', 'RETURNED', 'IN_TRANSIT', 'WRITTEN_OFF']
+
+const SERIAL_INCLUDE = {
+  product: { select: { id: true, name: true, barcode: true, brand: true } },
+  branch: { select: { id: true, name: true, code: true } },
+}
+
+/** Referencia legible del documento de cada evento (venta, traslado). */
+async function eventReferences(events) {
+  const ids = (type) => [...new Set(events.filter((e) => e.ref_type === type && e.ref_id).map((e) => e.ref_id))]
+  const saleIds = ids('sale')
+  const transferIds = ids('transfer')
+  const [sales, transfers] = await Promise.all([
+    saleIds.length ? prisma.sale.findMany({ where: { id: { in: saleIds } }, select: { id: true, reference: true } }) : [],
+    transferIds.length
+      ? prisma.stockTransfer.findMany({ where: { id: { in: transferIds } }, select: { id: true, reference: true } })
+      : [],
+  ])
+  return new Map([...sales, ...transfers].map((d) => [d.id, d.reference]))
+}
+
+// GET /api/serials?product_id=&status=&available=true&q=&page=&pageSize=
+// available=true: las que se pueden vender o enviar desde la sucursal activa.
+exports.list = async (req, res, next) => {
+  try {
+    const q = req.query || {}
+    const page = Math.max(1, Number(q.page ?? 1))
+    const pageSize = Math.min(200, Math.max(1, Number(q.pageSize ?? 50)))
+
+    const where = { company_id: req.companyId }
+    if (q.product_id) where.product_id = String(q.product_id)
+    if (q.available === 'true') {
+      if (!req.branchId) return res.status(400).json({ message: 'Selecciona una sucursal' })
+      where.status = { in: SELLABLE }
+      where.branch_id = req.branchId
+    } else {
+      if (q.status) {
+        const status = String(q.status).toUpperCase()
+        if (!STATUSES.includes(status)) {
+          return res.status(400).json({ message: `status inválido (${STATUSES.join(', ')})` })
+        }
+        where.status = status
+      }
+      if (q.branch_id) where.branch_id = String(q.branch_id)
+    }
+    if (q.q) where.serial = { contains: String(q.q).trim(), mode: 'insensitive' }
+
+    const totalItems = await prisma.productSerial.count({ where })
+    const totalPages = Math.max(1, Math.ceil(totalItems / pageSize))
+    const safePage = Math.min(page, totalPages)
+    const items = await prisma.productSerial.findMany({
+      where,
+      include: SERIAL_INCLUDE,
+      orderBy: [{ received_at: 'asc' }, { serial: 'asc' }],
+      skip: (safePage - 1) * pageSize,
+      take: pageSize,
+    })
+
+    res.json({
+      items,
+      page: safePage,
+      pageSize,
+      totalPages,
+      totalItems,
+      nextPage: safePage < totalPages ? safePage + 1 : null,
+      prevPage: safePage > 1 ? safePage - 1 : null,
+    })
+  } catch (e) { next(e) }
+}
+
+// GET /api/serials/:serial — el mismo serial puede existir en dos productos
+// (marcas distintas), así que devuelve todas las coincidencias con su historia.
+exports.lookup = async (req, res, next) => {
+  try {
+    const serial = String(req.params.serial || '').trim()
+    if (!serial) return res.status(400).json({ message: 'serial requerido' })
+    const where = { company_id: req.companyId, serial }
+    if (req.query.product_id) where.product_id = String(req.query.product_id)
+
+    const rows = await prisma.productSerial.findMany({
+      where,
+      include: {
+        ...SERIAL_INCLUDE,
+        sale: {
+          select: {
+            id: true, reference: true, date: true, customer: true, customer_nit: true,
+            branch: { select: { id: true, name: true, code: true } },
+          },
+        },
+        transfer: { select: { id: true, reference: true, status: true, from_branch_id: true, to_branch_id: true } },
+        events: {
+          orderBy: [{ created_at: 'asc' }, { id: 'asc' }],
+          include: { createdBy: { select: { id: true, name: true } } },
+        },
+      },
+    })
+    if (rows.length === 0) return res.status(404).json({ message: 'Serial no encontrado' })
+
+    const branchIds = [...new Set(rows.flatMap((r) => r.events.map((e) => e.branch_id)).filter(Boolean))]
+    const [references, branches] = await Promise.all([
+      eventReferences(rows.flatMap((r) => r.events)),
+      prisma.branch.findMany({ where: { id: { in: branchIds } }, select: { id: true, name: true, code: true } }),
+    ])
+    const branchById = new Map(branches.map((b) => [b.id, b]))
+
+    res.json({
+      items: rows.map((r) => ({
+        ...r,
+        events: r.events.map((e) => ({
+          ...e,
+          branch: e.branch_id ? branchById.get(e.branch_id) || null : null,
+          ref_reference: e.ref_id ? references.get(e.ref_id) || null : null,
+        })),
+      })),
+    })
+  } catch (e) { next(e) }
+}
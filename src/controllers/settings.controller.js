@@ -17,6 +17,8 @@ const {
   removePublicObject,
   COMPANY_LOGO_BUCKET,
 } = require('../services/supabaseStorage')
+const { availableDteProviders } = require('../services/dte/providers')
+const { recordAudit } = require('../services/auditLog')
 
 /**
  * GET /api/settings
@@ -173,6 +175,14 @@ exports.uploadLogo = async (req, res, next) => {
     }
 
     await prisma.company.update({ where: { id: req.companyId }, data: { logo_url: imageUrl } })
+    await recordAudit(prisma, req, {
+      entity: 'settings',
+      entityId: req.companyId,
+      action: 'update',
+      before: { company_logo_url: prevUrl || '' },
+      after: { company_logo_url: imageUrl },
+      branchId: null,
+    })
     invalidateSystemConfigCache(req.companyId)
     res.json({ imageUrl, company_logo_url: imageUrl })
   } catch (e) {
@@ -207,6 +217,14 @@ exports.removeLogo = async (req, res, next) => {
     }
 
     await prisma.company.update({ where: { id: req.companyId }, data: { logo_url: null } })
+    await recordAudit(prisma, req, {
+      entity: 'settings',
+      entityId: req.companyId,
+      action: 'update',
+      before: { company_logo_url: prevUrl || '' },
+      after: { company_logo_url: '' },
+      branchId: null,
+    })
     invalidateSystemConfigCache(req.companyId)
     res.json({ company_logo_url: '' })
   } catch (e) {
@@ -303,6 +321,31 @@ exports.update = async (req, res, next) => {
         }
       }
     }
+    // Programa de puntos: valor de un punto al canjearlo (0 = sin canje) y mínimo por canje.
+    if (payload.loyalty_point_value !== undefined) {
+      const n = Number(payload.loyalty_point_value)
+      if (!Number.isFinite(n) || n < 0) {
+        return res.status(400).json({ message: 'loyalty_point_value debe ser un número ≥ 0' })
+      }
+    }
+    if (payload.loyalty_min_redeem !== undefined) {
+      const n = Number(payload.loyalty_min_redeem)
+      if (!Number.isInteger(n) || n < 1) {
+        return res.status(400).json({ message: 'loyalty_min_redeem debe ser un entero ≥ 1' })
+      }
+    }
+
+    if (payload.fel_provider !== undefined) {
+      payload.fel_provider = String(payload.fel_provider || '').trim().toUpperCase()
+      // MOCK certifica de mentira: en producción solo con DTE_ALLOW_MOCK
+      const providers = availableDteProviders()
+      if (payload.fel_provider && !providers.includes(payload.fel_provider)) {
+        return res.status(400).json({ message: `fel_provider debe ser uno de: ${providers.join(', ')} (vacío = sin FEL)` })
+      }
+    }
+    if (payload.fel_auto_certify !== undefined && !['true', 'false'].includes(String(payload.fel_auto_certify))) {
+      return res.status(400).json({ message: 'fel_auto_certify debe ser true o false' })
+    }
 
     const allowedKeys = new Set([
       'currency_code',
@@ -319,6 +362,8 @@ exports.update = async (req, res, next) => {
       'company_postal_code',
       'establishment_code',
       'vat_affiliation',
+      'fel_provider',
+      'fel_auto_certify',
       'iva_rate',
       'pequeno_rate',
       'date_format',
@@ -327,8 +372,19 @@ exports.update = async (req, res, next) => {
       'quote_validity_days',
       'order_validity_days',
       'quote_soft_hold_hours',
+      'loyalty_point_value',
+      'loyalty_min_redeem',
     ])
 
+    const touched = Object.keys(payload).filter((key) => allowedKeys.has(key))
+    const previous = await prisma.systemSetting.findMany({
+      where: { company_id: req.companyId, key: { in: touched } },
+      select: { key: true, value: true },
+    })
+    const before = Object.fromEntries(touched.map((key) => [key, null]))
+    for (const row of previous) before[row.key] = row.value
+    const after = {}
+
     for (const [key, value] of Object.entries(payload)) {
       if (!allowedKeys.has(key)) continue
       const valueStr = typeof value === 'object' ? JSON.stringify(value) : String(value)
@@ -338,7 +394,9 @@ exports.update = async (req, res, next) => {
         update: { value: valueStr, type },
         create: { company_id: req.companyId, key, value: valueStr, type }
       })
+      after[key] = valueStr
     }
+    await recordAudit(prisma, req, { entity: 'settings', entityId: req.companyId, action: 'update', before, after, branchId: null })
 
     // La identidad de la empresa vive en dos lados: la fila Company (selector,
     // traslados, contabilidad) y estas claves (PDFs, membretes). Se espejan para
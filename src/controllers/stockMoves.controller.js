@@ -20,6 +20,7 @@ const { requireBranch } = require('../middlewares/tenant')
 const { moveBetweenLocations, replenishmentSuggestions } = require('../services/stockLocations')
 const { deductStockMap, restoreStockMap } = require('../services/bomStock')
 const { ensureStockAlertsBatch } = require('../services/stockAlerts')
+const { convertLinesToBase } = require('../services/units')
 
 // El pooler de Supabase excede los 5s por defecto en conexiones frías.
 const TX_OPTIONS = { maxWait: 10000, timeout: 20000 }
@@ -68,13 +69,17 @@ exports.createMove = async (req, res, next) => {
   try {
     const branchId = requireBranch(req)
     const { from_location_id, to_location_id, lines, notes } = req.body || {}
+    // Con unit_id/unit la cantidad va en esa unidad (2 CAJA); el movimiento, en base.
+    const baseLines = Array.isArray(lines)
+      ? await convertLinesToBase(prisma, lines.filter((l) => l?.product_id && Number(l.qty || 0) > 0))
+      : lines
 
     const groupId = await prismaTransaction.$transaction(
       (tx) => moveBetweenLocations(tx, {
         branchId,
         fromLocationId: from_location_id,
         toLocationId: to_location_id,
-        lines,
+        lines: baseLines,
         userId: req.user?.sub || null,
         notes: notes ? String(notes).trim().slice(0, 300) : null,
       }),
@@ -97,9 +102,13 @@ exports.createAdjustment = async (req, res, next) => {
     const { location_id, lines, notes } = req.body || {}
     if (!location_id) return res.status(400).json({ message: 'location_id es obligatorio' })
 
-    const rows = (lines || [])
-      .map((l) => ({ product_id: String(l.product_id || ''), qty: Math.floor(Number(l.qty || 0)) }))
-      .filter((l) => l.product_id && l.qty !== 0)
+    // La diferencia puede capturarse en otra unidad (−1 CAJA); se convierte
+    // sin signo y el signo se le devuelve.
+    const input = (Array.isArray(lines) ? lines : []).filter((l) => l?.product_id && Number(l.qty || 0) !== 0)
+    const base = await convertLinesToBase(prisma, input.map((l) => ({ ...l, qty: Math.abs(Number(l.qty)) })))
+    const rows = base
+      .map((l, i) => ({ product_id: String(l.product_id), qty: Math.sign(Number(input[i].qty)) * Math.floor(Number(l.qty)) }))
+      .filter((l) => l.qty !== 0)
     if (rows.length === 0) {
       return res.status(400).json({ message: 'Indica al menos un producto con una diferencia distinta de 0' })
     }
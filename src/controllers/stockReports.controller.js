@@ -10,7 +10,9 @@
 
 /**
  * Reportes de almacenes y ubicaciones: existencias, kardex, movimientos
- * internos, reposición sugerida y ocupación. Todos salen en PDF y CSV con el
+ * internos, reposición sugerida, mínimos por demanda, clasificación ABC/XYZ y
+ * ocupación, inventario sin movimiento y devoluciones por motivo y destino.
+ * Todos salen en PDF, CSV y XLSX con el
  * mismo papel que el resto (`emit`), así que cada reporte de aquí es solo su
  * consulta y sus columnas.
  */
@@ -20,9 +22,17 @@ const { DateTime } = require('luxon')
 const { prisma } = require('../models/prisma')
 const { getBrandingForPdf } = require('../utils/pdfBranding')
 const { replenishmentSuggestions } = require('../services/stockLocations')
+const { forecastOptions } = require('../services/demandForecast')
+const { loadForecastRows } = require('./demandForecast.controller')
+const { loadClassifications } = require('./inventoryClassification.controller')
+const { loadDeadStock } = require('./deadStock.controller')
+const { deadStockOptions, summarizeDeadStock } = require('../services/deadStock')
+const { DISPOSITIONS, DISPOSITION_LABELS, NO_REASON, summarizeReturns } = require('../services/returnDisposition')
+const { ABC_CLASSES, XYZ_CLASSES, classificationMatrix } = require('../services/inventoryClassification')
+const { hidesCost } = require('../services/roleRestrictions')
 const {
   reportScope, scopeBranchIds, periodRange, number, makeMoney,
-  newDoc, header, footer, sectionTitle, drawTable, drawSummaryCards, sendCsv,
+  newDoc, header, footer, sectionTitle, drawTable, drawSummaryCards, sendCsv, sendXlsx,
 } = require('./reports.controller')
 
 const ZONE = 'America/Guatemala'
@@ -46,8 +56,8 @@ function locationFilter(req) {
 }
 
 /**
- * Manda el reporte en el formato pedido. Un solo lugar decide PDF o CSV: los
- * reportes solo describen qué se ve.
+ * Manda el reporte en el formato pedido. Un solo lugar decide PDF, CSV o XLSX:
+ * los reportes solo describen qué se ve.
  * @param {{title, filename, periodLabel, summary, sections}} report
  *   summary: [{ label, value }] — sale como tarjetas en PDF y como metadatos en CSV
  *   sections: [{ title, columns, rows, widths, align }]
@@ -55,9 +65,20 @@ function locationFilter(req) {
 async function emit(req, res, report, branding) {
   branding = branding || await getBrandingForPdf(prisma, req.companyId)
   const scope = await reportScope(req)
-  const wantsCsv = ['csv', 'excel'].includes(String(req.query.format || 'pdf').toLowerCase())
+  const format = String(req.query.format || 'pdf').toLowerCase()
 
-  if (wantsCsv) {
+  if (format === 'xlsx') {
+    sendXlsx(res, report.filename, [
+      report.title.toUpperCase(),
+      `Empresa,${branding.company_name}`,
+      `Periodo,${report.periodLabel}`,
+      `Sucursal,${scope.label}`,
+      `Generado,${now()}`,
+      ...report.summary.map((c) => `${c.label},${c.value}`),
+    ], report.sections)
+    return
+  }
+  if (['csv', 'excel'].includes(format)) {
     sendCsv(res, report.filename, [
       report.title.toUpperCase(),
       `Periodo,${report.periodLabel}`,
@@ -153,7 +174,8 @@ const REASON_ES = {
   ORDER_FULFILL: 'Pedido', TRANSFER_OUT: 'Traslado enviado', TRANSFER_IN: 'Traslado recibido',
   TRANSFER_CANCEL: 'Traslado cancelado', INTERNAL_MOVE: 'Movimiento interno',
   COUNT_ADJUST: 'Ajuste por conteo', MANUAL_ADJUST: 'Ajuste manual',
-  KIT_ASSEMBLE: 'Kit armado', KIT_DISASSEMBLE: 'Kit desarmado',
+  KIT_ASSEMBLE: 'Kit armado', KIT_DISASSEMBLE: 'Kit desarmado', RETURN_SCRAP: 'Baja por devolución',
+  TRANSFER_RETURN: 'Diferencia de traslado devuelta',
 }
 
 /** Movimientos del alcance en el período, del más viejo al más nuevo. */
@@ -270,6 +292,7 @@ async function replenishmentReport(req, res, next) {
     // consolidado se recorren todas las del alcance.
     const rows = (await Promise.all(ids.map((id) => replenishmentSuggestions(prisma, id)))).flat()
     const conOrigen = rows.filter((r) => r.from_location_id)
+    const sinOrigen = rows.filter((r) => !r.from_location_id)
 
     await emit(req, res, {
       title: 'Reposición Interna Sugerida',
@@ -278,11 +301,12 @@ async function replenishmentReport(req, res, next) {
       summary: [
         { label: 'Ubicaciones bajo mínimo', value: String(rows.length) },
         { label: 'Se pueden reponer moviendo', value: String(conOrigen.length) },
-        { label: 'Hay que comprar', value: String(rows.length - conOrigen.length) },
+        { label: 'Hay que comprar', value: String(sinOrigen.length) },
+        { label: 'De esas, ya en orden de compra', value: String(sinOrigen.filter((r) => r.on_order > 0).length) },
       ],
       sections: [{
         title: 'Sugerencias',
-        columns: ['Producto', 'Ubicación', 'Hay', 'Mínimo', 'Falta', 'Traer de', 'Disponible', 'Mover'],
+        columns: ['Producto', 'Ubicación', 'Hay', 'Mínimo', 'Falta', 'Traer de', 'Disponible', 'Mover', 'En pedido'],
         rows: rows.map((r) => [
           r.product_name,
           `${r.warehouse_name} · ${r.location_code}`,
@@ -290,14 +314,273 @@ async function replenishmentReport(req, res, next) {
           r.from_location_code ? `${r.from_warehouse_name} · ${r.from_location_code}` : 'Sin existencia en otra ubicación',
           r.from_stock != null ? String(r.from_stock) : '—',
           r.suggested_qty ? String(r.suggested_qty) : '—',
+          r.on_order ? String(r.on_order) : '—',
+        ]),
+        widths: [100, 85, 30, 40, 35, 100, 55, 40, 50],
+        align: ['left', 'left', 'right', 'right', 'right', 'left', 'right', 'right', 'right'],
+      }],
+    })
+  } catch (e) { next(e) }
+}
+
+const LEAD_SOURCE_ES = { supplier: 'Proveedor', observed: 'Observado', default: 'Estimado' }
+
+/**
+ * GET /api/reports/replenishment-forecast — mínimo y pedido sugeridos por la
+ * demanda (history_days, window_days, service_level, review_days,
+ * lead_time_days como en GET /api/stock/forecast).
+ */
+async function replenishmentForecastReport(req, res, next) {
+  try {
+    const options = forecastOptions(req.query)
+    const rows = await loadForecastRows(req, scopeBranchIds(req), options)
+    const aPedir = rows.filter((r) => r.suggested_order_qty > 0)
+    const consolidated = new Set(rows.map((r) => r.branch_id)).size > 1
+
+    await emit(req, res, {
+      title: 'Mínimos y Pedido Sugeridos por Demanda',
+      filename: 'minimos-por-demanda',
+      periodLabel: `Últimos ${options.historyDays} días · servicio ${Math.round(options.serviceLevel * 1000) / 10}%`,
+      summary: [
+        { label: 'Productos', value: String(rows.length) },
+        { label: 'Mínimo distinto al actual', value: String(rows.filter((r) => r.suggested_min_stock !== r.current_min_stock).length) },
+        { label: 'Hay que pedir', value: String(aPedir.length) },
+        { label: 'Unidades a pedir', value: String(aPedir.reduce((s, r) => s + r.suggested_order_qty, 0)) },
+      ],
+      sections: [{
+        title: 'Sugerencias',
+        columns: ['Producto', 'Proveedor', 'Venta/día', 'Entrega', 'Hay', 'En pedido', 'Mínimo', 'Sugerido', 'Pedir', 'Cobertura'],
+        rows: rows.map((r) => [
+          consolidated ? `${r.product_name} (${r.branch_name})` : r.product_name,
+          r.supplier_name,
+          String(r.forecast_daily_demand),
+          `${r.lead_time_days} d · ${LEAD_SOURCE_ES[r.lead_time_source]}`,
+          String(r.stock), String(r.on_order),
+          String(r.current_min_stock), String(r.suggested_min_stock),
+          r.suggested_order_qty ? String(r.suggested_order_qty) : '—',
+          r.days_of_cover != null ? `${r.days_of_cover} d` : '—',
         ]),
-        widths: [110, 95, 35, 45, 40, 110, 60, 45],
-        align: ['left', 'left', 'right', 'right', 'right', 'left', 'right', 'right'],
+        widths: [100, 75, 40, 60, 30, 35, 35, 40, 35, 45],
+        align: ['left', 'left', 'right', 'left', 'right', 'right', 'right', 'right', 'right', 'right'],
       }],
     })
   } catch (e) { next(e) }
 }
 
+/**
+ * GET /api/reports/abc-xyz — la clasificación guardada: la matriz (por
+ * ingreso) y cada producto. Margen y su ABC no salen a roles que no ven costos.
+ */
+async function abcXyzReport(req, res, next) {
+  try {
+    const rows = await loadClassifications(req, scopeBranchIds(req))
+    const showCost = !hidesCost(req.user)
+    const consolidated = new Set(rows.map((r) => r.branch_id)).size > 1
+    const branding = await getBrandingForPdf(prisma, req.companyId)
+    const money = makeMoney(branding.currency_code)
+    const matrix = classificationMatrix(rows, 'revenue')
+    const first = rows[0]
+    const fmtDate = (d) => DateTime.fromJSDate(d, { zone: 'utc' }).toFormat('yyyy-LL-dd')
+
+    await emit(req, res, {
+      title: 'Clasificación ABC / XYZ',
+      filename: 'clasificacion-abc-xyz',
+      periodLabel: first ? `${fmtDate(first.period_start)} a ${fmtDate(first.period_end)}` : 'Sin clasificar',
+      summary: [
+        { label: 'Productos', value: String(rows.length) },
+        ...ABC_CLASSES.map((a) => ({ label: `Clase ${a}`, value: String(rows.filter((r) => r.abc_revenue === a).length) })),
+        { label: 'Demanda estable (X)', value: String(rows.filter((r) => r.xyz === 'X').length) },
+      ],
+      sections: [
+        {
+          title: 'Matriz por ingreso',
+          columns: ['ABC', ...XYZ_CLASSES],
+          rows: ABC_CLASSES.map((a) => [a, ...XYZ_CLASSES.map((x) => String(matrix[`${a}${x}`]))]),
+          widths: [120, 120, 120, 120],
+          align: ['left', 'right', 'right', 'right'],
+        },
+        {
+          title: 'Por producto',
+          columns: ['Producto', 'ABC ingreso', ...(showCost ? ['ABC margen'] : []), 'XYZ', 'Unidades', 'Ingreso', ...(showCost ? ['Margen'] : []), 'Variación'],
+          rows: rows.map((r) => [
+            consolidated ? `${r.product.name} (${r.branch.name})` : r.product.name,
+            r.abc_revenue,
+            ...(showCost ? [r.abc_margin] : []),
+            r.xyz,
+            String(r.units),
+            money(number(r.revenue)),
+            ...(showCost ? [money(number(r.margin))] : []),
+            r.demand_cv != null ? number(r.demand_cv).toFixed(2) : '—',
+          ]),
+          widths: showCost ? [160, 55, 55, 35, 50, 70, 70, 50] : [220, 60, 40, 60, 90, 60],
+          align: showCost
+            ? ['left', 'left', 'left', 'left', 'right', 'right', 'right', 'right']
+            : ['left', 'left', 'left', 'right', 'right', 'right'],
+        },
+      ],
+    }, branding)
+  } catch (e) { next(e) }
+}
+
+const STATUS_ES = { dead: 'Sin venta', slow: 'Lento' }
+
+/**
+ * GET /api/reports/dead-stock — inventario sin venta en `days` días y el lento
+ * (cobertura sobre `cover_days`), con la rebaja sugerida y sus lotes por
+ * antigüedad. El capital a costo no sale a roles que no ven costos.
+ */
+async function deadStockReport(req, res, next) {
+  try {
+    const options = deadStockOptions(req.query)
+    const rows = await loadDeadStock(req, scopeBranchIds(req), options)
+    const showCost = !hidesCost(req.user)
+    const consolidated = new Set(rows.map((r) => r.branch_id)).size > 1
+    const branding = await getBrandingForPdf(prisma, req.companyId)
+    const money = makeMoney(branding.currency_code)
+    const totals = summarizeDeadStock(rows)
+    const label = (r) => (consolidated ? `${r.product_name} (${r.branch_name})` : r.product_name)
+    const fmtDate = (d) => (d ? DateTime.fromJSDate(d, { zone: 'utc' }).toFormat('yyyy-LL-dd') : '—')
+
+    await emit(req, res, {
+      title: 'Inventario Sin Movimiento',
+      filename: 'inventario-sin-movimiento',
+      periodLabel: `Sin venta en ${options.days} días · lento sobre ${options.coverDays} días de cobertura`,
+      summary: [
+        { label: 'Sin venta', value: `${totals.dead.products} productos · ${totals.dead.units} u.` },
+        { label: 'Lentos', value: `${totals.slow.products} productos · ${totals.slow.units} u.` },
+        ...(showCost ? [
+          { label: 'Capital sin venta', value: money(totals.dead.capital_tied_up) },
+          { label: 'Capital en lentos', value: money(totals.slow.capital_tied_up) },
+        ] : []),
+      ],
+      sections: [
+        {
+          title: 'Productos',
+          columns: ['Producto', 'Estado', 'Días sin venta', 'Vendidas', 'Cobertura', 'Hay', ...(showCost ? ['Capital'] : []), 'Lote más viejo', 'Rebaja', 'Precio rebajado'],
+          rows: rows.map((r) => [
+            label(r),
+            STATUS_ES[r.status],
+            r.idle_days != null ? String(r.idle_days) : 'Sin registro',
+            String(r.units_sold),
+            r.days_of_cover != null ? `${r.days_of_cover} d` : '—',
+            String(r.stock),
+            ...(showCost ? [money(r.capital_tied_up)] : []),
+            r.oldest_lot_age_days != null ? `${r.oldest_lot_age_days} d` : '—',
+            r.suggested_markdown_pct ? `${r.suggested_markdown_pct}%` : '—',
+            r.suggested_markdown_pct ? money(r.markdown_price) : '—',
+          ]),
+          widths: showCost ? [120, 45, 45, 40, 45, 30, 55, 45, 35, 55] : [150, 50, 50, 45, 50, 35, 50, 40, 60],
+          align: showCost
+            ? ['left', 'left', 'right', 'right', 'right', 'right', 'right', 'right', 'right', 'right']
+            : ['left', 'left', 'right', 'right', 'right', 'right', 'right', 'right', 'right'],
+        },
+        {
+          title: 'Lotes',
+          columns: ['Producto', 'Lote', 'Recibido', 'Antigüedad', 'Saldo', 'Vence'],
+          rows: rows.flatMap((r) => r.lots.map((l) => [
+            label(r), l.lot_code || '—',
+            DateTime.fromJSDate(l.received_at).setZone(ZONE).toFormat('yyyy-LL-dd'),
+            `${l.age_days} d`, String(l.qty_remaining), fmtDate(l.expiry_date),
+          ])),
+          widths: [170, 80, 70, 60, 50, 70],
+          align: ['left', 'left', 'left', 'right', 'right', 'left'],
+        },
+      ],
+    }, branding)
+  } catch (e) { next(e) }
+}
+
+/**
+ * GET /api/reports/returns-by-reason — líneas devueltas (devoluciones aprobadas
+ * o completadas del período) por motivo y por destino. El costo de lo que se
+ * dio de baja no sale a roles que no ven costos.
+ */
+async function returnsByReasonReport(req, res, next) {
+  try {
+    const { period = 'month', year, month, quarter, semester } = req.query
+    const { startUtc, endUtc, label } = periodRange(period, year, { month, quarter, semester })
+    const items = await prisma.returnItem.findMany({
+      where: {
+        return: {
+          return_date: { gte: startUtc, lte: endUtc },
+          status: { name: { in: ['Aprobada', 'Completada'] } },
+          sale: { branch_id: { in: scopeBranchIds(req) } },
+        },
+      },
+      select: {
+        qty_returned: true, refund_amount: true, reason: true, disposition: true,
+        sale_item: { select: { unit_cost: true } },
+        product: { select: { name: true, cost: true } },
+        location: { select: { code: true } },
+        return: { select: { return_date: true, reason: true, sale: { select: { reference: true } } } },
+      },
+      orderBy: { return: { return_date: 'asc' } },
+    })
+    const showCost = !hidesCost(req.user)
+    const branding = await getBrandingForPdf(prisma, req.companyId)
+    const money = makeMoney(branding.currency_code)
+    const lines = items.map((i) => ({
+      ...i,
+      reason: i.reason || i.return.reason,
+      qty: i.qty_returned,
+      refund: number(i.refund_amount),
+      cost: i.qty_returned * number(i.sale_item?.unit_cost ?? i.product.cost),
+    }))
+    const { by_reason: byReason, by_disposition: byDisposition } = summarizeReturns(lines)
+    const scrap = byDisposition.find((d) => d.disposition === 'SCRAP')
+
+    await emit(req, res, {
+      title: 'Devoluciones por Motivo y Destino',
+      filename: 'devoluciones-motivo-destino',
+      periodLabel: label,
+      summary: [
+        { label: 'Líneas devueltas', value: String(lines.length) },
+        { label: 'Unidades', value: String(lines.reduce((s, l) => s + l.qty, 0)) },
+        { label: 'Reembolsado', value: money(lines.reduce((s, l) => s + l.refund, 0)) },
+        ...(showCost ? [{ label: 'Costo dado de baja', value: money(scrap.cost) }] : []),
+      ],
+      sections: [
+        {
+          title: 'Por motivo',
+          columns: ['Motivo', 'Líneas', 'Unidades', ...DISPOSITIONS.map((d) => DISPOSITION_LABELS[d]), 'Reembolso'],
+          rows: byReason.map((r) => [
+            r.reason, String(r.lines), String(r.units),
+            ...DISPOSITIONS.map((d) => String(r.units_by_disposition[d])),
+            money(r.refund),
+          ]),
+          widths: [150, 45, 55, 70, 65, 50, 75],
+          align: ['left', 'right', 'right', 'right', 'right', 'right', 'right'],
+        },
+        {
+          title: 'Por destino',
+          columns: ['Destino', 'Líneas', 'Unidades', 'Reembolso', ...(showCost ? ['Costo'] : [])],
+          rows: byDisposition.map((d) => [
+            DISPOSITION_LABELS[d.disposition], String(d.lines), String(d.units), money(d.refund),
+            ...(showCost ? [money(d.cost)] : []),
+          ]),
+          widths: showCost ? [150, 70, 80, 100, 100] : [180, 80, 90, 150],
+          align: showCost ? ['left', 'right', 'right', 'right', 'right'] : ['left', 'right', 'right', 'right'],
+        },
+        {
+          title: 'Detalle',
+          columns: ['Fecha', 'Venta', 'Producto', 'Motivo', 'Destino', 'Unidades', 'Reembolso'],
+          rows: lines.map((l) => [
+            DateTime.fromJSDate(l.return.return_date, { zone: 'utc' }).toFormat('yyyy-LL-dd'),
+            l.return.sale?.reference || '—',
+            l.product.name,
+            l.reason || NO_REASON,
+            l.location ? `${DISPOSITION_LABELS[l.disposition]} · ${l.location.code}` : DISPOSITION_LABELS[l.disposition],
+            String(l.qty),
+            money(l.refund),
+          ]),
+          widths: [60, 60, 130, 95, 85, 45, 60],
+          align: ['left', 'left', 'left', 'left', 'left', 'right', 'right'],
+        },
+      ],
+    }, branding)
+  } catch (e) { next(e) }
+}
+
 /** GET /api/reports/occupancy — qué anaquel está vacío, cuál lleno y cuál con un solo SKU. */
 async function occupancyReport(req, res, next) {
   try {
@@ -357,5 +640,10 @@ module.exports = {
   kardexReport,
   internalMovesReport,
   replenishmentReport,
+  replenishmentForecastReport,
+  abcXyzReport,
+  deadStockReport,
+  returnsByReasonReport,
   occupancyReport,
+  emit,
 }
@@ -0,0 +1,202 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Saldos a favor y tarjetas de regalo: listado, consulta por código para el
+ * punto de venta, ficha con su historia de saldo y el reporte de pasivo.
+ * Solo lectura; los saldos se mueven desde ventas y devoluciones
+ * (services/storedValueLedger).
+ */
+
+const { DateTime } = require('luxon')
+const { prisma } = require('../models/prisma')
+const { getBrandingForPdf } = require('../utils/pdfBranding')
+const {
+  KINDS, KIND_LABELS, MOVEMENT_LABELS, normalizeCode, isExpired, summarizeLiability, summarizeMovements,
+} = require('../services/storedValue')
+const { periodRange, makeMoney } = require('./reports.controller')
+const { emit } = require('./stockReports.controller')
+
+const ZONE = 'America/Guatemala'
+const STATUSES = ['active', 'expired', 'inactive']
+
+const ACCOUNT_INCLUDE = {
+  customerContact: { select: { id: true, name: true, tax_id: true } },
+}
+
+/** Estado que ve el cajero: anulada/agotada, vencida o vigente. */
+function withStatus(account, now = new Date()) {
+  let status = 'active'
+  if (!account.active) status = 'inactive'
+  else if (isExpired(account, now)) status = 'expired'
+  return { ...account, status }
+}
+
+// GET /api/stored-value?kind=&customer_contact_id=&q=&status=&page=&pageSize=
+exports.list = async (req, res, next) => {
+  try {
+    const q = req.query || {}
+    const page = Math.max(1, Number(q.page ?? 1))
+    const pageSize = Math.min(200, Math.max(1, Number(q.pageSize ?? 50)))
+    const now = new Date()
+
+    const where = { company_id: req.companyId }
+    if (q.kind) {
+      const kind = String(q.kind).toUpperCase()
+      if (!KINDS.includes(kind)) return res.status(400).json({ message: `kind inválido (${KINDS.join(', ')})` })
+      where.kind = kind
+    }
+    if (q.customer_contact_id) where.customer_contact_id = String(q.customer_contact_id)
+    if (q.q) where.code = { contains: String(q.q).toUpperCase().replace(/[^A-Z0-9]/g, '') }
+    if (q.status) {
+      const status = String(q.status).toLowerCase()
+      if (!STATUSES.includes(status)) return res.status(400).json({ message: `status inválido (${STATUSES.join(', ')})` })
+      if (status === 'inactive') where.active = false
+      else {
+        where.active = true
+        where.AND = [status === 'expired'
+          ? { expires_at: { lt: now } }
+          : { OR: [{ expires_at: null }, { expires_at: { gte: now } }] }]
+      }
+    }
+
+    const totalItems = await prisma.storedValueAccount.count({ where })
+    const totalPages = Math.max(1, Math.ceil(totalItems / pageSize))
+    const safePage = Math.min(page, totalPages)
+    const items = await prisma.storedValueAccount.findMany({
+      where,
+      include: ACCOUNT_INCLUDE,
+      orderBy: { created_at: 'desc' },
+      skip: (safePage - 1) * pageSize,
+      take: pageSize,
+    })
+
+    res.json({
+      items: items.map((a) => withStatus(a, now)),
+      page: safePage,
+      pageSize,
+      totalPages,
+      totalItems,
+      nextPage: safePage < totalPages ? safePage + 1 : null,
+      prevPage: safePage > 1 ? safePage - 1 : null,
+    })
+  } catch (e) { next(e) }
+}
+
+// GET /api/stored-value/code/:code — el POS consulta el saldo antes de cobrar.
+exports.lookup = async (req, res, next) => {
+  try {
+    const code = normalizeCode(req.params.code)
+    const account = await prisma.storedValueAccount.findUnique({
+      where: { company_id_code: { company_id: req.companyId, code } },
+      include: ACCOUNT_INCLUDE,
+    })
+    if (!account) return res.status(404).json({ message: 'Tarjeta no encontrada' })
+    res.json(withStatus(account))
+  } catch (e) { next(e) }
+}
+
+// GET /api/stored-value/:id — ficha con su historia de saldo.
+exports.getById = async (req, res, next) => {
+  try {
+    const account = await prisma.storedValueAccount.findFirst({
+      where: { id: String(req.params.id), company_id: req.companyId },
+      include: {
+        ...ACCOUNT_INCLUDE,
+        movements: {
+          include: {
+            sale: { select: { id: true, reference: true } },
+            return: { select: { id: true, return_date: true } },
+          },
+          orderBy: { created_at: 'asc' },
+        },
+      },
+    })
+    if (!account) return res.status(404).json({ message: 'Saldo no encontrado' })
+    res.json(withStatus(account))
+  } catch (e) { next(e) }
+}
+
+/**
+ * GET /api/reports/stored-value-liability — lo que se debe hoy en saldos a
+ * favor y tarjetas (por tipo, antigüedad y lo que vence en 30 días) y cómo se
+ * movió en el período. Debe cuadrar con la cuenta `storedValue` del mayor.
+ */
+exports.liabilityReport = async (req, res, next) => {
+  try {
+    const { period = 'month', year, month, quarter, semester } = req.query
+    const { startUtc, endUtc, label } = periodRange(period, year, { month, quarter, semester })
+    const now = new Date()
+    const [accounts, movements] = await Promise.all([
+      prisma.storedValueAccount.findMany({
+        where: { company_id: req.companyId, active: true, balance: { gt: 0 } },
+        select: {
+          code: true, kind: true, balance: true, created_at: true, expires_at: true,
+          customerContact: { select: { name: true } },
+        },
+        orderBy: [{ expires_at: { sort: 'asc', nulls: 'last' } }, { created_at: 'asc' }],
+      }),
+      prisma.storedValueMovement.findMany({
+        where: { account: { company_id: req.companyId }, created_at: { gte: startUtc, lte: endUtc } },
+        select: { type: true, amount: true, account: { select: { kind: true } } },
+      }),
+    ])
+    const liability = summarizeLiability(accounts, { now })
+    const branding = await getBrandingForPdf(prisma, req.companyId)
+    const money = makeMoney(branding.currency_code)
+    const fecha = (d) => (d ? DateTime.fromJSDate(d).setZone(ZONE).toFormat('yyyy-LL-dd') : '—')
+
+    await emit(req, res, {
+      title: 'Pasivo por Saldos a Favor y Tarjetas de Regalo',
+      filename: 'pasivo-saldos-tarjetas',
+      periodLabel: label,
+      summary: [
+        { label: 'Pasivo vigente', value: money(liability.total) },
+        ...liability.by_kind.map((k) => ({ label: KIND_LABELS[k.kind], value: money(k.balance) })),
+        { label: 'Vence en 30 días', value: money(liability.expiring_soon.balance) },
+      ],
+      sections: [
+        {
+          title: 'Por tipo',
+          columns: ['Tipo', 'Cuentas', 'Saldo'],
+          rows: liability.by_kind.map((k) => [KIND_LABELS[k.kind], String(k.accounts), money(k.balance)]),
+          widths: [240, 100, 150],
+          align: ['left', 'right', 'right'],
+        },
+        {
+          title: 'Antigüedad',
+          columns: ['Desde la emisión', 'Cuentas', 'Saldo'],
+          rows: liability.aging.map((b) => [b.label, String(b.accounts), money(b.balance)]),
+          widths: [240, 100, 150],
+          align: ['left', 'right', 'right'],
+        },
+        {
+          title: 'Movimientos del período',
+          columns: ['Tipo', 'Movimiento', 'Cantidad', 'Monto'],
+          rows: summarizeMovements(movements).map((m) => [
+            KIND_LABELS[m.kind], MOVEMENT_LABELS[m.type], String(m.count), money(m.amount),
+          ]),
+          widths: [150, 130, 80, 130],
+          align: ['left', 'left', 'right', 'right'],
+        },
+        {
+          title: 'Saldos vigentes',
+          columns: ['Código', 'Tipo', 'Cliente', 'Emitida', 'Vence', 'Saldo'],
+          rows: accounts.map((a) => [
+            a.code, KIND_LABELS[a.kind], a.customerContact?.name || '—',
+            fecha(a.created_at), fecha(a.expires_at), money(a.balance),
+          ]),
+          widths: [85, 85, 130, 65, 65, 70],
+          align: ['left', 'left', 'left', 'left', 'left', 'right'],
+        },
+      ],
+    }, branding)
+  } catch (e) { next(e) }
+}
@@ -11,6 +11,7 @@
 const { prisma } = require('../models/prisma')
 const { DateTime } = require('luxon')
 const { getTimezone } = require('../utils/getTimezone')
+const { recordAudit } = require('../services/auditLog')
 const {
   assertPartyAction,
   listablePartyTypes,
@@ -25,6 +26,31 @@ function normalizeTaxId(raw) {
   return s.length ? s : null
 }
 
+/**
+ * Límite de crédito de un cliente: null/'' lo quita (no se le vende al crédito).
+ * @returns {{ ok: true, value: number|null|undefined } | { ok: false, message: string }}
+ */
+function parseCreditLimit(raw) {
+  if (raw === undefined) return { ok: true, value: undefined }
+  if (raw === null || raw === '') return { ok: true, value: null }
+  const n = Number(raw)
+  if (!Number.isFinite(n) || n < 0) return { ok: false, message: 'credit_limit debe ser un número >= 0' }
+  return { ok: true, value: Math.round(n * 100) / 100 }
+}
+
+/**
+ * Días de entrega del proveedor (pronóstico de demanda): null/'' lo quita y se
+ * usa el observado en sus órdenes.
+ * @returns {{ ok: true, value: number|null|undefined } | { ok: false, message: string }}
+ */
+function parseLeadTime(raw) {
+  if (raw === undefined) return { ok: true, value: undefined }
+  if (raw === null || raw === '') return { ok: true, value: null }
+  const n = Number(raw)
+  if (!Number.isInteger(n) || n < 1 || n > 180) return { ok: false, message: 'lead_time_days debe ser un entero entre 1 y 180' }
+  return { ok: true, value: n }
+}
+
 /** @returns {'PERSON'|'ORGANIZATION'} */
 function normalizeEntityKind(raw) {
   if (raw === undefined || raw === null || raw === '') return 'ORGANIZATION'
@@ -269,8 +295,17 @@ exports.create = async (req, res, next) => {
     if (data.tax_id !== undefined) {
       createData.tax_id = normalizeTaxId(data.tax_id)
     }
+    if (partyType === PARTY.CUSTOMER) {
+      const limit = parseCreditLimit(data.credit_limit)
+      if (!limit.ok) return res.status(400).json({ message: limit.message })
+      if (limit.value !== undefined) createData.credit_limit = limit.value
+    }
 
     if (partyType === PARTY.SUPPLIER) {
+      const lead = parseLeadTime(data.lead_time_days)
+      if (!lead.ok) return res.status(400).json({ message: lead.message })
+      if (lead.value !== undefined) createData.lead_time_days = lead.value
+
       const rawCategoryIds = Array.isArray(data.category_ids)
         ? data.category_ids
         : (data.category_id != null ? [data.category_id] : [])
@@ -310,6 +345,7 @@ exports.create = async (req, res, next) => {
         supplier_payment_terms: { include: { payment_term: true }, orderBy: { sort_order: 'asc' } },
       },
     })
+    await recordAudit(prisma, req, { entity: 'supplier', entityId: created.id, action: 'create', after: created })
     res.status(201).json(shapeSupplierResponse(created))
   } catch (e) { next(e) }
 }
@@ -472,6 +508,16 @@ exports.update = async (req, res, next) => {
         updateData.default_price_tier = t
       }
     }
+    if (existing.party_type === PARTY.CUSTOMER && data.credit_limit !== undefined) {
+      const limit = parseCreditLimit(data.credit_limit)
+      if (!limit.ok) return res.status(400).json({ message: limit.message })
+      updateData.credit_limit = limit.value
+    }
+    if (effectiveParty === PARTY.SUPPLIER && data.lead_time_days !== undefined) {
+      const lead = parseLeadTime(data.lead_time_days)
+      if (!lead.ok) return res.status(400).json({ message: lead.message })
+      updateData.lead_time_days = lead.value
+    }
 
     const updated = await prisma.supplier.update({
       where: { id: req.params.id },
@@ -480,6 +526,7 @@ exports.update = async (req, res, next) => {
         supplier_payment_terms: { include: { payment_term: true }, orderBy: { sort_order: 'asc' } },
       },
     })
+    await recordAudit(prisma, req, { entity: 'supplier', entityId: updated.id, action: 'update', before: existing, after: updated })
     res.json(shapeSupplierResponse(updated))
   } catch (e) { next(e) }
 }
@@ -506,7 +553,8 @@ exports.remove = async (req, res, next) => {
       nowGt.millisecond
     ))
 
-    await prisma.supplier.update({ where: { id: req.params.id }, data: { deleted: true, deleted_at: dateAsUtcWithGtClock } })
+    const archived = await prisma.supplier.update({ where: { id: req.params.id }, data: { deleted: true, deleted_at: dateAsUtcWithGtClock } })
+    await recordAudit(prisma, req, { entity: 'supplier', entityId: row.id, action: 'delete', before: row, after: archived })
     res.json({ ok: true })
   } catch (e) { next(e) }
 }
@@ -586,11 +634,26 @@ exports.replaceCustomerPriceRules = async (req, res, next) => {
       })
     }
 
+    // Los ids se regeneran en cada reemplazo: la bitácora compara las reglas, no las filas.
+    // La regla del nivel de puntos no se toca: la maneja el programa (services/loyaltyLedger).
+    const ruleView = (r) => ({ channel: r.channel, price_tier: r.price_tier, priority: r.priority, active: r.active })
     await prisma.$transaction(async (trx) => {
-      await trx.customerPriceRule.deleteMany({ where: { supplier_id: row.id } })
+      const previous = await trx.customerPriceRule.findMany({
+        where: { supplier_id: row.id, loyalty_tier_id: null },
+        orderBy: [{ priority: 'desc' }, { created_at: 'asc' }],
+      })
+      await trx.customerPriceRule.deleteMany({ where: { supplier_id: row.id, loyalty_tier_id: null } })
       if (rows.length > 0) {
         await trx.customerPriceRule.createMany({ data: rows })
       }
+      await recordAudit(trx, req, {
+        entity: 'customer_price_rule',
+        entityId: row.id,
+        action: 'replace',
+        before: { rules: previous.map(ruleView) },
+        after: { rules: [...rows].sort((a, b) => b.priority - a.priority).map(ruleView) },
+        keepNested: true,
+      })
     })
 
     const updated = await prisma.customerPriceRule.findMany({
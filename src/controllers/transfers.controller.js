@@ -12,16 +12,35 @@
  * Traslados de mercancía entre sucursales de la misma empresa, en dos pasos:
  * envío (resta en origen) → recepción (suma en destino). Lo enviado y no
  * recibido queda registrado como faltante de tránsito y se resuelve por conteo.
+ *
+ * La sucursal que necesita mercancía también puede pedirla: solicitud
+ * (SOLICITADA) → el origen aprueba ajustando cantidades (APROBADA) o rechaza →
+ * despacho (EN_TRANSITO) y de ahí sigue como un envío directo. Hasta el
+ * despacho no se mueve stock (services/transferRequests).
+ *
+ * Lo que al recibir no cuadra (dañado, faltante, de más) queda como diferencia
+ * en disputa hasta que alguien la resuelve (services/transferDiscrepancies).
  */
 
 const { prisma, prismaTransaction } = require('../models/prisma')
 const { requireBranch } = require('../middlewares/tenant')
 const { nextDocumentReference } = require('../services/referenceGenerator')
 const { deductStockMap, restoreStockMap, expandLinesToStockMap } = require('../services/bomStock')
-const { assertLinesAvailable } = require('../services/stockAvailability')
+const { assertLinesAvailable, getAvailabilityBatch } = require('../services/stockAvailability')
 const { ensureStockAlertsBatch } = require('../services/stockAlerts')
+const { emitWebhook, requestWebhookDispatch } = require('../services/webhooks')
 const { consumeLotsFEFO, recreateLotsFromSnapshot } = require('../services/lots')
 const { assertBranchLocations, dispatchedByRef, defaultLocationId } = require('../services/stockLocations')
+const { openDisputes } = require('../services/inTransit')
+const { SELLABLE, normalizeSerials, serialsByLine, moveSerials, moveSerialsByProduct } = require('../services/serials')
+const {
+  REQUEST_STATUSES, assertTransition, aggregateItems, approvedLines, withOriginAvailability,
+} = require('../services/transferRequests')
+const {
+  DISPUTE_REASONS, REASONS, receiptOutcome, splitLots, parseResolution,
+} = require('../services/transferDiscrepancies')
+const { userHasPerm } = require('../utils/contactsPermissions')
+const { recordAudit } = require('../services/auditLog')
 
 // El pooler de Supabase excede los 5s por defecto en conexiones frías: sin esto
 // el envío fallaba "a veces" y funcionaba al reintentar (conexión ya caliente).
@@ -32,9 +51,24 @@ const TRANSFER_INCLUDE = {
   toBranch: { select: { id: true, name: true, code: true } },
   createdBy: { select: { id: true, name: true } },
   receivedBy: { select: { id: true, name: true } },
+  approvedBy: { select: { id: true, name: true } },
   lines: {
-    include: { product: { select: { id: true, name: true, barcode: true } } },
+    include: { product: { select: { id: true, name: true, barcode: true, tracks_serials: true } } },
+  },
+  discrepancies: { orderBy: { created_at: 'asc' } },
+}
+
+const DISCREPANCY_INCLUDE = {
+  transfer: {
+    select: {
+      id: true, reference: true, from_branch_id: true, to_branch_id: true, sent_at: true, received_at: true,
+      fromBranch: { select: { id: true, name: true, code: true } },
+      toBranch: { select: { id: true, name: true, code: true } },
+    },
   },
+  product: { select: { id: true, name: true, barcode: true } },
+  createdBy: { select: { id: true, name: true } },
+  resolvedBy: { select: { id: true, name: true } },
 }
 
 /**
@@ -94,6 +128,101 @@ exports.getById = async (req, res, next) => {
   } catch (e) { next(e) }
 }
 
+function httpError(status, message) {
+  const err = new Error(message)
+  err.status = status
+  return err
+}
+
+/** La otra sucursal del traslado: de la empresa y activa (400 si no). */
+async function assertActiveBranch(tx, companyId, branchId, label) {
+  const branch = await tx.branch.findFirst({
+    where: { id: branchId, company_id: companyId, active: true },
+    select: { id: true },
+  })
+  if (!branch) throw httpError(400, `La sucursal ${label} no existe en esta empresa o está inactiva`)
+}
+
+/**
+ * Productos que se pueden trasladar: de la empresa y con stock propio.
+ * @returns {Promise<Map<string, object>>} por id
+ */
+async function loadTransferProducts(tx, companyId, productIds) {
+  const products = await tx.product.findMany({
+    where: { id: { in: productIds }, deleted: false, company_id: companyId },
+    select: { id: true, name: true, kind: true, stock_assembled: true, tracks_serials: true },
+  })
+  if (products.length !== productIds.length) {
+    throw httpError(400, 'Uno o más productos no existen en esta empresa')
+  }
+  // Un kit virtual no tiene stock propio que trasladar: se trasladan sus componentes
+  const virtualKit = products.find((p) => p.kind === 'KIT' && !p.stock_assembled)
+  if (virtualKit) {
+    throw httpError(400,
+      `"${virtualKit.name}" es un kit sin stock propio; arma unidades antes de trasladarlo o traslada sus componentes`)
+  }
+  return new Map(products.map((p) => [String(p.id), p]))
+}
+
+/** Referencia T-… de la sucursal origen (el consecutivo es del que envía). */
+async function transferReference(tx, fromBranchId) {
+  const branch = await tx.branch.findUnique({
+    where: { id: fromBranchId },
+    select: { id: true, code: true, seq: true },
+  })
+  return nextDocumentReference(tx, 'T', branch)
+}
+
+/**
+ * Saca del origen lo que viaja: stock, seriales a IN_TRANSIT y lotes FEFO
+ * guardados en cada línea. Lo comparten el envío directo y el despacho de una
+ * solicitud aprobada.
+ * @param {{ id, from_branch_id, lines: Array<{ id, product_id }> }} transfer
+ * @param {Array<{ product_id, qty }>} lines cantidades a enviar (> 0)
+ */
+async function dispatchFromOrigin(tx, req, transfer, lines, serialsToSend, productsById) {
+  const fromBranchId = transfer.from_branch_id
+  // Sale del origen ahora; entra al destino al recibir
+  const stockMap = await expandLinesToStockMap(tx, lines)
+  const updated = await deductStockMap(tx, stockMap, fromBranchId, {
+    reason: 'TRANSFER_OUT', refType: 'transfer', refId: String(transfer.id), userId: req.user.sub,
+  })
+  await ensureStockAlertsBatch(tx, updated, fromBranchId)
+  await moveSerialsByProduct(tx, serialsToSend, productsById, {
+    companyId: req.companyId,
+    from: { statuses: SELLABLE, branchId: fromBranchId },
+    to: { status: 'IN_TRANSIT', branch_id: null, transfer_id: transfer.id },
+    event: 'TRANSFER_SENT', branchId: fromBranchId, refType: 'transfer', refId: String(transfer.id), userId: req.user.sub,
+  })
+
+  // Los lotes viajan con la mercancía: salen del origen (FEFO dentro de la
+  // ubicación que despachó, según quedó en el libro) y se guardan en la
+  // línea para recrearlos en el destino al recibir.
+  const dispatched = await dispatchedByRef(tx, {
+    refType: 'transfer', refId: String(transfer.id), reason: 'TRANSFER_OUT',
+  })
+  const lotsByProduct = await consumeLotsFEFO(tx, stockMap, fromBranchId, dispatched)
+  for (const line of transfer.lines) {
+    const snapshot = lotsByProduct.get(String(line.product_id))
+    if (snapshot?.length) {
+      await tx.stockTransferLine.update({
+        where: { id: line.id },
+        data: { lots_snapshot: snapshot },
+      })
+    }
+  }
+}
+
+/** Traslado de la empresa con sus líneas, o 404. */
+async function findTransfer(tx, req) {
+  const transfer = await tx.stockTransfer.findFirst({
+    where: { id: req.params.id, fromBranch: { company_id: req.companyId } },
+    include: { lines: true },
+  })
+  if (!transfer) throw httpError(404, 'Traslado no encontrado')
+  return transfer
+}
+
 /**
  * POST /api/transfers
  * body { to_branch_id, items: [{ product_id, qty }], notes? }
@@ -113,55 +242,19 @@ exports.create = async (req, res, next) => {
     }
 
     // Agregar cantidades por producto (líneas repetidas del mismo producto)
-    const qtyByProduct = new Map()
-    for (const it of items) {
-      const pid = String(it.product_id || '')
-      const qty = Number(it.qty || 0)
-      if (!pid || !Number.isInteger(qty) || qty <= 0) {
-        return res.status(400).json({ message: 'Cada item debe tener product_id y qty entero > 0' })
-      }
-      qtyByProduct.set(pid, (qtyByProduct.get(pid) || 0) + qty)
-    }
-    const productIds = [...qtyByProduct.keys()]
+    const lines = aggregateItems(items)
+    const productIds = lines.map((l) => l.product_id)
 
     const created = await prismaTransaction.$transaction(async (tx) => {
-      const toBranch = await tx.branch.findFirst({
-        where: { id: toBranchId, company_id: req.companyId, active: true },
-        select: { id: true },
-      })
-      if (!toBranch) {
-        const err = new Error('La sucursal destino no existe en esta empresa o está inactiva')
-        err.status = 400
-        throw err
-      }
+      await assertActiveBranch(tx, req.companyId, toBranchId, 'destino')
+      const productsById = await loadTransferProducts(tx, req.companyId, productIds)
 
-      const products = await tx.product.findMany({
-        where: { id: { in: productIds }, deleted: false, company_id: req.companyId },
-        select: { id: true, name: true, kind: true, stock_assembled: true },
-      })
-      if (products.length !== productIds.length) {
-        const err = new Error('Uno o más productos no existen en esta empresa')
-        err.status = 400
-        throw err
-      }
-      // Un kit virtual no tiene stock propio que trasladar: se trasladan sus componentes
-      const virtualKit = products.find((p) => p.kind === 'KIT' && !p.stock_assembled)
-      if (virtualKit) {
-        const err = new Error(
-          `"${virtualKit.name}" es un kit sin stock propio; arma unidades antes de trasladarlo o traslada sus componentes`
-        )
-        err.status = 400
-        throw err
-      }
+      // Con número de serie viajan unidades concretas: cada línea dice cuáles.
+      const { byProduct: serialsToSend } = serialsByLine(items, productsById)
 
-      const lines = productIds.map((pid) => ({ product_id: pid, qty: qtyByProduct.get(pid) }))
       await assertLinesAvailable(tx, lines, { branchId: fromBranchId })
 
-      const branch = await tx.branch.findUnique({
-        where: { id: fromBranchId },
-        select: { id: true, code: true, seq: true },
-      })
-      const reference = await nextDocumentReference(tx, 'T', branch)
+      const reference = await transferReference(tx, fromBranchId)
 
       const transfer = await tx.stockTransfer.create({
         data: {
@@ -171,55 +264,249 @@ exports.create = async (req, res, next) => {
           created_by: req.user.sub,
           notes: notes != null ? String(notes).trim() || null : null,
           lines: {
-            create: lines.map((l) => ({ product_id: l.product_id, qty_sent: l.qty })),
+            create: lines.map((l) => ({
+              product_id: l.product_id,
+              qty_sent: l.qty,
+              serials: serialsToSend.get(l.product_id) || [],
+            })),
           },
         },
         include: TRANSFER_INCLUDE,
       })
 
-      // Sale del origen ahora; entra al destino al recibir
-      const stockMap = await expandLinesToStockMap(tx, lines)
-      const updated = await deductStockMap(tx, stockMap, fromBranchId, {
-        reason: 'TRANSFER_OUT', refType: 'transfer', refId: String(transfer.id), userId: req.user.sub,
+      await dispatchFromOrigin(tx, req, transfer, lines, serialsToSend, productsById)
+
+      return transfer
+    }, TX_OPTIONS)
+
+    res.status(201).json(created)
+  } catch (e) { next(e) }
+}
+
+/**
+ * POST /api/transfers/requests
+ * body { from_branch_id, items: [{ product_id, qty }], notes? }
+ * La sucursal activa (destino) pide mercancía a otra. No mueve stock: queda
+ * SOLICITADA hasta que el origen la apruebe o la rechace.
+ */
+exports.createRequest = async (req, res, next) => {
+  try {
+    const { from_branch_id: fromBranchId, items, notes } = req.body || {}
+    if (!fromBranchId) return res.status(400).json({ message: 'from_branch_id es requerido' })
+    const lines = aggregateItems(items)
+
+    const toBranchId = requireBranch(req)
+    if (fromBranchId === toBranchId) {
+      return res.status(400).json({ message: 'El origen debe ser una sucursal distinta' })
+    }
+
+    const created = await prismaTransaction.$transaction(async (tx) => {
+      await assertActiveBranch(tx, req.companyId, fromBranchId, 'origen')
+      await loadTransferProducts(tx, req.companyId, lines.map((l) => l.product_id))
+      const reference = await transferReference(tx, fromBranchId)
+
+      return tx.stockTransfer.create({
+        data: {
+          reference,
+          from_branch_id: fromBranchId,
+          to_branch_id: toBranchId,
+          status: 'SOLICITADA',
+          created_by: req.user.sub,
+          requested_at: new Date(),
+          notes: notes != null ? String(notes).trim() || null : null,
+          lines: {
+            create: lines.map((l) => ({ product_id: l.product_id, qty_requested: l.qty, qty_sent: l.qty })),
+          },
+        },
+        include: TRANSFER_INCLUDE,
       })
-      await ensureStockAlertsBatch(tx, updated, fromBranchId)
+    }, TX_OPTIONS)
 
-      // Los lotes viajan con la mercancía: salen del origen (FEFO dentro de la
-      // ubicación que despachó, según quedó en el libro) y se guardan en la
-      // línea para recrearlos en el destino al recibir.
-      const dispatched = await dispatchedByRef(tx, {
-        refType: 'transfer', refId: String(transfer.id), reason: 'TRANSFER_OUT',
+    res.status(201).json(created)
+  } catch (e) { next(e) }
+}
+
+/**
+ * GET /api/transfers/requests/pending?direction=in|out
+ * Solicitudes por atender de la sucursal activa: `in` las que pidió, `out` las
+ * que le piden (por aprobar o por despachar). Cada línea trae lo disponible
+ * hoy en el origen y cuánto falta.
+ */
+exports.pendingRequests = async (req, res, next) => {
+  try {
+    const { direction = 'all' } = req.query || {}
+    const where = { status: { in: REQUEST_STATUSES } }
+    if (req.branchId) {
+      if (direction === 'in') where.to_branch_id = req.branchId
+      else if (direction === 'out') where.from_branch_id = req.branchId
+      else where.OR = [{ from_branch_id: req.branchId }, { to_branch_id: req.branchId }]
+    } else {
+      where.fromBranch = { company_id: req.companyId }
+    }
+
+    const transfers = await prisma.stockTransfer.findMany({
+      where,
+      include: TRANSFER_INCLUDE,
+      orderBy: { requested_at: 'asc' },
+    })
+
+    const productsByBranch = new Map()
+    for (const t of transfers) {
+      const ids = productsByBranch.get(t.from_branch_id) || new Set()
+      for (const l of t.lines) ids.add(l.product_id)
+      productsByBranch.set(t.from_branch_id, ids)
+    }
+    const availabilityByBranch = new Map()
+    for (const [branchId, ids] of productsByBranch) {
+      availabilityByBranch.set(String(branchId), await getAvailabilityBatch([...ids], prisma, { branchId }))
+    }
+
+    res.json({ items: withOriginAvailability(transfers, availabilityByBranch) })
+  } catch (e) { next(e) }
+}
+
+/**
+ * POST /api/transfers/:id/approve
+ * body { lines?: [{ line_id, qty }] }
+ * El origen aprueba la solicitud, opcionalmente ajustando cantidades (0 deja
+ * la línea fuera). Lo aprobado tiene que estar disponible hoy en el origen;
+ * no se reserva: se vuelve a validar al despachar.
+ */
+exports.approve = async (req, res, next) => {
+  try {
+    const branchId = requireBranch(req)
+
+    const result = await prismaTransaction.$transaction(async (tx) => {
+      const transfer = await findTransfer(tx, req)
+      assertTransition(transfer.status, 'approve')
+      if (transfer.from_branch_id !== branchId) {
+        throw httpError(403, 'Solo la sucursal origen puede aprobar esta solicitud')
+      }
+
+      const approved = approvedLines(transfer.lines, req.body?.lines)
+      const toSend = approved.filter((l) => l.qty > 0)
+      await assertLinesAvailable(tx, toSend, { branchId })
+
+      const claim = await tx.stockTransfer.updateMany({
+        where: { id: transfer.id, status: 'SOLICITADA' },
+        data: { status: 'APROBADA', approved_by: req.user.sub, approved_at: new Date() },
       })
-      const lotsByProduct = await consumeLotsFEFO(tx, stockMap, fromBranchId, dispatched)
-      for (const line of transfer.lines) {
-        const snapshot = lotsByProduct.get(String(line.product_id))
-        if (snapshot?.length) {
-          await tx.stockTransferLine.update({
-            where: { id: line.id },
-            data: { lots_snapshot: snapshot },
-          })
+      if (claim.count !== 1) throw httpError(409, 'La solicitud ya fue atendida')
+
+      for (const l of approved) {
+        const line = transfer.lines.find((x) => x.id === l.id)
+        if (line.qty_sent !== l.qty) {
+          await tx.stockTransferLine.update({ where: { id: l.id }, data: { qty_sent: l.qty } })
         }
       }
 
-      return transfer
+      return tx.stockTransfer.findUnique({ where: { id: transfer.id }, include: TRANSFER_INCLUDE })
     }, TX_OPTIONS)
 
-    res.status(201).json(created)
+    res.json(result)
+  } catch (e) { next(e) }
+}
+
+/**
+ * POST /api/transfers/:id/reject
+ * body { reason? }
+ * El origen no surtirá la solicitud (aprobada o no, mientras no se despache).
+ */
+exports.reject = async (req, res, next) => {
+  try {
+    const branchId = requireBranch(req)
+    const reason = req.body?.reason != null ? String(req.body.reason).trim().slice(0, 255) || null : null
+
+    const result = await prismaTransaction.$transaction(async (tx) => {
+      const transfer = await findTransfer(tx, req)
+      assertTransition(transfer.status, 'reject')
+      if (transfer.from_branch_id !== branchId) {
+        throw httpError(403, 'Solo la sucursal origen puede rechazar esta solicitud')
+      }
+
+      const claim = await tx.stockTransfer.updateMany({
+        where: { id: transfer.id, status: { in: REQUEST_STATUSES } },
+        data: { status: 'RECHAZADA', approved_by: req.user.sub, rejected_at: new Date(), rejection_reason: reason },
+      })
+      if (claim.count !== 1) throw httpError(409, 'La solicitud ya fue atendida')
+
+      return tx.stockTransfer.findUnique({ where: { id: transfer.id }, include: TRANSFER_INCLUDE })
+    }, TX_OPTIONS)
+
+    res.json(result)
+  } catch (e) { next(e) }
+}
+
+/**
+ * POST /api/transfers/:id/dispatch
+ * body { lines?: [{ line_id, serials }] }
+ * El origen despacha una solicitud aprobada: resta el stock como un envío
+ * directo y la deja EN_TRANSITO. Las líneas con número de serie dicen cuáles
+ * unidades viajan.
+ */
+exports.dispatch = async (req, res, next) => {
+  try {
+    const branchId = requireBranch(req)
+    const serialsInput = new Map()
+    for (const l of Array.isArray(req.body?.lines) ? req.body.lines : []) {
+      if (l?.line_id) serialsInput.set(String(l.line_id), l.serials)
+    }
+
+    const result = await prismaTransaction.$transaction(async (tx) => {
+      const transfer = await findTransfer(tx, req)
+      assertTransition(transfer.status, 'dispatch')
+      if (transfer.from_branch_id !== branchId) {
+        throw httpError(403, 'Solo la sucursal origen puede despachar este traslado')
+      }
+      await assertActiveBranch(tx, req.companyId, transfer.to_branch_id, 'destino')
+
+      // Las líneas aprobadas en 0 no viajan.
+      const sending = transfer.lines.filter((l) => l.qty_sent > 0)
+      const items = sending.map((l) => ({
+        product_id: String(l.product_id), qty: l.qty_sent, serials: serialsInput.get(l.id),
+      }))
+      const productsById = await loadTransferProducts(tx, req.companyId, [...new Set(items.map((i) => i.product_id))])
+      const { byLine, byProduct: serialsToSend } = serialsByLine(items, productsById)
+      await assertLinesAvailable(tx, items, { branchId })
+
+      const claim = await tx.stockTransfer.updateMany({
+        where: { id: transfer.id, status: 'APROBADA' },
+        data: { status: 'EN_TRANSITO', sent_at: new Date() },
+      })
+      if (claim.count !== 1) throw httpError(409, 'El traslado ya fue despachado')
+
+      for (let i = 0; i < sending.length; i++) {
+        if (byLine[i].length) {
+          await tx.stockTransferLine.update({ where: { id: sending[i].id }, data: { serials: byLine[i] } })
+        }
+      }
+      await dispatchFromOrigin(tx, req, { ...transfer, lines: sending }, items, serialsToSend, productsById)
+
+      return tx.stockTransfer.findUnique({ where: { id: transfer.id }, include: TRANSFER_INCLUDE })
+    }, TX_OPTIONS)
+
+    res.json(result)
   } catch (e) { next(e) }
 }
 
 /**
  * POST /api/transfers/:id/receive
- * body { to_location_id?, lines?: [{ line_id, qty_received, to_location_id? }] }
+ * body { to_location_id?, lines?: [{ line_id, qty_received, qty_damaged?, to_location_id?, serials?, damaged_serials?, notes? }] }
  * Sin líneas se recibe todo lo enviado; sin ubicación entra a la de recepción
  * del almacén por defecto (lo de siempre). La de la línea gana sobre la general.
- * Suma al destino lo efectivamente recibido; la diferencia queda como faltante.
+ * Suma al destino lo recibido en buen estado. Lo dañado y lo que no llegó
+ * quedan como diferencias en disputa; lo que llegó de más, como diferencia
+ * aparte (no entra: el origen nunca lo descontó).
+ * Si una línea con número de serie llega incompleta, `serials` dice cuáles
+ * llegaron y `damaged_serials` cuáles llegaron dañadas; las demás son las
+ * faltantes. Todas siguen en tránsito hasta que se resuelva la diferencia.
  */
 exports.receive = async (req, res, next) => {
   try {
     const { lines: linesRaw, to_location_id: toLocationId } = req.body || {}
     const branchId = requireBranch(req)
 
+    let webhooksQueued = 0
     const result = await prismaTransaction.$transaction(async (tx) => {
       const transfer = await tx.stockTransfer.findFirst({
         where: { id: req.params.id, toBranch: { company_id: req.companyId } },
@@ -256,7 +543,11 @@ exports.receive = async (req, res, next) => {
       }
 
       const receivedByLine = new Map()
+      const damagedByLine = new Map()
       const locationByLine = new Map()
+      const serialsByLineId = new Map()
+      const damagedSerialsByLine = new Map()
+      const notesByLine = new Map()
       if (Array.isArray(linesRaw) && linesRaw.length > 0) {
         for (const l of linesRaw) {
           const lineId = String(l.line_id || '')
@@ -268,25 +559,59 @@ exports.receive = async (req, res, next) => {
           }
           receivedByLine.set(lineId, qty)
           if (l.to_location_id) locationByLine.set(lineId, String(l.to_location_id))
+          if (l.serials != null) serialsByLineId.set(lineId, normalizeSerials(l.serials, `la línea ${lineId}`))
+          if (l.qty_damaged != null) damagedByLine.set(lineId, Number(l.qty_damaged))
+          if (l.damaged_serials != null) {
+            damagedSerialsByLine.set(lineId, normalizeSerials(l.damaged_serials, `la línea ${lineId}`))
+          }
+          if (l.notes != null) notesByLine.set(lineId, String(l.notes).trim().slice(0, 255) || null)
         }
       }
       // Recibir en la ubicación de otra sucursal sería meter mercancía ajena.
       await assertBranchLocations(tx, branchId, [toLocationId, ...locationByLine.values()])
 
+      // Las diferencias se valúan al costo de hoy, como los ajustes de inventario.
+      const costs = await tx.product.findMany({
+        where: { id: { in: transfer.lines.map((l) => l.product_id) } },
+        select: { id: true, cost: true },
+      })
+      const costById = new Map(costs.map((p) => [String(p.id), p.cost]))
+
       // Agrupado por ubicación de destino ('' = la de recepción por defecto).
       const byLocation = new Map()
       let receivingLocation = null
       for (const line of transfer.lines) {
-        const qty = receivedByLine.has(line.id) ? receivedByLine.get(line.id) : line.qty_sent
-        if (qty > line.qty_sent) {
-          const err = new Error('No se puede recibir más de lo enviado')
-          err.status = 400
-          throw err
-        }
+        const { accept: qty, discrepancies } = receiptOutcome(line, {
+          qtyReceived: receivedByLine.has(line.id) ? receivedByLine.get(line.id) : line.qty_sent,
+          qtyDamaged: damagedByLine.get(line.id) ?? 0,
+        })
         await tx.stockTransferLine.update({
           where: { id: line.id },
           data: { qty_received: qty },
         })
+        const sent = line.serials || []
+        let received = []
+        if (sent.length > 0 && qty > 0) {
+          received = qty === line.qty_sent && !serialsByLineId.has(line.id) ? sent : (serialsByLineId.get(line.id) || [])
+          if (received.length !== qty) {
+            const err = new Error(`Llegaron ${qty} de ${line.qty_sent}: indica los ${qty} número(s) de serie recibidos`)
+            err.status = 400
+            err.code = 'SERIALS_REQUIRED'
+            throw err
+          }
+          const foreign = received.filter((s) => !sent.includes(s))
+          if (foreign.length > 0) {
+            const err = new Error(`El/los serial(es) ${foreign.join(', ')} no viajan en este traslado`)
+            err.status = 400
+            throw err
+          }
+          await moveSerials(tx, {
+            companyId: req.companyId, productId: line.product_id, serials: received,
+            from: { statuses: ['IN_TRANSIT'], transferId: transfer.id },
+            to: { status: 'IN_STOCK', branch_id: branchId },
+            event: 'TRANSFER_RECEIVED', refType: 'transfer', refId: String(transfer.id), userId: req.user.sub,
+          })
+        }
         if (qty > 0) {
           const target = locationByLine.get(line.id) || (toLocationId ? String(toLocationId) : '')
           if (!byLocation.has(target)) byLocation.set(target, new Map())
@@ -300,6 +625,38 @@ exports.receive = async (req, res, next) => {
             tx, String(line.product_id), branchId, line.lots_snapshot, qty, target || receivingLocation,
           )
         }
+
+        if (discrepancies.length > 0) {
+          // Seriales de lo que no entró: las dañadas las dice quien recibe.
+          const pending = sent.filter((s) => !received.includes(s))
+          const damaged = damagedSerialsByLine.get(line.id) || []
+          const damagedQty = discrepancies.find((d) => d.reason === 'DAMAGED')?.qty || 0
+          if (sent.length > 0 && damaged.length !== damagedQty) {
+            const err = new Error(`Llegaron ${damagedQty} dañada(s): indica sus número(s) de serie en damaged_serials`)
+            err.status = 400
+            err.code = 'SERIALS_REQUIRED'
+            throw err
+          }
+          const foreign = damaged.filter((s) => !pending.includes(s))
+          if (foreign.length > 0) {
+            throw httpError(400, `El/los serial(es) ${foreign.join(', ')} no están pendientes en esta línea`)
+          }
+          const lots = splitLots(line.lots_snapshot, qty, discrepancies.map((d) => d.qty))
+          await tx.transferDiscrepancy.createMany({
+            data: discrepancies.map((d, i) => ({
+              transfer_id: transfer.id,
+              line_id: line.id,
+              product_id: line.product_id,
+              reason: d.reason,
+              qty: d.qty,
+              unit_cost: costById.get(String(line.product_id)) ?? 0,
+              lots_snapshot: lots[i] ?? undefined,
+              serials: d.reason === 'DAMAGED' ? damaged : d.reason === 'MISSING' ? pending.filter((s) => !damaged.includes(s)) : [],
+              notes: notesByLine.get(line.id) ?? null,
+              created_by: req.user.sub,
+            })),
+          })
+        }
       }
 
       for (const [target, stockMap] of byLocation) {
@@ -312,11 +669,33 @@ exports.receive = async (req, res, next) => {
 
       // El status ya se reclamó arriba; solo falta releer con las relaciones
       // (líneas con qty_received ya actualizado) para la respuesta.
-      return tx.stockTransfer.findUnique({
+      const received = await tx.stockTransfer.findUnique({
         where: { id: transfer.id },
         include: TRANSFER_INCLUDE,
       })
+      webhooksQueued = await emitWebhook(tx, req.companyId, 'transfer.received', {
+        id: received.id,
+        reference: received.reference,
+        from_branch: received.fromBranch,
+        to_branch: received.toBranch,
+        sent_at: received.sent_at,
+        received_at: received.received_at,
+        received_by: received.receivedBy,
+        lines: received.lines.map((l) => ({
+          product_id: l.product_id,
+          qty_sent: l.qty_sent,
+          qty_received: l.qty_received,
+        })),
+        discrepancies: received.discrepancies.map((d) => ({
+          id: d.id,
+          product_id: d.product_id,
+          reason: d.reason,
+          qty: d.qty,
+        })),
+      })
+      return received
     }, TX_OPTIONS)
+    if (webhooksQueued > 0) requestWebhookDispatch()
 
     res.json(result)
   } catch (e) { next(e) }
@@ -324,25 +703,34 @@ exports.receive = async (req, res, next) => {
 
 /**
  * POST /api/transfers/:id/cancel
- * Solo desde EN_TRANSITO: devuelve el stock a la sucursal origen.
+ * EN_TRANSITO: el origen lo cancela y el stock vuelve a la sucursal origen.
+ * SOLICITADA/APROBADA: quien la pidió la retira; no hay stock que devolver
+ * (el origen, en cambio, la rechaza).
  */
 exports.cancel = async (req, res, next) => {
   try {
     const result = await prismaTransaction.$transaction(async (tx) => {
-      const transfer = await tx.stockTransfer.findFirst({
-        where: { id: req.params.id, fromBranch: { company_id: req.companyId } },
-        include: { lines: true },
-      })
-      if (!transfer) {
-        const err = new Error('Traslado no encontrado')
-        err.status = 404
-        throw err
+      const transfer = await findTransfer(tx, req)
+      if (REQUEST_STATUSES.includes(transfer.status)) {
+        if (transfer.to_branch_id !== req.branchId) {
+          throw httpError(403, 'Solo la sucursal que pidió puede retirar la solicitud; el origen la rechaza')
+        }
+        const claim = await tx.stockTransfer.updateMany({
+          where: { id: transfer.id, status: { in: REQUEST_STATUSES } },
+          data: { status: 'CANCELADA', cancelled_at: new Date() },
+        })
+        if (claim.count !== 1) throw httpError(409, 'La solicitud ya fue atendida')
+        return tx.stockTransfer.findUnique({ where: { id: transfer.id }, include: TRANSFER_INCLUDE })
       }
       if (transfer.status !== 'EN_TRANSITO') {
         const err = new Error(`Solo se pueden cancelar traslados en tránsito (actual: ${transfer.status})`)
         err.status = 400
         throw err
       }
+      // La ruta también deja pasar a quien solo solicita, para retirar lo suyo.
+      if (!userHasPerm(req.user, 'transfers.cancel')) {
+        throw httpError(403, 'No tiene permiso para cancelar traslados en tránsito')
+      }
       if (transfer.from_branch_id !== req.branchId) {
         const err = new Error('Solo la sucursal origen puede cancelar este traslado')
         err.status = 403
@@ -356,6 +744,8 @@ exports.cancel = async (req, res, next) => {
       })
       const byLocation = new Map()
       for (const line of transfer.lines) {
+        // Línea de una solicitud aprobada en 0: no salió nada.
+        if (line.qty_sent === 0) continue
         const productId = String(line.product_id)
         const back = dispatched.get(productId)?.length
           ? dispatched.get(productId)
@@ -370,6 +760,12 @@ exports.cancel = async (req, res, next) => {
         await recreateLotsFromSnapshot(
           tx, productId, transfer.from_branch_id, line.lots_snapshot, line.qty_sent,
         )
+        await moveSerials(tx, {
+          companyId: req.companyId, productId, serials: line.serials || [],
+          from: { statuses: ['IN_TRANSIT'], transferId: transfer.id },
+          to: { status: 'IN_STOCK', branch_id: transfer.from_branch_id },
+          event: 'TRANSFER_CANCELLED', refType: 'transfer', refId: String(transfer.id), userId: req.user?.sub || null,
+        })
       }
       for (const [locationId, stockMap] of byLocation) {
         const updated = await restoreStockMap(tx, stockMap, transfer.from_branch_id, {
@@ -390,21 +786,140 @@ exports.cancel = async (req, res, next) => {
   } catch (e) { next(e) }
 }
 
+/**
+ * GET /api/transfers/discrepancies?status=open|resolved&reason=&direction=in|out|all
+ * Diferencias de recepción de la sucursal activa (en ambos sentidos por
+ * defecto). `open` = en disputa, por resolver.
+ */
+exports.listDiscrepancies = async (req, res, next) => {
+  try {
+    const q = req.query || {}
+    const page = Math.max(1, Number(q.page ?? 1))
+    const pageSize = Math.min(100, Math.max(1, Number(q.pageSize ?? 25)))
+
+    const transferWhere = { fromBranch: { company_id: req.companyId } }
+    if (req.branchId) {
+      if (q.direction === 'in') transferWhere.to_branch_id = req.branchId
+      else if (q.direction === 'out') transferWhere.from_branch_id = req.branchId
+      else transferWhere.OR = [{ from_branch_id: req.branchId }, { to_branch_id: req.branchId }]
+    }
+    const where = { transfer: transferWhere }
+    if (q.status === 'open') where.resolution = null
+    else if (q.status === 'resolved') where.resolution = { not: null }
+    else if (q.status) return res.status(400).json({ message: 'status inválido (open, resolved)' })
+    if (q.reason) {
+      const reason = String(q.reason).toUpperCase()
+      if (!REASONS.includes(reason)) return res.status(400).json({ message: `reason inválido (${REASONS.join(', ')})` })
+      where.reason = reason
+    }
+
+    const totalItems = await prisma.transferDiscrepancy.count({ where })
+    const totalPages = Math.max(1, Math.ceil(totalItems / pageSize))
+    const safePage = Math.min(page, totalPages)
+    const items = await prisma.transferDiscrepancy.findMany({
+      where,
+      include: DISCREPANCY_INCLUDE,
+      orderBy: { created_at: 'desc' },
+      skip: (safePage - 1) * pageSize,
+      take: pageSize,
+    })
+
+    res.json({
+      items,
+      page: safePage,
+      pageSize,
+      totalPages,
+      totalItems,
+      nextPage: safePage < totalPages ? safePage + 1 : null,
+      prevPage: safePage > 1 ? safePage - 1 : null,
+    })
+  } catch (e) { next(e) }
+}
+
+/**
+ * POST /api/transfers/discrepancies/:id/resolve
+ * body { resolution: RETURN_TO_ORIGIN|WRITE_OFF|CHARGE_CARRIER, notes?, carrier_name?, charge_amount? }
+ * Cierra una diferencia. Devolver al origen le regresa el stock (con sus lotes
+ * y seriales); la baja y el cobro al transportista dan de baja los seriales y
+ * el motor contable los postea (TRANSFER_DISCREPANCY). Queda en la bitácora.
+ */
+exports.resolveDiscrepancy = async (req, res, next) => {
+  try {
+    const result = await prismaTransaction.$transaction(async (tx) => {
+      const discrepancy = await tx.transferDiscrepancy.findFirst({
+        where: { id: req.params.id, transfer: { fromBranch: { company_id: req.companyId } } },
+        include: DISCREPANCY_INCLUDE,
+      })
+      if (!discrepancy) throw httpError(404, 'Diferencia no encontrada')
+      const { transfer } = discrepancy
+      if (req.branchId && ![transfer.from_branch_id, transfer.to_branch_id].includes(req.branchId)) {
+        throw httpError(403, 'La diferencia es de un traslado entre otras sucursales')
+      }
+
+      const data = parseResolution(discrepancy, req.body || {})
+      const claim = await tx.transferDiscrepancy.updateMany({
+        where: { id: discrepancy.id, resolution: null },
+        data: { ...data, resolved_by: req.user.sub, resolved_at: new Date() },
+      })
+      if (claim.count !== 1) throw httpError(409, 'La diferencia ya fue resuelta')
+
+      // Lo de más nunca salió del libro del origen: devolverlo no mueve nada.
+      if (DISPUTE_REASONS.includes(discrepancy.reason)) {
+        const productId = String(discrepancy.product_id)
+        const back = data.resolution === 'RETURN_TO_ORIGIN'
+        if (back) {
+          const updated = await restoreStockMap(tx, new Map([[productId, discrepancy.qty]]), transfer.from_branch_id, {
+            reason: 'TRANSFER_RETURN', refType: 'transfer', refId: String(transfer.id), userId: req.user.sub,
+          })
+          await ensureStockAlertsBatch(tx, updated, transfer.from_branch_id)
+          await recreateLotsFromSnapshot(tx, productId, transfer.from_branch_id, discrepancy.lots_snapshot, discrepancy.qty)
+        }
+        await moveSerials(tx, {
+          companyId: req.companyId, productId, productName: discrepancy.product?.name, serials: discrepancy.serials || [],
+          from: { statuses: ['IN_TRANSIT'], transferId: transfer.id },
+          to: back ? { status: 'IN_STOCK', branch_id: transfer.from_branch_id } : { status: 'WRITTEN_OFF', branch_id: null },
+          event: back ? 'TRANSFER_RETURNED' : 'WRITTEN_OFF',
+          branchId: transfer.from_branch_id, refType: 'transfer', refId: String(transfer.id), userId: req.user.sub,
+        })
+      }
+
+      const resolved = await tx.transferDiscrepancy.findUnique({ where: { id: discrepancy.id }, include: DISCREPANCY_INCLUDE })
+      await recordAudit(tx, req, {
+        entity: 'transfer_discrepancy',
+        entityId: discrepancy.id,
+        action: 'resolve',
+        before: discrepancy,
+        after: resolved,
+        branchId: transfer.from_branch_id,
+      })
+      return resolved
+    }, TX_OPTIONS)
+
+    res.json(result)
+  } catch (e) { next(e) }
+}
+
 /**
  * GET /api/transfers/in-transit
  * Mercancía enviada y no recibida: no pertenece al stock de ninguna sucursal.
+ * `in_dispute` es la que llegó dañada o no llegó y espera resolución.
  */
 exports.inTransitReport = async (req, res, next) => {
   try {
-    const transfers = await prisma.stockTransfer.findMany({
-      where: { status: 'EN_TRANSITO', fromBranch: { company_id: req.companyId } },
-      include: TRANSFER_INCLUDE,
-      orderBy: { sent_at: 'asc' },
-    })
+    const [transfers, disputes] = await Promise.all([
+      prisma.stockTransfer.findMany({
+        where: { status: 'EN_TRANSITO', fromBranch: { company_id: req.companyId } },
+        include: TRANSFER_INCLUDE,
+        orderBy: { sent_at: 'asc' },
+      }),
+      openDisputes(prisma, req.companyId, { include: DISCREPANCY_INCLUDE }),
+    ])
 
     const byProduct = new Map()
     for (const t of transfers) {
       for (const line of t.lines) {
+        // Línea de una solicitud aprobada en 0: no viaja nada.
+        if (line.qty_sent === 0) continue
         const key = line.product_id
         if (!byProduct.has(key)) {
           byProduct.set(key, {
@@ -428,9 +943,39 @@ exports.inTransitReport = async (req, res, next) => {
       }
     }
 
+    const disputeByProduct = new Map()
+    for (const d of disputes) {
+      const key = d.product_id
+      if (!disputeByProduct.has(key)) {
+        disputeByProduct.set(key, {
+          product_id: key,
+          name: d.product?.name || key,
+          barcode: d.product?.barcode || null,
+          qty: 0,
+          value: 0,
+          discrepancies: [],
+        })
+      }
+      const row = disputeByProduct.get(key)
+      row.qty += d.qty
+      row.value = Number((row.value + d.qty * Number(d.unit_cost)).toFixed(2))
+      row.discrepancies.push({
+        discrepancy_id: d.id,
+        transfer_id: d.transfer_id,
+        reference: d.transfer?.reference,
+        from: d.transfer?.fromBranch?.name,
+        to: d.transfer?.toBranch?.name,
+        received_at: d.transfer?.received_at,
+        reason: d.reason,
+        qty: d.qty,
+      })
+    }
+
     res.json({
       products: [...byProduct.values()].sort((a, b) => b.qty - a.qty),
       totalTransfers: transfers.length,
+      in_dispute: [...disputeByProduct.values()].sort((a, b) => b.qty - a.qty),
+      totalDisputes: disputes.length,
     })
   } catch (e) { next(e) }
 }
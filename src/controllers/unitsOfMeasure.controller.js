@@ -0,0 +1,115 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Catálogo de unidades de medida de la empresa. Una unidad en uso (base de
+ * un producto, unidad alterna o línea capturada en ella) no se borra: se
+ * desactiva y deja de aceptarse en líneas nuevas.
+ */
+
+const { prisma } = require('../models/prisma')
+const { recordAudit } = require('../services/auditLog')
+
+function parseUnitBody(body, { partial = false } = {}) {
+  const data = {}
+  if (!partial || body.code !== undefined) {
+    const code = String(body.code || '').trim().toUpperCase()
+    if (!code || code.length > 20 || !/^[A-Z0-9._-]+$/.test(code)) {
+      const err = new Error('code es requerido (hasta 20 caracteres: letras, números, . _ -)')
+      err.status = 400
+      throw err
+    }
+    data.code = code
+  }
+  if (!partial || body.name !== undefined) {
+    const name = String(body.name || '').trim()
+    if (!name) {
+      const err = new Error('name es requerido')
+      err.status = 400
+      throw err
+    }
+    data.name = name.slice(0, 60)
+  }
+  if (body.allows_decimal !== undefined) data.allows_decimal = body.allows_decimal === true || body.allows_decimal === 'true'
+  if (body.active !== undefined) data.active = body.active === true || body.active === 'true'
+  return data
+}
+
+async function findUnit(req) {
+  const id = Number(req.params.id)
+  if (!Number.isInteger(id)) return null
+  return prisma.unitOfMeasure.findFirst({ where: { id, company_id: req.companyId } })
+}
+
+// GET /catalogs/units?includeInactive=true
+exports.list = async (req, res, next) => {
+  try {
+    const where = { company_id: req.companyId }
+    if (req.query.includeInactive !== 'true') where.active = true
+    const items = await prisma.unitOfMeasure.findMany({ where, orderBy: { code: 'asc' } })
+    res.json({ items })
+  } catch (e) { next(e) }
+}
+
+// POST /catalogs/units — { code, name, allows_decimal? }
+exports.create = async (req, res, next) => {
+  try {
+    const data = parseUnitBody(req.body || {})
+    const created = await prisma.unitOfMeasure.create({ data: { ...data, company_id: req.companyId } })
+    await recordAudit(prisma, req, { entity: 'unit_of_measure', entityId: created.id, action: 'create', after: created, branchId: null })
+    res.status(201).json(created)
+  } catch (e) {
+    if (e.code === 'P2002') return res.status(409).json({ message: 'Ya existe una unidad con ese código' })
+    next(e)
+  }
+}
+
+// PUT /catalogs/units/:id — { code?, name?, allows_decimal?, active? }
+exports.update = async (req, res, next) => {
+  try {
+    const existing = await findUnit(req)
+    if (!existing) return res.status(404).json({ message: 'Unidad no encontrada' })
+    const data = parseUnitBody(req.body || {}, { partial: true })
+    // Un producto a granel que se vende en ella dejaría de poder venderse por fracción.
+    if (data.allows_decimal === false && existing.allows_decimal) {
+      const assigned = await prisma.productUnit.count({ where: { unit_id: existing.id } })
+      if (assigned > 0) {
+        return res.status(409).json({ message: 'La unidad está asignada a productos: no se le pueden quitar los decimales' })
+      }
+    }
+    const updated = await prisma.unitOfMeasure.update({ where: { id: existing.id }, data })
+    await recordAudit(prisma, req, { entity: 'unit_of_measure', entityId: existing.id, action: 'update', before: existing, after: updated, branchId: null })
+    res.json(updated)
+  } catch (e) {
+    if (e.code === 'P2002') return res.status(409).json({ message: 'Ya existe una unidad con ese código' })
+    next(e)
+  }
+}
+
+// DELETE /catalogs/units/:id — solo si nadie la usa; si no, desactivarla
+exports.remove = async (req, res, next) => {
+  try {
+    const existing = await findUnit(req)
+    if (!existing) return res.status(404).json({ message: 'Unidad no encontrada' })
+    const [asBase, asAlternate, inSales, inDocs, inIncoming] = await Promise.all([
+      prisma.product.count({ where: { base_unit_id: existing.id } }),
+      prisma.productUnit.count({ where: { unit_id: existing.id } }),
+      prisma.saleItem.count({ where: { unit_id: existing.id } }),
+      prisma.commercialDocumentLine.count({ where: { unit_id: existing.id } }),
+      prisma.incomingMerchandiseItem.count({ where: { unit_id: existing.id } }),
+    ])
+    if (asBase + asAlternate + inSales + inDocs + inIncoming > 0) {
+      return res.status(409).json({ message: 'La unidad está en uso; desactívala en lugar de borrarla' })
+    }
+    await prisma.unitOfMeasure.delete({ where: { id: existing.id } })
+    await recordAudit(prisma, req, { entity: 'unit_of_measure', entityId: existing.id, action: 'delete', before: existing, branchId: null })
+    res.json({ ok: true })
+  } catch (e) { next(e) }
+}
@@ -10,9 +10,35 @@
 
 const bcrypt = require('bcryptjs')
 const { createClient } = require('@supabase/supabase-js')
+const { Prisma } = require('@prisma/client')
 const { prisma } = require('../models/prisma')
-const { crearToken } = require('../services/jwt')
+const { crearToken, crearChallenge, leerChallenge } = require('../services/jwt')
 const refreshTokens = require('../services/refreshTokens')
+const {
+  validateNewPassword,
+  setPassword,
+  twoFactorRequired,
+  twoFactorStatus,
+  startTwoFactorEnrollment,
+  confirmTwoFactorEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  createPasswordReset,
+  consumePasswordReset,
+  passwordResetMail,
+} = require('../services/accountSecurity')
+const { sendMail } = require('../services/mailer')
+const {
+  isLocked,
+  registerFailedLogin,
+  clearFailedLogins,
+  recordLoginEvent,
+  detectLoginAnomalies,
+  queueLoginAnomalyWebhooks,
+  notifyLoginAnomalies,
+  unlockAccount,
+} = require('../services/loginSecurity')
 const {
   ACCESS_COOKIE,
   REFRESH_COOKIE,
@@ -20,9 +46,31 @@ const {
   refreshCookieOptions,
 } = require('../config/security')
 const { generateUserTemplate } = require('../services/userTemplate')
-const { IMPLIES, expandPermissions } = require('../config/permissionDeps')
+const { IMPLIES, RESTRICTIONS, expandPermissions } = require('../config/permissionDeps')
+const { normalizeRestrictions, userRestrictions } = require('../services/roleRestrictions')
 const { bulkValidateUsers, bulkCreateUsers } = require('../services/userBulkImport')
 const { requireCompany } = require('../middlewares/tenant')
+const { recordAudit } = require('../services/auditLog')
+const {
+  supervisorCanAuthorize,
+  cartHash,
+  overrideBinding,
+  normalizeOverrideRequest,
+  resolveOverrideTarget,
+  issueOverride,
+} = require('../services/managerOverrides')
+const { convertLinesToBase } = require('../services/units')
+
+/** Rol para la bitácora: nombre y códigos de permiso (no las filas puente). */
+function roleAuditView(role) {
+  return {
+    id: role.id,
+    name: role.name,
+    require_2fa: Boolean(role.require_2fa),
+    restrictions: role.restrictions || null,
+    permissions: (role.permissions || []).map((rp) => rp.permission?.code).filter(Boolean).sort(),
+  }
+}
 
 // Consulta reutilizable de usuario con rol + permisos para el login/refresh/me.
 const userWithPerms = {
@@ -61,19 +109,21 @@ function serializeUser(user) {
       ? user.user_branches.map((ub) => ub.branch).filter((b) => b && b.active)
       : [],
     default_branch_id: user.default_branch_id || null,
+    two_factor_enabled: Boolean(user.totp_enabled),
     permissions: expandPermissions(
       Array.isArray(user.role?.permissions)
         ? user.role.permissions.map((rp) => rp.permission?.code).filter(Boolean)
         : []
     ),
+    // Para que la UI oculte lo mismo que oculta el servidor (admin: ninguna)
+    restrictions: userRestrictions({ role: user.role, restrictions: user.role?.restrictions }),
   }
 }
 
-// Setea las cookies de sesión (access + refresh) en la respuesta.
-async function setSessionCookies(res, user) {
-  const accessToken = crearToken(user)
-  const refreshToken = await refreshTokens.issue(user.id)
-  res.cookie(ACCESS_COOKIE, accessToken, accessCookieOptions())
+// Abre una sesión (dispositivo) y setea sus cookies (access + refresh).
+async function setSessionCookies(req, res, user) {
+  const { token: refreshToken, sessionId } = await refreshTokens.issue(user.id, refreshTokens.sessionMeta(req))
+  res.cookie(ACCESS_COOKIE, crearToken(user, { sid: sessionId }), accessCookieOptions())
   res.cookie(REFRESH_COOKIE, refreshToken, refreshCookieOptions())
 }
 
@@ -157,6 +207,8 @@ exports.list = async (req, res, next) => {
         email: u.email,
         role_id: u.role_id,
         role: u.role,
+        active: u.active,
+        locked_until: u.locked_until,
         is_employee: u.is_employee || false,
         photo_url: u.photo_url,
         phone: u.phone,
@@ -165,6 +217,7 @@ exports.list = async (req, res, next) => {
         cash_register_id: u.cash_register_id,
         cash_register: u.cashRegister,
         default_branch_id: u.default_branch_id,
+        two_factor_enabled: u.totp_enabled,
         branches: u.user_branches.map((ub) => ub.branch),
         // Sin empresa no puede entrar a ninguna; sin sucursal entra pero no
         // puede operar. La pantalla lo marca para que se pueda arreglar.
@@ -225,6 +278,7 @@ exports.register = async (req, res, next) => {
         await prisma.user.update({ where: { id: user.id }, data: { default_branch_id: req.branchId } }).catch(() => {})
       }
     }
+    await recordAudit(prisma, req, { entity: 'user', entityId: user.id, action: 'create', after: user })
     const token = crearToken(user)
     res.status(201).json({
       user: {
@@ -249,39 +303,179 @@ exports.register = async (req, res, next) => {
   } catch (e) { next(e) }
 }
 
+function accountLocked(res, lockedUntil) {
+  return res.status(423).json({
+    message: 'Cuenta bloqueada temporalmente por intentos fallidos',
+    locked_until: lockedUntil,
+  })
+}
+
+// Intento fallido de la cuenta: suma al contador (puede bloquearla) y queda
+// en el historial. Devuelve hasta cuándo quedó bloqueada, o null.
+async function countFailedLogin(req, user, reason) {
+  const { lockedUntil } = await registerFailedLogin(prisma, user.id)
+  await recordLoginEvent(prisma, { user, success: false, reason, meta: refreshTokens.sessionMeta(req) })
+  return lockedUntil
+}
+
+// Falló un paso posterior a la contraseña: quien lo intenta ya demostró
+// conocerla, así que sí se le dice si la cuenta quedó bloqueada.
+async function rejectLogin(req, res, user, reason) {
+  const lockedUntil = await countFailedLogin(req, user, reason)
+  return lockedUntil ? accountLocked(res, lockedUntil) : null
+}
+
+// Contraseña de una cuenta bloqueada: sin la correcta, la misma respuesta que
+// un correo que no existe (no se confirma qué cuentas hay ni cuáles están
+// bloqueadas); con la correcta, se dice hasta cuándo.
+async function rejectLockedAccount(req, res, user, passwordOk) {
+  await recordLoginEvent(prisma, { user, success: false, reason: 'LOCKED', meta: refreshTokens.sessionMeta(req) })
+  if (passwordOk) return accountLocked(res, user.locked_until)
+  return res.status(401).json({ message: 'Credenciales inválidas' })
+}
+
+// Segundo paso con código inválido: cuenta como intento fallido
+async function rejectSecondFactor(req, res, user, err) {
+  if (err.code !== 'INVALID_2FA_CODE') throw err
+  if (await rejectLogin(req, res, user, 'BAD_2FA_CODE')) return
+  throw err
+}
+
+// Login completo: reinicia el contador, lo anota en el historial (con sus
+// alertas) y abre la sesión. Los avisos salen sin esperar.
+async function completeLogin(req, res, user) {
+  const meta = refreshTokens.sessionMeta(req)
+  await clearFailedLogins(prisma, user)
+  const anomalies = await detectLoginAnomalies(prisma, user, { ip: meta.ip })
+  const { event, queued } = await prisma.$transaction(async (tx) => {
+    const row = await recordLoginEvent(tx, { user, success: true, meta, anomalies })
+    return { event: row, queued: await queueLoginAnomalyWebhooks(tx, user, row) }
+  })
+  await setSessionCookies(req, res, user)
+  notifyLoginAnomalies(user, event, { queued })
+}
+
 exports.login = async (req, res, next) => {
   try {
     const { email, password } = req.body || {}
+    const meta = refreshTokens.sessionMeta(req)
     const user = await prisma.user.findUnique({ where: { email }, include: userWithPerms })
-    if (!user) return res.status(401).json({ message: 'Credenciales inválidas' })
+    if (!user) {
+      await recordLoginEvent(prisma, { email, success: false, reason: 'UNKNOWN_USER', meta })
+      return res.status(401).json({ message: 'Credenciales inválidas' })
+    }
 
     const ok = await bcrypt.compare(password, user.password)
-    if (!ok) return res.status(401).json({ message: 'Credenciales inválidas' })
+    if (isLocked(user)) return rejectLockedAccount(req, res, user, ok)
+    if (!ok) {
+      // Aunque este intento la bloquee, la respuesta es la de siempre
+      await countFailedLogin(req, user, 'BAD_PASSWORD')
+      return res.status(401).json({ message: 'Credenciales inválidas' })
+    }
+    if (!user.active) {
+      await recordLoginEvent(prisma, { user, success: false, reason: 'INACTIVE', meta })
+      return res.status(403).json({ message: 'Tu usuario está desactivado' })
+    }
+
+    // Contraseña correcta pero falta el segundo paso: todavía no hay sesión,
+    // solo un challenge de pocos minutos para /login/2fa (o para inscribirse).
+    if (user.totp_enabled) {
+      return res.json({ two_factor_required: true, challenge: crearChallenge(user.id, '2fa') })
+    }
+    if (twoFactorRequired(user)) {
+      return res.json({ two_factor_setup_required: true, challenge: crearChallenge(user.id, '2fa-setup') })
+    }
 
-    await setSessionCookies(res, user)
+    await completeLogin(req, res, user)
     res.json({ user: serializeUser(user) })
   } catch (e) { next(e) }
 }
 
+/** Usuario del challenge del login (paso 2FA), o null si venció / no es válido. */
+async function challengeUser(req, purpose) {
+  const userId = leerChallenge(req.body?.challenge, purpose)
+  if (!userId) return null
+  const user = await prisma.user.findUnique({ where: { id: userId }, include: userWithPerms })
+  return user?.active ? user : null
+}
+
+function challengeExpired(res) {
+  return res.status(401).json({ message: 'El inicio de sesión venció; vuelve a ingresar tu contraseña' })
+}
+
+// POST /api/auth/login/2fa - { challenge, code } o { challenge, recovery_code }
+exports.loginTwoFactor = async (req, res, next) => {
+  try {
+    const user = await challengeUser(req, '2fa')
+    if (!user) return challengeExpired(res)
+    if (isLocked(user)) return accountLocked(res, user.locked_until)
+    let result
+    try {
+      result = await verifySecondFactor(prisma, user, req.body)
+    } catch (e) {
+      return await rejectSecondFactor(req, res, user, e)
+    }
+    await completeLogin(req, res, user)
+    res.json({
+      user: serializeUser(user),
+      ...(result.method === 'recovery' && { recovery_codes_remaining: result.recovery_codes_remaining }),
+    })
+  } catch (e) { next(e) }
+}
+
+// POST /api/auth/login/2fa/setup - { challenge }: el rol exige 2FA y el usuario
+// no lo tiene; genera el secreto para escanear antes de entrar.
+exports.loginTwoFactorSetup = async (req, res, next) => {
+  try {
+    const user = await challengeUser(req, '2fa-setup')
+    if (!user) return challengeExpired(res)
+    res.json(await startTwoFactorEnrollment(prisma, user))
+  } catch (e) { next(e) }
+}
+
+// POST /api/auth/login/2fa/enable - { challenge, code }: confirma la inscripción
+// y abre la sesión. Los códigos de recuperación se muestran solo aquí.
+exports.loginTwoFactorEnable = async (req, res, next) => {
+  try {
+    const user = await challengeUser(req, '2fa-setup')
+    if (!user) return challengeExpired(res)
+    if (isLocked(user)) return accountLocked(res, user.locked_until)
+    let recoveryCodes
+    try {
+      recoveryCodes = await confirmTwoFactorEnrollment(prisma, user, req.body?.code)
+    } catch (e) {
+      return await rejectSecondFactor(req, res, user, e)
+    }
+    await completeLogin(req, res, user)
+    res.json({ user: serializeUser({ ...user, totp_enabled: true }), recovery_codes: recoveryCodes })
+  } catch (e) { next(e) }
+}
+
 // POST /api/auth/refresh - rota el refresh token y renueva el access token
 exports.refresh = async (req, res, next) => {
   try {
     const current = req.cookies && req.cookies[REFRESH_COOKIE]
     if (!current) return res.status(401).json({ message: 'No autenticado' })
 
-    const result = await refreshTokens.rotate(current)
+    const result = await refreshTokens.rotate(current, refreshTokens.sessionMeta(req))
     if (!result || result.reuse) {
       clearSessionCookies(res)
       return res.status(401).json({ message: 'Sesión inválida' })
     }
 
     const user = await prisma.user.findUnique({ where: { id: result.userId }, include: userWithPerms })
-    if (!user) {
+    if (!user || !user.active) {
       clearSessionCookies(res)
       return res.status(401).json({ message: 'Sesión inválida' })
     }
+    // El rol empezó a exigir 2FA después del login: que entre de nuevo y se inscriba.
+    if (twoFactorRequired(user) && !user.totp_enabled) {
+      await refreshTokens.revoke(result.token)
+      clearSessionCookies(res)
+      return res.status(401).json({ message: 'Tu rol exige verificación en dos pasos: inicia sesión de nuevo para activarla' })
+    }
 
-    res.cookie(ACCESS_COOKIE, crearToken(user), accessCookieOptions())
+    res.cookie(ACCESS_COOKIE, crearToken(user, { sid: result.sessionId }), accessCookieOptions())
     res.cookie(REFRESH_COOKIE, result.token, refreshCookieOptions())
     res.json({ user: serializeUser(user) })
   } catch (e) { next(e) }
@@ -305,6 +499,279 @@ exports.logout = async (req, res, next) => {
   } catch (e) { next(e) }
 }
 
+// ---------- Sesiones (dispositivos) ----------
+
+function withCurrent(sessions, currentSid) {
+  return sessions.map((s) => ({ ...s, current: Boolean(currentSid) && s.id === currentSid }))
+}
+
+// GET /api/auth/sessions - sesiones abiertas propias (la actual marcada)
+exports.listSessions = async (req, res, next) => {
+  try {
+    const sessions = await refreshTokens.listSessions(req.user.sub)
+    res.json(withCurrent(sessions, req.user.sid))
+  } catch (e) { next(e) }
+}
+
+// DELETE /api/auth/sessions/:sessionId - cerrar una sesión propia
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const ok = await refreshTokens.revokeSession(req.user.sub, req.params.sessionId)
+    if (!ok) return res.status(404).json({ message: 'Sesión no encontrada' })
+    if (req.params.sessionId === req.user.sid) clearSessionCookies(res)
+    res.json({ ok: true })
+  } catch (e) { next(e) }
+}
+
+// DELETE /api/auth/sessions - cerrar las demás sesiones (con
+// ?include_current=true también la actual)
+exports.revokeAllSessions = async (req, res, next) => {
+  try {
+    const includeCurrent = String(req.query.include_current) === 'true'
+    const revoked = await refreshTokens.revokeAll(req.user.sub, {
+      exceptSessionId: includeCurrent ? undefined : req.user.sid,
+    })
+    if (includeCurrent) clearSessionCookies(res)
+    res.json({ revoked })
+  } catch (e) { next(e) }
+}
+
+function findCompanyUser(req) {
+  return prisma.user.findFirst({
+    where: { id: req.params.id, user_companies: { some: { company_id: requireCompany(req) } } },
+    select: { id: true },
+  })
+}
+
+// GET /api/auth/users/:id/sessions - sesiones abiertas de un usuario
+exports.listUserSessions = async (req, res, next) => {
+  try {
+    const user = await findCompanyUser(req)
+    if (!user) return res.status(404).json({ message: 'Usuario no encontrado' })
+    res.json(await refreshTokens.listSessions(user.id))
+  } catch (e) { next(e) }
+}
+
+// DELETE /api/auth/users/:id/sessions/:sessionId - cerrar una sesión de un usuario
+exports.revokeUserSession = async (req, res, next) => {
+  try {
+    const user = await findCompanyUser(req)
+    if (!user) return res.status(404).json({ message: 'Usuario no encontrado' })
+    const ok = await refreshTokens.revokeSession(user.id, req.params.sessionId)
+    if (!ok) return res.status(404).json({ message: 'Sesión no encontrada' })
+    await recordAudit(prisma, req, {
+      entity: 'user', entityId: user.id, action: 'session_revoke', after: { session_id: req.params.sessionId },
+    })
+    res.json({ ok: true })
+  } catch (e) { next(e) }
+}
+
+// DELETE /api/auth/users/:id/sessions - forzar el cierre de todas sus sesiones
+exports.revokeUserSessions = async (req, res, next) => {
+  try {
+    const user = await findCompanyUser(req)
+    if (!user) return res.status(404).json({ message: 'Usuario no encontrado' })
+    const revoked = await refreshTokens.revokeAll(user.id)
+    await recordAudit(prisma, req, {
+      entity: 'user', entityId: user.id, action: 'sessions_revoke', after: { revoked },
+    })
+    res.json({ revoked })
+  } catch (e) { next(e) }
+}
+
+// ---------- Seguridad de la cuenta propia ----------
+
+async function currentUser(req) {
+  return prisma.user.findUnique({ where: { id: req.user.sub }, include: { role: true } })
+}
+
+// GET /api/auth/2fa - estado de la verificación en dos pasos
+exports.twoFactorStatus = async (req, res, next) => {
+  try {
+    const user = await currentUser(req)
+    if (!user) return res.status(401).json({ message: 'No autenticado' })
+    res.json(twoFactorStatus(user))
+  } catch (e) { next(e) }
+}
+
+// POST /api/auth/2fa/setup - secreto nuevo (pendiente) y URI para el QR
+exports.twoFactorSetup = async (req, res, next) => {
+  try {
+    const user = await currentUser(req)
+    if (!user) return res.status(401).json({ message: 'No autenticado' })
+    res.json(await startTwoFactorEnrollment(prisma, user))
+  } catch (e) { next(e) }
+}
+
+// POST /api/auth/2fa/enable - { code }: confirma y devuelve los códigos de recuperación
+exports.twoFactorEnable = async (req, res, next) => {
+  try {
+    const user = await currentUser(req)
+    if (!user) return res.status(401).json({ message: 'No autenticado' })
+    const recoveryCodes = await confirmTwoFactorEnrollment(prisma, user, req.body?.code)
+    await recordAudit(prisma, req, {
+      entity: 'user', entityId: user.id, action: 'two_factor_enable', after: { totp_enabled: true },
+    })
+    res.json({ enabled: true, recovery_codes: recoveryCodes })
+  } catch (e) { next(e) }
+}
+
+// POST /api/auth/2fa/disable - { password, code | recovery_code }
+exports.twoFactorDisable = async (req, res, next) => {
+  try {
+    const user = await currentUser(req)
+    if (!user) return res.status(401).json({ message: 'No autenticado' })
+    if (twoFactorRequired(user)) {
+      return res.status(403).json({ message: 'Tu rol exige verificación en dos pasos' })
+    }
+    const { password } = req.body || {}
+    if (!password || !(await bcrypt.compare(String(password), user.password))) {
+      return res.status(401).json({ message: 'Contraseña incorrecta' })
+    }
+    await verifySecondFactor(prisma, user, req.body)
+    await disableTwoFactor(prisma, user.id)
+    await recordAudit(prisma, req, {
+      entity: 'user', entityId: user.id, action: 'two_factor_disable', before: { totp_enabled: true },
+    })
+    res.json({ enabled: false })
+  } catch (e) { next(e) }
+}
+
+// POST /api/auth/2fa/recovery-codes - { code }: códigos nuevos (los anteriores dejan de servir)
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const user = await currentUser(req)
+    if (!user) return res.status(401).json({ message: 'No autenticado' })
+    if (!req.body?.code) return res.status(400).json({ message: 'Indica el código de tu app autenticadora' })
+    await verifySecondFactor(prisma, user, { code: req.body.code })
+    res.json({ recovery_codes: await regenerateRecoveryCodes(prisma, user) })
+  } catch (e) { next(e) }
+}
+
+// POST /api/auth/change-password - { current_password, new_password }
+// Cierra las demás sesiones; la actual sigue abierta.
+exports.changePassword = async (req, res, next) => {
+  try {
+    const { current_password: currentPassword, new_password: newPassword } = req.body || {}
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ message: 'current_password y new_password son requeridos' })
+    }
+    const user = await prisma.user.findUnique({ where: { id: req.user.sub }, include: userWithPerms })
+    if (!user) return res.status(401).json({ message: 'No autenticado' })
+    if (!(await bcrypt.compare(String(currentPassword), user.password))) {
+      return res.status(401).json({ message: 'La contraseña actual no es correcta' })
+    }
+    validateNewPassword(newPassword)
+    if (await bcrypt.compare(newPassword, user.password)) {
+      return res.status(400).json({ message: 'La contraseña nueva debe ser distinta de la actual' })
+    }
+
+    // La sesión actual sigue; un token viejo sin sesión abre una nueva
+    const sessionsRevoked = await setPassword(prisma, user.id, newPassword, { exceptSessionId: req.user.sid })
+    if (!req.user.sid) await setSessionCookies(req, res, user)
+    await recordAudit(prisma, req, {
+      entity: 'user', entityId: user.id, action: 'password_change', after: { password_changed_at: new Date() },
+    })
+    res.json({ ok: true, sessions_revoked: sessionsRevoked })
+  } catch (e) { next(e) }
+}
+
+// POST /api/auth/password/forgot - { email }. Siempre responde lo mismo, exista
+// o no la cuenta, para no revelar qué correos están registrados.
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    const email = String(req.body?.email || '').trim()
+    if (!email) return res.status(400).json({ message: 'email es requerido' })
+    const user = await prisma.user.findUnique({ where: { email } })
+    if (user) {
+      const { token } = await createPasswordReset(prisma, user.id, { ip: req.ip })
+      try {
+        await sendMail(passwordResetMail(user, token))
+      } catch (e) {
+        // El enlace queda creado; el error se ve en el log, no en la respuesta.
+        console.error('[auth] no se pudo enviar el correo de restablecimiento:', e.message)
+      }
+    }
+    res.json({ message: 'Si el correo está registrado, te enviamos un enlace para restablecer la contraseña' })
+  } catch (e) { next(e) }
+}
+
+// POST /api/auth/password/reset - { token, new_password }
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const { token, new_password: newPassword } = req.body || {}
+    if (!token || !newPassword) return res.status(400).json({ message: 'token y new_password son requeridos' })
+    validateNewPassword(newPassword)
+    const userId = await consumePasswordReset(prisma, String(token))
+    if (!userId) return res.status(400).json({ message: 'El enlace no es válido o ya venció; solicita uno nuevo' })
+    const sessionsRevoked = await setPassword(prisma, userId, newPassword)
+    res.json({ ok: true, sessions_revoked: sessionsRevoked })
+  } catch (e) { next(e) }
+}
+
+// DELETE /api/auth/users/:id/2fa - quitar el 2FA de otro usuario (perdió el
+// celular y los códigos). Cierra sus sesiones; al entrar, si su rol lo exige,
+// se vuelve a inscribir.
+exports.resetUserTwoFactor = async (req, res, next) => {
+  try {
+    const { id } = req.params
+    const user = await prisma.user.findFirst({
+      where: { id, user_companies: { some: { company_id: requireCompany(req) } } },
+    })
+    if (!user) return res.status(404).json({ message: 'Usuario no encontrado' })
+    if (!user.totp_enabled && !user.totp_secret) return res.json({ enabled: false })
+    await disableTwoFactor(prisma, user.id)
+    await refreshTokens.revokeAll(user.id)
+    await recordAudit(prisma, req, {
+      entity: 'user', entityId: user.id, action: 'two_factor_reset', before: { totp_enabled: user.totp_enabled },
+    })
+    res.json({ enabled: false })
+  } catch (e) { next(e) }
+}
+
+// POST /api/auth/users/:id/unlock - quitar el bloqueo por intentos fallidos
+exports.unlockUser = async (req, res, next) => {
+  try {
+    const user = await prisma.user.findFirst({
+      where: { id: req.params.id, user_companies: { some: { company_id: requireCompany(req) } } },
+      select: { id: true, failed_login_count: true, locked_until: true },
+    })
+    if (!user) return res.status(404).json({ message: 'Usuario no encontrado' })
+    await unlockAccount(prisma, user.id)
+    await recordAudit(prisma, req, {
+      entity: 'user', entityId: user.id, action: 'unlock',
+      before: { failed_login_count: user.failed_login_count, locked_until: user.locked_until },
+    })
+    res.json({ locked_until: null, failed_login_count: 0 })
+  } catch (e) { next(e) }
+}
+
+// GET /api/auth/users/:id/login-history - intentos de inicio de sesión
+// ?success=true|false, ?anomalies=true (solo los que dispararon alertas)
+exports.loginHistory = async (req, res, next) => {
+  try {
+    const user = await findCompanyUser(req)
+    if (!user) return res.status(404).json({ message: 'Usuario no encontrado' })
+    const page = Math.max(1, Number(req.query.page ?? 1))
+    const pageSize = Math.min(100, Math.max(1, Number(req.query.pageSize ?? 20)))
+    const where = { user_id: user.id }
+    if (req.query.success === 'true' || req.query.success === 'false') where.success = req.query.success === 'true'
+    if (req.query.anomalies === 'true') where.NOT = { anomalies: { isEmpty: true } }
+
+    const [totalItems, items] = await Promise.all([
+      prisma.loginEvent.count({ where }),
+      prisma.loginEvent.findMany({
+        where,
+        select: { id: true, success: true, reason: true, ip: true, user_agent: true, anomalies: true, created_at: true },
+        orderBy: { created_at: 'desc' },
+        skip: (page - 1) * pageSize,
+        take: pageSize,
+      }),
+    ])
+    res.json({ items, page, pageSize, totalItems, totalPages: Math.max(1, Math.ceil(totalItems / pageSize)) })
+  } catch (e) { next(e) }
+}
+
 // GET /api/auth/users/:id - Obtener un usuario específico
 exports.getById = async (req, res, next) => {
   try {
@@ -350,6 +817,10 @@ exports.getById = async (req, res, next) => {
       cash_register_id: user.cash_register_id,
       cash_register: user.cashRegister,
       default_branch_id: user.default_branch_id,
+      active: user.active,
+      locked_until: user.locked_until,
+      failed_login_count: user.failed_login_count,
+      two_factor_enabled: user.totp_enabled,
       branches: user.user_branches.map((ub) => ub.branch),
       companies: user.user_companies.map((uc) => uc.company),
       created_at: user.created_at,
@@ -362,7 +833,7 @@ exports.getById = async (req, res, next) => {
 exports.update = async (req, res, next) => {
   try {
     const { id } = req.params
-    const { name, email, role_id, password, is_employee, photo_url, phone, address, hire_date, cash_register_id } = req.body || {}
+    const { name, email, role_id, password, active, is_employee, photo_url, phone, address, hire_date, cash_register_id } = req.body || {}
 
     // Validar que el usuario existe y pertenece a la empresa activa
     const existingUser = await prisma.user.findFirst({
@@ -385,6 +856,12 @@ exports.update = async (req, res, next) => {
     if (name) updateData.name = name
     if (email) updateData.email = email
     if (role_id !== undefined) updateData.role_id = Number(role_id)
+    if (active !== undefined) {
+      if (!active && req.user?.sub === id) {
+        return res.status(400).json({ message: 'No puedes desactivar tu propia cuenta' })
+      }
+      updateData.active = Boolean(active)
+    }
     if (is_employee !== undefined) updateData.is_employee = Boolean(is_employee)
     if (photo_url !== undefined) updateData.photo_url = photo_url || null
     if (phone !== undefined) updateData.phone = phone || null
@@ -404,9 +881,9 @@ exports.update = async (req, res, next) => {
       }
     }
 
-    // Si se proporciona nueva contraseña, hashearla
+    // Contraseña nueva: mismo camino que el cambio propio (cierra sus sesiones)
     if (password && password.trim() !== '') {
-      updateData.password = await bcrypt.hash(password, 10)
+      await setPassword(prisma, id, password)
     }
 
     // Actualizar usuario
@@ -415,6 +892,13 @@ exports.update = async (req, res, next) => {
       data: updateData,
       include: { role: true, cashRegister: { select: { id: true, name: true, code: true, active: true } } }
     })
+    // Un rol distinto o la desactivación cortan sus sesiones: el access token
+    // lleva rol y permisos, no debe seguir sirviendo con los viejos.
+    // (La contraseña ya las cerró en setPassword.)
+    const roleChanged = updateData.role_id !== undefined && updateData.role_id !== existingUser.role_id
+    const deactivated = updateData.active === false && existingUser.active
+    if (roleChanged || deactivated) await refreshTokens.revokeAll(id)
+    await recordAudit(prisma, req, { entity: 'user', entityId: id, action: 'update', before: existingUser, after: updatedUser })
 
     res.json({
       id: updatedUser.id,
@@ -422,6 +906,7 @@ exports.update = async (req, res, next) => {
       email: updatedUser.email,
       role_id: updatedUser.role_id,
       role: updatedUser.role,
+      active: updatedUser.active,
       is_employee: updatedUser.is_employee || false,
       photo_url: updatedUser.photo_url,
       phone: updatedUser.phone,
@@ -453,8 +938,11 @@ exports.delete = async (req, res, next) => {
       return res.status(400).json({ message: 'No puedes eliminar tu propia cuenta' })
     }
 
-    // Eliminar usuario
+    // Cerrar sus sesiones antes de borrar (el borrado en cascada no limpia
+    // la caché de sesiones abiertas de Auth)
+    await refreshTokens.revokeAll(id)
     await prisma.user.delete({ where: { id } })
+    await recordAudit(prisma, req, { entity: 'user', entityId: id, action: 'delete', before: user })
 
     res.json({ message: 'Usuario eliminado correctamente', id })
   } catch (e) { next(e) }
@@ -480,6 +968,13 @@ exports.getPermissions = async (req, res, next) => {
   } catch (e) { next(e) }
 }
 
+// GET /api/auth/restrictions - Catálogo de restricciones que se pueden poner a un rol
+exports.getRestrictions = async (req, res, next) => {
+  try {
+    res.json(Object.entries(RESTRICTIONS).map(([key, def]) => ({ key, ...def })))
+  } catch (e) { next(e) }
+}
+
 // GET /api/auth/roles/with-permissions - Listar roles con sus permisos asociados (paginado)
 exports.getRolesWithPermissions = async (req, res, next) => {
   try {
@@ -507,6 +1002,8 @@ exports.getRolesWithPermissions = async (req, res, next) => {
     const items = roles.map(role => ({
       id: role.id,
       name: role.name,
+      require_2fa: role.require_2fa,
+      restrictions: role.restrictions || null,
       permissions: role.permissions
         .map(rp => rp.permission)
         .filter(Boolean)
@@ -557,6 +1054,8 @@ exports.getRoleWithPermissions = async (req, res, next) => {
     const mapped = {
       id: role.id,
       name: role.name,
+      require_2fa: role.require_2fa,
+      restrictions: role.restrictions || null,
       permissions: role.permissions
         .map(rp => rp.permission)
         .filter(Boolean)
@@ -576,17 +1075,24 @@ exports.getRoleWithPermissions = async (req, res, next) => {
 // POST /api/auth/roles - Crear rol con permisos opcionales
 exports.createRole = async (req, res, next) => {
   try {
-    const { name, permissions = [] } = req.body || {}
+    const { name, permissions = [], require_2fa, restrictions } = req.body || {}
     if (!name || String(name).trim() === '') {
       return res.status(400).json({ message: 'El nombre del rol es requerido' })
     }
+    const normalizedRestrictions = normalizeRestrictions(restrictions)
 
     const existing = await prisma.role.findUnique({ where: { name } })
     if (existing) {
       return res.status(409).json({ message: 'Ya existe un rol con ese nombre' })
     }
 
-    const role = await prisma.role.create({ data: { name } })
+    const role = await prisma.role.create({
+      data: {
+        name,
+        require_2fa: require_2fa === true,
+        ...(normalizedRestrictions && { restrictions: normalizedRestrictions }),
+      },
+    })
 
     if (Array.isArray(permissions) && permissions.length > 0) {
       // Se guarda lo marcado MÁS lo que arrastra: "editar" sin "ver" no sirve.
@@ -608,6 +1114,10 @@ exports.createRole = async (req, res, next) => {
       }
     })
 
+    await recordAudit(prisma, req, {
+      entity: 'role', entityId: created.id, action: 'create', after: roleAuditView(created), keepNested: true,
+    })
+
     res.status(201).json(created)
   } catch (e) { next(e) }
 }
@@ -616,14 +1126,17 @@ exports.createRole = async (req, res, next) => {
 exports.updateRole = async (req, res, next) => {
   try {
     const { id } = req.params
-    const { name, permissions } = req.body || {}
+    const { name, permissions, require_2fa, restrictions } = req.body || {}
 
     const roleId = Number(id)
     if (Number.isNaN(roleId)) {
       return res.status(400).json({ message: 'ID de rol inválido' })
     }
 
-    const role = await prisma.role.findUnique({ where: { id: roleId } })
+    const role = await prisma.role.findUnique({
+      where: { id: roleId },
+      include: { permissions: { include: { permission: true } } }
+    })
     if (!role) {
       return res.status(404).json({ message: 'Rol no encontrado' })
     }
@@ -642,6 +1155,18 @@ exports.updateRole = async (req, res, next) => {
       })
     }
 
+    // Exigir 2FA: quien ya tiene sesión y no lo activó debe inscribirse al
+    // renovar la sesión (ver refresh)
+    if (require_2fa !== undefined) {
+      await prisma.role.update({ where: { id: roleId }, data: { require_2fa: require_2fa === true } })
+    }
+
+    // Restricciones: el admin no lleva ninguna (igual que con los permisos)
+    if (restrictions !== undefined && role.name.toLowerCase() !== 'admin') {
+      const normalized = normalizeRestrictions(restrictions)
+      await prisma.role.update({ where: { id: roleId }, data: { restrictions: normalized ?? Prisma.DbNull } })
+    }
+
     // Actualizar permisos si se envía arreglo
     if (Array.isArray(permissions)) {
       // No permitir cambiar permisos del rol admin: siempre tiene todos
@@ -672,6 +1197,11 @@ exports.updateRole = async (req, res, next) => {
       }
     })
 
+    await recordAudit(prisma, req, {
+      entity: 'role', entityId: roleId, action: 'update',
+      before: roleAuditView(role), after: roleAuditView(updated), keepNested: true,
+    })
+
     res.json(updated)
   } catch (e) { next(e) }
 }
@@ -687,7 +1217,7 @@ exports.deleteRole = async (req, res, next) => {
 
     const role = await prisma.role.findUnique({
       where: { id: roleId },
-      include: { users: true }
+      include: { users: true, permissions: { include: { permission: true } } }
     })
 
     if (!role) {
@@ -722,6 +1252,14 @@ exports.deleteRole = async (req, res, next) => {
 
       // Eliminar el rol
       await tx.role.delete({ where: { id: roleId } })
+      await recordAudit(tx, req, {
+        entity: 'role',
+        entityId: roleId,
+        action: 'delete',
+        before: { ...roleAuditView(role), users: role.users.length },
+        after: { reassigned_to: fallbackRole.name, reassigned_users: reassigned.count },
+        keepNested: true,
+      })
 
       return {
         reassignedUsers: reassigned.count,
@@ -740,7 +1278,9 @@ exports.deleteRole = async (req, res, next) => {
   } catch (e) { next(e) }
 }
 
-// POST /api/auth/validate-admin - Validar credenciales de administrador
+// POST /api/auth/validate-admin - Validar credenciales de administrador.
+// Obsoleto: solo dice sí/no y el POS decide qué desbloquea. Las excepciones
+// de caja van por POST /api/auth/overrides, que el servidor sí verifica.
 exports.validateAdmin = async (req, res, next) => {
   try {
     const { username, password } = req.body || {}
@@ -785,6 +1325,76 @@ exports.validateAdmin = async (req, res, next) => {
   } catch (e) { next(e) }
 }
 
+// POST /api/auth/overrides - { email, password, code?, recovery_code?, action, target_id?, product_id?, price?, discount?, items?, reason }
+// El supervisor se identifica en la sesión del cajero y autoriza una acción
+// concreta. Los intentos fallidos cuentan para el bloqueo de SU cuenta.
+exports.createOverride = async (req, res, next) => {
+  try {
+    const companyId = requireCompany(req)
+    const { action, target, reason, bound, items } = normalizeOverrideRequest(req.body)
+    const { email, password } = req.body || {}
+    if (!email || !password) {
+      return res.status(400).json({ message: 'Correo y contraseña del supervisor requeridos' })
+    }
+
+    const supervisor = await prisma.user.findUnique({ where: { email: String(email) }, include: userWithPerms })
+    if (!supervisor) return res.status(401).json({ message: 'Credenciales inválidas' })
+    const passwordOk = await bcrypt.compare(String(password), supervisor.password)
+    if (isLocked(supervisor)) return rejectLockedAccount(req, res, supervisor, passwordOk)
+    if (!passwordOk) {
+      await countFailedLogin(req, supervisor, 'BAD_PASSWORD')
+      return res.status(401).json({ message: 'Credenciales inválidas' })
+    }
+    if (!supervisor.active) return res.status(403).json({ message: 'El usuario del supervisor está desactivado' })
+    if (supervisor.totp_enabled) {
+      try {
+        await verifySecondFactor(prisma, supervisor, req.body)
+      } catch (e) {
+        return await rejectSecondFactor(req, res, supervisor, e)
+      }
+    }
+    await clearFailedLogins(prisma, supervisor)
+
+    const isAdmin = String(supervisor.role?.name || '').toLowerCase() === 'admin'
+    const inCompany = supervisor.user_companies.some((uc) => uc.company.id === companyId)
+    if (!supervisorCanAuthorize(supervisor) || (!isAdmin && !inCompany)) {
+      return res.status(403).json({ message: 'Este usuario no puede autorizar excepciones de caja en esta empresa' })
+    }
+
+    const resolved = await resolveOverrideTarget(prisma, action, target, companyId)
+    // El carrito se compara como lo ve la venta: en unidad base
+    const binding = overrideBinding(action, items
+      ? { ...bound, cart_hash: cartHash(await convertLinesToBase(prisma, items)) }
+      : bound)
+    const { token, override } = await issueOverride(prisma, {
+      companyId,
+      branchId: resolved?.branchId || req.branchId || null,
+      action,
+      targetId: resolved?.id || null,
+      binding,
+      reason,
+      supervisorId: supervisor.id,
+      requestedBy: req.user.sub,
+    })
+    await recordAudit(prisma, req, {
+      entity: 'manager_override',
+      entityId: override.id,
+      action: 'create',
+      after: override,
+      branchId: resolved?.branchId || req.branchId || null,
+    })
+    res.status(201).json({
+      token,
+      id: override.id,
+      action: override.action,
+      target_id: override.target_id,
+      ...bound,
+      expires_at: override.expires_at,
+      authorized_by: { id: supervisor.id, name: supervisor.name },
+    })
+  } catch (e) { next(e) }
+}
+
 // POST /api/auth/users/:id/photo - Subir foto de usuario
 exports.uploadPhoto = async (req, res, next) => {
   try {
@@ -0,0 +1,235 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Suscripciones a webhooks de la empresa y su registro de entregas. El secreto
+ * solo se muestra al crear y al rotar; el resto de respuestas lo omite.
+ */
+
+const { prisma } = require('../models/prisma')
+const {
+  WEBHOOK_EVENTS,
+  TEST_EVENT,
+  generateWebhookSecret,
+  normalizeEvents,
+  normalizeWebhookUrl,
+  assertPublicWebhookUrl,
+  enqueueWebhookEvent,
+  deliverWebhook,
+} = require('../services/webhooks')
+const { recordAudit } = require('../services/auditLog')
+
+const SECRET_OMIT = { secret: true }
+const DELIVERY_LIST_OMIT = { payload: true }
+
+async function findSubscription(req) {
+  return prisma.webhookSubscription.findFirst({
+    where: { id: String(req.params.id), company_id: req.companyId },
+  })
+}
+
+/**
+ * Envío inmediato desde la API. La fila queda reservada como la reserva el
+ * despachador, para que el scheduler no la mande a la vez.
+ */
+async function deliverNow(id) {
+  await prisma.webhookDelivery.update({
+    where: { id },
+    data: { status: 'PENDING', next_attempt_at: new Date(Date.now() + 2 * 60 * 1000) },
+  })
+  return deliverWebhook(prisma, id, { force: true })
+}
+
+function withoutSecret(subscription) {
+  const { secret: _secret, ...rest } = subscription
+  return rest
+}
+
+// GET /api/webhooks/events
+exports.events = async (req, res) => {
+  res.json({ events: WEBHOOK_EVENTS })
+}
+
+// GET /api/webhooks
+exports.list = async (req, res, next) => {
+  try {
+    const items = await prisma.webhookSubscription.findMany({
+      where: { company_id: req.companyId },
+      omit: SECRET_OMIT,
+      orderBy: { created_at: 'asc' },
+    })
+    res.json({ items })
+  } catch (e) {
+    next(e)
+  }
+}
+
+// POST /api/webhooks — { url, events, description?, secret? }
+exports.create = async (req, res, next) => {
+  try {
+    const body = req.body || {}
+    const secret = body.secret ? String(body.secret).trim() : generateWebhookSecret()
+    if (secret.length < 16 || secret.length > 100) {
+      return res.status(400).json({ message: 'secret debe tener entre 16 y 100 caracteres' })
+    }
+    const url = normalizeWebhookUrl(body.url)
+    await assertPublicWebhookUrl(url)
+    const created = await prisma.webhookSubscription.create({
+      data: {
+        company_id: req.companyId,
+        url,
+        events: normalizeEvents(body.events),
+        description: body.description ? String(body.description).trim().slice(0, 200) : null,
+        active: body.active !== false,
+        secret,
+        created_by: req.user?.sub || null,
+      },
+    })
+    await recordAudit(prisma, req, { entity: 'webhook', entityId: created.id, action: 'create', after: created, branchId: null })
+    res.status(201).json(created)
+  } catch (e) {
+    next(e)
+  }
+}
+
+// PUT /api/webhooks/:id — { url?, events?, description?, active? }
+exports.update = async (req, res, next) => {
+  try {
+    const existing = await findSubscription(req)
+    if (!existing) return res.status(404).json({ message: 'Suscripción no encontrada' })
+    const body = req.body || {}
+    const data = {}
+    if (body.url !== undefined) {
+      data.url = normalizeWebhookUrl(body.url)
+      await assertPublicWebhookUrl(data.url)
+    }
+    if (body.events !== undefined) data.events = normalizeEvents(body.events)
+    if (body.description !== undefined) data.description = body.description ? String(body.description).trim().slice(0, 200) : null
+    if (body.active !== undefined) data.active = body.active === true || body.active === 'true'
+    const updated = await prisma.webhookSubscription.update({ where: { id: existing.id }, data })
+    await recordAudit(prisma, req, { entity: 'webhook', entityId: existing.id, action: 'update', before: existing, after: updated, branchId: null })
+    res.json(withoutSecret(updated))
+  } catch (e) {
+    next(e)
+  }
+}
+
+// DELETE /api/webhooks/:id — también borra su registro de entregas
+exports.remove = async (req, res, next) => {
+  try {
+    const existing = await findSubscription(req)
+    if (!existing) return res.status(404).json({ message: 'Suscripción no encontrada' })
+    await prisma.webhookSubscription.delete({ where: { id: existing.id } })
+    await recordAudit(prisma, req, { entity: 'webhook', entityId: existing.id, action: 'delete', before: existing, branchId: null })
+    res.json({ ok: true })
+  } catch (e) {
+    next(e)
+  }
+}
+
+// POST /api/webhooks/:id/rotate-secret — el viejo deja de valer en el acto
+exports.rotateSecret = async (req, res, next) => {
+  try {
+    const existing = await findSubscription(req)
+    if (!existing) return res.status(404).json({ message: 'Suscripción no encontrada' })
+    const updated = await prisma.webhookSubscription.update({
+      where: { id: existing.id },
+      data: { secret: generateWebhookSecret() },
+    })
+    await recordAudit(prisma, req, { entity: 'webhook', entityId: existing.id, action: 'rotate_secret', before: existing, after: updated, branchId: null })
+    res.json(updated)
+  } catch (e) {
+    next(e)
+  }
+}
+
+// POST /api/webhooks/:id/test — manda un evento de prueba y espera el resultado
+exports.test = async (req, res, next) => {
+  try {
+    const existing = await findSubscription(req)
+    if (!existing) return res.status(404).json({ message: 'Suscripción no encontrada' })
+    if (!existing.active) return res.status(409).json({ message: 'La suscripción está desactivada' })
+    const { eventId } = await enqueueWebhookEvent(prisma, {
+      companyId: req.companyId,
+      event: TEST_EVENT,
+      subscriptionId: existing.id,
+      data: { message: 'Evento de prueba', requested_by: req.user?.name || null },
+    })
+    const queued = await prisma.webhookDelivery.findFirst({ where: { event_id: eventId }, select: { id: true } })
+    res.json(await deliverNow(queued.id))
+  } catch (e) {
+    next(e)
+  }
+}
+
+// GET /api/webhooks/deliveries — filtros: subscription_id, status, event
+exports.listDeliveries = async (req, res, next) => {
+  try {
+    const q = req.query || {}
+    const page = Math.max(1, Number(q.page ?? 1))
+    const pageSize = Math.min(200, Math.max(1, Number(q.pageSize ?? 50)))
+    const where = { company_id: req.companyId }
+    if (q.subscription_id) where.subscription_id = String(q.subscription_id)
+    if (q.status && String(q.status).toUpperCase() !== 'ALL') where.status = String(q.status).toUpperCase()
+    if (q.event) where.event = String(q.event)
+
+    const totalItems = await prisma.webhookDelivery.count({ where })
+    const totalPages = Math.max(1, Math.ceil(totalItems / pageSize))
+    const safePage = Math.min(page, totalPages)
+    const items = await prisma.webhookDelivery.findMany({
+      where,
+      omit: DELIVERY_LIST_OMIT,
+      include: { subscription: { select: { id: true, url: true } } },
+      orderBy: { created_at: 'desc' },
+      skip: (safePage - 1) * pageSize,
+      take: pageSize,
+    })
+    res.json({
+      items,
+      page: safePage,
+      pageSize,
+      totalPages,
+      totalItems,
+      nextPage: safePage < totalPages ? safePage + 1 : null,
+      prevPage: safePage > 1 ? safePage - 1 : null,
+    })
+  } catch (e) {
+    next(e)
+  }
+}
+
+// GET /api/webhooks/deliveries/:deliveryId — con payload y código de respuesta del receptor
+exports.getDelivery = async (req, res, next) => {
+  try {
+    const delivery = await prisma.webhookDelivery.findFirst({
+      where: { id: String(req.params.deliveryId), company_id: req.companyId },
+      include: { subscription: { select: { id: true, url: true } } },
+    })
+    if (!delivery) return res.status(404).json({ message: 'Entrega no encontrada' })
+    res.json(delivery)
+  } catch (e) {
+    next(e)
+  }
+}
+
+// POST /api/webhooks/deliveries/:deliveryId/redeliver — reenvía ya (mismo evento, misma firma de cuerpo)
+exports.redeliver = async (req, res, next) => {
+  try {
+    const delivery = await prisma.webhookDelivery.findFirst({
+      where: { id: String(req.params.deliveryId), company_id: req.companyId },
+      select: { id: true },
+    })
+    if (!delivery) return res.status(404).json({ message: 'Entrega no encontrada' })
+    // Si el reenvío falla queda en la cola con su espera normal.
+    res.json(await deliverNow(delivery.id))
+  } catch (e) {
+    next(e)
+  }
+}
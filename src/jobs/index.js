@@ -0,0 +1,175 @@
+/**
+ * Tareas programadas del backend. Cada una con nombre, horario cron (zona
+ * JOBS_TIMEZONE, por defecto Guatemala) y su función. El horario se cambia
+ * por variable de entorno sin tocar código: JOB_SCHEDULE_STOCK_INTEGRITY="30 2 * * *",
+ * o "off" para apagarla (sigue pudiéndose correr a mano desde /api/jobs).
+ */
+
+const { prisma } = require('../models/prisma')
+const { expireCommercialDocuments } = require('../services/commercialDocumentExpiry')
+const { postPendingOperations } = require('../services/accounting/postingEngine')
+const { SETTING_KEY } = require('../services/accounting/core')
+const { syncLotExpiryAlerts } = require('../services/lots')
+const { checkStockIntegrity, describeStockIssues } = require('../services/stockIntegrity')
+const { recomputeClassifications } = require('../services/inventoryClassification')
+const { expireStoredValue } = require('../services/storedValueLedger')
+const { dispatchDueWebhooks } = require('../services/webhooks')
+const { parseCron } = require('../services/cronSchedule')
+const { runJob, createJobScheduler } = require('../services/jobRunner')
+
+/** Tope de tandas por empresa y corrida: lo que no entre lo toma la siguiente. */
+const AUTO_POST_MAX_BATCHES = 10
+/** Descuadres que se guardan en el resultado (el total va completo). */
+const STOCK_ISSUES_IN_RESULT = 100
+/** Entregas que reserva cada tanda del despacho de webhooks. */
+const WEBHOOK_BATCH = 20
+
+async function autoPostAccounting() {
+  const settings = await prisma.systemSetting.findMany({
+    where: { key: SETTING_KEY, company: { active: true } },
+    select: { company_id: true },
+  })
+  const summary = { companies: 0, posted: 0, skipped: 0, failed: [] }
+  for (const { company_id: companyId } of settings) {
+    summary.companies += 1
+    try {
+      for (let batch = 0; batch < AUTO_POST_MAX_BATCHES; batch++) {
+        const result = await postPendingOperations(prisma, null, companyId)
+        summary.posted += result.posted
+        summary.skipped += result.skipped.length
+        // Las omitidas (falta cuenta, periodo cerrado) siguen pendientes: si
+        // la tanda no posteó nada, repetirla daría lo mismo.
+        if (!result.hasMore || result.posted === 0) break
+      }
+    } catch (e) {
+      // Una empresa mal configurada no detiene a las demás.
+      summary.failed.push({ company_id: companyId, error: e.message })
+    }
+  }
+  if (summary.failed.length === summary.companies && summary.companies > 0) {
+    throw new Error(`Ninguna empresa se pudo contabilizar: ${summary.failed[0].error}`)
+  }
+  return summary
+}
+
+async function stockIntegrity() {
+  const report = await checkStockIntegrity(prisma)
+  return {
+    total: report.total,
+    branchVsLocation: report.branchVsLocation.length,
+    companyVsBranch: report.companyVsBranch.length,
+    orphanBranches: report.orphanBranches.length,
+    issues: describeStockIssues(report).slice(0, STOCK_ISSUES_IN_RESULT),
+  }
+}
+
+/**
+ * Lo que quedó pendiente de webhooks: el primer envío que no salió tras el
+ * commit y los reintentos con espera. Tandas hasta vaciar lo que ya toca.
+ */
+async function webhookDelivery() {
+  const total = { delivered: 0, retrying: 0, failed: 0 }
+  for (;;) {
+    const summary = await dispatchDueWebhooks(prisma, { limit: WEBHOOK_BATCH })
+    total.delivered += summary.delivered
+    total.retrying += summary.retrying
+    total.failed += summary.failed
+    if (summary.delivered + summary.retrying + summary.failed < WEBHOOK_BATCH) break
+  }
+  return total
+}
+
+const JOB_DEFINITIONS = [
+  {
+    name: 'commercial-document-expiry',
+    description: 'Vence cotizaciones y pedidos pasados de fecha y libera sus reservas',
+    schedule: '0 * * * *',
+    run: () => expireCommercialDocuments(),
+  },
+  {
+    name: 'accounting-auto-post',
+    description: 'Contabiliza las operaciones pendientes de cada empresa con contabilidad configurada',
+    schedule: '30 1 * * *',
+    timeoutMs: 60 * 60 * 1000,
+    run: autoPostAccounting,
+  },
+  {
+    name: 'lot-expiry-alerts',
+    description: 'Genera y resuelve alertas de lotes vencidos o por vencer',
+    schedule: '0 6 * * *',
+    run: () => syncLotExpiryAlerts(prisma, { force: true, throwOnError: true }),
+  },
+  {
+    name: 'stock-integrity',
+    description: 'Revisa que existencias por empresa, sucursal y ubicación cuadren',
+    schedule: '0 3 * * *',
+    run: stockIntegrity,
+  },
+  {
+    name: 'inventory-classification',
+    description: 'Recalcula la clasificación ABC/XYZ de productos por sucursal',
+    schedule: '0 4 * * 1',
+    timeoutMs: 60 * 60 * 1000,
+    run: () => recomputeClassifications(prisma),
+  },
+  {
+    name: 'stored-value-expiry',
+    description: 'Vence saldos a favor y tarjetas de regalo pasados de fecha',
+    schedule: '15 0 * * *',
+    run: () => expireStoredValue(prisma),
+  },
+  {
+    name: 'webhook-delivery',
+    description: 'Envía los webhooks pendientes y los reintentos que ya tocan',
+    schedule: '* * * * *',
+    run: webhookDelivery,
+  },
+]
+
+function scheduleFor(def) {
+  const override = process.env[`JOB_SCHEDULE_${def.name.toUpperCase().replace(/-/g, '_')}`]
+  if (override === undefined || override.trim() === '') return def.schedule
+  if (override.trim().toLowerCase() === 'off') return null
+  parseCron(override) // un horario mal escrito falla al arrancar, no en silencio
+  return override.trim()
+}
+
+const JOBS = JOB_DEFINITIONS.map((def) => ({ ...def, schedule: scheduleFor(def) }))
+
+function getJob(name) {
+  return JOBS.find((job) => job.name === name) || null
+}
+
+/** Corrida manual (API). null si la tarea ya está corriendo en alguna instancia. */
+function runJobNow(name, { userId = null } = {}) {
+  const job = getJob(name)
+  if (!job) {
+    const err = new Error('Tarea no encontrada')
+    err.status = 404
+    throw err
+  }
+  return runJob(prisma, job, { trigger: 'MANUAL', userId })
+}
+
+let scheduler = null
+
+function startJobScheduler() {
+  if (scheduler) return
+  scheduler = createJobScheduler(prisma, JOBS, {
+    tickMs: parseInt(process.env.JOBS_TICK_MS || '', 10) || undefined,
+  })
+  scheduler.start()
+}
+
+function stopJobScheduler() {
+  if (scheduler) scheduler.stop()
+  scheduler = null
+}
+
+module.exports = {
+  JOBS,
+  getJob,
+  runJobNow,
+  startJobScheduler,
+  stopJobScheduler,
+}
@@ -0,0 +1,26 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+const rateLimit = require('express-rate-limit')
+const { rateLimitFor } = require('../services/apiKeys')
+
+// Límite por llave de API (requests por minuto, configurable por llave). Va
+// después de resolveTenant, que deja req.apiKey; sin llave no aplica.
+const apiKeyRateLimit = rateLimit({
+  windowMs: 60 * 1000,
+  max: (req) => rateLimitFor(req.apiKey),
+  skip: (req) => !req.apiKey,
+  keyGenerator: (req) => req.apiKey.id,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { message: 'La llave de API superó su límite de requests por minuto' },
+})
+
+module.exports = { apiKeyRateLimit }
@@ -11,8 +11,26 @@
 const jwt_simple = require('jwt-simple')
 const moment = require('moment')
 const { secret, ACCESS_COOKIE } = require('../config/security')
+const { prisma } = require('../models/prisma')
+const { isSessionActive } = require('../services/refreshTokens')
+const { readApiKey, authenticateApiKey, apiKeyPrincipal } = require('../services/apiKeys')
+
+exports.Auth = async function (req, res, next) {
+  // Llave de API (integraciones). resolveTenant ya la validó; si no pasó por
+  // ahí, se valida aquí.
+  const rawKey = readApiKey(req)
+  if (rawKey) {
+    try {
+      const apiKey = req.apiKey || (await authenticateApiKey(prisma, rawKey, { ip: req.ip }))
+      if (!apiKey) return res.status(401).send({ message: 'Llave de API inválida, vencida o revocada' })
+      req.apiKey = apiKey
+      req.user = apiKeyPrincipal(apiKey)
+      return next()
+    } catch (e) {
+      return next(e)
+    }
+  }
 
-exports.Auth = function (req, res, next) {
   // Cookie httpOnly primero; fallback al header Bearer (curl/tests/herramientas).
   const cookieToken = req.cookies && req.cookies[ACCESS_COOKIE]
   const headerToken = req.headers.authorization
@@ -24,16 +42,40 @@ exports.Auth = function (req, res, next) {
     return res.status(401).send({ message: 'No autenticado' })
   }
 
+  let payload
   try {
-    const payload = jwt_simple.decode(token, secret)
-    if (payload.exp <= moment().unix()) {
-      return res.status(401).send({ message: 'El token ya ha expirado' })
-    }
-    req.user = payload
-    next()
+    payload = jwt_simple.decode(token, secret)
   } catch (error) {
     return res.status(401).send({ message: 'El token no es válido' })
   }
+  if (payload.exp <= moment().unix()) {
+    return res.status(401).send({ message: 'El token ya ha expirado' })
+  }
+  // Los tokens de un paso del login (2FA pendiente) no son sesión
+  if (payload.purpose) {
+    return res.status(401).send({ message: 'El token no es válido' })
+  }
+  // Sesión cerrada (logout en otro lado, cambio de rol o contraseña, usuario desactivado)
+  try {
+    if (payload.sid && !(await isSessionActive(payload.sid))) {
+      return res.status(401).send({ message: 'La sesión fue cerrada' })
+    }
+  } catch (e) {
+    return next(e)
+  }
+  req.user = payload
+  next()
+}
+
+/**
+ * Rutas solo para personas (cuenta propia, usuarios, llaves de API): una llave
+ * no administra cuentas ni crea otras llaves.
+ */
+exports.rejectApiKey = function (req, res, next) {
+  if (req.apiKey || readApiKey(req)) {
+    return res.status(403).send({ message: 'Esta operación no está disponible con llave de API' })
+  }
+  next()
 }
 
 exports.isRole = function (roleName) {
@@ -79,6 +121,31 @@ function isAdminUser(user) {
   return typeof roleName === 'string' && roleName.toLowerCase() === 'admin'
 }
 
+/** Correos de quienes administran el servidor (PLATFORM_ADMIN_EMAILS, separados por coma). */
+function platformAdminEmails() {
+  return String(process.env.PLATFORM_ADMIN_EMAILS || '')
+    .split(',')
+    .map((e) => e.trim().toLowerCase())
+    .filter(Boolean)
+}
+
+/**
+ * Rutas del servidor, no de una empresa (tareas programadas): los roles son
+ * globales y el admin de una empresa no puede ver ni disparar lo de las demás.
+ * Solo pasan las personas listadas en PLATFORM_ADMIN_EMAILS; sin la variable,
+ * nadie.
+ */
+exports.isPlatformAdmin = function (req, res, next) {
+  const user = req.user
+  if (!user) return res.status(401).send({ message: 'No autenticado' })
+  if (req.apiKey) return res.status(403).send({ message: 'Esta operación no está disponible con llave de API' })
+  const email = String(user.email || '').trim().toLowerCase()
+  if (!email || !platformAdminEmails().includes(email)) {
+    return res.status(403).send({ message: 'Solo un administrador de la plataforma' })
+  }
+  next()
+}
+
 /**
  * Middleware basado en permisos
  * Acepta uno o varios códigos de permiso y autoriza si el usuario tiene
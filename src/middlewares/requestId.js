@@ -0,0 +1,27 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Id por request (req.id + header X-Request-Id en la respuesta). Si el proxy
+ * ya mandó uno se respeta, así el log de la bitácora cuadra con el del proxy.
+ */
+
+const crypto = require('crypto')
+
+const SAFE_ID = /^[A-Za-z0-9._:-]{1,64}$/
+
+function requestId(req, res, next) {
+  const incoming = String(req.headers['x-request-id'] || '').trim()
+  req.id = SAFE_ID.test(incoming) ? incoming : crypto.randomUUID()
+  res.setHeader('X-Request-Id', req.id)
+  next()
+}
+
+module.exports = { requestId }
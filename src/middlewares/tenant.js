@@ -23,12 +23,18 @@
  *
  * `X-Branch-Id: all` = vista consolidada de la empresa. Solo GET y solo con
  * permiso `branches.view_all` (o admin).
+ *
+ * Con llave de API (services/apiKeys) la empresa es la de la llave y las
+ * sucursales, las activas que su creador tiene hoy en esa empresa (o la única
+ * a la que está restringida).
+ * Una llave inválida responde 401 aquí mismo, también en /auth.
  */
 
 const jwt_simple = require('jwt-simple')
 const moment = require('moment')
 const { secret, ACCESS_COOKIE } = require('../config/security')
 const { prisma } = require('../models/prisma')
+const { readApiKey, authenticateApiKey, apiKeyPrincipal } = require('../services/apiKeys')
 
 // Igual que Auth pero sin responder 401: las rutas públicas y Auth se encargan.
 function decodeUser(req) {
@@ -40,7 +46,7 @@ function decodeUser(req) {
   if (!token) return null
   try {
     const payload = jwt_simple.decode(token, secret)
-    if (payload.exp <= moment().unix()) return null
+    if (payload.exp <= moment().unix() || payload.purpose) return null
     return payload
   } catch {
     return null
@@ -56,8 +62,60 @@ function hasPerm(user, code) {
   return isAdmin(user) || (Array.isArray(user?.permissions) && user.permissions.includes(code))
 }
 
+async function resolveApiKeyTenant(req, res, next, rawKey) {
+  const apiKey = await authenticateApiKey(prisma, rawKey, { ip: req.ip })
+  if (!apiKey) return res.status(401).json({ message: 'Llave de API inválida, vencida o revocada' })
+  req.apiKey = apiKey
+  req.user = apiKeyPrincipal(apiKey)
+
+  const headerCompany = req.headers['x-company-id'] || null
+  if (headerCompany && headerCompany !== apiKey.company_id) {
+    return res.status(403).json({ message: 'La llave de API es de otra empresa' })
+  }
+  const branches = await prisma.branch.findMany({
+    where: { company_id: apiKey.company_id, active: true, id: { in: apiKey.branch_ids } },
+    select: { id: true, is_default: true },
+  })
+  if (branches.length === 0) {
+    return res.status(403).json({ message: 'La llave de API no tiene sucursales activas' })
+  }
+  req.companyId = apiKey.company_id
+
+  const headerBranch = req.headers['x-branch-id'] || null
+  if (headerBranch === 'all') {
+    if (req.method !== 'GET') {
+      return res.status(400).json({ message: 'La vista consolidada es solo de lectura: indica una sucursal' })
+    }
+    if (apiKey.branch_id || !hasPerm(req.user, 'branches.view_all')) {
+      return res.status(403).json({ message: 'No autorizado para la vista consolidada' })
+    }
+    const companyBranches = await prisma.branch.findMany({
+      where: { company_id: apiKey.company_id },
+      select: { id: true },
+    })
+    req.branchId = null
+    req.branchIds = companyBranches.map((b) => b.id)
+    return next()
+  }
+
+  let branch = null
+  if (headerBranch) {
+    branch = branches.find((b) => b.id === headerBranch)
+    if (!branch) return res.status(403).json({ message: 'Sin acceso a esa sucursal' })
+  }
+  if (!branch && branches.length === 1) branch = branches[0]
+  if (!branch) branch = branches.find((b) => b.is_default)
+  if (!branch) return res.status(400).json({ message: 'Selecciona una sucursal (header X-Branch-Id)' })
+  req.branchId = branch.id
+  req.userBranchIds = branches.map((b) => b.id)
+  next()
+}
+
 async function resolveTenant(req, res, next) {
   try {
+    const rawKey = readApiKey(req)
+    if (rawKey) return await resolveApiKeyTenant(req, res, next, rawKey)
+
     // Rutas de auth (login/refresh/me y gestión de usuarios): resolución en modo
     // suave — si se puede, se resuelve (para crear usuarios con empresa); si no,
     // se sigue sin tenant en vez de bloquear el login o /me.
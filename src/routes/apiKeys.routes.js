@@ -0,0 +1,49 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+const { Router } = require('express')
+const { Auth, hasPermission, rejectApiKey } = require('../middlewares/autenticacion')
+const ApiKeys = require('../controllers/apiKeys.controller')
+
+const router = Router()
+
+const canManage = hasPermission('api_keys.manage')
+
+// Una llave no puede crear ni editar llaves
+router.use(rejectApiKey)
+
+/**
+ * GET /api/api-keys
+ * Llaves de la empresa (sin la llave ni su hash), con estado y último uso
+ */
+router.get('/', Auth, canManage, ApiKeys.list)
+
+/**
+ * POST /api/api-keys
+ * Crear: { name, permissions: ['products.view', ...], branch_id?, expires_at?, rate_limit_per_minute? }.
+ * Responde con `key` (dpk_…): guardarla, no se vuelve a mostrar. Solo se
+ * conceden permisos que quien la crea tenga (admin: cualquiera). Sin ser
+ * admin, branch_id es obligatorio y tiene que ser una sucursal propia.
+ */
+router.post('/', Auth, canManage, ApiKeys.create)
+
+/**
+ * PUT /api/api-keys/:id
+ * Editar name, permissions, branch_id, expires_at o rate_limit_per_minute
+ */
+router.put('/:id', Auth, canManage, ApiKeys.update)
+
+/**
+ * DELETE /api/api-keys/:id
+ * Revocar (deja de autenticar en el acto)
+ */
+router.delete('/:id', Auth, canManage, ApiKeys.revoke)
+
+module.exports = router
@@ -0,0 +1,32 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+const { Router } = require('express')
+const { Auth, hasPermission } = require('../middlewares/autenticacion')
+const Audit = require('../controllers/audit.controller')
+
+const router = Router()
+
+const canView = hasPermission('audit.view')
+
+/**
+ * GET /api/audit
+ * Bitácora de la empresa, paginada (filtros: entity, entity_id, action, user_id,
+ * branch_id, request_id, from, to)
+ */
+router.get('/', Auth, canView, Audit.list)
+
+/**
+ * GET /api/audit/:entity/:entityId
+ * Historia de un registro (p. ej. /api/audit/product/<id>?field=price)
+ */
+router.get('/:entity/:entityId', Auth, canView, Audit.history)
+
+module.exports = router
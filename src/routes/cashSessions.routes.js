@@ -10,7 +10,7 @@
 
 const { Router } = require('express')
 const { Auth, hasPermission } = require('../middlewares/autenticacion')
-const { listRegisters, getCurrent, openSession, closeSession, createRegister, updateRegister, setRegisterUsers } = require('../controllers/cashSessions.controller')
+const { listRegisters, getCurrent, openSession, closeSession, reopenSession, createRegister, updateRegister, setRegisterUsers } = require('../controllers/cashSessions.controller')
 
 const router = Router()
 
@@ -29,5 +29,7 @@ router.put('/registers/:id/users', Auth, hasPermission('settings.manage'), setRe
 router.get('/current', Auth, canCashSessionsApi, getCurrent)
 router.post('/open', Auth, canCashSessionsApi, openSession)
 router.post('/close', Auth, canCashSessionsApi, closeSession)
+// Turno cerrado por error (sin cierre de caja): supervisor o token de supervisor
+router.post('/:id/reopen', Auth, canCashSessionsApi, reopenSession)
 
 module.exports = router
@@ -46,5 +46,9 @@ router.use('/product-categories', require('./productCategories.routes'))
 router.use('/payment-terms', require('./paymentTerms.routes'))
 
 router.use('/payment-methods', require('./paymentMethods.routes'))
+// Unidades de medida (UND, CAJA, KG...) para unidades de compra/venta de productos
+router.use('/units', require('./unitsOfMeasure.routes'))
+// Atributos de variantes (Talla, Color...) con sus valores
+router.use('/attributes', require('./productAttributes.routes'))
 
 module.exports = router
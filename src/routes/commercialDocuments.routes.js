@@ -4,15 +4,18 @@
 
 const { Router } = require('express')
 const { Auth, hasPermission } = require('../middlewares/autenticacion')
-const { runCommercialDocumentExpiryJob } = require('../jobs/commercialDocumentScheduler')
+const { runJobNow } = require('../jobs')
 const { committedStockReport } = require('../controllers/commercialDocumentsReport.controller')
 
 const router = Router()
 
 router.post('/expire', Auth, hasPermission('settings.manage'), async (req, res, next) => {
   try {
-    const summary = await runCommercialDocumentExpiryJob()
-    res.json(summary ?? { quotesExpired: 0, ordersExpired: 0, reservationsExpired: 0 })
+    // Misma tarea que la programada (queda en el historial de /api/jobs)
+    const run = await runJobNow('commercial-document-expiry', { userId: req.user?.sub })
+    if (!run) return res.status(409).json({ message: 'El vencimiento ya se está ejecutando' })
+    if (run.status === 'FAILED') return res.status(500).json({ message: run.error })
+    res.json(run.result ?? { quotesExpired: 0, ordersExpired: 0, reservationsExpired: 0 })
   } catch (e) {
     next(e)
   }
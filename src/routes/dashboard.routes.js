@@ -9,7 +9,7 @@
  */
 
 const { Router } = require('express');
-const { Auth } = require('../middlewares/autenticacion');
+const { Auth, rejectApiKey } = require('../middlewares/autenticacion');
 const Dashboard = require('../controllers/dashboard.controller');
 
 const router = Router();
@@ -17,4 +17,13 @@ const router = Router();
 // GET /api/dashboard/stats - Obtener estadísticas del dashboard
 router.get('/stats', Auth, Dashboard.getStats);
 
+// GET /api/dashboard/kpis - Indicadores del rango con comparación
+// (?from&to | ?period, ?compare=previous_period|last_year|none, ?limit)
+router.get('/kpis', Auth, Dashboard.getKpis);
+
+// Tablero personal (por usuario y empresa); una llave de API no tiene tablero
+router.get('/layout', Auth, rejectApiKey, Dashboard.getLayout);
+router.put('/layout', Auth, rejectApiKey, Dashboard.saveLayout);
+router.delete('/layout', Auth, rejectApiKey, Dashboard.resetLayout);
+
 module.exports = router;
@@ -11,6 +11,7 @@
 const { Router } = require('express')
 const router = Router()
 const { resolveTenant } = require('../middlewares/tenant')
+const { apiKeyRateLimit } = require('../middlewares/apiKeyRateLimit')
 
 // Basic ping
 router.get('/', (req, res) => {
@@ -19,6 +20,8 @@ router.get('/', (req, res) => {
 
 // Empresa + sucursal del request (req.companyId / req.branchId) para todas las rutas
 router.use(resolveTenant)
+// Límite por llave de API (las sesiones de usuario no pasan por aquí)
+router.use(apiKeyRateLimit)
 
 // Empresas y sucursales
 router.use('/companies', require('./companies.routes'))
@@ -61,6 +64,10 @@ router.use('/settings', require('./settings.routes'))
 router.use('/promotions', require('./promotions.routes'))
 // Incoming Merchandise (registro de mercancía)
 router.use('/incoming-merchandise', require('./incomingMerchandise.routes'))
+// Órdenes de compra a proveedores (se reciben con register-incoming)
+router.use('/purchase-orders', require('./purchaseOrders.routes'))
+// Cuentas por cobrar (ventas al crédito y abonos de clientes)
+router.use('/receivables', require('./receivables.routes'))
 // Inventariado (conteo físico)
 router.use('/inventory-counts', require('./inventoryCounts.routes'))
 // Cotizaciones comerciales
@@ -71,6 +78,20 @@ router.use('/orders', require('./orders.routes'))
 router.use('/commercial-documents', require('./commercialDocuments.routes'))
 // Contabilidad (partida doble)
 router.use('/accounting', require('./accounting.routes'))
+// Bitácora de auditoría (quién cambió qué)
+router.use('/audit', require('./audit.routes'))
+// Webhooks salientes (suscripciones y registro de entregas)
+router.use('/webhooks', require('./webhooks.routes'))
+// Números de serie (ficha e historia de cada unidad)
+router.use('/serials', require('./serials.routes'))
+// Saldos a favor y tarjetas de regalo
+router.use('/stored-value', require('./storedValue.routes'))
+// Programa de puntos de clientes
+router.use('/loyalty', require('./loyalty.routes'))
+// Tareas programadas (horarios, historial, corrida manual)
+router.use('/jobs', require('./jobs.routes'))
+// Llaves de API para integraciones
+router.use('/api-keys', require('./apiKeys.routes'))
 
 
 module.exports = router
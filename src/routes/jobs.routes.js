@@ -0,0 +1,39 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+const { Router } = require('express')
+const { Auth, hasPermission, isPlatformAdmin } = require('../middlewares/autenticacion')
+const Jobs = require('../controllers/jobs.controller')
+
+const router = Router()
+
+// Las tareas corren para todas las empresas (y sus resultados traen datos de
+// todas): además del permiso, solo un administrador de la plataforma.
+const canManage = [hasPermission('jobs.manage'), isPlatformAdmin]
+
+/**
+ * GET /api/jobs
+ * Tareas programadas: horario, próxima corrida, si corre ahora y la última corrida
+ */
+router.get('/', Auth, canManage, Jobs.list)
+
+/**
+ * GET /api/jobs/:name/runs
+ * Historial de corridas, paginado (filtro: status)
+ */
+router.get('/:name/runs', Auth, canManage, Jobs.runs)
+
+/**
+ * POST /api/jobs/:name/run
+ * Correr ya; 409 si ya está corriendo en alguna instancia
+ */
+router.post('/:name/run', Auth, canManage, Jobs.run)
+
+module.exports = router
@@ -0,0 +1,54 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+const { Router } = require('express')
+const { Auth, hasPermission } = require('../middlewares/autenticacion')
+const Loyalty = require('../controllers/loyalty.controller')
+
+const router = Router()
+
+const canView = hasPermission('loyalty.view', 'loyalty.manage')
+const canManage = hasPermission('loyalty.manage')
+
+/**
+ * GET /api/loyalty/rules · PUT /api/loyalty/rules
+ * Reglas de acumulación de la empresa (por monto, categoría y canal); el PUT
+ * reemplaza la lista completa
+ */
+router.get('/rules', Auth, canView, Loyalty.listRules)
+router.put('/rules', Auth, canManage, Loyalty.replaceRules)
+
+/**
+ * GET /api/loyalty/tiers · PUT /api/loyalty/tiers
+ * Niveles por puntos acumulados; el PUT los reemplaza y reubica a los clientes
+ * (con sus reglas de precio de nivel)
+ */
+router.get('/tiers', Auth, canView, Loyalty.listTiers)
+router.put('/tiers', Auth, canManage, Loyalty.replaceTiers)
+
+/**
+ * GET /api/loyalty/customers/:id
+ * Saldo de puntos, nivel y valor de canje; el cajero lo consulta antes de cobrar
+ */
+router.get('/customers/:id', Auth, hasPermission('loyalty.view', 'loyalty.manage', 'sales.create'), Loyalty.getAccount)
+
+/**
+ * GET /api/loyalty/customers/:id/statement?from=&to=
+ * Estado de cuenta de puntos del cliente
+ */
+router.get('/customers/:id/statement', Auth, canView, Loyalty.statement)
+
+/**
+ * POST /api/loyalty/customers/:id/adjust
+ * Ajuste manual del saldo con su motivo
+ */
+router.post('/customers/:id/adjust', Auth, canManage, Loyalty.adjust)
+
+module.exports = router
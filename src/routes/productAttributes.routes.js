@@ -0,0 +1,33 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+const { Router } = require('express')
+const { Auth, hasPermission } = require('../middlewares/autenticacion')
+const ctrl = require('../controllers/productAttributes.controller')
+const router = Router()
+
+const canManage = hasPermission('catalogs.manage')
+
+// GET /catalogs/attributes (lectura: cualquier usuario autenticado, alimenta la matriz de variantes)
+router.get('/', Auth, ctrl.list)
+
+// POST /catalogs/attributes
+router.post('/', Auth, canManage, ctrl.create)
+
+// PUT /catalogs/attributes/:id
+router.put('/:id', Auth, canManage, ctrl.update)
+
+// DELETE /catalogs/attributes/:id/values/:valueId (solo si ninguna variante lo usa)
+router.delete('/:id/values/:valueId', Auth, canManage, ctrl.removeValue)
+
+// DELETE /catalogs/attributes/:id (solo si ninguna variante lo usa)
+router.delete('/:id', Auth, canManage, ctrl.remove)
+
+module.exports = router
@@ -12,6 +12,7 @@ const { Router } = require('express')
 const multer = require('multer')
 const { Auth, hasAnyRole, hasPermission } = require('../middlewares/autenticacion')
 const Products = require('../controllers/products.controller')
+const Classification = require('../controllers/inventoryClassification.controller')
 
 // Configure multer for memory storage (keep file in buffer)
 const upload = multer({
@@ -129,6 +130,14 @@ router.get('/report.pdf', Auth, hasPermission('products.export', 'reports.view')
 
 router.get('/availability', Auth, hasPermission('products.view', 'sales.create', 'orders.view', 'quotes.view'), Products.availability)
 
+/**
+ * GET /products/classification?abc=A,B&abc_basis=revenue|margin&xyz=X
+ * Clasificación ABC/XYZ de la sucursal (la tarea `inventory-classification`
+ * la recalcula cada semana; recompute la rehace ya).
+ */
+router.get('/classification', Auth, hasPermission('products.view'), Classification.list)
+router.post('/classification/recompute', Auth, hasPermission('products.edit'), Classification.recompute)
+
 /**
  * GET /products/lots/expiring?days=30&status=expiring|expired|all
  * Lotes por vencer / vencidos (antes de /:id para no capturar "lots" como id)
@@ -312,6 +321,13 @@ router.get('/:id/lots', Auth, hasPermission('products.view'), Products.getLots)
 router.get('/:id/bom', Auth, Products.getBom)
 router.put('/:id/bom', Auth, hasPermission('products.edit'), Products.updateBom)
 router.post('/:id/kit/assemble', Auth, hasPermission('products.edit'), Products.assembleKit)
+// Unidades de compra/venta con su factor a la unidad base (caja de 24, KG = 1000 G)
+router.get('/:id/units', Auth, Products.getUnits)
+router.put('/:id/units', Auth, hasPermission('products.edit'), Products.updateUnits)
+// Variantes (talla × color): matriz del padre, generación por combinaciones y edición en bloque
+router.get('/:id/variants', Auth, Products.getVariants)
+router.post('/:id/variants/generate', Auth, hasPermission('products.create'), Products.generateVariants)
+router.put('/:id/variants', Auth, hasPermission('products.edit'), Products.updateVariants)
 router.get('/:id', Auth, Products.getOne)
 
 /**
@@ -411,6 +427,9 @@ router.post('/:id/branch-stock', Auth, hasPermission('products.edit', 'products.
  *               - items
  *             properties:
  *               supplier_id: { type: string, format: uuid }
+ *               purchase_order_id:
+ *                 type: string
+ *                 description: Orden de compra (id o referencia OC-...) contra la que se recibe; debe estar enviada o parcialmente recibida
  *               items:
  *                 type: array
  *                 items:
@@ -423,11 +442,17 @@ router.post('/:id/branch-stock', Auth, hasPermission('products.edit', 'products.
  *                     product_id: { type: string, format: uuid }
  *                     quantity: { type: integer, minimum: 1 }
  *                     unit_cost: { type: number, minimum: 0 }
+ *                     purchase_order_line_id:
+ *                       type: string
+ *                       format: uuid
+ *                       description: Línea de la orden; si se omite se toma la primera del producto con pendiente
  *               notes: { type: string }
  *     responses:
  *       200: { description: OK }
  *       400: { description: Bad request }
  *       401: { description: Unauthorized }
+ *       404: { description: Orden de compra no encontrada }
+ *       409: { description: La orden no admite recepciones en su estado }
  */
 router.post('/register-incoming', Auth, hasPermission('products.register_incoming'), Products.registerIncomingMerchandise)
 
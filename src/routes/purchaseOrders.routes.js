@@ -0,0 +1,56 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+const { Router } = require('express')
+const { Auth, hasPermission } = require('../middlewares/autenticacion')
+const PurchaseOrders = require('../controllers/purchaseOrders.controller')
+
+const router = Router()
+
+const canView = hasPermission('purchase_orders.view', 'purchase_orders.manage')
+const canManage = hasPermission('purchase_orders.manage')
+
+/**
+ * GET /api/purchase-orders
+ * Listado paginado (filtros: status, supplier_id, search)
+ */
+router.get('/', Auth, canView, PurchaseOrders.list)
+
+/**
+ * GET /api/purchase-orders/:id
+ * Detalle (id o referencia OC-...) con lo recibido y la variación por línea
+ */
+router.get('/:id', Auth, canView, PurchaseOrders.getById)
+
+/**
+ * POST /api/purchase-orders
+ * Crear orden en borrador: { supplier_id, items: [{ product_id, qty, unit_cost? }], expected_date?, payment_term_id?, notes?, branch_id? }
+ */
+router.post('/', Auth, canManage, PurchaseOrders.create)
+
+/**
+ * PUT /api/purchase-orders/:id
+ * Editar una orden en borrador (reemplaza las líneas)
+ */
+router.put('/:id', Auth, canManage, PurchaseOrders.update)
+
+/**
+ * POST /api/purchase-orders/:id/send
+ * Enviar al proveedor: desde aquí lo pendiente cuenta como «en pedido»
+ */
+router.post('/:id/send', Auth, canManage, PurchaseOrders.send)
+
+/**
+ * POST /api/purchase-orders/:id/cancel
+ * Cancelar (en parcial cierra lo pendiente; lo recibido se queda)
+ */
+router.post('/:id/cancel', Auth, canManage, PurchaseOrders.cancel)
+
+module.exports = router
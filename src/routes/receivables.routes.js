@@ -0,0 +1,50 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+const { Router } = require('express')
+const { Auth, hasPermission } = require('../middlewares/autenticacion')
+const Receivables = require('../controllers/receivables.controller')
+
+const router = Router()
+
+const canView = hasPermission('receivables.view', 'receivables.collect')
+const canCollect = hasPermission('receivables.collect')
+
+/**
+ * GET /api/receivables
+ * Cartera: ventas al crédito con saldo (filtros: customer_id, status, overdue)
+ */
+router.get('/', Auth, canView, Receivables.list)
+
+/**
+ * GET /api/receivables/aging
+ * Antigüedad de saldos por cliente (antes de /:saleId para no capturar "aging")
+ */
+router.get('/aging', Auth, canView, Receivables.aging)
+
+/**
+ * GET /api/receivables/:saleId
+ * Detalle de una venta al crédito con sus abonos
+ */
+router.get('/:saleId', Auth, canView, Receivables.getOne)
+
+/**
+ * POST /api/receivables/:saleId/payments
+ * Registrar abono del cliente
+ */
+router.post('/:saleId/payments', Auth, canCollect, Receivables.addPaymentEntry)
+
+/**
+ * DELETE /api/receivables/:saleId/payments/:entryId
+ * Eliminar un abono
+ */
+router.delete('/:saleId/payments/:entryId', Auth, canCollect, Receivables.deletePaymentEntry)
+
+module.exports = router
@@ -26,8 +26,13 @@ const {
   kardexReport,
   internalMovesReport,
   replenishmentReport,
+  replenishmentForecastReport,
+  abcXyzReport,
+  deadStockReport,
+  returnsByReasonReport,
   occupancyReport,
 } = require('../controllers/stockReports.controller')
+const { liabilityReport } = require('../controllers/storedValue.controller')
 
 const router = Router()
 
@@ -45,7 +50,12 @@ router.get('/stock-by-location', Auth, canViewStock, stockByLocationReport)
 router.get('/kardex', Auth, canViewStock, kardexReport)
 router.get('/internal-moves', Auth, canViewStock, internalMovesReport)
 router.get('/replenishment', Auth, canViewStock, replenishmentReport)
+router.get('/replenishment-forecast', Auth, canViewStock, replenishmentForecastReport)
+router.get('/abc-xyz', Auth, canViewStock, abcXyzReport)
+router.get('/dead-stock', Auth, canViewStock, deadStockReport)
+router.get('/returns-by-reason', Auth, canViewStock, returnsByReasonReport)
 router.get('/occupancy', Auth, canViewStock, occupancyReport)
+router.get('/stored-value-liability', Auth, hasPermission('reports.view', 'stored_value.view'), liabilityReport)
 
 router.get(
   '/merchandise',
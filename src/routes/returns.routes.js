@@ -25,7 +25,7 @@ router.get('/', canView, controller.list)
 // GET /api/returns/:id - Detalle de una devolución
 router.get('/:id', canView, controller.getById)
 
-// POST /api/returns - Crear nueva devolución
+// POST /api/returns - Crear nueva devolución (sin la referencia del comprobante exige override_token RETURN_WITHOUT_RECEIPT)
 router.post('/', canManage, controller.create)
 
 // PATCH /api/returns/:id/status - Actualizar estado de devolución
@@ -11,6 +11,7 @@
 const { Router } = require('express')
 const { Auth, hasAnyRole, hasPermission } = require('../middlewares/autenticacion')
 const Sales = require('../controllers/sales.controller')
+const SaleDte = require('../controllers/saleDte.controller')
 
 const router = Router()
 
@@ -120,13 +121,37 @@ router.get('/:id', Auth, hasPermission('sales.view', 'sales.view_detail', 'sales
  *         application/json:
  *           schema:
  *             type: object
- *             required: [items, payment_method_id, status_id]
+ *             required: [items, status_id]
  *             properties:
  *               customer: { type: string }
  *               customer_nit: { type: string }
  *               is_final_consumer: { type: boolean }
- *               payment_method_id: { type: integer }
+ *               payment_method_id:
+ *                 type: integer
+ *                 description: Medio único (requerido si no se envía payments)
+ *               payments:
+ *                 type: array
+ *                 description: Pago mixto; los montos deben sumar el total de la venta. Solo el efectivo admite amount_received mayor al monto.
+ *                 items:
+ *                   type: object
+ *                   required: [payment_method_id, amount]
+ *                   properties:
+ *                     payment_method_id: { type: integer }
+ *                     amount: { type: number }
+ *                     amount_received: { type: number }
+ *                     reference: { type: string }
+ *               payment_term_id:
+ *                 type: integer
+ *                 description: Solo ventas con medio Crédito; debe ser un término del cliente (default = el suyo por defecto)
+ *               due_date:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Vencimiento del saldo a crédito (default = fecha + días del término)
  *               status_id: { type: integer }
+ *               override_tokens:
+ *                 type: array
+ *                 items: { type: string }
+ *                 description: Tokens de POST /auth/overrides (PRICE_BELOW_COST, uno por producto y precio; DISCOUNT_OVER_LIMIT, para este carrito y este descuento). Sin pos.override, una línea bajo el costo o un descuento sobre el máximo del rol responde 403 OVERRIDE_REQUIRED con product_id y price, o discount y cart_hash.
  *               items:
  *                 type: array
  *                 items:
@@ -158,14 +183,72 @@ router.post('/', Auth, hasPermission('sales.create'), Sales.create)
  *             properties:
  *               status_id: { type: integer, description: ID directo del estado }
  *               status_name: { type: string, description: Nombre del estado (alternativo a status_id) }
+ *               override_token: { type: string, description: Token SALE_CANCEL de POST /auth/overrides para esta venta (requerido al anular sin sales.cancel ni pos.override) }
  *             oneOf:
  *               - required: [status_id]
  *               - required: [status_name]
  *     responses:
  *       200: { description: Estado actualizado }
  *       400: { description: Petición inválida }
+ *       403: { description: Falta la autorización de supervisor (OVERRIDE_REQUIRED) o no es válida (OVERRIDE_INVALID) }
  *       404: { description: Venta no encontrada }
  */
 router.patch('/:id/status', Auth, hasPermission('sales.cancel', 'sales.create'), Sales.updateStatus)
 
+/**
+ * @openapi
+ * /sales/{id}/dte:
+ *   get:
+ *     tags: [Sales]
+ *     summary: Documentos FEL de la venta (factura y notas de crédito, sin el XML)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Lista de DTE }
+ *       404: { description: Venta no encontrada }
+ *   post:
+ *     tags: [Sales]
+ *     summary: Certificar la factura FEL de una venta completada
+ *     description: Si ya hay una factura autorizada la devuelve; una pendiente o con error se reenvía con el mismo identificador.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: DTE con status autorizado, rechazado o error }
+ *       409: { description: Sin certificador configurado, faltan datos fiscales o la venta no está completada }
+ */
+router.get('/:id/dte', Auth, hasPermission('sales.view_invoice', 'sales.certify'), SaleDte.list)
+router.post('/:id/dte', Auth, hasPermission('sales.certify'), SaleDte.certify)
+
+/**
+ * @openapi
+ * /sales/{id}/dte/{dteId}/retry:
+ *   post:
+ *     tags: [Sales]
+ *     summary: Reintentar un DTE pendiente o con error de comunicación
+ *     responses:
+ *       200: { description: DTE actualizado }
+ *       409: { description: El documento no está pendiente ni con error }
+ */
+router.post('/:id/dte/:dteId/retry', Auth, hasPermission('sales.certify'), SaleDte.retry)
+
+/**
+ * @openapi
+ * /sales/{id}/dte/{dteId}/xml:
+ *   get:
+ *     tags: [Sales]
+ *     summary: Descargar el XML del DTE (certificado si está autorizado)
+ *     responses:
+ *       200:
+ *         description: XML
+ *         content:
+ *           application/xml: {}
+ */
+router.get('/:id/dte/:dteId/xml', Auth, hasPermission('sales.view_invoice', 'sales.certify'), SaleDte.downloadXml)
+
 module.exports = router
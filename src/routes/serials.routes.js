@@ -0,0 +1,32 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+const { Router } = require('express')
+const { Auth, hasPermission } = require('../middlewares/autenticacion')
+const Serials = require('../controllers/serials.controller')
+
+const router = Router()
+
+const canView = hasPermission('products.view')
+
+/**
+ * GET /api/serials
+ * Números de serie (filtros: product_id, status, branch_id, q; available=true
+ * = los que se pueden vender desde la sucursal activa)
+ */
+router.get('/', Auth, canView, Serials.list)
+
+/**
+ * GET /api/serials/:serial
+ * Ficha del serial: producto, estado, dónde está, venta y su historia completa
+ */
+router.get('/:serial', Auth, canView, Serials.lookup)
+
+module.exports = router
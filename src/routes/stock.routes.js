@@ -12,12 +12,19 @@ const { Router } = require('express')
 const router = Router()
 const { Auth, hasPermission } = require('../middlewares/autenticacion')
 const StockMoves = require('../controllers/stockMoves.controller')
+const Forecast = require('../controllers/demandForecast.controller')
+const DeadStock = require('../controllers/deadStock.controller')
 
 const canView = hasPermission('stock_moves.view', 'stock_moves.create', 'products.view')
 
 router.get('/moves', Auth, canView, StockMoves.list)
 router.get('/by-location', Auth, canView, StockMoves.stockByLocation)
 router.get('/replenishment', Auth, canView, StockMoves.replenishment)
+// Mínimos por demanda: verlos es como ver existencias; fijarlos es editar el producto.
+router.get('/forecast', Auth, canView, Forecast.forecast)
+router.post('/forecast/apply-minimums', Auth, hasPermission('products.edit'), Forecast.applyMinimums)
+router.get('/dead-stock', Auth, canView, DeadStock.list)
+router.post('/dead-stock/markdown', Auth, hasPermission('promotions.manage'), DeadStock.createMarkdown)
 router.put('/by-location/min', Auth, hasPermission('stock_moves.create'), StockMoves.setLocationMin)
 router.post('/moves', Auth, hasPermission('stock_moves.create'), StockMoves.createMove)
 // Crear o destruir existencias sin documento tiene su propio permiso.
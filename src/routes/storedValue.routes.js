@@ -0,0 +1,38 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+const { Router } = require('express')
+const { Auth, hasPermission } = require('../middlewares/autenticacion')
+const StoredValue = require('../controllers/storedValue.controller')
+
+const router = Router()
+
+const canView = hasPermission('stored_value.view')
+
+/**
+ * GET /api/stored-value
+ * Saldos a favor y tarjetas de regalo (filtros: kind, customer_contact_id,
+ * q = código, status = active | expired | inactive)
+ */
+router.get('/', Auth, canView, StoredValue.list)
+
+/**
+ * GET /api/stored-value/code/:code
+ * Saldo de una tarjeta por su código; el cajero la consulta antes de cobrar
+ */
+router.get('/code/:code', Auth, hasPermission('stored_value.view', 'sales.create'), StoredValue.lookup)
+
+/**
+ * GET /api/stored-value/:id
+ * Ficha con la historia de saldo (emisión, cobros, reintegros, vencimiento)
+ */
+router.get('/:id', Auth, canView, StoredValue.getById)
+
+module.exports = router
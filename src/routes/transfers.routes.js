@@ -15,9 +15,17 @@ const Transfers = require('../controllers/transfers.controller')
 
 router.get('/', Auth, hasPermission('transfers.view'), Transfers.list)
 router.get('/in-transit', Auth, hasPermission('transfers.view'), Transfers.inTransitReport)
+router.get('/requests/pending', Auth, hasPermission('transfers.view'), Transfers.pendingRequests)
+router.get('/discrepancies', Auth, hasPermission('transfers.view'), Transfers.listDiscrepancies)
 router.post('/', Auth, hasPermission('transfers.create'), Transfers.create)
+router.post('/requests', Auth, hasPermission('transfers.request'), Transfers.createRequest)
+router.post('/:id/approve', Auth, hasPermission('transfers.approve'), Transfers.approve)
+router.post('/:id/reject', Auth, hasPermission('transfers.approve'), Transfers.reject)
+router.post('/:id/dispatch', Auth, hasPermission('transfers.create'), Transfers.dispatch)
+router.post('/discrepancies/:id/resolve', Auth, hasPermission('transfers.resolve'), Transfers.resolveDiscrepancy)
 router.post('/:id/receive', Auth, hasPermission('transfers.receive'), Transfers.receive)
-router.post('/:id/cancel', Auth, hasPermission('transfers.cancel'), Transfers.cancel)
+// Quien solicita puede retirar su solicitud; en tránsito se exige transfers.cancel.
+router.post('/:id/cancel', Auth, hasPermission('transfers.cancel', 'transfers.request'), Transfers.cancel)
 router.get('/:id', Auth, hasPermission('transfers.view'), Transfers.getById)
 
 module.exports = router
@@ -0,0 +1,30 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+const { Router } = require('express')
+const { Auth, hasPermission } = require('../middlewares/autenticacion')
+const ctrl = require('../controllers/unitsOfMeasure.controller')
+const router = Router()
+
+const canManage = hasPermission('catalogs.manage')
+
+// GET /catalogs/units (lectura: cualquier usuario autenticado, alimenta selects)
+router.get('/', Auth, ctrl.list)
+
+// POST /catalogs/units
+router.post('/', Auth, canManage, ctrl.create)
+
+// PUT /catalogs/units/:id
+router.put('/:id', Auth, canManage, ctrl.update)
+
+// DELETE /catalogs/units/:id (solo si no está en uso)
+router.delete('/:id', Auth, canManage, ctrl.remove)
+
+module.exports = router
@@ -12,10 +12,13 @@ const { Router } = require('express')
 const multer = require('multer')
 const rateLimit = require('express-rate-limit')
 const controller = require('../controllers/usuarios.controller')
-const { Auth, hasAnyRole, hasPermission } = require('../middlewares/autenticacion')
+const { Auth, hasAnyRole, hasPermission, rejectApiKey } = require('../middlewares/autenticacion')
 
 const router = Router()
 
+// Cuentas, sesiones y usuarios son cosa de personas, no de integraciones
+router.use(rejectApiKey)
+
 // Frena fuerza bruta en las rutas que verifican contraseña. 10 intentos / 15 min por IP.
 const loginLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
@@ -109,17 +112,144 @@ router.post('/register', Auth, hasPermission('users.create'), controller.registe
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/AuthResponse'
+ *       401:
+ *         description: Credenciales inválidas (también con la cuenta bloqueada, si la contraseña no es la correcta)
+ *       423:
+ *         description: "Cuenta bloqueada por intentos fallidos seguidos ({ message, locked_until }); solo con la contraseña correcta"
  */
 router.post('/login', loginLimiter, controller.login)
 router.post('/refresh', controller.refresh)
 router.post('/logout', controller.logout)
 
+/**
+ * @openapi
+ * /auth/login/2fa:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Segundo paso del login (código de la app o de recuperación)
+ *     description: >
+ *       Si el login responde `two_factor_required`, se manda aquí el `challenge`
+ *       (vence en 5 minutos) con `code` o `recovery_code`. Abre la sesión.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [challenge]
+ *             properties:
+ *               challenge: { type: string }
+ *               code: { type: string, example: '123456' }
+ *               recovery_code: { type: string, example: 'a1b2c-3d4e5' }
+ *     responses:
+ *       200:
+ *         description: OK
+ *       401:
+ *         description: Código inválido o challenge vencido
+ */
+router.post('/login/2fa', loginLimiter, controller.loginTwoFactor)
+
+/**
+ * @openapi
+ * /auth/login/2fa/setup:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Inscribir 2FA durante el login (el rol lo exige)
+ *     description: >
+ *       Si el login responde `two_factor_setup_required`, con ese `challenge` se
+ *       obtiene el secreto y la URI otpauth:// para el QR.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [challenge]
+ *             properties:
+ *               challenge: { type: string }
+ *     responses:
+ *       200:
+ *         description: "{ secret, otpauth_url }"
+ */
+router.post('/login/2fa/setup', loginLimiter, controller.loginTwoFactorSetup)
+
+/**
+ * @openapi
+ * /auth/login/2fa/enable:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Confirmar la inscripción del login y entrar
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [challenge, code]
+ *             properties:
+ *               challenge: { type: string }
+ *               code: { type: string }
+ *     responses:
+ *       200:
+ *         description: "{ user, recovery_codes } — los códigos se muestran solo esta vez"
+ */
+router.post('/login/2fa/enable', loginLimiter, controller.loginTwoFactorEnable)
+
+/**
+ * @openapi
+ * /auth/password/forgot:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Pedir enlace para restablecer la contraseña
+ *     description: Responde igual exista o no el correo. El enlace vence (PASSWORD_RESET_MINUTES, 60 por defecto).
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email: { type: string, format: email }
+ *     responses:
+ *       200:
+ *         description: OK
+ */
+router.post('/password/forgot', loginLimiter, controller.forgotPassword)
+
+/**
+ * @openapi
+ * /auth/password/reset:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Restablecer la contraseña con el token del correo
+ *     description: Cierra todas las sesiones del usuario.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token, new_password]
+ *             properties:
+ *               token: { type: string }
+ *               new_password: { type: string, minLength: 8 }
+ *     responses:
+ *       200:
+ *         description: OK
+ *       400:
+ *         description: Enlace inválido, vencido o ya usado; o contraseña débil
+ */
+router.post('/password/reset', loginLimiter, controller.resetPassword)
+
 /**
  * @openapi
  * /auth/validate-admin:
  *   post:
  *     tags: [Auth]
  *     summary: Validar credenciales de administrador
+ *     deprecated: true
+ *     description: Solo responde sí/no; el servidor no sabe qué se desbloqueó. Usar POST /auth/overrides.
  *     requestBody:
  *       required: true
  *       content:
@@ -140,6 +270,69 @@ router.post('/logout', controller.logout)
  */
 router.post('/validate-admin', loginLimiter, controller.validateAdmin)
 
+/**
+ * @openapi
+ * /auth/overrides:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Autorización de supervisor para una excepción de caja
+ *     description: >
+ *       El supervisor se identifica en la sesión del cajero y autoriza una acción.
+ *       Devuelve un token de un solo uso (OVERRIDE_TOKEN_MINUTES, default 5) que solo
+ *       sirve a quien lo pidió, para esa acción y ese registro (en la venta en curso,
+ *       esa línea o ese carrito con ese descuento). Se manda como
+ *       `override_tokens` en POST /sales, `override_token` en PATCH /sales/{id}/status,
+ *       POST /returns (venta ubicada sin la referencia del comprobante) y POST /cash-sessions/{id}/reopen.
+ *       El supervisor necesita el permiso pos.override (o ser admin) y, si tiene 2FA, su código.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email, password, action, reason]
+ *             properties:
+ *               email: { type: string, description: Correo del supervisor }
+ *               password: { type: string }
+ *               code: { type: string, description: Código TOTP del supervisor (si tiene 2FA) }
+ *               recovery_code: { type: string }
+ *               action:
+ *                 type: string
+ *                 enum: [PRICE_BELOW_COST, DISCOUNT_OVER_LIMIT, SALE_CANCEL, RETURN_WITHOUT_RECEIPT, CASH_SESSION_REOPEN]
+ *               target_id:
+ *                 type: string
+ *                 description: Venta (UUID o referencia) para SALE_CANCEL y RETURN_WITHOUT_RECEIPT; turno para CASH_SESSION_REOPEN
+ *               product_id:
+ *                 type: string
+ *                 description: PRICE_BELOW_COST - producto de la línea (lo devuelve el 403 OVERRIDE_REQUIRED de la venta)
+ *               price:
+ *                 type: number
+ *                 description: PRICE_BELOW_COST - precio unitario de la línea; el token no sirve con otro
+ *               discount:
+ *                 type: number
+ *                 description: DISCOUNT_OVER_LIMIT - descuento total de la venta; el token no sirve con otro
+ *               items:
+ *                 type: array
+ *                 description: DISCOUNT_OVER_LIMIT - las líneas del carrito, como se mandan a POST /sales; otro carrito no usa el token
+ *                 items:
+ *                   $ref: '#/components/schemas/SaleItemInput'
+ *               reason: { type: string, maxLength: 500 }
+ *     responses:
+ *       201:
+ *         description: Token emitido (no se vuelve a mostrar)
+ *       401:
+ *         description: Credenciales o código inválidos
+ *       403:
+ *         description: El usuario no puede autorizar excepciones en esta empresa
+ *       404:
+ *         description: Venta o turno no encontrado
+ *       423:
+ *         description: Cuenta del supervisor bloqueada por intentos fallidos (solo con la contraseña correcta; si no, 401)
+ */
+router.post('/overrides', Auth, loginLimiter, controller.createOverride)
+
 /**
  * @openapi
  * /auth/me:
@@ -161,6 +354,185 @@ router.post('/validate-admin', loginLimiter, controller.validateAdmin)
  */
 router.get('/me', Auth, controller.me)
 
+/**
+ * @openapi
+ * /auth/change-password:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Cambiar la contraseña propia
+ *     description: Cierra las demás sesiones; la actual sigue abierta.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [current_password, new_password]
+ *             properties:
+ *               current_password: { type: string }
+ *               new_password: { type: string, minLength: 8 }
+ *     responses:
+ *       200:
+ *         description: "{ ok, sessions_revoked }"
+ *       401:
+ *         description: Contraseña actual incorrecta
+ */
+router.post('/change-password', loginLimiter, Auth, controller.changePassword)
+
+/**
+ * @openapi
+ * /auth/2fa:
+ *   get:
+ *     tags: [Auth]
+ *     summary: Estado de la verificación en dos pasos propia
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: "{ enabled, enabled_at, required, recovery_codes_remaining }"
+ */
+router.get('/2fa', Auth, controller.twoFactorStatus)
+
+/**
+ * @openapi
+ * /auth/2fa/setup:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Generar secreto TOTP (queda pendiente hasta confirmar)
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: "{ secret, otpauth_url }"
+ *       409:
+ *         description: Ya está activa
+ */
+router.post('/2fa/setup', Auth, controller.twoFactorSetup)
+
+/**
+ * @openapi
+ * /auth/2fa/enable:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Confirmar con el primer código y activar
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code: { type: string }
+ *     responses:
+ *       200:
+ *         description: "{ enabled, recovery_codes } — los códigos se muestran solo esta vez"
+ */
+router.post('/2fa/enable', loginLimiter, Auth, controller.twoFactorEnable)
+
+/**
+ * @openapi
+ * /auth/2fa/disable:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Desactivar (no permitido si el rol lo exige)
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [password]
+ *             properties:
+ *               password: { type: string }
+ *               code: { type: string }
+ *               recovery_code: { type: string }
+ *     responses:
+ *       200:
+ *         description: OK
+ *       403:
+ *         description: El rol exige 2FA
+ */
+router.post('/2fa/disable', loginLimiter, Auth, controller.twoFactorDisable)
+
+/**
+ * @openapi
+ * /auth/2fa/recovery-codes:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Generar códigos de recuperación nuevos (invalida los anteriores)
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code: { type: string }
+ *     responses:
+ *       200:
+ *         description: "{ recovery_codes }"
+ */
+router.post('/2fa/recovery-codes', loginLimiter, Auth, controller.regenerateRecoveryCodes)
+
+/**
+ * @openapi
+ * /auth/sessions:
+ *   get:
+ *     tags: [Auth]
+ *     summary: Mis sesiones abiertas (dispositivo, IP, último uso)
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: "[{ id, user_agent, ip, started_at, last_used_at, expires_at, current }]"
+ *   delete:
+ *     tags: [Auth]
+ *     summary: Cerrar mis demás sesiones
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: include_current
+ *         schema: { type: boolean }
+ *         description: Cerrar también la sesión actual
+ *     responses:
+ *       200:
+ *         description: "{ revoked }"
+ */
+router.get('/sessions', Auth, controller.listSessions)
+router.delete('/sessions', Auth, controller.revokeAllSessions)
+
+/**
+ * @openapi
+ * /auth/sessions/{sessionId}:
+ *   delete:
+ *     tags: [Auth]
+ *     summary: Cerrar una de mis sesiones
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: OK
+ *       404:
+ *         description: Sesión no encontrada
+ */
+router.delete('/sessions/:sessionId', Auth, controller.revokeSession)
+
 /**
  * @openapi
  * /auth/users:
@@ -267,7 +639,8 @@ router.get('/users/:id', Auth, hasPermission('users.view'), controller.getById)
  * /auth/users/{id}:
  *   put:
  *     tags: [Auth]
- *     summary: Actualizar usuario (nombre, email, rol, contraseña)
+ *     summary: Actualizar usuario (nombre, email, rol, contraseña, activo)
+ *     description: Cambiar el rol o la contraseña, o desactivarlo, cierra sus sesiones abiertas.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -286,6 +659,7 @@ router.get('/users/:id', Auth, hasPermission('users.view'), controller.getById)
  *               email: { type: string, format: email }
  *               role_id: { type: integer }
  *               password: { type: string, description: "Nueva contraseña (opcional)" }
+ *               active: { type: boolean, description: "false = no puede entrar" }
  *     responses:
  *       200:
  *         description: Usuario actualizado
@@ -319,6 +693,149 @@ router.put('/users/:id', Auth, hasPermission('users.edit'), controller.update)
  */
 router.delete('/users/:id', Auth, hasPermission('users.delete'), controller.delete)
 
+/**
+ * @openapi
+ * /auth/users/{id}/2fa:
+ *   delete:
+ *     tags: [Auth]
+ *     summary: Quitar la verificación en dos pasos de un usuario (perdió el celular)
+ *     description: Cierra sus sesiones. Si su rol exige 2FA, se vuelve a inscribir al entrar.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: OK
+ *       404:
+ *         description: Usuario no encontrado
+ */
+router.delete('/users/:id/2fa', Auth, hasPermission('users.edit'), controller.resetUserTwoFactor)
+
+/**
+ * @openapi
+ * /auth/users/{id}/sessions:
+ *   get:
+ *     tags: [Auth]
+ *     summary: Sesiones abiertas de un usuario
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: "[{ id, user_agent, ip, started_at, last_used_at, expires_at }]"
+ *       404:
+ *         description: Usuario no encontrado
+ *   delete:
+ *     tags: [Auth]
+ *     summary: Forzar el cierre de todas las sesiones de un usuario
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: "{ revoked }"
+ *       404:
+ *         description: Usuario no encontrado
+ */
+router.get('/users/:id/sessions', Auth, hasPermission('users.edit'), controller.listUserSessions)
+router.delete('/users/:id/sessions', Auth, hasPermission('users.edit'), controller.revokeUserSessions)
+
+/**
+ * @openapi
+ * /auth/users/{id}/sessions/{sessionId}:
+ *   delete:
+ *     tags: [Auth]
+ *     summary: Cerrar una sesión de un usuario
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: OK
+ *       404:
+ *         description: Usuario o sesión no encontrados
+ */
+router.delete('/users/:id/sessions/:sessionId', Auth, hasPermission('users.edit'), controller.revokeUserSession)
+
+/**
+ * @openapi
+ * /auth/users/{id}/unlock:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Quitar el bloqueo por intentos fallidos
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: "{ locked_until: null, failed_login_count: 0 }"
+ *       404:
+ *         description: Usuario no encontrado
+ */
+router.post('/users/:id/unlock', Auth, hasPermission('users.edit'), controller.unlockUser)
+
+/**
+ * @openapi
+ * /auth/users/{id}/login-history:
+ *   get:
+ *     tags: [Auth]
+ *     summary: Historial de inicios de sesión de un usuario (correctos y fallidos)
+ *     description: |
+ *       reason (fallidos): BAD_PASSWORD, BAD_2FA_CODE, LOCKED, INACTIVE.
+ *       anomalies (correctos): NEW_IP (IP nunca usada por el usuario), OUTSIDE_HOURS
+ *       (fuera del horario de atención de sus sucursales).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *       - in: query
+ *         name: success
+ *         schema: { type: boolean }
+ *       - in: query
+ *         name: anomalies
+ *         schema: { type: boolean }
+ *         description: Solo los logins que dispararon alertas
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: pageSize
+ *         schema: { type: integer, default: 20, maximum: 100 }
+ *     responses:
+ *       200:
+ *         description: "{ items: [{ id, success, reason, ip, user_agent, anomalies, created_at }], page, pageSize, totalItems, totalPages }"
+ *       404:
+ *         description: Usuario no encontrado
+ */
+router.get('/users/:id/login-history', Auth, hasPermission('users.view'), controller.loginHistory)
+
 /**
  * @openapi
  * /auth/roles:
@@ -356,6 +873,20 @@ router.get('/roles', Auth, hasPermission('roles.view', 'roles.manage'), controll
  */
 router.get('/permissions', Auth, hasPermission('roles.manage', 'roles.view'), controller.getPermissions)
 
+/**
+ * @openapi
+ * /auth/restrictions:
+ *   get:
+ *     tags: [Auth]
+ *     summary: Catálogo de restricciones por rol (ocultar costos, alcance de ventas, descuento máximo)
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lista de { key, type, values?, min?, max?, permission, description, applies }
+ */
+router.get('/restrictions', Auth, hasPermission('roles.manage', 'roles.view'), controller.getRestrictions)
+
 /**
  * @openapi
  * /auth/roles/with-permissions:
@@ -413,6 +944,13 @@ router.get('/roles/:id/with-permissions', Auth, hasPermission('roles.manage', 'r
  *                 type: array
  *                 items:
  *                   type: string
+ *               require_2fa:
+ *                 type: boolean
+ *                 description: Sus usuarios deben entrar con verificación en dos pasos
+ *               restrictions:
+ *                 type: object
+ *                 description: Restricciones sobre sus permisos (ver GET /auth/restrictions)
+ *                 example: { "products.hide_cost": true, "sales.scope": "own", "sales.max_discount_pct": 10 }
  *     responses:
  *       201:
  *         description: Rol creado
@@ -445,6 +983,13 @@ router.post('/roles', Auth, hasPermission('roles.manage'), controller.createRole
  *                 type: array
  *                 items:
  *                   type: string
+ *               require_2fa:
+ *                 type: boolean
+ *                 description: Sus usuarios deben entrar con verificación en dos pasos
+ *               restrictions:
+ *                 type: object
+ *                 description: Restricciones sobre sus permisos (ver GET /auth/restrictions)
+ *                 example: { "products.hide_cost": true, "sales.scope": "own", "sales.max_discount_pct": 10 }
  *     responses:
  *       200:
  *         description: Rol actualizado
@@ -0,0 +1,79 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+const { Router } = require('express')
+const { Auth, hasPermission } = require('../middlewares/autenticacion')
+const Webhooks = require('../controllers/webhooks.controller')
+
+const router = Router()
+
+const canManage = hasPermission('webhooks.manage')
+
+/**
+ * GET /api/webhooks/events
+ * Eventos a los que se puede suscribir
+ */
+router.get('/events', Auth, canManage, Webhooks.events)
+
+/**
+ * GET /api/webhooks/deliveries
+ * Registro de entregas, paginado (filtros: subscription_id, status, event)
+ */
+router.get('/deliveries', Auth, canManage, Webhooks.listDeliveries)
+
+/**
+ * GET /api/webhooks/deliveries/:deliveryId
+ * Una entrega con su payload y lo que respondió el receptor
+ */
+router.get('/deliveries/:deliveryId', Auth, canManage, Webhooks.getDelivery)
+
+/**
+ * POST /api/webhooks/deliveries/:deliveryId/redeliver
+ * Reenviar ya (también las FAILED); responde con el resultado del intento
+ */
+router.post('/deliveries/:deliveryId/redeliver', Auth, canManage, Webhooks.redeliver)
+
+/**
+ * GET /api/webhooks
+ * Suscripciones de la empresa (sin secreto)
+ */
+router.get('/', Auth, canManage, Webhooks.list)
+
+/**
+ * POST /api/webhooks
+ * Crear: { url, events: ['sale.created', ...] | ['*'], description?, secret? }.
+ * Responde con el secreto (generado si no se manda): guardarlo, no se vuelve a mostrar.
+ */
+router.post('/', Auth, canManage, Webhooks.create)
+
+/**
+ * PUT /api/webhooks/:id
+ * Editar url, events, description o active
+ */
+router.put('/:id', Auth, canManage, Webhooks.update)
+
+/**
+ * DELETE /api/webhooks/:id
+ */
+router.delete('/:id', Auth, canManage, Webhooks.remove)
+
+/**
+ * POST /api/webhooks/:id/rotate-secret
+ * Nuevo secreto (se muestra una vez)
+ */
+router.post('/:id/rotate-secret', Auth, canManage, Webhooks.rotateSecret)
+
+/**
+ * POST /api/webhooks/:id/test
+ * Manda un evento webhook.test a esa suscripción y devuelve la entrega
+ */
+router.post('/:id/test', Auth, canManage, Webhooks.test)
+
+module.exports = router
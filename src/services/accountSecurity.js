@@ -0,0 +1,254 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Seguridad de la cuenta: verificación en dos pasos (TOTP + códigos de
+ * recuperación), cambio de contraseña y restablecimiento por enlace.
+ *
+ * Todo cambio de contraseña pasa por `setPassword`, que cierra las sesiones
+ * abiertas (refresh tokens) y anula los enlaces de restablecimiento vigentes.
+ */
+
+const crypto = require('crypto')
+const bcrypt = require('bcryptjs')
+const { secret: jwtSecret } = require('../config/security')
+const refreshTokens = require('./refreshTokens')
+const {
+  generateTotpSecret,
+  verifyTotp,
+  otpauthUrl,
+  sealTotpSecret,
+  openTotpSecret,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+} = require('./totp')
+
+const PASSWORD_MIN_LENGTH = 8
+const PASSWORD_MAX_LENGTH = 72 // bcrypt ignora lo que pase de 72 bytes
+const DEFAULT_RESET_MINUTES = 60
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Depósito'
+
+function httpError(status, message, code) {
+  const err = new Error(message)
+  err.status = status
+  if (code) err.code = code
+  return err
+}
+
+/** Clave del cifrado del secreto TOTP; por defecto deriva del secreto JWT. */
+function totpKey() {
+  return process.env.TOTP_ENCRYPTION_KEY || jwtSecret
+}
+
+function resetMinutes() {
+  return Number(process.env.PASSWORD_RESET_MINUTES) || DEFAULT_RESET_MINUTES
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex')
+}
+
+/** 400 si la contraseña nueva no cumple el mínimo. */
+function validateNewPassword(password) {
+  const value = typeof password === 'string' ? password : ''
+  if (value.trim().length < PASSWORD_MIN_LENGTH) {
+    throw httpError(400, `La contraseña debe tener al menos ${PASSWORD_MIN_LENGTH} caracteres`, 'WEAK_PASSWORD')
+  }
+  if (Buffer.byteLength(value) > PASSWORD_MAX_LENGTH) {
+    throw httpError(400, `La contraseña no puede pasar de ${PASSWORD_MAX_LENGTH} caracteres`, 'WEAK_PASSWORD')
+  }
+  return value
+}
+
+/**
+ * Guarda la contraseña nueva y cierra las sesiones del usuario (menos
+ * `exceptSessionId`: la de quien la cambia).
+ * @returns {Promise<number>} sesiones cerradas
+ */
+async function setPassword(db, userId, password, { exceptSessionId } = {}) {
+  const hash = await bcrypt.hash(validateNewPassword(password), 10)
+  const now = new Date()
+  // Quien restablece por correo demuestra ser el dueño: fuera el bloqueo
+  await db.user.update({
+    where: { id: userId },
+    data: { password: hash, password_changed_at: now, failed_login_count: 0, locked_until: null },
+  })
+  await db.passwordResetToken.updateMany({ where: { user_id: userId, used_at: null }, data: { used_at: now } })
+  return refreshTokens.revokeAll(userId, { exceptSessionId })
+}
+
+// ---------- Verificación en dos pasos ----------
+
+/** Si el usuario debe entrar con 2FA ya activado (su rol lo exige). */
+function twoFactorRequired(user) {
+  return Boolean(user?.role?.require_2fa)
+}
+
+function twoFactorStatus(user) {
+  return {
+    enabled: Boolean(user.totp_enabled),
+    enabled_at: user.totp_enabled_at || null,
+    required: twoFactorRequired(user),
+    recovery_codes_remaining: user.totp_enabled ? (user.recovery_codes || []).length : 0,
+  }
+}
+
+/**
+ * Inicia la inscripción: secreto nuevo (pendiente hasta confirmar con un
+ * código). Repetirla reemplaza el secreto pendiente.
+ */
+async function startTwoFactorEnrollment(db, user) {
+  if (user.totp_enabled) throw httpError(409, 'La verificación en dos pasos ya está activa', 'TWO_FACTOR_ENABLED')
+  const secret = generateTotpSecret()
+  await db.user.update({
+    where: { id: user.id },
+    data: { totp_secret: sealTotpSecret(secret, totpKey()), totp_last_step: null },
+  })
+  return { secret, otpauth_url: otpauthUrl(secret, { issuer: TOTP_ISSUER, account: user.email }) }
+}
+
+/**
+ * Confirma la inscripción con el primer código de la app y genera los códigos
+ * de recuperación (se devuelven en claro una sola vez).
+ */
+async function confirmTwoFactorEnrollment(db, user, code) {
+  if (user.totp_enabled) throw httpError(409, 'La verificación en dos pasos ya está activa', 'TWO_FACTOR_ENABLED')
+  if (!user.totp_secret) throw httpError(400, 'Primero genera el código QR', 'TWO_FACTOR_NOT_STARTED')
+  const step = verifyTotp(openTotpSecret(user.totp_secret, totpKey()), code)
+  if (step == null) throw httpError(401, 'Código inválido', 'INVALID_2FA_CODE')
+  const { codes, hashes } = generateRecoveryCodes()
+  await db.user.update({
+    where: { id: user.id },
+    data: { totp_enabled: true, totp_enabled_at: new Date(), totp_last_step: step, recovery_codes: hashes },
+  })
+  return codes
+}
+
+/**
+ * Verifica el segundo factor: `code` de la app o un `recovery_code` (que se
+ * consume). La escritura repite la condición, así dos logins con el mismo
+ * código a la vez no pasan los dos.
+ *
+ * @returns {Promise<{ method: 'totp'|'recovery', recovery_codes_remaining?: number }>}
+ */
+async function verifySecondFactor(db, user, { code, recovery_code: recoveryCode } = {}) {
+  if (!user.totp_enabled || !user.totp_secret) throw httpError(400, 'La verificación en dos pasos no está activa')
+  if (code) {
+    const step = verifyTotp(openTotpSecret(user.totp_secret, totpKey()), code, { lastStep: user.totp_last_step })
+    if (step != null) {
+      const { count } = await db.user.updateMany({
+        where: { id: user.id, OR: [{ totp_last_step: null }, { totp_last_step: { lt: step } }] },
+        data: { totp_last_step: step },
+      })
+      if (count === 1) return { method: 'totp' }
+    }
+  } else if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode)
+    const remaining = (user.recovery_codes || []).filter((h) => h !== hash)
+    if (remaining.length < (user.recovery_codes || []).length) {
+      const { count } = await db.user.updateMany({
+        where: { id: user.id, recovery_codes: { has: hash } },
+        data: { recovery_codes: remaining },
+      })
+      if (count === 1) return { method: 'recovery', recovery_codes_remaining: remaining.length }
+    }
+  } else {
+    throw httpError(400, 'Indica el código de tu app autenticadora o un código de recuperación', 'TWO_FACTOR_CODE_REQUIRED')
+  }
+  throw httpError(401, 'Código inválido', 'INVALID_2FA_CODE')
+}
+
+/** Códigos de recuperación nuevos; los anteriores dejan de servir. */
+async function regenerateRecoveryCodes(db, user) {
+  const { codes, hashes } = generateRecoveryCodes()
+  await db.user.update({ where: { id: user.id }, data: { recovery_codes: hashes } })
+  return codes
+}
+
+/** Quita la verificación en dos pasos (el usuario, o un admin si perdió el celular). */
+async function disableTwoFactor(db, userId) {
+  await db.user.update({
+    where: { id: userId },
+    data: { totp_enabled: false, totp_enabled_at: null, totp_secret: null, totp_last_step: null, recovery_codes: [] },
+  })
+}
+
+// ---------- Restablecimiento por enlace ----------
+
+/**
+ * Enlace nuevo de restablecimiento; los anteriores sin usar se anulan.
+ * @returns {Promise<{ token: string, expiresAt: Date }>} token en claro (va en el correo)
+ */
+async function createPasswordReset(db, userId, { ip } = {}) {
+  const token = crypto.randomBytes(32).toString('hex')
+  const now = new Date()
+  const expiresAt = new Date(now.getTime() + resetMinutes() * 60 * 1000)
+  await db.passwordResetToken.updateMany({ where: { user_id: userId, used_at: null }, data: { used_at: now } })
+  await db.passwordResetToken.create({
+    data: { user_id: userId, token_hash: hashToken(token), expires_at: expiresAt, requested_ip: ip ? String(ip).slice(0, 64) : null },
+  })
+  return { token, expiresAt }
+}
+
+/**
+ * Marca el enlace como usado si sigue vigente.
+ * @returns {Promise<string|null>} userId, o null si no existe / venció / ya se usó
+ */
+async function consumePasswordReset(db, token) {
+  if (!token) return null
+  const row = await db.passwordResetToken.findUnique({ where: { token_hash: hashToken(token) } })
+  if (!row || row.used_at || row.expires_at <= new Date()) return null
+  const { count } = await db.passwordResetToken.updateMany({
+    where: { id: row.id, used_at: null },
+    data: { used_at: new Date() },
+  })
+  return count === 1 ? row.user_id : null
+}
+
+/** Enlace que va en el correo (pantalla del frontend que pide la contraseña nueva). */
+function passwordResetLink(token) {
+  const base = String(process.env.PUBLIC_APP_URL || process.env.FRONTEND_URL || '').replace(/\/$/, '')
+  return `${base}/restablecer-contrasena?token=${encodeURIComponent(token)}`
+}
+
+function passwordResetMail(user, token) {
+  const link = passwordResetLink(token)
+  const minutes = resetMinutes()
+  return {
+    to: user.email,
+    subject: 'Restablecer tu contraseña',
+    text: [
+      `Hola ${user.name},`,
+      '',
+      'Recibimos una solicitud para restablecer la contraseña de tu cuenta.',
+      `Abre este enlace para elegir una nueva (vence en ${minutes} minutos y sirve una sola vez):`,
+      '',
+      link,
+      '',
+      'Si no lo pediste, ignora este correo: tu contraseña no cambia.',
+    ].join('\n'),
+  }
+}
+
+module.exports = {
+  PASSWORD_MIN_LENGTH,
+  validateNewPassword,
+  setPassword,
+  twoFactorRequired,
+  twoFactorStatus,
+  startTwoFactorEnrollment,
+  confirmTwoFactorEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  createPasswordReset,
+  consumePasswordReset,
+  passwordResetMail,
+}
@@ -22,6 +22,11 @@ const DEFAULT_ACCOUNT_KEYS = [
   'payables', 'ivaDebit', 'ivaCredit', 'pequenoTax', 'pequenoTaxExpense',
   'currentEarnings', 'retainedEarnings',
 ]
+/**
+ * Llaves que no toda empresa tiene: si faltan quedan en null y el motor omite
+ * (y reporta) lo que las necesita en vez de bloquear todo lo demás.
+ */
+const OPTIONAL_ACCOUNT_KEYS = ['storedValue']
 
 class AccountingError extends Error {
   constructor(message) {
@@ -150,7 +155,7 @@ async function getDefaultAccounts(tx, companyId) {
   if (!setting) throw new AccountingError('Falta configurar las cuentas por defecto de contabilidad')
   let map
   try { map = JSON.parse(setting.value) } catch { throw new AccountingError('Configuración de cuentas por defecto inválida') }
-  const codes = DEFAULT_ACCOUNT_KEYS.map((k) => map[k]).filter(Boolean)
+  const codes = [...DEFAULT_ACCOUNT_KEYS, ...OPTIONAL_ACCOUNT_KEYS].map((k) => map[k]).filter(Boolean)
   const accounts = await tx.account.findMany({ where: { code: { in: codes }, active: true, is_group: false, company_id: companyId } })
   const byCode = new Map(accounts.map((a) => [a.code, a]))
   const result = {}
@@ -160,6 +165,13 @@ async function getDefaultAccounts(tx, companyId) {
     if (!acc) throw new AccountingError(`Cuenta por defecto «${key}» (${code || 'sin asignar'}) no encontrada o inactiva`)
     result[key] = acc
   }
+  for (const key of OPTIONAL_ACCOUNT_KEYS) {
+    const code = map[key]
+    if (!code) { result[key] = null; continue }
+    const acc = byCode.get(code)
+    if (!acc) throw new AccountingError(`Cuenta por defecto «${key}» (${code}) no encontrada o inactiva`)
+    result[key] = acc
+  }
   return result
 }
 
@@ -168,6 +180,7 @@ module.exports = {
   GT_ZONE,
   SETTING_KEY,
   DEFAULT_ACCOUNT_KEYS,
+  OPTIONAL_ACCOUNT_KEYS,
   toEntryDate,
   periodKeyForDate,
   assertPeriodOpen,
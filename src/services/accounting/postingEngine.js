@@ -10,13 +10,16 @@
 
 /**
  * Motor de posteo desacoplado: contabiliza operaciones (ventas, devoluciones,
- * compras, abonos) que aún no tienen asiento. Idempotente vía unique
+ * compras, abonos a proveedores y de clientes, saldos vencidos, diferencias de
+ * traslado dadas de baja) que aún no tienen asiento. Idempotente vía unique
  * (source_type, source_id). No modifica ningún flujo operativo.
  */
 
 const { Prisma } = require('@prisma/client')
 const { splitIva, round2 } = require('./logic')
 const { createEntry, getDefaultAccounts, getTaxConfig, AccountingError } = require('./core')
+const { saleTenderShares, isStoredValueMethodName } = require('../salePayments')
+const { discrepancyEntryLines, RESOLUTION_LABELS } = require('../transferDiscrepancies')
 
 /**
  * Cuántas operaciones sin contabilizar se procesan por corrida. Antes se traían
@@ -26,6 +29,13 @@ const { createEntry, getDefaultAccounts, getTaxConfig, AccountingError } = requi
  */
 const BATCH = 500
 
+/** Motivo del kardex → descripción del asiento de ajuste. */
+const ADJUSTMENT_DESCRIPTIONS = {
+  MANUAL_ADJUST: 'Ajuste de inventario',
+  COUNT_ADJUST: 'Ajuste por conteo de inventario',
+  RETURN_SCRAP: 'Baja de mercadería devuelta',
+}
+
 /**
  * ids todavía sin asiento, en orden cronológico y por tandas. El descarte va en
  * la base (NOT EXISTS contra el índice único de idempotencia), no en memoria.
@@ -47,14 +57,38 @@ async function pendingIds(prisma, sourceType, companyId, candidatos) {
   return rows.map((r) => String(r.id))
 }
 
-/** Cuenta de cargo según método de pago: efectivo→Caja, crédito→Clientes, resto→Bancos. */
+/**
+ * Cuenta de cargo según método de pago: efectivo→Caja, crédito→Clientes,
+ * saldo a favor→su pasivo (se cobra bajando lo que se le debe al cliente),
+ * resto→Bancos.
+ */
 function cashOrBank(defaults, paymentMethodName) {
+  if (isStoredValueMethodName(paymentMethodName)) return defaults.storedValue
   const name = String(paymentMethodName || '').toLowerCase().normalize('NFD').replace(/\p{M}/gu, '')
   if (name.includes('efectivo')) return defaults.cash
   if (name.includes('credito')) return defaults.receivables
   return defaults.bank
 }
 
+/**
+ * Líneas de caja/bancos de un cobro con varios medios: una por cuenta (dos
+ * pagos con tarjeta en la misma venta van juntos a Bancos). `side` es 'debit'
+ * para la venta y 'credit' para la devolución.
+ */
+function tenderLines(defaults, tenders, side) {
+  const byAccount = new Map()
+  for (const t of tenders) {
+    if (!(t.amount > 0)) continue
+    const account = cashOrBank(defaults, t.name)
+    byAccount.set(account.id, round2((byAccount.get(account.id) || 0) + t.amount))
+  }
+  return [...byAccount].map(([account_id, amount]) => (
+    side === 'debit'
+      ? { account_id, debit: amount, credit: 0 }
+      : { account_id, debit: 0, credit: amount }
+  ))
+}
+
 /** Postea una operación en su propia transacción; devuelve null si ok, o razón si se omite. */
 async function tryPost(prisma, build) {
   try {
@@ -101,8 +135,10 @@ async function postPendingOperations(prisma, userId, companyId) {
     select: {
       id: true, reference: true, date: true, total: true, customer: true, branch_id: true,
       customerContact: { select: { name: true } },
+      payment_method_id: true,
       payment_method: { select: { name: true } },
-      sale_items: { select: { qty: true, unit_cost: true, product: { select: { cost: true } } } },
+      payments: { select: { payment_method_id: true, amount: true, payment_method: { select: { name: true } } } },
+      sale_items: { select: { qty: true, price: true, unit_cost: true, product: { select: { cost: true, is_gift_card: true } } } },
     },
     orderBy: { date: 'asc' },
   })
@@ -110,29 +146,45 @@ async function postPendingOperations(prisma, userId, companyId) {
     const label = `Venta ${sale.reference || sale.id.slice(0, 8)}`
     const total = round2(sale.total)
     if (total <= 0) { track(label, 'total 0'); continue }
-    const { base, iva } = splitIva(total, ivaRate)
+    // Vender una tarjeta de regalo no es ingreso: es dinero que se le debe al
+    // portador hasta que la use. Esa parte va al pasivo, sin IVA.
+    const giftPortion = Math.min(total, round2(sale.sale_items.reduce(
+      (s, i) => s + (i.product.is_gift_card ? i.qty * Number(i.price) : 0), 0
+    )))
+    const tenders = saleTenderShares({ ...sale, total_returned: 0 })
+    if (!defaults.storedValue && (giftPortion > 0 || tenders.some((t) => isStoredValueMethodName(t.name)))) {
+      track(label, 'Falta la cuenta por defecto «storedValue» (saldos a favor y tarjetas)')
+      continue
+    }
+    const revenue = round2(total - giftPortion)
+    const { base, iva } = splitIva(revenue, ivaRate)
     // El costo congelado en la venta; las ventas viejas (sin él) caen al costo
     // del producto, que es lo que se usaba antes de guardarlo por línea.
     const cost = costBase(round2(sale.sale_items.reduce(
       (s, i) => s + i.qty * Number(i.unit_cost ?? i.product.cost ?? 0), 0
     )))
-    const chargeAccount = cashOrBank(defaults, sale.payment_method?.name)
+    // Cada medio del cobro a su cuenta: el efectivo a Caja, la tarjeta a Bancos.
+    // Las ventas son de un total ya cobrado, así que se postea el bruto por medio
+    // (las devoluciones llevan su propio asiento).
+    const chargeLines = tenderLines(defaults, tenders, 'debit')
     const lines = splitVat
       ? [
-          { account_id: chargeAccount.id, debit: total, credit: 0 },
+          ...chargeLines,
           { account_id: defaults.sales.id, debit: 0, credit: base },
           { account_id: defaults.ivaDebit.id, debit: 0, credit: iva },
         ]
       : [
-          { account_id: chargeAccount.id, debit: total, credit: 0 },
-          { account_id: defaults.sales.id, debit: 0, credit: total },
+          ...chargeLines,
+          { account_id: defaults.sales.id, debit: 0, credit: revenue },
         ]
+    if (giftPortion > 0) lines.push({ account_id: defaults.storedValue.id, debit: 0, credit: giftPortion })
     // Ventas al crédito: la línea de Clientes identifica al contacto que debe.
-    if (chargeAccount.id === defaults.receivables.id) {
+    const receivableLine = chargeLines.find((l) => l.account_id === defaults.receivables.id)
+    if (receivableLine) {
       const customerName = sale.customerContact?.name || sale.customer
-      if (customerName) lines[0].description = `Cliente: ${customerName}`
+      if (customerName) receivableLine.description = `Cliente: ${customerName}`
     }
-    const saleTax = pequenoTaxOf(total)
+    const saleTax = pequenoTaxOf(revenue)
     if (saleTax > 0) {
       lines.push({ account_id: defaults.pequenoTaxExpense.id, debit: saleTax, credit: 0 })
       lines.push({ account_id: defaults.pequenoTax.id, debit: 0, credit: saleTax })
@@ -166,12 +218,14 @@ async function postPendingOperations(prisma, userId, companyId) {
   const returns = await prisma.return.findMany({
     where: { id: { in: pendingReturns } },
     select: {
-      id: true, return_date: true, total_refund: true,
+      id: true, return_date: true, total_refund: true, refund_to: true, credit_amount: true,
       sale: {
         select: {
-          reference: true, customer: true, branch_id: true,
+          reference: true, customer: true, branch_id: true, total: true,
           customerContact: { select: { name: true } },
+          payment_method_id: true,
           payment_method: { select: { name: true } },
+          payments: { select: { payment_method_id: true, amount: true, payment_method: { select: { name: true } } } },
         },
       },
       return_items: {
@@ -193,23 +247,31 @@ async function postPendingOperations(prisma, userId, companyId) {
     const cost = costBase(round2(ret.return_items.reduce(
       (s, i) => s + i.qty_returned * Number(i.sale_item?.unit_cost ?? i.product.cost ?? 0), 0
     )))
-    const refundAccount = cashOrBank(defaults, ret.sale?.payment_method?.name)
+    // Reembolsado como saldo: no sale dinero, sube lo que se le debe al cliente.
+    const credit = ret.refund_to === 'ORIGINAL' ? 0 : Math.min(refund, round2(ret.credit_amount))
+    // Lo demás sale por los mismos medios con que se cobró, en proporción.
+    const refundTenders = saleTenderShares({ ...ret.sale, total_returned: round2(refund - credit) })
+      .map((t) => ({ ...t, amount: t.returned }))
+    if (!defaults.storedValue && (credit > 0 || refundTenders.some((t) => t.amount > 0 && isStoredValueMethodName(t.name)))) {
+      track(label, 'Falta la cuenta por defecto «storedValue» (saldos a favor y tarjetas)')
+      continue
+    }
+    const refundLines = tenderLines(defaults, refundTenders, 'credit')
+    if (credit > 0) refundLines.push({ account_id: defaults.storedValue.id, debit: 0, credit })
     const lines = splitVat
       ? [
           { account_id: defaults.salesReturns.id, debit: base, credit: 0 },
           { account_id: defaults.ivaDebit.id, debit: iva, credit: 0 },
-          { account_id: refundAccount.id, debit: 0, credit: refund },
+          ...refundLines,
         ]
       : [
           { account_id: defaults.salesReturns.id, debit: refund, credit: 0 },
-          { account_id: refundAccount.id, debit: 0, credit: refund },
+          ...refundLines,
         ]
-    if (refundAccount.id === defaults.receivables.id) {
+    const receivableLine = refundLines.find((l) => l.account_id === defaults.receivables.id)
+    if (receivableLine) {
       const customerName = ret.sale?.customerContact?.name || ret.sale?.customer
-      if (customerName) {
-        const refundLine = lines.find((l) => l.account_id === refundAccount.id)
-        if (refundLine) refundLine.description = `Cliente: ${customerName}`
-      }
+      if (customerName) receivableLine.description = `Cliente: ${customerName}`
     }
     const refundTax = pequenoTaxOf(refund)
     if (refundTax > 0) {
@@ -326,7 +388,45 @@ async function postPendingOperations(prisma, userId, companyId) {
     track(label, reason)
   }
 
-  // ---- Ajustes de inventario (manuales, conteos, bajas de lote) ----
+  // ---- Abonos de clientes (ventas al crédito) ----
+  const pendingCollections = await pendingIds(prisma, 'CUSTOMER_PAYMENT', companyId, Prisma.sql`
+    SELECT cp.id::text AS id, cp.paid_at AS ord
+    FROM customer_payment_entries cp
+    JOIN sales s ON s.id = cp.sale_id
+    JOIN branches b ON b.id = s.branch_id
+    WHERE b.company_id = ${companyId}::uuid
+  `)
+  const collections = await prisma.customerPaymentEntry.findMany({
+    where: { id: { in: pendingCollections } },
+    select: {
+      id: true, amount: true, paid_at: true,
+      payment_method: { select: { name: true } },
+      sale: { select: { reference: true, customer: true, branch_id: true, customerContact: { select: { name: true } } } },
+    },
+    orderBy: { paid_at: 'asc' },
+  })
+  for (const pay of collections) {
+    const customerName = pay.sale?.customerContact?.name || pay.sale?.customer || 'cliente'
+    const label = `Abono de ${customerName} (${pay.sale?.reference || pay.id.slice(0, 8)})`
+    const amount = round2(pay.amount)
+    if (amount <= 0) { track(label, 'monto 0'); continue }
+    const reason = await tryPost(prisma, () => ({
+      company_id: companyId,
+      branch_id: pay.sale?.branch_id ?? null,
+      date: pay.paid_at,
+      description: `Abono de ${customerName} a venta ${pay.sale?.reference || ''}`.trim(),
+      source_type: 'CUSTOMER_PAYMENT',
+      source_id: pay.id,
+      created_by: userId,
+      lines: [
+        { account_id: cashOrBank(defaults, pay.payment_method?.name).id, debit: amount, credit: 0 },
+        { account_id: defaults.receivables.id, debit: 0, credit: amount, description: `Cliente: ${customerName}` },
+      ],
+    }))
+    track(label, reason)
+  }
+
+  // ---- Ajustes de inventario (manuales, conteos, bajas de lote y de devoluciones) ----
   // Sin esto la cuenta de Inventario solo sube con compras y baja con ventas, y
   // se separa de la valuación física sin que nada lo avise. Se excluyen a
   // propósito: traslados y movimientos internos (valor neto cero para la
@@ -347,7 +447,7 @@ async function postPendingOperations(prisma, userId, companyId) {
     JOIN products p ON p.id = m.product_id
     JOIN branches b ON b.id = m.branch_id
     WHERE b.company_id = ${companyId}::uuid
-      AND m.reason IN ('MANUAL_ADJUST', 'COUNT_ADJUST')
+      AND m.reason IN ('MANUAL_ADJUST', 'COUNT_ADJUST', 'RETURN_SCRAP')
       AND NOT EXISTS (
         SELECT 1 FROM journal_entries je
         WHERE je.company_id = ${companyId}::uuid
@@ -359,8 +459,8 @@ async function postPendingOperations(prisma, userId, companyId) {
     LIMIT ${BATCH}
   `
   for (const adj of adjustments) {
-    const esConteo = adj.reason === 'COUNT_ADJUST'
-    const label = `${esConteo ? 'Ajuste por conteo' : 'Ajuste de inventario'} (${adj.key.slice(0, 8)})`
+    const description = ADJUSTMENT_DESCRIPTIONS[adj.reason] || ADJUSTMENT_DESCRIPTIONS.MANUAL_ADJUST
+    const label = `${description} (${adj.key.slice(0, 8)})`
     const value = costBase(round2(Number(adj.value || 0)))
     if (value === 0) { track(label, 'valor 0'); continue }
     // Sobrante: entra inventario. Merma: sale. En ambos casos la contrapartida
@@ -382,7 +482,7 @@ async function postPendingOperations(prisma, userId, companyId) {
       company_id: companyId,
       branch_id: adj.branch_id,
       date: adj.date,
-      description: esConteo ? 'Ajuste por conteo de inventario' : 'Ajuste de inventario',
+      description,
       source_type: 'STOCK_ADJUSTMENT',
       source_id: adj.key,
       created_by: userId,
@@ -391,6 +491,85 @@ async function postPendingOperations(prisma, userId, companyId) {
     track(label, reason)
   }
 
+  // ---- Saldos a favor y tarjetas vencidos ----
+  // Lo que venció deja de deberse: baja el pasivo contra ventas.
+  // ponytail: el ingreso por saldos no usados va a Ventas; si se quiere aparte
+  // en el estado de resultados hace falta otra llave opcional en el mapeo.
+  const pendingExpired = defaults.storedValue
+    ? await pendingIds(prisma, 'STORED_VALUE', companyId, Prisma.sql`
+      SELECT m.id::text AS id, m.created_at AS ord
+      FROM stored_value_movements m
+      JOIN stored_value_accounts a ON a.id = m.account_id
+      WHERE a.company_id = ${companyId}::uuid AND m.type = 'EXPIRE'
+    `)
+    : []
+  const expirations = await prisma.storedValueMovement.findMany({
+    where: { id: { in: pendingExpired } },
+    select: { id: true, amount: true, created_at: true, account: { select: { code: true, kind: true } } },
+    orderBy: { created_at: 'asc' },
+  })
+  for (const mov of expirations) {
+    const description = `Vencimiento de ${mov.account.kind === 'GIFT_CARD' ? 'tarjeta de regalo' : 'saldo a favor'} ${mov.account.code}`
+    const amount = round2(Math.abs(Number(mov.amount)))
+    if (amount <= 0) { track(description, 'monto 0'); continue }
+    const reason = await tryPost(prisma, () => ({
+      company_id: companyId,
+      branch_id: null,
+      date: mov.created_at,
+      description,
+      source_type: 'STORED_VALUE',
+      source_id: mov.id,
+      created_by: userId,
+      lines: [
+        { account_id: defaults.storedValue.id, debit: amount, credit: 0 },
+        { account_id: defaults.sales.id, debit: 0, credit: amount },
+      ],
+    }))
+    track(description, reason)
+  }
+
+  // ---- Diferencias de traslado dadas de baja o cobradas al transportista ----
+  // Salieron del inventario del origen al enviarse y nunca entraron al destino:
+  // al resolverse dejan de ser inventario (merma o cuenta por cobrar).
+  // ponytail: el cobro al transportista va a Clientes; una cuenta propia de
+  // reclamos haría falta como llave opcional del mapeo.
+  const pendingDiscrepancies = await pendingIds(prisma, 'TRANSFER_DISCREPANCY', companyId, Prisma.sql`
+    SELECT d.id::text AS id, d.resolved_at AS ord
+    FROM transfer_discrepancies d
+    JOIN stock_transfers t ON t.id = d.transfer_id
+    JOIN branches b ON b.id = t.from_branch_id
+    WHERE b.company_id = ${companyId}::uuid AND d.resolution IN ('WRITE_OFF', 'CHARGE_CARRIER')
+  `)
+  const discrepancies = await prisma.transferDiscrepancy.findMany({
+    where: { id: { in: pendingDiscrepancies } },
+    select: {
+      id: true, qty: true, unit_cost: true, resolution: true, charge_amount: true, carrier_name: true, resolved_at: true,
+      transfer: { select: { reference: true, from_branch_id: true } },
+      product: { select: { name: true } },
+    },
+    orderBy: { resolved_at: 'asc' },
+  })
+  for (const d of discrepancies) {
+    const description = `${RESOLUTION_LABELS[d.resolution]}: ${d.product.name} (${d.transfer.reference})`
+    const cost = costBase(round2(d.qty * Number(d.unit_cost)))
+    const lines = discrepancyEntryLines(
+      { resolution: d.resolution, cost, charge: d.charge_amount != null ? Number(d.charge_amount) : null },
+      { cogs: defaults.cogs.id, inventory: defaults.inventory.id, receivables: defaults.receivables.id },
+    )
+    if (lines.length === 0) { track(description, 'valor 0'); continue }
+    const reason = await tryPost(prisma, () => ({
+      company_id: companyId,
+      branch_id: d.transfer.from_branch_id,
+      date: d.resolved_at,
+      description: d.carrier_name ? `${description} — ${d.carrier_name}` : description,
+      source_type: 'TRANSFER_DISCREPANCY',
+      source_id: d.id,
+      created_by: userId,
+      lines,
+    }))
+    track(description, reason)
+  }
+
   // ---- Compras PAID sin abonos (flujo viejo): pago sintético por el total ----
   const esperaPagoSintetico = new Set(pendingSynthPayments)
   for (const purchase of purchases) {
@@ -419,7 +598,8 @@ async function postPendingOperations(prisma, userId, companyId) {
   // Una tanda llena significa que quedaron operaciones sin contabilizar: la
   // siguiente corrida las toma, en vez de que una sola muera por timeout.
   const hasMore = [
-    pendingSales, pendingReturns, pendingPurchases, pendingSynthPayments, pendingPayments, adjustments,
+    pendingSales, pendingReturns, pendingPurchases, pendingSynthPayments, pendingPayments,
+    pendingCollections, adjustments, pendingExpired, pendingDiscrepancies,
   ].some((a) => a.length >= BATCH)
 
   return { posted, skipped, hasMore }
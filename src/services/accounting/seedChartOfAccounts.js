@@ -11,7 +11,8 @@
 /**
  * Catálogo de cuentas GT por defecto + mapeo de cuentas del motor de posteo.
  * Sin esto una empresa nueva no puede contabilizar nada (postingEngine
- * exige las 14 llaves de DEFAULT_ACCOUNT_KEYS resueltas).
+ * exige las 14 llaves de DEFAULT_ACCOUNT_KEYS resueltas; `storedValue` es
+ * opcional pero el catálogo nuevo ya la trae).
  */
 
 const ACCOUNTS_SEED = [
@@ -25,6 +26,7 @@ const ACCOUNTS_SEED = [
   { code: '2101', name: 'Proveedores', type: 'LIABILITY', parent: '2', system: true },
   { code: '2102', name: 'IVA Débito Fiscal', type: 'LIABILITY', parent: '2', system: true },
   { code: '2103', name: 'IVA Pequeño Contribuyente por Pagar', type: 'LIABILITY', parent: '2', system: true },
+  { code: '2104', name: 'Saldos a favor y tarjetas de regalo', type: 'LIABILITY', parent: '2', system: true },
   { code: '3', name: 'CAPITAL', type: 'EQUITY', is_group: true },
   { code: '3101', name: 'Capital', type: 'EQUITY', parent: '3' },
   { code: '3201', name: 'Utilidades Acumuladas', type: 'EQUITY', parent: '3', system: true },
@@ -48,6 +50,7 @@ const DEFAULT_ACCOUNT_CODES = {
   ivaDebit: '2102', ivaCredit: '1104',
   pequenoTax: '2103', pequenoTaxExpense: '6105',
   currentEarnings: '3202', retainedEarnings: '3201',
+  storedValue: '2104',
 }
 
 /** Crea el catálogo de cuentas y el mapeo por defecto de una empresa; nunca pisa cuentas ya remapeadas. */
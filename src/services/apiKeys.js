@@ -0,0 +1,214 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Llaves de API para integraciones: `dpk_<prefix>_<secreto>`, en el header
+ * `X-Api-Key` o como `Authorization: Bearer dpk_…`.
+ *
+ * Se guarda el prefijo (para encontrarla) y el hash SHA-256 de la llave
+ * completa; la llave se muestra una sola vez. Es de una empresa, puede estar
+ * restringida a una sucursal y concede una lista explícita de permisos (los
+ * mismos códigos de `hasPermission`). Actúa en nombre de quien la creó: sus
+ * permisos efectivos nunca pasan de los que ese usuario tiene hoy, y deja de
+ * servir si lo desactivan. Las restricciones de su rol (roles.restrictions)
+ * también la alcanzan, y solo llega a las sucursales que el creador tiene hoy
+ * en la empresa de la llave.
+ */
+
+const crypto = require('crypto')
+const { expandPermissions } = require('../config/permissionDeps')
+
+const KEY_PREFIX = 'dpk_'
+const KEY_RE = /^dpk_([a-f0-9]{12})_([A-Za-z0-9_-]{43})$/
+// Resolución de "último uso": no se escribe en cada request
+const LAST_USED_RESOLUTION_MS = 60 * 1000
+const DEFAULT_RATE_LIMIT = 120
+
+const lastTouched = new Map() // api_key id → ms de la última escritura
+
+function httpError(status, message) {
+  const err = new Error(message)
+  err.status = status
+  return err
+}
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex')
+}
+
+/**
+ * Llave nueva.
+ * @returns {{ key: string, prefix: string, keyHash: string }} key en claro (se muestra una vez)
+ */
+function generateApiKey() {
+  const prefix = crypto.randomBytes(6).toString('hex')
+  const key = `${KEY_PREFIX}${prefix}_${crypto.randomBytes(32).toString('base64url')}`
+  return { key, prefix, keyHash: hashApiKey(key) }
+}
+
+/** Prefijo de una llave bien formada, o null. */
+function parseApiKey(raw) {
+  const match = KEY_RE.exec(String(raw || '').trim())
+  return match ? match[1] : null
+}
+
+/** Llave del request (X-Api-Key, o Bearer con el formato de llave), o null. */
+function readApiKey(req) {
+  const header = req.headers['x-api-key']
+  if (header) return String(header).trim()
+  const auth = req.headers.authorization
+  if (!auth) return null
+  const token = String(auth).replace(/['"]+/g, '').replace('Bearer ', '').trim()
+  return token.startsWith(KEY_PREFIX) ? token : null
+}
+
+function rateLimitFor(apiKey) {
+  return apiKey.rate_limit_per_minute || Number(process.env.API_KEY_RATE_LIMIT) || DEFAULT_RATE_LIMIT
+}
+
+function isAdminRole(role) {
+  return typeof role?.name === 'string' && role.name.toLowerCase() === 'admin'
+}
+
+function rolePermissions(role) {
+  return expandPermissions((role?.permissions || []).map((rp) => rp.permission?.code).filter(Boolean))
+}
+
+/**
+ * Permisos a conceder al crear/editar: códigos existentes y, si quien la
+ * crea no es admin, solo de los que él mismo tiene.
+ *
+ * @param {unknown} raw
+ * @param {{ knownCodes: string[], grantor: { role_name?: string, role?: { name?: string }, permissions?: string[] } }} ctx
+ * @returns {string[]}
+ */
+function normalizeApiKeyPermissions(raw, { knownCodes, grantor }) {
+  const list = Array.isArray(raw) ? raw : String(raw || '').split(',')
+  const codes = [...new Set(list.map((c) => String(c).trim()).filter(Boolean))]
+  if (!codes.length) throw httpError(400, 'Indica al menos un permiso para la llave')
+  const unknown = codes.filter((c) => !knownCodes.includes(c))
+  if (unknown.length) throw httpError(400, `Permisos desconocidos: ${unknown.join(', ')}`)
+  const grantorIsAdmin = isAdminRole(grantor?.role) || String(grantor?.role_name || '').toLowerCase() === 'admin'
+  if (!grantorIsAdmin) {
+    const own = grantor?.permissions || []
+    const excess = codes.filter((c) => !own.includes(c))
+    if (excess.length) throw httpError(403, `No puedes conceder permisos que no tienes: ${excess.join(', ')}`)
+  }
+  return codes.sort()
+}
+
+/**
+ * Permisos efectivos: los de la llave (expandidos), recortados a los que su
+ * creador tiene hoy. Un admin no recorta.
+ */
+function effectiveApiKeyPermissions(apiKey, creatorRole) {
+  const granted = expandPermissions(apiKey.permissions || [])
+  if (isAdminRole(creatorRole)) return granted
+  const allowed = new Set(rolePermissions(creatorRole))
+  return granted.filter((code) => allowed.has(code))
+}
+
+/**
+ * Sucursales a las que llega la llave: las del creador en la empresa de la
+ * llave, o la única a la que está restringida si él la tiene. null si el
+ * creador ya no es de esa empresa.
+ * @param {{ company_id: string, branch_id?: string|null }} apiKey
+ * @param {{ user_companies: Array<{ company_id }>, user_branches: Array<{ branch: { id, company_id } }> }} creator
+ * @returns {string[]|null}
+ */
+function apiKeyBranchIds(apiKey, creator) {
+  if (!creator?.user_companies?.some((m) => m.company_id === apiKey.company_id)) return null
+  const own = (creator.user_branches || [])
+    .map((m) => m.branch)
+    .filter((b) => b && b.company_id === apiKey.company_id)
+    .map((b) => b.id)
+  return apiKey.branch_id ? own.filter((id) => id === apiKey.branch_id) : own
+}
+
+/** Lo que queda en req.user para una llave (mismo formato que el JWT). */
+function apiKeyPrincipal(apiKey) {
+  return {
+    sub: apiKey.created_by,
+    name: `API · ${apiKey.name}`.slice(0, 150),
+    email: null,
+    role_id: null,
+    role_name: null,
+    role: null,
+    permissions: apiKey.effective_permissions,
+    restrictions: apiKey.restrictions || null,
+    api_key_id: apiKey.id,
+  }
+}
+
+/**
+ * Valida la llave del request y anota el último uso (a lo sumo una escritura
+ * por minuto y llave).
+ * @returns {Promise<object|null>} la llave con `effective_permissions` y `branch_ids`, o null si no sirve
+ */
+async function authenticateApiKey(db, raw, { ip = null, now = new Date() } = {}) {
+  const prefix = parseApiKey(raw)
+  if (!prefix) return null
+  const apiKey = await db.apiKey.findUnique({
+    where: { prefix },
+    include: {
+      creator: {
+        select: {
+          active: true,
+          user_companies: { select: { company_id: true } },
+          user_branches: { select: { branch: { select: { id: true, company_id: true } } } },
+          role: {
+            select: {
+              name: true,
+              restrictions: true,
+              permissions: { select: { permission: { select: { code: true } } } },
+            },
+          },
+        },
+      },
+    },
+  })
+  if (!apiKey) return null
+  const given = Buffer.from(hashApiKey(String(raw).trim()))
+  if (given.length !== apiKey.key_hash.length || !crypto.timingSafeEqual(given, Buffer.from(apiKey.key_hash))) return null
+  if (apiKey.revoked_at || (apiKey.expires_at && apiKey.expires_at <= now) || !apiKey.creator?.active) return null
+  const branchIds = apiKeyBranchIds(apiKey, apiKey.creator)
+  if (!branchIds) return null
+
+  const last = lastTouched.get(apiKey.id) || apiKey.last_used_at?.getTime() || 0
+  if (now.getTime() - last > LAST_USED_RESOLUTION_MS) {
+    lastTouched.set(apiKey.id, now.getTime())
+    await db.apiKey.update({
+      where: { id: apiKey.id },
+      data: { last_used_at: now, last_used_ip: ip ? String(ip).slice(0, 64) : null },
+    })
+  }
+  const { creator, key_hash: _hash, ...rest } = apiKey
+  return {
+    ...rest,
+    effective_permissions: effectiveApiKeyPermissions(apiKey, creator.role),
+    branch_ids: branchIds,
+    // Las restricciones del rol del creador también le aplican
+    restrictions: isAdminRole(creator.role) ? null : creator.role?.restrictions || null,
+  }
+}
+
+module.exports = {
+  KEY_PREFIX,
+  hashApiKey,
+  generateApiKey,
+  parseApiKey,
+  readApiKey,
+  rateLimitFor,
+  normalizeApiKeyPermissions,
+  effectiveApiKeyPermissions,
+  apiKeyBranchIds,
+  apiKeyPrincipal,
+  authenticateApiKey,
+}
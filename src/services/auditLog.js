@@ -0,0 +1,164 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Bitácora de auditoría (`audit_logs`). Los controladores llaman
+ * `recordAudit` después de escribir, con la fila antes y después: aquí se
+ * reduce a los campos que cambiaron y se le pega quién, desde dónde y con qué
+ * request. Si va dentro de la transacción, el registro cae junto con el cambio.
+ */
+
+/** Campos que nunca se copian a la bitácora: solo consta que cambiaron. */
+const REDACTED_FIELDS = new Set(['password', 'token', 'token_hash', 'secret', 'totp_secret', 'recovery_codes', 'key_hash'])
+const REDACTED = '[oculto]'
+
+/** Ruido que no dice nada de quién cambió qué. */
+const IGNORED_FIELDS = new Set(['updated_at'])
+
+/**
+ * Copia plana y serializable de una fila: Decimal y fechas como los manda
+ * JSON, BigInt como texto, sin relaciones anidadas salvo que se pidan.
+ *
+ * @param {object|null|undefined} record
+ * @param {{ keepNested?: boolean }} [options]
+ */
+function auditSnapshot(record, options = {}) {
+  if (record == null) return null
+  const out = {}
+  for (const [key, value] of Object.entries(record)) {
+    if (IGNORED_FIELDS.has(key) || value === undefined) continue
+    if (REDACTED_FIELDS.has(key)) {
+      out[key] = REDACTED
+      continue
+    }
+    const isPlainNested = value !== null && typeof value === 'object' &&
+      !(value instanceof Date) && typeof value.toJSON !== 'function'
+    if (isPlainNested && !options.keepNested) continue
+    out[key] = JSON.parse(JSON.stringify(value, (_k, v) => (typeof v === 'bigint' ? v.toString() : v)) ?? 'null')
+  }
+  return out
+}
+
+/**
+ * Solo lo que cambió entre dos snapshots. Un campo oculto que cambió queda
+ * como `[oculto]` en ambos lados; uno que no cambió no aparece.
+ *
+ * @returns {{ before: object, after: object } | null} null = no hubo cambios
+ */
+function diffSnapshots(before, after) {
+  const b = before || {}
+  const a = after || {}
+  const keys = new Set([...Object.keys(b), ...Object.keys(a)])
+  const outBefore = {}
+  const outAfter = {}
+  let changed = false
+  for (const key of keys) {
+    if (JSON.stringify(b[key] ?? null) === JSON.stringify(a[key] ?? null)) continue
+    if (REDACTED_FIELDS.has(key)) {
+      // Las dos copias dicen «[oculto]»: se compara el valor real, no se guarda.
+      continue
+    }
+    outBefore[key] = b[key] ?? null
+    outAfter[key] = a[key] ?? null
+    changed = true
+  }
+  return changed ? { before: outBefore, after: outAfter } : null
+}
+
+/**
+ * Diff con los valores reales (antes de ocultar), para que un cambio de
+ * contraseña conste aunque su valor no se guarde.
+ */
+function auditDiff(beforeRecord, afterRecord, options) {
+  const before = auditSnapshot(beforeRecord, options)
+  const after = auditSnapshot(afterRecord, options)
+  const diff = diffSnapshots(before, after) || { before: {}, after: {} }
+  for (const key of REDACTED_FIELDS) {
+    const hadBefore = beforeRecord && key in beforeRecord
+    const hasAfter = afterRecord && key in afterRecord
+    if (!hadBefore && !hasAfter) continue
+    if (String(beforeRecord?.[key] ?? '') === String(afterRecord?.[key] ?? '')) continue
+    diff.before[key] = REDACTED
+    diff.after[key] = REDACTED
+  }
+  return Object.keys(diff.after).length > 0 || Object.keys(diff.before).length > 0 ? diff : null
+}
+
+/**
+ * Registra un cambio. Con `before` y `after` guarda solo la diferencia (y no
+ * escribe nada si no cambió nada); con uno solo, la fila completa (alta o baja).
+ *
+ * Fuera de una transacción nunca tumba la operación que audita (el cambio ya
+ * se guardó): si el insert falla se deja en el log. Dentro de una transacción
+ * el error sube, porque Postgres ya la dio por abortada y un COMMIT después
+ * desharía el cambio sin avisar: mejor que falle entera.
+ *
+ * @param {import('@prisma/client').PrismaClient|import('@prisma/client').Prisma.TransactionClient} db
+ * @param {import('express').Request} req
+ * @param {{
+ *   entity: string,
+ *   entityId: string|number,
+ *   action: string,
+ *   before?: object|null,
+ *   after?: object|null,
+ *   companyId?: string,
+ *   branchId?: string|null,
+ *   keepNested?: boolean,
+ * }} entry
+ */
+async function recordAudit(db, req, entry) {
+  try {
+    const companyId = entry.companyId || req?.companyId
+    if (!companyId) {
+      console.warn(`[audit] ${entry.entity} ${entry.entityId} (${entry.action}) sin empresa: no se registra`)
+      return null
+    }
+    const options = { keepNested: entry.keepNested }
+    let before = null
+    let after = null
+    if (entry.before != null && entry.after != null) {
+      const diff = auditDiff(entry.before, entry.after, options)
+      if (!diff) return null
+      before = diff.before
+      after = diff.after
+    } else {
+      before = auditSnapshot(entry.before, options)
+      after = auditSnapshot(entry.after, options)
+    }
+    return await db.auditLog.create({
+      data: {
+        company_id: companyId,
+        branch_id: entry.branchId !== undefined ? entry.branchId : (req?.branchId || null),
+        user_id: req?.user?.sub || null,
+        user_name: req?.user?.name ? String(req.user.name).slice(0, 150) : null,
+        entity: entry.entity,
+        entity_id: String(entry.entityId),
+        action: entry.action,
+        before,
+        after,
+        ip: req?.ip ? String(req.ip).slice(0, 64) : null,
+        request_id: req?.id || null,
+      },
+    })
+  } catch (e) {
+    // El cliente de una transacción interactiva no trae $transaction.
+    if (typeof db.$transaction !== 'function') throw e
+    console.error(`[audit] ${entry.entity} ${entry.entityId} (${entry.action}):`, e?.message || e)
+    return null
+  }
+}
+
+module.exports = {
+  REDACTED,
+  auditSnapshot,
+  diffSnapshots,
+  auditDiff,
+  recordAudit,
+}
@@ -347,7 +347,7 @@ async function validateBomComponents(tx, kitProductId, components) {
   const componentIds = rows.map((r) => r.component_product_id)
   const products = await dbClient(tx).product.findMany({
     where: { id: { in: componentIds }, deleted: false, company_id: kit.company_id },
-    select: { id: true, name: true, kind: true },
+    select: { id: true, name: true, kind: true, has_variants: true, tracks_serials: true },
   })
   const prodMap = new Map(products.map((p) => [String(p.id), p]))
 
@@ -363,6 +363,17 @@ async function validateBomComponents(tx, kitProductId, components) {
       err.status = 400
       throw err
     }
+    if (p.has_variants) {
+      const err = new Error(`"${p.name}" tiene variantes: el componente es la talla/color concreta`)
+      err.status = 400
+      throw err
+    }
+    // Al vender el kit nadie elige qué unidad del componente sale.
+    if (p.tracks_serials) {
+      const err = new Error(`"${p.name}" lleva número de serie; no puede ser componente de un kit`)
+      err.status = 400
+      throw err
+    }
   }
   return rows
 }
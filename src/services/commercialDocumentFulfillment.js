@@ -15,7 +15,8 @@ function isOrderFullyFulfilled(lines) {
 
 /**
  * @param {Array<{ id: string, qty: number, qty_fulfilled?: number, product_id: string }>} orderLines
- * @param {Array<{ line_id: string, qty: number }>|undefined} raw
+ * @param {Array<{ line_id: string, qty: number, serials?: string[] }>|undefined} raw
+ *   sin líneas se entrega todo lo pendiente (no sirve si algún producto lleva serie)
  */
 function resolveFulfillmentLines(orderLines, raw) {
   const lineMap = new Map(orderLines.map((l) => [String(l.id), l]))
@@ -42,7 +43,7 @@ function resolveFulfillmentLines(orderLines, raw) {
         err.status = 400
         throw err
       }
-      out.push({ line, qty, line_id: lineId })
+      out.push({ line, qty, line_id: lineId, serials: item.serials })
     }
     return out
   }
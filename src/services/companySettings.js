@@ -45,6 +45,8 @@ function defaultCompanySettings(company = {}) {
     ['company_postal_code', '', 'string'],
     ['establishment_code', '', 'string'],
     ['vat_affiliation', '', 'string'],
+    ['fel_provider', '', 'string'],
+    ['fel_auto_certify', 'false', 'string'],
     ['cash_closure_denominations', JSON.stringify(DEFAULT_DENOMINATIONS), 'json'],
     ['cash_closure_max_diff_pct', '5', 'string'],
     ['quote_validity_days', '30', 'string'],
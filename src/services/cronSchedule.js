@@ -0,0 +1,126 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Horarios tipo cron de las tareas programadas (src/jobs). Cinco campos:
+ * minuto, hora, día del mes, mes y día de la semana (0 y 7 = domingo), con
+ * `*`, listas (`1,15`), rangos (`1-5`) y pasos (`*\/15`, `8-18/2`).
+ * Se evalúan en la zona horaria del negocio, no en la del servidor.
+ */
+
+const { DateTime } = require('luxon')
+
+const DEFAULT_ZONE = 'America/Guatemala'
+
+const FIELDS = [
+  { name: 'minuto', min: 0, max: 59 },
+  { name: 'hora', min: 0, max: 23 },
+  { name: 'día del mes', min: 1, max: 31 },
+  { name: 'mes', min: 1, max: 12 },
+  { name: 'día de la semana', min: 0, max: 7 },
+]
+
+/** Sin coincidencia en este margen, la expresión no ocurre nunca (ej. 30 de febrero). */
+const MAX_SEARCH_MINUTES = 4 * 366 * 24 * 60
+
+function invalid(expr, why) {
+  return new Error(`Horario cron inválido "${expr}": ${why}`)
+}
+
+function parseNumber(expr, field, raw) {
+  if (!/^\d+$/.test(raw)) throw invalid(expr, `${field.name} "${raw}" no es un número`)
+  const n = Number(raw)
+  if (n < field.min || n > field.max) {
+    throw invalid(expr, `${field.name} fuera de rango (${field.min}-${field.max})`)
+  }
+  return n
+}
+
+function parseField(expr, field, text) {
+  const values = new Set()
+  for (const part of text.split(',')) {
+    const [range, stepText, extra] = part.split('/')
+    if (extra !== undefined || range === '') throw invalid(expr, `${field.name} "${part}"`)
+    const step = stepText === undefined ? 1 : parseNumber(expr, { ...field, min: 1 }, stepText)
+    let from = field.min
+    let to = field.max
+    if (range !== '*') {
+      const [a, b] = range.split('-')
+      from = parseNumber(expr, field, a)
+      // "5/15" = desde 5 hasta el final, de 15 en 15
+      to = b !== undefined ? parseNumber(expr, field, b) : stepText !== undefined ? field.max : from
+      if (to < from) throw invalid(expr, `rango ${range} al revés`)
+    }
+    for (let v = from; v <= to; v += step) values.add(v)
+  }
+  return values
+}
+
+/**
+ * @param {string} expr
+ * @returns {{ minute: Set<number>, hour: Set<number>, dom: Set<number>, month: Set<number>, dow: Set<number>, domAny: boolean, dowAny: boolean }}
+ */
+function parseCron(expr) {
+  const parts = String(expr || '').trim().split(/\s+/)
+  if (parts.length !== 5) throw invalid(expr, 'se esperan 5 campos (minuto hora día mes día-semana)')
+  const [minute, hour, dom, month, dow] = parts.map((p, i) => parseField(expr, FIELDS[i], p))
+  if (dow.has(7)) {
+    dow.delete(7)
+    dow.add(0)
+  }
+  return { minute, hour, dom, month, dow, domAny: parts[2] === '*', dowAny: parts[4] === '*' }
+}
+
+/** Como cron: si se restringen día del mes Y día de la semana, basta con uno. */
+function dayMatches(cron, dt) {
+  const domOk = cron.dom.has(dt.day)
+  const dowOk = cron.dow.has(dt.weekday % 7)
+  if (cron.domAny && cron.dowAny) return true
+  if (cron.domAny) return dowOk
+  if (cron.dowAny) return domOk
+  return domOk || dowOk
+}
+
+/**
+ * Siguiente minuto (estrictamente después de `after`) que cumple la expresión.
+ * Salta por mes / día / hora para no recorrer minuto a minuto.
+ *
+ * @param {string|ReturnType<typeof parseCron>} expr
+ * @param {Date} [after]
+ * @param {string} [zone]
+ * @returns {Date|null} null si la expresión no ocurre nunca
+ */
+function nextRun(expr, after = new Date(), zone = DEFAULT_ZONE) {
+  const cron = typeof expr === 'string' ? parseCron(expr) : expr
+  let dt = DateTime.fromJSDate(after, { zone }).startOf('minute').plus({ minutes: 1 })
+  const limit = dt.plus({ minutes: MAX_SEARCH_MINUTES })
+  while (dt < limit) {
+    if (!cron.month.has(dt.month)) {
+      dt = dt.plus({ months: 1 }).startOf('month')
+      continue
+    }
+    if (!dayMatches(cron, dt)) {
+      dt = dt.plus({ days: 1 }).startOf('day')
+      continue
+    }
+    if (!cron.hour.has(dt.hour)) {
+      dt = dt.plus({ hours: 1 }).startOf('hour')
+      continue
+    }
+    if (!cron.minute.has(dt.minute)) {
+      dt = dt.plus({ minutes: 1 })
+      continue
+    }
+    return dt.toJSDate()
+  }
+  return null
+}
+
+module.exports = { DEFAULT_ZONE, parseCron, nextRun }
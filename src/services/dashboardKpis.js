@@ -0,0 +1,271 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Indicadores del tablero (GET /api/dashboard/kpis) y distribución de widgets
+ * por usuario. Todo aquí es cálculo puro; el controlador carga las ventas.
+ *
+ * Fechas: `sales.date` guarda la hora local de la empresa como si fuera UTC
+ * (ver sales.create), así que los límites del rango se arman igual.
+ */
+
+const { DateTime } = require('luxon')
+
+const COMPARE_MODES = ['previous_period', 'last_year', 'none']
+const PERIOD_UNITS = { today: 'day', week: 'week', month: 'month', year: 'year' }
+const MAX_RANGE_DAYS = 366
+const DEFAULT_TOP = 5
+const MAX_TOP = 20
+
+/** Widgets disponibles. `cost`: se oculta a roles con products.hide_cost. */
+const DASHBOARD_WIDGETS = {
+  net_sales: { label: 'Ventas netas' },
+  transactions: { label: 'Transacciones' },
+  gross_margin: { label: 'Margen bruto', cost: true },
+  average_ticket: { label: 'Ticket promedio' },
+  units_per_transaction: { label: 'Unidades por transacción' },
+  return_rate: { label: 'Tasa de devolución' },
+  top_products: { label: 'Productos más vendidos' },
+  top_categories: { label: 'Categorías más vendidas' },
+  top_cashiers: { label: 'Cajeros con más ventas' },
+  stock_outs: { label: 'Productos agotados' },
+  inventory_value: { label: 'Valor de inventario', cost: true },
+  critical_alerts: { label: 'Alertas críticas' },
+}
+
+/** Tablero de quien no ha guardado el suyo (rejilla de 12 columnas). */
+const DEFAULT_LAYOUT = [
+  { id: 'net_sales', x: 0, y: 0, w: 3, h: 2, visible: true },
+  { id: 'gross_margin', x: 3, y: 0, w: 3, h: 2, visible: true },
+  { id: 'average_ticket', x: 6, y: 0, w: 3, h: 2, visible: true },
+  { id: 'return_rate', x: 9, y: 0, w: 3, h: 2, visible: true },
+  { id: 'top_products', x: 0, y: 2, w: 6, h: 4, visible: true },
+  { id: 'top_cashiers', x: 6, y: 2, w: 6, h: 4, visible: true },
+  { id: 'stock_outs', x: 0, y: 6, w: 4, h: 2, visible: true },
+  { id: 'critical_alerts', x: 4, y: 6, w: 4, h: 2, visible: true },
+  { id: 'inventory_value', x: 8, y: 6, w: 4, h: 2, visible: true },
+]
+const MAX_WIDGETS = 40
+const GRID_COLUMNS = 12
+
+function httpError(status, message) {
+  const err = new Error(message)
+  err.status = status
+  return err
+}
+
+const number = (v) => {
+  const n = typeof v === 'number' ? v : parseFloat(String(v ?? ''))
+  return Number.isFinite(n) ? n : 0
+}
+const round2 = (v) => Math.round(v * 100) / 100
+
+/** Hora local de la empresa → Date con esos mismos valores en UTC. */
+function wallClockUtc(dt) {
+  return new Date(Date.UTC(dt.year, dt.month - 1, dt.day, dt.hour, dt.minute, dt.second, dt.millisecond))
+}
+
+function parseDay(raw, tz, name) {
+  const dt = DateTime.fromISO(String(raw), { zone: tz })
+  if (!dt.isValid) throw httpError(400, `${name} debe ser una fecha YYYY-MM-DD`)
+  return dt
+}
+
+/**
+ * Rango del tablero y el de comparación.
+ *
+ * - `from`/`to` (YYYY-MM-DD, inclusive): días completos. Período anterior =
+ *   los N días de antes.
+ * - Sin fechas, `period` (today|week|month|year, default today): del inicio
+ *   del período hasta ahora. Período anterior = el mismo tramo del período
+ *   pasado (hoy hasta esta hora vs ayer hasta esta hora).
+ * - `compare`: previous_period (default), last_year (mismas fechas un año
+ *   antes) o none.
+ */
+function resolveDashboardRange(query = {}, { tz, now = DateTime.now().setZone(tz) }) {
+  const compare = query.compare ? String(query.compare) : 'previous_period'
+  if (!COMPARE_MODES.includes(compare)) {
+    throw httpError(400, `compare debe ser uno de: ${COMPARE_MODES.join(', ')}`)
+  }
+
+  let start
+  let end
+  let shift
+  if (query.from || query.to) {
+    if (!query.from || !query.to) throw httpError(400, 'from y to van juntos')
+    start = parseDay(query.from, tz, 'from').startOf('day')
+    end = parseDay(query.to, tz, 'to').endOf('day')
+    if (end < start) throw httpError(400, 'from no puede ser posterior a to')
+    const days = Math.round(end.plus({ milliseconds: 1 }).diff(start, 'days').days)
+    if (days > MAX_RANGE_DAYS) throw httpError(400, `El rango admite hasta ${MAX_RANGE_DAYS} días`)
+    shift = { days }
+  } else {
+    const period = query.period ? String(query.period) : 'today'
+    const unit = PERIOD_UNITS[period]
+    if (!unit) throw httpError(400, `period debe ser uno de: ${Object.keys(PERIOD_UNITS).join(', ')}`)
+    start = now.startOf(unit)
+    end = now
+    shift = { [`${unit}s`]: 1 }
+  }
+
+  let previous = null
+  if (compare !== 'none') {
+    const back = compare === 'last_year' ? { years: 1 } : shift
+    previous = { start: start.minus(back), end: end.minus(back) }
+  }
+  const view = (r) => ({ from: r.start.toISO(), to: r.end.toISO(), gte: wallClockUtc(r.start), lte: wallClockUtc(r.end) })
+  return { compare, current: view({ start, end }), previous: previous && view(previous) }
+}
+
+/** `limit` de los top: 1..20, default 5. */
+function topLimit(raw) {
+  const n = Number(raw)
+  return Number.isInteger(n) && n >= 1 ? Math.min(n, MAX_TOP) : DEFAULT_TOP
+}
+
+/**
+ * Indicadores y top de un conjunto de ventas completadas.
+ *
+ * `sales`: [{ total, total_returned, created_by, cashier, items: [{ product_id,
+ * product, category, qty, price, unit_cost }] }]. El costo de cada venta se
+ * reduce en la proporción devuelta (total_returned / total), igual que sus
+ * ingresos, para que el margen sea el de lo que se quedó vendido.
+ */
+function summarizeSales(sales, { limit = DEFAULT_TOP } = {}) {
+  let gross = 0
+  let returned = 0
+  let cost = 0
+  let units = 0
+  const byProduct = new Map()
+  const byCategory = new Map()
+  const byCashier = new Map()
+
+  for (const sale of sales) {
+    const total = number(sale.total)
+    const ret = Math.min(number(sale.total_returned), total)
+    const keep = total > 0 ? (total - ret) / total : 0
+    gross += total
+    returned += ret
+
+    for (const it of sale.items || []) {
+      const qty = number(it.qty)
+      const revenue = qty * number(it.price) * keep
+      units += qty
+      cost += qty * number(it.unit_cost) * keep
+
+      const p = byProduct.get(it.product_id) || { id: it.product_id, name: it.product || 'Producto', units: 0, revenue: 0 }
+      p.units += qty
+      p.revenue += revenue
+      byProduct.set(it.product_id, p)
+
+      const catName = it.category || 'Sin categoría'
+      const c = byCategory.get(catName) || { name: catName, units: 0, revenue: 0 }
+      c.units += qty
+      c.revenue += revenue
+      byCategory.set(catName, c)
+    }
+
+    const key = sale.created_by || null
+    const u = byCashier.get(key) || { id: key, name: sale.cashier || 'Sin usuario', transactions: 0, revenue: 0 }
+    u.transactions += 1
+    u.revenue += total - ret
+    byCashier.set(key, u)
+  }
+
+  const net = gross - returned
+  const transactions = sales.length
+  const top = (map) => [...map.values()]
+    .sort((a, b) => b.revenue - a.revenue)
+    .slice(0, limit)
+    .map((row) => ({ ...row, revenue: round2(row.revenue) }))
+
+  return {
+    kpis: {
+      gross_sales: round2(gross),
+      returns: round2(returned),
+      net_sales: round2(net),
+      transactions,
+      units,
+      cost: round2(cost),
+      gross_margin: round2(net - cost),
+      gross_margin_pct: net > 0 ? round2(((net - cost) / net) * 100) : 0,
+      average_ticket: transactions > 0 ? round2(net / transactions) : 0,
+      units_per_transaction: transactions > 0 ? round2(units / transactions) : 0,
+      return_rate: gross > 0 ? round2((returned / gross) * 100) : 0,
+    },
+    top: { products: top(byProduct), categories: top(byCategory), cashiers: top(byCashier) },
+  }
+}
+
+/**
+ * { clave: { value, previous, change_pct } }. change_pct es null si el
+ * período anterior fue 0 (no hay base para un porcentaje).
+ */
+function compareKpis(current, previous) {
+  const out = {}
+  for (const [key, value] of Object.entries(current)) {
+    if (!previous) {
+      out[key] = { value, previous: null, change_pct: null }
+      continue
+    }
+    const prev = previous[key] ?? 0
+    out[key] = { value, previous: prev, change_pct: prev !== 0 ? round2(((value - prev) / Math.abs(prev)) * 100) : null }
+  }
+  return out
+}
+
+/** Quita costo y margen de los indicadores (roles con products.hide_cost). */
+function omitCostKpis(kpis) {
+  const { cost, gross_margin, gross_margin_pct, ...rest } = kpis
+  return rest
+}
+
+/**
+ * Lo que llega al guardar el tablero → [{ id, x, y, w, h, visible }]. 400 si
+ * un widget no existe, se repite o no cabe en la rejilla.
+ */
+function normalizeWidgetLayout(raw) {
+  if (!Array.isArray(raw)) throw httpError(400, 'widgets debe ser un arreglo')
+  if (raw.length > MAX_WIDGETS) throw httpError(400, `Máximo ${MAX_WIDGETS} widgets`)
+  const seen = new Set()
+  const int = (v, min, max, name, id) => {
+    const n = Number(v)
+    if (!Number.isInteger(n) || n < min || n > max) throw httpError(400, `${id}: ${name} debe ser un entero entre ${min} y ${max}`)
+    return n
+  }
+  return raw.map((w) => {
+    const id = String(w?.id || '')
+    if (!DASHBOARD_WIDGETS[id]) throw httpError(400, `Widget desconocido: ${id || '(sin id)'}`)
+    if (seen.has(id)) throw httpError(400, `Widget repetido: ${id}`)
+    seen.add(id)
+    const width = int(w.w, 1, GRID_COLUMNS, 'w', id)
+    return {
+      id,
+      x: int(w.x, 0, GRID_COLUMNS - width, 'x', id),
+      y: int(w.y ?? 0, 0, 1000, 'y', id),
+      w: width,
+      h: int(w.h, 1, 12, 'h', id),
+      visible: w.visible !== false,
+    }
+  })
+}
+
+module.exports = {
+  COMPARE_MODES,
+  DASHBOARD_WIDGETS,
+  DEFAULT_LAYOUT,
+  wallClockUtc,
+  resolveDashboardRange,
+  topLimit,
+  summarizeSales,
+  compareKpis,
+  omitCostKpis,
+  normalizeWidgetLayout,
+}
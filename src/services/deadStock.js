@@ -0,0 +1,195 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Inventario muerto y de lento movimiento, y la rebaja que se sugiere para
+ * sacarlo. Cálculo puro; el controlador (deadStock.controller.js) arma cada
+ * fila desde el kardex (`stock_movements`) y los lotes (`product_lots`).
+ *
+ *  - Muerto: con existencia y sin una venta en `days` días (lo que nunca
+ *    vendió cuenta desde su primera entrada).
+ *  - Lento: sí vendió, pero al ritmo de esos `days` días la existencia dura
+ *    más de `cover_days`.
+ *
+ * La rebaja sube con los días sin venta (MARKDOWN_TIERS) y nunca deja el
+ * precio por debajo del costo: liquidar no es regalar.
+ */
+
+const { DateTime } = require('luxon')
+
+const DEFAULT_OPTIONS = { days: 90, coverDays: 180 }
+
+/** Días sin venta → % de rebaja. El primer escalón que alcanza gana. */
+const MARKDOWN_TIERS = [
+  { minDays: 365, pct: 50 },
+  { minDays: 180, pct: 30 },
+  { minDays: 90, pct: 20 },
+  { minDays: 0, pct: 10 },
+]
+/** Rebaja de lo que se mueve lento pero se mueve. */
+const SLOW_MOVER_PCT = 10
+
+function httpError(status, message) {
+  const err = new Error(message)
+  err.status = status
+  return err
+}
+
+const round2 = (v) => Math.round(v * 100) / 100
+const number = (v) => {
+  const n = typeof v === 'number' ? v : parseFloat(String(v ?? ''))
+  return Number.isFinite(n) ? n : 0
+}
+
+function intOption(raw, { name, min, max, fallback }) {
+  if (raw === undefined || raw === null || raw === '') return fallback
+  const n = Number(raw)
+  if (!Number.isInteger(n) || n < min || n > max) throw httpError(400, `${name} debe ser un entero entre ${min} y ${max}`)
+  return n
+}
+
+/** `days` (sin venta) y `cover_days` (cobertura que ya es lenta), de query o cuerpo. */
+function deadStockOptions(raw = {}) {
+  return {
+    days: intOption(raw.days, { name: 'days', min: 7, max: 730, fallback: DEFAULT_OPTIONS.days }),
+    coverDays: intOption(raw.cover_days, { name: 'cover_days', min: 7, max: 1095, fallback: DEFAULT_OPTIONS.coverDays }),
+  }
+}
+
+/** Días completos de `from` a `now`, o null si no hay fecha. */
+function ageDays(from, now) {
+  if (!from) return null
+  const dt = from instanceof Date ? DateTime.fromJSDate(from) : DateTime.fromISO(String(from))
+  return Math.max(0, Math.floor(now.diff(dt, 'days').days))
+}
+
+/**
+ * % de rebaja sugerido (múltiplo de 5) con su precio. Se recorta para que el
+ * precio rebajado no baje del costo; si ni el 5% cabe, no hay rebaja.
+ * `idleDays` null (nunca vendió y no hay entrada registrada) cuenta como el
+ * primer escalón de inventario muerto.
+ */
+function suggestMarkdown({ status, idleDays, price, cost }, options = DEFAULT_OPTIONS) {
+  let pct = SLOW_MOVER_PCT
+  if (status === 'dead') {
+    const idle = idleDays == null ? options.days : idleDays
+    pct = MARKDOWN_TIERS.find((t) => idle >= t.minDays).pct
+  }
+  const p = number(price)
+  const c = number(cost)
+  if (p <= 0) return { pct: 0, price: 0 }
+  if (c > 0) pct = Math.min(pct, Math.floor(((p - c) / p) * 20 + 1e-9) * 5)
+  pct = Math.max(0, pct)
+  return { pct, price: round2(p * (1 - pct / 100)) }
+}
+
+/**
+ * Filas del análisis, solo las muertas o lentas, de mayor a menor capital.
+ *
+ * @param {Array<{ product_id, branch_id, stock, price, cost, units_sold,
+ *   last_sale_at?: Date, first_in_at?: Date,
+ *   lots?: Array<{ id, lot_code, received_at, expiry_date, qty_remaining, unit_cost }> }>} rows
+ *   units_sold: vendidas (netas de devoluciones) en los últimos `days` días.
+ * @param {{ now?: DateTime, options?: object }} ctx
+ */
+function analyzeStock(rows, { now = DateTime.now(), options = DEFAULT_OPTIONS } = {}) {
+  const out = []
+  for (const r of rows) {
+    const stock = number(r.stock)
+    if (stock <= 0) continue
+    const sold = Math.max(0, number(r.units_sold))
+    const perDay = sold / options.days
+    const daysOfCover = perDay > 0 ? Math.round((stock / perDay) * 10) / 10 : null
+    const idleDays = ageDays(r.last_sale_at || r.first_in_at, now)
+
+    let status = null
+    if (idleDays == null || idleDays >= options.days) status = 'dead'
+    else if (daysOfCover != null && daysOfCover > options.coverDays) status = 'slow'
+    if (!status) continue
+
+    const lots = (r.lots || [])
+      .filter((l) => number(l.qty_remaining) > 0)
+      .map((l) => ({ ...l, age_days: ageDays(l.received_at, now) }))
+      .sort((a, b) => b.age_days - a.age_days)
+    const markdown = suggestMarkdown({ status, idleDays, price: r.price, cost: r.cost }, options)
+
+    out.push({
+      ...r,
+      lots,
+      status,
+      stock,
+      never_sold: !r.last_sale_at,
+      idle_days: idleDays,
+      units_sold: sold,
+      days_of_cover: daysOfCover,
+      capital_tied_up: round2(stock * number(r.cost)),
+      oldest_lot_age_days: lots.length ? lots[0].age_days : null,
+      suggested_markdown_pct: markdown.pct,
+      markdown_price: markdown.price,
+    })
+  }
+  out.sort((a, b) => b.capital_tied_up - a.capital_tied_up || String(a.product_id).localeCompare(String(b.product_id)))
+  return out
+}
+
+/** Totales del análisis: cuántos, cuántas unidades y cuánto capital, por estado. */
+function summarizeDeadStock(rows) {
+  const sum = (list, f) => round2(list.reduce((s, r) => s + f(r), 0))
+  const of = (status) => rows.filter((r) => r.status === status)
+  const dead = of('dead')
+  const slow = of('slow')
+  return {
+    dead: { products: dead.length, units: sum(dead, (r) => r.stock), capital_tied_up: sum(dead, (r) => r.capital_tied_up) },
+    slow: { products: slow.length, units: sum(slow, (r) => r.stock), capital_tied_up: sum(slow, (r) => r.capital_tied_up) },
+  }
+}
+
+/**
+ * Cuerpo de `promotions.create` para liquidar las filas elegidas: una
+ * promoción PERCENTAGE de esos productos, solo en la sucursal. El % es el que
+ * se pida o, si no, el menor sugerido entre ellas (ninguna baja de su costo).
+ * @param {Array} rows filas de analyzeStock de una sola sucursal
+ */
+function markdownPromotion(rows, { typeId, branchId, discountPct, name, endDate, today }) {
+  if (!rows.length) throw httpError(400, 'Ninguno de los productos elegidos está sin movimiento en esta sucursal')
+  let pct = discountPct
+  if (pct === undefined || pct === null || pct === '') {
+    pct = Math.min(...rows.map((r) => r.suggested_markdown_pct))
+  } else {
+    pct = Number(pct)
+    if (!Number.isFinite(pct) || pct <= 0 || pct >= 100) throw httpError(400, 'discount_percentage debe estar entre 0 y 100')
+  }
+  if (pct <= 0) throw httpError(400, 'Los productos elegidos no admiten rebaja sin vender bajo el costo')
+  if (endDate && !DateTime.fromISO(String(endDate)).isValid) throw httpError(400, 'end_date debe ser una fecha YYYY-MM-DD')
+  return {
+    name: name ? String(name).slice(0, 150) : `Liquidación ${today.toISODate()}`,
+    description: `Rebaja de inventario sin movimiento (${rows.length} productos)`,
+    type_id: typeId,
+    discount_percentage: pct,
+    applies_to_all: false,
+    product_ids: rows.map((r) => r.product_id),
+    start_date: today.toISODate(),
+    end_date: endDate || today.plus({ days: 30 }).toISODate(),
+    applies_to_all_branches: false,
+    branch_ids: [branchId],
+  }
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  MARKDOWN_TIERS,
+  SLOW_MOVER_PCT,
+  deadStockOptions,
+  ageDays,
+  suggestMarkdown,
+  analyzeStock,
+  summarizeDeadStock,
+  markdownPromotion,
+}
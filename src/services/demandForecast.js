@@ -0,0 +1,231 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Pronóstico de demanda por producto y sucursal, y el mínimo (punto de
+ * reorden) que sale de él. Todo aquí es cálculo puro sobre la serie diaria de
+ * unidades vendidas; el controlador (demandForecast.controller.js) la arma
+ * desde `sale_items`.
+ *
+ * El modelo es a propósito sencillo:
+ *  - nivel = promedio móvil de los últimos `window_days` días, sin el efecto
+ *    del día de la semana ni del mes (desestacionalizado);
+ *  - índice por día de la semana (y por mes, si el historial cubre un año):
+ *    cuánto vende ese día contra el promedio;
+ *  - demanda en el tiempo de entrega = suma del nivel × índices de los días
+ *    que vienen; stock de seguridad = z(nivel de servicio) × σ × √días.
+ */
+
+const { DateTime } = require('luxon')
+
+/** z de la normal para los niveles de servicio que se ofrecen. */
+const SERVICE_LEVEL_Z = {
+  0.8: 0.8416,
+  0.85: 1.0364,
+  0.9: 1.2816,
+  0.95: 1.6449,
+  0.975: 1.96,
+  0.98: 2.0537,
+  0.99: 2.3263,
+  0.995: 2.5758,
+  0.999: 3.0902,
+}
+
+const DEFAULT_OPTIONS = {
+  historyDays: 182,
+  windowDays: 28,
+  serviceLevel: 0.95,
+  reviewDays: 14,
+  leadTimeDays: 7,
+}
+
+/** Con menos historial que esto los índices por mes se dejan en 1. */
+const MONTHLY_MIN_DAYS = 365
+
+function httpError(status, message) {
+  const err = new Error(message)
+  err.status = status
+  return err
+}
+
+const round2 = (v) => Math.round(v * 100) / 100
+
+function intOption(raw, { name, min, max, fallback }) {
+  if (raw === undefined || raw === null || raw === '') return fallback
+  const n = Number(raw)
+  if (!Number.isInteger(n) || n < min || n > max) throw httpError(400, `${name} debe ser un entero entre ${min} y ${max}`)
+  return n
+}
+
+/**
+ * Parámetros del pronóstico (query del reporte o cuerpo de la acción masiva).
+ * `service_level` acepta 0.95 o 95.
+ * @returns {{ historyDays, windowDays, serviceLevel, z, reviewDays, leadTimeDays }}
+ */
+function forecastOptions(raw = {}) {
+  const historyDays = intOption(raw.history_days, { name: 'history_days', min: 28, max: 730, fallback: DEFAULT_OPTIONS.historyDays })
+  const windowDays = intOption(raw.window_days, {
+    name: 'window_days', min: 7, max: historyDays, fallback: Math.min(DEFAULT_OPTIONS.windowDays, historyDays),
+  })
+  const reviewDays = intOption(raw.review_days, { name: 'review_days', min: 1, max: 90, fallback: DEFAULT_OPTIONS.reviewDays })
+  const leadTimeDays = intOption(raw.lead_time_days, { name: 'lead_time_days', min: 1, max: 180, fallback: DEFAULT_OPTIONS.leadTimeDays })
+
+  let serviceLevel = DEFAULT_OPTIONS.serviceLevel
+  if (raw.service_level !== undefined && raw.service_level !== null && raw.service_level !== '') {
+    const n = Number(raw.service_level)
+    serviceLevel = n > 1 ? n / 100 : n
+  }
+  const key = Object.keys(SERVICE_LEVEL_Z).find((k) => Math.abs(Number(k) - serviceLevel) < 1e-9)
+  if (!key) {
+    throw httpError(400, `service_level debe ser uno de: ${Object.keys(SERVICE_LEVEL_Z).join(', ')}`)
+  }
+  return { historyDays, windowDays, serviceLevel: Number(key), z: SERVICE_LEVEL_Z[key], reviewDays, leadTimeDays }
+}
+
+/**
+ * Tiempo de entrega a usar: el del proveedor si lo tiene, si no el promedio
+ * de sus órdenes recibidas, si no el default del pronóstico.
+ * @returns {{ days: number, source: 'supplier'|'observed'|'default' }}
+ */
+function resolveLeadTime({ configured, observed, fallback }) {
+  if (Number.isInteger(configured) && configured > 0) return { days: configured, source: 'supplier' }
+  const seen = Number(observed)
+  if (Number.isFinite(seen) && seen > 0) return { days: Math.max(1, Math.ceil(seen)), source: 'observed' }
+  return { days: fallback, source: 'default' }
+}
+
+const isoDay = (d) => (d instanceof Date ? d.toISOString().slice(0, 10) : String(d).slice(0, 10))
+
+/**
+ * Serie diaria continua desde `start` (YYYY-MM-DD), `days` días, con 0 en los
+ * días sin venta. `points`: [{ day, qty }] (day como Date a medianoche UTC o
+ * YYYY-MM-DD); lo que cae fuera se ignora.
+ * @returns {Array<{ date: DateTime, qty: number }>}
+ */
+function dailySeries(points, { start, days }) {
+  const byDay = new Map()
+  for (const p of points || []) {
+    const k = isoDay(p.day)
+    byDay.set(k, (byDay.get(k) || 0) + (Number(p.qty) || 0))
+  }
+  const first = DateTime.fromISO(start, { zone: 'utc' })
+  return Array.from({ length: days }, (_, i) => {
+    const date = first.plus({ days: i })
+    return { date, qty: byDay.get(date.toISODate()) || 0 }
+  })
+}
+
+/**
+ * Índices estacionales: promedio del día de la semana (o del mes) entre el
+ * promedio general. weekday[0] = lunes. Sin ventas, o sin historial de un año
+ * para los meses, todos quedan en 1.
+ */
+function seasonalityIndices(series) {
+  const weekday = Array(7).fill(1)
+  const month = Array(12).fill(1)
+  const total = series.reduce((s, d) => s + d.qty, 0)
+  if (!series.length || total <= 0) return { weekday, month }
+  const mean = total / series.length
+
+  const index = (keyOf, size) => {
+    const sum = Array(size).fill(0)
+    const count = Array(size).fill(0)
+    for (const d of series) {
+      sum[keyOf(d.date)] += d.qty
+      count[keyOf(d.date)] += 1
+    }
+    return sum.map((s, i) => (count[i] ? s / count[i] / mean : 1))
+  }
+  return {
+    weekday: index((dt) => dt.weekday - 1, 7),
+    month: series.length >= MONTHLY_MIN_DAYS ? index((dt) => dt.month - 1, 12) : month,
+  }
+}
+
+const seasonalFactor = (indices, dt) => indices.weekday[dt.weekday - 1] * indices.month[dt.month - 1]
+
+/**
+ * Nivel desestacionalizado de los últimos `windowDays` días y σ de lo que se
+ * apartó cada día de lo esperado (nivel × índice).
+ */
+function demandLevel(series, indices, windowDays) {
+  const recent = series.slice(-windowDays)
+  const qty = recent.reduce((s, d) => s + d.qty, 0)
+  const weight = recent.reduce((s, d) => s + seasonalFactor(indices, d.date), 0)
+  const level = weight > 0 ? qty / weight : (recent.length ? qty / recent.length : 0)
+  const residuals = recent.map((d) => d.qty - level * seasonalFactor(indices, d.date))
+  const sigma = residuals.length > 1
+    ? Math.sqrt(residuals.reduce((s, r) => s + r * r, 0) / (residuals.length - 1))
+    : 0
+  return { level, sigma }
+}
+
+/** Demanda esperada de `days` días a partir de `from` (DateTime). */
+function projectDemand(level, indices, { from, days }) {
+  let total = 0
+  for (let i = 0; i < days; i++) total += level * seasonalFactor(indices, from.plus({ days: i }))
+  return total
+}
+
+/**
+ * Punto de reorden y cantidad a pedir de un producto en una sucursal.
+ *
+ * - reorder_point: lo que se espera vender mientras llega el pedido más el
+ *   stock de seguridad. Es el `min_stock` sugerido.
+ * - order_up_to: hasta dónde subir la existencia para cubrir la entrega y el
+ *   ciclo de revisión (`reviewDays`).
+ * - suggested_order_qty: si existencia + en pedido ya no pasa del punto de
+ *   reorden, lo que falta para order_up_to; si no, 0.
+ *
+ * @param {Array<{ date: DateTime, qty: number }>} series serie hasta ayer
+ * @param {{ stock: number, onOrder?: number, leadTimeDays: number, options: object }} ctx
+ */
+function reorderPlan(series, { stock, onOrder = 0, leadTimeDays, options }) {
+  const indices = seasonalityIndices(series)
+  const { level, sigma } = demandLevel(series, indices, options.windowDays)
+  const from = series.length ? series[series.length - 1].date.plus({ days: 1 }) : DateTime.utc().startOf('day')
+  const lead = Math.max(1, Math.ceil(leadTimeDays))
+  const cycle = lead + options.reviewDays
+
+  const leadDemand = projectDemand(level, indices, { from, days: lead })
+  const cycleDemand = projectDemand(level, indices, { from, days: cycle })
+  const safety = options.z * sigma * Math.sqrt(lead)
+  const reorderPoint = Math.ceil(leadDemand + safety - 1e-9)
+  const orderUpTo = Math.max(reorderPoint, Math.ceil(cycleDemand + options.z * sigma * Math.sqrt(cycle) - 1e-9))
+  const position = Number(stock) + Number(onOrder)
+  const perDay = leadDemand / lead
+
+  return {
+    avg_daily_demand: round2(level),
+    forecast_daily_demand: round2(perDay),
+    demand_std_dev: round2(sigma),
+    lead_time_days: lead,
+    lead_time_demand: round2(leadDemand),
+    safety_stock: round2(safety),
+    reorder_point: reorderPoint,
+    order_up_to: orderUpTo,
+    stock: Number(stock),
+    on_order: Number(onOrder),
+    suggested_order_qty: position <= reorderPoint ? Math.max(0, orderUpTo - position) : 0,
+    days_of_cover: perDay > 0 ? Math.round((Number(stock) / perDay) * 10) / 10 : null,
+  }
+}
+
+module.exports = {
+  SERVICE_LEVEL_Z,
+  DEFAULT_OPTIONS,
+  forecastOptions,
+  resolveLeadTime,
+  dailySeries,
+  seasonalityIndices,
+  demandLevel,
+  projectDemand,
+  reorderPlan,
+}
@@ -0,0 +1,337 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Certificación FEL de ventas: factura (FACT/FPEQ) y notas de crédito (NCRE)
+ * por devoluciones y anulaciones. Cada intento es una fila de `sale_dtes`:
+ * se crea «pendiente» con el XML a enviar, y el resultado del certificador la
+ * deja «autorizado», «rechazado» o «error» (sin comunicación: reintentable).
+ *
+ * La llamada al certificador va FUERA de cualquier transacción: puede tardar
+ * segundos y no debe retener bloqueos de la venta. Su id es el identificador
+ * que se manda, así un reintento no emite un documento duplicado.
+ */
+
+const { DateTime } = require('luxon')
+const { round2, toCents } = require('../accounting/logic')
+const { getTaxConfig } = require('../accounting/core')
+const { getTimezone } = require('../../utils/getTimezone')
+const { buildDteXml, invoiceDocumentType } = require('./xml')
+const { getDteProvider } = require('./providers')
+const { MOCK_PROVIDER_NAME } = require('./providers/mock')
+
+const DTE_STATUS = {
+  PENDING: 'pendiente',
+  AUTHORIZED: 'autorizado',
+  REJECTED: 'rechazado',
+  ERROR: 'error',
+}
+
+const INVOICE_TYPES = ['FACT', 'FPEQ']
+
+const FEL_SETTING_KEYS = [
+  'fel_provider', 'fel_auto_certify', 'company_nit', 'company_name', 'company_address',
+  'company_municipality', 'company_department', 'company_postal_code', 'establishment_code', 'currency_code',
+]
+
+function dteError(message, status) {
+  const err = new Error(message)
+  err.status = status
+  return err
+}
+
+/**
+ * Certificador, emisor y régimen de la empresa. `provider` null = la empresa
+ * no factura electrónicamente (no es un error: las notas de crédito se omiten).
+ */
+async function loadDteConfig(db, companyId) {
+  const [rows, company, tax, tz] = await Promise.all([
+    db.systemSetting.findMany({ where: { company_id: companyId, key: { in: FEL_SETTING_KEYS } } }),
+    db.company.findUnique({ where: { id: companyId }, select: { code: true, name: true, tax_id: true, address: true } }),
+    getTaxConfig(db, companyId),
+    getTimezone(db, companyId),
+  ])
+  const s = Object.fromEntries(rows.map((r) => [r.key, String(r.value || '').trim()]))
+  return {
+    provider: getDteProvider(s.fel_provider, { companyCode: company?.code }),
+    autoCertify: s.fel_auto_certify === 'true',
+    tz,
+    currency: s.currency_code || 'GTQ',
+    regime: tax.regime,
+    ivaRate: tax.ivaRate,
+    emitter: {
+      nit: s.company_nit || company?.tax_id || '',
+      name: s.company_name || company?.name || '',
+      address: s.company_address || company?.address || '',
+      municipality: s.company_municipality,
+      department: s.company_department,
+      postalCode: s.company_postal_code,
+      establishment: s.establishment_code,
+    },
+  }
+}
+
+function requireProvider(config) {
+  if (!config.provider) throw dteError('La empresa no tiene certificador FEL configurado (fel_provider)', 409)
+  const missing = []
+  if (!config.emitter.nit) missing.push('NIT de la empresa')
+  if (!config.emitter.establishment) missing.push('código de establecimiento')
+  if (missing.length > 0) throw dteError(`Faltan datos fiscales para facturar: ${missing.join(', ')}`, 409)
+  return config.provider
+}
+
+/** Manda el XML y deja la fila con el resultado. Nunca lanza por el certificador. */
+async function submitDte(db, provider, dte, xml) {
+  let result
+  try {
+    result = await provider.certify({ xml, identifier: dte.id })
+  } catch (e) {
+    return db.saleDte.update({
+      where: { id: dte.id },
+      data: { status: DTE_STATUS.ERROR, error_message: String(e?.message || e).slice(0, 2000) },
+    })
+  }
+  if (result.outcome !== 'authorized') {
+    return db.saleDte.update({
+      where: { id: dte.id },
+      data: {
+        status: DTE_STATUS.REJECTED,
+        error_message: (result.errors || []).join('; ').slice(0, 2000) || 'Rechazado por el certificador',
+      },
+    })
+  }
+  return db.saleDte.update({
+    where: { id: dte.id },
+    data: {
+      status: DTE_STATUS.AUTHORIZED,
+      authorization: result.authorization,
+      series: result.series,
+      number: result.number,
+      emission_date: result.certifiedAt || new Date(),
+      xml: result.xml || xml,
+      pdf_url: result.pdfUrl || null,
+      error_message: null,
+    },
+  })
+}
+
+/**
+ * Crea (o reusa, si quedó pendiente o con error) la fila del intento y la
+ * certifica. Un rechazo no se reusa: el dato que lo causó se corrige y se
+ * emite de nuevo con otro identificador.
+ */
+async function emitDte(db, provider, { existing, saleId, documentType, amount, xml, referenceDteId = null, returnId = null }) {
+  const data = {
+    document_type: documentType,
+    status: DTE_STATUS.PENDING,
+    provider: provider.name,
+    amount,
+    xml,
+    error_message: null,
+  }
+  const dte = existing && [DTE_STATUS.PENDING, DTE_STATUS.ERROR].includes(existing.status)
+    ? await db.saleDte.update({ where: { id: existing.id }, data })
+    : await db.saleDte.create({
+        data: { ...data, sale_id: saleId, reference_dte_id: referenceDteId, return_id: returnId },
+      })
+  return submitDte(db, provider, dte, xml)
+}
+
+const saleLines = (items) => items
+  .filter((si) => Number(si.qty) > 0)
+  .map((si) => ({ description: si.product?.name || 'Producto', qty: si.qty, unit_price: Number(si.price) }))
+
+function emittedAtNow(tz) {
+  return DateTime.now().setZone(tz).toISO({ suppressMilliseconds: true })
+}
+
+/**
+ * Certifica la factura de una venta completada. Si ya está autorizada la
+ * devuelve tal cual. Factura lo que la venta conserva: si hubo devoluciones
+ * antes de certificar, van descontadas (ya no hace falta nota por ellas).
+ *
+ * @param {import('@prisma/client').PrismaClient} db
+ * @param {string} saleId
+ * @param {string} companyId
+ */
+async function certifySale(db, saleId, companyId) {
+  const config = await loadDteConfig(db, companyId)
+  const provider = requireProvider(config)
+
+  const sale = await db.sale.findFirst({
+    where: { id: saleId, branch: { company_id: companyId } },
+    include: {
+      status: true,
+      sale_items: { include: { product: { select: { name: true } } }, orderBy: { id: 'asc' } },
+      sale_dtes: { where: { document_type: { in: INVOICE_TYPES } }, orderBy: { created_at: 'desc' } },
+    },
+  })
+  if (!sale) throw dteError('Venta no encontrada', 404)
+  if (sale.status?.name !== 'Completada') throw dteError('Solo se certifican ventas completadas', 409)
+
+  const last = sale.sale_dtes[0] || null
+  if (last?.status === DTE_STATUS.AUTHORIZED) return last
+
+  const amount = round2(sale.adjusted_total)
+  if (toCents(amount) <= 0) throw dteError('La venta no tiene saldo que facturar (fue devuelta por completo)', 409)
+
+  const documentType = invoiceDocumentType(config.regime)
+  const { xml } = buildDteXml({
+    documentType,
+    regime: config.regime,
+    ivaRate: config.ivaRate,
+    currency: config.currency,
+    emittedAt: emittedAtNow(config.tz),
+    emitter: config.emitter,
+    receiver: { nit: sale.is_final_consumer ? 'CF' : sale.customer_nit, name: sale.customer },
+    items: saleLines(sale.sale_items),
+    total: amount,
+  })
+  return emitDte(db, provider, { existing: last, saleId: sale.id, documentType, amount, xml })
+}
+
+/**
+ * Nota de crédito por una devolución (`returnId`) o por anular la venta (sin
+ * `returnId`: acredita lo que la factura todavía no tenga acreditado). Sin
+ * certificador o sin factura autorizada no hay nada que acreditar y devuelve null.
+ *
+ * @param {import('@prisma/client').PrismaClient} db
+ * @param {{ saleId: string, companyId: string, returnId?: string|null, reason?: string }} input
+ */
+async function issueCreditNote(db, { saleId, companyId, returnId = null, reason }) {
+  const config = await loadDteConfig(db, companyId)
+  if (!config.provider) return null
+
+  const invoice = await db.saleDte.findFirst({
+    where: { sale_id: saleId, document_type: { in: INVOICE_TYPES }, status: DTE_STATUS.AUTHORIZED },
+    include: { creditNotes: true },
+    orderBy: { created_at: 'desc' },
+  })
+  if (!invoice) return null
+  const provider = requireProvider(config)
+
+  const notes = invoice.creditNotes.filter((n) => n.status !== DTE_STATUS.REJECTED)
+  const existing = notes.find((n) => (n.return_id || null) === returnId) || null
+  if (existing?.status === DTE_STATUS.AUTHORIZED) return existing
+  const credited = round2(notes
+    .filter((n) => n.id !== existing?.id)
+    .reduce((acc, n) => acc + Number(n.amount || 0), 0))
+  const available = round2(Number(invoice.amount) - credited)
+
+  let items
+  let amount
+  if (returnId) {
+    const ret = await db.return.findFirst({
+      where: { id: returnId, sale_id: saleId },
+      include: { return_items: { include: { product: { select: { name: true } }, sale_item: { select: { price: true } } } } },
+    })
+    if (!ret) throw dteError('Devolución no encontrada', 404)
+    items = ret.return_items.map((ri) => ({
+      description: ri.product?.name || 'Producto',
+      qty: ri.qty_returned,
+      unit_price: Number(ri.sale_item.price),
+    }))
+    // Nunca más que lo que suman las líneas a precio de venta ni que lo que
+    // la factura todavía tenga sin acreditar.
+    const gross = items.reduce((acc, it) => acc + round2(it.qty * it.unit_price), 0)
+    amount = round2(Math.min(Number(ret.total_refund), available, gross))
+    reason = reason || ret.reason || 'Devolución de mercadería'
+  } else {
+    const sale = await db.sale.findUnique({
+      where: { id: saleId },
+      include: { sale_items: { include: { product: { select: { name: true } } }, orderBy: { id: 'asc' } } },
+    })
+    items = saleLines(sale.sale_items)
+    amount = available
+    reason = reason || 'Anulación de la venta'
+  }
+  if (toCents(amount) <= 0 || items.length === 0) return null
+
+  const { xml } = buildDteXml({
+    documentType: 'NCRE',
+    regime: config.regime,
+    ivaRate: config.ivaRate,
+    currency: config.currency,
+    emittedAt: emittedAtNow(config.tz),
+    emitter: config.emitter,
+    receiver: await invoiceReceiver(db, saleId),
+    items,
+    total: amount,
+    creditNote: {
+      authorization: invoice.authorization,
+      emissionDate: DateTime.fromJSDate(invoice.emission_date || invoice.created_at).setZone(config.tz).toISODate(),
+      reason: String(reason).slice(0, 255),
+    },
+  })
+  return emitDte(db, provider, {
+    existing, saleId, documentType: 'NCRE', amount, xml, referenceDteId: invoice.id, returnId,
+  })
+}
+
+/** La nota va al mismo receptor que la factura. */
+async function invoiceReceiver(db, saleId) {
+  const sale = await db.sale.findUnique({
+    where: { id: saleId },
+    select: { customer: true, customer_nit: true, is_final_consumer: true },
+  })
+  return { nit: sale.is_final_consumer ? 'CF' : sale.customer_nit, name: sale.customer }
+}
+
+/** El DTE para una respuesta JSON: sin el XML, que se descarga aparte; `test` = del certificador de prueba. */
+function publicDte(dte) {
+  if (!dte) return dte
+  const { xml: _xml, ...rest } = dte
+  return { ...rest, test: dte.provider === MOCK_PROVIDER_NAME }
+}
+
+/** Reenvía un DTE pendiente o con error de comunicación con el mismo XML e identificador. */
+async function retryDte(db, dteId, companyId) {
+  const dte = await db.saleDte.findFirst({ where: { id: dteId, sale: { branch: { company_id: companyId } } } })
+  if (!dte) throw dteError('Documento no encontrado', 404)
+  if (![DTE_STATUS.PENDING, DTE_STATUS.ERROR].includes(dte.status)) {
+    throw dteError(`Solo se reintentan documentos pendientes o con error (este está ${dte.status})`, 409)
+  }
+  const provider = requireProvider(await loadDteConfig(db, companyId))
+  return submitDte(db, provider, dte, dte.xml)
+}
+
+/**
+ * Después de que una operación ya se guardó: certificar o acreditar sin
+ * tumbar la respuesta. Lo que falle queda en la fila del DTE para reintentar.
+ */
+async function afterCommit(label, fn) {
+  try {
+    return await fn()
+  } catch (e) {
+    console.error(`[DTE] ${label}:`, e?.message || e)
+    return null
+  }
+}
+
+/** Factura al vender, si la empresa lo tiene activado (`fel_auto_certify`). */
+async function autoCertifySale(db, saleId, companyId) {
+  return afterCommit(`certificar venta ${saleId}`, async () => {
+    const config = await loadDteConfig(db, companyId)
+    if (!config.provider || !config.autoCertify) return null
+    return certifySale(db, saleId, companyId)
+  })
+}
+
+module.exports = {
+  DTE_STATUS,
+  INVOICE_TYPES,
+  loadDteConfig,
+  certifySale,
+  issueCreditNote,
+  retryDte,
+  publicDte,
+  afterCommit,
+  autoCertifySale,
+}
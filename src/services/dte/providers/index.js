@@ -0,0 +1,66 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Certificadores FEL. Cada empresa elige el suyo en configuración
+ * (`fel_provider`); un certificador nuevo solo implementa `certify`.
+ *
+ * @typedef {object} DteProviderResult
+ * @property {'authorized'|'rejected'} outcome
+ * @property {string} [authorization] número de autorización (UUID SAT)
+ * @property {string} [series]
+ * @property {string} [number]
+ * @property {Date} [certifiedAt]
+ * @property {string|null} [xml] XML certificado
+ * @property {string|null} [pdfUrl]
+ * @property {string[]} [errors] motivos del rechazo
+ *
+ * @typedef {object} DteProvider
+ * @property {string} name lo que queda en `sale_dtes.provider`
+ * @property {(req: { xml: string, identifier: string }) => Promise<DteProviderResult>} certify
+ *   Lanza si no hubo comunicación (el DTE queda en «error» y se puede reintentar).
+ */
+
+const { createInfileProvider } = require('./infile')
+const { createMockProvider } = require('./mock')
+
+const DTE_PROVIDERS = ['INFILE', 'MOCK']
+
+/**
+ * El certificador local no emite documentos válidos ante SAT: en producción
+ * solo se puede usar con DTE_ALLOW_MOCK=true (ambientes de prueba).
+ */
+function mockProviderAllowed() {
+  return process.env.NODE_ENV !== 'production' || String(process.env.DTE_ALLOW_MOCK || '').toLowerCase() === 'true'
+}
+
+/** Los certificadores que se pueden configurar en este ambiente. */
+function availableDteProviders() {
+  return DTE_PROVIDERS.filter((code) => code !== 'MOCK' || mockProviderAllowed())
+}
+
+/**
+ * @param {string} code valor de `fel_provider`
+ * @param {{ companyCode?: string }} [ctx]
+ * @returns {DteProvider|null} null = la empresa no factura electrónicamente
+ *   (también MOCK donde no está permitido: no se certifica de mentira)
+ */
+function getDteProvider(code, ctx = {}) {
+  switch (String(code || '').toUpperCase()) {
+    case 'INFILE':
+      return createInfileProvider({ companyCode: ctx.companyCode })
+    case 'MOCK':
+      return mockProviderAllowed() ? createMockProvider() : null
+    default:
+      return null
+  }
+}
+
+module.exports = { DTE_PROVIDERS, mockProviderAllowed, availableDteProviders, getDteProvider }
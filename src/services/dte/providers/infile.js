@@ -0,0 +1,97 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Adaptador InFile (proceso unificado: firma + certificación en una llamada).
+ * El `identificador` hace la llamada idempotente del lado de InFile: reenviar
+ * el mismo devuelve el documento ya certificado en vez de emitir otro.
+ */
+
+const INFILE_URL = 'https://certificador.feel.com.gt/fel/procesounificado/transaccion/v2/xml'
+const INFILE_PDF_URL = 'https://report.feel.com.gt/ingfacereport/ingfacereport_documento'
+const TIMEOUT_MS = 30_000
+
+const CREDENTIAL_KEYS = ['USUARIO_FIRMA', 'LLAVE_FIRMA', 'USUARIO_API', 'LLAVE_API']
+
+/**
+ * Credenciales del .env. Cada NIT tiene las suyas: primero se buscan con el
+ * código de la empresa (INFILE_LLAVE_API_EMP1) y luego las generales.
+ */
+function infileCredentials(companyCode) {
+  const suffix = companyCode ? `_${String(companyCode).toUpperCase()}` : ''
+  const creds = {}
+  for (const key of CREDENTIAL_KEYS) {
+    creds[key] = process.env[`INFILE_${key}${suffix}`] || process.env[`INFILE_${key}`] || ''
+  }
+  const missing = CREDENTIAL_KEYS.filter((k) => !creds[k])
+  if (missing.length > 0) {
+    const err = new Error(`Faltan credenciales de InFile en el servidor: ${missing.map((k) => `INFILE_${k}`).join(', ')}`)
+    err.status = 503
+    throw err
+  }
+  return creds
+}
+
+function errorMessages(body) {
+  const list = Array.isArray(body?.descripcion_errores) ? body.descripcion_errores : []
+  const msgs = list.map((e) => e?.mensaje_error || e?.descripcion || JSON.stringify(e))
+  if (msgs.length === 0 && body?.descripcion) msgs.push(String(body.descripcion))
+  return msgs
+}
+
+/**
+ * @param {{ companyCode?: string, fetchImpl?: typeof fetch }} [options]
+ * @returns {import('./index').DteProvider}
+ */
+function createInfileProvider(options = {}) {
+  const doFetch = options.fetchImpl || fetch
+  return {
+    name: 'InFile',
+    async certify({ xml, identifier }) {
+      const creds = infileCredentials(options.companyCode)
+      const res = await doFetch(INFILE_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/xml',
+          UsuarioFirma: creds.USUARIO_FIRMA,
+          LlaveFirma: creds.LLAVE_FIRMA,
+          UsuarioApi: creds.USUARIO_API,
+          LlaveApi: creds.LLAVE_API,
+          identificador: String(identifier),
+        },
+        body: xml,
+        signal: AbortSignal.timeout(TIMEOUT_MS),
+      })
+      // Un 5xx o una respuesta que no es JSON es falla de comunicación
+      // (reintentable), no un rechazo del documento.
+      if (res.status >= 500) throw new Error(`InFile respondió ${res.status}`)
+      let body
+      try {
+        body = await res.json()
+      } catch {
+        throw new Error(`InFile respondió ${res.status} sin JSON`)
+      }
+      if (body?.resultado !== true) {
+        return { outcome: 'rejected', errors: errorMessages(body) }
+      }
+      return {
+        outcome: 'authorized',
+        authorization: body.uuid,
+        series: body.serie,
+        number: body.numero != null ? String(body.numero) : null,
+        certifiedAt: body.fecha ? new Date(body.fecha) : new Date(),
+        xml: body.xml_certificado ? Buffer.from(String(body.xml_certificado), 'base64').toString('utf8') : null,
+        pdfUrl: body.uuid ? `${INFILE_PDF_URL}?uuid=${encodeURIComponent(body.uuid)}` : null,
+      }
+    },
+  }
+}
+
+module.exports = { createInfileProvider, infileCredentials }
@@ -0,0 +1,53 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Certificador local para desarrollo y pruebas: no sale a la red. La
+ * autorización se deriva del identificador, así un reintento devuelve el mismo
+ * documento (igual que el certificador real con su `identificador`).
+ *
+ * Lo que emite no vale ante SAT y se ve: la autorización empieza con
+ * `PRUEBA-`, la serie es PRUEBA y el XML lo dice.
+ */
+
+const crypto = require('crypto')
+
+const MOCK_PROVIDER_NAME = 'Mock'
+const TEST_PREFIX = 'PRUEBA'
+
+/**
+ * @param {{ reject?: string|null }} [options] `reject` = motivo para rechazar todo
+ * @returns {import('./index').DteProvider}
+ */
+function createMockProvider(options = {}) {
+  return {
+    name: MOCK_PROVIDER_NAME,
+    async certify({ xml, identifier }) {
+      if (options.reject) {
+        return { outcome: 'rejected', errors: [String(options.reject)] }
+      }
+      const hex = crypto.createHash('sha256').update(String(identifier)).digest('hex').toUpperCase()
+      // UUID derivado del identificador, con prefijo para que nadie lo tome
+      // por uno de SAT; el número son 8 hex leídos como entero.
+      const authorization = `${TEST_PREFIX}-${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`
+      return {
+        outcome: 'authorized',
+        authorization,
+        series: TEST_PREFIX,
+        number: String(parseInt(hex.slice(8, 16), 16)),
+        certifiedAt: new Date(),
+        xml: xml.replace('</dte:SAT>', `</dte:SAT><!-- DOCUMENTO DE PRUEBA, sin validez ante SAT: ${authorization} -->`),
+        pdfUrl: null,
+      }
+    },
+  }
+}
+
+module.exports = { MOCK_PROVIDER_NAME, createMockProvider }
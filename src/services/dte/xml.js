@@ -0,0 +1,188 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Armado del XML FEL (esquema GTDocumento 0.1 de SAT) sin DB. El certificador
+ * lo firma y lo devuelve con el bloque de certificación; aquí solo va lo que
+ * emite la empresa.
+ */
+
+const { round2, splitIva } = require('../accounting/logic')
+const { allocateAcrossTenders } = require('../salePayments')
+
+const DTE_NS = 'http://www.sat.gob.gt/dte/fel/0.2.0'
+const NCRE_NS = 'http://www.sat.gob.gt/face2/ComplementoReferenciaNota/0.1.0'
+
+/** Desde este total SAT exige NIT o CUI: ya no se puede facturar a «CF». */
+const CF_MAX_TOTAL = 2500
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+}
+
+const money = (n) => round2(n).toFixed(2)
+
+/** NIT como lo pide SAT: sin guiones ni espacios, en mayúsculas. Vacío o «C/F» = CF. */
+function normalizeNit(raw) {
+  const nit = String(raw || '').replace(/[\s-]/g, '').toUpperCase()
+  return !nit || nit === 'C/F' || nit === 'CF' ? 'CF' : nit
+}
+
+/** Tipo de documento según el régimen: factura normal o de pequeño contribuyente. */
+function invoiceDocumentType(regime) {
+  return regime === 'PEQUENO' ? 'FPEQ' : 'FACT'
+}
+
+/**
+ * Líneas del DTE. El descuento de la venta (promociones, códigos) no está en
+ * los items: se reparte entre las líneas en proporción a su precio para que la
+ * suma cuadre al centavo con `grandTotal`. En régimen general cada línea lleva
+ * su IVA incluido desglosado; el pequeño contribuyente no desglosa impuesto.
+ *
+ * @param {Array<{ description: string, qty: number, unit_price: number }>} items
+ * @param {number} grandTotal
+ * @param {{ regime: 'GENERAL'|'PEQUENO', ivaRate: number }} tax
+ */
+function buildDteLines(items, grandTotal, { regime, ivaRate }) {
+  const lines = items.map((it) => ({
+    description: it.description,
+    qty: Number(it.qty),
+    unit_price: round2(it.unit_price),
+    price: round2(Number(it.qty) * Number(it.unit_price)),
+  }))
+  const gross = round2(lines.reduce((acc, l) => acc + l.price, 0))
+  const discount = round2(gross - Number(grandTotal))
+  if (discount < 0) {
+    const err = new Error(`El total del documento (${grandTotal}) es mayor que la suma de sus líneas (${gross})`)
+    err.status = 400
+    throw err
+  }
+  const discounts = allocateAcrossTenders(lines.map((l) => ({ amount: l.price })), discount)
+
+  return lines.map((l, i) => {
+    const total = round2(l.price - discounts[i])
+    const line = { ...l, discount: discounts[i], total }
+    if (regime !== 'PEQUENO') {
+      const { base, iva } = splitIva(total, ivaRate)
+      line.taxable = base
+      line.iva = iva
+    }
+    return line
+  })
+}
+
+/**
+ * @param {{
+ *   documentType: 'FACT'|'FPEQ'|'NCRE',
+ *   regime: 'GENERAL'|'PEQUENO',
+ *   ivaRate: number,
+ *   emittedAt: string,
+ *   currency?: string,
+ *   emitter: { nit: string, name: string, commercialName?: string, establishment: string, address?: string, postalCode?: string, municipality?: string, department?: string },
+ *   receiver: { nit?: string, name?: string },
+ *   items: Array<{ description: string, qty: number, unit_price: number }>,
+ *   total: number,
+ *   creditNote?: { authorization: string, emissionDate: string, reason: string },
+ * }} doc
+ * @returns {{ xml: string, lines: ReturnType<typeof buildDteLines>, totalTax: number }}
+ */
+function buildDteXml(doc) {
+  const isGeneral = doc.regime !== 'PEQUENO'
+  const lines = buildDteLines(doc.items, doc.total, doc)
+  const totalTax = round2(lines.reduce((acc, l) => acc + (l.iva || 0), 0))
+  const receiverId = normalizeNit(doc.receiver?.nit)
+  if (receiverId === 'CF' && Number(doc.total) >= CF_MAX_TOTAL && doc.documentType !== 'NCRE') {
+    const err = new Error(`SAT exige NIT o CUI del cliente en documentos de ${CF_MAX_TOTAL} o más`)
+    err.status = 400
+    throw err
+  }
+  const receiverName = receiverId === 'CF'
+    ? (doc.receiver?.name || 'Consumidor Final')
+    : (doc.receiver?.name || receiverId)
+  const e = doc.emitter
+
+  const items = lines.map((l, idx) => [
+    `<dte:Item NumeroLinea="${idx + 1}" BienOServicio="B">`,
+    `<dte:Cantidad>${l.qty}</dte:Cantidad>`,
+    '<dte:UnidadMedida>UNI</dte:UnidadMedida>',
+    `<dte:Descripcion>${escapeXml(l.description)}</dte:Descripcion>`,
+    `<dte:PrecioUnitario>${money(l.unit_price)}</dte:PrecioUnitario>`,
+    `<dte:Precio>${money(l.price)}</dte:Precio>`,
+    `<dte:Descuento>${money(l.discount)}</dte:Descuento>`,
+    isGeneral
+      ? '<dte:Impuestos><dte:Impuesto><dte:NombreCorto>IVA</dte:NombreCorto>' +
+        '<dte:CodigoUnidadGravable>1</dte:CodigoUnidadGravable>' +
+        `<dte:MontoGravable>${money(l.taxable)}</dte:MontoGravable>` +
+        `<dte:MontoImpuesto>${money(l.iva)}</dte:MontoImpuesto></dte:Impuesto></dte:Impuestos>`
+      : '',
+    `<dte:Total>${money(l.total)}</dte:Total>`,
+    '</dte:Item>',
+  ].join(''))
+
+  // Frases solo en facturas: 1-1 = sujeto a pagos trimestrales ISR; 3-1 =
+  // pequeño contribuyente, no genera crédito fiscal. La nota hereda las del origen.
+  const frases = doc.documentType === 'NCRE'
+    ? ''
+    : `<dte:Frases><dte:Frase TipoFrase="${isGeneral ? 1 : 3}" CodigoEscenario="1"/></dte:Frases>`
+
+  const complementos = doc.creditNote
+    ? '<dte:Complementos><dte:Complemento IDComplemento="1" NombreComplemento="NCRE" ' +
+      'URIComplemento="http://www.sat.gob.gt/fel/notas.xsd">' +
+      `<cno:ReferenciasNota xmlns:cno="${NCRE_NS}" Version="0.0" ` +
+      `NumeroAutorizacionDocumentoOrigen="${escapeXml(doc.creditNote.authorization)}" ` +
+      `FechaEmisionDocumentoOrigen="${escapeXml(doc.creditNote.emissionDate)}" ` +
+      `MotivoAjuste="${escapeXml(doc.creditNote.reason)}"/>` +
+      '</dte:Complemento></dte:Complementos>'
+    : ''
+
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<dte:GTDocumento xmlns:dte="${DTE_NS}" Version="0.1">`,
+    '<dte:SAT ClaseDocumento="dte"><dte:DTE ID="DatosCertificados"><dte:DatosEmision ID="DatosEmision">',
+    `<dte:DatosGenerales Tipo="${doc.documentType}" FechaHoraEmision="${escapeXml(doc.emittedAt)}" CodigoMoneda="${escapeXml(doc.currency || 'GTQ')}"/>`,
+    `<dte:Emisor NITEmisor="${escapeXml(normalizeNit(e.nit))}" NombreEmisor="${escapeXml(e.name)}" ` +
+      `CodigoEstablecimiento="${escapeXml(e.establishment)}" NombreComercial="${escapeXml(e.commercialName || e.name)}" ` +
+      `AfiliacionIVA="${isGeneral ? 'GEN' : 'PEQ'}">`,
+    '<dte:DireccionEmisor>',
+    `<dte:Direccion>${escapeXml(e.address || 'Ciudad')}</dte:Direccion>`,
+    `<dte:CodigoPostal>${escapeXml(e.postalCode || '01001')}</dte:CodigoPostal>`,
+    `<dte:Municipio>${escapeXml(e.municipality || 'Guatemala')}</dte:Municipio>`,
+    `<dte:Departamento>${escapeXml(e.department || 'Guatemala')}</dte:Departamento>`,
+    '<dte:Pais>GT</dte:Pais>',
+    '</dte:DireccionEmisor></dte:Emisor>',
+    `<dte:Receptor IDReceptor="${escapeXml(receiverId)}" NombreReceptor="${escapeXml(receiverName)}"/>`,
+    frases,
+    `<dte:Items>${items.join('')}</dte:Items>`,
+    '<dte:Totales>',
+    isGeneral
+      ? `<dte:TotalImpuestos><dte:TotalImpuesto NombreCorto="IVA" TotalMontoImpuesto="${money(totalTax)}"/></dte:TotalImpuestos>`
+      : '',
+    `<dte:GranTotal>${money(doc.total)}</dte:GranTotal>`,
+    '</dte:Totales>',
+    complementos,
+    '</dte:DatosEmision></dte:DTE></dte:SAT></dte:GTDocumento>',
+  ].join('')
+
+  return { xml, lines, totalTax }
+}
+
+module.exports = {
+  CF_MAX_TOTAL,
+  escapeXml,
+  normalizeNit,
+  invoiceDocumentType,
+  buildDteLines,
+  buildDteXml,
+}
@@ -9,9 +9,13 @@
  *
  * La sucursal que envió responde por ella hasta que alguien la reciba, así que
  * en un reporte de una sucursal se cuentan sus envíos pendientes.
+ *
+ * Lo mismo vale para lo que al recibir llegó dañado o no llegó: queda en
+ * disputa (diferencias abiertas) y sigue a cargo del origen hasta resolverse.
  */
 
 const { prisma } = require('../models/prisma')
+const { DISPUTE_REASONS } = require('./transferDiscrepancies')
 
 /**
  * @param {string} companyId
@@ -37,13 +41,36 @@ async function inTransitByProduct(companyId, { branchIds = [], client = prisma }
 }
 
 /**
- * Unidades y valor al costo de lo que anda en tránsito.
- * @param {Array<{id: string, cost: any}>} products catálogo ya cargado.
+ * Diferencias de recepción abiertas que dejan mercancía en disputa.
+ * @param {{ branchIds?: string[], include?: object }} opts branchIds = sucursales origen.
  */
-async function inTransitTotals(companyId, products, opts = {}) {
-  const map = await inTransitByProduct(companyId, opts)
-  if (map.size === 0) return { units: 0, value: 0, byProduct: map }
-  const costById = new Map(products.map((p) => [p.id, Number(p.cost || 0)]))
+async function openDisputes(client, companyId, { branchIds = [], include } = {}) {
+  return client.transferDiscrepancy.findMany({
+    where: {
+      resolution: null,
+      reason: { in: DISPUTE_REASONS },
+      transfer: {
+        fromBranch: { company_id: companyId },
+        ...(branchIds.length ? { from_branch_id: { in: branchIds } } : {}),
+      },
+    },
+    ...(include ? { include } : {}),
+    orderBy: { created_at: 'asc' },
+  })
+}
+
+/**
+ * @returns {Promise<Map<string, number>>} product_id → unidades en disputa
+ */
+async function inDisputeByProduct(companyId, { branchIds = [], client = prisma } = {}) {
+  const map = new Map()
+  for (const d of await openDisputes(client, companyId, { branchIds })) {
+    map.set(d.product_id, (map.get(d.product_id) || 0) + d.qty)
+  }
+  return map
+}
+
+function valueAtCost(map, costById) {
   let units = 0
   let value = 0
   for (const [productId, qty] of map) {
@@ -53,4 +80,18 @@ async function inTransitTotals(companyId, products, opts = {}) {
   return { units, value, byProduct: map }
 }
 
-module.exports = { inTransitByProduct, inTransitTotals }
+/**
+ * Unidades y valor al costo de lo que anda en tránsito y, aparte, de lo que
+ * está en disputa.
+ * @param {Array<{id: string, cost: any}>} products catálogo ya cargado.
+ */
+async function inTransitTotals(companyId, products, opts = {}) {
+  const [map, disputed] = await Promise.all([
+    inTransitByProduct(companyId, opts),
+    inDisputeByProduct(companyId, opts),
+  ])
+  const costById = new Map(products.map((p) => [p.id, Number(p.cost || 0)]))
+  return { ...valueAtCost(map, costById), dispute: valueAtCost(disputed, costById) }
+}
+
+module.exports = { inTransitByProduct, inDisputeByProduct, openDisputes, inTransitTotals }
@@ -0,0 +1,252 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Clasificación ABC/XYZ por producto y sucursal (`product_classifications`).
+ *
+ *  - ABC por ingreso y por margen: se ordena de mayor a menor y cada producto
+ *    toma la clase del acumulado que lleva ANTES de sumarse (A hasta 80%, B
+ *    hasta 95%), así el primero siempre es A aunque solo él junte el 90%.
+ *    Lo que no vendió o dejó margen negativo es C.
+ *  - XYZ por el coeficiente de variación de las unidades por semana: X hasta
+ *    0.5, Y hasta 1, Z arriba o sin ventas.
+ *
+ * Todas las semanas del período cuentan, también las que no vendió: un
+ * producto que vende cada tres semanas es errático aunque venda lo mismo.
+ * La recalcula la tarea programada; conteos, listado y reporte leen lo guardado.
+ */
+
+const { DateTime } = require('luxon')
+const { getTimezone } = require('../utils/getTimezone')
+
+const CLASSIFICATION_WEEKS = 26
+const ABC_LIMITS = { A: 80, B: 95 }
+const XYZ_LIMITS = { X: 0.5, Y: 1 }
+const ABC_CLASSES = ['A', 'B', 'C']
+const XYZ_CLASSES = ['X', 'Y', 'Z']
+/** Base del ABC que se pide por query/alcance → columna. */
+const ABC_BASIS = { revenue: 'abc_revenue', margin: 'abc_margin' }
+
+function httpError(status, message) {
+  const err = new Error(message)
+  err.status = status
+  return err
+}
+
+const round2 = (v) => Math.round(v * 100) / 100
+
+/**
+ * Clase ABC por aporte al total. @returns {Map<string, 'A'|'B'|'C'>}
+ * @param {Array<{ product_id: string }>} rows
+ * @param {(row) => number} valueOf
+ */
+function abcByContribution(rows, valueOf) {
+  const out = new Map()
+  const positive = []
+  for (const r of rows) {
+    const v = Number(valueOf(r)) || 0
+    if (v > 0) positive.push({ id: r.product_id, v })
+    else out.set(r.product_id, 'C')
+  }
+  positive.sort((a, b) => b.v - a.v || String(a.id).localeCompare(String(b.id)))
+  const total = positive.reduce((s, r) => s + r.v, 0)
+  let before = 0
+  for (const r of positive) {
+    out.set(r.id, before < ABC_LIMITS.A ? 'A' : before < ABC_LIMITS.B ? 'B' : 'C')
+    before += (100 * r.v) / total
+  }
+  return out
+}
+
+/** Coeficiente de variación (σ poblacional / media) o null si no vendió. */
+function demandCv(weekly) {
+  const n = weekly.length
+  const mean = n ? weekly.reduce((s, q) => s + q, 0) / n : 0
+  if (mean <= 0) return null
+  const variance = weekly.reduce((s, q) => s + (q - mean) ** 2, 0) / n
+  return Math.round((Math.sqrt(variance) / mean) * 10000) / 10000
+}
+
+function xyzClass(cv) {
+  if (cv == null) return 'Z'
+  return cv <= XYZ_LIMITS.X ? 'X' : cv <= XYZ_LIMITS.Y ? 'Y' : 'Z'
+}
+
+/**
+ * @param {Array<{ product_id, revenue, margin, units, weekly: number[] }>} rows
+ * @returns {Array<{ product_id, abc_revenue, abc_margin, xyz, revenue, margin, units, demand_cv }>}
+ */
+function classifyProducts(rows) {
+  const byRevenue = abcByContribution(rows, (r) => r.revenue)
+  const byMargin = abcByContribution(rows, (r) => r.margin)
+  return rows.map((r) => {
+    const cv = demandCv(r.weekly || [])
+    return {
+      product_id: r.product_id,
+      abc_revenue: byRevenue.get(r.product_id),
+      abc_margin: byMargin.get(r.product_id),
+      xyz: xyzClass(cv),
+      revenue: round2(Number(r.revenue) || 0),
+      margin: round2(Number(r.margin) || 0),
+      units: Number(r.units) || 0,
+      demand_cv: cv,
+    }
+  })
+}
+
+/** Conteo de la matriz: { AX: n, AY: n, …, CZ: n }. */
+function classificationMatrix(rows, basis = 'revenue') {
+  const field = ABC_BASIS[basis]
+  const out = {}
+  for (const a of ABC_CLASSES) for (const x of XYZ_CLASSES) out[`${a}${x}`] = 0
+  for (const r of rows) out[`${r[field]}${r.xyz}`] += 1
+  return out
+}
+
+/** `abc_basis` de query o alcance → columna. 400 si no es revenue/margin. */
+function abcBasisField(raw) {
+  const basis = raw === undefined || raw === null || raw === '' ? 'revenue' : String(raw).toLowerCase()
+  if (!ABC_BASIS[basis]) throw httpError(400, `abc_basis debe ser uno de: ${Object.keys(ABC_BASIS).join(', ')}`)
+  return ABC_BASIS[basis]
+}
+
+/**
+ * Lista de clases ("A,B" o ['a','b']) → ['A','B'], o null si no viene.
+ * 400 si trae una que no existe.
+ */
+function parseClassList(raw, allowed, name) {
+  if (raw === undefined || raw === null || raw === '') return null
+  const list = (Array.isArray(raw) ? raw : String(raw).split(','))
+    .map((x) => String(x).trim().toUpperCase())
+    .filter(Boolean)
+  const bad = list.find((x) => !allowed.includes(x))
+  if (bad) throw httpError(400, `${name}: clase inválida ${bad}. Use ${allowed.join(', ')}`)
+  return list.length ? [...new Set(list)] : null
+}
+
+/**
+ * Recalcula y reemplaza la clasificación de una sucursal con las ventas
+ * completadas de las últimas CLASSIFICATION_WEEKS semanas (hasta ayer), netas
+ * de devoluciones. Entran todos los productos que la sucursal maneja.
+ * @returns {Promise<{ branch_id: string, products: number, period_start: string, period_end: string }>}
+ */
+async function recomputeBranchClassification(db, branchId, { tz = 'America/Guatemala', now = DateTime.now() } = {}) {
+  const end = now.setZone(tz).startOf('day')
+  const start = end.minus({ weeks: CLASSIFICATION_WEEKS })
+  const wallClock = (dt) => new Date(Date.UTC(dt.year, dt.month - 1, dt.day))
+
+  const handled = await db.productStock.findMany({
+    where: { branch_id: branchId, product: { deleted: false, has_variants: false } },
+    select: { product_id: true },
+  })
+  // sales.date guarda la hora local como si fuera UTC: su ::date ya es el día local.
+  const sold = await db.$queryRaw`
+    SELECT si.product_id,
+           FLOOR((s.date::date - ${start.toISODate()}::date) / 7)::int AS week,
+           SUM(si.qty - COALESCE(ri.qty, 0))::int AS units,
+           SUM((si.qty - COALESCE(ri.qty, 0)) * si.price)::float AS revenue,
+           SUM((si.qty - COALESCE(ri.qty, 0)) * COALESCE(si.unit_cost, p.cost))::float AS cost
+    FROM sale_items si
+    JOIN sales s ON s.id = si.sale_id
+    JOIN sale_statuses ss ON ss.id = s.status_id AND ss.name = 'Completada'
+    JOIN products p ON p.id = si.product_id
+    LEFT JOIN (
+      SELECT sale_item_id, SUM(qty_returned) AS qty FROM return_items GROUP BY sale_item_id
+    ) ri ON ri.sale_item_id = si.id
+    WHERE s.branch_id = ${branchId}::uuid
+      AND s.date >= ${wallClock(start)} AND s.date < ${wallClock(end)}
+    GROUP BY si.product_id, week
+  `
+
+  const byProduct = new Map(handled.map((h) => [h.product_id, {
+    product_id: h.product_id, revenue: 0, margin: 0, units: 0, weekly: Array(CLASSIFICATION_WEEKS).fill(0),
+  }]))
+  for (const r of sold) {
+    const p = byProduct.get(r.product_id)
+    if (!p || r.week < 0 || r.week >= CLASSIFICATION_WEEKS) continue
+    p.units += r.units
+    p.revenue += Number(r.revenue) || 0
+    p.margin += (Number(r.revenue) || 0) - (Number(r.cost) || 0)
+    p.weekly[r.week] += r.units
+  }
+
+  const period = { period_start: wallClock(start), period_end: wallClock(end.minus({ days: 1 })) }
+  const rows = classifyProducts([...byProduct.values()])
+  await db.$transaction([
+    db.productClassification.deleteMany({ where: { branch_id: branchId } }),
+    db.productClassification.createMany({
+      data: rows.map((r) => ({ ...r, branch_id: branchId, ...period })),
+    }),
+  ])
+  return {
+    branch_id: branchId,
+    products: rows.length,
+    period_start: start.toISODate(),
+    period_end: end.minus({ days: 1 }).toISODate(),
+  }
+}
+
+/**
+ * Sucursales de la lista que nunca se han clasificado se clasifican ya (la
+ * primera vez no espera a la tarea). Las demás se dejan como están.
+ */
+async function ensureClassified(db, branchIds, { tz } = {}) {
+  const done = await db.productClassification.groupBy({
+    by: ['branch_id'],
+    where: { branch_id: { in: branchIds } },
+  })
+  const have = new Set(done.map((r) => r.branch_id))
+  for (const id of branchIds) {
+    if (!have.has(id)) await recomputeBranchClassification(db, id, { tz })
+  }
+}
+
+/**
+ * Recalcula todas las sucursales activas (de una empresa, o de todas las
+ * empresas activas). Una sucursal que falla no detiene a las demás.
+ */
+async function recomputeClassifications(db, { companyId = null } = {}) {
+  const branches = await db.branch.findMany({
+    where: { active: true, ...(companyId ? { company_id: companyId } : { company: { active: true } }) },
+    select: { id: true, company_id: true },
+  })
+  const summary = { branches: 0, products: 0, failed: [] }
+  for (const b of branches) {
+    try {
+      const tz = await getTimezone(db, b.company_id)
+      const r = await recomputeBranchClassification(db, b.id, { tz })
+      summary.branches += 1
+      summary.products += r.products
+    } catch (e) {
+      summary.failed.push({ branch_id: b.id, error: e.message })
+    }
+  }
+  if (branches.length > 0 && summary.failed.length === branches.length) {
+    throw new Error(`No se pudo clasificar ninguna sucursal: ${summary.failed[0].error}`)
+  }
+  return summary
+}
+
+module.exports = {
+  CLASSIFICATION_WEEKS,
+  ABC_CLASSES,
+  XYZ_CLASSES,
+  ABC_BASIS,
+  abcByContribution,
+  demandCv,
+  xyzClass,
+  classifyProducts,
+  classificationMatrix,
+  abcBasisField,
+  parseClassList,
+  recomputeBranchClassification,
+  ensureClassified,
+  recomputeClassifications,
+}
@@ -0,0 +1,199 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Motor de tareas programadas. Cada tarea (src/jobs) tiene nombre, horario
+ * cron y una función `run()`. Antes de correr se toma el candado de la tarea
+ * en `job_locks`: con varias instancias del backend, solo una gana cada
+ * horario (`last_slot`) y una corrida manual no se encima con la programada.
+ * Cada corrida queda en `job_runs` con duración, resultado o error.
+ *
+ * Mientras la tarea corre, su instancia renueva el candado: solo se vence si
+ * la instancia muere, y entonces otra puede retomarla pasado `timeoutMs`.
+ */
+
+const os = require('os')
+const { Prisma } = require('@prisma/client')
+const { DEFAULT_ZONE, parseCron, nextRun } = require('./cronSchedule')
+
+/** Identifica a esta instancia en el candado y en el historial. */
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`.slice(0, 100)
+
+const DEFAULT_TIMEOUT_MS = 15 * 60 * 1000
+const DEFAULT_TICK_MS = 30 * 1000
+
+function jobsZone() {
+  return process.env.JOBS_TIMEZONE || DEFAULT_ZONE
+}
+
+/**
+ * Toma el candado si está libre o vencido. Con `slot` (corrida programada)
+ * además exige que ese horario no lo haya corrido ya otra instancia.
+ *
+ * @returns {Promise<boolean>}
+ */
+async function acquireJobLock(db, name, { leaseMs, slot = null, now = new Date() }) {
+  const until = new Date(now.getTime() + leaseMs)
+  const slotCondition = slot
+    ? Prisma.sql`AND ("job_locks"."last_slot" IS NULL OR "job_locks"."last_slot" < ${slot})`
+    : Prisma.empty
+  const rows = await db.$queryRaw`
+    INSERT INTO "public"."job_locks" ("name", "locked_by", "locked_until", "last_slot", "updated_at")
+    VALUES (${name}, ${INSTANCE_ID}, ${until}, ${slot}, ${now})
+    ON CONFLICT ("name") DO UPDATE SET
+      "locked_by" = EXCLUDED."locked_by",
+      "locked_until" = EXCLUDED."locked_until",
+      "last_slot" = COALESCE(EXCLUDED."last_slot", "job_locks"."last_slot"),
+      "updated_at" = EXCLUDED."updated_at"
+    WHERE ("job_locks"."locked_until" IS NULL OR "job_locks"."locked_until" < ${now})
+      ${slotCondition}
+    RETURNING "name"`
+  return rows.length > 0
+}
+
+/**
+ * Extiende el candado mientras la tarea sigue corriendo.
+ * @returns {Promise<boolean>} false si ya no es de esta instancia
+ */
+async function renewJobLock(db, name, { leaseMs, now = new Date() }) {
+  const { count } = await db.jobLock.updateMany({
+    where: { name, locked_by: INSTANCE_ID },
+    data: { locked_until: new Date(now.getTime() + leaseMs) },
+  })
+  return count > 0
+}
+
+/** Suelta el candado solo si sigue siendo de esta instancia. */
+async function releaseJobLock(db, name) {
+  await db.jobLock.updateMany({
+    where: { name, locked_by: INSTANCE_ID },
+    data: { locked_by: null, locked_until: null },
+  })
+}
+
+/** Texto del error para el historial (sin el stack completo). */
+function errorText(e) {
+  const msg = e?.message || String(e)
+  return msg.slice(0, 4000)
+}
+
+/**
+ * Corre una tarea con su candado y deja la corrida en el historial. Un error
+ * de la tarea no se propaga: queda como FAILED en la corrida devuelta.
+ *
+ * @param {object} db cliente Prisma
+ * @param {{ name: string, timeoutMs?: number, run: () => Promise<object|void> }} job
+ * @param {{ trigger?: 'SCHEDULE'|'MANUAL', userId?: string|null, slot?: Date|null }} [options]
+ * @returns {Promise<object|null>} la corrida (job_runs), o null si otra instancia la tiene
+ */
+async function runJob(db, job, { trigger = 'MANUAL', userId = null, slot = null } = {}) {
+  const leaseMs = job.timeoutMs || DEFAULT_TIMEOUT_MS
+  const acquired = await acquireJobLock(db, job.name, { leaseMs, slot })
+  if (!acquired) return null
+
+  const heartbeat = setInterval(() => {
+    renewJobLock(db, job.name, { leaseMs })
+      .then((held) => {
+        if (!held) console.error(`[jobs] ${job.name}: el candado ya no es de esta instancia`)
+      })
+      .catch((e) => console.error(`[jobs] no se pudo renovar el candado de ${job.name}:`, e.message))
+  }, Math.max(1000, Math.floor(leaseMs / 3)))
+  heartbeat.unref?.()
+
+  try {
+    // Una corrida que quedó RUNNING con el candado ya libre murió con su instancia.
+    await db.jobRun.updateMany({
+      where: { job: job.name, status: 'RUNNING' },
+      data: { status: 'FAILED', finished_at: new Date(), error: 'Interrumpida (la instancia se detuvo)' },
+    })
+    const run = await db.jobRun.create({
+      data: { job: job.name, trigger, triggered_by: userId, instance: INSTANCE_ID },
+    })
+    const started = Date.now()
+    let data
+    try {
+      const result = await job.run()
+      data = { status: 'SUCCEEDED', result: result ?? Prisma.DbNull }
+    } catch (e) {
+      console.error(`[jobs] ${job.name} falló:`, e.message)
+      data = { status: 'FAILED', error: errorText(e) }
+    }
+    return await db.jobRun.update({
+      where: { id: run.id },
+      data: { ...data, finished_at: new Date(), duration_ms: Date.now() - started },
+    })
+  } finally {
+    clearInterval(heartbeat)
+    await releaseJobLock(db, job.name).catch((e) => {
+      console.error(`[jobs] no se pudo soltar el candado de ${job.name}:`, e.message)
+    })
+  }
+}
+
+/**
+ * Reloj local: cada tick revisa qué tareas ya pasaron su siguiente horario y
+ * las intenta correr. El candado decide cuál instancia la corre de verdad.
+ *
+ * @param {object} db
+ * @param {Array<{ name: string, schedule: string|null }>} jobs
+ * @param {{ tickMs?: number, zone?: string }} [options]
+ */
+function createJobScheduler(db, jobs, options = {}) {
+  const zone = options.zone || jobsZone()
+  const tickMs = options.tickMs || DEFAULT_TICK_MS
+  const scheduled = jobs
+    .filter((job) => job.schedule)
+    .map((job) => {
+      const cron = parseCron(job.schedule)
+      return { job, cron, nextAt: nextRun(cron, new Date(), zone) }
+    })
+  let timer = null
+  const busy = new Set()
+
+  async function tick() {
+    const now = new Date()
+    for (const entry of scheduled) {
+      if (!entry.nextAt || entry.nextAt > now || busy.has(entry.job.name)) continue
+      const slot = entry.nextAt
+      entry.nextAt = nextRun(entry.cron, now, zone)
+      busy.add(entry.job.name)
+      runJob(db, entry.job, { trigger: 'SCHEDULE', slot })
+        .then((run) => {
+          if (run) console.log(`[jobs] ${entry.job.name}: ${run.status} en ${run.duration_ms} ms`)
+        })
+        .catch((e) => console.error(`[jobs] ${entry.job.name}: no se pudo correr`, e.message))
+        .finally(() => busy.delete(entry.job.name))
+    }
+  }
+
+  return {
+    start() {
+      if (timer) return
+      timer = setInterval(() => { void tick() }, tickMs)
+      timer.unref?.()
+      console.log(`[jobs] scheduler: ${scheduled.map((s) => `${s.job.name} (${s.job.schedule})`).join(', ') || 'sin tareas'}`)
+    },
+    stop() {
+      if (timer) clearInterval(timer)
+      timer = null
+    },
+    tick,
+  }
+}
+
+module.exports = {
+  INSTANCE_ID,
+  jobsZone,
+  acquireJobLock,
+  renewJobLock,
+  releaseJobLock,
+  runJob,
+  createJobScheduler,
+}
@@ -13,7 +13,11 @@ const moment = require('moment')
 const { secret, ACCESS_TOKEN_MINUTES } = require('../config/security')
 const { expandPermissions } = require('../config/permissionDeps')
 
-exports.crearToken = function (usuario) {
+/**
+ * Access token. Con `sid` (sesión del refresh token) Auth verifica que la
+ * sesión siga abierta: cerrarla invalida también este token.
+ */
+exports.crearToken = function (usuario, { sid } = {}) {
   // prefer a full role object when available, otherwise fallback to role_id/role_name
   const roleObj = usuario.role
     ? { id: usuario.role.id, name: usuario.role.name }
@@ -35,6 +39,9 @@ exports.crearToken = function (usuario) {
   // sin que cada middleware tenga que acordarse de la dependencia.
   permissions = expandPermissions(permissions)
 
+  // Restricciones del rol (ocultar costos, ventas propias, ...); ver services/roleRestrictions
+  const restrictions = usuario.role ? usuario.role.restrictions : usuario.restrictions
+
   const payload = {
     sub: usuario.id,
     name: usuario.name,
@@ -43,8 +50,38 @@ exports.crearToken = function (usuario) {
     role_name: usuario.role?.name || usuario.role_name || null,
     role: roleObj,
     permissions,
+    ...(restrictions && { restrictions }),
+    ...(sid && { sid }),
     iat: moment().unix(),
     exp: moment().add(ACCESS_TOKEN_MINUTES, 'minutes').unix(),
   }
   return jwt_simple.encode(payload, secret)
 }
+
+// Vida del paso intermedio del login (contraseña ok, falta el código 2FA)
+const CHALLENGE_MINUTES = 5
+
+/**
+ * Token de un paso del login que todavía no es sesión ('2fa' o '2fa-setup').
+ * Lleva `purpose`: Auth lo rechaza, así no sirve como access token.
+ */
+exports.crearChallenge = function (userId, purpose) {
+  return jwt_simple.encode({
+    sub: userId,
+    purpose,
+    iat: moment().unix(),
+    exp: moment().add(CHALLENGE_MINUTES, 'minutes').unix(),
+  }, secret)
+}
+
+/** userId del challenge si es válido, vigente y del propósito pedido; si no, null. */
+exports.leerChallenge = function (token, purpose) {
+  if (!token) return null
+  try {
+    const payload = jwt_simple.decode(String(token), secret)
+    if (payload.purpose !== purpose || payload.exp <= moment().unix()) return null
+    return payload.sub
+  } catch {
+    return null
+  }
+}
@@ -0,0 +1,250 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Defensa del login por cuenta (el `loginLimiter` solo ve IPs):
+ *   - Bloqueo progresivo: a partir de LOGIN_LOCKOUT_THRESHOLD fallos seguidos
+ *     la cuenta se bloquea LOGIN_LOCKOUT_BASE_MINUTES, y cada fallo más duplica
+ *     el bloqueo (tope LOGIN_LOCKOUT_MAX_MINUTES). Cuentan la contraseña y el
+ *     segundo paso; el login completo reinicia el contador.
+ *   - Historial (`login_events`) de intentos correctos y fallidos.
+ *   - Alertas del login correcto: IP nueva para el usuario, o fuera del horario
+ *     de atención de sus sucursales. Se marcan en el historial, van por webhook
+ *     (`auth.login_anomaly`) y la IP nueva además por correo al usuario.
+ */
+
+const { DateTime } = require('luxon')
+const { getTimezone } = require('../utils/getTimezone')
+const { emitWebhook, requestWebhookDispatch } = require('./webhooks')
+const { sendMail } = require('./mailer')
+
+const ANOMALY_NEW_IP = 'NEW_IP'
+const ANOMALY_OUTSIDE_HOURS = 'OUTSIDE_HOURS'
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'] // luxon: weekday 1 = lunes
+const RANGE_RE = /^(\d{2}:\d{2})-(\d{2}:\d{2})$/
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/
+
+function httpError(status, message) {
+  const err = new Error(message)
+  err.status = status
+  return err
+}
+
+function lockoutConfig() {
+  return {
+    threshold: Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5,
+    baseMinutes: Number(process.env.LOGIN_LOCKOUT_BASE_MINUTES) || 1,
+    maxMinutes: Number(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 24 * 60,
+  }
+}
+
+/** Minutos de bloqueo tras `failures` fallos seguidos (0 = todavía no). */
+function lockoutMinutes(failures, config = lockoutConfig()) {
+  if (failures < config.threshold) return 0
+  const minutes = config.baseMinutes * 2 ** (failures - config.threshold)
+  return Math.min(minutes, config.maxMinutes)
+}
+
+function isLocked(user, now = new Date()) {
+  return Boolean(user?.locked_until && user.locked_until > now)
+}
+
+// ---------- Horario de atención ----------
+
+function toMinutes(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number)
+  return h * 60 + m
+}
+
+/**
+ * Valida el horario de una sucursal: { mon: ["07:00-12:00", "14:00-18:00"], ... }.
+ * Un día ausente o vacío = cerrado; null/"" = sin horario.
+ * @returns {Record<string, string[]>|null}
+ */
+function normalizeOperatingHours(raw) {
+  if (raw == null || raw === '') return null
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw httpError(400, 'operating_hours debe ser un objeto por día: { "mon": ["08:00-18:00"], ... }')
+  }
+  const out = {}
+  for (const [day, value] of Object.entries(raw)) {
+    if (!WEEKDAYS.includes(day)) throw httpError(400, `Día inválido en operating_hours: ${day} (usa ${WEEKDAYS.join(', ')})`)
+    const ranges = (Array.isArray(value) ? value : [value]).map((r) => String(r).replace(/\s/g, '')).filter(Boolean)
+    for (const range of ranges) {
+      const match = RANGE_RE.exec(range)
+      const valid = match && TIME_RE.test(match[1]) && TIME_RE.test(match[2]) && toMinutes(match[1]) < toMinutes(match[2])
+      if (!valid) {
+        throw httpError(400, `Rango inválido en operating_hours.${day}: "${range}" (formato HH:MM-HH:MM, de menor a mayor)`)
+      }
+    }
+    if (ranges.length) out[day] = ranges
+  }
+  return out
+}
+
+/** ¿El instante (DateTime de luxon, ya en la zona de la sucursal) cae dentro del horario? */
+function isWithinOperatingHours(hours, at) {
+  const ranges = hours?.[WEEKDAYS[at.weekday - 1]] || []
+  const minute = at.hour * 60 + at.minute
+  return ranges.some((range) => {
+    const [from, to] = range.split('-')
+    return minute >= toMinutes(from) && minute < toMinutes(to)
+  })
+}
+
+// ---------- Contador de fallos ----------
+
+/**
+ * Suma un fallo y, si alcanza el umbral, bloquea la cuenta.
+ * @returns {Promise<{ failures: number, lockedUntil: Date|null }>}
+ */
+async function registerFailedLogin(db, userId, now = new Date()) {
+  const { failed_login_count: failures } = await db.user.update({
+    where: { id: userId },
+    data: { failed_login_count: { increment: 1 } },
+    select: { failed_login_count: true },
+  })
+  const minutes = lockoutMinutes(failures)
+  if (!minutes) return { failures, lockedUntil: null }
+  const lockedUntil = new Date(now.getTime() + minutes * 60 * 1000)
+  await db.user.update({ where: { id: userId }, data: { locked_until: lockedUntil } })
+  return { failures, lockedUntil }
+}
+
+/** Login completo: contador a cero (sin escribir si ya lo estaba). */
+async function clearFailedLogins(db, user) {
+  if (!user.failed_login_count && !user.locked_until) return
+  await db.user.update({ where: { id: user.id }, data: { failed_login_count: 0, locked_until: null } })
+}
+
+// ---------- Historial y alertas ----------
+
+async function recordLoginEvent(db, { user, email, success, reason = null, meta = {}, anomalies = [] }) {
+  return db.loginEvent.create({
+    data: {
+      user_id: user?.id ?? null,
+      email: String(user?.email ?? email ?? '').slice(0, 150),
+      success,
+      reason,
+      ip: meta.ip ?? null,
+      user_agent: meta.user_agent ?? null,
+      anomalies,
+    },
+  })
+}
+
+/**
+ * Alertas de un login correcto (antes de registrarlo en el historial).
+ *   - NEW_IP: el usuario ya entró antes, pero nunca desde esta IP.
+ *   - OUTSIDE_HOURS: alguna de sus sucursales tiene horario y la hora no cae
+ *     dentro de ninguno (cada sucursal en la zona horaria de su empresa).
+ */
+async function detectLoginAnomalies(db, user, { ip, at = new Date() } = {}) {
+  const anomalies = []
+  if (ip) {
+    const [previous, fromIp] = await Promise.all([
+      db.loginEvent.findFirst({ where: { user_id: user.id, success: true }, select: { id: true } }),
+      db.loginEvent.findFirst({ where: { user_id: user.id, success: true, ip }, select: { id: true } }),
+    ])
+    if (previous && !fromIp) anomalies.push(ANOMALY_NEW_IP)
+  }
+
+  const branches = (await db.branch.findMany({
+    where: { active: true, user_branches: { some: { user_id: user.id } } },
+    select: { company_id: true, operating_hours: true },
+  })).filter((b) => b.operating_hours)
+  if (branches.length) {
+    let within = false
+    for (const branch of branches) {
+      const zone = await getTimezone(db, branch.company_id)
+      if (isWithinOperatingHours(branch.operating_hours, DateTime.fromJSDate(at).setZone(zone))) {
+        within = true
+        break
+      }
+    }
+    if (!within) anomalies.push(ANOMALY_OUTSIDE_HOURS)
+  }
+  return anomalies
+}
+
+function newIpMail(user, event) {
+  return {
+    to: user.email,
+    subject: 'Nuevo inicio de sesión en tu cuenta',
+    text: [
+      `Hola ${user.name},`,
+      '',
+      'Se inició sesión en tu cuenta desde una dirección que no habíamos visto:',
+      '',
+      `IP: ${event.ip}`,
+      `Dispositivo: ${event.user_agent || 'desconocido'}`,
+      `Fecha: ${event.created_at.toISOString()}`,
+      '',
+      'Si no fuiste tú, cambia tu contraseña y cierra las demás sesiones desde tu perfil.',
+    ].join('\n'),
+  }
+}
+
+/**
+ * Encola auth.login_anomaly en cada empresa del usuario. Va en la misma
+ * transacción que anota el login en el historial.
+ * @returns {Promise<number>} entregas encoladas
+ */
+async function queueLoginAnomalyWebhooks(tx, user, event) {
+  if (!event.anomalies.length) return 0
+  const data = {
+    user_id: user.id,
+    email: user.email,
+    name: user.name,
+    anomalies: event.anomalies,
+    ip: event.ip,
+    user_agent: event.user_agent,
+    at: event.created_at,
+  }
+  const memberships = await tx.userCompany.findMany({ where: { user_id: user.id }, select: { company_id: true } })
+  let queued = 0
+  for (const { company_id: companyId } of memberships) {
+    queued += await emitWebhook(tx, companyId, 'auth.login_anomaly', data)
+  }
+  return queued
+}
+
+/** Avisa de un login con alertas (los webhooks ya están en cola). No falla: el login ya ocurrió. */
+async function notifyLoginAnomalies(user, event, { queued = 0 } = {}) {
+  if (!event.anomalies.length) return
+  if (queued > 0) requestWebhookDispatch()
+  try {
+    if (event.anomalies.includes(ANOMALY_NEW_IP)) await sendMail(newIpMail(user, event))
+  } catch (e) {
+    console.error('[login] aviso de alerta:', e?.message || e)
+  }
+}
+
+/** Desbloqueo manual (admin). */
+async function unlockAccount(db, userId) {
+  await db.user.update({ where: { id: userId }, data: { failed_login_count: 0, locked_until: null } })
+}
+
+module.exports = {
+  ANOMALY_NEW_IP,
+  ANOMALY_OUTSIDE_HOURS,
+  lockoutConfig,
+  lockoutMinutes,
+  isLocked,
+  normalizeOperatingHours,
+  isWithinOperatingHours,
+  registerFailedLogin,
+  clearFailedLogins,
+  recordLoginEvent,
+  detectLoginAnomalies,
+  queueLoginAnomalyWebhooks,
+  notifyLoginAnomalies,
+  unlockAccount,
+}
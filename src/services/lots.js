@@ -181,14 +181,15 @@ async function recreateLotsFromSnapshot(tx, productId, branchId, snapshot, qty,
 }
 
 /**
- * Devuelve cantidad a los lotes (reversa de venta cancelada), inverso del FEFO.
- * Best-effort: nunca lanza.
- * ponytail: devuelve al lote con espacio, sin mirar la ubicación. Si un día
- * importa, el libro tiene el SALE_RETURN con su location_id para dirigirlo.
+ * Devuelve cantidad a los lotes (reversa de venta cancelada, devolución que
+ * vuelve a venta), inverso del FEFO. Best-effort: nunca lanza.
+ * Con `locationId` (adónde entró) primero llena los lotes de ese anaquel y
+ * los sin ubicación; sin él, cualquier lote con espacio.
  * @param {object} tx cliente Prisma
  * @param {Map<string, number>} stockMap product_id -> qty restaurada
+ * @param {{ locationId?: string }} [opts]
  */
-async function restoreLotsFEFO(tx, stockMap, branchId) {
+async function restoreLotsFEFO(tx, stockMap, branchId, { locationId = null } = {}) {
   try {
     const client = tx || prisma
     const productIds = Array.from(stockMap.keys())
@@ -200,14 +201,15 @@ async function restoreLotsFEFO(tx, stockMap, branchId) {
     const lots = await client.productLot.findMany({
       where: { product_id: { in: productIds }, branch_id: branchId },
       select: {
-        id: true, product_id: true, qty_received: true, qty_remaining: true,
+        id: true, product_id: true, location_id: true, qty_received: true, qty_remaining: true,
         expiry_date: true, received_at: true,
       },
     })
+    const here = (l) => (!locationId || !l.location_id || l.location_id === locationId ? 0 : 1)
     for (const [productId, qty] of stockMap.entries()) {
       const productLots = lots
         .filter((l) => l.product_id === productId)
-        .sort((a, b) => fefoSort(b, a)) // más nuevos primero
+        .sort((a, b) => here(a) - here(b) || fefoSort(b, a)) // del anaquel primero, más nuevos primero
       for (const { lotId, give } of planRestore(productLots, qty)) {
         await client.productLot.update({
           where: { id: lotId },
@@ -230,7 +232,9 @@ let lastLotAlertSyncAt = 0
  * si el producto deja de calificar. Advisory: nunca lanza, y se auto-throttlea
  * porque puede dispararse en cada GET /alerts (no hay cron en serverless).
  * @param {object} tx cliente Prisma
- * @param {{ force?: boolean }} [opts] force ignora el throttle (ej. al registrar mercancía con lotes)
+ * @param {{ force?: boolean, throwOnError?: boolean }} [opts] force ignora el throttle (ej. al
+ *   registrar mercancía con lotes); throwOnError deja pasar el error (la tarea programada lo registra)
+ * @returns {Promise<{ created: number, updated: number, resolved: number }|undefined>} undefined si no corrió
  */
 async function syncLotExpiryAlerts(tx, opts = {}) {
   const client = tx || prisma
@@ -245,7 +249,7 @@ async function syncLotExpiryAlerts(tx, opts = {}) {
       client.alertType.findFirst({ where: { name: 'Vencimiento' } }),
       client.alertPriority.findMany(),
     ])
-    if (!statusActive || !statusResolved || !alertType) return
+    if (!statusActive || !statusResolved || !alertType) return { created: 0, updated: 0, resolved: 0 }
     const priorityByName = Object.fromEntries(priorities.map((p) => [p.name, p]))
 
     const today = new Date(new Date().toISOString().slice(0, 10))
@@ -281,7 +285,7 @@ async function syncLotExpiryAlerts(tx, opts = {}) {
       })
     }
 
-    if (qualifyingKeys.length === 0) return
+    if (qualifyingKeys.length === 0) return { created: 0, updated: 0, resolved: toResolve.length }
 
     const existingByKey = new Map(
       activeExpiryAlerts.map((a) => [keyOf(a.product_id, a.branch_id), a.id])
@@ -330,7 +334,9 @@ async function syncLotExpiryAlerts(tx, opts = {}) {
     const ops = [...updates]
     if (createData.length > 0) ops.push(client.alert.createMany({ data: createData, skipDuplicates: true }))
     await Promise.all(ops)
+    return { created: createData.length, updated: updates.length, resolved: toResolve.length }
   } catch (e) {
+    if (opts.throwOnError) throw e
     console.error('[lots] syncLotExpiryAlerts (advisory) falló:', e.message)
   }
 }
@@ -0,0 +1,286 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Programa de puntos de los clientes del maestro (`loyalty_accounts`):
+ *
+ *  - Se ganan al vender, según las reglas de la empresa (por monto, categoría
+ *    y canal), sobre lo que de verdad se cobró: neto de descuentos y sin las
+ *    tarjetas de regalo (esas ganan cuando se gastan).
+ *  - Se canjean como descuento en la venta, al valor por punto configurado.
+ *  - Lo acumulado (ganado menos revertido) ubica al cliente en un nivel, que
+ *    puede dejarle una regla de precio (`customer_price_rules`).
+ *
+ * Cálculo y validación puros; lo que toca la base está en loyaltyLedger.js.
+ */
+
+const { round2, toCents } = require('./accounting/logic')
+
+const MOVEMENT_TYPES = ['EARN', 'REDEEM', 'REVERSE', 'RESTORE', 'ADJUST']
+const MOVEMENT_LABELS = {
+  EARN: 'Ganados', REDEEM: 'Canjeados', REVERSE: 'Revertidos', RESTORE: 'Reintegrados', ADJUST: 'Ajuste',
+}
+const CHANNELS = ['POS', 'WHOLESALE', 'ONLINE']
+const PRICE_TIERS = ['LIST', 'WHOLESALE', 'PROMOTION']
+
+/** Valor de un punto al canjearlo y mínimo por canje (system_settings). Valor 0 = canje apagado. */
+const SETTING_KEYS = { pointValue: 'loyalty_point_value', minRedeem: 'loyalty_min_redeem' }
+const DEFAULT_SETTINGS = { pointValue: 0, minRedeem: 1 }
+
+/**
+ * Prioridad de la regla de precio que deja un nivel: por debajo de las que se
+ * cargan a mano (0 por defecto), que siempre mandan.
+ */
+const TIER_RULE_PRIORITY = -1
+
+function httpError(status, message) {
+  const err = new Error(message)
+  err.status = status
+  return err
+}
+
+/** Configuración de canje de la empresa desde system_settings ({ clave: valor }). */
+function loyaltySettings(settings = {}) {
+  const value = Number(settings[SETTING_KEYS.pointValue])
+  const min = parseInt(String(settings[SETTING_KEYS.minRedeem] ?? ''), 10)
+  return {
+    pointValue: Number.isFinite(value) && value >= 0 ? value : DEFAULT_SETTINGS.pointValue,
+    minRedeem: Number.isInteger(min) && min >= 1 ? min : DEFAULT_SETTINGS.minRedeem,
+  }
+}
+
+function parseChannel(raw, where) {
+  if (raw == null || raw === '') return null
+  const c = String(raw).toUpperCase()
+  if (!CHANNELS.includes(c)) throw httpError(400, `channel inválido en ${where} (${CHANNELS.join(', ')})`)
+  return c
+}
+
+/**
+ * Reglas de acumulación del cuerpo de PUT /loyalty/rules, listas para guardar
+ * (sin company_id). 400 con la posición de la primera que no sirve.
+ * @returns {Array<{ name, points, per_amount, category_id, channel, min_sale_total, priority, active }>}
+ */
+function parseEarnRules(rules) {
+  if (!Array.isArray(rules)) throw httpError(400, 'rules debe ser un arreglo')
+  return rules.map((r = {}, i) => {
+    const where = `la regla ${i + 1}`
+    const name = String(r.name || '').trim()
+    if (!name || name.length > 100) throw httpError(400, `name es requerido (hasta 100 caracteres) en ${where}`)
+    const points = Number(r.points)
+    if (!Number.isInteger(points) || points <= 0) throw httpError(400, `points debe ser un entero > 0 en ${where}`)
+    const perAmount = Number(r.per_amount)
+    if (!Number.isFinite(perAmount) || toCents(perAmount) <= 0) throw httpError(400, `per_amount debe ser > 0 en ${where}`)
+    let categoryId = null
+    if (r.category_id != null && r.category_id !== '') {
+      categoryId = Number(r.category_id)
+      if (!Number.isInteger(categoryId) || categoryId <= 0) throw httpError(400, `category_id inválido en ${where}`)
+    }
+    let minTotal = null
+    if (r.min_sale_total != null && r.min_sale_total !== '') {
+      minTotal = Number(r.min_sale_total)
+      if (!Number.isFinite(minTotal) || minTotal < 0) throw httpError(400, `min_sale_total debe ser >= 0 en ${where}`)
+      minTotal = round2(minTotal)
+    }
+    return {
+      name,
+      points,
+      per_amount: round2(perAmount),
+      category_id: categoryId,
+      channel: parseChannel(r.channel, where),
+      min_sale_total: minTotal,
+      priority: Number.isInteger(Number(r.priority)) ? Number(r.priority) : 0,
+      active: r.active !== false,
+    }
+  })
+}
+
+/**
+ * Niveles del cuerpo de PUT /loyalty/tiers, ordenados de menor a mayor. Dos
+ * niveles no pueden compartir nombre ni umbral.
+ * @returns {Array<{ name, min_points, price_tier, channel }>}
+ */
+function parseTiers(tiers) {
+  if (!Array.isArray(tiers)) throw httpError(400, 'tiers debe ser un arreglo')
+  const rows = tiers.map((t = {}, i) => {
+    const where = `el nivel ${i + 1}`
+    const name = String(t.name || '').trim()
+    if (!name || name.length > 60) throw httpError(400, `name es requerido (hasta 60 caracteres) en ${where}`)
+    const minPoints = Number(t.min_points)
+    if (!Number.isInteger(minPoints) || minPoints < 0) throw httpError(400, `min_points debe ser un entero >= 0 en ${where}`)
+    let priceTier = null
+    if (t.price_tier != null && t.price_tier !== '') {
+      priceTier = String(t.price_tier).toUpperCase()
+      if (!PRICE_TIERS.includes(priceTier)) throw httpError(400, `price_tier inválido en ${where} (${PRICE_TIERS.join(', ')})`)
+    }
+    const channel = parseChannel(t.channel, where)
+    if (channel && !priceTier) throw httpError(400, `channel solo aplica con price_tier en ${where}`)
+    return { name, min_points: minPoints, price_tier: priceTier, channel }
+  })
+  const names = new Set(rows.map((r) => r.name.toLowerCase()))
+  if (names.size !== rows.length) throw httpError(400, 'Hay dos niveles con el mismo nombre')
+  if (new Set(rows.map((r) => r.min_points)).size !== rows.length) throw httpError(400, 'Hay dos niveles con el mismo min_points')
+  return rows.sort((a, b) => a.min_points - b.min_points)
+}
+
+/**
+ * La regla que le toca a una línea: la de su categoría antes que la general y,
+ * entre iguales, la de mayor prioridad. Null si ninguna aplica.
+ */
+function ruleForLine(line, rules, { channel, total }) {
+  const applicable = rules.filter((r) => r.active !== false
+    && (!r.channel || r.channel === channel)
+    && (r.min_sale_total == null || toCents(total) >= toCents(r.min_sale_total))
+    && (r.category_id == null || Number(r.category_id) === Number(line.category_id)))
+  applicable.sort((a, b) => Number(b.category_id != null) - Number(a.category_id != null)
+    || Number(b.priority || 0) - Number(a.priority || 0))
+  return applicable[0] || null
+}
+
+/**
+ * Puntos que gana una venta. Cada línea vale su parte del total cobrado (el
+ * descuento se reparte en proporción) y suma a la regla que le toca; cada
+ * regla da `points` por cada `per_amount` completo de lo que juntó.
+ * @param {Array<{ category_id, qty, price, is_gift_card?: boolean }>} lines
+ * @param {Array} rules reglas de la empresa
+ * @param {{ channel: string, subtotal: number, total: number }} sale
+ * @returns {{ points: number, breakdown: Array<{ rule_id, name, amount: number, points: number }> }}
+ */
+function earnPoints(lines, rules, { channel, subtotal, total }) {
+  const factor = Number(subtotal) > 0 ? Number(total) / Number(subtotal) : 0
+  const byRule = new Map()
+  for (const line of lines) {
+    if (line.is_gift_card) continue
+    const rule = ruleForLine(line, rules, { channel, total })
+    if (!rule) continue
+    const amount = Number(line.price) * Number(line.qty) * factor
+    const acc = byRule.get(rule) || 0
+    byRule.set(rule, acc + amount)
+  }
+  const breakdown = [...byRule].map(([rule, amount]) => ({
+    rule_id: rule.id ?? null,
+    name: rule.name,
+    amount: round2(amount),
+    points: Math.floor(toCents(amount) / toCents(rule.per_amount)) * Number(rule.points),
+  })).filter((b) => b.points > 0)
+  return { points: breakdown.reduce((n, b) => n + b.points, 0), breakdown }
+}
+
+/**
+ * Valida un canje al cobrar y devuelve el descuento que da. El canje tiene que
+ * estar habilitado, llegar al mínimo, caber en el saldo y no pasarse de lo que
+ * queda por cobrar.
+ * @param {number} points puntos que el cliente quiere usar
+ * @param {{ balance: number, settings: { pointValue, minRedeem }, maxValue: number }} ctx
+ * @returns {{ points: number, value: number }}
+ */
+function redemptionValue(points, { balance, settings, maxValue }) {
+  const n = Number(points)
+  if (!Number.isInteger(n) || n <= 0) throw httpError(400, 'loyalty_points_redeem debe ser un entero > 0')
+  if (!(settings.pointValue > 0)) throw httpError(400, 'El canje de puntos no está habilitado en la empresa')
+  if (n < settings.minRedeem) throw httpError(400, `Se canjean al menos ${settings.minRedeem} puntos`)
+  if (n > Number(balance)) throw httpError(409, `El cliente tiene ${Math.max(0, Number(balance))} puntos y se quieren canjear ${n}`)
+  const value = round2(n * settings.pointValue)
+  if (toCents(value) > toCents(maxValue)) {
+    throw httpError(400, `${n} puntos valen ${value}, más de lo que queda por cobrar (${round2(maxValue)})`)
+  }
+  return { points: n, value }
+}
+
+/** Parte de la venta ya devuelta (0 a 1). Las devoluciones se valoran a precio de línea, sin descuento. */
+function returnedShare({ subtotal, totalReturned }) {
+  if (!(Number(subtotal) > 0)) return 0
+  return Math.min(1, Math.max(0, Number(totalReturned) / Number(subtotal)))
+}
+
+/**
+ * Puntos ganados que hay que quitar tras una devolución: los que corresponden
+ * a lo devuelto hasta ahora, menos los que ya se quitaron. Lo canjeado no
+ * vuelve: la devolución reembolsa a precio de línea, descuento incluido.
+ * @param {{ earned, reversed, subtotal, totalReturned }} sale puntos en positivo
+ */
+function returnReversal({ earned, reversed, subtotal, totalReturned }) {
+  const due = Math.floor(Number(earned) * returnedShare({ subtotal, totalReturned }) + 1e-9)
+  return Math.max(0, due - Number(reversed))
+}
+
+/**
+ * Al anular la venta: se quita todo lo ganado que siga en pie y vuelve lo
+ * canjeado, salvo la parte de lo que ya se devolvió (esa se reembolsó en
+ * dinero al precio completo).
+ * @param {{ earned, reversed, redeemed, restored, subtotal, totalReturned }} sale puntos en positivo
+ * @returns {{ reverse: number, restore: number }}
+ */
+function cancelReversal({ earned, reversed, redeemed, restored, subtotal, totalReturned }) {
+  const share = returnedShare({ subtotal, totalReturned })
+  const kept = Number(redeemed) - Math.floor(Number(redeemed) * share + 1e-9)
+  return {
+    reverse: Math.max(0, Number(earned) - Number(reversed)),
+    restore: Math.max(0, kept - Number(restored)),
+  }
+}
+
+/**
+ * Puntos de una venta por tipo de movimiento, en positivo.
+ * @param {Array<{ type, points }>} movements
+ */
+function salePointTotals(movements) {
+  const sum = (type) => movements.filter((m) => m.type === type).reduce((n, m) => n + Math.abs(Number(m.points)), 0)
+  return { earned: sum('EARN'), redeemed: sum('REDEEM'), reversed: sum('REVERSE'), restored: sum('RESTORE') }
+}
+
+/** El nivel de mayor umbral que alcanzan los puntos acumulados; null si ninguno. */
+function tierFor(tiers, lifetimePoints) {
+  let best = null
+  for (const t of tiers) {
+    if (Number(lifetimePoints) >= Number(t.min_points) && (!best || t.min_points > best.min_points)) best = t
+  }
+  return best
+}
+
+/**
+ * Estado de cuenta de un período: saldo inicial, movimientos, totales por tipo
+ * y saldo final.
+ * @param {Array<{ type, points, created_at }>} movements del período, en orden
+ * @param {number} openingBalance saldo al empezar el período
+ */
+function summarizeStatement(movements, openingBalance = 0) {
+  const totals = Object.fromEntries(MOVEMENT_TYPES.map((t) => [t, 0]))
+  let balance = Number(openingBalance) || 0
+  for (const m of movements) {
+    totals[m.type] += Number(m.points)
+    balance += Number(m.points)
+  }
+  return {
+    opening_balance: Number(openingBalance) || 0,
+    totals: MOVEMENT_TYPES.map((type) => ({ type, label: MOVEMENT_LABELS[type], points: totals[type] })),
+    closing_balance: balance,
+    movements,
+  }
+}
+
+module.exports = {
+  MOVEMENT_TYPES,
+  MOVEMENT_LABELS,
+  SETTING_KEYS,
+  DEFAULT_SETTINGS,
+  TIER_RULE_PRIORITY,
+  loyaltySettings,
+  parseEarnRules,
+  parseTiers,
+  ruleForLine,
+  earnPoints,
+  redemptionValue,
+  returnReversal,
+  cancelReversal,
+  salePointTotals,
+  tierFor,
+  summarizeStatement,
+}
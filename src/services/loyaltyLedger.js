@@ -0,0 +1,221 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Libro de puntos: ganar, canjear, revertir y ajustar. Corre dentro de la
+ * transacción de la venta o devolución que lo origina (`tx`) y cada cambio deja
+ * su fila en `loyalty_movements` con el saldo que quedó.
+ *
+ * El canje resta con un UPDATE condicional (`balance >= puntos`): dos cajas
+ * canjeando los mismos puntos a la vez no los gastan dos veces. Revertir lo
+ * ganado sí puede dejar el saldo en negativo: no se le niega la devolución al
+ * cliente porque ya gastó esos puntos.
+ */
+
+const {
+  SETTING_KEYS,
+  TIER_RULE_PRIORITY,
+  loyaltySettings,
+  earnPoints,
+  redemptionValue,
+  returnReversal,
+  cancelReversal,
+  salePointTotals,
+  tierFor,
+} = require('./loyalty')
+
+function httpError(status, message) {
+  const err = new Error(message)
+  err.status = status
+  return err
+}
+
+/** Valor del punto y mínimo de canje de la empresa (system_settings). */
+async function getLoyaltySettings(tx, companyId) {
+  const rows = await tx.systemSetting.findMany({
+    where: { company_id: companyId, key: { in: Object.values(SETTING_KEYS) } },
+    select: { key: true, value: true },
+  })
+  return loyaltySettings(Object.fromEntries(rows.map((r) => [r.key, r.value])))
+}
+
+/** Cuenta de puntos del cliente; se abre la primera vez que gana. */
+async function accountFor(tx, companyId, customerContactId) {
+  return tx.loyaltyAccount.upsert({
+    where: { customer_contact_id: customerContactId },
+    update: {},
+    create: { company_id: companyId, customer_contact_id: customerContactId },
+  })
+}
+
+/**
+ * Suma (o resta, con `points` negativo) al saldo y deja el movimiento.
+ * `lifetime` mueve el acumulado que define el nivel. Una resta que no alcanza
+ * es 409, salvo con `allowNegative`.
+ */
+async function applyMovement(tx, account, { type, points, lifetime = 0, saleId = null, returnId = null, branchId = null, userId = null, notes = null, allowNegative = false }) {
+  const where = points < 0 && !allowNegative ? { id: account.id, balance: { gte: -points } } : { id: account.id }
+  const { count } = await tx.loyaltyAccount.updateMany({
+    where,
+    data: { balance: { increment: points }, lifetime_points: { increment: lifetime } },
+  })
+  if (count === 0) throw httpError(409, 'El cliente ya no tiene puntos suficientes')
+  const updated = await tx.loyaltyAccount.findUnique({ where: { id: account.id } })
+  const movement = await tx.loyaltyMovement.create({
+    data: {
+      account_id: account.id,
+      type,
+      points,
+      balance_after: updated.balance,
+      sale_id: saleId,
+      return_id: returnId,
+      branch_id: branchId,
+      created_by: userId,
+      notes,
+    },
+  })
+  return { account: updated, movement }
+}
+
+/**
+ * Ubica la cuenta en el nivel que le dan sus puntos acumulados. Si cambia, la
+ * regla de precio del nivel anterior se va y, si el nuevo fija precio, se crea
+ * la suya (por debajo de las reglas manuales del cliente).
+ */
+async function syncTier(tx, account, tiers = null) {
+  const list = tiers || await tx.loyaltyTier.findMany({ where: { company_id: account.company_id } })
+  const tier = tierFor(list, account.lifetime_points)
+  const tierId = tier?.id ?? null
+  if (tierId === account.tier_id) return account
+  await tx.customerPriceRule.deleteMany({
+    where: { supplier_id: account.customer_contact_id, loyalty_tier_id: { not: null } },
+  })
+  if (tier?.price_tier) {
+    await tx.customerPriceRule.create({
+      data: {
+        supplier_id: account.customer_contact_id,
+        channel: tier.channel,
+        price_tier: tier.price_tier,
+        priority: TIER_RULE_PRIORITY,
+        loyalty_tier_id: tier.id,
+      },
+    })
+  }
+  return tx.loyaltyAccount.update({ where: { id: account.id }, data: { tier_id: tierId } })
+}
+
+/**
+ * Valida el canje que pide el POS antes de calcular el total; el descuento
+ * sale de acá y los puntos se restan con `redeemForSale` ya con la venta.
+ * @returns {Promise<{ account, points: number, value: number }>}
+ */
+async function quoteRedemption(tx, { companyId, customerContactId, points, maxValue }) {
+  if (!customerContactId) throw httpError(400, 'Para canjear puntos la venta necesita un cliente del maestro')
+  const account = await tx.loyaltyAccount.findUnique({ where: { customer_contact_id: customerContactId } })
+  if (!account || account.company_id !== companyId) throw httpError(400, 'El cliente no tiene puntos')
+  const settings = await getLoyaltySettings(tx, companyId)
+  return { account, ...redemptionValue(points, { balance: account.balance, settings, maxValue }) }
+}
+
+async function redeemForSale(tx, quote, { saleId, branchId, userId }) {
+  return applyMovement(tx, quote.account, { type: 'REDEEM', points: -quote.points, saleId, branchId, userId })
+}
+
+/**
+ * Acredita los puntos que gana una venta con cliente del maestro.
+ * @param {Array<{ category_id, qty, price, is_gift_card }>} lines
+ * @returns {Promise<number>} puntos ganados
+ */
+async function accrueSale(tx, sale, lines, { companyId, branchId, userId }) {
+  if (!sale.customer_contact_id) return 0
+  const rules = await tx.loyaltyEarnRule.findMany({ where: { company_id: companyId, active: true } })
+  if (rules.length === 0) return 0
+  const { points, breakdown } = earnPoints(lines, rules, {
+    channel: sale.sales_channel, subtotal: Number(sale.subtotal ?? sale.total), total: Number(sale.total),
+  })
+  if (points <= 0) return 0
+  const account = await accountFor(tx, companyId, sale.customer_contact_id)
+  const { account: updated } = await applyMovement(tx, account, {
+    type: 'EARN', points, lifetime: points, saleId: sale.id, branchId, userId,
+    notes: breakdown.map((b) => `${b.name}: ${b.points}`).join(', ').slice(0, 255),
+  })
+  await syncTier(tx, updated)
+  return points
+}
+
+/** Puntos que la venta movió hasta ahora y la cuenta de su cliente. */
+async function salePoints(tx, saleId) {
+  const movements = await tx.loyaltyMovement.findMany({
+    where: { sale_id: saleId },
+    include: { account: true },
+  })
+  if (movements.length === 0) return null
+  const sale = await tx.sale.findUnique({
+    where: { id: saleId },
+    select: { subtotal: true, total: true, total_returned: true },
+  })
+  return {
+    account: movements[0].account,
+    ...salePointTotals(movements),
+    subtotal: Number(sale.subtotal ?? sale.total),
+    totalReturned: Number(sale.total_returned),
+  }
+}
+
+/**
+ * Al completarse una devolución con reembolso: quita los puntos ganados por lo
+ * devuelto (la venta ya trae el `total_returned` con esta devolución).
+ * @returns {Promise<number>} puntos revertidos
+ */
+async function settleReturn(tx, ret, { branchId, userId }) {
+  if (ret.type !== 'REFUND') return 0
+  const current = await salePoints(tx, ret.sale_id)
+  if (!current) return 0
+  const points = returnReversal(current)
+  if (points <= 0) return 0
+  const { account } = await applyMovement(tx, current.account, {
+    type: 'REVERSE', points: -points, lifetime: -points, saleId: ret.sale_id, returnId: ret.id,
+    branchId, userId, notes: 'Devolución', allowNegative: true,
+  })
+  await syncTier(tx, account)
+  return points
+}
+
+/** Al anular la venta: se quitan los puntos que ganó y vuelven los que canjeó. */
+async function reverseSale(tx, saleId, { branchId = null, userId = null } = {}) {
+  const current = await salePoints(tx, saleId)
+  if (!current) return
+  const { reverse, restore } = cancelReversal(current)
+  let account = current.account
+  if (reverse > 0) {
+    ({ account } = await applyMovement(tx, account, {
+      type: 'REVERSE', points: -reverse, lifetime: -reverse, saleId, branchId, userId,
+      notes: 'Venta anulada', allowNegative: true,
+    }))
+  }
+  if (restore > 0) {
+    ({ account } = await applyMovement(tx, account, {
+      type: 'RESTORE', points: restore, saleId, branchId, userId, notes: 'Venta anulada',
+    }))
+  }
+  await syncTier(tx, account)
+}
+
+module.exports = {
+  getLoyaltySettings,
+  accountFor,
+  applyMovement,
+  syncTier,
+  quoteRedemption,
+  redeemForSale,
+  accrueSale,
+  settleReturn,
+  reverseSale,
+}
@@ -0,0 +1,78 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Envío de correo con transporte intercambiable. El transporte es una función
+ * `async (message) => void` con message = { to, subject, text, html? }.
+ *
+ * Incluidos:
+ *   - console: imprime el correo (desarrollo; default fuera de producción)
+ *   - file:    un .json por correo en MAIL_FILE_DIR (pruebas: se lee el enlace del archivo)
+ *
+ * Un proveedor real (SMTP, API de correo) se conecta sin tocar este módulo:
+ * `registerMailTransport('smtp', fn)` al arrancar y MAIL_TRANSPORT=smtp.
+ * En producción no hay default: sin MAIL_TRANSPORT, enviar falla (no se
+ * imprimen enlaces de restablecimiento en los logs del servidor).
+ */
+
+const fs = require('fs/promises')
+const os = require('os')
+const path = require('path')
+const crypto = require('crypto')
+
+const transports = new Map()
+let override = null
+
+function consoleTransport(message) {
+  console.log(`[mail] para: ${message.to} | asunto: ${message.subject}\n${message.text}`)
+}
+
+async function fileTransport(message) {
+  const dir = process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'deposito-mail')
+  await fs.mkdir(dir, { recursive: true })
+  const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}.json`
+  await fs.writeFile(path.join(dir, name), JSON.stringify({ ...message, sent_at: new Date() }, null, 2))
+}
+
+transports.set('console', consoleTransport)
+transports.set('file', fileTransport)
+
+/** Agrega (o reemplaza) un transporte por nombre. */
+function registerMailTransport(name, transport) {
+  if (typeof transport !== 'function') throw new Error('El transporte de correo debe ser una función')
+  transports.set(String(name), transport)
+}
+
+/** Fuerza un transporte (pruebas); null vuelve a MAIL_TRANSPORT. */
+function setMailTransport(transport) {
+  override = transport
+}
+
+function currentTransport() {
+  if (override) return override
+  const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? '' : 'console')
+  if (!name) throw new Error('Correo no configurado: define MAIL_TRANSPORT')
+  const transport = transports.get(name)
+  if (!transport) throw new Error(`Transporte de correo desconocido: ${name}`)
+  return transport
+}
+
+/**
+ * @param {{ to: string, subject: string, text: string, html?: string }} message
+ */
+async function sendMail(message) {
+  if (!message?.to || !message.subject || !message.text) {
+    throw new Error('Correo incompleto: to, subject y text son requeridos')
+  }
+  const from = process.env.MAIL_FROM || 'Depósito <no-reply@deposito.local>'
+  await currentTransport()({ from, ...message })
+}
+
+module.exports = { sendMail, registerMailTransport, setMailTransport }
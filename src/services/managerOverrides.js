@@ -0,0 +1,289 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Autorizaciones de supervisor en caja (manager override).
+ *
+ * El supervisor se identifica en el POS del cajero (POST /auth/overrides) y
+ * el servidor entrega un token `ovr_…` que sirve una sola vez, por pocos
+ * minutos, solo a ese cajero, para esa acción y ese registro (o, en la venta
+ * en curso, esa línea o ese carrito con ese descuento). El endpoint que
+ * hace la excepción lo consume dentro de su transacción y deja la fila
+ * enlazada a la venta, devolución o turno donde se usó.
+ *
+ * Quien tiene `pos.override` (o es admin) no necesita token: es el supervisor.
+ */
+
+const crypto = require('crypto')
+const { expandPermissions } = require('../config/permissionDeps')
+
+const OVERRIDE_PERMISSION = 'pos.override'
+const TOKEN_PREFIX = 'ovr_'
+const DEFAULT_MINUTES = 5
+const REASON_MAX_LENGTH = 500
+
+/**
+ * Acciones que se pueden autorizar y a qué se atan: un registro (`target`) o,
+ * en la venta que todavía no existe, los valores que aprobó el supervisor
+ * (`binds`: la línea = producto y precio; el carrito = descuento y productos).
+ */
+const OVERRIDE_ACTIONS = {
+  PRICE_BELOW_COST: { label: 'Vender bajo el costo', target: null, binds: 'line' },
+  DISCOUNT_OVER_LIMIT: { label: 'Descuento sobre el máximo del rol', target: null, binds: 'cart' },
+  SALE_CANCEL: { label: 'Anular una venta', target: 'sale' },
+  RETURN_WITHOUT_RECEIPT: { label: 'Devolución sin comprobante', target: 'sale' },
+  CASH_SESSION_REOPEN: { label: 'Reabrir un turno de caja', target: 'cash_session' },
+}
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+function httpError(status, message, code) {
+  const err = new Error(message)
+  err.status = status
+  if (code) err.code = code
+  return err
+}
+
+function overrideMinutes() {
+  return Number(process.env.OVERRIDE_TOKEN_MINUTES) || DEFAULT_MINUTES
+}
+
+function hashOverrideToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex')
+}
+
+function generateOverrideToken() {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('base64url')}`
+  return { token, tokenHash: hashOverrideToken(token) }
+}
+
+function isAdmin(roleName) {
+  return typeof roleName === 'string' && roleName.toLowerCase() === 'admin'
+}
+
+/** Quien hace el request (req.user) puede hacer la excepción sin token. */
+function canAuthorizeOverrides(user) {
+  if (!user) return false
+  if (isAdmin(user.role?.name || user.role_name)) return true
+  return Array.isArray(user.permissions) && user.permissions.includes(OVERRIDE_PERMISSION)
+}
+
+/** El usuario de BD (con role.permissions) puede autorizar excepciones. */
+function supervisorCanAuthorize(user) {
+  if (!user?.role) return false
+  if (isAdmin(user.role.name)) return true
+  const codes = (user.role.permissions || []).map((rp) => rp.permission?.code)
+  return expandPermissions(codes).includes(OVERRIDE_PERMISSION)
+}
+
+/**
+ * Huella del carrito: qué productos y cuántos, sin importar el orden ni cómo
+ * se partieron las líneas. Recibe las líneas ya pasadas a unidad base
+ * (`convertLinesToBase`), tanto al aprobar como en la venta: el mismo carrito
+ * da la misma huella aunque se capture en cajas o en unidades. La unidad
+ * capturada (unit_id, unit_qty) no entra.
+ * @param {Array<{ product_id, qty }>} lines
+ */
+function cartHash(lines) {
+  const qtyByProduct = new Map()
+  for (const l of lines || []) {
+    const id = String(l.product_id)
+    qtyByProduct.set(id, (qtyByProduct.get(id) || 0) + Number(l.qty || 0))
+  }
+  const canonical = [...qtyByProduct].sort(([a], [b]) => a.localeCompare(b)).map(([id, qty]) => `${id}x${qty}`).join(',')
+  return crypto.createHash('sha256').update(canonical).digest('hex').slice(0, 32)
+}
+
+/**
+ * Lo que ata el token a la venta en curso, o null si la acción se ata a un
+ * registro. `bound` es { product_id, price } (línea) o { discount, cart_hash }
+ * (carrito); montos a centavos.
+ */
+function overrideBinding(action, bound) {
+  const kind = OVERRIDE_ACTIONS[action]?.binds
+  if (!kind || !bound) return null
+  if (kind === 'line') return `line:${bound.product_id}:${Number(bound.price).toFixed(2)}`
+  return `cart:${Number(bound.discount).toFixed(2)}:${bound.cart_hash}`
+}
+
+/**
+ * Cuerpo de POST /auth/overrides → { action, target, reason, bound, items }.
+ * 400 si falta algo: registro en las acciones que lo exigen, producto y precio
+ * para PRICE_BELOW_COST, descuento y líneas del carrito para
+ * DISCOUNT_OVER_LIMIT (`items` se devuelve para sacar su huella).
+ */
+function normalizeOverrideRequest(body = {}) {
+  const action = String(body.action || '').trim().toUpperCase()
+  const def = OVERRIDE_ACTIONS[action]
+  if (!def) {
+    throw httpError(400, `action debe ser una de: ${Object.keys(OVERRIDE_ACTIONS).join(', ')}`)
+  }
+  const reason = String(body.reason || '').trim()
+  if (!reason) throw httpError(400, 'reason es obligatorio: queda registrado con la autorización')
+  if (reason.length > REASON_MAX_LENGTH) throw httpError(400, `reason admite hasta ${REASON_MAX_LENGTH} caracteres`)
+  const target = body.target_id != null ? String(body.target_id).trim() : ''
+  if (def.target && !target) throw httpError(400, `${action} requiere target_id`)
+
+  let bound = null
+  let items = null
+  if (def.binds === 'line') {
+    const productId = body.product_id != null ? String(body.product_id).trim() : ''
+    const price = Number(body.price)
+    if (!productId || body.price == null || body.price === '' || !Number.isFinite(price) || price < 0) {
+      throw httpError(400, `${action} requiere product_id y price de la línea que se autoriza`)
+    }
+    bound = { product_id: productId, price }
+  } else if (def.binds === 'cart') {
+    const discount = Number(body.discount)
+    if (!Number.isFinite(discount) || discount <= 0 || !Array.isArray(body.items) || body.items.length === 0) {
+      throw httpError(400, `${action} requiere discount e items del carrito que se autoriza`)
+    }
+    bound = { discount }
+    items = body.items
+  }
+  return { action, target: def.target ? target : null, reason, bound, items }
+}
+
+/**
+ * Registro que autoriza la acción, de esta empresa → { id, branchId }.
+ * Ventas por UUID o referencia; turnos por UUID. null si la acción no se ata
+ * a ningún registro; 404 si no existe.
+ */
+async function resolveOverrideTarget(db, action, target, companyId) {
+  const kind = OVERRIDE_ACTIONS[action]?.target
+  if (!kind) return null
+  if (kind === 'sale') {
+    const sale = await db.sale.findFirst({
+      where: { ...(UUID_RE.test(target) ? { id: target } : { reference: target }), branch: { company_id: companyId } },
+      select: { id: true, branch_id: true },
+    })
+    if (!sale) throw httpError(404, 'Venta no encontrada')
+    return { id: sale.id, branchId: sale.branch_id }
+  }
+  const session = UUID_RE.test(target)
+    ? await db.cashRegisterSession.findFirst({
+        where: { id: target, cashRegister: { branch: { company_id: companyId } } },
+        select: { id: true, cashRegister: { select: { branch_id: true } } },
+      })
+    : null
+  if (!session) throw httpError(404, 'Turno de caja no encontrado')
+  return { id: session.id, branchId: session.cashRegister.branch_id }
+}
+
+/**
+ * Crea la autorización y devuelve el token (solo aquí se ve; se guarda el
+ * hash).
+ */
+async function issueOverride(db, { companyId, branchId = null, action, targetId = null, binding = null, reason, supervisorId, requestedBy, now = new Date() }) {
+  const { token, tokenHash } = generateOverrideToken()
+  const override = await db.managerOverride.create({
+    data: {
+      company_id: companyId,
+      branch_id: branchId,
+      action,
+      target_id: targetId,
+      binding,
+      reason,
+      token_hash: tokenHash,
+      authorized_by: supervisorId,
+      requested_by: requestedBy,
+      expires_at: new Date(now.getTime() + overrideMinutes() * 60 * 1000),
+    },
+    select: { id: true, action: true, target_id: true, binding: true, reason: true, expires_at: true, authorized_by: true, requested_by: true },
+  })
+  return { token, override }
+}
+
+/**
+ * 403 con `code` y `action`, para que el POS sepa qué pedirle al supervisor;
+ * `bound` (producto y precio, o descuento y huella) va también en el cuerpo.
+ */
+function overrideRequired(action, message, bound = null) {
+  const err = httpError(403, message || `${OVERRIDE_ACTIONS[action].label} requiere autorización de un supervisor`, 'OVERRIDE_REQUIRED')
+  err.action = action
+  if (bound) err.bound = bound
+  return err
+}
+
+/** Cuerpo de respuesta de un error de autorización, o null si es otro error. */
+function overrideErrorBody(err) {
+  if (!err || !['OVERRIDE_REQUIRED', 'OVERRIDE_INVALID'].includes(err.code)) return null
+  return { code: err.code, action: err.action, message: err.message, ...err.bound }
+}
+
+/**
+ * Gasta un token para `action`. `tokens` puede ser uno o varios (la venta
+ * manda los que tenga); se usa el que corresponda. Solo sirve al cajero que lo
+ * pidió, sin usar, vigente y, si la acción se ata a un registro, para ese
+ * registro; si se ata a la venta en curso, `bound` tiene que dar los mismos
+ * valores que aprobó el supervisor. `link` ({ sale_id } | { return_id } |
+ * { cash_session_id }) queda guardado en la fila.
+ *
+ * Se marca con un updateMany condicionado: dos requests con el mismo token,
+ * uno solo lo gasta.
+ * @returns {Promise<{ id: string, authorized_by: string }>}
+ */
+async function consumeOverride(db, tokens, { action, targetId = null, bound = null, companyId, requestedBy, link = {}, now = new Date() }) {
+  const hashes = [].concat(tokens || []).filter((t) => typeof t === 'string' && t.startsWith(TOKEN_PREFIX)).map(hashOverrideToken)
+  if (hashes.length === 0) throw overrideRequired(action, null, bound)
+  const guard = {
+    action,
+    company_id: companyId,
+    requested_by: String(requestedBy),
+    used_at: null,
+    expires_at: { gt: now },
+    target_id: targetId,
+    binding: overrideBinding(action, bound),
+  }
+  const row = await db.managerOverride.findFirst({
+    where: { ...guard, token_hash: { in: hashes } },
+    select: { id: true, authorized_by: true },
+  })
+  const { count } = row
+    ? await db.managerOverride.updateMany({ where: { ...guard, id: row.id }, data: { used_at: now, ...link } })
+    : { count: 0 }
+  if (count !== 1) {
+    const err = httpError(403, 'La autorización del supervisor no es válida para esta operación, ya se usó o venció', 'OVERRIDE_INVALID')
+    err.action = action
+    if (bound) err.bound = bound
+    throw err
+  }
+  return row
+}
+
+/**
+ * La excepción se permite: quien la hace es supervisor (null) o trae token y
+ * se gasta aquí (la fila).
+ */
+async function requireOverride(db, user, tokens, opts) {
+  if (canAuthorizeOverrides(user)) return null
+  if (!user?.sub) throw overrideRequired(opts.action, opts.message, opts.bound)
+  if ([].concat(tokens || []).length === 0) throw overrideRequired(opts.action, opts.message, opts.bound)
+  return consumeOverride(db, tokens, { ...opts, requestedBy: user.sub })
+}
+
+module.exports = {
+  OVERRIDE_PERMISSION,
+  OVERRIDE_ACTIONS,
+  overrideMinutes,
+  hashOverrideToken,
+  generateOverrideToken,
+  canAuthorizeOverrides,
+  supervisorCanAuthorize,
+  cartHash,
+  overrideBinding,
+  normalizeOverrideRequest,
+  resolveOverrideTarget,
+  issueOverride,
+  overrideRequired,
+  overrideErrorBody,
+  consumeOverride,
+  requireOverride,
+}
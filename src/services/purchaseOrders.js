@@ -0,0 +1,126 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Órdenes de compra: lo pedido al proveedor antes de que llegue. La mercancía
+ * entra por el ingreso de mercancía; cada item del ingreso se amarra a una
+ * línea de la orden y ahí se lleva lo recibido y la variación contra lo pactado.
+ */
+
+const { round2 } = require('./accounting/logic')
+
+/** Estados en los que la orden todavía espera mercancía («en pedido»). */
+const OPEN_PURCHASE_ORDER_STATUSES = ['SENT', 'PARTIALLY_RECEIVED']
+
+function badRequest(message) {
+  const err = new Error(message)
+  err.status = 400
+  return err
+}
+
+/** Lo que falta por recibir de una línea (lo recibido de más no resta). */
+function linePending(line) {
+  return Math.max(0, Number(line.qty_ordered) - Number(line.qty_received || 0))
+}
+
+/**
+ * Amarra cada item de un ingreso a una línea de la orden. Con
+ * `purchase_order_line_id` va a esa línea; sin él, a la primera línea del
+ * mismo producto que todavía tenga pendiente (o a la última, si ya se cubrió
+ * todo: lo que llega de más queda como variación de cantidad).
+ *
+ * @param {Array<{ id: string, product_id: string, qty_ordered: number, qty_received: number }>} lines
+ * @param {Array<{ product_id: string, quantity: number, purchase_order_line_id?: string }>} items
+ * @param {(productId: string) => string} [productLabel]
+ * @returns {string[]} id de línea alineado con `items`
+ */
+function matchReceiptToOrderLines(lines, items, productLabel = (id) => id) {
+  const byId = new Map(lines.map((l) => [String(l.id), l]))
+  // Lo que ya se asignó en este mismo ingreso, para no llenar dos veces la misma línea.
+  const taken = new Map()
+  const pendingNow = (l) => linePending(l) - (taken.get(String(l.id)) || 0)
+
+  return items.map((item) => {
+    let line = null
+    if (item.purchase_order_line_id) {
+      line = byId.get(String(item.purchase_order_line_id))
+      if (!line) throw badRequest('purchase_order_line_id no pertenece a la orden de compra')
+      if (String(line.product_id) !== String(item.product_id)) {
+        throw badRequest(`La línea de la orden no corresponde a ${productLabel(item.product_id)}`)
+      }
+    } else {
+      const candidates = lines.filter((l) => String(l.product_id) === String(item.product_id))
+      if (candidates.length === 0) {
+        throw badRequest(`${productLabel(item.product_id)} no está en la orden de compra`)
+      }
+      line = candidates.find((l) => pendingNow(l) > 0) || candidates[candidates.length - 1]
+    }
+    const id = String(line.id)
+    taken.set(id, (taken.get(id) || 0) + Number(item.quantity))
+    return id
+  })
+}
+
+/**
+ * Estado de la orden después de recibir: RECEIVED cuando todas las líneas
+ * llegaron completas, si no PARTIALLY_RECEIVED.
+ *
+ * @param {Array<{ qty_ordered: number, qty_received: number }>} lines
+ */
+function statusAfterReceipt(lines) {
+  return lines.every((l) => linePending(l) === 0) ? 'RECEIVED' : 'PARTIALLY_RECEIVED'
+}
+
+/**
+ * Variación de cantidad y precio por línea y total de la orden. La de precio
+ * es (costo recibido - costo pactado) × cantidad de cada ingreso; la de
+ * cantidad es recibido - pedido (negativa = faltó).
+ *
+ * @param {{ status?: string, lines: Array<{ id: string, qty_ordered: number, qty_received: number, unit_cost: unknown, receivedItems?: Array<{ quantity: number, unit_cost: unknown, ordered_unit_cost: unknown }> }> }} order
+ */
+function purchaseOrderVariance(order) {
+  const lines = (order.lines || []).map((l) => {
+    const items = l.receivedItems || []
+    const orderedValue = round2(Number(l.qty_ordered) * Number(l.unit_cost))
+    const receivedValue = round2(items.reduce((acc, it) => acc + it.quantity * Number(it.unit_cost), 0))
+    const priceVariance = round2(items.reduce((acc, it) => {
+      const pactado = it.ordered_unit_cost != null ? Number(it.ordered_unit_cost) : Number(l.unit_cost)
+      return acc + it.quantity * (Number(it.unit_cost) - pactado)
+    }, 0))
+    return {
+      line_id: l.id,
+      qty_ordered: Number(l.qty_ordered),
+      qty_received: Number(l.qty_received || 0),
+      qty_pending: order.status === 'CANCELLED' ? 0 : linePending(l),
+      qty_variance: Number(l.qty_received || 0) - Number(l.qty_ordered),
+      ordered_value: orderedValue,
+      received_value: receivedValue,
+      price_variance: priceVariance,
+    }
+  })
+  const sum = (key) => round2(lines.reduce((acc, l) => acc + l[key], 0))
+  return {
+    lines,
+    totals: {
+      ordered_value: sum('ordered_value'),
+      received_value: sum('received_value'),
+      price_variance: sum('price_variance'),
+      qty_pending: lines.reduce((acc, l) => acc + l.qty_pending, 0),
+    },
+  }
+}
+
+module.exports = {
+  OPEN_PURCHASE_ORDER_STATUSES,
+  linePending,
+  matchReceiptToOrderLines,
+  statusAfterReceipt,
+  purchaseOrderVariance,
+}
@@ -0,0 +1,203 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Cuentas por cobrar. Una venta queda (toda o en parte) a cuenta del cliente
+ * cuando se cobra con el medio Crédito. Su saldo es lo que quedó a crédito,
+ * menos la parte de las devoluciones que le toca a ese medio (el mismo reparto
+ * proporcional que usa el posteo), menos los abonos del cliente.
+ */
+
+const { round2, toCents } = require('./accounting/logic')
+const { isCreditMethodName, saleTenderShares } = require('./salePayments')
+
+/** Antigüedad por días vencidos. «Por vencer» va aparte: todavía no es mora. */
+const AGING_BUCKETS = [
+  { key: 'current', label: 'Por vencer' },
+  { key: 'd0_30', label: '0-30' },
+  { key: 'd31_60', label: '31-60' },
+  { key: 'd61_90', label: '61-90' },
+  { key: 'd90_plus', label: '90+' },
+]
+
+/** Lo que hace falta de una venta para calcular su saldo. */
+const RECEIVABLE_SALE_SELECT = {
+  id: true,
+  total: true,
+  total_returned: true,
+  credit_amount: true,
+  credit_status: true,
+  payment_method_id: true,
+  payment_method: { select: { id: true, name: true } },
+  payments: {
+    select: { payment_method_id: true, amount: true, payment_method: { select: { id: true, name: true } } },
+    orderBy: { sort_order: 'asc' },
+  },
+  customerPayments: { select: { amount: true, paid_at: true } },
+}
+
+function badRequest(message) {
+  const err = new Error(message)
+  err.status = 400
+  return err
+}
+
+/**
+ * @param {{ total: unknown, total_returned?: unknown, payments?: Array<object>, customerPayments?: Array<{ amount: unknown }> }} sale
+ * @returns {{ credit: number, paid: number, balance: number }}
+ */
+function saleCreditBalance(sale) {
+  const credit = saleTenderShares(sale)
+    .filter((t) => isCreditMethodName(t.name))
+    .reduce((acc, t) => acc + t.net, 0)
+  const paid = (sale.customerPayments || []).reduce((acc, p) => acc + Number(p.amount), 0)
+  // Una devolución después de pagar todo deja el saldo en negativo: eso es un
+  // reembolso al cliente, no una cuenta por cobrar.
+  return { credit: round2(credit), paid: round2(paid), balance: Math.max(0, round2(credit - paid)) }
+}
+
+/** Días enteros entre el vencimiento y la fecha de corte (negativo = por vencer). */
+function daysPastDue(dueDate, asOf) {
+  if (!dueDate) return 0
+  const day = (d) => {
+    const x = new Date(d)
+    return Date.UTC(x.getUTCFullYear(), x.getUTCMonth(), x.getUTCDate())
+  }
+  return Math.round((day(asOf) - day(dueDate)) / 86_400_000)
+}
+
+/** @returns {'current'|'d0_30'|'d31_60'|'d61_90'|'d90_plus'} */
+function agingBucket(days) {
+  if (days < 0) return 'current'
+  if (days <= 30) return 'd0_30'
+  if (days <= 60) return 'd31_60'
+  if (days <= 90) return 'd61_90'
+  return 'd90_plus'
+}
+
+/**
+ * Saldo que el cliente ya debe en ventas completadas (sin la venta en curso).
+ * @param {import('@prisma/client').Prisma.TransactionClient} tx
+ * @param {string} customerId
+ */
+async function customerOpenBalance(tx, customerId) {
+  const sales = await tx.sale.findMany({
+    where: {
+      customer_contact_id: customerId,
+      credit_status: { in: ['PENDING', 'PARTIAL'] },
+      status: { name: 'Completada' },
+    },
+    select: RECEIVABLE_SALE_SELECT,
+  })
+  return round2(sales.reduce((acc, s) => acc + saleCreditBalance(s).balance, 0))
+}
+
+/**
+ * Condiciones del saldo a crédito de una venta nueva: valida el límite del
+ * cliente y resuelve término y vencimiento. Sin parte a crédito no toca nada.
+ *
+ * El vencimiento es el que mande el POS; si no, fecha de la venta + días del
+ * término elegido (o del término por defecto del cliente).
+ *
+ * @param {import('@prisma/client').Prisma.TransactionClient} tx
+ * @param {{ customerContactId: string|null, creditAmount: number, saleDate: Date, paymentTermId?: unknown, dueDate?: unknown }} input
+ * @returns {Promise<object>} campos para `sale.create` (vacío si es de contado)
+ */
+async function resolveCreditTerms(tx, input) {
+  const creditAmount = round2(input.creditAmount || 0)
+  if (creditAmount <= 0) return {}
+  if (!input.customerContactId) {
+    throw badRequest('Una venta al crédito requiere un cliente del maestro')
+  }
+
+  // Dos ventas al crédito simultáneas del mismo cliente se verían el mismo
+  // saldo y pasarían las dos el límite: el contacto se bloquea hasta el commit.
+  await tx.$executeRaw`SELECT 1 FROM suppliers WHERE id = ${input.customerContactId}::uuid FOR UPDATE`
+  const customer = await tx.supplier.findFirst({
+    where: { id: input.customerContactId, party_type: 'CUSTOMER', deleted: false },
+    select: {
+      name: true,
+      credit_limit: true,
+      supplier_payment_terms: { include: { payment_term: true }, orderBy: { sort_order: 'asc' } },
+    },
+  })
+  if (!customer) throw badRequest('Cliente de contacto no encontrado o no es un cliente del maestro')
+  if (customer.credit_limit == null) {
+    throw badRequest(`${customer.name} no tiene crédito autorizado`)
+  }
+
+  const open = await customerOpenBalance(tx, input.customerContactId)
+  const available = round2(Number(customer.credit_limit) - open)
+  if (toCents(creditAmount) > toCents(available)) {
+    throw badRequest(
+      `La venta excede el crédito disponible de ${customer.name} (disponible ${Math.max(0, available)}, a crédito ${creditAmount})`
+    )
+  }
+
+  let link = customer.supplier_payment_terms.find((l) => l.is_default) || customer.supplier_payment_terms[0] || null
+  if (input.paymentTermId != null && input.paymentTermId !== '') {
+    link = customer.supplier_payment_terms.find((l) => l.payment_term_id === Number(input.paymentTermId))
+    if (!link) throw badRequest('El término de pago no corresponde a este cliente')
+  }
+
+  let dueDate = null
+  if (input.dueDate != null && input.dueDate !== '') {
+    dueDate = new Date(input.dueDate)
+    if (Number.isNaN(dueDate.getTime())) throw badRequest('due_date inválida')
+  } else {
+    dueDate = new Date(input.saleDate)
+    const nd = link?.payment_term?.net_days
+    if (nd != null && Number.isFinite(Number(nd)) && Number(nd) >= 0) {
+      dueDate.setUTCDate(dueDate.getUTCDate() + Math.floor(Number(nd)))
+    }
+  }
+
+  return {
+    credit_amount: creditAmount,
+    due_date: dueDate,
+    payment_term_id: link?.payment_term_id ?? null,
+    credit_status: 'PENDING',
+  }
+}
+
+/**
+ * Recalcula PENDING / PARTIAL / PAID de una venta al crédito según sus abonos
+ * y devoluciones. Las ventas de contado no se tocan.
+ */
+async function syncSaleCreditStatus(tx, saleId) {
+  const sale = await tx.sale.findUnique({ where: { id: saleId }, select: RECEIVABLE_SALE_SELECT })
+  if (!sale || sale.credit_status == null) return null
+  const { paid, balance } = saleCreditBalance(sale)
+  let status = 'PENDING'
+  let paidAt = null
+  if (toCents(balance) === 0) {
+    status = 'PAID'
+    const last = [...sale.customerPayments].sort((a, b) => new Date(b.paid_at) - new Date(a.paid_at))[0]
+    paidAt = last?.paid_at || new Date()
+  } else if (paid > 0) {
+    status = 'PARTIAL'
+  }
+  await tx.sale.update({
+    where: { id: saleId },
+    data: { credit_status: status, credit_paid_at: paidAt },
+  })
+  return status
+}
+
+module.exports = {
+  AGING_BUCKETS,
+  RECEIVABLE_SALE_SELECT,
+  saleCreditBalance,
+  daysPastDue,
+  agingBucket,
+  customerOpenBalance,
+  resolveCreditTerms,
+  syncSaleCreditStatus,
+}
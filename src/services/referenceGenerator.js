@@ -1,5 +1,6 @@
 /**
- * Referencias legibles POR SUCURSAL: V-SUC1-000001, P-SUC1-000001, T-SUC1-000001 (base62).
+ * Referencias legibles POR SUCURSAL: V-SUC1-000001, P-SUC1-000001, T-SUC1-000001,
+ * OC-SUC1-000001 (base62).
  * Las referencias viejas sin sucursal (V-000001) siguen siendo válidas para búsqueda.
  */
 
@@ -27,7 +28,7 @@ function fromBase62(s) {
 }
 
 // Offset por prefijo dentro del rango de lock de cada sucursal
-const REF_LOCK_OFFSETS = { V: 1, Q: 2, P: 3, T: 4 }
+const REF_LOCK_OFFSETS = { V: 1, Q: 2, P: 3, T: 4, OC: 5 }
 
 /**
  * Genera la siguiente referencia del prefijo EN LA SUCURSAL dada.
@@ -35,7 +36,7 @@ const REF_LOCK_OFFSETS = { V: 1, Q: 2, P: 3, T: 4 }
  * bloquear a las demás: 910000 + seq*10 + offset(prefijo).
  *
  * @param {import('@prisma/client').Prisma.TransactionClient} tx
- * @param {'V'|'Q'|'P'|'T'} prefix
+ * @param {'V'|'Q'|'P'|'T'|'OC'} prefix
  * @param {{ id: string, code: string, seq: number }} branch
  */
 async function nextDocumentReference(tx, prefix, branch) {
@@ -61,6 +62,10 @@ async function nextDocumentReference(tx, prefix, branch) {
       const last = await tx.stockTransfer.findFirst({ where, orderBy: { reference: 'desc' }, select: { reference: true } })
       return last?.reference || null
     }
+    if (prefix === 'OC') {
+      const last = await tx.purchaseOrder.findFirst({ where, orderBy: { reference: 'desc' }, select: { reference: true } })
+      return last?.reference || null
+    }
     const last = await tx.commercialDocument.findFirst({ where, orderBy: { reference: 'desc' }, select: { reference: true } })
     return last?.reference || null
   }
@@ -78,6 +83,12 @@ async function nextDocumentReference(tx, prefix, branch) {
         select: { id: true },
       }))
     }
+    if (prefix === 'OC') {
+      return Boolean(await tx.purchaseOrder.findFirst({
+        where: { branch_id: branch.id, reference },
+        select: { id: true },
+      }))
+    }
     return Boolean(await tx.commercialDocument.findFirst({
       where: { branch_id: branch.id, reference },
       select: { id: true },
@@ -1,65 +1,183 @@
 /**
  * Refresh tokens rotatorios, respaldados en DB. Se guarda sólo el hash SHA-256:
  * si se filtra la tabla, no se puede reconstruir el token.
+ *
+ * Cada login abre una sesión (`session_id`) que comparten todos los tokens de
+ * su cadena de rotación; el access token lleva ese id (`sid`) y Auth lo
+ * verifica, así cerrar una sesión corta también su access token.
  */
 
 const crypto = require('crypto')
 const { prisma } = require('../models/prisma.js')
 const { REFRESH_TOKEN_DAYS } = require('../config/security')
 
+// Cuánto se confía en "la sesión sigue abierta" sin volver a la DB. Cerrarla
+// desde esta instancia invalida al momento; desde otra, a más tardar en esto.
+const SESSION_CHECK_TTL_MS = Number(process.env.SESSION_CHECK_TTL_MS) || 30 * 1000
+const SESSION_CACHE_MAX = 5000
+// Resolución de "último uso": no se escribe en cada request
+const LAST_USED_RESOLUTION_MS = 5 * 60 * 1000
+const activeSessionCache = new Map() // session_id → válido hasta (ms)
+
 function hash(token) {
   return crypto.createHash('sha256').update(token).digest('hex')
 }
 
-/** Crea un refresh token nuevo para el usuario y devuelve el valor en claro (va a la cookie). */
-async function issue(userId) {
+function forgetSessions(sessionIds) {
+  for (const id of sessionIds) activeSessionCache.delete(id)
+}
+
+/** Datos del dispositivo que se guardan con la sesión. */
+function sessionMeta(req) {
+  const ua = req?.headers?.['user-agent']
+  return {
+    user_agent: ua ? String(ua).slice(0, 255) : null,
+    ip: req?.ip ? String(req.ip).slice(0, 64) : null,
+  }
+}
+
+function expiresAt() {
+  return new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+}
+
+/**
+ * Abre una sesión nueva para el usuario.
+ * @returns {Promise<{ token: string, sessionId: string }>} token en claro (va a la cookie)
+ */
+async function issue(userId, meta = {}) {
   const token = crypto.randomBytes(32).toString('hex')
-  const expires_at = new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
-  await prisma.refreshToken.create({ data: { user_id: userId, token_hash: hash(token), expires_at } })
-  return token
+  const sessionId = crypto.randomUUID()
+  await prisma.refreshToken.create({
+    data: {
+      user_id: userId,
+      token_hash: hash(token),
+      expires_at: expiresAt(),
+      session_id: sessionId,
+      user_agent: meta.user_agent ?? null,
+      ip: meta.ip ?? null,
+    },
+  })
+  return { token, sessionId }
 }
 
 /**
- * Rota un refresh token: valida el viejo, lo revoca y emite uno nuevo.
- * Devuelve { userId, token } si es válido; null si no existe/expiró.
- * Si el token ya estaba revocado => posible robo: revoca TODAS las sesiones del usuario y devuelve { reuse: true }.
+ * Rota un refresh token: valida el viejo, lo revoca y emite uno nuevo en la misma sesión.
+ * Devuelve { userId, token, sessionId } si es válido; null si no existe/expiró.
+ * Si el token ya se había rotado => posible robo: revoca TODAS las sesiones del usuario y devuelve { reuse: true }.
+ * Un token de una sesión cerrada a propósito (logout, cierre remoto, cambio de
+ * contraseña o de rol) sólo deja de servir: devuelve null.
  */
-async function rotate(oldToken) {
+async function rotate(oldToken, meta = {}) {
   const row = await prisma.refreshToken.findUnique({ where: { token_hash: hash(oldToken) } })
   if (!row) return null
 
   if (row.revoked_at) {
+    if (!row.replaced_by) return null
     // Reuso de un token ya rotado: alguien tiene una copia vieja. Cerrar todas las sesiones.
-    await prisma.refreshToken.updateMany({
-      where: { user_id: row.user_id, revoked_at: null },
-      data: { revoked_at: new Date() },
-    })
+    await revokeAll(row.user_id)
     return { reuse: true }
   }
 
   if (row.expires_at <= new Date()) return null
 
   const newToken = crypto.randomBytes(32).toString('hex')
-  const expires_at = new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
   await prisma.$transaction([
     prisma.refreshToken.update({
       where: { id: row.id },
       data: { revoked_at: new Date(), replaced_by: hash(newToken) },
     }),
     prisma.refreshToken.create({
-      data: { user_id: row.user_id, token_hash: hash(newToken), expires_at },
+      data: {
+        user_id: row.user_id,
+        token_hash: hash(newToken),
+        expires_at: expiresAt(),
+        session_id: row.session_id,
+        session_started_at: row.session_started_at,
+        user_agent: meta.user_agent ?? row.user_agent,
+        ip: meta.ip ?? row.ip,
+      },
     }),
   ])
-  return { userId: row.user_id, token: newToken }
+  return { userId: row.user_id, token: newToken, sessionId: row.session_id }
 }
 
 /** Revoca un refresh token puntual (logout). No falla si no existe. */
 async function revoke(token) {
   if (!token) return
+  const row = await prisma.refreshToken.findUnique({ where: { token_hash: hash(token) }, select: { session_id: true } })
   await prisma.refreshToken.updateMany({
     where: { token_hash: hash(token), revoked_at: null },
     data: { revoked_at: new Date() },
   })
+  if (row) forgetSessions([row.session_id])
+}
+
+/**
+ * Cierra todas las sesiones del usuario (cambio de contraseña, de rol,
+ * desactivación…), salvo `exceptSessionId` si se indica.
+ * @returns {Promise<number>} sesiones cerradas
+ */
+async function revokeAll(userId, { exceptSessionId } = {}) {
+  const where = { user_id: userId, revoked_at: null }
+  if (exceptSessionId) where.session_id = { not: exceptSessionId }
+  const open = await prisma.refreshToken.findMany({ where, select: { session_id: true } })
+  const { count } = await prisma.refreshToken.updateMany({ where, data: { revoked_at: new Date() } })
+  forgetSessions(open.map((r) => r.session_id))
+  return count
+}
+
+/**
+ * Cierra una sesión del usuario.
+ * @returns {Promise<boolean>} false si no existe o ya estaba cerrada
+ */
+async function revokeSession(userId, sessionId) {
+  const { count } = await prisma.refreshToken.updateMany({
+    where: { user_id: userId, session_id: sessionId, revoked_at: null },
+    data: { revoked_at: new Date() },
+  })
+  forgetSessions([sessionId])
+  return count > 0
+}
+
+/** Sesiones abiertas del usuario, la más reciente primero. */
+async function listSessions(userId) {
+  const rows = await prisma.refreshToken.findMany({
+    where: { user_id: userId, revoked_at: null, expires_at: { gt: new Date() } },
+    select: {
+      session_id: true, session_started_at: true, user_agent: true, ip: true,
+      last_used_at: true, expires_at: true,
+    },
+    orderBy: { last_used_at: 'desc' },
+  })
+  return rows.map((r) => ({
+    id: r.session_id,
+    user_agent: r.user_agent,
+    ip: r.ip,
+    started_at: r.session_started_at,
+    last_used_at: r.last_used_at,
+    expires_at: r.expires_at,
+  }))
+}
+
+/** ¿La sesión del access token sigue abierta? (con caché corta por instancia) */
+async function isSessionActive(sessionId) {
+  const now = Date.now()
+  const cached = activeSessionCache.get(sessionId)
+  if (cached && cached > now) return true
+  const row = await prisma.refreshToken.findFirst({
+    where: { session_id: sessionId, revoked_at: null, expires_at: { gt: new Date() } },
+    select: { id: true, last_used_at: true },
+  })
+  if (!row) {
+    activeSessionCache.delete(sessionId)
+    return false
+  }
+  if (now - row.last_used_at.getTime() > LAST_USED_RESOLUTION_MS) {
+    await prisma.refreshToken.update({ where: { id: row.id }, data: { last_used_at: new Date() } })
+  }
+  if (activeSessionCache.size >= SESSION_CACHE_MAX) activeSessionCache.clear()
+  activeSessionCache.set(sessionId, now + SESSION_CHECK_TTL_MS)
+  return true
 }
 
-module.exports = { issue, rotate, revoke }
+module.exports = { sessionMeta, issue, rotate, revoke, revokeAll, revokeSession, listSessions, isSessionActive }
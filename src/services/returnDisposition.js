@@ -0,0 +1,102 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Destino de cada línea devuelta (`return_items.disposition`):
+ *
+ *  - RESTOCK: vuelve a venta, a la ubicación elegida o a la de venta de la
+ *    sucursal, y devuelve cantidad a los lotes de esa ubicación.
+ *  - QUARANTINE: entra a una ubicación que no despacha (`pickable` false); la
+ *    sucursal la tiene pero no la vende. No vuelve a lotes: FEFO no debe
+ *    contar con ella.
+ *  - SCRAP: entra como SALE_RETURN y sale en el acto como RETURN_SCRAP, que
+ *    el motor contable postea como ajuste de inventario (STOCK_ADJUSTMENT).
+ *
+ * Cálculo puro; el movimiento lo hace returns.controller.js.
+ */
+
+const DISPOSITIONS = ['RESTOCK', 'QUARANTINE', 'SCRAP']
+const DISPOSITION_LABELS = { RESTOCK: 'Reingreso a venta', QUARANTINE: 'Cuarentena', SCRAP: 'Baja' }
+const NO_REASON = 'Sin motivo'
+
+function httpError(status, message) {
+  const err = new Error(message)
+  err.status = status
+  return err
+}
+
+const round2 = (v) => Math.round(v * 100) / 100
+
+/** Destino de una línea (default RESTOCK). 400 si no existe. */
+function parseDisposition(raw) {
+  if (raw === undefined || raw === null || raw === '') return 'RESTOCK'
+  const d = String(raw).toUpperCase()
+  if (!DISPOSITIONS.includes(d)) throw httpError(400, `disposition debe ser uno de: ${DISPOSITIONS.join(', ')}`)
+  return d
+}
+
+/**
+ * Líneas devueltas agrupadas por destino y ubicación, en el orden
+ * RESTOCK → QUARANTINE → SCRAP. Cada grupo es un solo movimiento.
+ * @param {Array<{ product_id, qty_returned, disposition?, location_id? }>} items
+ * @returns {Array<{ disposition, location_id: string|null, lines: Array<{ product_id, qty }> }>}
+ */
+function dispositionGroups(items) {
+  const groups = new Map()
+  for (const it of items) {
+    const disposition = it.disposition || 'RESTOCK'
+    const locationId = it.location_id || null
+    const key = `${disposition}|${locationId || ''}`
+    if (!groups.has(key)) groups.set(key, { disposition, location_id: locationId, lines: [] })
+    groups.get(key).lines.push({ product_id: it.product_id, qty: Number(it.qty_returned) })
+  }
+  return [...groups.values()].sort((a, b) => DISPOSITIONS.indexOf(a.disposition) - DISPOSITIONS.indexOf(b.disposition))
+}
+
+/**
+ * Totales del reporte de devoluciones por motivo y por destino.
+ * `rows`: [{ reason, disposition, qty, refund, cost }] una por línea; el
+ * motivo de la línea manda y si no trae, el de la devolución.
+ */
+function summarizeReturns(rows) {
+  const byReason = new Map()
+  const byDisposition = new Map(DISPOSITIONS.map((d) => [d, { disposition: d, lines: 0, units: 0, refund: 0, cost: 0 }]))
+  for (const r of rows) {
+    const reason = String(r.reason || '').trim() || NO_REASON
+    const agg = byReason.get(reason) || { reason, lines: 0, units: 0, refund: 0, cost: 0, units_by_disposition: { RESTOCK: 0, QUARANTINE: 0, SCRAP: 0 } }
+    const qty = Number(r.qty) || 0
+    agg.lines += 1
+    agg.units += qty
+    agg.refund += Number(r.refund) || 0
+    agg.cost += Number(r.cost) || 0
+    agg.units_by_disposition[r.disposition] += qty
+    byReason.set(reason, agg)
+
+    const d = byDisposition.get(r.disposition)
+    d.lines += 1
+    d.units += qty
+    d.refund += Number(r.refund) || 0
+    d.cost += Number(r.cost) || 0
+  }
+  const money = (o) => ({ ...o, refund: round2(o.refund), cost: round2(o.cost) })
+  return {
+    by_reason: [...byReason.values()].map(money).sort((a, b) => b.units - a.units || a.reason.localeCompare(b.reason)),
+    by_disposition: [...byDisposition.values()].map(money),
+  }
+}
+
+module.exports = {
+  DISPOSITIONS,
+  DISPOSITION_LABELS,
+  NO_REASON,
+  parseDisposition,
+  dispositionGroups,
+  summarizeReturns,
+}
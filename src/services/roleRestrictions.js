@@ -0,0 +1,145 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Restricciones por rol (catálogo en config/permissionDeps): lo que el permiso
+ * de ruta no alcanza a decir. `hasPermission` decide si se entra; esto decide
+ * qué campos salen (costo) y qué filas (ventas propias o de la caja).
+ *
+ * Se leen del token (`req.user.restrictions`), igual que los permisos: un
+ * cambio en el rol aplica al renovar la sesión.
+ */
+
+const { RESTRICTIONS } = require('../config/permissionDeps')
+
+// Campos de costo y lo que sale de él; se quitan a cualquier profundidad
+const COST_FIELDS = new Set(['cost', 'unit_cost', 'ordered_unit_cost', 'margin', 'marginPct', 'margin_pct', 'profit', 'abc_margin', 'capital_tied_up'])
+
+function httpError(status, message) {
+  const err = new Error(message)
+  err.status = status
+  return err
+}
+
+function isAdmin(user) {
+  const roleName = user?.role?.name || user?.role_name
+  return typeof roleName === 'string' && roleName.toLowerCase() === 'admin'
+}
+
+/**
+ * Lo que llega al guardar un rol → { clave: valor } limpio, o null si no
+ * restringe nada. `false`, '' o null en una clave la quitan.
+ * @returns {object|null}
+ */
+function normalizeRestrictions(raw) {
+  if (raw == null || raw === '') return null
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw httpError(400, 'restrictions debe ser un objeto { clave: valor }')
+  }
+  const out = {}
+  for (const [key, value] of Object.entries(raw)) {
+    const def = RESTRICTIONS[key]
+    if (!def) throw httpError(400, `Restricción desconocida: ${key}`)
+    if (value == null || value === false || value === '') continue
+    if (def.type === 'boolean') {
+      if (value !== true) throw httpError(400, `${key} debe ser true o false`)
+      out[key] = true
+    } else if (def.type === 'enum') {
+      if (!def.values.includes(value)) throw httpError(400, `${key} debe ser uno de: ${def.values.join(', ')}`)
+      out[key] = value
+    } else {
+      const n = Number(value)
+      if (!Number.isFinite(n) || n < def.min || n > def.max) {
+        throw httpError(400, `${key} debe ser un número entre ${def.min} y ${def.max}`)
+      }
+      out[key] = n
+    }
+  }
+  return Object.keys(out).length ? out : null
+}
+
+/** Restricciones vigentes de quien hace el request ({} para admin). */
+function userRestrictions(user) {
+  if (!user || isAdmin(user)) return {}
+  const r = user.restrictions
+  return r && typeof r === 'object' && !Array.isArray(r) ? r : {}
+}
+
+function hidesCost(user) {
+  return userRestrictions(user)['products.hide_cost'] === true
+}
+
+/**
+ * Copia sin los campos de costo. Solo recorre objetos planos y arreglos: un
+ * Decimal o un Date pasan tal cual.
+ */
+function stripCost(value) {
+  if (Array.isArray(value)) return value.map(stripCost)
+  if (!value || typeof value !== 'object' || Object.getPrototypeOf(value) !== Object.prototype) return value
+  const out = {}
+  for (const [k, v] of Object.entries(value)) {
+    if (!COST_FIELDS.has(k)) out[k] = stripCost(v)
+  }
+  return out
+}
+
+/** La respuesta tal cual, o sin costos si el rol los oculta. */
+function redactCost(user, value) {
+  return hidesCost(user) ? stripCost(value) : value
+}
+
+/** Para lo que no tiene sentido sin costos (margen, valuación, compras). */
+function assertCanSeeCost(user) {
+  if (hidesCost(user)) throw httpError(403, 'Tu rol no puede ver costos ni márgenes')
+}
+
+/**
+ * Filtro de ventas según `sales.scope`, para sumar al where de Sale ({} si
+ * ve todas). "register" es la caja asignada al usuario; sin caja asignada
+ * quedan solo las suyas.
+ */
+async function saleScopeWhere(db, user) {
+  const scope = userRestrictions(user)['sales.scope']
+  if (!scope || !user?.sub) return {}
+  if (scope === 'register') {
+    const me = await db.user.findUnique({ where: { id: String(user.sub) }, select: { cash_register_id: true } })
+    if (me?.cash_register_id) return { cashRegisterSession: { cash_register_id: me.cash_register_id } }
+  }
+  return { created_by: String(user.sub) }
+}
+
+/**
+ * Mensaje si el descuento pasa el máximo del rol (`sales.max_discount_pct`),
+ * null si está dentro. La venta lo usa para pedir autorización de supervisor.
+ */
+function discountLimitExceeded(user, discount, subtotal) {
+  const max = userRestrictions(user)['sales.max_discount_pct']
+  if (max == null || !(Number(discount) > 0)) return null
+  const pct = Number(subtotal) > 0 ? Math.round((Number(discount) / Number(subtotal)) * 10000) / 100 : 100
+  return pct > max ? `El descuento (${pct}%) supera el máximo permitido para tu rol (${max}%)` : null
+}
+
+/** 403 si el descuento pasa el máximo del rol. */
+function assertDiscountAllowed(user, discount, subtotal) {
+  const exceeded = discountLimitExceeded(user, discount, subtotal)
+  if (exceeded) throw httpError(403, exceeded)
+}
+
+module.exports = {
+  normalizeRestrictions,
+  userRestrictions,
+  hidesCost,
+  stripCost,
+  redactCost,
+  assertCanSeeCost,
+  saleScopeWhere,
+  discountLimitExceeded,
+  assertDiscountAllowed,
+}
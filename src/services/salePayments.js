@@ -0,0 +1,222 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Pago mixto: una venta se cobra con uno o varios medios (efectivo + tarjeta +
+ * transferencia) y cada medio es una fila de `sale_payments`. La venta conserva
+ * `payment_method_id` con el medio principal (el de mayor monto) para los
+ * listados y los clientes que todavía no leen `payments`.
+ */
+
+const { round2, toCents } = require('./accounting/logic')
+
+/** Tope de medios por cobro: más que esto es un error del cliente, no un pago real. */
+const MAX_TENDERS = 10
+
+function isCashMethodName(name) {
+  const n = String(name || '').toLowerCase()
+  return n.includes('efectivo') || n.includes('cash')
+}
+
+/** El medio «Crédito» deja esa parte del cobro a cuenta del cliente (no entra dinero). */
+function isCreditMethodName(name) {
+  const n = String(name || '').toLowerCase().normalize('NFD').replace(/\p{M}/gu, '')
+  return n.includes('credito')
+}
+
+/** El medio «Saldo a favor» (o uno llamado tarjeta de regalo) cobra contra una cuenta de saldo (storedValue.js). */
+function isStoredValueMethodName(name) {
+  const n = String(name || '').toLowerCase().normalize('NFD').replace(/\p{M}/gu, '')
+  return n.includes('saldo a favor') || n.includes('tarjeta de regalo') || n.includes('gift')
+}
+
+function badRequest(message) {
+  const err = new Error(message)
+  err.status = 400
+  return err
+}
+
+/**
+ * Valida los medios de pago de un cobro contra el total que calculó el servidor.
+ *
+ * Sin `payments` se arma un solo medio con `payment_method_id` por el total,
+ * con el monto recibido y el vuelto tal como los mande el POS (lo de siempre).
+ * Con `payments` los montos deben sumar exactamente el total y solo el
+ * efectivo puede recibir de más y dar vuelto. `creditAmount` es lo que quedó
+ * con el medio Crédito (a cuenta del cliente). `storedValue` son los medios
+ * «Saldo a favor» con el código de tarjeta que traen (`stored_value_code`),
+ * para que la venta los cobre contra su cuenta.
+ *
+ * @param {import('@prisma/client').Prisma.TransactionClient} tx
+ * @param {{ payments?: Array<{ payment_method_id: number, amount: number, amount_received?: number, reference?: string, stored_value_code?: string }>, payment_method_id?: number, amount_received?: unknown, change?: unknown, stored_value_code?: string }} input
+ * @param {number} total
+ * @returns {Promise<{ tenders: Array<{ payment_method_id: number, amount: number, amount_received: number|null, change: number|null, reference: string|null, sort_order: number }>, primaryMethodId: number, amountReceived: number|null, change: number|null, creditAmount: number, storedValue: Array<{ index: number, code: string|null, amount: number }> }>}
+ */
+async function resolveTenders(tx, input, total) {
+  const { payments } = input || {}
+
+  if (payments == null) {
+    const methodId = Number(input?.payment_method_id)
+    if (!Number.isInteger(methodId) || methodId <= 0) {
+      throw badRequest('payment_method_id o payments es requerido')
+    }
+    const method = await tx.paymentMethod.findUnique({ where: { id: methodId }, select: { name: true } })
+    if (!method) throw badRequest('Método de pago no encontrado')
+    const received = input.amount_received != null && input.amount_received !== '' ? Number(input.amount_received) : null
+    const change = input.change != null && input.change !== '' ? Number(input.change) : null
+    return {
+      tenders: [{
+        payment_method_id: methodId,
+        amount: round2(total),
+        amount_received: Number.isFinite(received) ? received : null,
+        change: Number.isFinite(change) ? change : null,
+        reference: null,
+        sort_order: 0,
+      }],
+      primaryMethodId: methodId,
+      amountReceived: Number.isFinite(received) ? received : null,
+      change: Number.isFinite(change) ? change : null,
+      creditAmount: isCreditMethodName(method.name) ? round2(total) : 0,
+      storedValue: isStoredValueMethodName(method.name)
+        ? [{ index: 0, code: input.stored_value_code || null, amount: round2(total) }]
+        : [],
+    }
+  }
+
+  if (!Array.isArray(payments) || payments.length === 0) {
+    throw badRequest('payments debe ser un arreglo con al menos un medio de pago')
+  }
+  if (payments.length > MAX_TENDERS) {
+    throw badRequest(`Máximo ${MAX_TENDERS} medios de pago por venta`)
+  }
+
+  const methodIds = [...new Set(payments.map((p) => Number(p?.payment_method_id)))]
+  if (methodIds.some((id) => !Number.isInteger(id) || id <= 0)) {
+    throw badRequest('Cada pago debe incluir un payment_method_id válido')
+  }
+  const methods = await tx.paymentMethod.findMany({
+    where: { id: { in: methodIds } },
+    select: { id: true, name: true },
+  })
+  const methodById = new Map(methods.map((m) => [m.id, m]))
+
+  const tenders = payments.map((p, idx) => {
+    const method = methodById.get(Number(p.payment_method_id))
+    if (!method) throw badRequest(`Método de pago no encontrado: ${p.payment_method_id}`)
+
+    const amount = round2(p.amount)
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw badRequest(`El pago con ${method.name} debe tener un monto mayor a 0`)
+    }
+
+    let received = amount
+    if (p.amount_received != null && p.amount_received !== '') {
+      received = round2(p.amount_received)
+      if (!Number.isFinite(received) || toCents(received) < toCents(amount)) {
+        throw badRequest(`Lo recibido en ${method.name} no cubre su monto (${amount})`)
+      }
+    }
+    // Una tarjeta o una transferencia se cobran por el monto exacto: el vuelto
+    // siempre sale del cajón.
+    if (toCents(received) > toCents(amount) && !isCashMethodName(method.name)) {
+      throw badRequest(`Solo el efectivo puede dar vuelto (${method.name} recibió de más)`)
+    }
+
+    const reference = p.reference != null ? String(p.reference).trim().slice(0, 100) : ''
+    return {
+      payment_method_id: method.id,
+      amount,
+      amount_received: received,
+      change: round2(received - amount),
+      reference: reference || null,
+      sort_order: idx,
+    }
+  })
+
+  const paidCents = tenders.reduce((acc, t) => acc + toCents(t.amount), 0)
+  if (paidCents !== toCents(total)) {
+    throw badRequest(`Los pagos suman ${paidCents / 100} y el total de la venta es ${round2(total)}`)
+  }
+
+  // Principal = el de mayor monto; a igualdad, el primero que mandó el POS.
+  const primary = tenders.reduce((best, t) => (t.amount > best.amount ? t : best), tenders[0])
+  return {
+    tenders,
+    primaryMethodId: primary.payment_method_id,
+    amountReceived: round2(tenders.reduce((acc, t) => acc + t.amount_received, 0)),
+    change: round2(tenders.reduce((acc, t) => acc + t.change, 0)),
+    creditAmount: round2(tenders
+      .filter((t) => isCreditMethodName(methodById.get(t.payment_method_id).name))
+      .reduce((acc, t) => acc + t.amount, 0)),
+    storedValue: tenders
+      .map((t, index) => ({ index, code: payments[index].stored_value_code || null, amount: t.amount }))
+      .filter((u) => isStoredValueMethodName(methodById.get(tenders[u.index].payment_method_id).name)),
+  }
+}
+
+/**
+ * Reparte un monto (lo devuelto de una venta) entre sus medios de pago en
+ * proporción a lo que pagó cada uno. Los centavos que sobran del redondeo van
+ * al medio de mayor monto, así la suma cuadra exacta.
+ *
+ * ponytail: la devolución todavía no elige por dónde sale el dinero; si algún
+ * día lo hace, esto se reemplaza por lo que haya elegido.
+ *
+ * @param {Array<{ amount: unknown }>} tenders
+ * @param {number} amount
+ * @returns {number[]} alineado con `tenders`
+ */
+function allocateAcrossTenders(tenders, amount) {
+  const target = toCents(amount)
+  const weights = tenders.map((t) => toCents(t.amount))
+  const totalWeight = weights.reduce((a, b) => a + b, 0)
+  if (tenders.length === 0) return []
+  if (totalWeight <= 0 || target === 0) return tenders.map(() => 0)
+
+  const shares = weights.map((w) => Math.floor((target * w) / totalWeight))
+  const rest = target - shares.reduce((a, b) => a + b, 0)
+  const largest = weights.indexOf(Math.max(...weights))
+  shares[largest] += rest
+  return shares.map((c) => c / 100)
+}
+
+/**
+ * Medios de una venta ya guardada, con lo que le queda a cada uno después de
+ * las devoluciones. Las ventas sin filas en `sale_payments` (ninguna después
+ * de la migración, pero el respaldo no cuesta) caen a su método único.
+ *
+ * @param {{ total: unknown, total_returned?: unknown, payment_method_id?: number, payment_method?: { id?: number, name: string }|null, payments?: Array<{ payment_method_id: number, amount: unknown, payment_method?: { id?: number, name: string }|null }> }} sale
+ * @returns {Array<{ payment_method_id: number, name: string, amount: number, returned: number, net: number }>}
+ */
+function saleTenderShares(sale) {
+  const rows = Array.isArray(sale.payments) && sale.payments.length > 0
+    ? sale.payments.map((p) => ({
+        payment_method_id: p.payment_method_id,
+        name: p.payment_method?.name || '',
+        amount: round2(p.amount),
+      }))
+    : [{
+        payment_method_id: sale.payment_method_id ?? sale.payment_method?.id,
+        name: sale.payment_method?.name || '',
+        amount: round2(sale.total),
+      }]
+  const returned = allocateAcrossTenders(rows, Number(sale.total_returned || 0))
+  return rows.map((r, i) => ({ ...r, returned: returned[i], net: round2(r.amount - returned[i]) }))
+}
+
+module.exports = {
+  MAX_TENDERS,
+  isCashMethodName,
+  isCreditMethodName,
+  isStoredValueMethodName,
+  resolveTenders,
+  allocateAcrossTenders,
+  saleTenderShares,
+}
@@ -0,0 +1,294 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Números de serie (opt-in con `Product.tracks_serials`). Las cantidades
+ * siguen en `Product.stock` / kardex; el serial solo dice CUÁL unidad salió y
+ * dónde está. Cada documento que mueve stock de un producto con serie manda
+ * en la línea `serials: [...]`, tantos como la cantidad base, y aquí se
+ * valida el estado de cada unidad antes de moverla.
+ *
+ * Todas las funciones de escritura reciben el `tx` del documento: si el
+ * serial no cuadra, la venta/traslado/devolución no se guarda.
+ */
+
+/** Estados desde los que una unidad se puede vender o enviar. */
+const SELLABLE = ['IN_STOCK', 'RETURNED']
+
+const SERIAL_MAX_LENGTH = 100
+
+const STATUS_LABELS = {
+  IN_STOCK: 'en existencias',
+  SOLD: 'vendida',
+  RETURNED: 'devuelta',
+  IN_TRANSIT: 'en tránsito',
+  WRITTEN_OFF: 'dada de baja',
+}
+
+function httpError(status, message, code) {
+  const err = new Error(message)
+  err.status = status
+  if (code) err.code = code
+  return err
+}
+
+/**
+ * Lista de seriales de una línea: recorta espacios, ignora vacíos y rechaza
+ * repetidos. Acepta arreglo o texto separado por comas / saltos de línea
+ * (lo que deja un lector de código de barras en un textarea).
+ *
+ * @param {string[]|string|null|undefined} raw
+ * @param {string} label
+ * @returns {string[]}
+ */
+function normalizeSerials(raw, label) {
+  if (raw == null || raw === '') return []
+  const list = Array.isArray(raw) ? raw : String(raw).split(/[\n,;]+/)
+  const out = []
+  const seen = new Set()
+  for (const item of list) {
+    const serial = String(item ?? '').trim()
+    if (!serial) continue
+    if (serial.length > SERIAL_MAX_LENGTH) {
+      throw httpError(400, `Serial demasiado largo en ${label} (máx. ${SERIAL_MAX_LENGTH} caracteres)`)
+    }
+    if (seen.has(serial)) throw httpError(400, `El serial ${serial} aparece dos veces en ${label}`)
+    seen.add(serial)
+    out.push(serial)
+  }
+  return out
+}
+
+/**
+ * Seriales de cada línea de un documento. Pura: los productos ya vienen
+ * cargados con `tracks_serials`.
+ *
+ * - Producto sin serie: la línea no puede traer seriales.
+ * - Producto con serie: tantos seriales como la cantidad (base) de la línea.
+ * - Un serial no puede repetirse entre líneas del mismo producto.
+ *
+ * @param {object[]} lines
+ * @param {Map<string, { name: string, tracks_serials?: boolean }>} productsById
+ * @param {{ qtyField?: string, serialsField?: string }} [options]
+ * @returns {{ byLine: string[][], byProduct: Map<string, string[]> }}
+ */
+function serialsByLine(lines, productsById, options = {}) {
+  const qtyField = options.qtyField || 'qty'
+  const serialsField = options.serialsField || 'serials'
+  const byLine = []
+  const byProduct = new Map()
+  lines.forEach((line, idx) => {
+    const pid = String(line.product_id)
+    const product = productsById.get(pid)
+    const label = product?.name || `línea ${idx + 1}`
+    const serials = normalizeSerials(line[serialsField], label)
+    if (!product?.tracks_serials) {
+      if (serials.length > 0) throw httpError(400, `${label} no lleva números de serie`)
+      byLine.push([])
+      return
+    }
+    const qty = Number(line[qtyField])
+    if (serials.length !== qty) {
+      throw httpError(400, `${label}: indica ${qty} número(s) de serie (vienen ${serials.length})`, 'SERIALS_REQUIRED')
+    }
+    const acc = byProduct.get(pid) || []
+    for (const s of serials) {
+      if (acc.includes(s)) throw httpError(400, `El serial ${s} de ${label} está en dos líneas`)
+      acc.push(s)
+    }
+    byProduct.set(pid, acc)
+    byLine.push(serials)
+  })
+  return { byLine, byProduct }
+}
+
+/**
+ * Por qué una unidad no puede salir de donde se espera; null si puede.
+ *
+ * @param {{ serial: string, status: string, branch_id?: string|null, sale_id?: string|null, transfer_id?: string|null }} row
+ * @param {{ statuses: string[], branchId?: string, saleId?: string, transferId?: string }} from
+ */
+function serialMismatch(row, from) {
+  if (!from.statuses.includes(row.status)) {
+    return `El serial ${row.serial} está ${STATUS_LABELS[row.status] || row.status}`
+  }
+  if (from.branchId && String(row.branch_id || '') !== String(from.branchId)) {
+    return `El serial ${row.serial} no está en esta sucursal`
+  }
+  if (from.saleId && String(row.sale_id || '') !== String(from.saleId)) {
+    return `El serial ${row.serial} no corresponde a esta venta`
+  }
+  if (from.transferId && String(row.transfer_id || '') !== String(from.transferId)) {
+    return `El serial ${row.serial} no viaja en este traslado`
+  }
+  return null
+}
+
+function fromWhere(from) {
+  const where = { status: { in: from.statuses } }
+  if (from.branchId) where.branch_id = from.branchId
+  if (from.saleId) where.sale_id = from.saleId
+  if (from.transferId) where.transfer_id = from.transferId
+  return where
+}
+
+async function recordSerialEvents(tx, rows, { event, branchId, refType, refId, userId }) {
+  if (rows.length === 0) return
+  await tx.productSerialEvent.createMany({
+    data: rows.map((r) => ({
+      serial_id: r.id,
+      event,
+      branch_id: branchId ?? null,
+      ref_type: refType ?? null,
+      ref_id: refId ?? null,
+      created_by: userId ?? null,
+    })),
+  })
+}
+
+/**
+ * Alta de unidades nuevas (ingreso de mercancía). Un serial ya registrado
+ * para el producto es 409: la misma unidad no entra dos veces.
+ */
+async function registerSerials(tx, { companyId, productId, productName, branchId, serials, unitCost, incomingMerchandiseId, refType, refId, userId }) {
+  if (!serials.length) return []
+  const existing = await tx.productSerial.findMany({
+    where: { company_id: companyId, product_id: productId, serial: { in: serials } },
+    select: { serial: true },
+  })
+  if (existing.length > 0) {
+    throw httpError(409, `${productName || 'El producto'}: ya existe(n) el/los serial(es) ${existing.map((r) => r.serial).join(', ')}`, 'SERIAL_EXISTS')
+  }
+  const rows = await tx.productSerial.createManyAndReturn({
+    data: serials.map((serial) => ({
+      company_id: companyId,
+      product_id: productId,
+      serial,
+      status: 'IN_STOCK',
+      branch_id: branchId,
+      unit_cost: unitCost ?? null,
+      incoming_merchandise_id: incomingMerchandiseId ?? null,
+    })),
+    select: { id: true },
+  })
+  await recordSerialEvents(tx, rows, { event: 'RECEIVED', branchId, refType, refId, userId })
+  return rows
+}
+
+/**
+ * Carga las unidades y verifica que estén donde se espera (`from`: estado,
+ * sucursal, venta o traslado). Si alguna no existe o no está ahí, 409 con el
+ * serial y el motivo.
+ */
+async function loadSerialsAt(tx, { companyId, productId, productName, serials, from }) {
+  if (!serials.length) return []
+  const rows = await tx.productSerial.findMany({
+    where: { company_id: companyId, product_id: productId, serial: { in: serials } },
+    select: { id: true, serial: true, status: true, branch_id: true, sale_id: true, transfer_id: true },
+  })
+  const found = new Set(rows.map((r) => r.serial))
+  const missing = serials.filter((s) => !found.has(s))
+  if (missing.length > 0) {
+    throw httpError(409, `${productName || 'El producto'} no tiene el/los serial(es) ${missing.join(', ')}`, 'SERIAL_NOT_FOUND')
+  }
+  for (const row of rows) {
+    const why = serialMismatch(row, from)
+    if (why) throw httpError(409, why, 'SERIAL_UNAVAILABLE')
+  }
+  return rows
+}
+
+/**
+ * Mueve unidades de un estado a otro (ver loadSerialsAt). El update repite la
+ * condición de origen: si otra operación las movió entre la lectura y la
+ * escritura, también aborta.
+ *
+ * @param {object} tx
+ * @param {{
+ *   companyId: string, productId: string, productName?: string, serials: string[],
+ *   from: { statuses: string[], branchId?: string, saleId?: string, transferId?: string },
+ *   to: { status: string, branch_id: string|null, sale_id?: string|null, transfer_id?: string|null },
+ *   event: string, branchId?: string|null, refType?: string, refId?: string, userId?: string,
+ * }} args
+ */
+async function moveSerials(tx, { companyId, productId, productName, serials, from, to, event, branchId, refType, refId, userId }) {
+  if (!serials.length) return []
+  const rows = await loadSerialsAt(tx, { companyId, productId, productName, serials, from })
+  const data = { status: to.status, branch_id: to.branch_id }
+  if (to.sale_id !== undefined) data.sale_id = to.sale_id
+  if (to.transfer_id !== undefined) data.transfer_id = to.transfer_id
+  const updated = await tx.productSerial.updateMany({
+    where: { id: { in: rows.map((r) => r.id) }, ...fromWhere(from) },
+    data,
+  })
+  if (updated.count !== rows.length) {
+    throw httpError(409, `Los seriales de ${productName || 'el producto'} cambiaron mientras se procesaba; intenta de nuevo`, 'SERIAL_UNAVAILABLE')
+  }
+  await recordSerialEvents(tx, rows, {
+    event,
+    branchId: branchId !== undefined ? branchId : (to.branch_id ?? from.branchId ?? null),
+    refType,
+    refId,
+    userId,
+  })
+  return rows
+}
+
+/**
+ * Mueve los seriales de varias líneas (`byProduct` de serialsByLine) con el
+ * mismo origen y destino.
+ */
+async function moveSerialsByProduct(tx, byProduct, productsById, args) {
+  for (const [productId, serials] of byProduct) {
+    await moveSerials(tx, { ...args, productId, productName: productsById.get(productId)?.name, serials })
+  }
+}
+
+/**
+ * Anular una venta: las unidades que el cliente todavía tiene vuelven a las
+ * existencias de la sucursal de la venta. Las ya devueltas no se tocan (su
+ * stock volvió con la devolución), igual que las cantidades.
+ *
+ * @param {{ id: string, branch_id: string, sale_items: Array<{ product_id: string, serials?: string[] }> }} sale
+ */
+async function releaseSaleSerials(tx, { sale, userId }) {
+  const lines = sale.sale_items.filter((si) => si.serials?.length)
+  if (lines.length === 0) return []
+  const rows = await tx.productSerial.findMany({
+    where: {
+      sale_id: sale.id,
+      status: 'SOLD',
+      OR: lines.map((si) => ({ product_id: si.product_id, serial: { in: si.serials } })),
+    },
+    select: { id: true },
+  })
+  if (rows.length === 0) return []
+  await tx.productSerial.updateMany({
+    where: { id: { in: rows.map((r) => r.id) }, status: 'SOLD' },
+    data: { status: 'IN_STOCK', branch_id: sale.branch_id },
+  })
+  await recordSerialEvents(tx, rows, {
+    event: 'SALE_CANCELLED', branchId: sale.branch_id, refType: 'sale', refId: String(sale.id), userId,
+  })
+  return rows
+}
+
+module.exports = {
+  SELLABLE,
+  STATUS_LABELS,
+  normalizeSerials,
+  serialsByLine,
+  serialMismatch,
+  registerSerials,
+  loadSerialsAt,
+  moveSerials,
+  moveSerialsByProduct,
+  releaseSaleSerials,
+}
@@ -9,6 +9,7 @@
  */
 
 const { DateTime } = require('luxon')
+const { enqueueWebhookEvent } = require('./webhooks')
 
 // Cache para catálogos (evitar consultas repetitivas)
 let catalogCache = null
@@ -163,6 +164,24 @@ async function ensureStockAlertsBatch(tx, products, branchId) {
     }
 
     await Promise.all(operations)
+
+    // stock.below_min solo al abrir la alerta, no en cada venta que la
+    // actualiza. Va en la misma transacción; el scheduler lo entrega.
+    if (createData.length > 0) {
+      const branch = await tx.branch.findUnique({ where: { id: branchId }, select: { company_id: true } })
+      for (const alert of createData) {
+        await enqueueWebhookEvent(tx, {
+          companyId: branch.company_id,
+          event: 'stock.below_min',
+          data: {
+            branch_id: branchId,
+            product_id: alert.product_id,
+            stock: alert.current_stock,
+            min_stock: alert.min_stock,
+          },
+        })
+      }
+    }
   } catch (e) {
     console.error('[ensureStockAlertsBatch] ERROR:', e.message)
   }
@@ -12,6 +12,7 @@
 
 const { Prisma } = require('@prisma/client')
 const { requireBranchId } = require('./stockAvailability')
+const { parentProductError } = require('./variants')
 
 /** Orden de despacho: almacén, luego ubicación, luego código (desempate estable). */
 const DISPATCH_ORDER = Prisma.sql`w.dispatch_priority, l.dispatch_priority, l.code`
@@ -173,6 +174,30 @@ async function assertBranchLocations(tx, branchId, locationIds) {
   }
 }
 
+/**
+ * Ubicación de cuarentena de la sucursal: una que no despacha (`pickable`
+ * false). La pedida se valida; sin pedir, la primera por prioridad. 400 si la
+ * sucursal no tiene ninguna: hay que crearla antes de poner algo en cuarentena.
+ */
+async function quarantineLocationId(tx, branchId, locationId = null) {
+  const b = requireBranchId(branchId)
+  const only = locationId ? Prisma.sql`AND l.id = ${String(locationId)}::uuid` : Prisma.empty
+  const rows = await tx.$queryRaw`
+    SELECT l.id
+    FROM stock_locations l
+    JOIN warehouses w ON w.id = l.warehouse_id
+    WHERE w.branch_id = ${b}::uuid AND w.active AND l.active AND NOT l.pickable ${only}
+    ORDER BY ${DISPATCH_ORDER}
+    LIMIT 1
+  `
+  if (rows[0]) return String(rows[0].id)
+  const err = new Error(locationId
+    ? 'La ubicación de cuarentena tiene que ser de esta sucursal, estar activa y no despachar'
+    : 'La sucursal no tiene ubicación de cuarentena (una ubicación que no despacha)')
+  err.status = 400
+  throw err
+}
+
 /**
  * De qué ubicaciones salió (o a cuáles entró) una operación ya escrita en el
  * libro. El libro es append-only, así que sirve tanto en la misma transacción
@@ -223,6 +248,13 @@ async function applyLocationDeltas(tx, deltas, ctx = {}) {
   if (rows.length === 0) return []
   const b = requireBranchId(ctx.branchId)
 
+  // El padre de variantes no tiene existencias: entra y sale la variante.
+  const parent = await tx.product.findFirst({
+    where: { id: { in: [...new Set(rows.map((d) => d.product_id))] }, has_variants: true },
+    select: { name: true },
+  })
+  if (parent) throw parentProductError(parent.name)
+
   const pairs = Prisma.join(
     rows.map((d) => Prisma.sql`(${d.product_id}::uuid, ${d.location_id}::uuid)`)
   )
@@ -418,7 +450,9 @@ async function moveBetweenLocations(tx, { branchId, fromLocationId, toLocationId
  * Ubicaciones por debajo de su mínimo interno y de dónde reponerlas. Es otra
  * cosa que la alerta de compra (`product_stocks.min_stock`): aquí no falta
  * mercancía en la sucursal, falta en el anaquel. Sin origen sugerido significa
- * que tampoco hay en otra ubicación — eso sí es asunto del proveedor.
+ * que tampoco hay en otra ubicación — eso sí es asunto del proveedor, y
+ * `on_order` dice cuánto de ese producto ya viene en órdenes de compra abiertas
+ * de la sucursal (lo pedido menos lo recibido).
  */
 async function replenishmentSuggestions(tx, branchId) {
   const b = requireBranchId(branchId)
@@ -444,6 +478,13 @@ async function replenishmentSuggestions(tx, branchId) {
       WHERE wo.branch_id = ${b}::uuid AND wo.active AND lo.active
       -- El anaquel con más existencia: mover de donde sobra es lo que menos estorba.
       ORDER BY f.product_id, f.location_id, o.stock DESC, lo.code
+    ),
+    en_pedido AS (
+      SELECT pol.product_id, SUM(GREATEST(pol.qty_ordered - pol.qty_received, 0)) AS on_order
+      FROM purchase_order_lines pol
+      JOIN purchase_orders po ON po.id = pol.purchase_order_id
+      WHERE po.branch_id = ${b}::uuid AND po.status IN ('SENT', 'PARTIALLY_RECEIVED')
+      GROUP BY pol.product_id
     )
     SELECT f.product_id, p.name AS product_name, p.barcode,
            f.location_id, l.code AS location_code, l.name AS location_name,
@@ -451,7 +492,8 @@ async function replenishmentSuggestions(tx, branchId) {
            f.stock::int, f.min_stock::int, f.missing::int,
            g.from_location_id, fl.code AS from_location_code, fw.name AS from_warehouse_name,
            g.from_stock::int,
-           LEAST(f.missing, COALESCE(g.from_stock, 0))::int AS suggested_qty
+           LEAST(f.missing, COALESCE(g.from_stock, 0))::int AS suggested_qty,
+           COALESCE(ep.on_order, 0)::int AS on_order
     FROM faltantes f
     JOIN products p ON p.id = f.product_id AND NOT p.deleted
     JOIN stock_locations l ON l.id = f.location_id
@@ -459,6 +501,7 @@ async function replenishmentSuggestions(tx, branchId) {
     LEFT JOIN origen g ON g.product_id = f.product_id AND g.location_id = f.location_id
     LEFT JOIN stock_locations fl ON fl.id = g.from_location_id
     LEFT JOIN warehouses fw ON fw.id = fl.warehouse_id
+    LEFT JOIN en_pedido ep ON ep.product_id = f.product_id
     ORDER BY f.missing DESC, p.name
   `
 }
@@ -491,6 +534,7 @@ async function clearBranchLocations(tx, productId, branchId) {
 module.exports = {
   defaultLocationId,
   assertBranchLocations,
+  quarantineLocationId,
   dispatchedByRef,
   planDispatch,
   applyLocationDeltas,
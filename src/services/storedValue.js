@@ -0,0 +1,264 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Saldos a favor y tarjetas de regalo (`stored_value_accounts`): dinero que la
+ * empresa le debe al cliente y que se cobra como medio de pago.
+ *
+ *  - STORE_CREDIT: del cliente del maestro; nace de una devolución que no
+ *    devuelve dinero. Se cobra en ventas de ese mismo cliente.
+ *  - GIFT_CARD: al portador, con código; nace de vender un producto tarjeta
+ *    o de una devolución. La cobra quien traiga el código.
+ *
+ * Cálculo y validación puros; lo que toca la base está en storedValueLedger.js.
+ */
+
+const crypto = require('crypto')
+const { round2, toCents } = require('./accounting/logic')
+const { allocateAcrossTenders } = require('./salePayments')
+
+const KINDS = ['STORE_CREDIT', 'GIFT_CARD']
+const KIND_LABELS = { STORE_CREDIT: 'Saldo a favor', GIFT_CARD: 'Tarjeta de regalo' }
+const MOVEMENT_TYPES = ['ISSUE', 'REDEEM', 'REFUND', 'VOID', 'EXPIRE']
+const MOVEMENT_LABELS = {
+  ISSUE: 'Emisión', REDEEM: 'Cobro', REFUND: 'Reintegro', VOID: 'Anulación', EXPIRE: 'Vencimiento',
+}
+const REFUND_TARGETS = ['ORIGINAL', 'STORE_CREDIT', 'GIFT_CARD']
+
+/** Vigencia en días desde la emisión (0 = no vence), configurable por empresa. */
+const DEFAULT_VALIDITY_DAYS = { GIFT_CARD: 365, STORE_CREDIT: 0 }
+const VALIDITY_SETTING_KEYS = { GIFT_CARD: 'gift_card_validity_days', STORE_CREDIT: 'store_credit_validity_days' }
+
+/** Sin 0/O ni 1/I: el código se dicta y se teclea. */
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'
+const CODE_LENGTH = 12
+
+/** Antigüedad de los saldos vigentes en el reporte de pasivo (días desde la emisión). */
+const AGING_BUCKETS = [
+  { key: '0-90', label: '0 a 90 días', max: 90 },
+  { key: '91-180', label: '91 a 180 días', max: 180 },
+  { key: '181-365', label: '181 a 365 días', max: 365 },
+  { key: '365+', label: 'Más de un año', max: Infinity },
+]
+
+function httpError(status, message) {
+  const err = new Error(message)
+  err.status = status
+  return err
+}
+
+/** Código nuevo de CODE_LENGTH caracteres del alfabeto sin ambigüedades. */
+function generateCode(bytes = crypto.randomBytes(CODE_LENGTH)) {
+  let out = ''
+  for (let i = 0; i < CODE_LENGTH; i++) out += CODE_ALPHABET[bytes[i] % CODE_ALPHABET.length]
+  return out
+}
+
+/** Código como se guarda: mayúsculas, sin espacios ni guiones. 400 si no parece código. */
+function normalizeCode(raw) {
+  const code = String(raw ?? '').toUpperCase().replace(/[^A-Z0-9]/g, '')
+  if (code.length < 4 || code.length > 32) throw httpError(400, 'Código de tarjeta inválido')
+  return code
+}
+
+/** Destino del reembolso de una devolución (default ORIGINAL). */
+function parseRefundTarget(raw) {
+  if (raw === undefined || raw === null || raw === '') return 'ORIGINAL'
+  const t = String(raw).toUpperCase()
+  if (!REFUND_TARGETS.includes(t)) throw httpError(400, `refund_to debe ser uno de: ${REFUND_TARGETS.join(', ')}`)
+  return t
+}
+
+/** Vigencias de la empresa desde system_settings ({ clave: valor }). */
+function validityDays(settings = {}) {
+  const out = {}
+  for (const kind of KINDS) {
+    const n = parseInt(String(settings[VALIDITY_SETTING_KEYS[kind]] ?? ''), 10)
+    out[kind] = Number.isInteger(n) && n >= 0 ? n : DEFAULT_VALIDITY_DAYS[kind]
+  }
+  return out
+}
+
+/** Vence al final del día `days` desde `now` (en su zona); null si no vence. */
+function expiresAtFor(now, days) {
+  if (!days) return null
+  return now.plus({ days }).endOf('day').toJSDate()
+}
+
+function isExpired(account, now = new Date()) {
+  return Boolean(account.expires_at) && new Date(account.expires_at) < now
+}
+
+/**
+ * Que la cuenta pueda pagar `amount` en una venta: activa, vigente, con saldo
+ * y, si es saldo a favor, del mismo cliente de la venta.
+ */
+function assertRedeemable(account, amount, { now = new Date(), customerContactId = null } = {}) {
+  const label = account.kind === 'GIFT_CARD' ? `La tarjeta ${account.code}` : 'El saldo a favor'
+  if (!account.active) throw httpError(409, `${label} está anulada`)
+  if (isExpired(account, now)) throw httpError(409, `${label} venció`)
+  if (account.kind === 'STORE_CREDIT' && account.customer_contact_id !== customerContactId) {
+    throw httpError(400, 'El saldo a favor solo se cobra en ventas de su cliente')
+  }
+  if (toCents(account.balance) < toCents(amount)) {
+    throw httpError(409, `${label} tiene ${round2(account.balance)} y se quieren cobrar ${round2(amount)}`)
+  }
+}
+
+/**
+ * Cobros con saldo agrupados por cuenta: dos pagos con la misma tarjeta
+ * descuentan una sola vez. Sin código es el saldo a favor del cliente.
+ * @param {Array<{ index: number, code: string|null, amount: number }>} uses
+ * @returns {Array<{ code: string|null, amount: number, indexes: number[] }>}
+ */
+function groupRedemptions(uses) {
+  const byKey = new Map()
+  for (const u of uses) {
+    const code = u.code ? normalizeCode(u.code) : null
+    const key = code || ''
+    const g = byKey.get(key) || { code, amount: 0, indexes: [] }
+    g.amount = round2(g.amount + Number(u.amount))
+    g.indexes.push(u.index)
+    byKey.set(key, g)
+  }
+  return [...byKey.values()]
+}
+
+/**
+ * Tarjetas que emite una venta: una por unidad de cada línea de producto
+ * tarjeta, con el precio de la línea. La línea puede traer los códigos de
+ * tarjetas preimpresas (`gift_card_codes`); las que falten se generan.
+ * @param {Array<{ product_id, qty, price, gift_card_codes?: string[] }>} lines
+ * @param {(productId: string) => boolean} isGiftCard
+ * @returns {Array<{ line: number, amount: number, code: string|null }>}
+ */
+function giftCardIssues(lines, isGiftCard) {
+  const out = []
+  const seen = new Set()
+  lines.forEach((l, idx) => {
+    const provided = Array.isArray(l.gift_card_codes) ? l.gift_card_codes.map(normalizeCode) : []
+    if (!isGiftCard(String(l.product_id))) {
+      if (provided.length) throw httpError(400, 'gift_card_codes solo va en líneas de tarjeta de regalo')
+      return
+    }
+    const qty = Number(l.qty)
+    if (provided.length > qty) throw httpError(400, `La línea ${idx + 1} trae más códigos (${provided.length}) que tarjetas (${qty})`)
+    const amount = round2(l.price)
+    if (!(amount > 0)) throw httpError(400, 'Una tarjeta de regalo no se vende en 0')
+    for (let i = 0; i < qty; i++) {
+      const code = provided[i] || null
+      if (code) {
+        if (seen.has(code)) throw httpError(400, `El código ${code} está repetido en la venta`)
+        seen.add(code)
+      }
+      out.push({ line: idx, amount, code })
+    }
+  })
+  return out
+}
+
+/** Lo que una devolución abona como saldo: REFUND todo; EXCHANGE la diferencia a favor del cliente. */
+function returnCreditAmount({ type, totalRefund, priceDifference }) {
+  if (type === 'EXCHANGE') return round2(Math.max(0, -Number(priceDifference || 0)))
+  return round2(totalRefund)
+}
+
+/**
+ * Parte de un reembolso en dinero que vuelve a las cuentas de saldo con que se
+ * pagó la venta, repartido como en el asiento (proporcional a cada medio).
+ * @param {Array<{ amount, stored_value_account_id?: string|null }>} payments
+ * @returns {Array<{ account_id: string, amount: number }>}
+ */
+function storedValueRefundShares(payments, refund) {
+  const shares = allocateAcrossTenders(payments, refund)
+  const byAccount = new Map()
+  payments.forEach((p, i) => {
+    if (!p.stored_value_account_id || !(shares[i] > 0)) return
+    byAccount.set(p.stored_value_account_id, round2((byAccount.get(p.stored_value_account_id) || 0) + shares[i]))
+  })
+  return [...byAccount].map(([account_id, amount]) => ({ account_id, amount }))
+}
+
+/**
+ * Pasivo vigente: cuánto se debe por tipo, qué vence pronto y la antigüedad.
+ * @param {Array<{ kind, balance, created_at: Date, expires_at?: Date|null }>} accounts con saldo
+ * @param {{ now?: Date, soonDays?: number }} [opts]
+ */
+function summarizeLiability(accounts, { now = new Date(), soonDays = 30 } = {}) {
+  const soon = new Date(now.getTime() + soonDays * 86400000)
+  const byKind = Object.fromEntries(KINDS.map((k) => [k, { kind: k, accounts: 0, balance: 0 }]))
+  const aging = AGING_BUCKETS.map((b) => ({ key: b.key, label: b.label, accounts: 0, balance: 0 }))
+  const expiringSoon = { accounts: 0, balance: 0 }
+  let total = 0
+  for (const a of accounts) {
+    const balance = Number(a.balance) || 0
+    if (balance <= 0) continue
+    total += balance
+    byKind[a.kind].accounts += 1
+    byKind[a.kind].balance += balance
+    const age = Math.max(0, Math.floor((now - new Date(a.created_at)) / 86400000))
+    const bucket = aging[AGING_BUCKETS.findIndex((b) => age <= b.max)]
+    bucket.accounts += 1
+    bucket.balance += balance
+    if (a.expires_at && new Date(a.expires_at) <= soon) {
+      expiringSoon.accounts += 1
+      expiringSoon.balance += balance
+    }
+  }
+  const money = (o) => ({ ...o, balance: round2(o.balance) })
+  return {
+    total: round2(total),
+    by_kind: KINDS.map((k) => money(byKind[k])),
+    aging: aging.map(money),
+    expiring_soon: money(expiringSoon),
+  }
+}
+
+/**
+ * Movimientos del periodo por tipo de cuenta y de movimiento, en valor absoluto.
+ * @param {Array<{ type, amount, account: { kind } }>} movements
+ */
+function summarizeMovements(movements) {
+  const rows = new Map()
+  for (const m of movements) {
+    const key = `${m.account.kind}|${m.type}`
+    const r = rows.get(key) || { kind: m.account.kind, type: m.type, count: 0, amount: 0 }
+    r.count += 1
+    r.amount += Math.abs(Number(m.amount) || 0)
+    rows.set(key, r)
+  }
+  return [...rows.values()]
+    .map((r) => ({ ...r, amount: round2(r.amount) }))
+    .sort((a, b) => KINDS.indexOf(a.kind) - KINDS.indexOf(b.kind) || MOVEMENT_TYPES.indexOf(a.type) - MOVEMENT_TYPES.indexOf(b.type))
+}
+
+module.exports = {
+  KINDS,
+  KIND_LABELS,
+  MOVEMENT_TYPES,
+  MOVEMENT_LABELS,
+  REFUND_TARGETS,
+  DEFAULT_VALIDITY_DAYS,
+  VALIDITY_SETTING_KEYS,
+  AGING_BUCKETS,
+  generateCode,
+  normalizeCode,
+  parseRefundTarget,
+  validityDays,
+  expiresAtFor,
+  isExpired,
+  assertRedeemable,
+  groupRedemptions,
+  giftCardIssues,
+  returnCreditAmount,
+  storedValueRefundShares,
+  summarizeLiability,
+  summarizeMovements,
+}
@@ -0,0 +1,294 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Libro de saldos a favor y tarjetas de regalo: emitir, cobrar, reintegrar,
+ * anular y vencer. Todo corre dentro de la transacción de la venta o de la
+ * devolución que lo origina (`tx`), y cada cambio de saldo deja su fila en
+ * `stored_value_movements` con el saldo que quedó.
+ *
+ * El saldo se mueve con un UPDATE condicional (`balance >= monto`): dos cajas
+ * cobrando la misma tarjeta a la vez no la dejan en negativo.
+ */
+
+const { DateTime } = require('luxon')
+const { round2 } = require('./accounting/logic')
+const { getTimezone } = require('../utils/getTimezone')
+const {
+  VALIDITY_SETTING_KEYS,
+  generateCode,
+  normalizeCode,
+  validityDays,
+  expiresAtFor,
+  assertRedeemable,
+  groupRedemptions,
+  giftCardIssues,
+  storedValueRefundShares,
+} = require('./storedValue')
+
+/** Intentos de código nuevo antes de rendirse (colisión con 32^12 es teórica). */
+const CODE_ATTEMPTS = 5
+
+function httpError(status, message) {
+  const err = new Error(message)
+  err.status = status
+  return err
+}
+
+/** Vigencias configuradas de la empresa (system_settings). */
+async function getValidityDays(tx, companyId) {
+  const rows = await tx.systemSetting.findMany({
+    where: { company_id: companyId, key: { in: Object.values(VALIDITY_SETTING_KEYS) } },
+    select: { key: true, value: true },
+  })
+  return validityDays(Object.fromEntries(rows.map((r) => [r.key, r.value])))
+}
+
+/**
+ * Suma (o resta, con `amount` negativo) al saldo y deja el movimiento. Una
+ * resta que no alcanza es 409: el saldo cambió desde que se validó.
+ */
+async function applyMovement(tx, account, { type, amount, saleId = null, returnId = null, branchId = null, userId = null, notes = null, data = {} }) {
+  const value = round2(amount)
+  const where = value < 0 ? { id: account.id, balance: { gte: -value } } : { id: account.id }
+  const { count } = await tx.storedValueAccount.updateMany({
+    where,
+    data: { balance: value < 0 ? { decrement: -value } : { increment: value }, ...data },
+  })
+  if (count === 0) {
+    throw httpError(409, account.kind === 'GIFT_CARD'
+      ? `La tarjeta ${account.code} ya no tiene saldo suficiente`
+      : 'El saldo a favor ya no alcanza')
+  }
+  const updated = await tx.storedValueAccount.findUnique({ where: { id: account.id } })
+  const movement = await tx.storedValueMovement.create({
+    data: {
+      account_id: account.id,
+      type,
+      amount: value,
+      balance_after: updated.balance,
+      sale_id: saleId,
+      return_id: returnId,
+      branch_id: branchId,
+      created_by: userId,
+      notes,
+    },
+  })
+  return { account: updated, movement }
+}
+
+/** Código libre en la empresa: el pedido (409 si ya existe) o uno generado. */
+async function freeCode(tx, companyId, wanted) {
+  if (wanted) {
+    const code = normalizeCode(wanted)
+    const taken = await tx.storedValueAccount.findUnique({ where: { company_id_code: { company_id: companyId, code } } })
+    if (taken) throw httpError(409, `Ya existe una tarjeta con el código ${code}`)
+    return code
+  }
+  for (let i = 0; i < CODE_ATTEMPTS; i++) {
+    const code = generateCode()
+    const taken = await tx.storedValueAccount.findUnique({ where: { company_id_code: { company_id: companyId, code } } })
+    if (!taken) return code
+  }
+  throw new Error('No se pudo generar un código de tarjeta libre')
+}
+
+/**
+ * Emite saldo: una tarjeta de regalo nueva o, para un cliente, suma a su saldo
+ * a favor activo (se crea si no tiene). La vigencia se cuenta desde hoy; el
+ * saldo a favor que recibe más dinero renueva su vencimiento.
+ * @returns {Promise<{ account, movement }>}
+ */
+async function issue(tx, { companyId, kind, amount, code = null, customerContactId = null, saleId = null, returnId = null, branchId = null, userId = null, notes = null, now = null }) {
+  const days = (await getValidityDays(tx, companyId))[kind]
+  const today = now || DateTime.now().setZone(await getTimezone(tx, companyId))
+  const expiresAt = expiresAtFor(today, days)
+  const ctx = { type: 'ISSUE', amount, saleId, returnId, branchId, userId, notes }
+
+  if (kind === 'STORE_CREDIT') {
+    if (!customerContactId) throw httpError(400, 'El saldo a favor necesita un cliente del maestro')
+    const current = await tx.storedValueAccount.findFirst({
+      where: { company_id: companyId, kind, customer_contact_id: customerContactId, active: true },
+    })
+    if (current) return applyMovement(tx, current, { ...ctx, data: { expires_at: expiresAt } })
+  }
+
+  const account = await tx.storedValueAccount.create({
+    data: {
+      company_id: companyId,
+      kind,
+      code: await freeCode(tx, companyId, code),
+      customer_contact_id: kind === 'STORE_CREDIT' ? customerContactId : null,
+      initial_amount: round2(amount),
+      expires_at: expiresAt,
+      branch_id: branchId,
+      created_by: userId,
+    },
+  })
+  return applyMovement(tx, account, ctx)
+}
+
+/**
+ * Cobra los medios «Saldo a favor» de una venta. Cada uso trae el código de la
+ * tarjeta o, sin código, se cobra del saldo a favor del cliente de la venta.
+ * @param {Array<{ index: number, code: string|null, amount: number }>} uses
+ * @returns {Promise<Map<number, string>>} índice del medio → cuenta cobrada
+ */
+async function redeemTenders(tx, uses, { companyId, customerContactId, saleId, branchId, userId, now = new Date() }) {
+  const accountByTender = new Map()
+  for (const group of groupRedemptions(uses)) {
+    let account
+    if (group.code) {
+      account = await tx.storedValueAccount.findUnique({ where: { company_id_code: { company_id: companyId, code: group.code } } })
+      if (!account) throw httpError(400, `Tarjeta no encontrada: ${group.code}`)
+    } else {
+      if (!customerContactId) throw httpError(400, 'Para cobrar con saldo a favor indique el código de la tarjeta o el cliente de la venta')
+      account = await tx.storedValueAccount.findFirst({
+        where: { company_id: companyId, kind: 'STORE_CREDIT', customer_contact_id: customerContactId, active: true },
+      })
+      if (!account) throw httpError(400, 'El cliente no tiene saldo a favor')
+    }
+    assertRedeemable(account, group.amount, { now, customerContactId })
+    await applyMovement(tx, account, { type: 'REDEEM', amount: -group.amount, saleId, branchId, userId })
+    for (const idx of group.indexes) accountByTender.set(idx, account.id)
+  }
+  return accountByTender
+}
+
+/**
+ * Emite las tarjetas de las líneas de producto tarjeta de una venta.
+ * @param {Array} lines líneas ya con precio resuelto (y `gift_card_codes` si vienen)
+ * @param {Set<string>} giftCardIds productos que son tarjeta
+ */
+async function issueSaleGiftCards(tx, lines, giftCardIds, { companyId, saleId, branchId, userId }) {
+  const issued = []
+  for (const g of giftCardIssues(lines, (id) => giftCardIds.has(id))) {
+    const { account } = await issue(tx, {
+      companyId, kind: 'GIFT_CARD', amount: g.amount, code: g.code, saleId, branchId, userId,
+    })
+    issued.push(account)
+  }
+  return issued
+}
+
+/**
+ * Deshace lo que una venta hizo con saldos al anularse: lo cobrado vuelve a
+ * cada cuenta y las tarjetas que emitió se anulan. Una tarjeta ya usada no se
+ * puede anular (409): el dinero ya salió en otra venta.
+ */
+async function reverseSale(tx, saleId, { branchId = null, userId = null } = {}) {
+  const movements = await tx.storedValueMovement.findMany({
+    where: { sale_id: saleId, type: { in: ['ISSUE', 'REDEEM', 'REFUND'] } },
+    include: { account: true },
+    orderBy: { created_at: 'asc' },
+  })
+  // Lo cobrado menos lo que ya reintegraron sus devoluciones.
+  const redeemed = new Map()
+  for (const m of movements) {
+    if (m.type === 'ISSUE') continue
+    redeemed.set(m.account_id, round2((redeemed.get(m.account_id) || 0) - Number(m.amount)))
+  }
+  // Solo las tarjetas que vendió; el saldo que emitió una devolución se queda.
+  for (const m of movements.filter((x) => x.type === 'ISSUE' && !x.return_id)) {
+    const later = await tx.storedValueMovement.count({ where: { account_id: m.account_id, id: { not: m.id } } })
+    if (later > 0) throw httpError(409, `La tarjeta ${m.account.code} ya se usó; no se puede anular la venta que la emitió`)
+    await applyMovement(tx, m.account, {
+      type: 'VOID', amount: -Number(m.amount), saleId, branchId, userId, notes: 'Venta anulada', data: { active: false },
+    })
+  }
+  for (const [accountId, amount] of redeemed) {
+    if (!(amount > 0)) continue
+    const account = movements.find((m) => m.account_id === accountId).account
+    await applyMovement(tx, account, { type: 'REFUND', amount, saleId, branchId, userId, notes: 'Venta anulada' })
+  }
+}
+
+/**
+ * Al completarse una devolución: si se reembolsa como saldo, lo emite; si se
+ * devuelve dinero, la parte que se había pagado con saldo vuelve a su cuenta.
+ * @returns {Promise<object|null>} la cuenta emitida, si hubo
+ */
+async function settleReturn(tx, ret, { companyId, branchId, userId }) {
+  const credit = round2(ret.credit_amount)
+  if (ret.refund_to !== 'ORIGINAL' && credit > 0) {
+    const { account } = await issue(tx, {
+      companyId,
+      kind: ret.refund_to === 'STORE_CREDIT' ? 'STORE_CREDIT' : 'GIFT_CARD',
+      amount: credit,
+      customerContactId: ret.sale.customer_contact_id,
+      saleId: ret.sale_id,
+      returnId: ret.id,
+      branchId,
+      userId,
+      notes: 'Reembolso de devolución',
+    })
+    return account
+  }
+  if (ret.type !== 'REFUND') return null
+  const payments = await tx.salePayment.findMany({
+    where: { sale_id: ret.sale_id },
+    select: { amount: true, stored_value_account_id: true },
+    orderBy: { sort_order: 'asc' },
+  })
+  for (const share of storedValueRefundShares(payments, Number(ret.total_refund))) {
+    const account = await tx.storedValueAccount.findUnique({ where: { id: share.account_id } })
+    await applyMovement(tx, account, {
+      type: 'REFUND', amount: share.amount, saleId: ret.sale_id, returnId: ret.id, branchId, userId, notes: 'Devolución',
+    })
+  }
+  return null
+}
+
+/**
+ * Vence los saldos pasados de fecha (tarea `stored-value-expiry`). Cada cuenta
+ * en su transacción: una que falle se registra en el log y en `failed`, y las
+ * demás siguen.
+ * @returns {Promise<{ expired: number, amount: number, failed: number }>}
+ */
+async function expireStoredValue(prisma, { now = new Date() } = {}) {
+  const due = await prisma.storedValueAccount.findMany({
+    where: { active: true, expires_at: { lt: now } },
+    select: { id: true },
+  })
+  const summary = { expired: 0, amount: 0, failed: 0 }
+  for (const { id } of due) {
+    try {
+      const expired = await prisma.$transaction(async (tx) => {
+        const account = await tx.storedValueAccount.findUnique({ where: { id } })
+        if (!account?.active) return null
+        const balance = round2(account.balance)
+        if (balance > 0) {
+          await applyMovement(tx, account, { type: 'EXPIRE', amount: -balance, notes: 'Vencimiento', data: { active: false } })
+        } else {
+          await tx.storedValueAccount.update({ where: { id }, data: { active: false } })
+        }
+        return Math.max(balance, 0)
+      })
+      if (expired === null) continue
+      summary.expired += 1
+      summary.amount = round2(summary.amount + expired)
+    } catch (e) {
+      summary.failed += 1
+      console.error(`[stored-value-expiry] cuenta ${id}:`, e?.message || e)
+    }
+  }
+  return summary
+}
+
+module.exports = {
+  getValidityDays,
+  applyMovement,
+  issue,
+  redeemTenders,
+  issueSaleGiftCards,
+  reverseSale,
+  settleReturn,
+  expireStoredValue,
+}
@@ -0,0 +1,178 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Códigos de un solo uso por tiempo (TOTP, RFC 6238): 6 dígitos, pasos de
+ * 30 s, HMAC-SHA1. Es lo que generan Google Authenticator, Authy, 1Password…
+ *
+ * El secreto se guarda cifrado (AES-256-GCM): a diferencia de un hash, hay que
+ * poder recuperarlo para verificar. Los códigos de recuperación sí van solo
+ * como hash, igual que los refresh tokens.
+ */
+
+const crypto = require('crypto')
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+const STEP_SECONDS = 30
+const DIGITS = 6
+const SECRET_BYTES = 20
+const RECOVERY_CODE_COUNT = 10
+
+function base32Encode(buf) {
+  let bits = 0
+  let value = 0
+  let out = ''
+  for (const byte of buf) {
+    value = (value << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+  return out
+}
+
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, '')
+  let bits = 0
+  let value = 0
+  const out = []
+  for (const ch of clean) {
+    const idx = BASE32_ALPHABET.indexOf(ch)
+    if (idx === -1) throw new Error('Secreto base32 inválido')
+    value = (value << 5) | idx
+    bits += 5
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255)
+      bits -= 8
+    }
+  }
+  return Buffer.from(out)
+}
+
+/** Secreto nuevo en base32 (lo que se muestra / va en el QR). */
+function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES))
+}
+
+/** Paso de tiempo (contador) para un instante. */
+function totpStep(at = Date.now()) {
+  return Math.floor(at / 1000 / STEP_SECONDS)
+}
+
+/** Código del paso dado (HOTP sobre el contador de tiempo). */
+function totpCode(secret, step, digits = DIGITS) {
+  const counter = Buffer.alloc(8)
+  counter.writeBigUInt64BE(BigInt(step))
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest()
+  const offset = hmac[hmac.length - 1] & 0x0f
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff
+  return String(binary % 10 ** digits).padStart(digits, '0')
+}
+
+/**
+ * Verifica un código con ±`window` pasos de tolerancia (relojes de celular
+ * desfasados). Un paso igual o anterior a `lastStep` ya se usó: se rechaza,
+ * así un código visto por encima del hombro no sirve dos veces.
+ *
+ * @returns {number|null} el paso que coincidió (guardarlo como último usado), o null
+ */
+function verifyTotp(secret, code, { at = Date.now(), window = 1, lastStep = null } = {}) {
+  const clean = String(code ?? '').replace(/\s/g, '')
+  if (!/^\d{6}$/.test(clean)) return null
+  const current = totpStep(at)
+  for (let delta = -window; delta <= window; delta++) {
+    const step = current + delta
+    if (lastStep != null && step <= lastStep) continue
+    const expected = totpCode(secret, step)
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) return step
+  }
+  return null
+}
+
+/** URI otpauth:// para el código QR de la app autenticadora. */
+function otpauthUrl(secret, { issuer, account }) {
+  const label = encodeURIComponent(`${issuer}:${account}`)
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) })
+  return `otpauth://totp/${label}?${params}`
+}
+
+function encryptionKey(keyMaterial) {
+  return crypto.createHash('sha256').update(`totp:${keyMaterial}`).digest()
+}
+
+/** Cifra el secreto para guardarlo: "iv.tag.datos" en base64url. */
+function sealTotpSecret(secret, keyMaterial) {
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(keyMaterial), iv)
+  const data = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()])
+  return [iv, cipher.getAuthTag(), data].map((b) => b.toString('base64url')).join('.')
+}
+
+function openTotpSecret(sealed, keyMaterial) {
+  const [iv, tag, data] = String(sealed).split('.').map((p) => Buffer.from(p, 'base64url'))
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(keyMaterial), iv)
+  decipher.setAuthTag(tag)
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8')
+}
+
+/** Normaliza lo que escribe el usuario: sin guiones ni espacios, en minúscula. */
+function normalizeRecoveryCode(code) {
+  return String(code ?? '').toLowerCase().replace(/[^a-z0-9]/g, '')
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex')
+}
+
+/**
+ * Códigos de recuperación (para cuando se pierde el celular): se muestran una
+ * sola vez; se guardan los hashes y cada uno sirve una vez.
+ *
+ * @returns {{ codes: string[], hashes: string[] }}
+ */
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  const codes = []
+  while (codes.length < count) {
+    const raw = crypto.randomBytes(5).toString('hex') // 10 caracteres hex
+    const code = `${raw.slice(0, 5)}-${raw.slice(5)}`
+    if (!codes.includes(code)) codes.push(code)
+  }
+  return { codes, hashes: codes.map(hashRecoveryCode) }
+}
+
+/**
+ * Si el código está entre los hashes guardados, devuelve la lista sin él
+ * (para guardarla); si no, null.
+ */
+function consumeRecoveryCode(hashes, code) {
+  if (!normalizeRecoveryCode(code)) return null
+  const hash = hashRecoveryCode(code)
+  const idx = (hashes || []).indexOf(hash)
+  if (idx === -1) return null
+  return hashes.filter((_, i) => i !== idx)
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  totpStep,
+  totpCode,
+  verifyTotp,
+  otpauthUrl,
+  sealTotpSecret,
+  openTotpSecret,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+}
@@ -0,0 +1,168 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Diferencias al recibir un traslado (`transfer_discrepancies`):
+ *
+ *  - DAMAGED / MISSING: salió del origen y no entró al destino. Queda en
+ *    disputa —de la empresa, en ningún anaquel— hasta resolverse: vuelve al
+ *    origen, se da de baja (merma) o se le cobra al transportista.
+ *  - OVER_SHIPPED: llegó de más. El origen nunca lo descontó, así que no entra
+ *    al destino; se resuelve devolviéndolo, sin tocar existencias.
+ *
+ * Cálculo y validación puros; lo que toca la base está en transfers.controller.js.
+ */
+
+const { round2 } = require('./accounting/logic')
+
+const REASONS = ['DAMAGED', 'MISSING', 'OVER_SHIPPED']
+const REASON_LABELS = { DAMAGED: 'Dañado', MISSING: 'Faltante', OVER_SHIPPED: 'Enviado de más' }
+/** Las que dejan mercancía en disputa (salió del origen y no está en ningún lado). */
+const DISPUTE_REASONS = ['DAMAGED', 'MISSING']
+const RESOLUTIONS = ['RETURN_TO_ORIGIN', 'WRITE_OFF', 'CHARGE_CARRIER']
+const RESOLUTION_LABELS = {
+  RETURN_TO_ORIGIN: 'Devuelto al origen', WRITE_OFF: 'Dado de baja', CHARGE_CARRIER: 'Cobrado al transportista',
+}
+
+function httpError(status, message) {
+  const err = new Error(message)
+  err.status = status
+  return err
+}
+
+/**
+ * Qué entra al destino de una línea y qué queda como diferencia.
+ * `qtyReceived` son las unidades buenas; `qtyDamaged` las que llegaron pero no
+ * sirven. Lo que no llegó es faltante. Recibir de más solo se acepta sin
+ * dañadas y sin número de serie (una unidad serializada de más no existe en
+ * ningún libro).
+ * @param {{ qty_sent: number, serials?: string[] }} line
+ * @returns {{ accept: number, discrepancies: Array<{ reason: string, qty: number }> }}
+ */
+function receiptOutcome(line, { qtyReceived, qtyDamaged = 0 }) {
+  const sent = Number(line.qty_sent)
+  if (!Number.isInteger(qtyDamaged) || qtyDamaged < 0) {
+    throw httpError(400, 'qty_damaged debe ser un entero >= 0')
+  }
+  if (qtyReceived > sent) {
+    if (qtyDamaged > 0) throw httpError(400, 'Una línea que llegó de más no puede traer dañadas; recíbalas y ajústelas')
+    if ((line.serials || []).length > 0) throw httpError(400, 'Con número de serie no se recibe más de lo enviado')
+    return { accept: sent, discrepancies: [{ reason: 'OVER_SHIPPED', qty: qtyReceived - sent }] }
+  }
+  if (qtyReceived + qtyDamaged > sent) {
+    throw httpError(400, `Recibido más dañado (${qtyReceived + qtyDamaged}) supera lo enviado (${sent})`)
+  }
+  const discrepancies = []
+  if (qtyDamaged > 0) discrepancies.push({ reason: 'DAMAGED', qty: qtyDamaged })
+  const missing = sent - qtyReceived - qtyDamaged
+  if (missing > 0) discrepancies.push({ reason: 'MISSING', qty: missing })
+  return { accept: qtyReceived, discrepancies }
+}
+
+/**
+ * Reparte los lotes que viajaron: los primeros `skip` son los que entraron al
+ * destino (así los recrea la recepción) y el resto se asigna en orden a cada
+ * cantidad de `qtys`.
+ * @param {Array<{ qty: number }>|null} snapshot lotes FEFO de la línea
+ * @returns {Array<Array<object>|null>} un snapshot por cantidad (null si no hay lotes)
+ */
+function splitLots(snapshot, skip, qtys) {
+  if (!Array.isArray(snapshot) || snapshot.length === 0) return qtys.map(() => null)
+  const lots = snapshot.map((l) => ({ ...l, qty: Number(l.qty) || 0 }))
+  let i = 0
+  const take = (n) => {
+    const out = []
+    let left = n
+    while (left > 0 && i < lots.length) {
+      const used = Math.min(left, lots[i].qty)
+      if (used > 0) out.push({ ...lots[i], qty: used })
+      lots[i].qty -= used
+      left -= used
+      if (lots[i].qty === 0) i++
+    }
+    return out
+  }
+  take(skip)
+  return qtys.map((n) => {
+    const part = take(n)
+    return part.length ? part : null
+  })
+}
+
+/**
+ * Valida y normaliza cómo se resuelve una diferencia abierta. Cobrar al
+ * transportista pide su nombre; el monto por defecto es el costo.
+ * @param {{ reason, qty, unit_cost, resolution? }} discrepancy
+ * @returns {{ resolution, carrier_name: string|null, charge_amount: number|null, resolution_notes: string|null }}
+ */
+function parseResolution(discrepancy, body = {}) {
+  if (discrepancy.resolution) throw httpError(409, 'La diferencia ya fue resuelta')
+  const resolution = String(body.resolution || '').toUpperCase()
+  if (!RESOLUTIONS.includes(resolution)) {
+    throw httpError(400, `resolution debe ser uno de: ${RESOLUTIONS.join(', ')}`)
+  }
+  if (discrepancy.reason === 'OVER_SHIPPED' && resolution !== 'RETURN_TO_ORIGIN') {
+    throw httpError(400, 'Lo que llegó de más solo se devuelve al origen')
+  }
+  const notes = body.notes != null ? String(body.notes).trim().slice(0, 255) || null : null
+  if (resolution !== 'CHARGE_CARRIER') {
+    return { resolution, carrier_name: null, charge_amount: null, resolution_notes: notes }
+  }
+  const carrier = String(body.carrier_name || '').trim()
+  if (!carrier) throw httpError(400, 'carrier_name es requerido para cobrar al transportista')
+  if (carrier.length > 150) throw httpError(400, 'carrier_name admite hasta 150 caracteres')
+  const cost = round2(Number(discrepancy.qty) * Number(discrepancy.unit_cost))
+  const charge = body.charge_amount == null || body.charge_amount === '' ? cost : Number(body.charge_amount)
+  if (!Number.isFinite(charge) || charge < 0) throw httpError(400, 'charge_amount debe ser un número >= 0')
+  return { resolution, carrier_name: carrier, charge_amount: round2(charge), resolution_notes: notes }
+}
+
+/**
+ * Partida de una diferencia resuelta. La baja es merma (costo de lo vendido
+ * contra inventario); el cobro al transportista pasa el inventario a cuentas
+ * por cobrar y lo que se cobre de más o de menos que el costo ajusta el costo.
+ * Devolver al origen no lleva partida: el inventario nunca salió de la empresa.
+ * @param {{ resolution, cost: number, charge?: number|null }} d costo ya en base contable
+ * @param {{ cogs, inventory, receivables }} accounts ids de cuenta
+ * @returns {Array<{ account_id, debit: number, credit: number }>}
+ */
+function discrepancyEntryLines({ resolution, cost, charge }, accounts) {
+  const c = round2(cost)
+  let lines = []
+  if (resolution === 'WRITE_OFF') {
+    lines = [
+      { account_id: accounts.cogs, debit: c, credit: 0 },
+      { account_id: accounts.inventory, debit: 0, credit: c },
+    ]
+  } else if (resolution === 'CHARGE_CARRIER') {
+    const amount = round2(charge ?? c)
+    const diff = round2(amount - c)
+    lines = [
+      { account_id: accounts.receivables, debit: amount, credit: 0 },
+      { account_id: accounts.inventory, debit: 0, credit: c },
+      diff < 0
+        ? { account_id: accounts.cogs, debit: -diff, credit: 0 }
+        : { account_id: accounts.cogs, debit: 0, credit: diff },
+    ]
+  }
+  return lines.filter((l) => l.debit > 0 || l.credit > 0)
+}
+
+module.exports = {
+  REASONS,
+  REASON_LABELS,
+  DISPUTE_REASONS,
+  RESOLUTIONS,
+  RESOLUTION_LABELS,
+  receiptOutcome,
+  splitLots,
+  parseResolution,
+  discrepancyEntryLines,
+}
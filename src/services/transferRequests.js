@@ -0,0 +1,117 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Solicitudes de traslado: la sucursal que necesita mercancía la pide
+ * (SOLICITADA), la que la tiene aprueba ajustando cantidades (APROBADA) y
+ * después despacha (EN_TRANSITO, el traslado de siempre). Ninguno de los dos
+ * primeros pasos mueve stock; el despacho es el que resta en el origen.
+ *
+ * Validación pura; lo que toca la base está en transfers.controller.js.
+ */
+
+const REQUEST_STATUSES = ['SOLICITADA', 'APROBADA']
+
+/** Desde qué estados se puede hacer cada paso. */
+const TRANSITIONS = {
+  approve: ['SOLICITADA'],
+  reject: ['SOLICITADA', 'APROBADA'],
+  dispatch: ['APROBADA'],
+  cancel: ['SOLICITADA', 'APROBADA', 'EN_TRANSITO'],
+}
+
+const ACTION_LABELS = {
+  approve: 'aprobar', reject: 'rechazar', dispatch: 'despachar', cancel: 'cancelar',
+}
+
+function httpError(status, message) {
+  const err = new Error(message)
+  err.status = status
+  return err
+}
+
+/** 400 si el traslado no está en un estado desde el que se puede `action`. */
+function assertTransition(status, action) {
+  if (!TRANSITIONS[action].includes(status)) {
+    throw httpError(400, `No se puede ${ACTION_LABELS[action]} un traslado ${status}`)
+  }
+}
+
+/**
+ * Cantidades por producto de los items del cuerpo (líneas repetidas del mismo
+ * producto se suman). 400 si alguno no trae product_id o qty entero > 0.
+ * @returns {Array<{ product_id: string, qty: number }>}
+ */
+function aggregateItems(items) {
+  if (!Array.isArray(items) || items.length === 0) throw httpError(400, 'items es requerido')
+  const qtyByProduct = new Map()
+  for (const it of items) {
+    const pid = String(it?.product_id || '')
+    const qty = Number(it?.qty || 0)
+    if (!pid || !Number.isInteger(qty) || qty <= 0) {
+      throw httpError(400, 'Cada item debe tener product_id y qty entero > 0')
+    }
+    qtyByProduct.set(pid, (qtyByProduct.get(pid) || 0) + qty)
+  }
+  return [...qtyByProduct].map(([product_id, qty]) => ({ product_id, qty }))
+}
+
+/**
+ * Lo que aprueba el origen. Sin `edits` se aprueba lo pedido; cada edición
+ * fija la cantidad de una línea y 0 la deja fuera del envío (la línea se
+ * conserva: lo pedido sigue a la vista). Aprobar de más también se permite
+ * (el origen puede mandar la caja completa). 400 si una línea no es del
+ * traslado o si no queda nada por enviar: eso es rechazar.
+ * @param {Array<{ id, product_id, qty_sent }>} lines líneas de la solicitud
+ * @param {Array<{ line_id, qty }>} [edits]
+ * @returns {Array<{ id, product_id, qty }>} todas las líneas con su cantidad aprobada
+ */
+function approvedLines(lines, edits) {
+  const qtyByLine = new Map(lines.map((l) => [String(l.id), Number(l.qty_sent)]))
+  if (edits != null) {
+    if (!Array.isArray(edits)) throw httpError(400, 'lines debe ser una lista de { line_id, qty }')
+    for (const e of edits) {
+      const lineId = String(e?.line_id || '')
+      const qty = Number(e?.qty)
+      if (!qtyByLine.has(lineId)) throw httpError(400, `La línea ${lineId || '(vacía)'} no es de este traslado`)
+      if (!Number.isInteger(qty) || qty < 0) throw httpError(400, 'Cada línea debe tener line_id y qty entero >= 0')
+      qtyByLine.set(lineId, qty)
+    }
+  }
+  const out = lines.map((l) => ({ id: l.id, product_id: l.product_id, qty: qtyByLine.get(String(l.id)) }))
+  if (!out.some((l) => l.qty > 0)) throw httpError(400, 'No queda nada por enviar; rechace la solicitud')
+  return out
+}
+
+/**
+ * Solicitudes pendientes con lo que hay disponible en el origen por línea, para
+ * que quien aprueba vea de un vistazo qué no alcanza.
+ * @param {Array<{ from_branch_id, lines: Array<{ product_id, qty_sent }> }>} transfers
+ * @param {Map<string, Object<string, { available: number }>>} availabilityByBranch origen → { producto: disponibilidad } (getAvailabilityBatch)
+ */
+function withOriginAvailability(transfers, availabilityByBranch) {
+  return transfers.map((t) => {
+    const byProduct = availabilityByBranch.get(String(t.from_branch_id)) || {}
+    const lines = t.lines.map((l) => {
+      const available = Number(byProduct[String(l.product_id)]?.available ?? 0)
+      return { ...l, available_at_origin: available, short: Math.max(0, l.qty_sent - available) }
+    })
+    return { ...t, lines, can_fulfill: lines.every((l) => l.short === 0) }
+  })
+}
+
+module.exports = {
+  REQUEST_STATUSES,
+  TRANSITIONS,
+  assertTransition,
+  aggregateItems,
+  approvedLines,
+  withOriginAvailability,
+}
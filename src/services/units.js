@@ -0,0 +1,255 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Unidades de medida. Las existencias, el kardex y las líneas guardan la
+ * cantidad SIEMPRE en la unidad base del producto (entera). Una línea puede
+ * capturarse en otra unidad configurada del producto (`unit_id` o `unit` con
+ * el código): aquí se convierte con su factor y la línea recuerda lo que se
+ * capturó (`unit_id`, `unit_qty`, `unit_factor`) para imprimirlo igual.
+ *
+ * Producto a granel: base en la unidad más chica que se despacha (G, ML, CM)
+ * y la de venta con decimales (KG con factor 1000): 1.5 KG = 1500 G.
+ */
+
+/** Con las que nace una empresa; cada quien agrega las suyas (FARDO, QQ...). */
+const DEFAULT_UNITS = [
+  { code: 'UND', name: 'Unidad', allows_decimal: false },
+  { code: 'CAJA', name: 'Caja', allows_decimal: false },
+  { code: 'PAQ', name: 'Paquete', allows_decimal: false },
+  { code: 'DOC', name: 'Docena', allows_decimal: false },
+  { code: 'KG', name: 'Kilogramo', allows_decimal: true },
+  { code: 'G', name: 'Gramo', allows_decimal: false },
+  { code: 'LB', name: 'Libra', allows_decimal: true },
+  { code: 'L', name: 'Litro', allows_decimal: true },
+  { code: 'ML', name: 'Mililitro', allows_decimal: false },
+  { code: 'M', name: 'Metro', allows_decimal: true },
+  { code: 'CM', name: 'Centímetro', allows_decimal: false },
+]
+
+/** Redondeo de la conversión: 1/3 de caja no es una cantidad base entera. */
+const BASE_QTY_EPSILON = 1e-6
+/** Decimales del precio por unidad base (un paquete de 24 a Q100 = 4.166667). */
+const BASE_PRICE_DECIMALS = 6
+
+function badRequest(message) {
+  const err = new Error(message)
+  err.status = 400
+  return err
+}
+
+/**
+ * Cantidad capturada → cantidad en unidad base (entera).
+ *
+ * @param {number|string} qty
+ * @param {number|string} factor unidades base por una de la unidad capturada
+ * @param {{ allowsDecimal?: boolean, label?: string, unitCode?: string }} [options]
+ * @returns {number}
+ */
+function toBaseQty(qty, factor, options = {}) {
+  const label = options.label || 'la línea'
+  const q = Number(qty)
+  const f = Number(factor)
+  if (!Number.isFinite(q) || q <= 0) throw badRequest(`Cantidad inválida en ${label}`)
+  if (!Number.isFinite(f) || f <= 0) throw badRequest(`Factor de conversión inválido en ${label}`)
+  if (!options.allowsDecimal && !Number.isInteger(q)) {
+    throw badRequest(`${options.unitCode || 'La unidad'} no admite decimales (${label})`)
+  }
+  const base = q * f
+  const rounded = Math.round(base)
+  if (Math.abs(base - rounded) > BASE_QTY_EPSILON || rounded <= 0) {
+    const captured = options.unitCode ? `${q} ${options.unitCode}` : String(q)
+    throw badRequest(`${captured} no da una cantidad entera en la unidad base (${label}: ${base})`)
+  }
+  return rounded
+}
+
+/** Precio por unidad base a partir del de una unidad con `factor`. */
+function basePriceFromUnitPrice(unitPrice, factor) {
+  const p = Number(unitPrice) / Number(factor)
+  const k = 10 ** BASE_PRICE_DECIMALS
+  return Math.round(p * k) / k
+}
+
+/**
+ * Precio por unidad base de una línea. Una unidad con precio propio (el
+ * fardo a Q95 en vez de 24 × Q4.25) lo impone en la tarifa de lista; las
+ * demás tarifas (mayoreo, promoción) son por unidad base y se multiplican.
+ *
+ * @param {number} tierBasePrice precio de la tarifa por unidad base
+ * @param {{ unit_price_override?: number|null, unit_factor?: number }|null} unit
+ * @param {'LIST'|'WHOLESALE'|'PROMOTION'} tier
+ */
+function lineBasePrice(tierBasePrice, unit, tier) {
+  if (unit && unit.unit_price_override != null && tier === 'LIST') {
+    return basePriceFromUnitPrice(unit.unit_price_override, unit.unit_factor)
+  }
+  return tierBasePrice
+}
+
+/**
+ * Unidad base y unidades configuradas de cada producto.
+ *
+ * @returns {Promise<Map<string, { baseUnit: object|null, units: object[] }>>}
+ */
+async function loadProductUnits(db, productIds) {
+  const ids = [...new Set(productIds.map(String))]
+  if (ids.length === 0) return new Map()
+  const products = await db.product.findMany({
+    where: { id: { in: ids } },
+    select: {
+      id: true,
+      name: true,
+      baseUnit: { select: { id: true, code: true, name: true, allows_decimal: true } },
+      units: {
+        include: { unit: { select: { id: true, code: true, name: true, allows_decimal: true, active: true } } },
+      },
+    },
+  })
+  return new Map(products.map((p) => [String(p.id), { name: p.name, baseUnit: p.baseUnit, units: p.units }]))
+}
+
+/** La unidad que pide la línea, por id o por código; null = unidad base. */
+function requestedUnit(line) {
+  if (line.unit_id != null && line.unit_id !== '') return { id: Number(line.unit_id) }
+  if (line.unit != null && String(line.unit).trim() !== '') return { code: String(line.unit).trim().toUpperCase() }
+  return null
+}
+
+/**
+ * Convierte las líneas capturadas a unidad base. Sin unidad, la cantidad ya
+ * es base (los clientes de antes no cambian). Cada línea sale con la
+ * cantidad base en `qtyField` y, si vino en otra unidad, con lo capturado en
+ * `unit_id` / `unit_qty` / `unit_factor` (+ `unit_price_override` para el precio).
+ *
+ * @param {import('@prisma/client').PrismaClient|import('@prisma/client').Prisma.TransactionClient} db
+ * @param {object[]} lines
+ * @param {{ qtyField?: string, label?: (line: object, idx: number) => string }} [options]
+ */
+async function convertLinesToBase(db, lines, options = {}) {
+  const qtyField = options.qtyField || 'qty'
+  if (!Array.isArray(lines)) return lines
+  const withUnit = lines.filter((l) => l && requestedUnit(l))
+  const unitsByProduct = await loadProductUnits(db, withUnit.map((l) => l.product_id))
+
+  return lines.map((line, idx) => {
+    if (!line) return line
+    const wanted = requestedUnit(line)
+    if (!wanted) {
+      const { unit: _unit, unit_id: _unitId, ...rest } = line
+      return { ...rest, unit_id: null, unit_qty: null, unit_factor: null }
+    }
+    const info = unitsByProduct.get(String(line.product_id))
+    const label = options.label ? options.label(line, idx) : (info?.name || `línea ${idx + 1}`)
+    if (!info) throw badRequest(`Producto no encontrado: ${line.product_id}`)
+
+    const isBase = info.baseUnit && (wanted.id === info.baseUnit.id || wanted.code === info.baseUnit.code)
+    const configured = isBase
+      ? null
+      : info.units.find((u) => (wanted.id != null ? u.unit_id === wanted.id : u.unit.code === wanted.code))
+    if (!isBase && (!configured || !configured.unit.active)) {
+      throw badRequest(`${label} no se maneja en ${wanted.code || `la unidad ${wanted.id}`}`)
+    }
+    const unit = isBase ? info.baseUnit : configured.unit
+    const factor = isBase ? 1 : Number(configured.factor)
+    const unitQty = Number(line[qtyField])
+    const baseQty = toBaseQty(unitQty, factor, { allowsDecimal: unit.allows_decimal, label, unitCode: unit.code })
+
+    const { unit: _unit, ...rest } = line
+    return {
+      ...rest,
+      [qtyField]: baseQty,
+      unit_id: unit.id,
+      unit_qty: unitQty,
+      unit_factor: factor,
+      unit_price_override: !isBase && configured.price != null ? Number(configured.price) : null,
+    }
+  })
+}
+
+/** Lo que se guarda en la línea sobre la unidad capturada. */
+function lineUnitData(line) {
+  if (line.unit_id == null) return {}
+  return {
+    unit_id: line.unit_id,
+    unit_qty: Number(line.unit_qty),
+    unit_factor: Number(line.unit_factor),
+  }
+}
+
+/**
+ * Unidad de una parte de la línea (despacho parcial de un pedido): si la
+ * parte no es una cantidad válida de la unidad capturada (media caja), queda
+ * en unidad base. `line.unit` trae `allows_decimal` si se incluyó.
+ */
+function partialUnitData(line, baseQty) {
+  if (line.unit_id == null || line.unit_factor == null) return {}
+  const factor = Number(line.unit_factor)
+  const unitQty = Math.round((baseQty / factor) * 10000) / 10000
+  const exact = Math.abs(unitQty * factor - baseQty) <= BASE_QTY_EPSILON
+  if (!exact || (!line.unit?.allows_decimal && !Number.isInteger(unitQty))) return {}
+  return { unit_id: line.unit_id, unit_qty: unitQty, unit_factor: factor }
+}
+
+/**
+ * Valida las unidades de un producto (PUT /products/:id/units).
+ *
+ * @param {Array<{ unit_id: number, factor: number, price?: number|null, is_purchase_default?: boolean, is_sale_default?: boolean }>} input
+ * @param {number|null} baseUnitId
+ */
+function normalizeProductUnits(input, baseUnitId) {
+  if (!Array.isArray(input)) throw badRequest('units debe ser un arreglo')
+  const seen = new Set()
+  const rows = input.map((u, idx) => {
+    const unitId = Number(u?.unit_id)
+    const factor = Number(u?.factor)
+    if (!Number.isInteger(unitId) || unitId <= 0) throw badRequest(`unit_id inválido en la unidad ${idx + 1}`)
+    if (unitId === baseUnitId) throw badRequest('La unidad base no se configura con factor (siempre es 1)')
+    if (seen.has(unitId)) throw badRequest('Una unidad aparece dos veces')
+    seen.add(unitId)
+    if (!Number.isFinite(factor) || factor <= 0) throw badRequest(`factor debe ser > 0 en la unidad ${idx + 1}`)
+    if (Math.round(factor * 10000) / 10000 !== factor) throw badRequest('factor admite hasta 4 decimales')
+    let price = null
+    if (u.price != null && u.price !== '') {
+      price = Number(u.price)
+      if (!Number.isFinite(price) || price < 0) throw badRequest(`price inválido en la unidad ${idx + 1}`)
+    }
+    return {
+      unit_id: unitId,
+      factor,
+      price,
+      is_purchase_default: u.is_purchase_default === true,
+      is_sale_default: u.is_sale_default === true,
+    }
+  })
+  if (rows.filter((r) => r.is_purchase_default).length > 1) throw badRequest('Solo una unidad de compra por defecto')
+  if (rows.filter((r) => r.is_sale_default).length > 1) throw badRequest('Solo una unidad de venta por defecto')
+  return rows
+}
+
+async function seedUnitsOfMeasure(db, companyId) {
+  await db.unitOfMeasure.createMany({
+    data: DEFAULT_UNITS.map((u) => ({ ...u, company_id: companyId })),
+    skipDuplicates: true,
+  })
+}
+
+module.exports = {
+  DEFAULT_UNITS,
+  seedUnitsOfMeasure,
+  toBaseQty,
+  basePriceFromUnitPrice,
+  lineBasePrice,
+  loadProductUnits,
+  convertLinesToBase,
+  lineUnitData,
+  partialUnitData,
+  normalizeProductUnits,
+}
@@ -0,0 +1,168 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Variantes (talla × color): el producto padre es la ficha común (nombre,
+ * categoría, proveedor) y NO lleva existencias; cada variante es un producto
+ * normal con su código de barras, precio y stock. Ventas, traslados y kardex
+ * trabajan siempre con la variante; el padre solo agrupa en listados y reportes.
+ */
+
+/** Tope de combinaciones por generación: 10 tallas × 10 colores × 2 telas. */
+const MAX_VARIANTS = 200
+
+const VARIANT_VALUES_INCLUDE = {
+  variant_values: {
+    orderBy: { attribute: { sort_order: 'asc' } },
+    include: {
+      attribute: { select: { id: true, name: true } },
+      value: { select: { id: true, value: true, sort_order: true } },
+    },
+  },
+}
+
+function badRequest(message) {
+  const err = new Error(message)
+  err.status = 400
+  return err
+}
+
+/**
+ * Todas las combinaciones de los ejes, en el orden de los ejes y sus valores
+ * (S-Rojo, S-Azul, M-Rojo...).
+ *
+ * @param {Array<{ attribute: { id: number, name: string }, values: Array<{ id: number, value: string }> }>} axes
+ * @returns {Array<Array<{ attribute_id: number, attribute: string, value_id: number, value: string }>>}
+ */
+function variantCombinations(axes) {
+  if (!Array.isArray(axes) || axes.length === 0) throw badRequest('Indica al menos un atributo con sus valores')
+  let combos = [[]]
+  for (const axis of axes) {
+    if (!axis.values?.length) throw badRequest(`El atributo ${axis.attribute.name} no tiene valores elegidos`)
+    const next = []
+    for (const combo of combos) {
+      for (const v of axis.values) {
+        next.push([...combo, { attribute_id: axis.attribute.id, attribute: axis.attribute.name, value_id: v.id, value: v.value }])
+      }
+    }
+    combos = next
+    if (combos.length > MAX_VARIANTS) {
+      throw badRequest(`Demasiadas combinaciones (más de ${MAX_VARIANTS}); genera por partes`)
+    }
+  }
+  return combos
+}
+
+/** Identidad de una combinación, sin importar el orden de los atributos. */
+function variantKey(values) {
+  return values
+    .map((v) => `${Number(v.attribute_id)}:${Number(v.value_id)}`)
+    .sort()
+    .join('|')
+}
+
+/**
+ * Orden de la matriz: por el orden de los valores de cada atributo (S, M, L),
+ * no alfabético. Las variantes traen `variant_values` ordenados por atributo.
+ */
+function compareVariants(a, b) {
+  const av = a.variant_values || []
+  const bv = b.variant_values || []
+  for (let i = 0; i < Math.max(av.length, bv.length); i++) {
+    const diff = Number(av[i]?.value?.sort_order ?? 0) - Number(bv[i]?.value?.sort_order ?? 0)
+    if (diff !== 0) return diff
+  }
+  return String(a.name || '').localeCompare(String(b.name || ''))
+}
+
+/** "Camisa polo - M / Rojo" */
+function variantName(parentName, combo) {
+  return `${parentName} - ${combo.map((v) => v.value).join(' / ')}`.slice(0, 150)
+}
+
+/**
+ * Fila del padre con lo de sus variantes sumado: existencias, mínimo y costo
+ * promedio ponderado (stock × costo da el valor del inventario del grupo).
+ * Sin existencias, el costo es el del padre.
+ */
+function summarizeVariants(parent, variants) {
+  let stock = 0
+  let minStock = 0
+  let value = 0
+  let priceMin = null
+  let priceMax = null
+  let inStock = 0
+  for (const v of variants) {
+    const s = Number(v.stock || 0)
+    stock += s
+    minStock += Number(v.min_stock || 0)
+    value += s * Number(v.cost || 0)
+    if (s > 0) inStock += 1
+    const price = Number(v.price)
+    if (Number.isFinite(price)) {
+      priceMin = priceMin == null ? price : Math.min(priceMin, price)
+      priceMax = priceMax == null ? price : Math.max(priceMax, price)
+    }
+  }
+  return {
+    ...parent,
+    stock,
+    min_stock: minStock,
+    cost: stock > 0 ? value / stock : Number(parent.cost || 0),
+    price_min: priceMin,
+    price_max: priceMax,
+    variant_count: variants.length,
+    variants_in_stock: inStock,
+  }
+}
+
+/**
+ * Junta las variantes de un listado bajo su padre (una fila por padre, en el
+ * lugar de la primera variante). Cada variante trae `parent_id` y `parent`;
+ * los productos sin variantes pasan igual.
+ */
+function rollUpVariants(rows) {
+  const groups = new Map()
+  const out = []
+  for (const row of rows) {
+    if (!row.parent_id || !row.parent) {
+      out.push(row)
+      continue
+    }
+    const key = String(row.parent_id)
+    if (!groups.has(key)) {
+      const group = { parent: row.parent, variants: [] }
+      groups.set(key, group)
+      out.push(group)
+    }
+    groups.get(key).variants.push(row)
+  }
+  return out.map((item) => (item.variants ? summarizeVariants(item.parent, item.variants) : item))
+}
+
+/** Un padre no se vende, no se compra ni mueve existencias: se elige la variante. */
+function parentProductError(name) {
+  const err = new Error(`"${name}" tiene variantes: elige la talla/color concreta`)
+  err.status = 400
+  err.code = 'PRODUCT_HAS_VARIANTS'
+  return err
+}
+
+module.exports = {
+  MAX_VARIANTS,
+  VARIANT_VALUES_INCLUDE,
+  variantCombinations,
+  variantKey,
+  variantName,
+  compareVariants,
+  summarizeVariants,
+  rollUpVariants,
+  parentProductError,
+}
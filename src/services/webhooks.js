@@ -0,0 +1,428 @@
+/**
+ * Copyright (c) 2026 Diego Patzán. All Rights Reserved.
+ *
+ * This source code is licensed under a Proprietary License.
+ * Unauthorized copying, modification, distribution, or use of this file,
+ * via any medium, is strictly prohibited without express written permission.
+ *
+ * For licensing inquiries: GitHub @dpatzan2
+ */
+
+/**
+ * Webhooks salientes. Un evento de negocio se encola como una fila de
+ * `webhook_deliveries` por cada suscripción activa de la empresa que lo
+ * escucha; el despachador las manda firmadas y reintenta con espera creciente.
+ *
+ * Firma: `X-Webhook-Signature: sha256=<hex>` = HMAC-SHA256(secret,
+ * `${X-Webhook-Timestamp}.${body}`). El receptor recalcula con el cuerpo crudo
+ * y descarta timestamps viejos (ver `verifyWebhookSignature`).
+ */
+
+const crypto = require('crypto')
+const dns = require('dns')
+const net = require('net')
+
+const WEBHOOK_EVENTS = [
+  'sale.created',
+  'sale.cancelled',
+  'return.processed',
+  'stock.below_min',
+  'transfer.received',
+  'order.confirmed',
+  'auth.login_anomaly',
+]
+
+/** Solo lo manda POST /api/webhooks/:id/test, a esa suscripción. */
+const TEST_EVENT = 'webhook.test'
+
+/** Espera antes de cada reintento (segundos). Agotada la lista, FAILED. */
+const RETRY_DELAYS_SEC = [60, 5 * 60, 30 * 60, 2 * 3600, 6 * 3600, 12 * 3600]
+const MAX_ATTEMPTS = RETRY_DELAYS_SEC.length + 1
+
+const DELIVERY_TIMEOUT_MS = 10_000
+/** Lo que un despachador se reserva una fila mientras la manda. */
+const CLAIM_LEASE_MS = 2 * 60 * 1000
+const MAX_ERROR_LENGTH = 2000
+
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`
+}
+
+function signWebhook(secret, timestamp, body) {
+  return crypto.createHmac('sha256', String(secret)).update(`${timestamp}.${body}`).digest('hex')
+}
+
+/**
+ * Para el receptor (y las pruebas): firma válida y timestamp dentro de la
+ * tolerancia, contra el cuerpo tal como llegó.
+ */
+function verifyWebhookSignature({ secret, timestamp, signature, body, toleranceSec = 300, now = Date.now() }) {
+  const ts = Number(timestamp)
+  if (!Number.isFinite(ts) || Math.abs(now / 1000 - ts) > toleranceSec) return false
+  const expected = Buffer.from(`sha256=${signWebhook(secret, ts, body)}`)
+  const given = Buffer.from(String(signature || ''))
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given)
+}
+
+/** Segundos hasta el próximo intento tras `attempts` fallidos; null = se rinde. */
+function retryDelaySec(attempts) {
+  return attempts >= MAX_ATTEMPTS ? null : RETRY_DELAYS_SEC[Math.max(0, attempts - 1)]
+}
+
+function subscriptionListens(subscription, event) {
+  const events = subscription.events || []
+  return events.includes('*') || events.includes(event)
+}
+
+/**
+ * Valida la lista de eventos de una suscripción.
+ * @returns {string[]}
+ */
+function normalizeEvents(raw) {
+  const list = Array.isArray(raw) ? raw : String(raw || '').split(',')
+  const events = [...new Set(list.map((e) => String(e).trim()).filter(Boolean))]
+  if (events.length === 0) {
+    const err = new Error('Indica al menos un evento (o "*" para todos)')
+    err.status = 400
+    throw err
+  }
+  const unknown = events.filter((e) => e !== '*' && !WEBHOOK_EVENTS.includes(e))
+  if (unknown.length > 0) {
+    const err = new Error(`Eventos desconocidos: ${unknown.join(', ')}. Disponibles: ${WEBHOOK_EVENTS.join(', ')}`)
+    err.status = 400
+    throw err
+  }
+  return events
+}
+
+/**
+ * Rangos a los que un webhook no puede apuntar: loopback, redes privadas,
+ * link-local (incluye 169.254.169.254, la metadata de la nube) y reservados.
+ * Desde el servidor esas direcciones llegan a servicios internos.
+ */
+const PRIVATE_RANGES = (() => {
+  const list = new net.BlockList()
+  for (const [addr, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+  ]) list.addSubnet(addr, prefix, 'ipv4')
+  for (const [addr, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    list.addSubnet(addr, prefix, 'ipv6')
+  }
+  return list
+})()
+
+/** Solo para pruebas locales: WEBHOOKS_ALLOW_PRIVATE_URLS=true deja apuntar a la red interna. */
+function privateTargetsAllowed() {
+  return String(process.env.WEBHOOKS_ALLOW_PRIVATE_URLS || '').toLowerCase() === 'true'
+}
+
+/** IPv4 escrita como IPv6 (::ffff:a.b.c.d o, como la normaliza la URL, ::ffff:7f00:1). */
+function unmapIpv4(ip) {
+  const dotted = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i)
+  if (dotted) return dotted[1]
+  const hex = ip.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i)
+  if (!hex) return ip
+  const [hi, lo] = [parseInt(hex[1], 16), parseInt(hex[2], 16)]
+  return [hi >> 8, hi & 255, lo >> 8, lo & 255].join('.')
+}
+
+function isPrivateAddress(ip) {
+  const addr = unmapIpv4(String(ip || '').replace(/^\[|\]$/g, ''))
+  const family = net.isIP(addr)
+  if (family === 0) return false
+  return PRIVATE_RANGES.check(addr, family === 4 ? 'ipv4' : 'ipv6')
+}
+
+function forbiddenTarget() {
+  const err = new Error('url no puede apuntar a una dirección local, privada o reservada')
+  err.status = 400
+  return err
+}
+
+function normalizeWebhookUrl(raw) {
+  let url
+  try {
+    url = new URL(String(raw || '').trim())
+  } catch {
+    url = null
+  }
+  if (!url || !['http:', 'https:'].includes(url.protocol)) {
+    const err = new Error('url debe ser una URL http(s) válida')
+    err.status = 400
+    throw err
+  }
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase()
+  if (!privateTargetsAllowed() && (host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host))) {
+    throw forbiddenTarget()
+  }
+  return url.toString()
+}
+
+/**
+ * Resuelve el host de la URL y rechaza (400) si alguna de sus direcciones es
+ * privada: un nombre público puede apuntar a la red interna. Se revisa al
+ * guardar la suscripción y otra vez antes de cada envío.
+ *
+ * @param {string} rawUrl
+ * @param {{ lookup?: typeof dns.promises.lookup }} [options]
+ */
+async function assertPublicWebhookUrl(rawUrl, options = {}) {
+  const url = new URL(normalizeWebhookUrl(rawUrl))
+  if (privateTargetsAllowed()) return
+  const host = url.hostname.replace(/^\[|\]$/g, '')
+  if (net.isIP(host)) return
+  const lookup = options.lookup || dns.promises.lookup
+  let addresses
+  try {
+    addresses = await lookup(host, { all: true, verbatim: true })
+  } catch {
+    const err = new Error(`No se pudo resolver ${host}`)
+    err.status = 400
+    throw err
+  }
+  if (addresses.length === 0 || addresses.some((a) => isPrivateAddress(a.address))) throw forbiddenTarget()
+}
+
+/**
+ * Encola un evento para las suscripciones que lo escuchan. Va con el cliente
+ * que se le pase: dentro de la transacción del cambio, el evento existe solo
+ * si el cambio se confirmó.
+ *
+ * @param {import('@prisma/client').Prisma.TransactionClient} db
+ * @param {{ companyId: string, event: string, data: object, subscriptionId?: string }} input
+ * @returns {Promise<{ eventId: string, count: number }>}
+ */
+async function enqueueWebhookEvent(db, { companyId, event, data, subscriptionId }) {
+  const subscriptions = await db.webhookSubscription.findMany({
+    where: { company_id: companyId, active: true, ...(subscriptionId ? { id: subscriptionId } : {}) },
+    select: { id: true, events: true },
+  })
+  const targets = subscriptionId ? subscriptions : subscriptions.filter((s) => subscriptionListens(s, event))
+  const eventId = crypto.randomUUID()
+  if (targets.length === 0) return { eventId, count: 0 }
+
+  const payload = {
+    id: eventId,
+    event,
+    created_at: new Date().toISOString(),
+    company_id: companyId,
+    data: JSON.parse(JSON.stringify(data ?? {})),
+  }
+  await db.webhookDelivery.createMany({
+    data: targets.map((s) => ({
+      subscription_id: s.id,
+      company_id: companyId,
+      event,
+      event_id: eventId,
+      payload,
+    })),
+  })
+  return { eventId, count: targets.length }
+}
+
+/**
+ * Manda una entrega y deja en la fila el resultado: DELIVERED con 2xx; si no,
+ * otro intento más tarde o FAILED cuando se agotan.
+ *
+ * @param {import('@prisma/client').PrismaClient} db
+ * @param {string} deliveryId
+ * De la respuesta solo se guarda el código HTTP: el cuerpo no se lee ni se
+ * muestra en el log de entregas.
+ *
+ * @param {{ fetchImpl?: typeof fetch, lookup?: Function, now?: () => Date, force?: boolean }} [options]
+ */
+async function deliverWebhook(db, deliveryId, options = {}) {
+  const fetchImpl = options.fetchImpl || globalThis.fetch
+  const now = options.now || (() => new Date())
+  const delivery = await db.webhookDelivery.findUnique({
+    where: { id: deliveryId },
+    include: { subscription: { select: { url: true, secret: true, active: true } } },
+  })
+  if (!delivery) return null
+  // Desactivada con envíos en cola: no se insiste (un reenvío manual sí pasa).
+  if (!delivery.subscription.active && !options.force) {
+    return db.webhookDelivery.update({
+      where: { id: delivery.id },
+      data: { status: 'FAILED', error: 'Suscripción desactivada' },
+    })
+  }
+
+  const body = JSON.stringify(delivery.payload)
+  const startedAt = now()
+  const timestamp = Math.floor(startedAt.getTime() / 1000)
+  let responseStatus = null
+  let error = null
+  try {
+    await assertPublicWebhookUrl(delivery.subscription.url, options)
+    const res = await fetchImpl(delivery.subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Deposito-Webhooks/1.0',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signWebhook(delivery.subscription.secret, timestamp, body)}`,
+      },
+      body,
+      // Una redirección podría llevar a la red interna: cuenta como respuesta no 2xx
+      redirect: 'manual',
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+    })
+    responseStatus = res.status
+    await res.body?.cancel().catch(() => {})
+    if (!res.ok) error = `HTTP ${res.status}`
+  } catch (e) {
+    if (e?.status === 400) error = `Destino no permitido: ${e.message}`
+    else error = e?.name === 'TimeoutError' ? `Sin respuesta en ${DELIVERY_TIMEOUT_MS / 1000} s` : String(e?.message || e)
+  }
+
+  const finishedAt = now()
+  const attempts = delivery.attempts + 1
+  const data = {
+    attempts,
+    last_attempt_at: startedAt,
+    response_status: responseStatus,
+    error: error ? error.slice(0, MAX_ERROR_LENGTH) : null,
+    duration_ms: Math.max(0, finishedAt.getTime() - startedAt.getTime()),
+  }
+  if (!error) {
+    Object.assign(data, { status: 'DELIVERED', delivered_at: finishedAt })
+  } else {
+    const delay = retryDelaySec(attempts)
+    Object.assign(data, delay == null
+      ? { status: 'FAILED' }
+      : { status: 'PENDING', next_attempt_at: new Date(finishedAt.getTime() + delay * 1000) })
+  }
+  return db.webhookDelivery.update({ where: { id: delivery.id }, data })
+}
+
+/**
+ * Manda lo que ya toca. Cada fila se reserva (SKIP LOCKED + corrimiento de
+ * next_attempt_at) para que dos despachadores no la manden a la vez.
+ *
+ * @returns {Promise<{ delivered: number, retrying: number, failed: number }>}
+ */
+async function dispatchDueWebhooks(db, options = {}) {
+  const limit = Math.max(1, Math.min(100, Number(options.limit) || 20))
+  const now = new Date()
+  const leaseUntil = new Date(now.getTime() + CLAIM_LEASE_MS)
+  const claimed = await db.$queryRaw`
+    UPDATE "public"."webhook_deliveries" SET "next_attempt_at" = ${leaseUntil}
+    WHERE "id" IN (
+      SELECT "id" FROM "public"."webhook_deliveries"
+      WHERE "status" = 'PENDING' AND "next_attempt_at" <= ${now}
+      ORDER BY "next_attempt_at"
+      LIMIT ${limit}
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING "id"`
+  const summary = { delivered: 0, retrying: 0, failed: 0 }
+  for (const { id } of claimed) {
+    const row = await deliverWebhook(db, id, options)
+    if (row?.status === 'DELIVERED') summary.delivered++
+    else if (row?.status === 'FAILED') summary.failed++
+    else if (row) summary.retrying++
+  }
+  return summary
+}
+
+let dispatching = false
+let dispatchAgain = false
+
+/**
+ * Despacho inmediato en segundo plano tras encolar (sin esperar a la tarea
+ * `webhook-delivery`). Una sola corrida a la vez.
+ */
+function requestWebhookDispatch() {
+  if (dispatching) {
+    dispatchAgain = true
+    return
+  }
+  dispatching = true
+  setImmediate(async () => {
+    try {
+      const { prisma } = require('../models/prisma')
+      do {
+        dispatchAgain = false
+        await dispatchDueWebhooks(prisma)
+      } while (dispatchAgain)
+    } catch (e) {
+      console.error('[webhooks] despacho:', e?.message || e)
+    } finally {
+      dispatching = false
+    }
+  })
+}
+
+/**
+ * Encola el evento dentro de la transacción del cambio (`tx`): si la
+ * transacción se confirma el evento queda guardado con ella, y si el encolado
+ * falla el cambio tampoco se guarda. El envío lo hace `requestWebhookDispatch`
+ * después del commit o, si el proceso cae antes, la tarea `webhook-delivery`.
+ *
+ * @param {import('@prisma/client').Prisma.TransactionClient} tx
+ * @returns {Promise<number>} entregas encoladas
+ */
+async function emitWebhook(tx, companyId, event, data) {
+  const { count } = await enqueueWebhookEvent(tx, { companyId, event, data })
+  return count
+}
+
+/**
+ * Lo que va en `data` de sale.created / sale.cancelled (misma forma en los
+ * dos, venga la venta del POS o de un pedido).
+ */
+function saleWebhookData(sale) {
+  return {
+    id: sale.id,
+    reference: sale.reference,
+    branch_id: sale.branch_id,
+    status: sale.status?.name ?? null,
+    date: sale.date,
+    customer: sale.customer,
+    customer_nit: sale.customer_nit,
+    customer_contact_id: sale.customer_contact_id ?? null,
+    sales_channel: sale.sales_channel,
+    subtotal: sale.subtotal != null ? Number(sale.subtotal) : null,
+    discount_total: sale.discount_total != null ? Number(sale.discount_total) : null,
+    total: Number(sale.total),
+    adjusted_total: Number(sale.adjusted_total),
+    credit_amount: Number(sale.credit_amount || 0),
+    items: (sale.sale_items || []).map((si) => ({
+      product_id: si.product_id,
+      name: si.product?.name ?? null,
+      qty: si.qty,
+      price: Number(si.price),
+      unit: si.unit?.code ?? null,
+      unit_qty: si.unit_qty != null ? Number(si.unit_qty) : null,
+      serials: si.serials || [],
+    })),
+    payments: (sale.payments || []).map((p) => ({
+      payment_method: p.payment_method?.name ?? p.payment_method_id,
+      amount: Number(p.amount),
+    })),
+  }
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  TEST_EVENT,
+  MAX_ATTEMPTS,
+  generateWebhookSecret,
+  signWebhook,
+  verifyWebhookSignature,
+  retryDelaySec,
+  subscriptionListens,
+  normalizeEvents,
+  isPrivateAddress,
+  normalizeWebhookUrl,
+  assertPublicWebhookUrl,
+  enqueueWebhookEvent,
+  deliverWebhook,
+  dispatchDueWebhooks,
+  requestWebhookDispatch,
+  emitWebhook,
+  saleWebhookData,
+}
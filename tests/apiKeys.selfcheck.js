@@ -0,0 +1,117 @@
+// Self-check de llaves de API (formato, permisos, autenticación con BD simulada). Correr: node tests/apiKeys.selfcheck.js
+const assert = require('assert')
+const {
+  hashApiKey,
+  generateApiKey,
+  parseApiKey,
+  readApiKey,
+  rateLimitFor,
+  normalizeApiKeyPermissions,
+  effectiveApiKeyPermissions,
+  apiKeyBranchIds,
+  apiKeyPrincipal,
+  authenticateApiKey,
+} = require('../src/services/apiKeys')
+
+function fakeDb(row) {
+  const updates = []
+  return {
+    updates,
+    apiKey: {
+      async findUnique({ where }) { return row && row.prefix === where.prefix ? row : null },
+      async update({ data }) { updates.push(data); return { ...row, ...data } },
+    },
+  }
+}
+
+const role = (name, codes) => ({ name, permissions: codes.map((code) => ({ permission: { code } })) })
+
+;(async () => {
+  // Formato: dpk_<12 hex>_<43 base64url>; solo el hash se guarda
+  const { key, prefix, keyHash } = generateApiKey()
+  assert.match(key, /^dpk_[a-f0-9]{12}_[A-Za-z0-9_-]{43}$/)
+  assert.strictEqual(parseApiKey(key), prefix)
+  assert.strictEqual(keyHash, hashApiKey(key))
+  assert.notStrictEqual(generateApiKey().key, key)
+  assert.strictEqual(parseApiKey('dpk_123'), null)
+  assert.strictEqual(parseApiKey(null), null)
+
+  // Header: X-Api-Key o Bearer con formato de llave (un JWT no es llave)
+  assert.strictEqual(readApiKey({ headers: { 'x-api-key': ` ${key} ` } }), key)
+  assert.strictEqual(readApiKey({ headers: { authorization: `Bearer ${key}` } }), key)
+  assert.strictEqual(readApiKey({ headers: { authorization: 'Bearer eyJhbGciOi.x.y' } }), null)
+  assert.strictEqual(readApiKey({ headers: {} }), null)
+
+  // Permisos a conceder: existentes y, sin ser admin, solo los propios
+  const knownCodes = ['products.view', 'products.edit', 'sales.view', 'warehouses.view']
+  const seller = { role_name: 'vendedor', permissions: ['products.view', 'warehouses.view'] }
+  assert.deepStrictEqual(
+    normalizeApiKeyPermissions(['products.view', ' products.view '], { knownCodes, grantor: seller }),
+    ['products.view']
+  )
+  assert.deepStrictEqual(normalizeApiKeyPermissions('sales.view,products.edit', { knownCodes, grantor: { role_name: 'admin' } }), ['products.edit', 'sales.view'])
+  assert.throws(() => normalizeApiKeyPermissions([], { knownCodes, grantor: seller }), (e) => e.status === 400)
+  assert.throws(() => normalizeApiKeyPermissions(['nope.x'], { knownCodes, grantor: seller }), (e) => e.status === 400)
+  assert.throws(() => normalizeApiKeyPermissions(['products.edit'], { knownCodes, grantor: seller }), (e) => e.status === 403)
+
+  // Efectivos: se recortan a lo que el creador tiene hoy (admin no recorta)
+  assert.ok(effectiveApiKeyPermissions({ permissions: ['products.edit'] }, role('admin', [])).includes('products.edit'))
+  const trimmed = effectiveApiKeyPermissions({ permissions: ['products.edit', 'sales.view'] }, role('bodega', ['sales.view']))
+  assert.deepStrictEqual(trimmed, ['sales.view'])
+
+  assert.strictEqual(rateLimitFor({ rate_limit_per_minute: 30 }), 30)
+  assert.strictEqual(rateLimitFor({ rate_limit_per_minute: null }), Number(process.env.API_KEY_RATE_LIMIT) || 120)
+
+  // Autenticación
+  const now = new Date('2026-10-19T12:00:00Z')
+  const base = {
+    id: 'k1', prefix, key_hash: keyHash, name: 'ERP', company_id: 'c1', branch_id: null,
+    permissions: ['sales.view'], revoked_at: null, expires_at: null, last_used_at: null,
+    created_by: 'u1',
+    creator: {
+      active: true,
+      role: role('contador', ['sales.view']),
+      user_companies: [{ company_id: 'c1' }],
+      user_branches: [{ branch: { id: 'b1', company_id: 'c1' } }, { branch: { id: 'b9', company_id: 'c2' } }],
+    },
+  }
+  const db = fakeDb(base)
+  const ok = await authenticateApiKey(db, key, { ip: '10.0.0.1', now })
+  assert.strictEqual(ok.id, 'k1')
+  assert.strictEqual(ok.key_hash, undefined)
+  assert.deepStrictEqual(ok.effective_permissions, ['sales.view'])
+  assert.deepStrictEqual(ok.branch_ids, ['b1'])
+  assert.deepStrictEqual(db.updates, [{ last_used_at: now, last_used_ip: '10.0.0.1' }])
+  // Último uso: a lo sumo una escritura por minuto
+  await authenticateApiKey(db, key, { now: new Date(now.getTime() + 30 * 1000) })
+  assert.strictEqual(db.updates.length, 1)
+  await authenticateApiKey(db, key, { now: new Date(now.getTime() + 61 * 1000) })
+  assert.strictEqual(db.updates.length, 2)
+
+  const principal = apiKeyPrincipal(ok)
+  assert.deepStrictEqual([principal.sub, principal.api_key_id, principal.role_name, principal.name], ['u1', 'k1', null, 'API · ERP'])
+
+  // Las restricciones del rol del creador viajan con la llave
+  const restricted = await authenticateApiKey(fakeDb({ ...base, creator: { ...base.creator, role: { ...role('cajero', ['sales.view']), restrictions: { 'sales.scope': 'own' } } } }), key, { now })
+  assert.deepStrictEqual(apiKeyPrincipal(restricted).restrictions, { 'sales.scope': 'own' })
+  assert.strictEqual(principal.restrictions, null)
+
+  const other = generateApiKey().key.replace(/^dpk_[a-f0-9]{12}_/, `dpk_${prefix}_`)
+  assert.strictEqual(await authenticateApiKey(fakeDb(base), other, { now }), null)
+  assert.strictEqual(await authenticateApiKey(fakeDb({ ...base, revoked_at: now }), key, { now }), null)
+  assert.strictEqual(await authenticateApiKey(fakeDb({ ...base, expires_at: now }), key, { now }), null)
+  assert.strictEqual(await authenticateApiKey(fakeDb({ ...base, creator: { ...base.creator, active: false } }), key, { now }), null)
+  assert.strictEqual(await authenticateApiKey(fakeDb(null), key, { now }), null)
+
+  // Sucursales: solo las que el creador tiene hoy en la empresa de la llave
+  assert.deepStrictEqual(apiKeyBranchIds({ company_id: 'c1', branch_id: 'b1' }, base.creator), ['b1'])
+  assert.deepStrictEqual(apiKeyBranchIds({ company_id: 'c1', branch_id: 'b2' }, base.creator), [])
+  assert.deepStrictEqual(apiKeyBranchIds({ company_id: 'c1', branch_id: 'b9' }, base.creator), [])
+  // Si el creador ya no es de la empresa, la llave no sirve
+  assert.strictEqual(await authenticateApiKey(fakeDb({ ...base, creator: { ...base.creator, user_companies: [{ company_id: 'c2' }] } }), key, { now }), null)
+
+  console.log('apiKeys.selfcheck OK')
+})().catch((e) => {
+  console.error(e)
+  process.exit(1)
+})
@@ -0,0 +1,80 @@
+// Self-check de la bitácora de auditoría (sin BD). Correr: node tests/auditLog.selfcheck.js
+const assert = require('assert')
+const { REDACTED, auditSnapshot, diffSnapshots, auditDiff, recordAudit } = require('../src/services/auditLog')
+
+// Decimal de Prisma: objeto con toJSON que serializa a texto
+const dec = (v) => ({ toJSON: () => String(v) })
+
+;(async () => {
+  // Snapshot: plano, serializable, sin relaciones ni updated_at, contraseña oculta
+  const snap = auditSnapshot({
+    id: 'p1',
+    price: dec('10.50'),
+    created_at: new Date('2026-10-19T10:00:00Z'),
+    updated_at: new Date(),
+    category: { id: 1, name: 'Cemento' },
+    stock_big: 5n,
+    password: 'hash',
+  })
+  assert.deepStrictEqual(snap, {
+    id: 'p1',
+    price: '10.50',
+    created_at: '2026-10-19T10:00:00.000Z',
+    stock_big: '5',
+    password: REDACTED,
+  })
+  assert.deepStrictEqual(auditSnapshot({ rules: [{ a: 1 }] }, { keepNested: true }), { rules: [{ a: 1 }] })
+  assert.strictEqual(auditSnapshot(null), null)
+
+  // Diff: solo lo que cambió; sin cambios = null
+  assert.deepStrictEqual(
+    diffSnapshots({ price: '10.00', name: 'A' }, { price: '12.00', name: 'A' }),
+    { before: { price: '10.00' }, after: { price: '12.00' } }
+  )
+  assert.strictEqual(diffSnapshots({ a: 1 }, { a: 1 }), null)
+  assert.deepStrictEqual(diffSnapshots({}, { b: 2 }), { before: { b: null }, after: { b: 2 } })
+
+  // Cambio de contraseña: consta, pero sin valores
+  assert.deepStrictEqual(
+    auditDiff({ name: 'Ana', password: 'h1' }, { name: 'Ana', password: 'h2' }),
+    { before: { password: REDACTED }, after: { password: REDACTED } }
+  )
+  assert.strictEqual(auditDiff({ name: 'Ana', password: 'h1' }, { name: 'Ana', password: 'h1' }), null)
+
+  // recordAudit: quién, empresa/sucursal, IP y request del req
+  const written = []
+  const db = { $transaction: () => {}, auditLog: { create: async ({ data }) => { written.push(data); return data } } }
+  const req = { companyId: 'c1', branchId: 'b1', user: { sub: 'u1', name: 'Ana' }, ip: '10.0.0.1', id: 'req-1' }
+  await recordAudit(db, req, { entity: 'product', entityId: 'p1', action: 'update', before: { price: 10 }, after: { price: 12 } })
+  assert.deepStrictEqual(written[0], {
+    company_id: 'c1',
+    branch_id: 'b1',
+    user_id: 'u1',
+    user_name: 'Ana',
+    entity: 'product',
+    entity_id: 'p1',
+    action: 'update',
+    before: { price: 10 },
+    after: { price: 12 },
+    ip: '10.0.0.1',
+    request_id: 'req-1',
+  })
+
+  // Update sin cambios no escribe; alta guarda la fila completa
+  assert.strictEqual(await recordAudit(db, req, { entity: 'product', entityId: 'p1', action: 'update', before: { a: 1 }, after: { a: 1 } }), null)
+  await recordAudit(db, req, { entity: 'settings', entityId: 'c1', action: 'create', after: { x: 1 }, branchId: null })
+  assert.deepStrictEqual([written.length, written[1].before, written[1].after, written[1].branch_id], [2, null, { x: 1 }, null])
+
+  // Fuera de transacción un fallo no tumba la operación; dentro, sube
+  const failing = { auditLog: { create: async () => { throw new Error('boom') } } }
+  const origError = console.error
+  console.error = () => {}
+  assert.strictEqual(await recordAudit({ ...failing, $transaction: () => {} }, req, { entity: 'x', entityId: 1, action: 'create', after: {} }), null)
+  console.error = origError
+  await assert.rejects(recordAudit(failing, req, { entity: 'x', entityId: 1, action: 'create', after: {} }), /boom/)
+
+  console.log('auditLog.selfcheck OK')
+})().catch((e) => {
+  console.error(e)
+  process.exit(1)
+})
@@ -0,0 +1,89 @@
+// Self-check de indicadores del tablero (rangos, comparación, KPIs, widgets). Correr: node tests/dashboardKpis.selfcheck.js
+const assert = require('assert')
+const { DateTime } = require('luxon')
+const {
+  DASHBOARD_WIDGETS,
+  DEFAULT_LAYOUT,
+  resolveDashboardRange,
+  topLimit,
+  summarizeSales,
+  compareKpis,
+  omitCostKpis,
+  normalizeWidgetLayout,
+} = require('../src/services/dashboardKpis')
+
+const tz = 'America/Guatemala'
+const now = DateTime.fromISO('2026-10-19T14:30:00', { zone: tz })
+
+// Sin fechas: hoy hasta ahora vs ayer hasta la misma hora (hora local guardada como UTC)
+const today = resolveDashboardRange({}, { tz, now })
+assert.strictEqual(today.compare, 'previous_period')
+assert.deepStrictEqual([today.current.gte.toISOString(), today.current.lte.toISOString()], ['2026-10-19T00:00:00.000Z', '2026-10-19T14:30:00.000Z'])
+assert.deepStrictEqual([today.previous.gte.toISOString(), today.previous.lte.toISOString()], ['2026-10-18T00:00:00.000Z', '2026-10-18T14:30:00.000Z'])
+
+// Mes a la fecha vs el mismo tramo del mes pasado; año pasado
+const month = resolveDashboardRange({ period: 'month' }, { tz, now })
+assert.strictEqual(month.previous.gte.toISOString(), '2026-09-01T00:00:00.000Z')
+assert.strictEqual(month.previous.lte.toISOString(), '2026-09-19T14:30:00.000Z')
+const lastYear = resolveDashboardRange({ period: 'month', compare: 'last_year' }, { tz, now })
+assert.strictEqual(lastYear.previous.gte.toISOString(), '2025-10-01T00:00:00.000Z')
+
+// Rango explícito de 7 días: días completos y los 7 anteriores
+const week = resolveDashboardRange({ from: '2026-10-05', to: '2026-10-11' }, { tz, now })
+assert.strictEqual(week.current.lte.toISOString(), '2026-10-11T23:59:59.999Z')
+assert.deepStrictEqual([week.previous.gte.toISOString(), week.previous.lte.toISOString()], ['2026-09-28T00:00:00.000Z', '2026-10-04T23:59:59.999Z'])
+assert.strictEqual(resolveDashboardRange({ compare: 'none' }, { tz, now }).previous, null)
+for (const bad of [{ from: '2026-10-05' }, { from: 'ayer', to: '2026-10-05' }, { from: '2026-10-05', to: '2026-10-01' }, { from: '2024-01-01', to: '2026-01-01' }, { compare: 'yoy' }, { period: 'decade' }]) {
+  assert.throws(() => resolveDashboardRange(bad, { tz, now }), (e) => e.status === 400)
+}
+assert.deepStrictEqual([topLimit(undefined), topLimit('3'), topLimit(99), topLimit(-1)], [5, 3, 20, 5])
+
+// KPIs: costo y ventas se reducen en la proporción devuelta
+const sales = [
+  {
+    total: 100, total_returned: 0, created_by: 'u1', cashier: 'Ana',
+    items: [{ product_id: 'p1', product: 'Café', category: 'Bebidas', qty: 2, price: 50, unit_cost: 30 }],
+  },
+  {
+    total: 200, total_returned: 100, created_by: 'u2', cashier: 'Luis',
+    items: [
+      { product_id: 'p1', product: 'Café', category: 'Bebidas', qty: 1, price: 50, unit_cost: 30 },
+      { product_id: 'p2', product: 'Pan', category: null, qty: 3, price: 50, unit_cost: '20' },
+    ],
+  },
+]
+const { kpis, top } = summarizeSales(sales, { limit: 2 })
+assert.deepStrictEqual(kpis, {
+  gross_sales: 300,
+  returns: 100,
+  net_sales: 200,
+  transactions: 2,
+  units: 6,
+  cost: 105, // 60 + (30 + 60) × 0.5
+  gross_margin: 95,
+  gross_margin_pct: 47.5,
+  average_ticket: 100,
+  units_per_transaction: 3,
+  return_rate: 33.33,
+})
+assert.deepStrictEqual(top.products.map((p) => [p.name, p.units, p.revenue]), [['Café', 3, 125], ['Pan', 3, 75]])
+assert.deepStrictEqual(top.categories.map((c) => c.name), ['Bebidas', 'Sin categoría'])
+assert.deepStrictEqual(top.cashiers.map((c) => [c.name, c.transactions, c.revenue]), [['Ana', 1, 100], ['Luis', 1, 100]])
+assert.strictEqual(summarizeSales([]).kpis.average_ticket, 0)
+
+// Comparación: % contra el anterior; sin base → null
+const cmp = compareKpis({ net_sales: 150, transactions: 3 }, { net_sales: 100, transactions: 0 })
+assert.deepStrictEqual(cmp.net_sales, { value: 150, previous: 100, change_pct: 50 })
+assert.strictEqual(cmp.transactions.change_pct, null)
+assert.deepStrictEqual(compareKpis({ units: 1 }, null).units, { value: 1, previous: null, change_pct: null })
+assert.ok(!('gross_margin' in omitCostKpis(kpis)) && !('cost' in omitCostKpis(kpis)) && 'net_sales' in omitCostKpis(kpis))
+
+// Tablero: el predeterminado es válido; ids, repetidos y rejilla se validan
+assert.deepStrictEqual(normalizeWidgetLayout(DEFAULT_LAYOUT), DEFAULT_LAYOUT)
+assert.ok(DEFAULT_LAYOUT.every((w) => DASHBOARD_WIDGETS[w.id]))
+assert.deepStrictEqual(normalizeWidgetLayout([{ id: 'stock_outs', x: '6', w: 6, h: 2 }]), [{ id: 'stock_outs', x: 6, y: 0, w: 6, h: 2, visible: true }])
+for (const bad of [null, [{ id: 'nope', x: 0, w: 1, h: 1 }], [{ id: 'net_sales', x: 0, w: 1, h: 1 }, { id: 'net_sales', x: 1, w: 1, h: 1 }], [{ id: 'net_sales', x: 8, w: 6, h: 1 }], [{ id: 'net_sales', x: 0, w: 0, h: 1 }]]) {
+  assert.throws(() => normalizeWidgetLayout(bad), (e) => e.status === 400)
+}
+
+console.log('dashboardKpis.selfcheck OK')
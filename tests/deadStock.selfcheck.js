@@ -0,0 +1,83 @@
+// Self-check de inventario muerto y lento (opciones, rebajas, análisis, promoción). Correr: node tests/deadStock.selfcheck.js
+const assert = require('assert')
+const { DateTime } = require('luxon')
+const {
+  deadStockOptions,
+  suggestMarkdown,
+  analyzeStock,
+  summarizeDeadStock,
+  markdownPromotion,
+} = require('../src/services/deadStock')
+
+const now = DateTime.fromISO('2026-10-19T12:00:00Z', { zone: 'utc' })
+const ago = (days) => now.minus({ days }).toJSDate()
+
+// Opciones: defaults y rangos
+assert.deepStrictEqual(deadStockOptions({}), { days: 90, coverDays: 180 })
+assert.deepStrictEqual(deadStockOptions({ days: '30', cover_days: 60 }), { days: 30, coverDays: 60 })
+for (const bad of [{ days: 3 }, { days: 'x' }, { cover_days: 2000 }]) {
+  assert.throws(() => deadStockOptions(bad), (e) => e.status === 400)
+}
+
+// Rebaja por escalón, recortada al costo (múltiplo de 5)
+assert.deepStrictEqual(suggestMarkdown({ status: 'dead', idleDays: 400, price: 100, cost: 10 }), { pct: 50, price: 50 })
+assert.deepStrictEqual(suggestMarkdown({ status: 'dead', idleDays: 200, price: 100, cost: 80 }), { pct: 20, price: 80 })
+assert.deepStrictEqual(suggestMarkdown({ status: 'dead', idleDays: 100, price: 100, cost: 97 }), { pct: 0, price: 100 })
+assert.deepStrictEqual(suggestMarkdown({ status: 'slow', idleDays: 5, price: 50, cost: 10 }), { pct: 10, price: 45 })
+assert.strictEqual(suggestMarkdown({ status: 'dead', idleDays: null, price: 100, cost: 0 }).pct, 20)
+
+const rows = analyzeStock([
+  // Muerto: última venta hace 200 días, dos lotes
+  {
+    product_id: 'a', branch_id: 'b1', stock: 10, price: 100, cost: 40, units_sold: 0, last_sale_at: ago(200),
+    lots: [
+      { id: 'l1', received_at: ago(100), qty_remaining: 4 },
+      { id: 'l2', received_at: ago(300), qty_remaining: 6 },
+      { id: 'l3', received_at: ago(20), qty_remaining: 0 },
+    ],
+  },
+  // Lento: 3 vendidas en 90 días con 300 en existencia → 9000 días de cobertura
+  { product_id: 'b', branch_id: 'b1', stock: 300, price: 20, cost: 15, units_sold: 3, last_sale_at: ago(10) },
+  // Rota bien: no sale
+  { product_id: 'c', branch_id: 'b1', stock: 5, price: 10, cost: 5, units_sold: 90, last_sale_at: ago(1) },
+  // Nunca vendió pero entró hace poco: todavía no es muerto
+  { product_id: 'd', branch_id: 'b1', stock: 8, price: 10, cost: 5, units_sold: 0, first_in_at: ago(30) },
+  // Nunca vendió y sin historial: muerto
+  { product_id: 'e', branch_id: 'b1', stock: 2, price: 10, cost: 5, units_sold: 0 },
+  // Sin existencia: no sale
+  { product_id: 'f', branch_id: 'b1', stock: 0, price: 10, cost: 5, units_sold: 0 },
+], { now })
+
+assert.deepStrictEqual(rows.map((r) => [r.product_id, r.status]), [['b', 'slow'], ['a', 'dead'], ['e', 'dead']])
+const [b, a, e] = rows
+assert.strictEqual(a.idle_days, 200)
+assert.strictEqual(a.capital_tied_up, 400)
+assert.deepStrictEqual(a.lots.map((l) => [l.id, l.age_days]), [['l2', 300], ['l1', 100]])
+assert.strictEqual(a.oldest_lot_age_days, 300)
+assert.deepStrictEqual([a.suggested_markdown_pct, a.markdown_price], [30, 70])
+assert.strictEqual(b.days_of_cover, 9000)
+assert.strictEqual(b.suggested_markdown_pct, 10)
+assert.strictEqual(b.capital_tied_up, 4500)
+assert.ok(e.never_sold && e.idle_days === null)
+
+assert.deepStrictEqual(summarizeDeadStock(rows), {
+  dead: { products: 2, units: 12, capital_tied_up: 410 },
+  slow: { products: 1, units: 300, capital_tied_up: 4500 },
+})
+
+// Promoción: el menor % sugerido, solo la sucursal, 30 días por defecto
+const today = DateTime.fromISO('2026-10-19', { zone: 'utc' })
+const promo = markdownPromotion([a, b], { typeId: 1, branchId: 'b1', today })
+assert.deepStrictEqual(
+  [promo.type_id, promo.discount_percentage, promo.product_ids, promo.branch_ids, promo.applies_to_all, promo.applies_to_all_branches],
+  [1, 10, ['a', 'b'], ['b1'], false, false],
+)
+assert.deepStrictEqual([promo.start_date, promo.end_date, promo.name], ['2026-10-19', '2026-11-18', 'Liquidación 2026-10-19'])
+assert.strictEqual(markdownPromotion([a], { typeId: 1, branchId: 'b1', today, discountPct: '25', endDate: '2026-12-01' }).discount_percentage, 25)
+assert.throws(() => markdownPromotion([], { typeId: 1, branchId: 'b1', today }), (err) => err.status === 400)
+assert.throws(() => markdownPromotion([a], { typeId: 1, branchId: 'b1', today, discountPct: 120 }), (err) => err.status === 400)
+assert.throws(() => markdownPromotion([a], { typeId: 1, branchId: 'b1', today, endDate: 'pronto' }), (err) => err.status === 400)
+const noRoom = analyzeStock([{ product_id: 'z', stock: 1, price: 10, cost: 9.9, units_sold: 0, last_sale_at: ago(100) }], { now })
+assert.throws(() => markdownPromotion(noRoom, { typeId: 1, branchId: 'b1', today }), (err) => err.status === 400)
+
+console.log('deadStock.selfcheck OK')
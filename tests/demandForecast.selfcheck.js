@@ -0,0 +1,65 @@
+// Self-check del pronóstico de demanda (serie diaria, estacionalidad, punto de reorden). Correr: node tests/demandForecast.selfcheck.js
+const assert = require('assert')
+const {
+  forecastOptions,
+  resolveLeadTime,
+  dailySeries,
+  seasonalityIndices,
+  demandLevel,
+  reorderPlan,
+} = require('../src/services/demandForecast')
+
+// Opciones: defaults, nivel de servicio como 0.95 o 95, rangos
+const defaults = forecastOptions({})
+assert.deepStrictEqual(defaults, { historyDays: 182, windowDays: 28, serviceLevel: 0.95, z: 1.6449, reviewDays: 14, leadTimeDays: 7 })
+assert.strictEqual(forecastOptions({ service_level: '99' }).z, 2.3263)
+assert.strictEqual(forecastOptions({ history_days: 30 }).windowDays, 28)
+for (const bad of [{ service_level: 0.42 }, { history_days: 10 }, { history_days: 30, window_days: 31 }, { review_days: 0 }, { lead_time_days: 'x' }]) {
+  assert.throws(() => forecastOptions(bad), (e) => e.status === 400)
+}
+
+// Tiempo de entrega: proveedor > observado > default
+assert.deepStrictEqual(resolveLeadTime({ configured: 10, observed: 4.2, fallback: 7 }), { days: 10, source: 'supplier' })
+assert.deepStrictEqual(resolveLeadTime({ configured: null, observed: '4.2', fallback: 7 }), { days: 5, source: 'observed' })
+assert.deepStrictEqual(resolveLeadTime({ configured: null, observed: null, fallback: 7 }), { days: 7, source: 'default' })
+
+// Serie: días sin venta en 0, fechas como Date o texto, fuera de rango se ignora
+const series = dailySeries(
+  [{ day: new Date('2026-09-21T00:00:00Z'), qty: 3 }, { day: '2026-09-21', qty: 1 }, { day: '2026-09-23', qty: 2 }, { day: '2026-12-01', qty: 9 }],
+  { start: '2026-09-21', days: 3 }
+)
+assert.deepStrictEqual(series.map((d) => [d.date.toISODate(), d.qty]), [['2026-09-21', 4], ['2026-09-22', 0], ['2026-09-23', 2]])
+
+// 4 semanas (lunes 2026-09-21 a domingo 2026-10-18): 1 diario, 8 los sábados
+const points = []
+for (let i = 0; i < 28; i++) {
+  const day = new Date(Date.UTC(2026, 8, 21 + i))
+  points.push({ day, qty: day.getUTCDay() === 6 ? 8 : 1 })
+}
+const weeks = dailySeries(points, { start: '2026-09-21', days: 28 })
+const idx = seasonalityIndices(weeks)
+assert.deepStrictEqual(idx.weekday, [0.5, 0.5, 0.5, 0.5, 0.5, 4, 0.5])
+assert.ok(idx.month.every((m) => m === 1)) // menos de un año: sin índice por mes
+assert.deepStrictEqual(demandLevel(weeks, idx, 28), { level: 2, sigma: 0 })
+assert.deepStrictEqual(seasonalityIndices(dailySeries([], { start: '2026-09-21', days: 7 })).weekday, Array(7).fill(1))
+
+// Entrega de 3 días desde el lunes 19: 1 + 1 + 1; con 6 días entra el sábado
+const options = forecastOptions({})
+const plan = reorderPlan(weeks, { stock: 2, onOrder: 0, leadTimeDays: 3, options })
+assert.strictEqual(plan.lead_time_demand, 3)
+assert.strictEqual(plan.reorder_point, 3)
+assert.strictEqual(plan.order_up_to, 31) // 3 + 14 días: dos sábados (16) + 15 días × 1
+assert.strictEqual(plan.suggested_order_qty, 29)
+assert.strictEqual(reorderPlan(weeks, { stock: 2, leadTimeDays: 6, options }).reorder_point, 13)
+
+// Existencia + en pedido sobre el punto de reorden: no se pide
+assert.strictEqual(reorderPlan(weeks, { stock: 2, onOrder: 5, leadTimeDays: 3, options }).suggested_order_qty, 0)
+
+// Demanda irregular: el stock de seguridad sube con el nivel de servicio
+const noisy = dailySeries(points.map((p, i) => ({ ...p, qty: i % 2 ? 0 : 4 })), { start: '2026-09-21', days: 28 })
+const at95 = reorderPlan(noisy, { stock: 0, leadTimeDays: 7, options })
+const at99 = reorderPlan(noisy, { stock: 0, leadTimeDays: 7, options: forecastOptions({ service_level: 0.99 }) })
+assert.ok(at95.safety_stock > 0 && at99.safety_stock > at95.safety_stock && at99.reorder_point >= at95.reorder_point)
+assert.strictEqual(reorderPlan(dailySeries([], { start: '2026-09-21', days: 28 }), { stock: 5, leadTimeDays: 7, options }).days_of_cover, null)
+
+console.log('demandForecast.selfcheck OK')
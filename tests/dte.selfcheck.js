@@ -0,0 +1,116 @@
+// Self-check del armado FEL y el certificador local (sin BD). Correr: node tests/dte.selfcheck.js
+const assert = require('assert')
+const {
+  CF_MAX_TOTAL, escapeXml, normalizeNit, invoiceDocumentType, buildDteLines, buildDteXml,
+} = require('../src/services/dte/xml')
+const { createMockProvider } = require('../src/services/dte/providers/mock')
+const { getDteProvider, availableDteProviders } = require('../src/services/dte/providers')
+const { publicDte } = require('../src/services/dte/certification')
+
+const GENERAL = { regime: 'GENERAL', ivaRate: 0.12 }
+const PEQUENO = { regime: 'PEQUENO', ivaRate: 0.12 }
+const cents = (n) => Math.round(n * 100)
+
+const EMITTER = { nit: '1234567-8', name: 'Depósito S.A.', establishment: '1' }
+const doc = (over = {}) => ({
+  documentType: 'FACT',
+  ...GENERAL,
+  emittedAt: '2026-10-19T10:00:00-06:00',
+  emitter: EMITTER,
+  receiver: { nit: 'CF' },
+  items: [{ description: 'Cemento', qty: 2, unit_price: 50 }],
+  total: 100,
+  ...over,
+})
+
+;(async () => {
+  // NIT y tipo de documento
+  assert.strictEqual(normalizeNit(' 123456-7 '), '1234567')
+  assert.strictEqual(normalizeNit('c/f'), 'CF')
+  assert.strictEqual(normalizeNit(''), 'CF')
+  assert.strictEqual(invoiceDocumentType('PEQUENO'), 'FPEQ')
+  assert.strictEqual(invoiceDocumentType('GENERAL'), 'FACT')
+  assert.strictEqual(escapeXml(`A&B <"x">'`), 'A&amp;B &lt;&quot;x&quot;&gt;&apos;')
+
+  // El descuento de la venta se reparte entre líneas y cuadra al centavo
+  const lines = buildDteLines([
+    { description: 'A', qty: 1, unit_price: 33.33 },
+    { description: 'B', qty: 2, unit_price: 33.33 },
+    { description: 'C', qty: 1, unit_price: 10 },
+  ], 100, GENERAL)
+  assert.strictEqual(lines.reduce((a, l) => a + cents(l.total), 0), 10000)
+  assert.strictEqual(lines.reduce((a, l) => a + cents(l.discount), 0), cents(109.99 - 100))
+  for (const l of lines) assert.strictEqual(cents(l.taxable) + cents(l.iva), cents(l.total))
+
+  // Sin descuento: IVA incluido desglosado por línea
+  const [plain] = buildDteLines([{ description: 'X', qty: 1, unit_price: 112 }], 112, GENERAL)
+  assert.deepStrictEqual([plain.discount, plain.taxable, plain.iva], [0, 100, 12])
+
+  // Pequeño contribuyente: sin impuesto desglosado ni TotalImpuestos
+  const [peq] = buildDteLines([{ description: 'X', qty: 1, unit_price: 112 }], 112, PEQUENO)
+  assert.strictEqual(peq.iva, undefined)
+  const fpeq = buildDteXml(doc({ documentType: 'FPEQ', ...PEQUENO }))
+  assert.ok(!fpeq.xml.includes('TotalImpuestos'))
+  assert.ok(fpeq.xml.includes('AfiliacionIVA="PEQ"'))
+  assert.ok(fpeq.xml.includes('TipoFrase="3"'))
+
+  // Un total mayor que las líneas no se puede facturar
+  assert.throws(() => buildDteLines([{ description: 'X', qty: 1, unit_price: 10 }], 11, GENERAL), (e) => e.status === 400)
+
+  // Factura general
+  const fact = buildDteXml(doc({ items: [{ description: 'Tubo <PVC> & codo', qty: 2, unit_price: 56 }], total: 112 }))
+  assert.strictEqual(fact.totalTax, 12)
+  assert.ok(fact.xml.includes('Tipo="FACT"'))
+  assert.ok(fact.xml.includes('NITEmisor="12345678"'))
+  assert.ok(fact.xml.includes('IDReceptor="CF"'))
+  assert.ok(fact.xml.includes('Tubo &lt;PVC&gt; &amp; codo'))
+  assert.ok(fact.xml.includes('<dte:GranTotal>112.00</dte:GranTotal>'))
+  assert.ok(!fact.xml.includes('ReferenciasNota'))
+
+  // Consumidor final: tope de SAT para facturas, no para notas
+  const big = { items: [{ description: 'X', qty: 1, unit_price: CF_MAX_TOTAL }], total: CF_MAX_TOTAL }
+  assert.throws(() => buildDteXml(doc(big)), (e) => e.status === 400)
+  assert.doesNotThrow(() => buildDteXml(doc({ ...big, receiver: { nit: '1234567' } })))
+  const creditNote = { authorization: 'ABC-123', emissionDate: '2026-10-18', reason: 'Devolución' }
+  const ncre = buildDteXml(doc({ ...big, documentType: 'NCRE', creditNote }))
+  assert.ok(ncre.xml.includes('Tipo="NCRE"'))
+  assert.ok(ncre.xml.includes('NumeroAutorizacionDocumentoOrigen="ABC-123"'))
+  assert.ok(ncre.xml.includes('FechaEmisionDocumentoOrigen="2026-10-18"'))
+  assert.ok(!ncre.xml.includes('<dte:Frases>'))
+
+  // Certificador local: determinista por identificador y rechazo configurable
+  const mock = createMockProvider()
+  const a = await mock.certify({ xml: fact.xml, identifier: 'dte-1' })
+  const b = await mock.certify({ xml: fact.xml, identifier: 'dte-1' })
+  const c = await mock.certify({ xml: fact.xml, identifier: 'dte-2' })
+  assert.strictEqual(a.outcome, 'authorized')
+  assert.strictEqual(a.authorization, b.authorization)
+  assert.notStrictEqual(a.authorization, c.authorization)
+  // Se ve que es de prueba: no pasa por una autorización de SAT
+  assert.match(a.authorization, /^PRUEBA-[0-9A-F]{8}-/)
+  assert.strictEqual(a.series, 'PRUEBA')
+  assert.ok(a.xml.includes(`DOCUMENTO DE PRUEBA, sin validez ante SAT: ${a.authorization}`))
+  const rejected = await createMockProvider({ reject: 'NIT inválido' }).certify({ xml: fact.xml, identifier: 'x' })
+  assert.deepStrictEqual(rejected, { outcome: 'rejected', errors: ['NIT inválido'] })
+
+  // Sin certificador configurado = la empresa no factura electrónicamente
+  assert.strictEqual(getDteProvider(''), null)
+  assert.strictEqual(getDteProvider('mock').name, 'Mock')
+  assert.strictEqual(publicDte({ provider: 'Mock', xml: '<x/>' }).test, true)
+  assert.strictEqual(publicDte({ provider: 'InFile' }).test, false)
+
+  // En producción el certificador de prueba solo con DTE_ALLOW_MOCK
+  process.env.NODE_ENV = 'production'
+  assert.deepStrictEqual(availableDteProviders(), ['INFILE'])
+  assert.strictEqual(getDteProvider('MOCK'), null)
+  process.env.DTE_ALLOW_MOCK = 'true'
+  assert.deepStrictEqual(availableDteProviders(), ['INFILE', 'MOCK'])
+  assert.strictEqual(getDteProvider('MOCK').name, 'Mock')
+  delete process.env.DTE_ALLOW_MOCK
+  delete process.env.NODE_ENV
+
+  console.log('dte.selfcheck OK')
+})().catch((e) => {
+  console.error(e)
+  process.exit(1)
+})
@@ -0,0 +1,86 @@
+// Self-check de la clasificación ABC/XYZ (aporte acumulado, variabilidad, recálculo por sucursal). Correr: node tests/inventoryClassification.selfcheck.js
+const assert = require('assert')
+const { DateTime } = require('luxon')
+const {
+  CLASSIFICATION_WEEKS,
+  abcByContribution,
+  demandCv,
+  xyzClass,
+  classifyProducts,
+  classificationMatrix,
+  abcBasisField,
+  parseClassList,
+  recomputeBranchClassification,
+} = require('../src/services/inventoryClassification')
+
+;(async () => {
+  // ABC: clase del acumulado antes de sumarse; el primero siempre es A
+  const rows = [
+    { product_id: 'p1', v: 90 },
+    { product_id: 'p2', v: 6 },
+    { product_id: 'p3', v: 3 },
+    { product_id: 'p4', v: 1 },
+    { product_id: 'p5', v: 0 },
+    { product_id: 'p6', v: -5 },
+  ]
+  const abc = abcByContribution(rows, (r) => r.v)
+  assert.deepStrictEqual([...'123456'].map((i) => abc.get(`p${i}`)), ['A', 'B', 'C', 'C', 'C', 'C'])
+  const even = abcByContribution([1, 2, 3, 4, 5].map((i) => ({ product_id: `q${i}`, v: 10 })), (r) => r.v)
+  assert.deepStrictEqual([...even.values()], ['A', 'A', 'A', 'A', 'B'])
+
+  // XYZ: coeficiente de variación de las semanas, incluidas las de cero
+  assert.strictEqual(demandCv([4, 4, 4, 4]), 0)
+  assert.strictEqual(demandCv([0, 0, 0, 0]), null)
+  assert.strictEqual(demandCv([2, 6]), 0.5)
+  assert.strictEqual(demandCv([12, 0, 0]), 1.4142)
+  assert.deepStrictEqual([0, 0.5, 0.51, 1, 1.4142, null].map(xyzClass), ['X', 'X', 'Y', 'Y', 'Z', 'Z'])
+
+  // Ingreso y margen se clasifican por separado
+  const classified = classifyProducts([
+    { product_id: 'a', revenue: 1000, margin: 20, units: 40, weekly: [10, 10, 10, 10] },
+    { product_id: 'b', revenue: 100, margin: 80, units: 8, weekly: [8, 0, 0, 0] },
+    { product_id: 'c', revenue: 0, margin: 0, units: 0, weekly: [0, 0, 0, 0] },
+  ])
+  assert.deepStrictEqual(classified.map((r) => [r.abc_revenue, r.abc_margin, r.xyz]), [['A', 'B', 'X'], ['B', 'A', 'Z'], ['C', 'C', 'Z']])
+  assert.strictEqual(classificationMatrix(classified).AX, 1)
+  assert.strictEqual(classificationMatrix(classified, 'margin').BX, 1)
+
+  // Filtros de query
+  assert.strictEqual(abcBasisField(undefined), 'abc_revenue')
+  assert.strictEqual(abcBasisField('MARGIN'), 'abc_margin')
+  assert.throws(() => abcBasisField('units'), (e) => e.status === 400)
+  assert.deepStrictEqual(parseClassList('a, b,A', ['A', 'B', 'C'], 'abc'), ['A', 'B'])
+  assert.strictEqual(parseClassList('', ['A'], 'abc'), null)
+  assert.throws(() => parseClassList('A,Q', ['A', 'B', 'C'], 'abc'), (e) => e.status === 400)
+
+  // Recálculo: semanas desde el inicio del período, lo de otros productos se ignora
+  const written = []
+  const db = {
+    productStock: { async findMany() { return [{ product_id: 'a' }, { product_id: 'b' }] } },
+    async $queryRaw() {
+      return [
+        { product_id: 'a', week: 0, units: 5, revenue: 50, cost: 30 },
+        { product_id: 'a', week: CLASSIFICATION_WEEKS - 1, units: 5, revenue: 50, cost: 30 },
+        { product_id: 'x', week: 3, units: 9, revenue: 900, cost: 1 },
+      ]
+    },
+    productClassification: {
+      deleteMany: async (args) => written.push(['delete', args]),
+      createMany: async (args) => written.push(['create', args]),
+    },
+    async $transaction(ops) { return Promise.all(ops) },
+  }
+  const now = DateTime.fromISO('2026-10-19T10:00:00', { zone: 'America/Guatemala' })
+  const result = await recomputeBranchClassification(db, 'b1', { tz: 'America/Guatemala', now })
+  assert.deepStrictEqual(result, { branch_id: 'b1', products: 2, period_start: '2026-04-20', period_end: '2026-10-18' })
+  assert.deepStrictEqual(written[0], ['delete', { where: { branch_id: 'b1' } }])
+  const [a, b] = written[1][1].data
+  assert.deepStrictEqual([a.product_id, a.revenue, a.margin, a.units, a.abc_revenue, a.xyz], ['a', 100, 40, 10, 'A', 'Z'])
+  assert.deepStrictEqual([b.product_id, b.abc_revenue, b.demand_cv, b.branch_id], ['b', 'C', null, 'b1'])
+  assert.strictEqual(a.period_end.toISOString(), '2026-10-18T00:00:00.000Z')
+
+  console.log('inventoryClassification.selfcheck OK')
+})().catch((e) => {
+  console.error(e)
+  process.exit(1)
+})
@@ -0,0 +1,43 @@
+// Self-check de horarios cron de las tareas programadas (sin BD). Correr: node tests/jobs.selfcheck.js
+const assert = require('assert')
+const { parseCron, nextRun } = require('../src/services/cronSchedule')
+
+const GT = 'America/Guatemala' // UTC-6, sin horario de verano
+const at = (iso) => new Date(iso)
+const next = (expr, iso, zone = GT) => nextRun(expr, at(iso), zone)?.toISOString()
+
+// Campos: listas, rangos, pasos; 7 = domingo
+const c = parseCron('*/15 8-18/5 1,15 * 7')
+assert.deepStrictEqual([...c.minute], [0, 15, 30, 45])
+assert.deepStrictEqual([...c.hour], [8, 13, 18])
+assert.deepStrictEqual([...c.dom], [1, 15])
+assert.deepStrictEqual([...c.dow], [0])
+assert.deepStrictEqual([...parseCron('5/20 * * * *').minute], [5, 25, 45])
+assert.throws(() => parseCron('* * * *'), /5 campos/)
+assert.throws(() => parseCron('60 * * * *'), /fuera de rango/)
+assert.throws(() => parseCron('* * 5-1 * *'), /al revés/)
+assert.throws(() => parseCron('*/0 * * * *'), /fuera de rango/)
+assert.throws(() => parseCron('a * * * *'), /no es un número/)
+
+// Cada hora en punto: estrictamente después del momento dado
+assert.strictEqual(next('0 * * * *', '2026-10-19T16:20:00Z'), '2026-10-19T17:00:00.000Z')
+assert.strictEqual(next('0 * * * *', '2026-10-19T17:00:00Z'), '2026-10-19T18:00:00.000Z')
+
+// 3:00 en Guatemala = 9:00 UTC; si ya pasó hoy, mañana
+assert.strictEqual(next('0 3 * * *', '2026-10-19T08:00:00Z'), '2026-10-19T09:00:00.000Z')
+assert.strictEqual(next('0 3 * * *', '2026-10-19T09:30:00Z'), '2026-10-20T09:00:00.000Z')
+assert.strictEqual(next('0 3 * * *', '2026-10-19T09:30:00Z', 'UTC'), '2026-10-20T03:00:00.000Z')
+
+// Fin de mes y de año
+assert.strictEqual(next('30 1 1 * *', '2026-12-15T00:00:00Z'), '2027-01-01T07:30:00.000Z')
+
+// Día del mes O día de la semana cuando se restringen los dos (como cron).
+// 2026-10-19 es lunes: el siguiente día 25 es domingo; el siguiente viernes, el 23.
+assert.strictEqual(next('0 0 25 * 5', '2026-10-19T12:00:00Z'), '2026-10-23T06:00:00.000Z')
+// Solo día de la semana: domingo
+assert.strictEqual(next('0 0 * * 0', '2026-10-19T12:00:00Z'), '2026-10-25T06:00:00.000Z')
+
+// Nunca ocurre
+assert.strictEqual(nextRun('0 0 30 2 *', at('2026-10-19T00:00:00Z'), GT), null)
+
+console.log('jobs.selfcheck OK')
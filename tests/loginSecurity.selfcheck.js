@@ -0,0 +1,87 @@
+// Self-check de bloqueo por intentos fallidos y alertas de login (BD simulada). Correr: node tests/loginSecurity.selfcheck.js
+const assert = require('assert')
+const { DateTime } = require('luxon')
+const {
+  lockoutMinutes,
+  isLocked,
+  normalizeOperatingHours,
+  isWithinOperatingHours,
+  registerFailedLogin,
+  detectLoginAnomalies,
+} = require('../src/services/loginSecurity')
+
+function fakeDb({ events = [], branches = [], timezone = 'America/Guatemala' } = {}) {
+  const user = { id: 'u1', failed_login_count: 0, locked_until: null }
+  return {
+    user: {
+      row: user,
+      async update({ data }) {
+        if (data.failed_login_count?.increment) user.failed_login_count += data.failed_login_count.increment
+        if ('locked_until' in data) user.locked_until = data.locked_until
+        return { ...user }
+      },
+    },
+    loginEvent: {
+      async findFirst({ where }) {
+        return events.find((e) => e.user_id === where.user_id && e.success === where.success && (!where.ip || e.ip === where.ip)) || null
+      },
+    },
+    branch: { async findMany() { return branches } },
+    systemSetting: { async findMany() { return [{ key: 'timezone', value: timezone }] } },
+  }
+}
+
+;(async () => {
+  // Bloqueo progresivo: nada hasta el umbral, luego duplica con tope
+  const config = { threshold: 5, baseMinutes: 1, maxMinutes: 60 }
+  assert.deepStrictEqual([4, 5, 6, 7, 12].map((n) => lockoutMinutes(n, config)), [0, 1, 2, 4, 60])
+  const now = new Date('2026-10-19T12:00:00Z')
+  assert.strictEqual(isLocked({ locked_until: new Date('2026-10-19T12:01:00Z') }, now), true)
+  assert.strictEqual(isLocked({ locked_until: new Date('2026-10-19T11:59:00Z') }, now), false)
+  assert.strictEqual(isLocked({ locked_until: null }, now), false)
+
+  const db = fakeDb()
+  for (let i = 0; i < 4; i++) assert.strictEqual((await registerFailedLogin(db, 'u1', now)).lockedUntil, null)
+  const fifth = await registerFailedLogin(db, 'u1', now)
+  assert.strictEqual(fifth.failures, 5)
+  assert.strictEqual(fifth.lockedUntil.toISOString(), '2026-10-19T12:01:00.000Z')
+  assert.strictEqual((await registerFailedLogin(db, 'u1', now)).lockedUntil.toISOString(), '2026-10-19T12:02:00.000Z')
+  assert.strictEqual(db.user.row.locked_until.toISOString(), '2026-10-19T12:02:00.000Z')
+
+  // Horario de atención
+  assert.strictEqual(normalizeOperatingHours(null), null)
+  assert.deepStrictEqual(
+    normalizeOperatingHours({ mon: '08:00 - 12:00', tue: ['08:00-12:00', '14:00-24:00'], sun: [] }),
+    { mon: ['08:00-12:00'], tue: ['08:00-12:00', '14:00-24:00'] }
+  )
+  for (const bad of [{ lun: ['08:00-12:00'] }, { mon: ['12:00-08:00'] }, { mon: ['8-12'] }, { mon: ['08:00-25:00'] }, ['mon']]) {
+    assert.throws(() => normalizeOperatingHours(bad), (e) => e.status === 400)
+  }
+  const hours = { mon: ['08:00-12:00', '14:00-18:00'] }
+  const at = (iso) => DateTime.fromISO(iso, { zone: 'America/Guatemala' })
+  assert.strictEqual(isWithinOperatingHours(hours, at('2026-10-19T08:00')), true) // lunes
+  assert.strictEqual(isWithinOperatingHours(hours, at('2026-10-19T12:00')), false)
+  assert.strictEqual(isWithinOperatingHours(hours, at('2026-10-19T17:59')), true)
+  assert.strictEqual(isWithinOperatingHours(hours, at('2026-10-20T09:00')), false) // martes: cerrado
+
+  // Alertas: la primera vez no hay IP "nueva"; después sí, si nunca entró desde ahí
+  const branches = [{ company_id: 'c1', operating_hours: hours }]
+  // 2026-10-19 15:00 UTC = lunes 09:00 en Guatemala (UTC-6)
+  const mondayMorning = new Date('2026-10-19T15:00:00Z')
+  assert.deepStrictEqual(await detectLoginAnomalies(fakeDb({ branches }), { id: 'u1' }, { ip: '1.1.1.1', at: mondayMorning }), [])
+  const events = [{ user_id: 'u1', success: true, ip: '1.1.1.1' }]
+  assert.deepStrictEqual(await detectLoginAnomalies(fakeDb({ events }), { id: 'u1' }, { ip: '1.1.1.1', at: mondayMorning }), [])
+  assert.deepStrictEqual(await detectLoginAnomalies(fakeDb({ events }), { id: 'u1' }, { ip: '2.2.2.2', at: mondayMorning }), ['NEW_IP'])
+  // 03:00 en Guatemala, y otra sucursal sin horario no cuenta
+  const night = new Date('2026-10-19T09:00:00Z')
+  const withOpen = [...branches, { company_id: 'c1', operating_hours: null }]
+  assert.deepStrictEqual(
+    await detectLoginAnomalies(fakeDb({ events, branches: withOpen }), { id: 'u1' }, { ip: '2.2.2.2', at: night }),
+    ['NEW_IP', 'OUTSIDE_HOURS']
+  )
+
+  console.log('loginSecurity.selfcheck OK')
+})().catch((e) => {
+  console.error(e)
+  process.exit(1)
+})
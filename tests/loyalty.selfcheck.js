@@ -0,0 +1,101 @@
+// Self-check del programa de puntos (acumulación, canje, reversión, niveles, estado de cuenta). Correr: node tests/loyalty.selfcheck.js
+const assert = require('assert')
+const {
+  TIER_RULE_PRIORITY, loyaltySettings, parseEarnRules, parseTiers, earnPoints, redemptionValue,
+  returnReversal, cancelReversal, salePointTotals, tierFor, summarizeStatement,
+} = require('../src/services/loyalty')
+
+const is = (status) => (e) => e.status === status
+
+// Configuración: sin valor por punto no hay canje; mínimo por defecto 1
+assert.deepStrictEqual(loyaltySettings({}), { pointValue: 0, minRedeem: 1 })
+assert.deepStrictEqual(loyaltySettings({ loyalty_point_value: '0.05', loyalty_min_redeem: '100' }), { pointValue: 0.05, minRedeem: 100 })
+assert.deepStrictEqual(loyaltySettings({ loyalty_point_value: '-1', loyalty_min_redeem: '0' }), { pointValue: 0, minRedeem: 1 })
+assert.ok(TIER_RULE_PRIORITY < 0) // la regla manual (0) le gana a la del nivel
+
+// Reglas: se normalizan y la primera inválida dice cuál es
+const [rule] = parseEarnRules([{ name: ' General ', points: '1', per_amount: '10', channel: 'pos' }])
+assert.deepStrictEqual(rule, {
+  name: 'General', points: 1, per_amount: 10, category_id: null, channel: 'POS', min_sale_total: null, priority: 0, active: true,
+})
+assert.throws(() => parseEarnRules({}), is(400))
+assert.throws(() => parseEarnRules([{ name: 'x', points: 1.5, per_amount: 10 }]), /regla 1/)
+assert.throws(() => parseEarnRules([{ name: 'x', points: 1, per_amount: 0 }]), is(400))
+assert.throws(() => parseEarnRules([{ name: 'x', points: 1, per_amount: 1, channel: 'TIENDA' }]), is(400))
+
+// Acumulación: la regla de la categoría gana a la general; el descuento se reparte
+const rules = [
+  { id: 'gen', name: 'General', points: 1, per_amount: 10, category_id: null, channel: null, priority: 0 },
+  { id: 'beb', name: 'Bebidas x2', points: 2, per_amount: 10, category_id: 7, channel: null, priority: 0 },
+  { id: 'pos', name: 'Solo mayoreo', points: 5, per_amount: 10, category_id: null, channel: 'WHOLESALE', priority: 9 },
+  { id: 'off', name: 'Apagada', points: 9, per_amount: 1, category_id: null, channel: null, priority: 99, active: false },
+]
+const lines = [
+  { category_id: 7, qty: 2, price: 25 }, // 50
+  { category_id: 3, qty: 1, price: 45 }, // 45
+  { category_id: 3, qty: 1, price: 100, is_gift_card: true }, // no gana
+]
+let earned = earnPoints(lines, rules, { channel: 'POS', subtotal: 195, total: 195 })
+assert.deepStrictEqual(earned.breakdown.map((b) => [b.rule_id, b.amount, b.points]), [['beb', 50, 10], ['gen', 45, 4]])
+assert.strictEqual(earned.points, 14)
+// 10 % de descuento: 45 y 40.5 → 8 y 4
+earned = earnPoints(lines, rules, { channel: 'POS', subtotal: 200, total: 180 })
+assert.deepStrictEqual(earned.breakdown.map((b) => b.points), [8, 4])
+// En mayoreo la regla del canal tiene más prioridad que la general, pero la de categoría sigue ganando
+earned = earnPoints(lines, rules, { channel: 'WHOLESALE', subtotal: 195, total: 195 })
+assert.deepStrictEqual(earned.breakdown.map((b) => [b.rule_id, b.points]), [['beb', 10], ['pos', 20]])
+// Total mínimo no alcanzado: la regla no cuenta
+earned = earnPoints(lines, [{ ...rules[0], min_sale_total: 500 }], { channel: 'POS', subtotal: 195, total: 195 })
+assert.strictEqual(earned.points, 0)
+
+// Canje: habilitado, sobre el mínimo, dentro del saldo y de lo que falta cobrar
+const settings = { pointValue: 0.1, minRedeem: 50 }
+assert.deepStrictEqual(redemptionValue(120, { balance: 300, settings, maxValue: 100 }), { points: 120, value: 12 })
+assert.throws(() => redemptionValue(120, { balance: 300, settings: { pointValue: 0, minRedeem: 1 }, maxValue: 100 }), is(400))
+assert.throws(() => redemptionValue(10, { balance: 300, settings, maxValue: 100 }), is(400))
+assert.throws(() => redemptionValue(400, { balance: 300, settings, maxValue: 100 }), is(409))
+assert.throws(() => redemptionValue(300, { balance: 300, settings, maxValue: 20 }), is(400))
+assert.throws(() => redemptionValue(1.5, { balance: 300, settings, maxValue: 100 }), is(400))
+
+// Devolución: se quita lo ganado en proporción a lo devuelto, acumulado y sin repetir
+assert.strictEqual(returnReversal({ earned: 14, reversed: 0, subtotal: 200, totalReturned: 50 }), 3)
+assert.strictEqual(returnReversal({ earned: 14, reversed: 3, subtotal: 200, totalReturned: 100 }), 4)
+assert.strictEqual(returnReversal({ earned: 14, reversed: 7, subtotal: 200, totalReturned: 250 }), 7)
+assert.strictEqual(returnReversal({ earned: 0, reversed: 0, subtotal: 0, totalReturned: 0 }), 0)
+
+// Anulación: se va lo que quede ganado y vuelve lo canjeado menos la parte ya devuelta
+assert.deepStrictEqual(
+  cancelReversal({ earned: 14, reversed: 0, redeemed: 120, restored: 0, subtotal: 200, totalReturned: 0 }),
+  { reverse: 14, restore: 120 },
+)
+assert.deepStrictEqual(
+  cancelReversal({ earned: 14, reversed: 3, redeemed: 120, restored: 0, subtotal: 200, totalReturned: 50 }),
+  { reverse: 11, restore: 90 },
+)
+assert.deepStrictEqual(
+  salePointTotals([{ type: 'EARN', points: 14 }, { type: 'REDEEM', points: -120 }, { type: 'REVERSE', points: -3 }]),
+  { earned: 14, redeemed: 120, reversed: 3, restored: 0 },
+)
+
+// Niveles: ordenados, sin nombres ni umbrales repetidos; el de mayor umbral alcanzado
+const tiers = parseTiers([
+  { name: 'Oro', min_points: 1000, price_tier: 'wholesale', channel: 'pos' },
+  { name: 'Plata', min_points: 200 },
+])
+assert.deepStrictEqual(tiers.map((t) => [t.name, t.price_tier, t.channel]), [['Plata', null, null], ['Oro', 'WHOLESALE', 'POS']])
+assert.throws(() => parseTiers([{ name: 'A', min_points: 1 }, { name: 'a', min_points: 2 }]), is(400))
+assert.throws(() => parseTiers([{ name: 'A', min_points: 1 }, { name: 'B', min_points: 1 }]), is(400))
+assert.throws(() => parseTiers([{ name: 'A', min_points: 1, channel: 'POS' }]), is(400))
+assert.strictEqual(tierFor(tiers, 150), null)
+assert.strictEqual(tierFor(tiers, 200).name, 'Plata')
+assert.strictEqual(tierFor(tiers, 5000).name, 'Oro')
+
+// Estado de cuenta: saldo inicial + movimientos = saldo final
+const st = summarizeStatement([
+  { type: 'EARN', points: 14 }, { type: 'REDEEM', points: -50 }, { type: 'ADJUST', points: 5 },
+], 100)
+assert.strictEqual(st.opening_balance, 100)
+assert.strictEqual(st.closing_balance, 69)
+assert.deepStrictEqual(st.totals.filter((t) => t.points !== 0).map((t) => [t.type, t.points]), [['EARN', 14], ['REDEEM', -50], ['ADJUST', 5]])
+
+console.log('loyalty.selfcheck OK')
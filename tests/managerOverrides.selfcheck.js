@@ -0,0 +1,186 @@
+// Self-check de autorizaciones de supervisor (token de un solo uso, atado a acción, registro y cajero). Correr: node tests/managerOverrides.selfcheck.js
+const assert = require('assert')
+const {
+  OVERRIDE_ACTIONS,
+  generateOverrideToken,
+  hashOverrideToken,
+  canAuthorizeOverrides,
+  supervisorCanAuthorize,
+  cartHash,
+  overrideBinding,
+  normalizeOverrideRequest,
+  resolveOverrideTarget,
+  issueOverride,
+  overrideErrorBody,
+  consumeOverride,
+  requireOverride,
+} = require('../src/services/managerOverrides')
+
+// Filtro mínimo del where de Prisma que usa el servicio
+function matches(row, where) {
+  return Object.entries(where).every(([k, v]) => {
+    if (v && typeof v === 'object' && !(v instanceof Date)) {
+      if ('gt' in v) return row[k] > v.gt
+      if ('in' in v) return v.in.includes(row[k])
+    }
+    return row[k] === v
+  })
+}
+
+function fakeDb({ sales = [], sessions = [] } = {}) {
+  const rows = []
+  return {
+    rows,
+    managerOverride: {
+      async create({ data }) {
+        const row = { id: `o${rows.length + 1}`, used_at: null, sale_id: null, return_id: null, cash_session_id: null, ...data }
+        rows.push(row)
+        return row
+      },
+      async findFirst({ where, select }) {
+        const row = rows.find((r) => matches(r, where))
+        return row ? Object.fromEntries(Object.keys(select).map((k) => [k, row[k]])) : null
+      },
+      async updateMany({ where, data }) {
+        const hit = rows.filter((r) => matches(r, where))
+        hit.forEach((r) => Object.assign(r, data))
+        return { count: hit.length }
+      },
+    },
+    sale: {
+      async findFirst({ where }) {
+        return sales.find((s) => (where.id ? s.id === where.id : s.reference === where.reference) && s.company_id === where.branch.company_id) || null
+      },
+    },
+    cashRegisterSession: {
+      async findFirst({ where }) {
+        const s = sessions.find((x) => x.id === where.id && x.company_id === where.cashRegister.branch.company_id)
+        return s ? { id: s.id, cashRegister: { branch_id: s.branch_id } } : null
+      },
+    },
+  }
+}
+
+const SALE_ID = '11111111-1111-4111-8111-111111111111'
+const SESSION_ID = '22222222-2222-4222-8222-222222222222'
+const role = (name, codes) => ({ name, permissions: codes.map((code) => ({ permission: { code } })) })
+
+;(async () => {
+  // Token: ovr_ + 32 base64url; solo el hash se guarda
+  const { token, tokenHash } = generateOverrideToken()
+  assert.match(token, /^ovr_[A-Za-z0-9_-]{32}$/)
+  assert.strictEqual(tokenHash, hashOverrideToken(token))
+
+  // Quién hace la excepción sin token / quién puede autorizarla
+  assert.ok(canAuthorizeOverrides({ role_name: 'admin' }))
+  assert.ok(canAuthorizeOverrides({ role_name: 'jefe', permissions: ['pos.override'] }))
+  assert.ok(!canAuthorizeOverrides({ role_name: 'cajero', permissions: ['sales.create'] }))
+  assert.ok(supervisorCanAuthorize({ role: role('Admin', []) }))
+  assert.ok(supervisorCanAuthorize({ role: role('jefe', ['pos.override']) }))
+  assert.ok(!supervisorCanAuthorize({ role: role('cajero', ['sales.create', 'sales.cancel']) }))
+
+  // Pedido: acción conocida, motivo, y registro si la acción lo exige
+  assert.deepStrictEqual(
+    normalizeOverrideRequest({ action: 'sale_cancel', target_id: ' V-000001 ', reason: ' cliente se arrepintió ' }),
+    { action: 'SALE_CANCEL', target: 'V-000001', reason: 'cliente se arrepintió', bound: null, items: null }
+  )
+  const line = normalizeOverrideRequest({ action: 'PRICE_BELOW_COST', target_id: SALE_ID, product_id: 'p1', price: '8.5', reason: 'liquidación' })
+  assert.deepStrictEqual([line.target, line.bound], [null, { product_id: 'p1', price: 8.5 }])
+  const cart = normalizeOverrideRequest({ action: 'DISCOUNT_OVER_LIMIT', discount: 30, items: [{ product_id: 'p1', qty: 2 }], reason: 'cliente frecuente' })
+  assert.deepStrictEqual([cart.bound, cart.items.length], [{ discount: 30 }, 1])
+  for (const bad of [
+    { action: 'NOPE', reason: 'x' }, { action: 'SALE_CANCEL', reason: 'x' }, { action: 'PRICE_BELOW_COST' },
+    { action: 'PRICE_BELOW_COST', product_id: 'p1', price: 1, reason: 'x'.repeat(501) },
+    { action: 'PRICE_BELOW_COST', reason: 'x' }, { action: 'PRICE_BELOW_COST', product_id: 'p1', reason: 'x' },
+    { action: 'DISCOUNT_OVER_LIMIT', discount: 30, reason: 'x' }, { action: 'DISCOUNT_OVER_LIMIT', items: [{ product_id: 'p1', qty: 1 }], reason: 'x' },
+  ]) {
+    assert.throws(() => normalizeOverrideRequest(bad), (e) => e.status === 400)
+  }
+  assert.ok(Object.values(OVERRIDE_ACTIONS).every((a) => a.label))
+
+  // Huella del carrito: mismo producto y cantidad total, sin importar orden ni partición
+  assert.strictEqual(
+    cartHash([{ product_id: 'p1', qty: 2 }, { product_id: 'p2', qty: 1 }]),
+    cartHash([{ product_id: 'p2', qty: 1 }, { product_id: 'p1', qty: 1 }, { product_id: 'p1', qty: 1 }])
+  )
+  assert.notStrictEqual(cartHash([{ product_id: 'p1', qty: 2 }]), cartHash([{ product_id: 'p1', qty: 3 }]))
+  // Una caja de 12 ya convertida cuenta como 12 unidades
+  assert.strictEqual(
+    cartHash([{ product_id: 'p1', qty: 12, unit_id: 3, unit_qty: 1, unit_factor: 12 }]),
+    cartHash([{ product_id: 'p1', qty: 12, unit_id: null, unit_qty: null, unit_factor: null }])
+  )
+  assert.strictEqual(overrideBinding('PRICE_BELOW_COST', { product_id: 'p1', price: 8.5 }), 'line:p1:8.50')
+  assert.strictEqual(overrideBinding('SALE_CANCEL', { product_id: 'p1', price: 8.5 }), null)
+
+  // Registro: de esta empresa, por UUID o referencia
+  const db = fakeDb({
+    sales: [{ id: SALE_ID, reference: 'V-000001', company_id: 'c1', branch_id: 'b1' }],
+    sessions: [{ id: SESSION_ID, company_id: 'c1', branch_id: 'b2' }],
+  })
+  assert.deepStrictEqual(await resolveOverrideTarget(db, 'SALE_CANCEL', 'V-000001', 'c1'), { id: SALE_ID, branchId: 'b1' })
+  assert.deepStrictEqual(await resolveOverrideTarget(db, 'CASH_SESSION_REOPEN', SESSION_ID, 'c1'), { id: SESSION_ID, branchId: 'b2' })
+  assert.strictEqual(await resolveOverrideTarget(db, 'DISCOUNT_OVER_LIMIT', null, 'c1'), null)
+  await assert.rejects(resolveOverrideTarget(db, 'SALE_CANCEL', SALE_ID, 'c2'), (e) => e.status === 404)
+  await assert.rejects(resolveOverrideTarget(db, 'CASH_SESSION_REOPEN', 'T-1', 'c1'), (e) => e.status === 404)
+
+  // Emitir: vence en OVERRIDE_TOKEN_MINUTES (5)
+  const now = new Date('2026-10-20T15:00:00Z')
+  const issued = await issueOverride(db, {
+    companyId: 'c1', branchId: 'b1', action: 'SALE_CANCEL', targetId: SALE_ID, reason: 'error de cobro',
+    supervisorId: 'sup', requestedBy: 'caj', now,
+  })
+  assert.strictEqual(issued.override.expires_at.getTime() - now.getTime(), 5 * 60 * 1000)
+  assert.strictEqual(db.rows[0].token_hash, hashOverrideToken(issued.token))
+
+  const use = { action: 'SALE_CANCEL', targetId: SALE_ID, companyId: 'c1', requestedBy: 'caj', link: { sale_id: SALE_ID }, now }
+  const invalid = (e) => e.status === 403 && e.code === 'OVERRIDE_INVALID' && e.action === 'SALE_CANCEL'
+  // Atado a acción, registro, cajero y empresa
+  await assert.rejects(consumeOverride(db, issued.token, { ...use, action: 'RETURN_WITHOUT_RECEIPT' }), (e) => e.code === 'OVERRIDE_INVALID')
+  await assert.rejects(consumeOverride(db, issued.token, { ...use, targetId: SESSION_ID }), invalid)
+  await assert.rejects(consumeOverride(db, issued.token, { ...use, requestedBy: 'otro' }), invalid)
+  await assert.rejects(consumeOverride(db, issued.token, { ...use, companyId: 'c2' }), invalid)
+  await assert.rejects(consumeOverride(db, issued.token, { ...use, now: new Date(now.getTime() + 5 * 60 * 1000) }), invalid)
+  assert.strictEqual(db.rows[0].used_at, null)
+  // Uso correcto: queda enlazado; un segundo uso no pasa
+  const used = await consumeOverride(db, ['ovr_otro', issued.token], use)
+  assert.deepStrictEqual(used, { id: 'o1', authorized_by: 'sup' })
+  assert.deepStrictEqual([db.rows[0].used_at, db.rows[0].sale_id], [now, SALE_ID])
+  await assert.rejects(consumeOverride(db, issued.token, use), invalid)
+
+  // requireOverride: supervisor pasa sin token; cajero sin token → OVERRIDE_REQUIRED
+  assert.strictEqual(await requireOverride(db, { sub: 'sup', permissions: ['pos.override'] }, null, use), null)
+  const cashier = { sub: 'caj', role_name: 'cajero', permissions: ['sales.create'] }
+  const required = await requireOverride(db, cashier, [], { ...use, action: 'PRICE_BELOW_COST', message: 'Precio bajo el costo en A' }).catch((e) => e)
+  assert.deepStrictEqual(overrideErrorBody(required), { code: 'OVERRIDE_REQUIRED', action: 'PRICE_BELOW_COST', message: 'Precio bajo el costo en A' })
+  // En la venta en curso el token es de esa línea: otro producto u otro precio no lo usan
+  const bound = { product_id: 'p1', price: 8.5 }
+  const second = await issueOverride(db, {
+    companyId: 'c1', action: 'PRICE_BELOW_COST', binding: overrideBinding('PRICE_BELOW_COST', bound),
+    reason: 'remate', supervisorId: 'sup', requestedBy: 'caj', now,
+  })
+  const saleUse = { action: 'PRICE_BELOW_COST', companyId: 'c1', link: { sale_id: 'nueva' }, now }
+  const other = await requireOverride(db, cashier, [second.token], { ...saleUse, bound: { product_id: 'p1', price: 1 } }).catch((e) => e)
+  assert.deepStrictEqual(overrideErrorBody(other), { code: 'OVERRIDE_INVALID', action: 'PRICE_BELOW_COST', message: other.message, product_id: 'p1', price: 1 })
+  await assert.rejects(requireOverride(db, cashier, [second.token], { ...saleUse, bound: { product_id: 'p2', price: 8.5 } }), (e) => e.code === 'OVERRIDE_INVALID')
+  await assert.rejects(requireOverride(db, cashier, [second.token], saleUse), (e) => e.code === 'OVERRIDE_INVALID')
+  assert.deepStrictEqual(await requireOverride(db, cashier, [second.token], { ...saleUse, bound }), { id: 'o2', authorized_by: 'sup' })
+
+  // Descuento: atado al monto y al carrito
+  const cartBound = { discount: 30, cart_hash: cartHash([{ product_id: 'p1', qty: 2 }]) }
+  const third = await issueOverride(db, {
+    companyId: 'c1', action: 'DISCOUNT_OVER_LIMIT', binding: overrideBinding('DISCOUNT_OVER_LIMIT', cartBound),
+    reason: 'cliente frecuente', supervisorId: 'sup', requestedBy: 'caj', now,
+  })
+  const discountUse = { action: 'DISCOUNT_OVER_LIMIT', companyId: 'c1', now }
+  await assert.rejects(requireOverride(db, cashier, [third.token], { ...discountUse, bound: { ...cartBound, discount: 45 } }), (e) => e.code === 'OVERRIDE_INVALID')
+  await assert.rejects(requireOverride(db, cashier, [third.token], {
+    ...discountUse, bound: { discount: 30, cart_hash: cartHash([{ product_id: 'p1', qty: 5 }]) },
+  }), (e) => e.code === 'OVERRIDE_INVALID')
+  assert.deepStrictEqual(await requireOverride(db, cashier, [third.token], { ...discountUse, bound: cartBound }), { id: 'o3', authorized_by: 'sup' })
+  assert.strictEqual(overrideErrorBody(Object.assign(new Error('x'), { status: 400 })), null)
+
+  console.log('managerOverrides.selfcheck OK')
+})().catch((e) => {
+  console.error(e)
+  process.exit(1)
+})
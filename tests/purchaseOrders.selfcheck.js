@@ -0,0 +1,70 @@
+// Self-check de recepción contra orden de compra: amarre a líneas, estado y variación (sin BD).
+// Correr: node tests/purchaseOrders.selfcheck.js
+const assert = require('assert')
+const {
+  matchReceiptToOrderLines, statusAfterReceipt, purchaseOrderVariance,
+} = require('../src/services/purchaseOrders')
+
+const lines = [
+  { id: 'l1', product_id: 'a', qty_ordered: 10, qty_received: 0, unit_cost: 5 },
+  { id: 'l2', product_id: 'a', qty_ordered: 4, qty_received: 0, unit_cost: 5.5 },
+  { id: 'l3', product_id: 'b', qty_ordered: 6, qty_received: 6, unit_cost: 2 },
+]
+
+// Sin línea explícita: llena la primera con pendiente y pasa a la siguiente
+assert.deepStrictEqual(
+  matchReceiptToOrderLines(lines, [
+    { product_id: 'a', quantity: 10 },
+    { product_id: 'a', quantity: 3 },
+  ]),
+  ['l1', 'l2']
+)
+
+// Todo cubierto: lo que llega de más cae en la última línea del producto
+assert.deepStrictEqual(matchReceiptToOrderLines(lines, [{ product_id: 'b', quantity: 2 }]), ['l3'])
+
+// Línea explícita de otro producto, o producto fuera de la orden
+assert.throws(
+  () => matchReceiptToOrderLines(lines, [{ product_id: 'b', quantity: 1, purchase_order_line_id: 'l1' }]),
+  (e) => e.status === 400
+)
+assert.throws(
+  () => matchReceiptToOrderLines(lines, [{ product_id: 'zzz', quantity: 1 }], () => 'Café'),
+  /Café no está en la orden/
+)
+
+// Estado
+assert.strictEqual(statusAfterReceipt(lines), 'PARTIALLY_RECEIVED')
+assert.strictEqual(
+  statusAfterReceipt([{ qty_ordered: 5, qty_received: 5 }, { qty_ordered: 2, qty_received: 3 }]),
+  'RECEIVED'
+)
+
+// Variación: llegaron 8 de 10, a 5.25 en vez de 5
+const v = purchaseOrderVariance({
+  status: 'PARTIALLY_RECEIVED',
+  lines: [{
+    id: 'l1', qty_ordered: 10, qty_received: 8, unit_cost: 5,
+    receivedItems: [{ quantity: 8, unit_cost: 5.25, ordered_unit_cost: 5 }],
+  }],
+})
+assert.deepStrictEqual(v.lines[0], {
+  line_id: 'l1',
+  qty_ordered: 10,
+  qty_received: 8,
+  qty_pending: 2,
+  qty_variance: -2,
+  ordered_value: 50,
+  received_value: 42,
+  price_variance: 2,
+})
+assert.deepStrictEqual(v.totals, { ordered_value: 50, received_value: 42, price_variance: 2, qty_pending: 2 })
+
+// Cancelada: lo que faltaba ya no está pendiente
+assert.strictEqual(
+  purchaseOrderVariance({ status: 'CANCELLED', lines: [{ id: 'x', qty_ordered: 3, qty_received: 1, unit_cost: 1 }] })
+    .totals.qty_pending,
+  0
+)
+
+console.log('purchaseOrders.selfcheck OK')
@@ -0,0 +1,61 @@
+// Self-check del saldo y la antigüedad de cuentas por cobrar (sin BD).
+// Correr: node tests/receivables.selfcheck.js
+const assert = require('assert')
+const { saleCreditBalance, daysPastDue, agingBucket } = require('../src/services/receivables')
+
+const credito = { name: 'Crédito' }
+const efectivo = { name: 'Efectivo' }
+
+// Toda la venta a crédito, con un abono
+assert.deepStrictEqual(
+  saleCreditBalance({
+    total: 300,
+    total_returned: 0,
+    payments: [{ payment_method_id: 3, amount: 300, payment_method: credito }],
+    customerPayments: [{ amount: 120 }],
+  }),
+  { credit: 300, paid: 120, balance: 180 }
+)
+
+// Pago mixto: la devolución baja el saldo en la parte proporcional del crédito
+assert.deepStrictEqual(
+  saleCreditBalance({
+    total: 200,
+    total_returned: 50,
+    payments: [
+      { payment_method_id: 1, amount: 100, payment_method: efectivo },
+      { payment_method_id: 3, amount: 100, payment_method: credito },
+    ],
+    customerPayments: [],
+  }),
+  { credit: 75, paid: 0, balance: 75 }
+)
+
+// Pagada y luego devuelta: el saldo no queda negativo
+assert.strictEqual(
+  saleCreditBalance({
+    total: 100,
+    total_returned: 40,
+    payments: [{ payment_method_id: 3, amount: 100, payment_method: credito }],
+    customerPayments: [{ amount: 100 }],
+  }).balance,
+  0
+)
+
+// De contado: nada por cobrar
+assert.strictEqual(
+  saleCreditBalance({ total: 80, payment_method_id: 1, payment_method: efectivo }).credit,
+  0
+)
+
+// Días vencidos por fecha calendario (la hora no cuenta)
+assert.strictEqual(daysPastDue('2026-03-01T23:00:00Z', '2026-03-02T01:00:00Z'), 1)
+assert.strictEqual(daysPastDue('2026-03-10T00:00:00Z', '2026-03-02T12:00:00Z'), -8)
+
+// Tramos: por vencer, 0-30, 31-60, 61-90, 90+
+assert.deepStrictEqual(
+  [-5, 0, 30, 31, 60, 61, 90, 91].map(agingBucket),
+  ['current', 'd0_30', 'd0_30', 'd31_60', 'd31_60', 'd61_90', 'd61_90', 'd90_plus']
+)
+
+console.log('receivables.selfcheck OK')
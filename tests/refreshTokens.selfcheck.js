@@ -0,0 +1,82 @@
+// Self-check de rotación y cierre de sesiones (BD simulada). Correr: node tests/refreshTokens.selfcheck.js
+const assert = require('assert')
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'x'.repeat(40)
+
+const rows = []
+const matches = (row, where) => Object.entries(where).every(([k, v]) => {
+  if (v && typeof v === 'object' && !(v instanceof Date)) {
+    if ('not' in v) return row[k] !== v.not
+    if ('gt' in v) return row[k] > v.gt
+  }
+  return row[k] === v
+})
+const fakePrisma = {
+  refreshToken: {
+    async findUnique({ where }) { return rows.find((r) => matches(r, where)) || null },
+    async findFirst({ where }) { return rows.find((r) => matches(r, where)) || null },
+    async findMany({ where }) { return rows.filter((r) => matches(r, where)) },
+    async create({ data }) {
+      const row = { id: rows.length + 1, revoked_at: null, replaced_by: null, last_used_at: new Date(), session_started_at: new Date(), ...data }
+      rows.push(row)
+      return row
+    },
+    async update({ where, data }) {
+      const row = rows.find((r) => matches(r, where))
+      Object.assign(row, data)
+      return row
+    },
+    async updateMany({ where, data }) {
+      const hit = rows.filter((r) => matches(r, where))
+      for (const r of hit) Object.assign(r, data)
+      return { count: hit.length }
+    },
+  },
+  $transaction: (ops) => Promise.all(ops),
+}
+require.cache[require.resolve('../src/models/prisma.js')] = {
+  id: 'prisma', filename: 'prisma', loaded: true, exports: { prisma: fakePrisma },
+}
+
+const { issue, rotate, revoke, revokeAll, revokeSession, isSessionActive } = require('../src/services/refreshTokens')
+
+async function main() {
+  // Rotación normal: el token nuevo sirve y queda en la misma sesión
+  const a = await issue('u1')
+  const a2 = await rotate(a.token)
+  assert.strictEqual(a2.sessionId, a.sessionId)
+  assert.strictEqual(a2.userId, 'u1')
+
+  // Reuso del token ya rotado: se cierran todas las sesiones del usuario
+  const b = await issue('u1')
+  assert.deepStrictEqual(await rotate(a.token), { reuse: true })
+  assert.strictEqual(await isSessionActive(b.sessionId), false)
+
+  // Sesión cerrada desde otro dispositivo: su token deja de servir y las demás siguen
+  const keep = await issue('u2')
+  const closed = await issue('u2')
+  assert.strictEqual(await revokeSession('u2', closed.sessionId), true)
+  assert.strictEqual(await rotate(closed.token), null)
+  assert.strictEqual(await isSessionActive(keep.sessionId), true)
+
+  // Cambio de contraseña: la sesión que lo hizo se conserva aunque las otras refresquen
+  const current = await issue('u3')
+  const other = await issue('u3')
+  await revokeAll('u3', { exceptSessionId: current.sessionId })
+  assert.strictEqual(await rotate(other.token), null)
+  assert.ok((await rotate(current.token)).token)
+
+  // Logout: el token viejo no reabre ni cierra nada
+  const c = await issue('u4')
+  const d = await issue('u4')
+  await revoke(c.token)
+  assert.strictEqual(await rotate(c.token), null)
+  assert.strictEqual(await isSessionActive(d.sessionId), true)
+
+  console.log('refreshTokens.selfcheck OK')
+}
+
+main().catch((e) => {
+  console.error(e)
+  process.exit(1)
+})
@@ -0,0 +1,37 @@
+// Self-check de destino de devoluciones (validación, grupos de movimiento, reporte). Correr: node tests/returnDisposition.selfcheck.js
+const assert = require('assert')
+const { parseDisposition, dispositionGroups, summarizeReturns, NO_REASON } = require('../src/services/returnDisposition')
+
+// Destino: default RESTOCK, acepta minúsculas, rechaza lo desconocido
+assert.strictEqual(parseDisposition(undefined), 'RESTOCK')
+assert.strictEqual(parseDisposition('quarantine'), 'QUARANTINE')
+assert.throws(() => parseDisposition('TIRAR'), (e) => e.status === 400)
+
+// Grupos: uno por destino y ubicación, venta primero y baja al final
+const groups = dispositionGroups([
+  { product_id: 'a', qty_returned: 1, disposition: 'SCRAP' },
+  { product_id: 'b', qty_returned: 2, disposition: 'RESTOCK', location_id: 'L1' },
+  { product_id: 'c', qty_returned: 1, disposition: 'QUARANTINE', location_id: 'Q' },
+  { product_id: 'd', qty_returned: 3 },
+  { product_id: 'e', qty_returned: 1, disposition: 'RESTOCK', location_id: 'L1' },
+])
+assert.deepStrictEqual(groups.map((g) => [g.disposition, g.location_id, g.lines.map((l) => `${l.product_id}:${l.qty}`)]), [
+  ['RESTOCK', 'L1', ['b:2', 'e:1']],
+  ['RESTOCK', null, ['d:3']],
+  ['QUARANTINE', 'Q', ['c:1']],
+  ['SCRAP', null, ['a:1']],
+])
+
+// Reporte: el motivo vacío se agrupa aparte; por destino salen los tres aunque falte alguno
+const { by_reason: byReason, by_disposition: byDisposition } = summarizeReturns([
+  { reason: 'Dañado', disposition: 'SCRAP', qty: 2, refund: 20, cost: 12 },
+  { reason: 'Dañado', disposition: 'QUARANTINE', qty: 1, refund: 10, cost: 6 },
+  { reason: 'No le quedó', disposition: 'RESTOCK', qty: 1, refund: 15.555, cost: 8 },
+  { reason: '  ', disposition: 'RESTOCK', qty: 1, refund: 5, cost: 2 },
+])
+assert.deepStrictEqual(byReason.map((r) => [r.reason, r.units, r.refund]), [['Dañado', 3, 30], ['No le quedó', 1, 15.56], [NO_REASON, 1, 5]])
+assert.deepStrictEqual(byReason[0].units_by_disposition, { RESTOCK: 0, QUARANTINE: 1, SCRAP: 2 })
+assert.deepStrictEqual(byDisposition.map((d) => [d.disposition, d.units, d.cost]), [['RESTOCK', 2, 10], ['QUARANTINE', 1, 6], ['SCRAP', 2, 12]])
+assert.deepStrictEqual(summarizeReturns([]).by_disposition.map((d) => d.lines), [0, 0, 0])
+
+console.log('returnDisposition.selfcheck OK')
@@ -0,0 +1,88 @@
+// Self-check de restricciones por rol (costos, alcance de ventas, descuento máximo). Correr: node tests/roleRestrictions.selfcheck.js
+const assert = require('assert')
+const { RESTRICTIONS } = require('../src/config/permissionDeps')
+const {
+  normalizeRestrictions,
+  userRestrictions,
+  hidesCost,
+  stripCost,
+  redactCost,
+  assertCanSeeCost,
+  saleScopeWhere,
+  discountLimitExceeded,
+  assertDiscountAllowed,
+} = require('../src/services/roleRestrictions')
+
+function fakeDb(users) {
+  return {
+    user: {
+      async findUnique({ where }) { return users[where.id] || null },
+    },
+  }
+}
+
+class Money {
+  constructor(v) { this.v = v }
+}
+
+;(async () => {
+  // Catálogo: cada restricción dice qué permiso acota
+  for (const [key, def] of Object.entries(RESTRICTIONS)) {
+    assert.ok(def.permission && def.description, key)
+  }
+
+  // Guardar: se limpia, lo apagado se quita, lo desconocido o fuera de rango es 400
+  assert.strictEqual(normalizeRestrictions(null), null)
+  assert.strictEqual(normalizeRestrictions({ 'products.hide_cost': false, 'sales.scope': '' }), null)
+  assert.deepStrictEqual(
+    normalizeRestrictions({ 'products.hide_cost': true, 'sales.scope': 'register', 'sales.max_discount_pct': '15' }),
+    { 'products.hide_cost': true, 'sales.scope': 'register', 'sales.max_discount_pct': 15 }
+  )
+  for (const bad of [['x'], 'own', { 'sales.scope': 'team' }, { 'sales.max_discount_pct': 120 }, { 'products.hide_cost': 'si' }, { 'nope.x': true }]) {
+    assert.throws(() => normalizeRestrictions(bad), (e) => e.status === 400)
+  }
+
+  // El admin no tiene restricciones aunque el token traiga alguna
+  const cashier = { sub: 'u1', role_name: 'cajero', restrictions: { 'products.hide_cost': true, 'sales.scope': 'own', 'sales.max_discount_pct': 10 } }
+  const admin = { sub: 'u0', role: { name: 'Admin' }, restrictions: { 'products.hide_cost': true } }
+  assert.deepStrictEqual(userRestrictions(admin), {})
+  assert.strictEqual(hidesCost(cashier), true)
+  assert.strictEqual(hidesCost(admin), false)
+  assert.strictEqual(hidesCost({ sub: 'u2' }), false)
+
+  // Costos fuera a cualquier profundidad; Decimal/Date intactos
+  const price = new Money(12)
+  const sale = { id: 's1', total: price, date: new Date(0), sale_items: [{ qty: 1, price, unit_cost: new Money(7), product: { name: 'A', cost: 7 } }] }
+  const clean = stripCost(sale)
+  assert.strictEqual(clean.sale_items[0].unit_cost, undefined)
+  assert.strictEqual(clean.sale_items[0].product.cost, undefined)
+  assert.strictEqual(clean.sale_items[0].price, price)
+  assert.ok(clean.date instanceof Date)
+  assert.strictEqual(sale.sale_items[0].product.cost, 7)
+  assert.strictEqual(redactCost(admin, sale), sale)
+  assert.deepStrictEqual(redactCost(cashier, [{ cost: 1, marginPct: 3, name: 'B' }]), [{ name: 'B' }])
+  assert.throws(() => assertCanSeeCost(cashier), (e) => e.status === 403)
+  assertCanSeeCost(admin)
+
+  // Alcance de ventas: propias, o de la caja asignada (sin caja: propias)
+  const db = fakeDb({ u1: { cash_register_id: 'r1' }, u3: { cash_register_id: null } })
+  assert.deepStrictEqual(await saleScopeWhere(db, cashier), { created_by: 'u1' })
+  const byRegister = (sub) => ({ sub, role_name: 'cajero', restrictions: { 'sales.scope': 'register' } })
+  assert.deepStrictEqual(await saleScopeWhere(db, byRegister('u1')), { cashRegisterSession: { cash_register_id: 'r1' } })
+  assert.deepStrictEqual(await saleScopeWhere(db, byRegister('u3')), { created_by: 'u3' })
+  assert.deepStrictEqual(await saleScopeWhere(db, admin), {})
+
+  // Descuento máximo: sobre el subtotal, al centésimo
+  assertDiscountAllowed(cashier, 10, 100)
+  assertDiscountAllowed(cashier, 0, 100)
+  assert.throws(() => assertDiscountAllowed(cashier, 10.01, 100), (e) => e.status === 403)
+  assert.throws(() => assertDiscountAllowed(cashier, 5, 0), (e) => e.status === 403)
+  assertDiscountAllowed(admin, 90, 100)
+  assert.strictEqual(discountLimitExceeded(cashier, 10, 100), null)
+  assert.match(discountLimitExceeded(cashier, 25, 100), /25%.*10%/)
+
+  console.log('roleRestrictions.selfcheck OK')
+})().catch((e) => {
+  console.error(e)
+  process.exit(1)
+})
@@ -0,0 +1,78 @@
+// Self-check del pago mixto (sin BD). Correr: node tests/salePayments.selfcheck.js
+const assert = require('assert')
+const { resolveTenders, allocateAcrossTenders, saleTenderShares } = require('../src/services/salePayments')
+
+const METHODS = [
+  { id: 1, name: 'Efectivo' },
+  { id: 2, name: 'Tarjeta' },
+  { id: 3, name: 'Crédito' },
+  { id: 4, name: 'Saldo a favor' },
+]
+const tx = {
+  paymentMethod: {
+    findMany: async ({ where }) => METHODS.filter(m => where.id.in.includes(m.id)),
+    findUnique: async ({ where }) => METHODS.find(m => m.id === where.id) || null,
+  },
+}
+
+async function rejects(promise, msg) {
+  await assert.rejects(promise, (err) => err.status === 400, msg)
+}
+
+;(async () => {
+  // Sin payments: un solo medio por el total, recibido/vuelto como los mande el POS
+  const legacy = await resolveTenders(tx, { payment_method_id: 1, amount_received: 200, change: 50 }, 150)
+  assert.deepStrictEqual(legacy.tenders.map(t => [t.payment_method_id, t.amount]), [[1, 150]])
+  assert.strictEqual(legacy.primaryMethodId, 1)
+  assert.strictEqual(legacy.change, 50)
+  assert.strictEqual(legacy.creditAmount, 0)
+  await rejects(resolveTenders(tx, { payment_method_id: 9 }, 150), 'método único inexistente')
+
+  // Todo al crédito, o una parte: lo del medio Crédito queda a cuenta del cliente
+  assert.strictEqual((await resolveTenders(tx, { payment_method_id: 3 }, 150)).creditAmount, 150)
+  const abonoInicial = await resolveTenders(tx, {
+    payments: [{ payment_method_id: 1, amount: 50 }, { payment_method_id: 3, amount: 100 }],
+  }, 150)
+  assert.strictEqual(abonoInicial.creditAmount, 100)
+  assert.strictEqual(abonoInicial.primaryMethodId, 3)
+
+  // Efectivo + tarjeta: el vuelto sale del efectivo, principal = mayor monto
+  const split = await resolveTenders(tx, {
+    payments: [
+      { payment_method_id: 1, amount: 40, amount_received: 50 },
+      { payment_method_id: 2, amount: 60.5, reference: ' AUT-991 ' },
+    ],
+  }, 100.5)
+  assert.strictEqual(split.primaryMethodId, 2)
+  assert.strictEqual(split.amountReceived, 110.5)
+  assert.strictEqual(split.change, 10)
+  assert.strictEqual(split.tenders[1].reference, 'AUT-991')
+
+  // Saldo a favor: sale aparte con su código (o sin él, el del cliente) y su índice
+  const conTarjeta = await resolveTenders(tx, {
+    payments: [{ payment_method_id: 1, amount: 30 }, { payment_method_id: 4, amount: 70, stored_value_code: 'ABCD-2345' }],
+  }, 100)
+  assert.deepStrictEqual(conTarjeta.storedValue, [{ index: 1, code: 'ABCD-2345', amount: 70 }])
+  assert.deepStrictEqual((await resolveTenders(tx, { payment_method_id: 4 }, 25)).storedValue, [{ index: 0, code: null, amount: 25 }])
+  assert.deepStrictEqual(split.storedValue, [])
+
+  await rejects(resolveTenders(tx, { payments: [{ payment_method_id: 1, amount: 99 }] }, 100), 'no suma el total')
+  await rejects(resolveTenders(tx, { payments: [{ payment_method_id: 2, amount: 100, amount_received: 120 }] }, 100), 'tarjeta con vuelto')
+  await rejects(resolveTenders(tx, { payments: [{ payment_method_id: 9, amount: 100 }] }, 100), 'método inexistente')
+  await rejects(resolveTenders(tx, { payments: [] }, 100), 'arreglo vacío')
+  await rejects(resolveTenders(tx, {}, 100), 'sin medio de pago')
+
+  // Reparto proporcional; el centavo del redondeo va al medio mayor
+  assert.deepStrictEqual(allocateAcrossTenders([{ amount: 40 }, { amount: 60 }], 10), [4, 6])
+  assert.deepStrictEqual(allocateAcrossTenders([{ amount: 1 }, { amount: 2 }], 0.1), [0.03, 0.07])
+  assert.deepStrictEqual(allocateAcrossTenders([], 5), [])
+
+  // Venta sin filas de sale_payments: cae a su método único
+  const shares = saleTenderShares({ total: 80, total_returned: 20, payment_method_id: 1, payment_method: { name: 'Efectivo' } })
+  assert.deepStrictEqual(shares, [{ payment_method_id: 1, name: 'Efectivo', amount: 80, returned: 20, net: 60 }])
+
+  console.log('salePayments.selfcheck OK')
+})().catch((err) => {
+  console.error(err)
+  process.exit(1)
+})
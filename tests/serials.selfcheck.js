@@ -0,0 +1,149 @@
+// Self-check de números de serie (sin BD). Correr: node tests/serials.selfcheck.js
+const assert = require('assert')
+const {
+  SELLABLE,
+  normalizeSerials,
+  serialsByLine,
+  serialMismatch,
+  registerSerials,
+  moveSerials,
+  releaseSaleSerials,
+} = require('../src/services/serials')
+
+/** Tabla product_serials en memoria con lo que usa el servicio. */
+function fakeTx(rows = []) {
+  const serials = rows.map((r) => ({ branch_id: null, sale_id: null, transfer_id: null, ...r }))
+  const events = []
+  const matches = (r, where) => Object.entries(where).every(([k, v]) => {
+    if (k === 'OR') return v.some((w) => matches(r, w))
+    if (v && typeof v === 'object' && 'in' in v) return v.in.includes(r[k])
+    return r[k] === v
+  })
+  return {
+    serials,
+    events,
+    productSerial: {
+      findMany: async ({ where }) => serials.filter((r) => matches(r, where)),
+      createManyAndReturn: async ({ data }) => data.map((d, i) => {
+        const row = { id: `new-${serials.length + i}`, ...d }
+        serials.push(row)
+        return { id: row.id }
+      }),
+      updateMany: async ({ where, data }) => {
+        const hit = serials.filter((r) => matches(r, where))
+        hit.forEach((r) => Object.assign(r, data))
+        return { count: hit.length }
+      },
+    },
+    productSerialEvent: { createMany: async ({ data }) => { events.push(...data) } },
+  }
+}
+
+;(async () => {
+  // Captura: recorta, ignora vacíos, acepta texto de un lector de códigos
+  assert.deepStrictEqual(normalizeSerials([' A1 ', '', 'B2'], 'Laptop'), ['A1', 'B2'])
+  assert.deepStrictEqual(normalizeSerials('A1\nB2, C3', 'Laptop'), ['A1', 'B2', 'C3'])
+  assert.deepStrictEqual(normalizeSerials(undefined, 'Laptop'), [])
+  assert.throws(() => normalizeSerials(['A1', 'A1'], 'Laptop'), /dos veces/)
+  assert.throws(() => normalizeSerials(['x'.repeat(101)], 'Laptop'), (e) => e.status === 400)
+
+  // Líneas de un documento
+  const products = new Map([
+    ['lap', { name: 'Laptop', tracks_serials: true }],
+    ['cable', { name: 'Cable', tracks_serials: false }],
+  ])
+  const { byLine, byProduct } = serialsByLine([
+    { product_id: 'lap', qty: 2, serials: ['S1', 'S2'] },
+    { product_id: 'cable', qty: 5 },
+    { product_id: 'lap', qty: 1, serials: ['S3'] },
+  ], products)
+  assert.deepStrictEqual(byLine, [['S1', 'S2'], [], ['S3']])
+  assert.deepStrictEqual(byProduct.get('lap'), ['S1', 'S2', 'S3'])
+  assert.strictEqual(byProduct.has('cable'), false)
+  assert.throws(
+    () => serialsByLine([{ product_id: 'lap', qty: 2, serials: ['S1'] }], products),
+    (e) => e.status === 400 && e.code === 'SERIALS_REQUIRED'
+  )
+  assert.throws(() => serialsByLine([{ product_id: 'cable', qty: 1, serials: ['X'] }], products), /no lleva/)
+  assert.throws(
+    () => serialsByLine([{ product_id: 'lap', qty: 1, serials: ['S1'] }, { product_id: 'lap', qty: 1, serials: ['S1'] }], products),
+    /dos líneas/
+  )
+  // Ingreso: la cantidad va en quantity
+  assert.deepStrictEqual(
+    serialsByLine([{ product_id: 'lap', quantity: 1, serials: ['S9'] }], products, { qtyField: 'quantity' }).byLine,
+    [['S9']]
+  )
+
+  // Dónde tiene que estar la unidad
+  const sold = { serial: 'S1', status: 'SOLD', sale_id: 'v1', branch_id: null }
+  assert.strictEqual(serialMismatch(sold, { statuses: ['SOLD'], saleId: 'v1' }), null)
+  assert.match(serialMismatch(sold, { statuses: ['SOLD'], saleId: 'v2' }), /no corresponde a esta venta/)
+  assert.match(serialMismatch(sold, { statuses: SELLABLE, branchId: 'b1' }), /vendida/)
+  assert.match(serialMismatch({ serial: 'S2', status: 'IN_STOCK', branch_id: 'b2' }, { statuses: SELLABLE, branchId: 'b1' }), /sucursal/)
+  assert.match(serialMismatch({ serial: 'S3', status: 'IN_TRANSIT', transfer_id: 't1' }, { statuses: ['IN_TRANSIT'], transferId: 't2' }), /traslado/)
+
+  // Alta: un serial ya registrado no entra dos veces
+  const tx = fakeTx([{ id: 'x', company_id: 'c', product_id: 'lap', serial: 'OLD', status: 'IN_STOCK', branch_id: 'b1' }])
+  await assert.rejects(
+    registerSerials(tx, { companyId: 'c', productId: 'lap', productName: 'Laptop', branchId: 'b1', serials: ['OLD', 'N1'] }),
+    (e) => e.status === 409 && /OLD/.test(e.message)
+  )
+  await registerSerials(tx, {
+    companyId: 'c', productId: 'lap', branchId: 'b1', serials: ['N1', 'N2'], refType: 'incoming_merchandise', refId: 'im1', userId: 'u1',
+  })
+  assert.strictEqual(tx.serials.filter((r) => r.status === 'IN_STOCK').length, 3)
+  assert.deepStrictEqual(tx.events.map((e) => e.event), ['RECEIVED', 'RECEIVED'])
+
+  // Venta: sale de la sucursal a SOLD con la venta
+  await moveSerials(tx, {
+    companyId: 'c', productId: 'lap', serials: ['N1'],
+    from: { statuses: SELLABLE, branchId: 'b1' },
+    to: { status: 'SOLD', branch_id: null, sale_id: 'v1' },
+    event: 'SOLD', branchId: 'b1', refType: 'sale', refId: 'v1',
+  })
+  const n1 = tx.serials.find((r) => r.serial === 'N1')
+  assert.deepStrictEqual([n1.status, n1.branch_id, n1.sale_id], ['SOLD', null, 'v1'])
+  assert.strictEqual(tx.events.at(-1).branch_id, 'b1')
+
+  // La misma unidad no se vende dos veces; un serial inexistente tampoco
+  await assert.rejects(
+    moveSerials(tx, {
+      companyId: 'c', productId: 'lap', serials: ['N1'], from: { statuses: SELLABLE, branchId: 'b1' },
+      to: { status: 'SOLD', branch_id: null, sale_id: 'v2' }, event: 'SOLD',
+    }),
+    (e) => e.status === 409 && e.code === 'SERIAL_UNAVAILABLE'
+  )
+  await assert.rejects(
+    moveSerials(tx, {
+      companyId: 'c', productId: 'lap', serials: ['NOPE'], from: { statuses: SELLABLE, branchId: 'b1' },
+      to: { status: 'SOLD', branch_id: null }, event: 'SOLD',
+    }),
+    (e) => e.code === 'SERIAL_NOT_FOUND'
+  )
+
+  // Devolución: solo la unidad de esa venta
+  await assert.rejects(
+    moveSerials(tx, {
+      companyId: 'c', productId: 'lap', serials: ['N1'], from: { statuses: ['SOLD'], saleId: 'v9' },
+      to: { status: 'RETURNED', branch_id: 'b1' }, event: 'RETURNED',
+    }),
+    /no corresponde a esta venta/
+  )
+
+  // Anular la venta: lo vendido vuelve; lo ya devuelto no
+  tx.serials.push({ id: 'r1', company_id: 'c', product_id: 'lap', serial: 'R1', status: 'RETURNED', branch_id: 'b1', sale_id: 'v1' })
+  const released = await releaseSaleSerials(tx, {
+    sale: { id: 'v1', branch_id: 'b1', sale_items: [{ product_id: 'lap', serials: ['N1', 'R1'] }, { product_id: 'cable', serials: [] }] },
+    userId: 'u1',
+  })
+  assert.strictEqual(released.length, 1)
+  assert.deepStrictEqual([n1.status, n1.branch_id], ['IN_STOCK', 'b1'])
+  assert.strictEqual(tx.serials.find((r) => r.serial === 'R1').status, 'RETURNED')
+  assert.strictEqual(tx.events.at(-1).event, 'SALE_CANCELLED')
+
+  console.log('serials.selfcheck OK')
+})().catch((e) => {
+  console.error(e)
+  process.exit(1)
+})
@@ -0,0 +1,97 @@
+// Self-check de saldos a favor y tarjetas de regalo (códigos, cobro, emisión, reporte). Correr: node tests/storedValue.selfcheck.js
+const assert = require('assert')
+const {
+  generateCode, normalizeCode, parseRefundTarget, validityDays, expiresAtFor, assertRedeemable,
+  groupRedemptions, giftCardIssues, returnCreditAmount, storedValueRefundShares, summarizeLiability, summarizeMovements,
+} = require('../src/services/storedValue')
+const { DateTime } = require('luxon')
+
+const is = (status) => (e) => e.status === status
+
+// Códigos: 12 del alfabeto sin 0/O/1/I; lo tecleado se normaliza
+const code = generateCode(Buffer.alloc(12, 0))
+assert.strictEqual(code, 'AAAAAAAAAAAA')
+assert.match(generateCode(), /^[A-HJ-NP-Z2-9]{12}$/)
+assert.strictEqual(normalizeCode(' abcd-2345 '), 'ABCD2345')
+assert.throws(() => normalizeCode('a-1'), is(400))
+
+// Destino del reembolso: default ORIGINAL
+assert.strictEqual(parseRefundTarget(undefined), 'ORIGINAL')
+assert.strictEqual(parseRefundTarget('store_credit'), 'STORE_CREDIT')
+assert.throws(() => parseRefundTarget('EFECTIVO'), is(400))
+
+// Vigencia: la de la empresa si es válida; 0 = no vence
+assert.deepStrictEqual(validityDays({}), { STORE_CREDIT: 0, GIFT_CARD: 365 })
+assert.deepStrictEqual(validityDays({ gift_card_validity_days: '90', store_credit_validity_days: 'x' }), { STORE_CREDIT: 0, GIFT_CARD: 90 })
+const now = DateTime.fromISO('2026-03-10T15:00:00', { zone: 'America/Guatemala' })
+assert.strictEqual(expiresAtFor(now, 0), null)
+assert.strictEqual(expiresAtFor(now, 30).toISOString(), '2026-04-10T05:59:59.999Z')
+
+// Cobro: activa, vigente, con saldo y, si es saldo a favor, del mismo cliente
+const card = { kind: 'GIFT_CARD', code: 'AAAA2222', active: true, balance: '50.00', expires_at: new Date('2026-12-31') }
+const at = new Date('2026-06-01')
+assert.doesNotThrow(() => assertRedeemable(card, 50, { now: at }))
+assert.throws(() => assertRedeemable(card, 50.01, { now: at }), is(409))
+assert.throws(() => assertRedeemable({ ...card, active: false }, 1, { now: at }), is(409))
+assert.throws(() => assertRedeemable(card, 1, { now: new Date('2027-01-01') }), is(409))
+const credit = { kind: 'STORE_CREDIT', active: true, balance: 20, customer_contact_id: 'c1', expires_at: null }
+assert.doesNotThrow(() => assertRedeemable(credit, 20, { customerContactId: 'c1' }))
+assert.throws(() => assertRedeemable(credit, 5, { customerContactId: 'c2' }), is(400))
+
+// Dos pagos con la misma tarjeta descuentan una vez; sin código es el saldo del cliente
+assert.deepStrictEqual(groupRedemptions([
+  { index: 0, code: 'aaaa-2222', amount: 10 },
+  { index: 2, code: null, amount: 5 },
+  { index: 3, code: 'AAAA2222', amount: 7.5 },
+]), [{ code: 'AAAA2222', amount: 17.5, indexes: [0, 3] }, { code: null, amount: 5, indexes: [2] }])
+
+// Una tarjeta por unidad, con los códigos preimpresos que traiga la línea
+const isGift = (id) => id === 'gc'
+assert.deepStrictEqual(giftCardIssues([
+  { product_id: 'x', qty: 2, price: 10 },
+  { product_id: 'gc', qty: 2, price: 100, gift_card_codes: ['bbbb-3333'] },
+], isGift), [{ line: 1, amount: 100, code: 'BBBB3333' }, { line: 1, amount: 100, code: null }])
+assert.throws(() => giftCardIssues([{ product_id: 'x', qty: 1, price: 10, gift_card_codes: ['BBBB3333'] }], isGift), is(400))
+assert.throws(() => giftCardIssues([{ product_id: 'gc', qty: 1, price: 10, gift_card_codes: ['BBBB3333', 'CCCC4444'] }], isGift), is(400))
+assert.throws(() => giftCardIssues([
+  { product_id: 'gc', qty: 1, price: 10, gift_card_codes: ['BBBB3333'] },
+  { product_id: 'gc', qty: 1, price: 20, gift_card_codes: ['bbbb3333'] },
+], isGift), is(400))
+assert.throws(() => giftCardIssues([{ product_id: 'gc', qty: 1, price: 0 }], isGift), is(400))
+
+// Devolución como saldo: el reembolso completo, o la diferencia a favor del cambio
+assert.strictEqual(returnCreditAmount({ type: 'REFUND', totalRefund: 45.5 }), 45.5)
+assert.strictEqual(returnCreditAmount({ type: 'EXCHANGE', totalRefund: 100, priceDifference: -30 }), 30)
+assert.strictEqual(returnCreditAmount({ type: 'EXCHANGE', totalRefund: 100, priceDifference: 15 }), 0)
+
+// Reembolso en dinero: la parte pagada con saldo vuelve a su cuenta, en proporción
+assert.deepStrictEqual(storedValueRefundShares([
+  { amount: 60 }, { amount: 40, stored_value_account_id: 'a1' },
+], 50), [{ account_id: 'a1', amount: 20 }])
+assert.deepStrictEqual(storedValueRefundShares([{ amount: 100 }], 50), [])
+
+// Pasivo: por tipo, antigüedad desde la emisión y lo que vence en 30 días
+const today = new Date('2026-06-30T12:00:00Z')
+const liability = summarizeLiability([
+  { kind: 'GIFT_CARD', balance: '100', created_at: new Date('2026-06-01'), expires_at: new Date('2026-07-15') },
+  { kind: 'GIFT_CARD', balance: '0', created_at: new Date('2026-01-01'), expires_at: null },
+  { kind: 'STORE_CREDIT', balance: '25.25', created_at: new Date('2025-05-01'), expires_at: null },
+], { now: today })
+assert.strictEqual(liability.total, 125.25)
+assert.deepStrictEqual(liability.by_kind.map((k) => [k.kind, k.accounts, k.balance]), [['STORE_CREDIT', 1, 25.25], ['GIFT_CARD', 1, 100]])
+assert.deepStrictEqual(liability.aging.map((b) => b.balance), [100, 0, 0, 25.25])
+assert.deepStrictEqual(liability.expiring_soon, { accounts: 1, balance: 100 })
+
+// Movimientos del período en valor absoluto, ordenados por tipo
+assert.deepStrictEqual(summarizeMovements([
+  { type: 'REDEEM', amount: -30, account: { kind: 'GIFT_CARD' } },
+  { type: 'ISSUE', amount: 100, account: { kind: 'GIFT_CARD' } },
+  { type: 'REDEEM', amount: '-12.5', account: { kind: 'GIFT_CARD' } },
+  { type: 'ISSUE', amount: 20, account: { kind: 'STORE_CREDIT' } },
+]).map((m) => [m.kind, m.type, m.count, m.amount]), [
+  ['STORE_CREDIT', 'ISSUE', 1, 20],
+  ['GIFT_CARD', 'ISSUE', 1, 100],
+  ['GIFT_CARD', 'REDEEM', 2, 42.5],
+])
+
+console.log('storedValue.selfcheck OK')
@@ -0,0 +1,44 @@
+// Self-check de diferencias de traslado (recepción, lotes, resolución, partida). Correr: node tests/transferDiscrepancies.selfcheck.js
+const assert = require('assert')
+const { receiptOutcome, splitLots, parseResolution, discrepancyEntryLines } = require('../src/services/transferDiscrepancies')
+
+// Recepción: lo dañado y lo faltante salen aparte; lo que llegó de más no entra
+assert.deepStrictEqual(receiptOutcome({ qty_sent: 10 }, { qtyReceived: 10 }), { accept: 10, discrepancies: [] })
+assert.deepStrictEqual(receiptOutcome({ qty_sent: 10 }, { qtyReceived: 6, qtyDamaged: 1 }),
+  { accept: 6, discrepancies: [{ reason: 'DAMAGED', qty: 1 }, { reason: 'MISSING', qty: 3 }] })
+assert.deepStrictEqual(receiptOutcome({ qty_sent: 10 }, { qtyReceived: 12 }),
+  { accept: 10, discrepancies: [{ reason: 'OVER_SHIPPED', qty: 2 }] })
+assert.throws(() => receiptOutcome({ qty_sent: 10 }, { qtyReceived: 8, qtyDamaged: 3 }), (e) => e.status === 400)
+assert.throws(() => receiptOutcome({ qty_sent: 2, serials: ['A', 'B'] }, { qtyReceived: 3 }), (e) => e.status === 400)
+assert.throws(() => receiptOutcome({ qty_sent: 2 }, { qtyReceived: 1, qtyDamaged: -1 }), (e) => e.status === 400)
+
+// Lotes: lo recibido se lleva los primeros (FEFO) y cada diferencia el resto en orden
+const snapshot = [{ lot_code: 'L1', qty: 4 }, { lot_code: 'L2', qty: 6 }]
+assert.deepStrictEqual(splitLots(snapshot, 6, [1, 3]), [[{ lot_code: 'L2', qty: 1 }], [{ lot_code: 'L2', qty: 3 }]])
+assert.deepStrictEqual(splitLots(snapshot, 3, [2]), [[{ lot_code: 'L1', qty: 1 }, { lot_code: 'L2', qty: 1 }]])
+assert.deepStrictEqual(splitLots(snapshot, 10, [2]), [null])
+assert.deepStrictEqual(splitLots(null, 0, [1]), [null])
+
+// Resolución: una sola vez; lo de más solo vuelve; el transportista necesita nombre y cobra el costo por defecto
+const open = { reason: 'MISSING', qty: 3, unit_cost: '12.50', resolution: null }
+assert.deepStrictEqual(parseResolution(open, { resolution: 'charge_carrier', carrier_name: ' Cargo Express ' }),
+  { resolution: 'CHARGE_CARRIER', carrier_name: 'Cargo Express', charge_amount: 37.5, resolution_notes: null })
+assert.strictEqual(parseResolution(open, { resolution: 'WRITE_OFF', notes: 'Robo en ruta' }).resolution_notes, 'Robo en ruta')
+assert.throws(() => parseResolution(open, { resolution: 'CHARGE_CARRIER' }), (e) => e.status === 400)
+assert.throws(() => parseResolution(open, { resolution: 'OLVIDAR' }), (e) => e.status === 400)
+assert.throws(() => parseResolution({ ...open, reason: 'OVER_SHIPPED' }, { resolution: 'WRITE_OFF' }), (e) => e.status === 400)
+assert.throws(() => parseResolution({ ...open, resolution: 'WRITE_OFF' }, { resolution: 'WRITE_OFF' }), (e) => e.status === 409)
+
+// Partida: baja = merma; cobro = cuenta por cobrar y la diferencia contra el costo
+const acc = { cogs: 'cmv', inventory: 'inv', receivables: 'cxc' }
+assert.deepStrictEqual(discrepancyEntryLines({ resolution: 'WRITE_OFF', cost: 30 }, acc),
+  [{ account_id: 'cmv', debit: 30, credit: 0 }, { account_id: 'inv', debit: 0, credit: 30 }])
+assert.deepStrictEqual(discrepancyEntryLines({ resolution: 'CHARGE_CARRIER', cost: 30, charge: 45 }, acc), [
+  { account_id: 'cxc', debit: 45, credit: 0 },
+  { account_id: 'inv', debit: 0, credit: 30 },
+  { account_id: 'cmv', debit: 0, credit: 15 },
+])
+assert.deepStrictEqual(discrepancyEntryLines({ resolution: 'CHARGE_CARRIER', cost: 30, charge: 30 }, acc).length, 2)
+assert.deepStrictEqual(discrepancyEntryLines({ resolution: 'RETURN_TO_ORIGIN', cost: 30 }, acc), [])
+
+console.log('transferDiscrepancies.selfcheck OK')
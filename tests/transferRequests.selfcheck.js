@@ -0,0 +1,36 @@
+// Self-check de solicitudes de traslado (transiciones, items, aprobación, disponibilidad). Correr: node tests/transferRequests.selfcheck.js
+const assert = require('assert')
+const { assertTransition, aggregateItems, approvedLines, withOriginAvailability } = require('../src/services/transferRequests')
+
+// Transiciones: se aprueba lo solicitado, se despacha lo aprobado, se rechaza antes del despacho
+assertTransition('SOLICITADA', 'approve')
+assertTransition('APROBADA', 'dispatch')
+assertTransition('APROBADA', 'reject')
+assert.throws(() => assertTransition('SOLICITADA', 'dispatch'), (e) => e.status === 400)
+assert.throws(() => assertTransition('EN_TRANSITO', 'reject'), (e) => e.status === 400)
+assert.throws(() => assertTransition('RECHAZADA', 'cancel'), (e) => e.status === 400)
+
+// Items: el mismo producto se suma; qty entero > 0
+assert.deepStrictEqual(aggregateItems([{ product_id: 'a', qty: 2 }, { product_id: 'b', qty: 1 }, { product_id: 'a', qty: 3 }]),
+  [{ product_id: 'a', qty: 5 }, { product_id: 'b', qty: 1 }])
+assert.throws(() => aggregateItems([]), (e) => e.status === 400)
+assert.throws(() => aggregateItems([{ product_id: 'a', qty: 1.5 }]), (e) => e.status === 400)
+
+// Aprobación: sin ediciones se aprueba lo pedido; 0 deja la línea fuera pero la conserva
+const lines = [{ id: 'L1', product_id: 'a', qty_sent: 5 }, { id: 'L2', product_id: 'b', qty_sent: 2 }]
+assert.deepStrictEqual(approvedLines(lines).map((l) => l.qty), [5, 2])
+assert.deepStrictEqual(approvedLines(lines, [{ line_id: 'L1', qty: 8 }, { line_id: 'L2', qty: 0 }]),
+  [{ id: 'L1', product_id: 'a', qty: 8 }, { id: 'L2', product_id: 'b', qty: 0 }])
+assert.throws(() => approvedLines(lines, [{ line_id: 'otra', qty: 1 }]), (e) => e.status === 400)
+assert.throws(() => approvedLines(lines, [{ line_id: 'L1', qty: -1 }]), (e) => e.status === 400)
+assert.throws(() => approvedLines(lines, [{ line_id: 'L1', qty: 0 }, { line_id: 'L2', qty: 0 }]), /rechace/)
+
+// Pendientes: disponibilidad del origen por línea y cuánto falta
+const [t] = withOriginAvailability(
+  [{ id: 'T1', from_branch_id: 'B1', lines: [{ product_id: 'a', qty_sent: 5 }, { product_id: 'c', qty_sent: 1 }] }],
+  new Map([['B1', { a: { stock: 9, reserved: 6, available: 3 } }]]),
+)
+assert.deepStrictEqual(t.lines.map((l) => [l.available_at_origin, l.short]), [[3, 2], [0, 1]])
+assert.strictEqual(t.can_fulfill, false)
+
+console.log('transferRequests.selfcheck OK')
@@ -0,0 +1,85 @@
+// Self-check de 2FA (TOTP, códigos de recuperación) y del mailer (sin BD). Correr: node tests/twoFactor.selfcheck.js
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  totpStep,
+  totpCode,
+  verifyTotp,
+  otpauthUrl,
+  sealTotpSecret,
+  openTotpSecret,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+} = require('../src/services/totp')
+const { sendMail, setMailTransport } = require('../src/services/mailer')
+
+;(async () => {
+  // Vectores del RFC 6238 (SHA-1, secreto ASCII "12345678901234567890")
+  const rfcSecret = base32Encode(Buffer.from('12345678901234567890'))
+  assert.strictEqual(rfcSecret, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ')
+  assert.strictEqual(base32Decode(rfcSecret).toString(), '12345678901234567890')
+  assert.strictEqual(totpCode(rfcSecret, totpStep(59 * 1000), 8), '94287082')
+  assert.strictEqual(totpCode(rfcSecret, totpStep(1111111109 * 1000), 8), '07081804')
+  assert.strictEqual(totpCode(rfcSecret, totpStep(1234567890 * 1000)), '005924')
+
+  // Verificación: ±1 paso de tolerancia, y un paso ya usado no vuelve a servir
+  const secret = generateTotpSecret()
+  assert.strictEqual(secret.length, 32)
+  const now = Date.parse('2026-10-19T12:00:00Z')
+  const step = totpStep(now)
+  assert.strictEqual(verifyTotp(secret, totpCode(secret, step), { at: now }), step)
+  assert.strictEqual(verifyTotp(secret, totpCode(secret, step - 1), { at: now }), step - 1)
+  assert.strictEqual(verifyTotp(secret, totpCode(secret, step - 3), { at: now }), null)
+  assert.strictEqual(verifyTotp(secret, totpCode(secret, step), { at: now, lastStep: step }), null)
+  assert.strictEqual(verifyTotp(secret, '12345', { at: now }), null)
+  assert.strictEqual(verifyTotp(secret, `${totpCode(secret, step).slice(0, 3)} ${totpCode(secret, step).slice(3)}`, { at: now }), step)
+
+  assert.match(otpauthUrl(secret, { issuer: 'Depósito', account: 'ana@x.com' }), /^otpauth:\/\/totp\/Dep%C3%B3sito%3Aana%40x\.com\?secret=/)
+
+  // El secreto se guarda cifrado; con otra clave no abre
+  const sealed = sealTotpSecret(secret, 'clave-1')
+  assert.notStrictEqual(sealed, secret)
+  assert.strictEqual(openTotpSecret(sealed, 'clave-1'), secret)
+  assert.throws(() => openTotpSecret(sealed, 'clave-2'))
+
+  // Recuperación: 10 códigos, cada uno sirve una vez, sin importar guiones ni mayúsculas
+  const { codes, hashes } = generateRecoveryCodes()
+  assert.strictEqual(codes.length, 10)
+  assert.strictEqual(new Set(codes).size, 10)
+  assert.ok(hashes.every((h) => /^[0-9a-f]{64}$/.test(h)))
+  const left = consumeRecoveryCode(hashes, codes[3].toUpperCase().replace('-', ' '))
+  assert.strictEqual(left.length, 9)
+  assert.strictEqual(consumeRecoveryCode(left, codes[3]), null)
+  assert.strictEqual(consumeRecoveryCode(hashes, ''), null)
+
+  // Mailer: transporte inyectado y transporte de archivo
+  const sent = []
+  setMailTransport(async (m) => { sent.push(m) })
+  await sendMail({ to: 'ana@x.com', subject: 'Hola', text: 'Prueba' })
+  assert.strictEqual(sent[0].to, 'ana@x.com')
+  assert.ok(sent[0].from)
+  await assert.rejects(sendMail({ to: 'ana@x.com', subject: 'Sin texto' }), /incompleto/)
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-selfcheck-'))
+  setMailTransport(null)
+  process.env.MAIL_TRANSPORT = 'file'
+  process.env.MAIL_FILE_DIR = dir
+  await sendMail({ to: 'ana@x.com', subject: 'Restablecer', text: 'enlace' })
+  const files = fs.readdirSync(dir)
+  assert.strictEqual(files.length, 1)
+  assert.strictEqual(JSON.parse(fs.readFileSync(path.join(dir, files[0]), 'utf8')).subject, 'Restablecer')
+  fs.rmSync(dir, { recursive: true, force: true })
+
+  process.env.MAIL_TRANSPORT = 'pichon'
+  await assert.rejects(sendMail({ to: 'a@x.com', subject: 's', text: 't' }), /desconocido/)
+
+  console.log('twoFactor.selfcheck OK')
+})().catch((e) => {
+  console.error(e)
+  process.exit(1)
+})
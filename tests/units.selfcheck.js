@@ -0,0 +1,94 @@
+// Self-check de unidades de medida (sin BD). Correr: node tests/units.selfcheck.js
+const assert = require('assert')
+const {
+  toBaseQty,
+  basePriceFromUnitPrice,
+  lineBasePrice,
+  convertLinesToBase,
+  lineUnitData,
+  partialUnitData,
+  normalizeProductUnits,
+} = require('../src/services/units')
+
+const UND = { id: 1, code: 'UND', name: 'Unidad', allows_decimal: false, active: true }
+const CAJA = { id: 2, code: 'CAJA', name: 'Caja', allows_decimal: false, active: true }
+const KG = { id: 3, code: 'KG', name: 'Kilogramo', allows_decimal: true, active: true }
+const G = { id: 4, code: 'G', name: 'Gramo', allows_decimal: false, active: true }
+const LB = { id: 5, code: 'LB', name: 'Libra', allows_decimal: true, active: false }
+
+const productos = [
+  { id: 'agua', name: 'Agua 600ml', baseUnit: UND, units: [{ unit_id: 2, factor: '24.0000', price: '95.00', unit: CAJA }] },
+  { id: 'queso', name: 'Queso fresco', baseUnit: G, units: [
+    { unit_id: 3, factor: '1000.0000', price: null, unit: KG },
+    { unit_id: 5, factor: '453.5924', price: null, unit: LB },
+  ] },
+]
+const db = {
+  product: { findMany: async ({ where }) => productos.filter((p) => where.id.in.includes(p.id)) },
+}
+
+;(async () => {
+  // Conversión: la base siempre entera
+  assert.strictEqual(toBaseQty(2, 24), 48)
+  assert.strictEqual(toBaseQty('1.5', 1000, { allowsDecimal: true }), 1500)
+  assert.strictEqual(toBaseQty(0.333, 1000, { allowsDecimal: true }), 333)
+  assert.throws(() => toBaseQty(1.5, 24, { unitCode: 'CAJA' }), (e) => e.status === 400 && /CAJA no admite decimales/.test(e.message))
+  assert.throws(() => toBaseQty(0.0001, 1000, { allowsDecimal: true, unitCode: 'KG' }), (e) => e.status === 400 && /no da una cantidad entera/.test(e.message))
+  assert.throws(() => toBaseQty(0, 24), (e) => e.status === 400)
+
+  // Precio por unidad base: la caja de 24 a Q100 cuadra al multiplicar
+  assert.strictEqual(basePriceFromUnitPrice(100, 24), 4.166667)
+  assert.strictEqual(Math.round(basePriceFromUnitPrice(100, 24) * 24 * 100) / 100, 100)
+  // Precio propio de la unidad: solo en tarifa de lista
+  assert.strictEqual(lineBasePrice(4.25, { unit_price_override: 95, unit_factor: 24 }, 'LIST'), 3.958333)
+  assert.strictEqual(lineBasePrice(3.5, { unit_price_override: 95, unit_factor: 24 }, 'WHOLESALE'), 3.5)
+  assert.strictEqual(lineBasePrice(4.25, { unit_id: null }, 'LIST'), 4.25)
+
+  // Líneas: sin unidad quedan igual; con unidad, a base y recordando lo capturado
+  const lines = await convertLinesToBase(db, [
+    { product_id: 'agua', qty: 5 },
+    { product_id: 'agua', qty: 2, unit: 'caja' },
+    { product_id: 'queso', qty: 1.25, unit_id: 3 },
+    { product_id: 'queso', qty: 250, unit: 'G' },
+  ])
+  assert.deepStrictEqual(lines.map((l) => l.qty), [5, 48, 1250, 250])
+  assert.deepStrictEqual(lines[0], { product_id: 'agua', qty: 5, unit_id: null, unit_qty: null, unit_factor: null })
+  assert.deepStrictEqual(
+    [lines[1].unit_id, lines[1].unit_qty, lines[1].unit_factor, lines[1].unit_price_override],
+    [2, 2, 24, 95]
+  )
+  assert.deepStrictEqual([lines[3].unit_id, lines[3].unit_factor, lines[3].unit_price_override], [4, 1, null])
+  assert.deepStrictEqual(lineUnitData(lines[2]), { unit_id: 3, unit_qty: 1.25, unit_factor: 1000 })
+  assert.deepStrictEqual(lineUnitData(lines[0]), {})
+
+  // Otro campo de cantidad (ingreso de mercancía)
+  const [ingreso] = await convertLinesToBase(db, [{ product_id: 'agua', quantity: 10, unit: 'CAJA' }], { qtyField: 'quantity' })
+  assert.strictEqual(ingreso.quantity, 240)
+
+  // Unidad no configurada o inactiva
+  await assert.rejects(convertLinesToBase(db, [{ product_id: 'agua', qty: 1, unit: 'KG' }]), /Agua 600ml no se maneja en KG/)
+  await assert.rejects(convertLinesToBase(db, [{ product_id: 'queso', qty: 1, unit: 'LB' }]), (e) => e.status === 400)
+  await assert.rejects(convertLinesToBase(db, [{ product_id: 'agua', qty: 1.5, unit: 'CAJA' }]), /CAJA no admite decimales/)
+
+  // Entrega parcial: en la unidad de la línea solo si cuadra
+  const cajaLine = { unit_id: 2, unit_factor: '24', unit: { allows_decimal: false } }
+  assert.deepStrictEqual(partialUnitData(cajaLine, 48), { unit_id: 2, unit_qty: 2, unit_factor: 24 })
+  assert.deepStrictEqual(partialUnitData(cajaLine, 12), {})
+  assert.deepStrictEqual(partialUnitData({ unit_id: 3, unit_factor: '1000', unit: { allows_decimal: true } }, 700), { unit_id: 3, unit_qty: 0.7, unit_factor: 1000 })
+  assert.deepStrictEqual(partialUnitData({ unit_id: null }, 5), {})
+
+  // Configuración de unidades del producto
+  assert.deepStrictEqual(
+    normalizeProductUnits([{ unit_id: 2, factor: 24, price: '95', is_sale_default: true }], 1),
+    [{ unit_id: 2, factor: 24, price: 95, is_purchase_default: false, is_sale_default: true }]
+  )
+  assert.throws(() => normalizeProductUnits([{ unit_id: 1, factor: 2 }], 1), /unidad base/)
+  assert.throws(() => normalizeProductUnits([{ unit_id: 2, factor: 24 }, { unit_id: 2, factor: 12 }], 1), /dos veces/)
+  assert.throws(() => normalizeProductUnits([{ unit_id: 2, factor: 0 }], 1), (e) => e.status === 400)
+  assert.throws(() => normalizeProductUnits([{ unit_id: 2, factor: 24, is_sale_default: true }, { unit_id: 3, factor: 6, is_sale_default: true }], 1), /venta por defecto/)
+
+  console.log('units.selfcheck OK')
+})().catch((e) => {
+  console.error(e)
+  process.exit(1)
+})
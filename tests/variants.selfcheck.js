@@ -0,0 +1,72 @@
+// Self-check de variantes (sin BD). Correr: node tests/variants.selfcheck.js
+const assert = require('assert')
+const {
+  MAX_VARIANTS,
+  variantCombinations,
+  variantKey,
+  variantName,
+  compareVariants,
+  summarizeVariants,
+  rollUpVariants,
+  parentProductError,
+} = require('../src/services/variants')
+
+const talla = { attribute: { id: 1, name: 'Talla' }, values: [{ id: 10, value: 'S' }, { id: 11, value: 'M' }, { id: 12, value: 'L' }] }
+const color = { attribute: { id: 2, name: 'Color' }, values: [{ id: 20, value: 'Rojo' }, { id: 21, value: 'Azul' }] }
+
+// Matriz: 3 tallas × 2 colores, en el orden de los ejes
+const combos = variantCombinations([talla, color])
+assert.strictEqual(combos.length, 6)
+assert.deepStrictEqual(combos.map((c) => c.map((v) => v.value).join('/')), ['S/Rojo', 'S/Azul', 'M/Rojo', 'M/Azul', 'L/Rojo', 'L/Azul'])
+assert.strictEqual(variantName('Camisa polo', combos[3]), 'Camisa polo - M / Azul')
+assert.throws(() => variantCombinations([]), (e) => e.status === 400)
+assert.throws(() => variantCombinations([{ ...color, values: [] }]), /Color no tiene valores/)
+const muchos = { attribute: { id: 3, name: 'N' }, values: Array.from({ length: MAX_VARIANTS + 1 }, (_, i) => ({ id: i, value: String(i) })) }
+assert.throws(() => variantCombinations([muchos]), /Demasiadas combinaciones/)
+
+// La identidad no depende del orden: lo ya generado se reconoce al volver a generar
+assert.strictEqual(
+  variantKey([{ attribute_id: 2, value_id: 21 }, { attribute_id: 1, value_id: 11 }]),
+  variantKey(combos[3])
+)
+assert.notStrictEqual(variantKey(combos[2]), variantKey(combos[3]))
+
+// Orden de la matriz por el orden de los valores, no alfabético (S antes que L)
+const vv = (tallaOrder, colorOrder) => [{ value: { sort_order: tallaOrder } }, { value: { sort_order: colorOrder } }]
+const sorted = [
+  { name: 'L/Rojo', variant_values: vv(2, 0) },
+  { name: 'S/Azul', variant_values: vv(0, 1) },
+  { name: 'S/Rojo', variant_values: vv(0, 0) },
+].sort(compareVariants)
+assert.deepStrictEqual(sorted.map((v) => v.name), ['S/Rojo', 'S/Azul', 'L/Rojo'])
+
+// Padre: stock y mínimo sumados, costo ponderado (el valor del grupo cuadra), rango de precios
+const padre = { id: 'p', name: 'Camisa polo', cost: '40.00', price: '99.00', has_variants: true }
+const resumen = summarizeVariants(padre, [
+  { stock: 3, min_stock: 1, cost: '40.00', price: '99.00' },
+  { stock: 1, min_stock: 1, cost: '48.00', price: '109.00' },
+  { stock: 0, min_stock: 2, cost: '40.00', price: '99.00' },
+])
+assert.deepStrictEqual(
+  [resumen.stock, resumen.min_stock, resumen.cost, resumen.price_min, resumen.price_max, resumen.variant_count, resumen.variants_in_stock],
+  [4, 4, 42, 99, 109, 3, 2]
+)
+assert.strictEqual(resumen.stock * resumen.cost, 3 * 40 + 48)
+assert.strictEqual(summarizeVariants(padre, []).cost, 40)
+
+// Reporte: las variantes colapsan en una fila del padre, en el lugar de la primera
+const parent = { id: 'p', name: 'Camisa polo', cost: 40, category: { name: 'Ropa' } }
+const filas = rollUpVariants([
+  { id: 'a', name: 'Agua', stock: 10, cost: 2 },
+  { id: 'v1', parent_id: 'p', parent, stock: 2, cost: 40, price: 99 },
+  { id: 'b', name: 'Bolsa', stock: 5, cost: 1 },
+  { id: 'v2', parent_id: 'p', parent, stock: 1, cost: 40, price: 99 },
+])
+assert.deepStrictEqual(filas.map((f) => [f.name, f.stock]), [['Agua', 10], ['Camisa polo', 3], ['Bolsa', 5]])
+assert.strictEqual(filas[1].category.name, 'Ropa')
+assert.strictEqual(filas.reduce((s, f) => s + f.stock * Number(f.cost), 0), 20 + 120 + 5)
+
+const err = parentProductError('Camisa polo')
+assert.deepStrictEqual([err.status, err.code], [400, 'PRODUCT_HAS_VARIANTS'])
+
+console.log('variants.selfcheck OK')
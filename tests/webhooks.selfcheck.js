@@ -0,0 +1,182 @@
+// Self-check de webhooks salientes (sin BD; receptor HTTP local). Correr: node tests/webhooks.selfcheck.js
+const assert = require('assert')
+const http = require('http')
+const {
+  MAX_ATTEMPTS,
+  signWebhook,
+  verifyWebhookSignature,
+  retryDelaySec,
+  normalizeEvents,
+  isPrivateAddress,
+  normalizeWebhookUrl,
+  assertPublicWebhookUrl,
+  enqueueWebhookEvent,
+  deliverWebhook,
+} = require('../src/services/webhooks')
+
+// Receptor de prueba: responde con el status que toque y guarda lo recibido.
+function startReceiver() {
+  const received = []
+  let nextStatus = 200
+  const server = http.createServer((req, res) => {
+    let body = ''
+    req.on('data', (c) => { body += c })
+    req.on('end', () => {
+      received.push({ headers: req.headers, body })
+      res.writeHead(nextStatus, { 'Content-Type': 'text/plain' })
+      res.end(nextStatus === 200 ? 'ok' : 'nope')
+    })
+  })
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve({
+    server,
+    received,
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    respondWith: (s) => { nextStatus = s },
+  })))
+}
+
+// BD en memoria con lo que usan enqueue/deliver.
+function fakeDb(subscriptions) {
+  const deliveries = new Map()
+  let seq = 0
+  return {
+    deliveries,
+    webhookSubscription: {
+      findMany: async ({ where }) => subscriptions.filter((s) =>
+        s.company_id === where.company_id && s.active === where.active && (!where.id || s.id === where.id)),
+    },
+    webhookDelivery: {
+      createMany: async ({ data }) => {
+        for (const d of data) {
+          const id = `d${++seq}`
+          deliveries.set(id, { id, status: 'PENDING', attempts: 0, ...d })
+        }
+        return { count: data.length }
+      },
+      findUnique: async ({ where }) => {
+        const d = deliveries.get(where.id)
+        return d && { ...d, subscription: subscriptions.find((s) => s.id === d.subscription_id) }
+      },
+      update: async ({ where, data }) => {
+        const d = Object.assign(deliveries.get(where.id), data)
+        return { ...d }
+      },
+    },
+  }
+}
+
+;(async () => {
+  // Firma: HMAC de `${ts}.${body}`; el receptor rechaza cuerpo alterado y timestamps viejos
+  const body = '{"a":1}'
+  const ts = 1_800_000_000
+  const sig = `sha256=${signWebhook('s3cret', ts, body)}`
+  assert.ok(verifyWebhookSignature({ secret: 's3cret', timestamp: ts, signature: sig, body, now: ts * 1000 }))
+  assert.ok(!verifyWebhookSignature({ secret: 's3cret', timestamp: ts, signature: sig, body: '{"a":2}', now: ts * 1000 }))
+  assert.ok(!verifyWebhookSignature({ secret: 'otro', timestamp: ts, signature: sig, body, now: ts * 1000 }))
+  assert.ok(!verifyWebhookSignature({ secret: 's3cret', timestamp: ts, signature: sig, body, now: (ts + 301) * 1000 }))
+
+  // Reintentos: 1 min, 5 min, ... y al agotar MAX_ATTEMPTS se rinde
+  assert.strictEqual(retryDelaySec(1), 60)
+  assert.strictEqual(retryDelaySec(2), 300)
+  assert.strictEqual(retryDelaySec(MAX_ATTEMPTS - 1), 12 * 3600)
+  assert.strictEqual(retryDelaySec(MAX_ATTEMPTS), null)
+
+  // Validación de suscripción
+  assert.deepStrictEqual(normalizeEvents('sale.created, sale.created,order.confirmed'), ['sale.created', 'order.confirmed'])
+  assert.deepStrictEqual(normalizeEvents(['*']), ['*'])
+  assert.throws(() => normalizeEvents(['sale.deleted']), (e) => e.status === 400)
+  assert.throws(() => normalizeEvents([]), (e) => e.status === 400)
+  assert.strictEqual(normalizeWebhookUrl(' https://erp.example.com/hooks '), 'https://erp.example.com/hooks')
+  assert.throws(() => normalizeWebhookUrl('ftp://x'), (e) => e.status === 400)
+
+  // Destinos internos: loopback, privadas, link-local (metadata de la nube), IPv4 mapeada
+  for (const ip of ['127.0.0.1', '10.0.0.8', '172.16.5.5', '192.168.1.10', '169.254.169.254', '::1', 'fd00::1', 'fe80::1', '::ffff:7f00:1']) {
+    assert.ok(isPrivateAddress(ip), ip)
+  }
+  assert.ok(!isPrivateAddress('93.184.216.34') && !isPrivateAddress('2606:4700::1111'))
+  for (const url of ['http://localhost:3000/x', 'http://127.0.0.1/x', 'http://169.254.169.254/latest/meta-data', 'http://[::1]/x', 'http://[::ffff:10.0.0.1]/x']) {
+    assert.throws(() => normalizeWebhookUrl(url), (e) => e.status === 400, url)
+  }
+  // Un nombre público que resuelve a la red interna tampoco
+  const resolvesTo = (...addresses) => ({ lookup: async () => addresses.map((address) => ({ address })) })
+  await assertPublicWebhookUrl('https://erp.example.com/h', resolvesTo('93.184.216.34'))
+  await assert.rejects(assertPublicWebhookUrl('https://erp.example.com/h', resolvesTo('93.184.216.34', '10.1.2.3')), (e) => e.status === 400)
+  const blocked = fakeDb([{ id: 's1', company_id: 'c1', active: true, events: ['*'], url: 'http://intranet.example/h', secret: 'x' }])
+  await enqueueWebhookEvent(blocked, { companyId: 'c1', event: 'sale.created', data: {} })
+  let fetched = false
+  const denied = await deliverWebhook(blocked, 'd1', { ...resolvesTo('192.168.0.5'), fetchImpl: async () => { fetched = true } })
+  assert.ok(!fetched)
+  assert.strictEqual(denied.status, 'PENDING')
+  assert.match(denied.error, /^Destino no permitido/)
+
+  // El receptor de prueba escucha en 127.0.0.1: solo con el permiso explícito
+  process.env.WEBHOOKS_ALLOW_PRIVATE_URLS = 'true'
+
+  const rx = await startReceiver()
+  try {
+    const subs = [
+      { id: 's1', company_id: 'c1', active: true, events: ['sale.created'], url: rx.url, secret: 'sec-1' },
+      { id: 's2', company_id: 'c1', active: true, events: ['*'], url: rx.url, secret: 'sec-2' },
+      { id: 's3', company_id: 'c1', active: false, events: ['*'], url: rx.url, secret: 'sec-3' },
+      { id: 's4', company_id: 'c2', active: true, events: ['*'], url: rx.url, secret: 'sec-4' },
+    ]
+    const db = fakeDb(subs)
+
+    // Encolar: una fila por suscripción activa de la empresa que escucha el evento
+    const { eventId, count } = await enqueueWebhookEvent(db, { companyId: 'c1', event: 'sale.created', data: { id: 'v1', total: 10 } })
+    assert.strictEqual(count, 2)
+    assert.deepStrictEqual([...db.deliveries.values()].map((d) => d.subscription_id), ['s1', 's2'])
+    assert.strictEqual((await enqueueWebhookEvent(db, { companyId: 'c1', event: 'order.confirmed', data: {} })).count, 1)
+
+    // 200: entregada, firmada con el secreto de su suscripción
+    const ok = await deliverWebhook(db, 'd1')
+    assert.strictEqual(ok.status, 'DELIVERED')
+    assert.strictEqual(ok.attempts, 1)
+    assert.strictEqual(ok.response_status, 200)
+    assert.ok(!('response_body' in ok)) // del receptor solo se guarda el código
+    const got = rx.received[0]
+    assert.strictEqual(got.headers['x-webhook-event'], 'sale.created')
+    assert.strictEqual(got.headers['x-webhook-id'], 'd1')
+    assert.deepStrictEqual(JSON.parse(got.body).data, { id: 'v1', total: 10 })
+    assert.strictEqual(JSON.parse(got.body).id, eventId)
+    assert.ok(verifyWebhookSignature({
+      secret: 'sec-1',
+      timestamp: got.headers['x-webhook-timestamp'],
+      signature: got.headers['x-webhook-signature'],
+      body: got.body,
+    }))
+
+    // 500: vuelve a la cola con espera; en el último intento, FAILED
+    rx.respondWith(500)
+    const now = new Date('2026-10-19T12:00:00Z')
+    const retry = await deliverWebhook(db, 'd2', { now: () => now })
+    assert.strictEqual(retry.status, 'PENDING')
+    assert.strictEqual(retry.error, 'HTTP 500')
+    assert.strictEqual(retry.next_attempt_at.getTime(), now.getTime() + 60_000)
+    db.deliveries.get('d2').attempts = MAX_ATTEMPTS - 1
+    assert.strictEqual((await deliverWebhook(db, 'd2')).status, 'FAILED')
+
+    // Receptor caído: error de red, sigue en cola
+    const down = { ...subs[1], url: 'http://127.0.0.1:1/hook' }
+    const dbDown = fakeDb([down])
+    await enqueueWebhookEvent(dbDown, { companyId: 'c1', event: 'sale.created', data: {} })
+    const netFail = await deliverWebhook(dbDown, 'd1')
+    assert.strictEqual(netFail.status, 'PENDING')
+    assert.strictEqual(netFail.response_status, null)
+
+    // Suscripción desactivada con envíos en cola: no se manda (salvo reenvío manual)
+    subs[1].active = false
+    const before = rx.received.length
+    const skipped = await deliverWebhook(db, 'd3')
+    assert.deepStrictEqual([skipped.status, skipped.error, rx.received.length], ['FAILED', 'Suscripción desactivada', before])
+    rx.respondWith(200)
+    assert.strictEqual((await deliverWebhook(db, 'd3', { force: true })).status, 'DELIVERED')
+  } finally {
+    rx.server.close()
+  }
+
+  console.log('webhooks.selfcheck OK')
+})().catch((e) => {
+  console.error(e)
+  process.exit(1)
+})